@@ -0,0 +1,20 @@
+// ============================================================================
+// MULTI-DAY PLANNER API
+// ============================================================================
+// Vercel serverless function for the planner view
+//
+// Purpose:
+// - Best spot and score for each of the coming days from one set of grid
+//   forecasts, instead of one full search per day
+//
+// Endpoint: /api/plan?lat={lat}&lon={lon}&radius={km}&windows={start-end,...}
+// plus the search's scoring parameters (see lib/search.js)
+// Returns: One entry per window with the best spot, its name and score
+//
+// The logic lives in lib/proxy.js and is shared with server.js
+// ============================================================================
+
+import { planHandler } from '../lib/proxy.js'
+import { vercelHandler } from '../lib/adapters.js'
+
+export default vercelHandler(planHandler)
@@ -0,0 +1,22 @@
+// ============================================================================
+// WEATHER SEARCH API
+// ============================================================================
+// Vercel serverless function that runs the complete grid search on the server
+//
+// Purpose:
+// - One request from the browser instead of 80-110 weather calls plus
+//   reverse geocoding
+// - Upstream concurrency and scoring are controlled in one place
+//
+// Endpoint: /api/search?lat={lat}&lon={lon}&radius={km}&sol=..&temp=..&wind=..
+// Returns: Ranked spots, named top 3 and the best point's forecast
+// (see lib/search.js for all parameters). With &stream=1 the progress and
+// the result are streamed as NDJSON.
+//
+// The logic lives in lib/proxy.js and is shared with server.js
+// ============================================================================
+
+import { searchHandler } from '../lib/proxy.js'
+import { vercelHandler } from '../lib/adapters.js'
+
+export default vercelHandler(searchHandler)
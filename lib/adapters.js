@@ -0,0 +1,56 @@
+// ============================================================================
+// PROXY ADAPTERS
+// ============================================================================
+// Thin wrappers that run a proxy.js handler inside Express or as a Vercel
+// function. Only plain Node response methods are used, so the two adapters
+// send byte-identical responses.
+//
+// A body that is an async iterable is streamed: every chunk is written as
+// soon as it is produced. Handlers also get a `signal` that aborts when the
+// client goes away before the response is complete.
+// ============================================================================
+
+function clientSignal(res) {
+  const controller = new AbortController()
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort()
+  })
+  return controller.signal
+}
+
+async function send(res, { status, headers, body }) {
+  res.statusCode = status
+  Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value))
+  if (typeof body === 'string') {
+    res.end(body)
+    return
+  }
+  // A failing stream must not become an unhandled rejection (Express 4 does
+  // not catch them) or leave the response open
+  try {
+    for await (const chunk of body) {
+      if (res.destroyed) break
+      res.write(chunk)
+    }
+  } catch (err) {
+    console.error('Streamed response failed:', err)
+    if (res.headersSent) res.destroy(err)
+    else res.statusCode = 500
+  } finally {
+    if (!res.destroyed) res.end()
+  }
+}
+
+// app.get('/api/met', expressRoute(metHandler))
+export function expressRoute(handler) {
+  return async (req, res) => {
+    await send(res, await handler({ query: req.query, signal: clientSignal(res) }))
+  }
+}
+
+// export default vercelHandler(metHandler)
+export function vercelHandler(handler) {
+  return async (req, res) => {
+    await send(res, await handler({ query: req.query || {}, signal: clientSignal(res) }))
+  }
+}
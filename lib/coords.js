@@ -0,0 +1,24 @@
+// ============================================================================
+// COORDINATE NORMALISATION (SERVER SIDE)
+// ============================================================================
+// All proxies parse lat/lon the same way: numbers within range, rounded to
+// COORD_DECIMALS. met.no asks for at most 4 decimals (about 11 m), and
+// rounded coordinates let nearby requests share cache entries.
+// ============================================================================
+
+export const COORD_DECIMALS = 4
+
+// Round to COORD_DECIMALS (adding 0 turns -0 into 0)
+export function roundCoord(value) {
+  return Number(Number(value).toFixed(COORD_DECIMALS)) + 0
+}
+
+// Parse lat/lon query values. Returns { lat, lon } rounded, or null when
+// missing or out of range.
+export function normalizeCoords(lat, lon) {
+  if (lat === undefined || lat === '' || lon === undefined || lon === '') return null
+  const la = Number(lat)
+  const lo = Number(lon)
+  if (!(la >= -90 && la <= 90) || !(lo >= -180 && lo <= 180)) return null
+  return { lat: roundCoord(la), lon: roundCoord(lo) }
+}
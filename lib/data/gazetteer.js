@@ -0,0 +1,4 @@
+// Generated by scripts/build-gazetteer.js - do not edit by hand.
+// Place names from GeoNames (geonames.org), CC BY 4.0.
+// Countries: NO, SE, DK, FI, IS, CH, AT, 5855 places.
+export default {"fields":["name","lat","lon","type","population","country","region","municipality","alt"],"places":[["Vienna",48.2085,16.3721,"city",1691468,"AT","Vienna","Wien Stadt","Wien"],["Stockholm",59.3294,18.0687,"city",1515017,"SE","Stockholm","Stockholms Kommun",""],["Copenhagen",55.6759,12.5655,"city",1153615,"DK","Capital Region","København","København"],["Oslo",59.9127,10.7461,"city",580000,"NO","Oslo","Oslo",""],["Göteborg",57.7072,11.9668,"city",572799,"SE","","","Gothenburg"],["Helsinki",60.1695,24.9354,"city",558457,"FI","Uusimaa","Helsinki sub-region","Helsingfors"],["Zürich",47.3667,8.55,"city",341730,"CH","Zurich","Bezirk Zürich",""],["Malmö",55.6059,13.0007,"city",301706,"SE","Skåne","Malmö",""],["Espoo",60.2052,24.6522,"city",256760,"FI","Uusimaa","Helsinki sub-region",""],["Århus",56.1567,10.2108,"city",237551,"DK","Central Jutland","Aarhus Kommune","Aarhus"],["Graz",47.0667,15.45,"city",222326,"AT","Styria","Graz Stadt",""],["Bergen",60.393,5.3242,"city",213585,"NO","Vestland","Bergen",""],["Linz",48.3064,14.2861,"city",204846,"AT","Upper Austria","Linz Stadt",""],["Tampere",61.4991,23.7871,"city",202687,"FI","Pirkanmaa","Tampere",""],["Favoriten",48.1612,16.3823,"suburb",201882,"AT","Vienna","Wien Stadt",""],["Vantaa",60.2941,25.041,"city",190058,"FI","Uusimaa","Helsinki sub-region",""],["Donaustadt",48.2333,16.46,"suburb",187007,"AT","Vienna","Wien Stadt",""],["Genève",46.2022,6.1457,"city",183981,"CH","","","Geneva|Genf"],["Turku",60.4515,22.2687,"city",175945,"FI","Southwest Finland","Turku","Åbo"],["Basel",47.5584,7.5733,"city",164488,"CH","Basel-City","Basel-Stadt",""],["Floridsdorf",48.25,16.4,"suburb",162779,"AT","Vienna","Wien Stadt",""],["Salzburg",47.7994,13.044,"city",153377,"AT","Salzburg","Salzburg Stadt",""],["Uppsala",59.8588,17.6389,"city",149245,"SE","Uppsala","Uppsala Kommun",""],["Trondheim",63.4305,10.3951,"city",147139,"NO","Trøndelag","Trondheim",""],["Odense",55.3959,10.3883,"city",145931,"DK","South Denmark","Odense Kommune",""],["Sollentuna",59.428,17.9509,"city",139606,"SE","Stockholm","Sollentuna Kommun",""],["Innsbruck",47.2627,11.3945,"city",132493,"AT","Tyrol","Innsbruck Stadt",""],["Oulu",65.0124,25.4682,"city",128618,"FI","North Ostrobothnia","Oulu",""],["Södermalm",59.3128,18.0758,"suburb",127323,"SE","Stockholm","Stockholms Kommun",""],["Aalborg",57.048,9.9187,"city",122219,"DK","North Denmark","Ålborg Kommune",""],["Bern",46.9481,7.4474,"city",121631,"CH","Bern","Bern-Mittelland District",""],["Stavanger",58.9701,5.7333,"city",121610,"NO","Rogaland","Stavanger",""],["Reykjavík",64.1355,-21.8954,"city",118918,"IS","Capital Region","Reykjavíkurborg","Reykjavik"],["Västerås",59.6162,16.5528,"city",117746,"SE","Västmanland","Västerås",""],["Lausanne",46.516,6.6328,"city",116751,"CH","Vaud","Lausanne District",""],["Örebro",59.2741,15.2066,"city",115765,"SE","Örebro","Örebro Kommun",""],["Linköping",58.4109,15.6216,"city",106502,"SE","Östergötland","Linköpings Kommun",""],["Ottakring",48.2167,16.3,"suburb",104627,"AT","Vienna","Wien Stadt",""],["Helsingborg",56.0467,12.6944,"city",104250,"SE","Skåne","Helsingborg",""],["Simmering",48.1833,16.4333,"suburb",101420,"AT","Vienna","Wien Stadt",""],["Lahti",60.9827,25.6615,"city",98826,"FI","Paijat-Hame","Lahti",""],["Meidling",48.1667,16.3333,"suburb",97624,"AT","Vienna","Wien Stadt",""],["Frederiksberg",55.6794,12.5346,"city",95029,"DK","Capital Region","Frederiksberg Kommune",""],["Jönköping",57.7814,14.1562,"city",93797,"SE","Jönköping","Jönköpings Kommun",""],["Norrköping",58.5942,16.1826,"city",93765,"SE","Östergötland","Norrköpings Kommun",""],["Winterthur",47.5056,8.7241,"city",91908,"CH","Zurich","Bezirk Winterthur",""],["Drammen",59.7439,10.2045,"city",90722,"NO","Buskerud","Drammen",""],["Klagenfurt am Wörthersee",46.6247,14.3053,"city",90610,"AT","Carinthia","Klagenfurt am Wörthersee",""],["Huddinge",59.2371,17.9819,"city",90182,"SE","Stockholm","Huddinge Kommun",""],["Kuopio",62.8924,27.677,"city",89104,"FI","North Savo","Kuopio",""],["Lund",55.7058,13.1932,"city",87244,"SE","Skåne","Lunds Kommun",""],["Jyväskylä",62.2415,25.7209,"city",85026,"FI","Central Finland","Jyväskylä",""],["Umeå",63.8284,20.2597,"city",83249,"SE","Västerbotten","Umeå Kommun",""],["Pori",61.4833,21.7833,"city",76772,"FI","Satakunta","Pori",""],["Haninge",59.1677,18.1448,"city",74968,"SE","Stockholm","Haninge Kommun",""],["Gävle",60.6745,17.1417,"city",74884,"SE","Gävleborg","Gävle Kommun",""],["Fredrikstad",59.2181,10.9298,"city",72760,"NO","Østfold","Fredrikstad",""],["Esbjerg",55.4703,8.4519,"city",72205,"DK","South Denmark","Esbjerg Kommune",""],["Borås",57.721,12.9401,"city",71700,"SE","Västra Götaland","Borås",""],["Södertälje",59.1955,17.6253,"city",70777,"SE","Stockholm","Södertälje Kommun",""],["Sankt Gallen",47.4239,9.3748,"city",70572,"CH","Saint Gallen","Wahlkreis St. Gallen",""],["Kungsholmen",59.3318,18.0412,"suburb",69363,"SE","Stockholm","Stockholms Kommun",""],["Eskilstuna",59.3666,16.5077,"city",67359,"SE","Södermanland","Eskilstuna Kommun",""],["Solna",59.36,18.0009,"city",66909,"SE","Stockholm","Solna Kommun",""],["Halmstad",56.6745,12.8568,"city",66124,"SE","Halland","Halmstads Kommun",""],["Växjö",56.8777,14.8091,"city",65383,"SE","Kronoberg","Växjö Kommun",""],["Kristiansand",58.1467,7.9956,"city",63814,"NO","Agder","Kristiansand",""],["Sandnes",58.8524,5.7352,"city",63032,"NO","Rogaland","Sandnes",""],["Lugano",46.0101,8.96,"city",63000,"CH","Ticino","Lugano District",""],["Karlstad",59.3793,13.5036,"city",61492,"SE","Värmland","Karlstads Kommun",""],["Bromma",59.34,17.94,"suburb",61000,"SE","Stockholm","Stockholms Kommun",""],["Asker",59.8333,10.4372,"city",60926,"NO","Akershus","Asker",""],["Mölndal",57.6554,12.0138,"city",59430,"SE","Västra Götaland","Mölndals kommun",""],["Lappeenranta",61.0587,28.1887,"city",59276,"FI","South Karelia","Lappeenranta",""],["Villach",46.6103,13.8558,"city",58882,"AT","Carinthia","Villach Stadt",""],["Horsens",55.8607,9.8503,"city",58646,"DK","Central Jutland","Horsens Kommune",""],["Vasastan",59.3457,18.0498,"suburb",58458,"SE","","",""],["Täby",59.4439,18.0687,"city",58123,"SE","Stockholm","Täby Kommun",""],["Sundsvall",62.3913,17.3063,"city",57606,"SE","Västernorrland","Sundsvalls Kommun",""],["Hernals",48.2333,16.2667,"suburb",57546,"AT","","",""],["Luzern",47.0505,8.3064,"city",57066,"CH","Lucerne","Lucerne-Stadt District","Lucerne"],["Vaasa",63.096,21.6158,"city",57014,"FI","Ostrobothnia","Vaasa",""],["Randers",56.4607,10.0364,"city",55780,"DK","Central Jutland","Randers Kommune",""],["Kolding",55.4904,9.4722,"city",55363,"DK","South Denmark","Kolding Kommune",""],["Kotka",60.4664,26.9458,"city",54616,"FI","Kymenlaakso","Kotka-Hamina",""],["Hietzing",48.1862,16.2965,"suburb",54265,"AT","Vienna","Wien Stadt",""],["Zürich (Kreis 11)",47.4233,8.5217,"suburb",54260,"CH","Zurich","Bezirk Zürich",""],["Joensuu",62.6012,29.7632,"city",53388,"FI","North Karelia","Joensuu",""],["Tromsø",69.6489,18.9551,"city",52436,"NO","Troms","Tromsø","Romsa"],["Sarpsborg",59.2839,11.1096,"city",52159,"NO","Østfold","Sarpsborg",""],["Vejle",55.7093,9.5357,"city",51177,"DK","South Denmark","Vejle Kommune",""],["Skien",59.2096,9.609,"city",50595,"NO","Telemark","Skien",""],["Östersund",63.1792,14.6357,"town",49806,"SE","Jämtland","Östersunds Kommun",""],["Hvidovre",55.6572,12.4736,"town",49380,"DK","Capital Region","Hvidovre Kommune",""],["Dornbirn",47.4143,9.7419,"town",49278,"AT","Vorarlberg","Politischer Bezirk Dornbirn",""],["Biel/Bienne",47.1371,7.2461,"town",48614,"CH","Bern","Biel/Bienne District",""],["Trollhättan",58.2837,12.2886,"town",48573,"SE","Västra Götaland","Trollhättan",""],["Greve",55.5833,12.3,"town",47671,"DK","Zealand","Greve Kommune",""],["Hämeenlinna",60.996,24.4643,"town",47261,"FI","Kanta-Häme","Hämeenlinna",""],["Porvoo",60.3923,25.6651,"town",47192,"FI","Uusimaa","Porvoo",""],["Mikkeli",61.6886,27.2723,"town",46550,"FI","South Savo","Mikkeli",""],["Zürich (Kreis 3)",47.3578,8.503,"suburb",46018,"CH","Zurich","Bezirk Zürich",""],["Zürich (Kreis 9)",47.3824,8.4799,"suburb",44878,"CH","Zurich","Bezirk Zürich",""],["Wiener Neustadt",47.8049,16.232,"town",44820,"AT","Lower Austria","Wiener Neustadt Stadt",""],["Herning",56.1362,8.9766,"town",44763,"DK","Central Jutland","Herning Kommune",""],["Roskilde",55.6415,12.0803,"town",44285,"DK","Zealand","Roskilde Kommune",""],["Ålesund",62.4723,6.1549,"town",44096,"NO","Møre og Romsdal","Ålesund",""],["Luleå",65.5841,22.1547,"town",43574,"SE","Norrbotten","Luleå kommun",""],["Hyvinge",60.6333,24.8667,"town",43515,"FI","Uusimaa","Helsinki sub-region",""],["Sandefjord",59.1312,10.2166,"town",42654,"NO","Vestfold","Sandefjord",""],["Lidingö",59.3667,18.1333,"town",42466,"SE","Stockholm","Lidingö",""],["Thun",46.7512,7.6217,"town",42136,"CH","Bern","Thun District",""],["Borlänge",60.4858,15.4371,"town",41955,"SE","Dalarna","Borlänge Kommun",""],["Silkeborg",56.1697,9.5451,"town",41674,"DK","Central Jutland","Silkeborg Kommune",""],["Tumba",59.1986,17.8332,"town",40832,"SE","Stockholm","Botkyrka Kommun",""],["Næstved",55.2299,11.7609,"town",40660,"DK","Zealand","Næstved Kommune",""],["Haugesund",59.4138,5.268,"town",40321,"NO","Rogaland","Haugesund",""],["Ballerup",55.7317,12.3633,"town",40000,"DK","Capital Region","Ballerup Kommune",""],["Charlottenlund",55.7524,12.5745,"town",40000,"DK","Capital Region","Gentofte Kommune",""],["Kristianstad",56.0313,14.1524,"town",39762,"SE","Skåne","Kristianstads kommun",""],["Tønsberg",59.2675,10.4076,"town",38914,"NO","Vestfold","Tønsberg",""],["Kalmar",56.6616,16.3616,"town",38408,"SE","Kalmar","Kalmar Kommun",""],["Steyr",48.0427,14.4213,"town",38331,"AT","Upper Austria","Steyr Stadt",""],["Järvenpää",60.4737,25.0899,"town",38148,"FI","Uusimaa","Helsinki sub-region",""],["Köniz",46.9244,7.4146,"town",37196,"CH","Bern","Bern-Mittelland District",""],["Vanløse",55.6836,12.4871,"suburb",37115,"DK","Capital Region","København",""],["Nurmijärvi",60.4641,24.8073,"town",37073,"FI","Uusimaa","Helsinki sub-region",""],["Falun",60.6036,15.626,"town",37000,"SE","Dalarna","Falu kommun",""],["Fredericia",55.5657,9.7526,"town",36946,"DK","South Denmark","Fredericia Kommune",""],["Skövde",58.3912,13.8451,"town",36842,"SE","Västra Götaland","Skövde Kommun",""],["La Chaux-de-Fonds",47.0999,6.8259,"town",36825,"CH","Neuchâtel","La Chaux-de-Fonds District",""],["Hørsholm",55.881,12.5011,"town",36670,"DK","Capital Region","Hørsholm Kommune",""],["Rauma",61.1272,21.5113,"town",36550,"FI","Satakunta","Rauma",""],["Upplands Väsby",59.5184,17.9113,"town",36534,"SE","Stockholm","Upplands Väsby kommun",""],["Karlskrona",56.1616,15.5866,"town",36477,"SE","Blekinge","Karlskrona Kommun",""],["Östermalm",59.3388,18.0849,"suburb",36418,"SE","Stockholm","Stockholms Kommun",""],["Mellunkylä",60.2336,25.0995,"suburb",36360,"FI","Uusimaa","Helsinki sub-region",""],["Zürich (Kreis 10)",47.4077,8.5005,"suburb",36216,"CH","Zurich","Bezirk Zürich",""],["Lohja",60.2486,24.0653,"town",35960,"FI","Uusimaa","Helsinki sub-region",""],["Vuosaari",60.2096,25.142,"suburb",35826,"FI","Uusimaa","Helsinki sub-region",""],["Kokkola",63.8385,23.1307,"town",35586,"FI","Central Ostrobothnia","Kokkola",""],["Skellefteå",64.7507,20.9528,"town",35516,"SE","Västerbotten","Skellefteå Kommun",""],["Kajaani",64.2273,27.7285,"town",35375,"FI","Kainuu","Kajaani",""],["Helsingør",56.0361,12.6136,"town",35048,"DK","Capital Region","Helsingør Kommune",""],["Hötting",47.2681,11.3687,"suburb",35043,"AT","Tyrol","Innsbruck Stadt",""],["Viborg",56.4532,9.402,"town",34831,"DK","Central Jutland","Viborg Kommune",""],["Rovaniemi",66.5,25.7167,"town",34781,"FI","","",""],["Uddevalla",58.3478,11.9424,"town",34781,"SE","Västra Götaland","Uddevalla Kommun",""],["Rapperswil",47.2256,8.8223,"town",34776,"CH","Saint Gallen","Wahlkreis See-Gaster",""],["Tuusula",60.4037,25.0264,"town",34725,"FI","Uusimaa","Helsinki sub-region",""],["Sundbyberg",59.3613,17.9711,"town",34529,"SE","Stockholm","Sundbybergs Kommun",""],["Moss",59.434,10.6577,"town",34492,"NO","Østfold","Moss",""],["Porsgrunn",59.1405,9.6561,"town",34377,"NO","Telemark","Porsgrunn",""],["Varberg",57.1056,12.2508,"town",34248,"SE","Halland","Varbergs Kommun",""],["Bodø",67.28,14.405,"town",34073,"NO","","",""],["Køge",55.458,12.1821,"town",33885,"DK","Zealand","Køge Kommune",""],["Schaffhausen",47.6973,8.6349,"town",33863,"CH","Schaffhausen","Bezirk Schaffhausen",""],["Zürich (Kreis 7)",47.3733,8.5804,"suburb",33820,"CH","Zurich","Bezirk Zürich",""],["Feldkirch",47.2331,9.6,"town",33420,"AT","Vorarlberg","Politischer Bezirk Feldkirch",""],["Kirkkonummi",60.1238,24.4385,"town",32920,"FI","Uusimaa","Helsinki sub-region",""],["Jakomini",47.0544,15.4498,"suburb",32912,"AT","Styria","Graz Stadt",""],["Fribourg",46.8024,7.1513,"town",32827,"CH","Fribourg","Sarine District",""],["Åkersberga",59.4794,18.2997,"town",32659,"SE","Stockholm","Österåkers Kommun",""],["Pradl",47.2654,11.4152,"suburb",32588,"AT","Tyrol","Innsbruck Stadt",""],["Örnsköldsvik",63.2909,18.7153,"town",32493,"SE","Västernorrland","Örnsköldsviks Kommun",""],["Chur",46.8499,9.5329,"town",32429,"CH","Grisons","Region Plessur",""],["Landskrona",55.8708,12.8302,"town",32229,"SE","Skåne","Landskrona",""],["Nyköping",58.753,17.0079,"town",32224,"SE","Södermanland","Nyköpings Kommun",""],["Seinäjoki",62.7945,22.8282,"town",32149,"FI","South Ostrobothnia","Seinäjoki",""],["Holstebro",56.3601,8.6161,"town",32072,"DK","Central Jutland","Holstebro Kommune",""],["Vallentuna",59.5344,18.0776,"town",31937,"SE","Stockholm","Vallentuna Kommun",""],["Slagelse",55.4028,11.3546,"town",31896,"DK","Zealand","Slagelse Kommune",""],["Kópavogur",64.1123,-21.913,"town",31719,"IS","Capital Region","Kópavogsbær",""],["Kerava",60.4034,25.105,"town",31347,"FI","Uusimaa","Helsinki sub-region",""],["Neuchâtel",46.9918,6.931,"town",31270,"CH","Neuchâtel","Neuchâtel District",""],["Lend",47.0826,15.4159,"suburb",31147,"AT","Styria","Graz Stadt",""],["Kouvola",60.8667,26.7,"town",31133,"FI","Kymenlaakso","Kouvola",""],["Taastrup",55.6501,12.3016,"town",30977,"DK","Capital Region","Høje-Taastrup Kommune",""],["Motala",58.5371,15.0365,"town",30944,"SE","Östergötland","Motala Kommun",""],["Arendal",58.4615,8.7725,"town",30916,"NO","Agder","Arendal",""],["Hillerød",55.9279,12.3008,"town",30853,"DK","Capital Region","Hillerød Kommune",""],["Vernier",46.217,6.085,"town",30086,"CH","Geneva","Geneva",""],["Albertslund",55.6569,12.3638,"town",30000,"DK","Capital Region","Albertslund Kommune",""],["Rødovre",55.6806,12.4537,"town",30000,"DK","Capital Region","Rødovre Kommune",""],["Zürich (Kreis 6)",47.3922,8.5438,"suburb",29951,"CH","Zurich","Bezirk Zürich",""],["Imatra",61.1718,28.7524,"town",29615,"FI","South Karelia","Imatra",""],["Hamar",60.7945,11.068,"town",29479,"NO","Innlandet","Hamar",""],["Bregenz",47.5031,9.7471,"town",29471,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Gries",47.0624,15.4242,"suburb",29363,"AT","Styria","Graz Stadt",""],["Trelleborg",55.3751,13.1569,"town",29316,"SE","Skåne","Trelleborgs Kommun",""],["Majorna",57.6919,11.9161,"suburb",29254,"SE","Västra Götaland","Göteborgs stad",""],["Zürich (Kreis 2)",47.3376,8.5211,"suburb",29215,"CH","Zurich","Bezirk Zürich",""],["Nokia",61.4667,23.5,"town",28676,"FI","Pirkanmaa","Tampere",""],["Partille",57.7395,12.1064,"town",28648,"SE","Västra Götaland","Partille Kommun",""],["Zürich (Kreis 9) / Altstetten",47.3895,8.4853,"suburb",28307,"CH","Zurich","Bezirk Zürich",""],["Zürich (Kreis 12)",47.4037,8.5761,"suburb",28189,"CH","Zurich","Bezirk Zürich",""],["Sitten",46.2274,7.3556,"town",28045,"CH","Valais","Sion District",""],["Svendborg",55.0598,10.6068,"town",27553,"DK","South Denmark","Svendborg Kommune",""],["Karlskoga",59.3267,14.5239,"town",27490,"SE","Örebro","Karlskoga Kommun",""],["Savonlinna",61.8699,28.88,"town",27353,"FI","South Savo","Savonlinna",""],["Lancy",46.1898,6.1144,"suburb",27291,"CH","Geneva","Geneva",""],["Zürich (Kreis 4) / Aussersihl",47.3775,8.5213,"suburb",27273,"CH","Zurich","Bezirk Zürich",""],["Kallio",60.1843,24.9503,"suburb",27051,"FI","Uusimaa","Helsinki sub-region",""],["Märsta",59.6216,17.8548,"town",27034,"SE","Stockholm","Sigtuna Kommun",""],["Sønderborg",54.909,9.7892,"town",27033,"DK","South Denmark","Sønderborg Kommune",""],["Lerum",57.7705,12.269,"town",26913,"SE","Västra Götaland","Lerums Kommun",""],["Emmen",47.0782,8.2733,"town",26889,"CH","Lucerne","Hochdorf District",""],["Hafnarfjörður",64.0671,-21.9377,"town",26808,"IS","Capital Region","Hafnarfjarðarkaupstaður",""],["Riihimäki",60.7377,24.7773,"town",26451,"FI","Kanta-Häme","Riihimäki",""],["Kaarela",60.2517,24.8811,"suburb",26414,"FI","Uusimaa","Helsinki sub-region",""],["Alingsås",57.9303,12.5335,"town",26329,"SE","Västra Götaland","Alingsås Kommun",""],["Baden",48.0054,16.2326,"town",26286,"AT","Lower Austria","Politischer Bezirk Baden",""],["Vihti",60.417,24.3196,"town",26280,"FI","Uusimaa","Helsinki sub-region",""],["Nacka",59.3105,18.1637,"town",25170,"SE","Stockholm","Nacka Kommun",""],["Kriens",47.0311,8.2855,"town",25010,"CH","Lucerne","Lucerne-Land District",""],["Salo",60.3833,23.1333,"town",24900,"FI","Southwest Finland","Salo",""],["Geidorf",47.0839,15.444,"suburb",24767,"AT","Styria","Graz Stadt",""],["Sandviken",60.6167,16.7667,"town",24724,"SE","Gävleborg","Sandvikens Kommun",""],["Hjørring",57.4642,9.9823,"town",24634,"DK","North Denmark","Hjørring Kommune",""],["Holbæk",55.7175,11.7128,"town",24544,"DK","Zealand","Holbæk Kommune",""],["Kangasala",61.4638,24.076,"town",24291,"FI","Pirkanmaa","Tampere",""],["Frederikshavn",57.4407,10.5366,"town",24103,"DK","North Denmark","Frederikshavn Kommune",""],["Kungälv",57.871,11.9805,"town",24101,"SE","Västra Götaland","Kungälvs Kommun",""],["Falkenberg",56.9055,12.4912,"town",24099,"SE","Halland","Falkenbergs Kommun",""],["Weinzierl bei Krems",48.4,15.6,"suburb",24092,"AT","","",""],["Boo",59.3333,18.2833,"suburb",24052,"SE","Stockholm","Nacka Kommun",""],["Jakobsberg",59.4227,17.8351,"town",24046,"SE","Stockholm","Järfälla kommun",""],["Ytrebygda",60.305,5.2824,"suburb",24044,"NO","Vestland","Bergen",""],["Yverdon-les-Bains",46.7785,6.6411,"town",23702,"CH","Vaud","Jura-Nord vaudois District",""],["Raisio",60.4859,22.1689,"town",23597,"FI","Southwest Finland","Turku",""],["Zug",47.1724,8.5175,"town",23435,"CH","Zug","Zug",""],["Visby",57.6409,18.296,"town",23402,"SE","Gotland","Gotland",""],["Katrineholm",58.9959,16.2072,"town",23283,"SE","Södermanland","Katrineholms Kommun",""],["Uster",47.3471,8.7209,"town",23279,"CH","Zurich","Bezirk Uster",""],["Ängelholm",56.2428,12.8622,"town",23240,"SE","Skåne","Ängelholms Kommun",""],["Vänersborg",58.3807,12.3234,"town",23119,"SE","Västra Götaland","Vänersborgs Kommun",""],["Larvik",59.0533,10.0352,"town",23113,"NO","Vestfold","Larvik",""],["Björlanda",57.7667,11.8333,"town",23088,"SE","Västra Götaland","Göteborgs stad",""],["Piteå",65.3172,21.4794,"town",23067,"SE","Norrbotten","Piteå Kommun",""],["Lidköping",58.5052,13.1577,"town",22988,"SE","Västra Götaland","Lidköpings Kommun",""],["Montreux",46.433,6.9114,"town",22897,"CH","Vaud","Riviera-Pays-d'Enhaut District",""],["Karhula",60.5216,26.9312,"town",22867,"FI","Kymenlaakso","Kotka-Hamina",""],["Lustenau",47.4264,9.6585,"town",22821,"AT","Vorarlberg","Politischer Bezirk Dornbirn",""],["Kemi",65.7364,24.5637,"town",22641,"FI","Lapland","Kemi-Tornio",""],["Iisalmi",63.5592,27.1907,"town",22588,"FI","North Savo","Ylä-Savo",""],["Enköping",59.6361,17.0777,"town",22553,"SE","Uppsala","Enköpings Kommun",""],["Varkaus",62.3153,27.873,"town",22365,"FI","North Savo","Varkaus",""],["Raahe",64.6833,24.4833,"town",22217,"FI","North Ostrobothnia","Raahe",""],["Ylöjärvi",61.5563,23.5961,"town",22140,"FI","Pirkanmaa","Tampere",""],["Nørresundby",57.0588,9.9228,"town",22083,"DK","North Denmark","Ålborg Kommune",""],["Frauenfeld",47.5578,8.8989,"town",21979,"CH","Thurgau","Bezirk Frauenfeld",""],["Halden",59.1248,11.3875,"town",21970,"NO","Østfold","Halden",""],["Sankt Pölten",48.2,15.6333,"town",21911,"AT","Lower Austria","Sankt Pölten Stadt",""],["Hamina",60.5697,27.1979,"town",21712,"FI","Kymenlaakso","Kotka-Hamina",""],["Kaarina",60.4072,22.369,"town",21684,"FI","Southwest Finland","Turku",""],["Huskvarna",57.786,14.3021,"town",21500,"SE","Jönköping","Jönköpings Kommun",""],["Tornio",65.8481,24.1466,"town",21236,"FI","Lapland","Kemi-Tornio",""],["Västervik",57.7584,16.6373,"town",21178,"SE","Kalmar","Västerviks Kommun",""],["Zürich (Kreis 3) / Sihlfeld",47.3738,8.5116,"suburb",20977,"CH","Zurich","Bezirk Zürich",""],["Dietikon",47.4016,8.4002,"town",20893,"CH","Zurich","Bezirk Dietikon",""],["Heinola",61.2056,26.0381,"town",20849,"FI","Paijat-Hame","Lahti",""],["Haderslev",55.2494,9.4877,"town",20825,"DK","South Denmark","Haderslev Kommune",""],["Skive",56.567,9.0271,"town",20815,"DK","Central Jutland","Skive Kommune",""],["Gustavsberg",59.3268,18.3897,"town",20774,"SE","Stockholm","Värmdö Kommun",""],["Glostrup",55.6666,12.4038,"town",20673,"DK","Capital Region","Glostrup Kommune",""],["Mödling",48.0861,16.2892,"town",20555,"AT","Lower Austria","Politischer Bezirk Mödling",""],["Baar",47.1962,8.5295,"town",20546,"CH","Zug","Zug",""],["Eggenberg",47.07,15.3987,"suburb",20511,"AT","Styria","Graz Stadt",""],["Hollola",61.05,25.4333,"town",20405,"FI","Paijat-Hame","Lahti",""],["Valkeakoski",61.2642,24.0312,"town",20376,"FI","Pirkanmaa","Etelä-Pirkanmaa",""],["Sankt Peter",46.6298,14.3402,"suburb",20320,"AT","Carinthia","Klagenfurt am Wörthersee",""],["Siilinjärvi",63.0833,27.6667,"town",20209,"FI","North Savo","Kuopio",""],["Ringsted",55.4426,11.7901,"town",20188,"DK","Zealand","Ringsted Kommune",""],["Karlshamn",56.1706,14.8619,"town",20112,"SE","Blekinge","Karlshamns kommun",""],["Zürich (Kreis 6) / Unterstrass",47.3953,8.5372,"suburb",20045,"CH","Zurich","Bezirk Zürich",""],["Lauttasaari",60.159,24.868,"suburb",20000,"FI","Uusimaa","Helsinki sub-region",""],["Riehen",47.5788,7.6468,"town",20000,"CH","Basel-City","Basel-Stadt",""],["Sankt Martin",46.6167,14.2833,"suburb",20000,"AT","Carinthia","Klagenfurt am Wörthersee",""],["Steinkjer",64.0149,11.4954,"town",20000,"NO","Trøndelag","Steinkjer",""],["Stenløse",55.7683,12.1972,"town",19998,"DK","Capital Region","Egedal Kommune",""],["Dübendorf",47.3972,8.6187,"town",19882,"CH","Zurich","Bezirk Uster",""],["Meyrin",46.2342,6.0803,"town",19772,"CH","Geneva","Geneva",""],["Ishøj",55.6154,12.3518,"town",19453,"DK","Capital Region","Ishøj Kommune",""],["Harstad",68.7983,16.5417,"town",19433,"NO","Troms","Harstad",""],["Sibbo",60.3775,25.2691,"town",19430,"FI","Uusimaa","Helsinki sub-region",""],["Norrtälje",59.758,18.705,"town",19365,"SE","Stockholm","Norrtälje Kommun",""],["Carouge",46.181,6.1392,"town",19344,"CH","Geneva","Geneva",""],["Hässleholm",56.1591,13.7664,"town",19309,"SE","Skåne","Hässleholms Kommun",""],["Jakobstad",63.6749,22.7026,"town",19238,"FI","Ostrobothnia","Jakobstadsregionen",""],["Lillehammer",61.1151,10.4663,"town",19096,"NO","Innlandet","Lillehammer",""],["Värnamo",57.186,14.04,"town",19061,"SE","Jönköping","Värnamo Kommun",""],["Andritz",47.1139,15.4235,"suburb",19020,"AT","Styria","Graz Stadt",""],["Birkerød",55.8476,12.4279,"town",18901,"DK","Capital Region","Rudersdal Kommune",""],["Ystad",55.4297,13.8204,"town",18806,"SE","Skåne","Ystads Kommun",""],["Kungsbacka",57.4872,12.0761,"town",18698,"SE","Halland","Kungsbacka Kommun",""],["Molde",62.7375,7.1591,"town",18594,"NO","Møre og Romsdal","Molde",""],["Eslöv",55.8393,13.3039,"town",18592,"SE","Skåne","Eslövs Kommun",""],["Kristinehamn",59.3098,14.1081,"town",18557,"SE","Värmland","Kristinehamns Kommun",""],["Härnösand",62.6323,17.9379,"town",18426,"SE","Västernorrland","Härnösands Kommun",""],["Farum",55.8086,12.3607,"town",18376,"DK","Capital Region","Furesø Kommune",""],["Köping",59.514,15.9925,"town",18355,"SE","Västmanland","Köpings Kommun",""],["Oskarshamn",57.2645,16.4484,"town",18287,"SE","Kalmar","Oskarshamns Kommun",""],["Wettingen",47.4705,8.3164,"town",18191,"CH","Aargau","Bezirk Baden",""],["Allschwil",47.5507,7.536,"town",18189,"CH","Basel-Landschaft","Bezirk Arlesheim",""],["Wilten",47.2583,11.3881,"suburb",18142,"AT","Tyrol","Innsbruck Stadt",""],["Lempäälä",61.3167,23.75,"town",18096,"FI","Pirkanmaa","Tampere",""],["Mäntsälä",60.6333,25.3167,"town",18074,"FI","Uusimaa","Helsinki sub-region",""],["Zürich (Kreis 11) / Oerlikon",47.4082,8.5426,"suburb",17922,"CH","Zurich","Bezirk Zürich",""],["Mo i Rana",66.3128,14.1428,"town",17853,"NO","Nordland","Rana",""],["Forssa",60.8146,23.6215,"town",17852,"FI","Kanta-Häme","Forssa",""],["Zürich (Kreis 11) / Seebach",47.4218,8.5478,"suburb",17851,"CH","Zurich","Bezirk Zürich",""],["Renens",46.5399,6.5881,"town",17811,"CH","Vaud","Ouest Lausannois District",""],["Nässjö",57.6531,14.6968,"town",17719,"SE","Jönköping","Nässjö Kommun",""],["Akureyri",65.6835,-18.0878,"town",17693,"IS","Northeast","Akureyrarkaupstaður",""],["Kongsberg",59.6686,9.6502,"town",17667,"NO","Buskerud","Kongsberg",""],["Horten",59.4172,10.4834,"town",17660,"NO","Vestfold","Horten",""],["Jona",47.2298,8.8388,"town",17655,"CH","Saint Gallen","Wahlkreis See-Gaster",""],["Kreuzlingen",47.6505,9.175,"town",17655,"CH","Thurgau","Bezirk Kreuzlingen",""],["Gjøvik",60.7957,10.6915,"town",17596,"NO","Innlandet","Gjøvik",""],["Mölnlycke",57.6589,12.1179,"town",17579,"SE","Västra Götaland","Härryda Kommun",""],["Kuusamo",65.9667,29.1833,"town",17400,"FI","North Ostrobothnia","Koillismaa",""],["Munkkiniemi",60.1986,24.8777,"suburb",17334,"FI","Uusimaa","Helsinki sub-region",""],["Onex",46.184,6.1024,"town",17302,"CH","Geneva","Geneva",""],["Haukipudas",65.1765,25.3523,"town",17298,"FI","North Ostrobothnia","Oulu",""],["Zürich (Kreis 11) / Affoltern",47.4181,8.5122,"suburb",17241,"CH","Zurich","Bezirk Zürich",""],["Askøy",60.4,5.1833,"town",17224,"NO","","",""],["Korsholm",63.1142,21.6822,"town",17176,"FI","Ostrobothnia","Vaasa",""],["Falköping",58.1735,13.5507,"town",17170,"SE","Västra Götaland","Falköpings Kommun",""],["Zürich (Kreis 10) / Höngg",47.4031,8.4971,"suburb",17117,"CH","Zurich","Bezirk Zürich",""],["Laukaa",62.4141,25.9519,"town",17093,"FI","Central Finland","Jyväskylä",""],["Tensta",59.3939,17.9011,"suburb",17083,"SE","Stockholm","Stockholms Kommun",""],["Gossau",47.4155,9.2548,"town",17043,"CH","Saint Gallen","Wahlkreis St. Gallen",""],["Kiruna",67.8557,20.2251,"town",17037,"SE","Norrbotten","Kiruna Kommun",""],["Muttenz",47.5227,7.6451,"town",16927,"CH","Basel-Landschaft","Bezirk Arlesheim",""],["Råsunda",59.3659,17.9957,"suburb",16877,"SE","Stockholm","Solna Kommun",""],["Wels",48.1667,14.0333,"town",16857,"AT","Upper Austria","Wels Stadt",""],["Boden",65.8252,21.6886,"town",16830,"SE","Norrbotten","Bodens Kommun",""],["Wil",47.4615,9.0455,"town",16808,"CH","Saint Gallen","Wahlkreis Wil",""],["Årsta",59.2978,18.0514,"suburb",16807,"SE","Stockholm","Stockholms Kommun",""],["Nykøbing Falster",54.7691,11.8742,"town",16807,"DK","Zealand","Guldborgsund Kommune",""],["Nyon",46.3832,6.2396,"town",16797,"CH","Vaud","Nyon District",""],["Kristiansund",63.1105,7.7279,"town",16785,"NO","Møre og Romsdal","Kristiansund",""],["Anjala",60.6833,26.8333,"suburb",16779,"FI","Kymenlaakso","Kouvola",""],["Kumla",59.1277,15.1434,"town",16663,"SE","Örebro","Kumla Kommun",""],["Bellinzona",46.1928,9.017,"town",16572,"CH","Ticino","Bellinzona District",""],["Zürich (Kreis 9) / Albisrieden",47.374,8.4901,"suburb",16480,"CH","Zurich","Bezirk Zürich",""],["Innere Stadt",48.2091,16.3713,"suburb",16450,"AT","Vienna","Wien Stadt",""],["Olten",47.35,7.9033,"town",16411,"CH","Solothurn","Bezirk Olten",""],["Oberwinterthur (Kreis 2)",47.5169,8.7686,"suburb",16356,"CH","Zurich","Bezirk Winterthur",""],["Aabenraa",55.0443,9.4174,"town",16344,"DK","South Denmark","Aabenraa Kommune",""],["Hohenems",47.3667,9.6831,"town",16317,"AT","Vorarlberg","Politischer Bezirk Dornbirn",""],["Stockerau",48.3833,16.2167,"town",16292,"AT","Lower Austria","Politischer Bezirk Korneuburg",""],["Kloten",47.4515,8.5849,"town",16289,"CH","Zurich","Bezirk Bülach",""],["Straßgang",47.0333,15.4,"town",16268,"AT","Styria","Graz Stadt",""],["Pully",46.5103,6.6618,"town",16263,"CH","Vaud","Lavaux-Oron District",""],["Gamla Uppsala",59.8982,17.6339,"suburb",16231,"SE","Uppsala","Uppsala Kommun",""],["Uusikaupunki",60.8004,21.4084,"town",16226,"FI","Southwest Finland","Vakka-Suomi",""],["Stadt Winterthur (Kreis 1)",47.4949,8.7195,"town",16182,"CH","Zurich","Bezirk Winterthur",""],["Mariestad",58.7097,13.8237,"town",16122,"SE","Västra Götaland","Mariestads Kommun",""],["Littau",47.05,8.2627,"town",16121,"CH","Lucerne","Lucerne-Stadt District",""],["Baden",47.4733,8.3059,"town",16118,"CH","Aargau","Bezirk Baden",""],["Hudiksvall",61.7274,17.1056,"town",16081,"SE","Gävleborg","Hudiksvalls Kommun",""],["Zürich (Kreis 2) / Wollishofen",47.3401,8.5313,"suburb",16073,"CH","Zurich","Bezirk Zürich",""],["Tullinge",59.2,17.9,"town",16000,"SE","Stockholm","Botkyrka Kommun",""],["Horgen",47.2598,8.5978,"town",15973,"CH","Zurich","Bezirk Horgen",""],["Kalundborg",55.6795,11.0886,"town",15939,"DK","Zealand","Kalundborg Kommune",""],["Grenchen",47.1921,7.3959,"town",15927,"CH","Solothurn","Bezirk Lebern",""],["Västra Frölunda",57.6467,11.9294,"town",15924,"SE","Västra Götaland","Göteborgs stad",""],["Sankt Leonhard",47.0692,15.4578,"suburb",15853,"AT","Styria","Graz Stadt",""],["Nyborg",55.3127,10.7896,"town",15826,"DK","South Denmark","Nyborg Kommune",""],["Vevey",46.463,6.8434,"town",15812,"CH","Vaud","Riviera-Pays-d'Enhaut District",""],["Ljungby",56.8332,13.9408,"town",15785,"SE","Kronoberg","Ljungby Kommun",""],["Sierre",46.2919,7.5356,"town",15752,"CH","Valais","Sierre District",""],["Zürich (Kreis 10) / Wipkingen",47.395,8.5253,"suburb",15718,"CH","Zurich","Bezirk Zürich",""],["Janakkala",60.9,24.6,"town",15698,"FI","Kanta-Häme","Hämeenlinna",""],["Wetzelsdorf",47.0529,15.3992,"suburb",15687,"AT","Styria","Graz Stadt",""],["Pirkkala",61.4612,23.6323,"town",15615,"FI","Pirkanmaa","Tampere",""],["Klosterneuburg",48.3052,16.3252,"town",15614,"AT","Lower Austria","Politischer Bezirk Tulln",""],["Amstetten",48.1229,14.8721,"town",15559,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Zürich (Kreis 8)",47.3548,8.561,"suburb",15519,"CH","Zurich","Bezirk Zürich",""],["Aarau",47.3925,8.0442,"town",15501,"CH","Aargau","Bezirk Aarau",""],["Väståboland",60.2997,22.3004,"town",15498,"FI","Southwest Finland","Åboland-Turunmaa",""],["Lovisa",60.4566,26.225,"town",15466,"FI","Uusimaa","Loviisa",""],["Herisau",47.3862,9.2792,"town",15438,"CH","Appenzell Ausserrhoden","Bezirk Hinterland",""],["Seen (Kreis 3)",47.4765,8.77,"town",15434,"CH","Zurich","Bezirk Winterthur",""],["Staffanstorp",55.6428,13.2064,"town",15373,"SE","Skåne","Staffanstorps Kommun",""],["Lillerød",55.875,12.3458,"town",15359,"DK","Capital Region","Allerød Kommune",""],["Jämsä",61.8642,25.19,"town",15261,"FI","Central Finland","Jämsä",""],["Lieto",60.5103,22.4618,"town",15258,"FI","Southwest Finland","Turku",""],["Ludvika",60.1496,15.1878,"town",15245,"SE","Dalarna","Ludvika Kommun",""],["Adliswil",47.31,8.5246,"town",15230,"CH","Zurich","Bezirk Horgen",""],["Telfs",47.3071,11.0682,"town",15229,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Steffisburg",46.7781,7.6325,"town",15191,"CH","Bern","Thun District",""],["Sankt Peter",47.05,15.4667,"suburb",15187,"AT","Styria","Graz Stadt",""],["Monthey",46.2545,6.9541,"town",15106,"CH","Valais","Monthey District",""],["Perchtoldsdorf",48.1193,16.2661,"town",15047,"AT","Lower Austria","Politischer Bezirk Mödling",""],["Korsør",55.3299,11.1386,"town",15029,"DK","Zealand","Slagelse Kommune",""],["Kinna",57.5073,12.6946,"town",15019,"SE","Västra Götaland","Marks Kommun",""],["Vammala",61.3333,22.9,"town",14982,"FI","Pirkanmaa","Lounais-Pirkanmaa",""],["Zürich (Kreis 3) / Alt-Wiedikon",47.362,8.515,"suburb",14931,"CH","Zurich","Bezirk Zürich",""],["Nastola",60.95,25.9333,"town",14911,"FI","Paijat-Hame","Lahti",""],["Höllviken",55.4098,12.9558,"town",14889,"SE","Skåne","Vellinge Kommun",""],["Pratteln",47.5207,7.6936,"town",14877,"CH","Basel-Landschaft","Bezirk Liestal",""],["Billdal",57.5667,11.9333,"town",14874,"SE","Västra Götaland","Göteborgs stad",""],["Solothurn",47.2079,7.5371,"town",14853,"CH","Solothurn","Bezirk Solothurn",""],["Solrød Strand",55.5329,12.2223,"suburb",14845,"DK","Zealand","Solrød Kommune",""],["Burgdorf",47.059,7.6279,"town",14788,"CH","Bern","Emmental District",""],["Höganäs",56.1997,12.5579,"town",14778,"SE","Skåne","Höganäs Kommun",""],["Martigny-Ville",46.1028,7.0724,"town",14768,"CH","Valais","Martigny District",""],["Ikast",56.1388,9.1577,"town",14692,"DK","Central Jutland","Ikast-Brande Kommune",""],["Orimattila",60.8049,25.7296,"town",14603,"FI","Paijat-Hame","Lahti",""],["Frederikssund",55.8396,12.069,"town",14564,"DK","Capital Region","Frederikssund Kommune",""],["Tranås",58.0372,14.9782,"town",14550,"SE","Jönköping","Tranås Kommun",""],["Nynäshamn",58.9034,17.9479,"town",14532,"SE","Stockholm","Nynäshamns kommun",""],["Kauhajoki",62.4333,22.1833,"town",14526,"FI","South Ostrobothnia","Suupohja",""],["Locarno",46.1709,8.7995,"town",14509,"CH","Ticino","Locarno District",""],["Krems an der Donau",48.4092,15.6142,"town",14473,"AT","Lower Austria","Krems an der Donau",""],["Liebenau",47.0333,15.4667,"suburb",14447,"AT","Styria","Graz Stadt",""],["Ekenäs",59.9736,23.4339,"town",14377,"FI","Uusimaa","Raaseporin",""],["Grenaa",56.4158,10.8782,"town",14317,"DK","Central Jutland","Norddjurs Kommune",""],["Freienbach",47.2053,8.7584,"town",14302,"CH","Schwyz","Bezirk Höfe",""],["Kempele",64.9131,25.5034,"town",14293,"FI","North Ostrobothnia","Oulu",""],["Langenthal",47.2153,7.7961,"town",14184,"CH","Bern","Oberaargau",""],["Schwyz",47.0208,8.6541,"town",14177,"CH","Schwyz","Bezirk Schwyz",""],["Binningen",47.5402,7.5693,"town",14130,"CH","Basel-Landschaft","Bezirk Arlesheim",""],["Morges",46.5113,6.4985,"town",14117,"CH","Vaud","Morges District",""],["Narvik",68.4384,17.4272,"town",14114,"NO","Nordland","Narvik",""],["Lapua",62.9693,23.0088,"town",14091,"FI","South Ostrobothnia","Seinäjoki",""],["Nakskov",54.8304,11.1357,"town",14081,"DK","Zealand","Lolland Kommune",""],["Lillestrøm",59.956,11.0492,"town",14000,"NO","Akershus","Lillestrøm",""],["Arvika",59.6553,12.5852,"town",13926,"SE","Värmland","Arvika Kommun",""],["Rønne",55.1009,14.7066,"town",13890,"DK","Capital Region","Bornholm Kommune",""],["Wohlen",47.3507,8.2752,"town",13875,"CH","Aargau","Bezirk Bremgarten",""],["Wörgl",47.4891,12.0617,"town",13811,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Schwaz",47.3517,11.7101,"town",13728,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Bollnäs",61.3482,16.3946,"town",13716,"SE","Gävleborg","Bollnäs Kommun",""],["Lieksa",63.3167,30.0167,"town",13703,"FI","North Karelia","Pielisen Karjala",""],["Strängnäs",59.3774,17.0312,"town",13693,"SE","Södermanland","Strängnäs Kommun",""],["Hønefoss",60.168,10.2565,"town",13678,"NO","Buskerud","Ringerike",""],["Naantali",60.4674,22.0243,"town",13607,"FI","Southwest Finland","Turku",""],["Skoghall",59.3232,13.4655,"town",13605,"SE","Värmland","Hammarö Kommun",""],["Middelfart",55.5059,9.7305,"town",13596,"DK","South Denmark","Middelfart Kommune",""],["Skanderborg",56.0343,9.9318,"town",13543,"DK","Central Jutland","Skanderborg Kommune",""],["Bludenz",47.1548,9.8225,"town",13534,"AT","Vorarlberg","Politischer Bezirk Bludenz",""],["Vallensbæk",55.622,12.3851,"town",13500,"DK","Capital Region","Vallensbæk Kommune",""],["Cham",47.1821,8.4636,"town",13495,"CH","Zug","Zug",""],["Hard",47.4831,9.6831,"town",13495,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Vetlanda",57.4289,15.0776,"town",13430,"SE","Jönköping","Vetlanda kommun",""],["Äänekoski",62.6,25.7333,"town",13406,"FI","Central Finland","Äänekoski",""],["Hall in Tirol",47.2833,11.5167,"town",13334,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Thalwil",47.2918,8.5635,"town",13296,"CH","Zurich","Bezirk Horgen",""],["Wädenswil",47.2268,8.6687,"town",13269,"CH","Zurich","Bezirk Horgen",""],["Gmunden",47.9184,13.7993,"town",13191,"AT","Upper Austria","Politischer Bezirk Gmunden",""],["Bülach",47.522,8.5405,"town",13172,"CH","Zurich","Bezirk Bülach",""],["Ylivieska",64.0833,24.55,"town",13159,"FI","North Ostrobothnia","Ylivieska",""],["Einsiedeln",47.1285,8.7474,"town",13148,"CH","Schwyz","Bezirk Einsiedeln",""],["Bålsta",59.5671,17.5278,"town",13138,"SE","Uppsala","Håbo kommun",""],["Stenungsund",58.0705,11.8181,"town",13093,"SE","Västra Götaland","Stenungsunds Kommun",""],["Sala",59.9199,16.6065,"town",13087,"SE","Västmanland","Sala kommun",""],["Thônex",46.1882,6.199,"town",13057,"CH","Geneva","Geneva",""],["Bunkeflostrand",55.5448,12.9238,"town",13048,"SE","Skåne","Malmö",""],["Nybro",56.7446,15.9071,"town",13039,"SE","Kalmar","Nybro Kommun",""],["Værløse",55.7825,12.3686,"town",13024,"DK","Capital Region","Furesø Kommune",""],["Thisted",56.9552,8.6949,"town",13020,"DK","North Denmark","Thisted Kommune",""],["Korneuburg",48.35,16.3333,"town",12986,"AT","Lower Austria","Politischer Bezirk Korneuburg",""],["Zürich (Kreis 4) / Hard",47.3831,8.5094,"suburb",12976,"CH","Zurich","Bezirk Zürich",""],["Wetzikon",47.3264,8.7978,"town",12969,"CH","Zurich","Bezirk Hinwil",""],["Arbon",47.5167,9.4333,"town",12933,"CH","Thurgau","Bezirk Arbon",""],["Spittal an der Drau",46.8,13.5,"town",12880,"AT","Carinthia","Politischer Bezirk Spittal an der Drau",""],["Mjölby",58.3259,15.1236,"town",12858,"SE","Östergötland","Mjölby Kommun",""],["Liestal",47.4845,7.7345,"town",12832,"CH","Basel-Landschaft","Bezirk Liestal",""],["Finspång",58.7058,15.7674,"town",12807,"SE","Östergötland","Finspångs Kommun",""],["Varde",55.6211,8.4807,"town",12735,"DK","South Denmark","Varde Kommune",""],["Schlieren",47.3967,8.4476,"town",12695,"CH","Zurich","Bezirk Dietikon",""],["Oxie",55.5401,13.096,"town",12665,"SE","Skåne","Malmö",""],["Ronneby",56.21,15.276,"town",12612,"SE","Blekinge","Ronneby Kommun",""],["Mora",61.007,14.5432,"town",12602,"SE","Dalarna","Mora Kommun",""],["Wülflingen (Kreis 6)",47.5104,8.6833,"town",12598,"CH","Zurich","Bezirk Winterthur",""],["Spiez",46.6847,7.6911,"town",12594,"CH","Bern","Frutigen-Niedersimmental District",""],["Ski",59.7195,10.8358,"town",12513,"NO","Akershus","Nordre Follo",""],["Elverum",60.8819,11.5623,"town",12490,"NO","Innlandet","Elverum",""],["Askim",59.5833,11.1629,"town",12482,"NO","Østfold","Indre Østfold",""],["Tulln",48.3283,16.0586,"town",12421,"AT","Lower Austria","Politischer Bezirk Tulln",""],["Kontiolahti",62.7602,29.8471,"town",12411,"FI","North Karelia","Joensuu",""],["Kankaanpää",61.8,22.4167,"town",12381,"FI","Satakunta","Pohjois-Satakunta",""],["Muri",46.9312,7.4866,"town",12374,"CH","Bern","Bern-Mittelland District",""],["Lomma",55.6724,13.0685,"town",12368,"SE","Skåne","Lomma Kommun",""],["Jessheim",60.1415,11.1752,"town",12365,"NO","Akershus","Ullensaker",""],["Schwechat",48.1333,16.4667,"town",12351,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Horw",47.0169,8.3096,"town",12348,"CH","Lucerne","Lucerne-Land District",""],["Ulvila",61.4284,21.871,"town",12314,"FI","Satakunta","Pori",""],["Onsala",57.4253,12.029,"town",12275,"SE","Halland","Kungsbacka Kommun",""],["Söderhamn",61.3037,17.0592,"town",12259,"SE","Gävleborg","Söderhamns Kommun",""],["Frederiksværk",55.9707,12.0225,"town",12176,"DK","Capital Region","Halsnæs Kommune",""],["Pieksämäki",62.3,27.1333,"town",12167,"FI","South Savo","Pieksämäki",""],["Höör",55.9344,13.5385,"town",12152,"SE","Skåne","Höörs Kommun",""],["Uzwil",47.4365,9.1342,"town",12111,"CH","Saint Gallen","Wahlkreis Wil",""],["Bulle",46.618,7.0569,"town",12095,"CH","Fribourg","Gruyère District",""],["Alta",69.9689,23.2717,"town",12077,"NO","Finnmark","Alta",""],["Kiiminki",65.1314,25.7974,"town",12069,"FI","North Ostrobothnia","Oulu",""],["Vordingborg",55.008,11.9106,"town",12014,"DK","Zealand","Vordingborg Kommune",""],["Pargas",60.3067,22.301,"town",11962,"FI","Southwest Finland","Åboland-Turunmaa",""],["Waltendorf",47.0667,15.4667,"suburb",11960,"AT","Styria","Graz Stadt",""],["Avesta",60.1427,16.1629,"town",11949,"SE","Dalarna","Avesta Kommun",""],["Fagersta",60.0042,15.7932,"town",11936,"SE","Västmanland","Fagersta Kommun",""],["Nurmo",62.8287,22.9099,"town",11908,"FI","","",""],["Ried im Innkreis",48.2112,13.4886,"town",11903,"AT","Upper Austria","Politischer Bezirk Ried im Innkreis",""],["Brunn am Gebirge",48.107,16.2847,"town",11864,"AT","Lower Austria","Politischer Bezirk Mödling",""],["Rankweil",47.2711,9.6431,"town",11855,"AT","Vorarlberg","Politischer Bezirk Feldkirch",""],["Svedala",55.5079,13.2352,"town",11796,"SE","Skåne","Svedala Kommun",""],["Küssnacht",47.0856,8.4421,"town",11777,"CH","Schwyz","Bezirk Küssnacht",""],["Zürich (Kreis 5)",47.3877,8.5215,"suburb",11737,"CH","Zurich","Bezirk Zürich",""],["Wallisellen",47.415,8.5967,"town",11705,"CH","Zurich","Bezirk Bülach",""],["Ilmajoki",62.7333,22.5667,"town",11693,"FI","South Ostrobothnia","Seinäjoki",""],["Brønderslev",57.2702,9.941,"town",11671,"DK","North Denmark","Brønderslev Kommune",""],["Münchenstein",47.5185,7.6097,"town",11644,"CH","Basel-Landschaft","Bezirk Arlesheim",""],["Lienz",46.8289,12.769,"town",11572,"AT","Tyrol","Politischer Bezirk Lienz",""],["Küsnacht",47.318,8.584,"town",11525,"CH","Zurich","Bezirk Meilen",""],["Handen",59.1681,18.138,"town",11524,"SE","Stockholm","Haninge Kommun",""],["Knittelfeld",47.2167,14.8167,"town",11521,"AT","Styria","Politischer Bezirk Murtal",""],["Ekerö",59.291,17.8121,"town",11505,"SE","Stockholm","Ekerö Kommun",""],["Götzis",47.3331,9.6331,"town",11473,"AT","Vorarlberg","Politischer Bezirk Feldkirch",""],["Ebikon",47.0794,8.3404,"town",11471,"CH","Lucerne","Lucerne-Land District",""],["Versoix",46.2838,6.1621,"town",11467,"CH","Geneva","Geneva",""],["Neunkirchen",47.721,16.0811,"town",11461,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Zofingen",47.2878,7.9459,"town",11451,"CH","Aargau","Bezirk Zofingen",""],["Skara",58.3866,13.4384,"town",11437,"SE","Västra Götaland","Skara Kommun",""],["Garðabær",64.0887,-21.923,"town",11421,"IS","Capital Region","Garðabær",""],["Stjørdalshalsen",63.4681,10.9262,"town",11416,"NO","Trøndelag","Stjørdal",""],["Gänserndorf",48.3392,16.7202,"town",11404,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Alby",59.2335,17.8538,"town",11400,"SE","Stockholm","Botkyrka Kommun",""],["Liperi",62.5333,29.3667,"town",11386,"FI","North Karelia","Joensuu",""],["Annabichl",46.65,14.3167,"suburb",11374,"AT","Carinthia","Klagenfurt am Wörthersee",""],["Drøbak",59.6633,10.6297,"town",11363,"NO","Akershus","Frogn",""],["Espergærde",55.9946,12.5473,"town",11358,"DK","Capital Region","Helsingør Kommune",""],["Amriswil",47.547,9.2959,"town",11351,"CH","Thurgau","Bezirk Arbon",""],["Zürich (Kreis 12) / Hirzenbach",47.4019,8.5863,"suburb",11335,"CH","Zurich","Bezirk Zürich",""],["Struer",56.492,8.594,"town",11317,"DK","Central Jutland","Struer Kommune",""],["Delémont",47.3649,7.3445,"town",11315,"CH","Jura","Delémont District",""],["Traun",48.2209,14.2383,"town",11267,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Gösting",47.0979,15.3978,"suburb",11255,"AT","Styria","Graz Stadt",""],["Kongsvinger",60.1905,11.9977,"town",11181,"NO","Innlandet","Kongsvinger",""],["Oxelösund",58.6706,17.1015,"town",11157,"SE","Södermanland","Oxelösunds Kommun",""],["Fløng",55.6621,12.187,"town",11108,"DK","Capital Region","Høje-Taastrup Kommune",""],["Arzl",47.2833,11.4333,"suburb",11082,"AT","Tyrol","Innsbruck Stadt",""],["Hobro",56.6431,9.7903,"town",11064,"DK","North Denmark","Mariagerfjord Kommune",""],["Worb",46.9298,7.5631,"town",11053,"CH","Bern","Bern-Mittelland District",""],["Dragør",55.5928,12.6722,"town",11045,"DK","Capital Region","Dragør Kommune",""],["Mattenbach (Kreis 7)",47.4871,8.7468,"town",11043,"CH","Zurich","Bezirk Winterthur",""],["Leirvik",59.7798,5.5005,"town",11028,"NO","Vestland","Stord",""],["Davos",46.8043,9.8372,"town",11024,"CH","Grisons","Region Prättigau / Davos",""],["Odder",55.9731,10.153,"town",11009,"DK","Central Jutland","Odder Kommune",""],["Keuruu",62.2667,24.7,"town",10942,"FI","Central Finland","Keuruu",""],["Lindome",57.5667,12.0833,"town",10942,"SE","Västra Götaland","Mölndals kommun",""],["Lyss",47.0741,7.3065,"town",10937,"CH","Bern","Seeland District",""],["Leppävirta",62.4901,27.7826,"town",10936,"FI","North Savo","Varkaus",""],["Vennesla",58.2686,7.9731,"town",10931,"NO","Agder","Vennesla",""],["Münsingen",46.873,7.561,"town",10928,"CH","Bern","Bern-Mittelland District",""],["Nesoddtangen",59.8624,10.6631,"town",10911,"NO","Akershus","Nesodden",""],["Arboga",59.3939,15.8388,"town",10841,"SE","Västmanland","Arboga Kommun",""],["Sankt Veit an der Glan",46.7681,14.3603,"town",10841,"AT","Carinthia","Politischer Bezirk Sankt Veit an der Glan",""],["Hallstahammar",59.614,16.2285,"town",10787,"SE","Västmanland","Hallstahammars Kommun",""],["Jordbro",59.1497,18.1167,"town",10757,"SE","Stockholm","Haninge Kommun",""],["Rheinfelden",47.5544,7.794,"town",10733,"CH","Aargau","Bezirk Rheinfelden",""],["Gland",46.4208,6.2701,"town",10641,"CH","Vaud","Nyon District",""],["Ulricehamn",57.7916,13.4142,"town",10629,"SE","Västra Götaland","Ulricehamns Kommun",""],["Kurikka",62.6167,22.4167,"town",10628,"FI","South Ostrobothnia","Seinäjoki",""],["Nivala",63.9167,24.9667,"town",10610,"FI","North Ostrobothnia","Nivala-Haapajärvi",""],["Joutseno",61.118,28.5076,"town",10603,"FI","South Karelia","Lappeenranta",""],["Bjuv",56.0837,12.9191,"town",10602,"SE","Skåne","Bjuvs Kommun",""],["Kongens Lyngby",55.7704,12.5038,"town",10600,"DK","Capital Region","Lyngby-Tårbæk Kommune",""],["Haslev",55.3235,11.9639,"town",10588,"DK","Zealand","Faxe Kommune",""],["Altstätten",47.3777,9.5475,"town",10574,"CH","Saint Gallen","Wahlkreis Rheintal",""],["Spreitenbach",47.4228,8.3679,"town",10562,"CH","Aargau","Bezirk Baden",""],["Plan-les-Ouates",46.1679,6.1166,"town",10540,"CH","Geneva","Geneva",""],["Segeltorp",59.276,17.9307,"suburb",10536,"SE","Stockholm","Huddinge Kommun",""],["Prilly",46.537,6.6046,"town",10524,"CH","Vaud","Ouest Lausannois District",""],["La Tour-de-Peilz",46.4531,6.8586,"town",10522,"CH","Vaud","Riviera-Pays-d'Enhaut District",""],["Imst",47.245,10.7397,"town",10504,"AT","Tyrol","Politischer Bezirk Imst",""],["Timrå",62.4865,17.3261,"town",10495,"SE","Västernorrland","Timrå Kommun",""],["Chêne-Bougeries",46.1984,6.1864,"town",10487,"CH","Geneva","Geneva",""],["Zürich (Kreis 12) / Schwamendingen-Mitte",47.4063,8.5724,"suburb",10476,"CH","Zurich","Bezirk Zürich",""],["Rotkreuz",47.1428,8.4314,"town",10439,"CH","Zug","Zug",""],["Pedersöre",63.65,22.6833,"town",10436,"FI","Ostrobothnia","Jakobstadsregionen",""],["Uster / Kirch-Uster",47.3458,8.7184,"suburb",10428,"CH","Zurich","Bezirk Uster",""],["Buchs",47.1674,9.4779,"town",10418,"CH","Saint Gallen","Wahlkreis Werdenberg",""],["Oftringen",47.3138,7.9253,"town",10390,"CH","Aargau","Bezirk Zofingen",""],["Zürich (Kreis 4) / Langstrasse",47.3777,8.5285,"suburb",10386,"CH","Zurich","Bezirk Zürich",""],["Sotkamo",64.1333,28.4167,"town",10368,"FI","Kainuu","Kajaani",""],["Gällivare",67.1339,20.6528,"town",10362,"SE","Norrbotten","Gällivare kommun",""],["Älajärvi",63.0003,23.8159,"town",10308,"FI","South Ostrobothnia","Järviseutu",""],["Le Locle",47.0562,6.7491,"town",10279,"CH","Neuchâtel","Le Locle District",""],["Lauterach",47.4757,9.7294,"town",10267,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Ecublens",46.529,6.5626,"town",10262,"CH","Vaud","Ouest Lausannois District",""],["Kista",59.4032,17.9448,"town",10254,"SE","Stockholm","Stockholms Kommun",""],["Birsfelden",47.5529,7.6232,"town",10232,"CH","Basel-Landschaft","Bezirk Arlesheim",""],["Kuhmo",64.1333,29.5167,"town",10214,"FI","Kainuu","Kehys-Kainuu",""],["Richterswil",47.2062,8.6969,"town",10189,"CH","Zurich","Bezirk Horgen",""],["Oberwil",47.5141,7.5579,"town",10187,"CH","Basel-Landschaft","Bezirk Arlesheim",""],["Gislaved",57.3044,13.5408,"town",10180,"SE","Jönköping","Gislaveds Kommun",""],["Eksjö",57.6664,14.972,"town",10157,"SE","Jönköping","Eksjö Kommun",""],["Kungsängen",59.4786,17.7483,"town",10151,"SE","Stockholm","Upplands-Bro Kommun",""],["Mandal",58.0274,7.4534,"town",10143,"NO","Agder","Lindesnes",""],["Christianshavn",55.6738,12.5954,"town",10140,"DK","Capital Region","København",""],["Aesch",47.471,7.5973,"town",10138,"CH","Basel-Landschaft","Bezirk Arlesheim",""],["Torslanda",57.7243,11.7701,"town",10129,"SE","Västra Götaland","Göteborgs stad",""],["Paimio",60.4567,22.6869,"town",10126,"FI","Southwest Finland","Turku",""],["Effretikon",47.4258,8.6909,"suburb",10119,"CH","Zurich","Bezirk Pfäffikon",""],["Vårby",59.2667,17.8841,"town",10115,"SE","Stockholm","Huddinge Kommun",""],["Ecublens",46.6073,6.809,"town",10065,"CH","","",""],["Hedensted",55.7704,9.7011,"town",10048,"DK","Central Jutland","Hedensted Kommune",""],["Villars-sur-Glâne",46.7905,7.1172,"town",10021,"CH","Fribourg","Sarine District",""],["Neuhausen",47.6858,8.6147,"town",10019,"CH","Schaffhausen","Bezirk Schaffhausen",""],["Saarijärvi",62.7049,25.254,"town",10011,"FI","Central Finland","Saarijärvi-Viitasaari",""],["Strasshof an der Nordbahn",48.3167,16.6667,"town",10009,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Tårnby",55.6303,12.6004,"town",10000,"DK","Capital Region","Tårnby Kommune",""],["Hämeenkyrö",61.6391,23.1953,"town",9996,"FI","Pirkanmaa","Tampere",""],["Jyllinge",55.7529,12.1031,"town",9981,"DK","Zealand","Roskilde Kommune",""],["Suomussalmi",64.8868,28.9078,"town",9974,"FI","Kainuu","Kehys-Kainuu",""],["Hanko",59.8333,22.95,"town",9962,"FI","Uusimaa","Raaseporin",""],["Zürich (Kreis 7) / Hottingen",47.3701,8.5631,"suburb",9934,"CH","Zurich","Bezirk Zürich",""],["Zürich (Kreis 3) / Friesenberg",47.3637,8.5042,"suburb",9909,"CH","Zurich","Bezirk Zürich",""],["Zürich (Kreis 6) / Oberstrass",47.3892,8.5504,"suburb",9906,"CH","Zurich","Bezirk Zürich",""],["Zürich (Kreis 5) / Gewerbeschule",47.3848,8.5301,"suburb",9891,"CH","Zurich","Bezirk Zürich",""],["Laakirchen",47.9819,13.8217,"town",9861,"AT","Upper Austria","Politischer Bezirk Gmunden",""],["Arth",47.0634,8.5235,"town",9850,"CH","Schwyz","Bezirk Schwyz",""],["Kufstein",47.5833,12.1667,"town",9848,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Bjärred",55.7167,13.0167,"town",9844,"SE","Skåne","Lomma Kommun",""],["Åhus",55.9167,14.2833,"town",9840,"SE","Skåne","Kristianstads kommun",""],["Somero",60.6167,23.5333,"town",9840,"FI","Southwest Finland","Salo",""],["Enns",48.2135,14.4761,"town",9812,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Münchenbuchsee",47.0217,7.4504,"town",9801,"CH","Bern","Bern-Mittelland District",""],["Veyrier",46.167,6.1844,"town",9800,"CH","Geneva","Geneva",""],["Le Grand-Saconnex",46.2319,6.1209,"town",9781,"CH","Geneva","Geneva",""],["Kitee",62.1,30.15,"town",9777,"FI","North Karelia","Keski-Karjala",""],["Bernex",46.1765,6.0754,"town",9759,"CH","Geneva","Geneva",""],["Skagen",57.7209,10.5839,"town",9747,"DK","North Denmark","Frederikshavn Kommune",""],["Flawil",47.413,9.1832,"town",9739,"CH","Saint Gallen","Wahlkreis Wil",""],["Kiuruvesi",63.65,26.6167,"town",9730,"FI","North Savo","Ylä-Savo",""],["Sävja",59.8187,17.6996,"town",9723,"SE","Uppsala","Uppsala Kommun",""],["Purkersdorf",48.2077,16.1754,"town",9701,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Mosjøen",65.836,13.1908,"town",9636,"NO","Nordland","Vefsn",""],["Mariatrost",47.1,15.5,"suburb",9631,"AT","","",""],["Therwil",47.4994,7.5567,"town",9595,"CH","Basel-Landschaft","Bezirk Arlesheim",""],["Rüti",47.256,8.8555,"town",9576,"CH","Zurich","Bezirk Hinwil",""],["Lindesberg",59.592,15.2304,"town",9571,"SE","Örebro","Lindesbergs Kommun",""],["Grimstad",58.3405,8.5934,"town",9561,"NO","Agder","Grimstad",""],["Oulunsalo",64.9346,25.4112,"town",9556,"FI","North Ostrobothnia","Oulu",""],["Smørumnedre",55.7423,12.3028,"town",9507,"DK","Capital Region","Egedal Kommune",""],["Egersund",58.4513,5.9997,"town",9502,"NO","Rogaland","Eigersund",""],["Älmhult",56.5515,14.1383,"town",9495,"SE","Kronoberg","Älmhults Kommun",""],["Saltsjöbaden",59.2833,18.3,"town",9477,"SE","Stockholm","Nacka Kommun",""],["Pudasjärvi",65.3833,26.9167,"town",9459,"FI","North Ostrobothnia","Oulunkaari",""],["Gerasdorf bei Wien",48.2945,16.4676,"town",9442,"AT","Lower Austria","Politischer Bezirk Korneuburg",""],["Sankt Johann in Tirol",47.5233,12.4232,"town",9428,"AT","Tyrol","Politischer Bezirk Kitzbühel",""],["Alavus",62.5833,23.6167,"town",9422,"FI","South Ostrobothnia","Kuusiokunnat",""],["Grindsted",55.7573,8.9275,"town",9414,"DK","South Denmark","Billund Kommune",""],["Weinfelden",47.5667,9.1,"town",9414,"CH","Thurgau","Bezirk Weinfelden",""],["Sarnen",46.8961,8.2453,"town",9410,"CH","Obwalden","Obwalden",""],["Viktring",46.5919,14.2692,"town",9407,"AT","Carinthia","Klagenfurt am Wörthersee",""],["Wiener Neudorf",48.0828,16.3138,"town",9405,"AT","Lower Austria","Politischer Bezirk Mödling",""],["Voitsberg",47.0444,15.1531,"town",9403,"AT","Styria","Politischer Bezirk Voitsberg",""],["Möhlin",47.5592,7.8433,"town",9382,"CH","Aargau","Bezirk Rheinfelden",""],["Suhr",47.3717,8.0797,"town",9374,"CH","Aargau","Bezirk Aarau",""],["Åmål",59.051,12.7049,"town",9373,"SE","Västra Götaland","Åmåls Kommun",""],["Halikko",60.4,23.0833,"town",9344,"FI","Southwest Finland","Salo",""],["Sankt Valentin",48.1667,14.5167,"town",9340,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Eura",61.1333,22.1333,"town",9338,"FI","Satakunta","Rauma",""],["Nykøbing Mors",56.7933,8.8528,"town",9326,"DK","North Denmark","Morsø Kommune",""],["Kävlinge",55.7919,13.1102,"town",9320,"SE","Skåne","Kävlinge Kommun",""],["Ringkøbing",56.0901,8.244,"town",9315,"DK","Central Jutland","Ringkøbing-Skjern Kommune",""],["Belp",46.8913,7.4982,"town",9307,"CH","Bern","Bern-Mittelland District",""],["Arlesheim",47.4941,7.6198,"town",9301,"CH","Basel-Landschaft","Bezirk Arlesheim",""],["Älta",59.2667,18.1833,"town",9274,"SE","Stockholm","Nacka Kommun",""],["Zuchwil",47.2017,7.5665,"town",9268,"CH","Solothurn","Bezirk Wasseramt",""],["Weiz",47.2167,15.6167,"town",9221,"AT","Styria","Politischer Bezirk Weiz",""],["Eisenstadt",47.8456,16.5233,"town",9217,"AT","Burgenland","Eisenstadt",""],["Åstorp",56.1357,12.9443,"town",9215,"SE","Skåne","Åstorps Kommun",""],["Urdorf",47.3851,8.4258,"town",9205,"CH","Zurich","Bezirk Dietikon",""],["Gstaad",46.4721,7.2869,"town",9200,"CH","Bern","Obersimmental-Saanen District",""],["Brugg",47.481,8.2087,"town",9196,"CH","Aargau","Bezirk Brugg",""],["Rum",47.2833,11.45,"town",9190,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Guntramsdorf",48.0469,16.3138,"town",9179,"AT","Lower Austria","Politischer Bezirk Mödling",""],["Eschenbach",47.2398,8.9216,"town",9175,"CH","Saint Gallen","Wahlkreis See-Gaster",""],["Wohlen",46.9712,7.3568,"town",9159,"CH","Bern","Bern-Mittelland District",""],["Säffle",59.1323,12.9289,"town",9150,"SE","Värmland","Säffle Kommun",""],["Zollikofen",46.999,7.4581,"town",9121,"CH","Bern","Bern-Mittelland District",""],["Arlöv",55.6325,13.0714,"town",9108,"SE","Skåne","Burlövs Kommun",""],["Lystrup",56.2375,10.2378,"town",9107,"DK","Central Jutland","Aarhus Kommune",""],["Zürich (Kreis 7) / Witikon",47.3575,8.591,"suburb",9099,"CH","Zurich","Bezirk Zürich",""],["Goldach",47.474,9.4671,"town",9094,"CH","Saint Gallen","Wahlkreis Rorschach",""],["Bruck an der Mur",47.4167,15.2833,"town",9093,"AT","","",""],["Sigtuna",59.6173,17.7236,"town",9074,"SE","Stockholm","Sigtuna Kommun",""],["Neu-Guntramsdorf",48.0642,16.3157,"town",9071,"AT","Lower Austria","Politischer Bezirk Mödling",""],["Berndorf",47.9457,16.1097,"town",9064,"AT","Lower Austria","Politischer Bezirk Baden",""],["Namsos",64.4662,11.4957,"town",9035,"NO","Trøndelag","Namsos",""],["Hünenberg",47.1754,8.425,"town",9032,"CH","Zug","Zug",""],["Rorschach",47.478,9.4903,"town",9000,"CH","Saint Gallen","Wahlkreis Rorschach",""],["Søgne",58.0933,7.7829,"town",9000,"NO","Agder","Kristiansand",""],["Keminmaa",65.8016,24.5448,"town",8980,"FI","Lapland","Kemi-Tornio",""],["Sölvesborg",56.0521,14.5753,"town",8972,"SE","Blekinge","Sölvesborgs kommun",""],["Humlebæk",55.9618,12.5341,"town",8965,"DK","Capital Region","Fredensborg Kommune",""],["Romanshorn",47.5659,9.3787,"town",8956,"CH","Thurgau","Bezirk Arbon",""],["Huittinen",61.1833,22.7,"town",8952,"FI","Satakunta","Pori",""],["Sodankylä",67.4167,26.6,"town",8942,"FI","Lapland","Pohjois-Lappi",""],["Affoltern am Albis",47.2774,8.4513,"town",8928,"CH","Zurich","Bezirk Affoltern",""],["Torshälla",59.4167,16.4667,"town",8928,"SE","Södermanland","Eskilstuna Kommun",""],["Attnang-Puchheim",48.0083,13.7167,"town",8908,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Veltheim (Kreis 5)",47.5142,8.717,"suburb",8901,"CH","Zurich","Bezirk Winterthur",""],["Kemijärvi",66.7131,27.4306,"town",8883,"FI","Lapland","Itä-Lappi",""],["Kalajoki",64.25,23.95,"town",8869,"FI","North Ostrobothnia","Ylivieska",""],["Djursholm",59.3993,18.0562,"town",8856,"SE","Stockholm","Danderyds Kommun",""],["Karis",60.0718,23.6616,"town",8853,"FI","Uusimaa","Raaseporin",""],["Orivesi",61.6777,24.3572,"town",8846,"FI","Pirkanmaa","Tampere",""],["Landvetter",57.6867,12.2117,"town",8839,"SE","Västra Götaland","Härryda Kommun",""],["Maria Enzersdorf",48.1,16.2833,"town",8829,"AT","Lower Austria","Politischer Bezirk Mödling",""],["Løkken",57.3705,9.7147,"town",8828,"DK","North Denmark","Hjørring Kommune",""],["Muurame",62.1333,25.6667,"town",8826,"FI","Central Finland","Jyväskylä",""],["Karkkila",60.5342,24.2098,"town",8811,"FI","Uusimaa","Helsinki sub-region",""],["Nurmes",63.5421,29.1396,"town",8804,"FI","North Karelia","Pielisen Karjala",""],["Alajärvi",63,23.8167,"town",8793,"FI","South Ostrobothnia","Järviseutu",""],["Kvissleby",62.2936,17.375,"town",8785,"SE","Västernorrland","Sundsvalls Kommun",""],["Langnau",46.9394,7.7874,"town",8784,"CH","Bern","Emmental District",""],["Lutry",46.5024,6.6865,"town",8774,"CH","Vaud","Lavaux-Oron District",""],["Elimäki",60.7167,26.4667,"town",8751,"FI","Kymenlaakso","Kouvola",""],["Kauniainen",60.2121,24.7276,"town",8688,"FI","Uusimaa","Helsinki sub-region",""],["Saalfelden am Steinernen Meer",47.4268,12.848,"town",8688,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Altdorf",46.8804,8.6444,"town",8678,"CH","Uri","Uri",""],["Töss (Kreis 4)",47.4789,8.7021,"suburb",8672,"CH","Zurich","Bezirk Winterthur",""],["Jalasjärvi",62.5,22.75,"town",8662,"FI","South Ostrobothnia","Seinäjoki",""],["Deutsch-Wagram",48.2997,16.5667,"town",8651,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Mosfellsbær",64.1667,-21.7,"town",8651,"IS","Capital Region","Mosfellsbaer",""],["Puntigam",47.0333,15.4333,"suburb",8647,"AT","Styria","Graz Stadt",""],["Alvesta",56.8993,14.5556,"town",8627,"SE","Kronoberg","Alvesta Kommun",""],["Hundested",55.964,11.8504,"town",8615,"DK","Capital Region","Halsnæs Kommune",""],["Råholt",60.2751,11.179,"town",8593,"NO","Akershus","Eidsvoll",""],["Trørød",55.8395,12.5443,"town",8576,"DK","Capital Region","Rudersdal Kommune",""],["Lycksele",64.5954,18.6735,"town",8545,"SE","Västerbotten","Lycksele kommun",""],["Wittenbach",47.4611,9.386,"town",8542,"CH","Saint Gallen","Wahlkreis St. Gallen",""],["Asikkala",61.2167,25.5,"town",8540,"FI","Paijat-Hame","Lahti",""],["Leibnitz",46.7816,15.5384,"town",8533,"AT","Styria","Politischer Bezirk Leibnitz",""],["Vejen",55.4812,9.138,"town",8525,"DK","South Denmark","Vejen Kommune",""],["Måløv",55.7553,12.3233,"town",8513,"DK","Capital Region","Ballerup Kommune",""],["Førde",61.4522,5.8572,"town",8510,"NO","Vestland","Sunnfjord",""],["Steinhausen",47.1951,8.4858,"town",8509,"CH","Zug","Zug",""],["Bankeryd",57.8602,14.124,"town",8506,"SE","Jönköping","Jönköpings Kommun",""],["Judenburg",47.1667,14.6667,"town",8481,"AT","Styria","Politischer Bezirk Murtal",""],["Wolfurt",47.4667,9.75,"town",8446,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Brumunddal",60.8809,10.9395,"town",8441,"NO","Innlandet","Ringsaker",""],["Sæby",57.3319,10.5225,"town",8435,"DK","North Denmark","Frederikshavn Kommune",""],["Deutschlandsberg",46.8153,15.2222,"town",8429,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Villacher Vorstadt",46.6237,14.2889,"suburb",8421,"AT","Carinthia","Klagenfurt am Wörthersee",""],["Klippan",56.1356,13.1309,"town",8411,"SE","Skåne","Klippans Kommun",""],["Levanger",63.7464,11.2996,"town",8411,"NO","Trøndelag","Levanger",""],["Finkenstein am Faaker See",46.579,13.935,"town",8406,"AT","","",""],["Laitila",60.8757,21.6976,"town",8403,"FI","Southwest Finland","Vakka-Suomi",""],["Tibro",58.4245,14.1616,"town",8396,"SE","Västra Götaland","Tibro Kommun",""],["Marchtrenk",48.1902,14.1091,"town",8394,"AT","Upper Austria","Wels-Land",""],["Kokemäki",61.2565,22.3564,"town",8390,"FI","Satakunta","Pori",""],["Notodden",59.5594,9.2585,"town",8306,"NO","Telemark","Notodden",""],["Oulainen",64.2667,24.8,"town",8300,"FI","North Ostrobothnia","Ylivieska",""],["Toijala",61.1678,23.8382,"suburb",8300,"FI","Pirkanmaa","Etelä-Pirkanmaa",""],["Kitzbühel",47.4464,12.3922,"town",8272,"AT","Tyrol","Politischer Bezirk Kitzbühel",""],["Bro",59.5167,17.6333,"town",8266,"SE","Stockholm","Upplands-Bro Kommun",""],["Leoben",47.3765,15.0914,"town",8264,"AT","Styria","Politischer Bezirk Leoben",""],["Akaa",61.1667,23.8667,"town",8258,"FI","Pirkanmaa","Etelä-Pirkanmaa",""],["Zürich (Kreis 2) / Enge",47.3605,8.5313,"suburb",8253,"CH","Zurich","Bezirk Zürich",""],["Fredensborg",55.9756,12.4031,"town",8249,"DK","Capital Region","Fredensborg Kommune",""],["Neusiedl am See",47.949,16.8417,"town",8235,"AT","Burgenland","Politischer Bezirk Neusiedl am See",""],["Muhos",64.808,25.9931,"town",8232,"FI","North Ostrobothnia","Oulu",""],["Florø",61.5996,5.0328,"town",8230,"NO","Vestland","Kinn",""],["Hochdorf",47.1684,8.2918,"town",8192,"CH","Lucerne","Hochdorf District",""],["Villach-Innere Stadt",46.6127,13.8464,"suburb",8189,"AT","Carinthia","Villach Stadt",""],["Tidaholm",58.1803,13.9582,"town",8175,"SE","Västra Götaland","Tidaholms kommun",""],["Zirl",47.2741,11.2396,"town",8162,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Akalla",59.4147,17.914,"suburb",8153,"SE","Stockholm","Stockholms Kommun",""],["Hausjärvi",60.7833,24.9333,"town",8151,"FI","Kanta-Häme","Riihimäki",""],["Hallsberg",59.0646,15.1099,"town",8146,"SE","Örebro","Hallsbergs Kommun",""],["Langenzersdorf",48.3043,16.3614,"town",8137,"AT","Lower Austria","Politischer Bezirk Korneuburg",""],["Kirchberg",47.4116,9.0402,"town",8127,"CH","Saint Gallen","Wahlkreis Toggenburg",""],["Fisksätra",59.2915,18.2549,"town",8117,"SE","Stockholm","Nacka Kommun",""],["Wattwil",47.2996,9.0866,"town",8089,"CH","Saint Gallen","Wahlkreis Toggenburg",""],["Chiasso",45.832,9.0312,"town",8060,"CH","Ticino","Mendrisio District",""],["Skurup",55.4784,13.5019,"town",8040,"SE","Skåne","Skurups Kommun",""],["Vimmerby",57.6659,15.8552,"town",8037,"SE","Kalmar","Vimmerby Kommun",""],["Nivå",55.934,12.5048,"town",8035,"DK","Capital Region","Fredensborg Kommune",""],["Gårdsten",57.8048,12.0288,"town",8025,"SE","Västra Götaland","Göteborgs stad",""],["Brevik",59.35,18.2,"town",8024,"SE","Stockholm","Lidingö",""],["Vojens",55.2464,9.306,"town",8019,"DK","South Denmark","Haderslev Kommune",""],["Sursee",47.1709,8.1111,"town",8014,"CH","Lucerne","Sursee District",""],["Bryne",58.7354,5.6477,"town",8006,"NO","Rogaland","Time",""],["Höchst",47.4593,9.6405,"town",7995,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Pfäffikon",47.3645,8.792,"town",7994,"CH","Zurich","Bezirk Pfäffikon",""],["Obersiggenthal",47.4875,8.2965,"town",7990,"CH","Aargau","Bezirk Baden",""],["Ribe",55.3305,8.7697,"town",7983,"DK","South Denmark","Esbjerg Kommune",""],["Knivsta",59.7256,17.7875,"town",7977,"SE","Uppsala","Knivsta kommun",""],["Unterägeri",47.1365,8.5853,"town",7973,"CH","Zug","Zug",""],["Ingenbohl",46.9988,8.6153,"town",7967,"CH","Schwyz","Bezirk Schwyz",""],["Ås",59.6647,10.7947,"town",7961,"NO","Akershus","Ås",""],["Hegnau",47.3923,8.6699,"town",7961,"CH","Zurich","Bezirk Uster",""],["Chêne-Bourg",46.1953,6.1941,"town",7959,"CH","Geneva","Geneva",""],["Neuenhof",47.4498,8.3268,"town",7957,"CH","Aargau","Bezirk Baden",""],["Männedorf",47.2569,8.6989,"town",7951,"CH","Zurich","Bezirk Meilen",""],["Hammarkullen",57.7805,12.036,"town",7914,"SE","Västra Götaland","Göteborgs stad",""],["Sjöbo",55.6313,13.7062,"town",7910,"SE","Skåne","Sjöbo Kommun",""],["Kauhava",63.103,23.0713,"town",7896,"FI","South Ostrobothnia","Seinäjoki",""],["Biberist",47.1801,7.5625,"town",7889,"CH","Solothurn","Bezirk Wasseramt",""],["Wattens",47.2942,11.5907,"town",7881,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Bromölla",56.0755,14.4696,"town",7854,"SE","Skåne","Bromölla Kommun",""],["Reinach",47.2573,8.1809,"town",7845,"CH","Aargau","Bezirk Kulm",""],["Tønder",54.9331,8.8667,"town",7841,"DK","South Denmark","Tønder Kommune",""],["Laihia",62.9761,22.0114,"town",7782,"FI","Ostrobothnia","Vaasa",""],["Aars",56.804,9.5144,"town",7771,"DK","North Denmark","Vesthimmerland Kommune",""],["Loppi",60.7167,24.45,"town",7768,"FI","Kanta-Häme","Riihimäki",""],["Giubiasco",46.1725,9.0079,"town",7752,"CH","Ticino","Bellinzona District",""],["Schübelbach",47.1733,8.9281,"town",7745,"CH","Schwyz","Bezirk March",""],["Habo",57.9119,14.0744,"town",7740,"SE","Jönköping","Habo Kommun",""],["Outokumpu",62.7268,29.0159,"town",7738,"FI","North Karelia","Joensuu",""],["Sæveland",59.2667,5.2,"town",7736,"NO","Rogaland","Karmøy",""],["Lysekil",58.2743,11.4358,"town",7734,"SE","Västra Götaland","Lysekils Kommun",""],["Seiersberg",47,15.4,"town",7728,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Trofaiach",47.4252,15.0068,"town",7728,"AT","Styria","Politischer Bezirk Leoben",""],["Landeck",47.1399,10.5659,"town",7725,"AT","Tyrol","Politischer Bezirk Landeck",""],["Aigle",46.3181,6.9646,"town",7723,"CH","Vaud","Aigle District",""],["Moutier",47.2782,7.3695,"town",7721,"CH","Jura","Moutier",""],["Haapavesi",64.1333,25.3667,"town",7717,"FI","North Ostrobothnia","Haapavesi-Siikalatva",""],["Kristinestad",62.2743,21.376,"town",7712,"FI","Ostrobothnia","Sydösterbotten",""],["Virrat",62.2476,23.78,"town",7707,"FI","Pirkanmaa","Ylä-Pirkanmaa",""],["Epalinges",46.549,6.6683,"town",7706,"CH","Vaud","Lausanne District",""],["Oberriet",47.3209,9.5681,"town",7675,"CH","Saint Gallen","Wahlkreis Rheintal",""],["Payerne",46.8219,6.9382,"town",7655,"CH","Vaud","Broye-Vully District",""],["Marly",46.7761,7.1646,"town",7653,"CH","Fribourg","Sarine District",""],["Haapajärvi",63.75,25.3333,"town",7627,"FI","North Ostrobothnia","Nivala-Haapajärvi",""],["Kil",59.5023,13.3128,"town",7627,"SE","Värmland","Kils Kommun",""],["Aadorf",47.492,8.901,"town",7620,"CH","Thurgau","Bezirk Münchwilen",""],["Zell am See",47.3231,12.7984,"town",7619,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Harjavalta",61.3167,22.1333,"town",7572,"FI","Satakunta","Pori",""],["Suonenjoki",62.6167,27.1333,"town",7568,"FI","North Savo","Sisä-Savo",""],["Osby",56.3817,13.9936,"town",7554,"SE","Skåne","Osby kommun",""],["Oberentfelden",47.3564,8.0459,"town",7553,"CH","Aargau","Bezirk Aarau",""],["Naters",46.3254,7.9891,"town",7552,"CH","Valais","Brig District",""],["Pregassona",46.0202,8.9743,"town",7548,"CH","Ticino","Lugano District",""],["Regensdorf",47.4341,8.4687,"town",7531,"CH","Zurich","Bezirk Dielsdorf",""],["Olofström",56.2773,14.534,"town",7526,"SE","Blekinge","Olofströms Kommun",""],["Viitasaari",63.0667,25.8667,"town",7511,"FI","Central Finland","Saarijärvi-Viitasaari",""],["Ebeltoft",56.1944,10.6821,"town",7501,"DK","Central Jutland","Syddjurs Kommune",""],["Fittja",59.2487,17.8599,"town",7500,"SE","Stockholm","Botkyrka Kommun",""],["Kalix",65.853,23.1564,"town",7495,"SE","Norrbotten","Kalix Kommun",""],["Stans",46.9581,8.3661,"town",7475,"CH","Nidwalden","Nidwalden",""],["Vorchdorf",48.0039,13.9212,"town",7475,"AT","Upper Austria","Politischer Bezirk Gmunden",""],["Bad Vöslau",47.9653,16.2136,"town",7469,"AT","Lower Austria","Politischer Bezirk Baden",""],["Hörby",55.8524,13.6609,"town",7459,"SE","Skåne","Hörby Kommun",""],["Bischofshofen",47.4167,13.2167,"town",7457,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Jämsänkoski",61.919,25.1701,"town",7442,"FI","Central Finland","Jämsä",""],["Sankt Ruprecht",46.6,14.3167,"suburb",7442,"AT","Carinthia","Klagenfurt am Wörthersee",""],["Haid",48.2048,14.2511,"town",7424,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Rothrist",47.3051,7.892,"town",7423,"CH","Aargau","Bezirk Zofingen",""],["Söderköping",58.4806,16.3222,"town",7418,"SE","Östergötland","Söderköpings Kommun",""],["Kottingbrunn",47.951,16.2272,"town",7417,"AT","Lower Austria","Politischer Bezirk Baden",""],["Bussigny",46.5511,6.556,"town",7408,"CH","Vaud","Ouest Lausannois District",""],["Nordborg",55.0573,9.7408,"town",7406,"DK","South Denmark","Sønderborg Kommune",""],["Sollefteå",63.1667,17.2667,"town",7399,"SE","Västernorrland","Sollefteå Kommun",""],["Freistadt",48.511,14.5045,"town",7397,"AT","Upper Austria","Politischer Bezirk Freistadt",""],["Lenzburg",47.3885,8.175,"town",7392,"CH","Aargau","Bezirk Lenzburg",""],["Bjerringbro",56.378,9.6607,"town",7390,"DK","Central Jutland","Viborg Kommune",""],["Ternitz",47.7156,16.0358,"town",7378,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Hedemora",60.2797,15.9886,"town",7371,"SE","Dalarna","Hedemora Kommun",""],["Helsinge",56.0228,12.1975,"town",7354,"DK","Capital Region","Gribskov Kommune",""],["Lapinlahti",63.3667,27.4,"town",7350,"FI","North Savo","Ylä-Savo",""],["Nykarleby",63.5228,22.5307,"town",7338,"FI","Ostrobothnia","Jakobstadsregionen",""],["Lengnau",47.1816,7.3681,"town",7336,"CH","Bern","Biel/Bienne District",""],["Lemvig",56.5486,8.3102,"town",7330,"DK","Central Jutland","Lemvig Kommune",""],["Nykvarn",59.1772,17.4323,"town",7327,"SE","Stockholm","Nykvarns Kommun",""],["Mendrisio",45.8702,8.9816,"town",7310,"CH","Ticino","Mendrisio District",""],["Pfäffikon",47.2011,8.7782,"town",7310,"CH","Schwyz","Bezirk Höfe",""],["Ikaalinen",61.7695,23.0658,"town",7309,"FI","Pirkanmaa","Luoteis-Pirkanmaa",""],["Tranbjerg",56.0952,10.136,"town",7307,"DK","Central Jutland","Aarhus Kommune",""],["Bergshamra",59.3808,18.0343,"town",7300,"SE","Stockholm","Solna Kommun",""],["Oberwart",47.2897,16.206,"town",7288,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Ljusdal",61.8288,16.0913,"town",7259,"SE","Gävleborg","Ljusdals Kommun",""],["Iitti",60.8949,26.3387,"town",7246,"FI","Paijat-Hame","Lahti",""],["Faaborg",55.0951,10.2423,"town",7239,"DK","South Denmark","Faaborg-Midtfyn Kommune",""],["Parkano",62.0167,23.0167,"town",7213,"FI","Pirkanmaa","Luoteis-Pirkanmaa",""],["Pyhäselkä",62.4333,29.9667,"town",7210,"FI","North Karelia","Joensuu",""],["Hallein",47.6833,13.1,"town",7208,"AT","Salzburg","Politischer Bezirk Hallein",""],["Degerfors",59.238,14.4308,"town",7190,"SE","Örebro","Degerfors Kommun",""],["Strömstad",58.9395,11.1712,"town",7176,"SE","Västra Götaland","Strömstads Kommun",""],["Sorø",55.4318,11.5555,"town",7167,"DK","Zealand","Sorø Kommune",""],["Juva",61.9,27.85,"town",7165,"FI","South Savo","Pieksämäki",""],["Düdingen",46.8492,7.1915,"town",7155,"CH","Fribourg","Sense District",""],["Verdal",63.7933,11.4817,"town",7154,"NO","Trøndelag","Verdal",""],["Valbo",60.65,17.0333,"town",7147,"SE","Gävleborg","Gävle Kommun",""],["Skjern",55.95,8.5,"town",7145,"DK","Central Jutland","Ringkøbing-Skjern Kommune",""],["Jenbach",47.3917,11.7724,"town",7120,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Lövgärdet",57.8156,12.0386,"town",7113,"SE","Västra Götaland","Göteborgs stad",""],["Absam",47.2957,11.5059,"town",7112,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Siebnen",47.1745,8.8978,"town",7104,"CH","Schwyz","Bezirk March",""],["Embrach",47.5056,8.5941,"town",7088,"CH","Zurich","Bezirk Bülach",""],["Skanör med Falsterbo",55.4,12.85,"town",7077,"SE","Skåne","Vellinge Kommun",""],["Liminka",64.8098,25.4154,"town",7058,"FI","North Ostrobothnia","Oulu",""],["Hinnerup",56.2661,10.063,"town",7055,"DK","Central Jutland","Favrskov Kommune",""],["Inari",68.906,27.0288,"town",7049,"FI","Lapland","Pohjois-Lappi",""],["Hadsten",56.3282,10.0493,"town",7020,"DK","Central Jutland","Favrskov Kommune",""],["Åtvidaberg",58.2015,15.9977,"town",7014,"SE","Östergötland","Åtvidabergs Kommun",""],["Bassersdorf",47.4434,8.6285,"town",7010,"CH","Zurich","Bezirk Bülach",""],["Zürich (Kreis 7) / Fluntern",47.3801,8.5613,"suburb",7009,"CH","Zurich","Bezirk Zürich",""],["Langnau am Albis",47.2888,8.5411,"town",7000,"CH","Zurich","Bezirk Horgen",""],["Vösendorf",48.1211,16.3404,"town",6990,"AT","Lower Austria","Politischer Bezirk Mödling",""],["Sankt Martin",48.2309,14.2678,"town",6984,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Oppdal",62.5943,9.6912,"town",6976,"NO","Trøndelag","Oppdal",""],["Åby",58.6667,16.1833,"town",6917,"SE","Östergötland","Norrköpings Kommun",""],["Eno",62.8051,30.1542,"town",6891,"FI","North Karelia","Joensuu",""],["Wollerau",47.1948,8.719,"town",6883,"CH","Schwyz","Bezirk Höfe",""],["Bruck an der Leitha",48.0167,16.7667,"town",6882,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Hollabrunn",48.55,16.0833,"town",6882,"AT","Lower Austria","Politischer Bezirk Hollabrunn",""],["Mäntyharju",61.4167,26.8833,"town",6871,"FI","South Savo","Mikkeli",""],["Ähtäri",62.554,24.0619,"town",6835,"FI","South Ostrobothnia","Kuusiokunnat",""],["Slangerup",55.85,12.1833,"town",6829,"DK","Capital Region","Frederikssund Kommune",""],["Thalwil / Dorfkern",47.2905,8.5663,"suburb",6829,"CH","Zurich","Bezirk Horgen",""],["Aarburg",47.3207,7.8999,"town",6828,"CH","Aargau","Bezirk Zofingen",""],["Igis",46.9453,9.5722,"town",6828,"CH","Grisons","Region Landquart",""],["Tomelilla",55.5429,13.9546,"town",6826,"SE","Skåne","Tomelilla Kommun",""],["Domat",46.8348,9.4507,"town",6817,"CH","Grisons","Region Imboden",""],["Kronoby",63.7286,23.0339,"town",6813,"FI","Ostrobothnia","Jakobstadsregionen",""],["Gratkorn",47.1333,15.35,"town",6806,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Hammerfest",70.6634,23.6821,"town",6788,"NO","Finnmark","Hammerfest",""],["Kållered",57.6099,12.0511,"town",6784,"SE","Västra Götaland","Mölndals kommun",""],["Simrishamn",55.5565,14.3504,"town",6779,"SE","Skåne","Simrishamns kommun",""],["Zürich (Kreis 7) / Hirslanden",47.3624,8.5676,"suburb",6769,"CH","Zurich","Bezirk Zürich",""],["Ljungsbro",58.5167,15.5,"town",6763,"SE","Östergötland","Linköpings Kommun",""],["Völs",47.25,11.3333,"town",6738,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Bramming",55.4695,8.7001,"town",6726,"DK","South Denmark","Esbjerg Kommune",""],["Reutte",47.4833,10.7167,"town",6704,"AT","Tyrol","Politischer Bezirk Reutte",""],["Sogndal",61.2291,7.0967,"town",6700,"NO","Vestland","Sogndal",""],["Nidau",47.1255,7.2403,"town",6696,"CH","Bern","Biel/Bienne District",""],["Windisch",47.479,8.2184,"town",6689,"CH","Aargau","Bezirk Brugg",""],["Lachen",47.1922,8.8532,"town",6685,"CH","Schwyz","Bezirk March",""],["Haparanda",65.8355,24.1368,"town",6679,"SE","Norrbotten","Haparanda Kommun",""],["Au",47.4309,9.6345,"town",6673,"CH","Saint Gallen","Wahlkreis Rheintal",""],["Frutigen",46.5872,7.6494,"town",6671,"CH","Bern","Frutigen-Niedersimmental District",""],["Ollon",46.2952,6.9931,"town",6665,"CH","Vaud","Aigle District",""],["Hirtshals",57.5881,9.9592,"town",6653,"DK","North Denmark","Hjørring Kommune",""],["Minusio",46.1777,8.8147,"town",6653,"CH","Ticino","Locarno District",""],["Conthey",46.2237,7.3028,"town",6634,"CH","Valais","Conthey District",""],["Zermatt",46.02,7.7486,"town",6629,"CH","Valais","Visp District",""],["Bagnes",46.0833,7.2167,"town",6626,"CH","Valais","Entremont District",""],["Altach",47.35,9.65,"town",6624,"AT","Vorarlberg","Politischer Bezirk Feldkirch",""],["Saanen",46.4894,7.26,"town",6621,"CH","Bern","Obersimmental-Saanen District",""],["Groß-Enzersdorf",48.2028,16.5508,"town",6616,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Akranes",64.3218,-22.0749,"town",6612,"IS","West","Akraneskaupstaður",""],["Crissier",46.5459,6.5757,"town",6612,"CH","Vaud","Ouest Lausannois District",""],["Traiskirchen",48.0149,16.2932,"town",6608,"AT","Lower Austria","Politischer Bezirk Baden",""],["Buchs",47.3936,8.0823,"town",6599,"CH","Aargau","Bezirk Aarau",""],["Nora",59.5193,15.0398,"town",6597,"SE","Örebro","Nora Kommun",""],["Flen",59.0583,16.5878,"town",6594,"SE","Södermanland","Flens Kommun",""],["Liezen",47.5667,14.2333,"town",6587,"AT","Styria","Politischer Bezirk Liezen",""],["Kremsmünster",48.0529,14.1292,"town",6585,"AT","Upper Austria","Politischer Bezirk Kirchdorf an der Krems",""],["Kramfors",62.9316,17.7765,"town",6582,"SE","Västernorrland","Kramfors Kommun",""],["Mattersburg",47.7333,16.4,"town",6577,"AT","Burgenland","Politischer Bezirk Mattersburg",""],["Visp",46.2937,7.8815,"town",6576,"CH","Valais","Visp District",""],["Hainburg an der Donau",48.1463,16.945,"town",6570,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Auen",46.5996,13.8439,"suburb",6563,"AT","Carinthia","Villach Stadt",""],["Gränichen",47.3593,8.1024,"town",6557,"CH","Aargau","Bezirk Aarau",""],["Wilhelmsburg",48.1057,15.6054,"town",6557,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Piikkiö",60.4248,22.516,"town",6553,"FI","Southwest Finland","Turku",""],["Ii",65.3174,25.3731,"town",6546,"FI","North Ostrobothnia","Oulunkaari",""],["Bremgarten",47.3511,8.3421,"town",6543,"CH","Aargau","Bezirk Bremgarten",""],["Meggen",47.0469,8.3747,"town",6533,"CH","Lucerne","Lucerne-Land District",""],["Laholm",56.5121,13.0437,"town",6527,"SE","Halland","Laholms Kommun",""],["Mattighofen",48.1073,13.1508,"town",6524,"AT","Upper Austria","Politischer Bezirk Braunau am Inn",""],["Porrentruy",47.4173,7.0757,"town",6521,"CH","Jura","Porrentruy District",""],["Tammela",60.8103,23.7682,"town",6519,"FI","Kanta-Häme","Forssa",""],["Blécherette",46.5393,6.6223,"suburb",6516,"CH","Vaud","Lausanne District",""],["Kilchberg",47.3244,8.5455,"town",6511,"CH","Zurich","Bezirk Horgen",""],["Selfoss",63.9331,-20.9971,"town",6510,"IS","South","Sveitarfélagið Árborg",""],["Kopervik",59.2835,5.3067,"town",6507,"NO","Rogaland","Karmøy",""],["Hafendorf",47.4565,15.3184,"town",6506,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Vellinge",55.4712,13.0197,"town",6496,"SE","Skåne","Vellinge Kommun",""],["Gallneukirchen",48.3536,14.416,"town",6492,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Löddeköpinge",55.7667,13.0167,"town",6481,"SE","Skåne","Kävlinge Kommun",""],["Nilsiä",63.2075,28.0822,"town",6474,"FI","North Savo","Kuopio",""],["Mistelbach",48.57,16.5767,"town",6463,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Muri",47.2743,8.3385,"town",6463,"CH","Aargau","Bezirk Muri",""],["Sirnach",47.4622,8.9976,"town",6463,"CH","Thurgau","Bezirk Münchwilen",""],["Mänttä",62.0301,24.6279,"town",6459,"FI","Pirkanmaa","Ylä-Pirkanmaa",""],["Skælskør",55.2506,11.2935,"town",6455,"DK","Zealand","Slagelse Kommune",""],["Dornach",47.4804,7.6164,"town",6449,"CH","Solothurn","Bezirk Dorneck",""],["Fetsund",59.9246,11.1571,"town",6441,"NO","Akershus","Lillestrøm",""],["Frastanz",47.2174,9.6299,"town",6434,"AT","Vorarlberg","Politischer Bezirk Feldkirch",""],["Thal",47.4668,9.5664,"town",6433,"CH","Saint Gallen","Wahlkreis Rorschach",""],["Ruswil",47.0842,8.1265,"town",6432,"CH","Lucerne","Sursee District",""],["Malvik",63.4333,10.6833,"town",6419,"NO","Trøndelag","Malvik",""],["Gleisdorf",47.1056,15.7101,"town",6418,"AT","Styria","Politischer Bezirk Weiz",""],["Ilomantsi",62.6716,30.9328,"town",6408,"FI","North Karelia","Joensuu",""],["Grabs",47.1825,9.4439,"town",6384,"CH","Saint Gallen","Wahlkreis Werdenberg",""],["Spratzern",48.1704,15.6184,"suburb",6376,"AT","Lower Austria","Sankt Pölten Stadt",""],["Viganello",46.0134,8.9688,"town",6375,"CH","Ticino","Lugano District",""],["Forshaga",59.5254,13.4813,"town",6361,"SE","Värmland","Forshaga Kommun",""],["Brande",55.9432,9.128,"town",6357,"DK","Central Jutland","Ikast-Brande Kommune",""],["Hörbranz",47.55,9.75,"town",6346,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Untersiggenthal",47.5021,8.2555,"town",6344,"CH","Aargau","Bezirk Baden",""],["Storvreta",59.9593,17.7059,"town",6340,"SE","Uppsala","Uppsala Kommun",""],["Ørsta",62.1998,6.129,"town",6337,"NO","Møre og Romsdal","Ørsta",""],["Fürstenfeld",47.05,16.0833,"town",6327,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Södra Sandby",55.7168,13.3466,"town",6306,"SE","Skåne","Lunds Kommun",""],["Dalby",55.6666,13.3498,"town",6302,"SE","Skåne","Lunds Kommun",""],["Skutskär",60.6251,17.4155,"town",6279,"SE","Uppsala","Älvkarleby Kommun",""],["Mynämäki",60.6791,21.9927,"town",6271,"FI","Southwest Finland","Turku",""],["Surahammar",59.7073,16.2219,"town",6270,"SE","Västmanland","Surahammars Kommun",""],["Neuhofen an der Krems",48.1387,14.2276,"town",6269,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Støvring",56.8854,9.8384,"town",6239,"DK","North Denmark","Rebild Kommune",""],["Pressbaum",48.1833,16.0833,"town",6237,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Trimbach",47.3656,7.8868,"town",6220,"CH","Solothurn","Bezirk Gösgen",""],["Kangasniemi",61.9936,26.6478,"town",6211,"FI","South Savo","Mikkeli",""],["Hjo",58.3013,14.2878,"town",6203,"SE","Västra Götaland","Hjo Kommun",""],["Zürich (Kreis 1)",47.3706,8.5418,"suburb",6185,"CH","Zurich","Bezirk Zürich",""],["Vuokatti",64.1447,28.282,"town",6183,"FI","Kainuu","Kajaani",""],["Malters",47.0363,8.1819,"town",6181,"CH","Lucerne","Lucerne-Land District",""],["Frenkendorf",47.5069,7.7165,"town",6180,"CH","Basel-Landschaft","Bezirk Liestal",""],["Lichtenegg",48.15,14,"town",6163,"AT","Upper Austria","Wels Stadt",""],["Billund",55.7335,9.1078,"town",6160,"DK","South Denmark","Billund Kommune",""],["Dietlikon / Dietlikon (Dorf)",47.4183,8.6188,"suburb",6149,"CH","Zurich","Bezirk Bülach",""],["Horgen / Horgen (Dorfkern)",47.256,8.6016,"suburb",6140,"CH","Zurich","Bezirk Horgen",""],["Hammel",56.2576,9.8632,"town",6138,"DK","Central Jutland","Favrskov Kommune",""],["Pyhäjärvi",63.6667,25.9,"town",6138,"FI","","",""],["Holmestrand",59.4876,10.3176,"town",6135,"NO","Vestfold","Holmestrand",""],["Filipstad",59.7124,14.1683,"town",6119,"SE","Värmland","Filipstads Kommun",""],["Indre Arna",60.4177,5.4709,"town",6117,"NO","Vestland","Bergen",""],["Leksand",60.7303,14.9999,"town",6107,"SE","Dalarna","Leksands kommun",""],["Pyhäjärvi",67.0701,27.2176,"town",6094,"FI","Lapland","Itä-Lappi",""],["Derendingen",47.1985,7.5884,"town",6093,"CH","Solothurn","Bezirk Wasseramt",""],["Teuva",62.4819,21.7416,"town",6092,"FI","South Ostrobothnia","Suupohja",""],["Hofors",60.5457,16.2867,"town",6090,"SE","Gävleborg","Hofors Kommun",""],["Bolligen",46.9751,7.497,"town",6086,"CH","Bern","Bern-Mittelland District",""],["Hørning",56.087,10.0372,"town",6085,"DK","Central Jutland","Skanderborg Kommune",""],["Åsa",57.35,12.1167,"town",6084,"SE","Halland","Kungsbacka Kommun",""],["Lillesand",58.2488,8.3778,"town",6081,"NO","Agder","Lillesand",""],["Noormarkku",61.5927,21.8685,"town",6076,"FI","Satakunta","Pori",""],["Losone",46.1687,8.7593,"town",6070,"CH","Ticino","Locarno District",""],["Assens",55.2702,9.9008,"town",6053,"DK","South Denmark","Assens Kommune",""],["Raufoss",60.726,10.6133,"town",6052,"NO","Innlandet","Vestre Toten",""],["Järna",59.0917,17.5662,"town",6038,"SE","Stockholm","Södertälje Kommun",""],["Juuka",63.2333,29.25,"town",6035,"FI","North Karelia","Joensuu",""],["Nykvarn",59.8,18.3,"town",6032,"SE","Stockholm","Norrtälje Kommun",""],["Gråbo",57.8362,12.2995,"town",6021,"SE","Västra Götaland","Lerums Kommun",""],["Malmberget",67.1753,20.6549,"town",6017,"SE","Norrbotten","Gällivare kommun",""],["Pöllau",47.3,15.8333,"town",6014,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Surte",57.8253,12.016,"town",6003,"SE","Västra Götaland","Ale Kommun",""],["Mürzzuschlag",47.6066,15.6723,"town",5975,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Masku",60.5708,22.0988,"town",5974,"FI","Southwest Finland","Turku",""],["Kannus",63.9,23.9,"town",5968,"FI","Central Ostrobothnia","Kokkola",""],["Neuenkirch",47.0999,8.2042,"town",5963,"CH","Lucerne","Sursee District",""],["Holmsund",63.706,20.3641,"town",5962,"SE","Västerbotten","Umeå Kommun",""],["Åkarp",55.654,13.1111,"town",5959,"SE","Skåne","Burlövs Kommun",""],["Bex",46.2497,7.0098,"town",5956,"CH","Vaud","Aigle District",""],["Fauske",67.2588,15.3918,"town",5953,"NO","Nordland","Fauske",""],["Kløfta",60.0741,11.138,"town",5942,"NO","Akershus","Ullensaker",""],["Södra Sandby",56.5667,16.6167,"town",5941,"SE","Kalmar","Mörbylånga Kommun",""],["Mattenbach (Kreis 7) / Deutweg",47.4942,8.7395,"suburb",5930,"CH","Zurich","Bezirk Winterthur",""],["Collombey",46.2739,6.9479,"town",5926,"CH","Valais","Monthey District",""],["Fully",46.1385,7.1147,"town",5922,"CH","Valais","Martigny District",""],["Bottmingen",47.5234,7.5721,"town",5912,"CH","Basel-Landschaft","Bezirk Arlesheim",""],["Rydebäck",55.9667,12.7667,"town",5904,"SE","Skåne","Helsingborg",""],["Biasca",46.3597,8.9696,"town",5885,"CH","Ticino","Riviera District",""],["Kungsör",59.4224,16.0966,"town",5885,"SE","Västmanland","Kungsörs kommun",""],["Sissach",47.4641,7.8089,"town",5873,"CH","Basel-Landschaft","Bezirk Sissach",""],["Balsthal",47.3161,7.6932,"town",5863,"CH","Solothurn","Bezirk Thal",""],["Kirchbichl",47.5174,12.0963,"town",5855,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Micheldorf in Oberösterreich",47.8776,14.1336,"town",5854,"AT","Upper Austria","Politischer Bezirk Kirchdorf an der Krems",""],["Breitenfurt bei Wien",48.1333,16.15,"town",5853,"AT","Lower Austria","Politischer Bezirk Mödling",""],["Perstorp",56.1383,13.3948,"town",5847,"SE","Skåne","Perstorps Kommun",""],["Kerimäki",61.9107,29.2823,"town",5841,"FI","South Savo","Savonlinna",""],["Vi",62.4333,17.4167,"town",5841,"SE","Västernorrland","Sundsvalls Kommun",""],["Trosa",58.8962,17.5481,"town",5836,"SE","Södermanland","Trosa Kommun",""],["Tierp",60.3427,17.5181,"town",5826,"SE","Uppsala","Tierps kommun",""],["Ries",47.0832,15.485,"suburb",5819,"AT","Styria","Graz Stadt",""],["Tananger",58.9362,5.5741,"town",5817,"NO","Rogaland","Sola",""],["Perg",48.25,14.6333,"town",5812,"AT","Upper Austria","Politischer Bezirk Perg",""],["Zollikon",47.3402,8.5741,"town",5812,"CH","Zurich","Bezirk Meilen",""],["Perniö",60.2,23.1333,"town",5809,"FI","Southwest Finland","Salo",""],["Oberengstringen",47.4084,8.4651,"town",5805,"CH","Zurich","Bezirk Dietikon",""],["Murten/Morat",46.9283,7.1171,"town",5800,"CH","Fribourg","See District",""],["Gilleleje",56.122,12.3106,"town",5799,"DK","Capital Region","Gribskov Kommune",""],["Oberndorf bei Salzburg",47.95,12.9333,"town",5794,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Nakkila",61.3667,22,"town",5792,"FI","Satakunta","Pori",""],["Kirchenviertel",47.1312,15.3476,"suburb",5791,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Ruokolahti",61.2833,28.8333,"town",5780,"FI","South Karelia","Imatra",""],["Sandnessjøen",66.0217,12.6316,"town",5778,"NO","Nordland","Alstahaug",""],["Massagno",46.0126,8.9435,"town",5774,"CH","Ticino","Lugano District",""],["Gnesta",59.0475,17.3119,"town",5772,"SE","Södermanland","Gnesta Kommun",""],["Amras",47.25,11.4167,"suburb",5771,"AT","Tyrol","Innsbruck Stadt",""],["Kerteminde",55.449,10.6577,"town",5748,"DK","South Denmark","Kerteminde Kommune",""],["Wimpassing",48.1667,13.9833,"town",5748,"AT","Upper Austria","Wels Stadt",""],["Lochau",47.5333,9.75,"town",5747,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Stäfa",47.2425,8.7234,"town",5737,"CH","Zurich","Bezirk Meilen",""],["Les Avanchets",46.2217,6.1081,"town",5730,"CH","Geneva","Geneva",""],["Peseux",46.987,6.889,"town",5716,"CH","Neuchâtel","Neuchâtel District",""],["Kittilä",67.6647,24.8936,"town",5713,"FI","Lapland","Tunturi-Lappi",""],["Gelterkinden",47.465,7.8517,"town",5709,"CH","Basel-Landschaft","Bezirk Sissach",""],["Lindsdal",56.7333,16.3,"town",5709,"SE","Kalmar","Kalmar Kommun",""],["Hommersåk",58.9256,5.851,"town",5692,"NO","Rogaland","Sandnes",""],["Teufen",47.3908,9.3864,"town",5683,"CH","Appenzell Ausserrhoden","Bezirk Mittelland",""],["Glarus",47.0406,9.068,"town",5681,"CH","Glarus","Glarus",""],["Vadstena",58.4486,14.8897,"town",5674,"SE","Östergötland","Vadstena Kommun",""],["Stavnsholt",55.8148,12.4055,"town",5658,"DK","Capital Region","Furesø Kommune",""],["Eurajoki",61.2,21.7333,"town",5656,"FI","Satakunta","Rauma",""],["Uetendorf",46.7739,7.5725,"town",5654,"CH","Bern","Thun District",""],["Appenzell",47.331,9.41,"town",5649,"CH","Appenzell Innerrhoden","Appenzell Inner Rhodes",""],["Färjestaden",56.6499,16.4686,"town",5645,"SE","Kalmar","Mörbylånga Kommun",""],["Tyrnävä",64.7647,25.6523,"town",5636,"FI","North Ostrobothnia","Oulu",""],["Lammi",61.0833,25.0167,"town",5634,"FI","Kanta-Häme","Hämeenlinna",""],["Oberuzwil",47.4308,9.1272,"town",5616,"CH","Saint Gallen","Wahlkreis Wil",""],["Flekkefjord",58.297,6.6607,"town",5615,"NO","Agder","Flekkefjord",""],["Neder Holluf",55.3645,10.4482,"town",5612,"DK","South Denmark","Odense Kommune",""],["Hart",48.2653,14.2569,"town",5610,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Nykøbing Sjælland",55.9249,11.6711,"town",5596,"DK","Zealand","Odsherred Kommune",""],["Pfäffikon / Pfäffikon (Dorfkern)",47.3694,8.7831,"suburb",5595,"CH","Zurich","Bezirk Pfäffikon",""],["Stavern",59,10.0333,"town",5593,"NO","Vestfold","Larvik",""],["Mullsjö",57.9171,13.8783,"town",5584,"SE","Jönköping","Mullsjö kommun",""],["Ylistaro",62.9396,22.5131,"town",5580,"FI","","",""],["Adligenswil",47.0652,8.3612,"town",5576,"CH","Lucerne","Lucerne-Land District",""],["Savièse",46.2512,7.3456,"town",5575,"CH","Valais","Sion District",""],["Voss",60.6287,6.4147,"town",5571,"NO","Vestland","Voss",""],["Zürich (Kreis 8) / Mühlebach",47.3573,8.5574,"suburb",5570,"CH","Zurich","Bezirk Zürich",""],["Jokioinen",60.8016,23.48,"town",5568,"FI","Kanta-Häme","Forssa",""],["Uznach",47.2242,8.9826,"town",5561,"CH","Saint Gallen","Wahlkreis See-Gaster",""],["Tranby",59.8085,10.2611,"town",5552,"NO","Buskerud","Lier",""],["Urjala",61.0833,23.5333,"town",5542,"FI","Pirkanmaa","Etelä-Pirkanmaa",""],["Jørpeland",59.0225,6.0408,"town",5537,"NO","Rogaland","Strand",""],["Joroinen",62.1782,27.8316,"town",5536,"FI","North Savo","Varkaus",""],["Buochs",46.974,8.4228,"town",5524,"CH","Nidwalden","Nidwalden",""],["Herzogenbuchsee",47.188,7.7062,"town",5522,"CH","Bern","Oberaargau",""],["Pielavesi",63.2333,26.75,"town",5521,"FI","North Savo","Ylä-Savo",""],["Malax",62.9423,21.5731,"town",5517,"FI","Ostrobothnia","Vaasa",""],["Mysen",59.5535,11.3258,"town",5516,"NO","Østfold","Indre Østfold",""],["Juankoski",63.0667,28.35,"town",5514,"FI","","",""],["Hultsfred",57.4881,15.8436,"town",5510,"SE","Kalmar","Hultsfreds Kommun",""],["Deuchendorf",47.4659,15.3217,"town",5507,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Heimberg",46.7948,7.6043,"town",5501,"CH","Bern","Thun District",""],["Würenlos",47.4421,8.3626,"town",5497,"CH","Aargau","Bezirk Baden",""],["Horn",48.6627,15.6566,"town",5494,"AT","Lower Austria","Politischer Bezirk Horn",""],["Villmergen",47.3501,8.2476,"town",5489,"CH","Aargau","Bezirk Bremgarten",""],["Hinwil",47.2943,8.8439,"town",5488,"CH","Zurich","Bezirk Hinwil",""],["Judendorf",47.4,15.1,"suburb",5475,"AT","Styria","Politischer Bezirk Leoben",""],["Völkendorf",46.6081,13.8315,"suburb",5474,"AT","Carinthia","Villach Stadt",""],["Viiala",61.2102,23.7674,"town",5472,"FI","Pirkanmaa","Etelä-Pirkanmaa",""],["Chavannes",46.5301,6.5707,"town",5454,"CH","Vaud","Ouest Lausannois District",""],["Rødekro",55.0708,9.3353,"town",5452,"DK","South Denmark","Aabenraa Kommune",""],["Skåre",59.4333,13.4333,"town",5444,"SE","Värmland","Karlstads Kommun",""],["Pinkafeld",47.3667,16.1167,"town",5438,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Hergiswil",46.9843,8.3094,"town",5437,"CH","Nidwalden","Nidwalden",""],["Mühlau",47.2833,11.4,"town",5435,"AT","Tyrol","Innsbruck Stadt",""],["Vilppula",62.0212,24.5048,"town",5422,"FI","Pirkanmaa","Ylä-Pirkanmaa",""],["Menziken",47.2396,8.19,"town",5415,"CH","Aargau","Bezirk Kulm",""],["Basse-Nendaz",46.1899,7.3121,"town",5410,"CH","Valais","Conthey District",""],["Fristad",57.8248,13.0106,"town",5409,"SE","Västra Götaland","Borås",""],["Diepoldsau",47.386,9.6556,"town",5401,"CH","Saint Gallen","Wahlkreis Rheintal",""],["Suolahti",62.5642,25.8536,"town",5399,"FI","Central Finland","Äänekoski",""],["Sankt Margrethen",47.4525,9.6374,"town",5395,"CH","Saint Gallen","Wahlkreis Rheintal",""],["Åkarp",58.2333,13.65,"town",5393,"SE","Västra Götaland","Falköpings Kommun",""],["Vårgårda",58.0371,12.8091,"town",5384,"SE","Västra Götaland","Vårgårda Kommun",""],["Oberwinterthur (Kreis 2) / Guggenbühl",47.5134,8.76,"suburb",5376,"CH","Zurich","Bezirk Winterthur",""],["Volda",62.146,6.0711,"town",5376,"NO","Møre og Romsdal","Volda",""],["Oberwinterthur (Kreis 2) / Talacker",47.506,8.7515,"suburb",5375,"CH","Zurich","Bezirk Winterthur",""],["Sävsjö",57.4033,14.6624,"town",5374,"SE","Jönköping","Sävsjö Kommun",""],["Hankasalmi",62.3833,26.4333,"town",5372,"FI","Central Finland","Jyväskylä",""],["Odda",60.0691,6.5457,"town",5359,"NO","Vestland","Ullensvang",""],["Maribo",54.7766,11.5002,"town",5349,"DK","Zealand","Lolland Kommune",""],["Orsa",61.1203,14.6155,"town",5349,"SE","Dalarna","Orsa Kommun",""],["Ølstykke",55.7957,12.1551,"town",5348,"DK","Capital Region","Egedal Kommune",""],["Neuzeug",48.05,14.3333,"town",5346,"AT","Upper Austria","Politischer Bezirk Steyr-Land",""],["Buchrain",47.0962,8.3473,"town",5341,"CH","Lucerne","Lucerne-Land District",""],["Kirchberg",47.0854,7.5829,"town",5335,"CH","Bern","Emmental District",""],["Himberg",48.0833,16.4333,"town",5331,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Vestby",59.6051,10.7523,"town",5330,"NO","Akershus","Vestby",""],["Wölfnitz",46.6664,14.2581,"town",5316,"AT","Carinthia","Klagenfurt am Wörthersee",""],["Ruovesi",61.9858,24.0571,"town",5314,"FI","Pirkanmaa","Ylä-Pirkanmaa",""],["Luumäki",60.9262,27.5814,"town",5305,"FI","South Karelia","Lappeenranta",""],["Bad Hall",48.0383,14.2077,"town",5296,"AT","Upper Austria","Politischer Bezirk Steyr-Land",""],["Hönö",57.6897,11.6497,"town",5293,"SE","Västra Götaland","Öckerö Kommun",""],["Goldau",47.0476,8.5462,"town",5285,"CH","Schwyz","Bezirk Schwyz",""],["Sievi",63.9,24.5,"town",5281,"FI","North Ostrobothnia","Ylivieska",""],["Altendorf",47.1899,8.8382,"town",5280,"CH","Schwyz","Bezirk March",""],["Haag",48.2706,14.2688,"town",5273,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Le Mont-sur-Lausanne",46.5581,6.6315,"town",5270,"CH","Vaud","Lausanne District",""],["Smedjebacken",60.1418,15.4142,"town",5258,"SE","Dalarna","Smedjebackens Kommun",""],["Urtenen",47.0267,7.5008,"town",5258,"CH","Bern","Bern-Mittelland District",""],["Pohja",60.0963,23.5276,"town",5257,"FI","","",""],["Lind",46.6224,13.8471,"suburb",5252,"AT","Carinthia","Villach Stadt",""],["Kirchberg in Tirol",47.4454,12.316,"town",5245,"AT","Tyrol","Politischer Bezirk Kitzbühel",""],["Blonay",46.4678,6.8961,"town",5244,"CH","Vaud","Riviera-Pays-d'Enhaut District",""],["Hellebæk",56.0682,12.5578,"town",5243,"DK","Capital Region","Helsingør Kommune",""],["Ebreichsdorf",47.9558,16.4071,"town",5236,"AT","Lower Austria","Politischer Bezirk Baden",""],["Küttigen",47.4148,8.0498,"town",5234,"CH","Aargau","Bezirk Aarau",""],["Ödåkra",56.1041,12.7477,"town",5231,"SE","Skåne","Helsingborg",""],["Siuntio",60.1386,24.2272,"town",5229,"FI","Uusimaa","Helsinki sub-region",""],["Munkebo",55.4555,10.5543,"town",5225,"DK","South Denmark","Kerteminde Kommune",""],["Saint-Imier",47.1528,6.9969,"town",5220,"CH","Bern","Bernese Jura",""],["Alpnach",46.9423,8.2718,"town",5218,"CH","Obwalden","Obwalden",""],["Kerns",46.9012,8.2751,"town",5217,"CH","Obwalden","Obwalden",""],["Laufen",47.4219,7.4995,"town",5210,"CH","Basel-Landschaft","Bezirk Laufen",""],["Zürich (Kreis 12) / Saatlen",47.4113,8.5648,"suburb",5209,"CH","Zurich","Bezirk Zürich",""],["Ingå",60.0459,24.0046,"town",5205,"FI","Uusimaa","Raaseporin",""],["Kindberg",47.5,15.45,"town",5197,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Örkelljunga",56.2834,13.2777,"town",5193,"SE","Skåne","Örkelljunga Kommun",""],["Skåre",55.3833,13.05,"town",5173,"SE","Skåne","Trelleborgs Kommun",""],["Kalsdorf bei Graz",46.9653,15.4803,"town",5171,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Ristiina",61.5058,27.2464,"town",5171,"FI","South Savo","Mikkeli",""],["Tune",55.5929,12.1697,"town",5168,"DK","Zealand","Greve Kommune",""],["Rättvik",60.8863,15.1179,"town",5160,"SE","Dalarna","Rättviks Kommun",""],["Sumiswald",47.0275,7.7453,"town",5159,"CH","Bern","Emmental District",""],["Kragerø",58.8693,9.4149,"town",5158,"NO","Telemark","Kragerø",""],["Unterseen",46.6853,7.8472,"town",5150,"CH","Bern","Interlaken-Oberhasli District",""],["Båstad",56.4269,12.8534,"town",5146,"SE","Skåne","Båstads Kommun",""],["Rümlang",47.4504,8.5299,"town",5144,"CH","Zurich","Bezirk Dielsdorf",""],["Vadsø",70.0735,29.7494,"town",5139,"NO","Finnmark","Vadsø",""],["Orbe",46.725,6.5307,"town",5132,"CH","Vaud","Jura-Nord vaudois District",""],["Axams",47.2311,11.2789,"town",5130,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Vaggeryd",57.4981,14.1484,"town",5122,"SE","Jönköping","Vaggeryds Kommun",""],["Ylitornio",66.3089,23.6773,"town",5104,"FI","Lapland","Torniolaakso",""],["Ulsteinvik",62.3432,5.8487,"town",5103,"NO","Møre og Romsdal","Ulstein",""],["Oberhaid",48.1759,14.015,"suburb",5100,"AT","Upper Austria","Wels Stadt",""],["Uster / Ober-Uster",47.3487,8.7332,"suburb",5100,"CH","Zurich","Bezirk Uster",""],["Châtel-Saint-Denis",46.5269,6.9008,"town",5094,"CH","Fribourg","Veveyse District",""],["Ascona",46.1545,8.7733,"town",5084,"CH","Ticino","Locarno District",""],["Leopoldsdorf",48.1156,16.3913,"town",5078,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Anderstorp",57.2833,13.6333,"town",5076,"SE","Jönköping","Gislaveds Kommun",""],["Malmslätt",58.411,15.5165,"town",5074,"SE","Östergötland","Linköpings Kommun",""],["Interlaken",46.6839,7.8664,"town",5067,"CH","Bern","Interlaken-Oberhasli District",""],["Hadsund",56.7148,10.1168,"town",5066,"DK","North Denmark","Mariagerfjord Kommune",""],["Bad Ragaz",47.006,9.5027,"town",5063,"CH","Saint Gallen","Wahlkreis Sarganserland",""],["Estavayer-le-Lac",46.8488,6.8465,"town",5061,"CH","Fribourg","Broye District",""],["Kolt",56.1084,10.0699,"town",5061,"DK","Central Jutland","Aarhus Kommune",""],["Krokek",58.6723,16.3674,"town",5053,"SE","Östergötland","Norrköpings Kommun",""],["Korpilahti",62.0167,25.55,"town",5050,"FI","Central Finland","Jyväskylä",""],["Løgten",56.2746,10.3118,"town",5048,"DK","Central Jutland","Aarhus Kommune",""],["Sargans",47.049,9.441,"town",5045,"CH","Saint Gallen","Wahlkreis Sarganserland",""],["Grums",59.3514,13.1111,"town",5040,"SE","Värmland","Grums Kommun",""],["Isokyrö",63.0117,22.3333,"town",5040,"FI","South Ostrobothnia","Seinäjoki",""],["Sollenau",47.8983,16.2483,"town",5038,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Greifensee",47.3672,8.6812,"town",5032,"CH","Zurich","Bezirk Uster",""],["Wallisellen / Wallisellen-Ost",47.4145,8.5973,"suburb",5031,"CH","Zurich","Bezirk Bülach",""],["Götene",58.5282,13.4946,"town",5027,"SE","Västra Götaland","Götene Kommun",""],["Sunne",59.8376,13.143,"town",5026,"SE","Värmland","Sunne Kommun",""],["Herrliberg",47.2906,8.6146,"town",5025,"CH","Zurich","Bezirk Meilen",""],["Åkrehamn",59.2605,5.1869,"town",5018,"NO","Rogaland","Karmøy",""],["Brig",46.3167,7.9833,"town",5000,"CH","Valais","Brig District",""],["Enebyberg",59.4333,18.05,"town",5000,"SE","Stockholm","Täby Kommun",""],["Ulsteinvik weather pws station",62.3434,5.8438,"town",5000,"NO","","",""],["Walenstadt",47.1241,9.3119,"town",5000,"CH","Saint Gallen","Wahlkreis Sarganserland",""],["Mönsterås",57.0413,16.4446,"town",4998,"SE","Kalmar","Mönsterås Kommun",""],["Zürich (Kreis 8) / Seefeld",47.3546,8.5554,"suburb",4998,"CH","Zurich","Bezirk Zürich",""],["Fevik",58.3782,8.676,"village",4989,"NO","Agder","Grimstad",""],["Anderstorp",58.8833,14.2833,"village",4987,"SE","Västra Götaland","Gullspångs Kommun",""],["Vargön",58.356,12.3906,"village",4981,"SE","Västra Götaland","Vänersborgs Kommun",""],["Ettingen",47.4823,7.5465,"village",4980,"CH","Basel-Landschaft","Bezirk Arlesheim",""],["Älvsbyn",65.6762,21.0016,"town",4976,"SE","Norrbotten","Älvsbyns Kommun",""],["Nærbø",58.6655,5.6379,"village",4975,"NO","Rogaland","Hå",""],["Echallens",46.6413,6.6332,"town",4972,"CH","Vaud","Gros-de-Vaud District",""],["Hart bei Graz",47.0431,15.5153,"town",4972,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Gablitz",48.2286,16.1544,"town",4968,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Pyhtää",60.4935,26.5435,"village",4964,"FI","Kymenlaakso","Kotka-Hamina",""],["Nüziders",47.1667,9.8,"town",4962,"AT","Vorarlberg","Politischer Bezirk Bludenz",""],["St. Moritz",46.4994,9.8433,"village",4952,"CH","Grisons","Region Maloja",""],["Zürich (Kreis 8) / Weinegg",47.3525,8.5701,"suburb",4951,"CH","Zurich","Bezirk Zürich",""],["Henndorf am Wallersee",47.9,13.1833,"town",4947,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Polvijärvi",62.85,29.3667,"town",4937,"FI","North Karelia","Joensuu",""],["Äetsä",61.2833,22.6833,"village",4929,"FI","","",""],["Sakskøbing",54.7997,11.626,"village",4928,"DK","Zealand","Guldborgsund Kommune",""],["Malung",60.6833,13.7154,"town",4927,"SE","Dalarna","Malung-Sälens kommun",""],["Oetwil",47.2705,8.7202,"village",4925,"CH","Zurich","Bezirk Meilen",""],["Flamatt",46.8899,7.322,"village",4922,"CH","Fribourg","Sense District",""],["Schärding",48.4529,13.4372,"town",4919,"AT","Upper Austria","Politischer Bezirk Schärding",""],["Alahärmä",63.2333,22.85,"town",4915,"FI","South Ostrobothnia","Seinäjoki",""],["Leobersdorf",47.928,16.2165,"town",4915,"AT","Lower Austria","Politischer Bezirk Baden",""],["Tohmajärvi",62.1833,30.3833,"town",4911,"FI","North Karelia","Keski-Karjala",""],["Ry",56.0904,9.7651,"village",4909,"DK","Central Jutland","Skanderborg Kommune",""],["Hornslet",56.3155,10.3204,"village",4906,"DK","Central Jutland","Syddjurs Kommune",""],["Bürmoos",47.9834,12.9179,"village",4899,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Galten",56.159,9.9169,"village",4895,"DK","Central Jutland","Skanderborg Kommune",""],["Männedorf / Dorfkern",47.2561,8.6916,"suburb",4893,"CH","Zurich","Bezirk Meilen",""],["Gammelstad",65.6393,22.0114,"village",4892,"SE","Norrbotten","Luleå kommun",""],["Lausen",47.4714,7.7603,"village",4892,"CH","Basel-Landschaft","Bezirk Liestal",""],["Boudry",46.9499,6.8376,"village",4886,"CH","Neuchâtel","Boudry District",""],["Rimbo",59.75,18.3667,"village",4882,"SE","Stockholm","Norrtälje Kommun",""],["Säkylä",61.0333,22.3333,"town",4870,"FI","Satakunta","Rauma",""],["Hagfors",60.0238,13.6721,"town",4869,"SE","Värmland","Hagfors Kommun",""],["Gerlafingen",47.1709,7.5725,"village",4864,"CH","Solothurn","Bezirk Wasseramt",""],["Schattdorf",46.8655,8.6547,"village",4860,"CH","Uri","Uri",""],["Kärkölä",60.6129,23.942,"village",4853,"FI","Uusimaa","Helsinki sub-region",""],["Ebnat-Kappel",47.2619,9.1247,"village",4852,"CH","Saint Gallen","Wahlkreis Toggenburg",""],["Veberöd",55.6333,13.4833,"village",4850,"SE","Skåne","Lunds Kommun",""],["Åbybro",57.1625,9.73,"town",4849,"DK","North Denmark","Jammerbugt Kommune",""],["Ringe",55.2383,10.4786,"town",4849,"DK","South Denmark","Faaborg-Midtfyn Kommune",""],["Vaxholm",59.4023,18.3532,"town",4849,"SE","Stockholm","Vaxholms Kommun",""],["Flums",47.0906,9.343,"village",4848,"CH","Saint Gallen","Wahlkreis Sarganserland",""],["Au",47.2418,8.6441,"village",4844,"CH","Zurich","Bezirk Horgen",""],["Laahen",48.1719,14.0064,"suburb",4836,"AT","Upper Austria","Wels Stadt",""],["Bettlach",47.2006,7.4241,"village",4834,"CH","Solothurn","Bezirk Lebern",""],["Ranua",65.9167,26.5333,"town",4833,"FI","Lapland","Rovaniemi",""],["Feldbach",46.9531,15.8883,"town",4829,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Pottschach",47.6986,16.0072,"village",4826,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Sonkajärvi",63.6667,27.5167,"town",4819,"FI","North Savo","Ylä-Savo",""],["Emmaboda",56.6327,15.5365,"town",4818,"SE","Kalmar","Emmaboda Kommun",""],["Pornainen",60.4758,25.3749,"town",4813,"FI","Uusimaa","Helsinki sub-region",""],["Eggendorf",47.8581,16.3218,"town",4794,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Taipalsaari",61.15,28.05,"town",4778,"FI","South Karelia","Lappeenranta",""],["Laa an der Thaya",48.7167,16.3833,"town",4777,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Langenlois",48.4667,15.6667,"town",4777,"AT","Lower Austria","Politischer Bezirk Krems",""],["Pihtipudas",63.3833,25.5667,"town",4777,"FI","Central Finland","Saarijärvi-Viitasaari",""],["Birmensdorf",47.3552,8.4426,"village",4772,"CH","Zurich","Bezirk Dietikon",""],["Sennwald",47.2606,9.5027,"village",4768,"CH","Saint Gallen","Wahlkreis Werdenberg",""],["Hombrechtikon",47.253,8.7721,"village",4767,"CH","Zurich","Bezirk Meilen",""],["Veltheim (Kreis 5) / Rosenberg",47.5139,8.7158,"suburb",4765,"CH","Zurich","Bezirk Winterthur",""],["Lindö",58.6167,16.25,"village",4763,"SE","Östergötland","Norrköpings Kommun",""],["Älvängen",57.9587,12.1235,"village",4759,"SE","Västra Götaland","Ale Kommun",""],["Vi",62.3,17.1667,"village",4757,"SE","Västernorrland","Sundsvalls Kommun",""],["Tervakoski",60.8141,24.6259,"village",4753,"FI","Kanta-Häme","Hämeenlinna",""],["Neustift im Stubaital",47.1167,11.3167,"village",4747,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Langnau / Langnau (Dorf)",47.2864,8.5363,"suburb",4745,"CH","Zurich","Bezirk Horgen",""],["Hjärup",55.6688,13.1393,"village",4744,"SE","Skåne","Staffanstorps Kommun",""],["Schönenwerd",47.3691,8.0017,"village",4732,"CH","Solothurn","Bezirk Olten",""],["Gloggnitz",47.6749,15.9389,"town",4730,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Östhammar",60.2591,18.3741,"town",4726,"SE","Uppsala","Östhammars Kommun",""],["Karstula",62.8667,24.7833,"town",4718,"FI","Central Finland","Saarijärvi-Viitasaari",""],["Tyringe",56.1604,13.5981,"village",4712,"SE","Skåne","Hässleholms Kommun",""],["Rotnes",60.0571,10.8613,"town",4705,"NO","Akershus","Nittedal",""],["Hietalahti",63.0848,21.6172,"suburb",4700,"FI","Ostrobothnia","Vaasa",""],["Préverenges",46.5185,6.5268,"village",4695,"CH","Vaud","Morges District",""],["Sankt Johann im Pongau",47.35,13.2,"town",4690,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Parndorf",47.9996,16.8605,"town",4689,"AT","Burgenland","Politischer Bezirk Neusiedl am See",""],["Fischamend-Markt",48.1167,16.6,"suburb",4688,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Wangen",47.3436,7.8698,"village",4686,"CH","Solothurn","Bezirk Olten",""],["Vamdrup",55.4276,9.2843,"village",4685,"DK","South Denmark","Kolding Kommune",""],["Padborg",54.8266,9.3625,"village",4684,"DK","South Denmark","Aabenraa Kommune",""],["Taivalkoski",65.5667,28.25,"town",4678,"FI","North Ostrobothnia","Koillismaa",""],["Gmünd",48.7683,14.9808,"town",4674,"AT","Lower Austria","Politischer Bezirk Gmünd",""],["Dielsdorf",47.4815,8.4585,"town",4671,"CH","Zurich","Bezirk Dielsdorf",""],["Rudkøbing",54.9364,10.7102,"town",4666,"DK","South Denmark","Langeland Kommune",""],["Kallinge",56.2484,15.2872,"village",4664,"SE","Blekinge","Ronneby Kommun",""],["Markaryd",56.4614,13.5964,"town",4664,"SE","Kronoberg","Markaryds Kommun",""],["Tjøme",59.1109,10.3933,"town",4663,"NO","Vestfold","Færder",""],["Leonding",48.2796,14.2533,"town",4657,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Arvidsjaur",65.5903,19.1668,"town",4655,"SE","Norrbotten","Arvidsjaurs Kommun",""],["Norberg",60.065,15.9237,"town",4653,"SE","Västmanland","Norbergs Kommun",""],["Rüschlikon",47.3069,8.5513,"village",4653,"CH","Zurich","Bezirk Horgen",""],["Völkermarkt",46.6622,14.6344,"town",4653,"AT","Carinthia","Politischer Bezirk Völkermarkt",""],["Meiringen",46.7271,8.1872,"village",4652,"CH","Bern","Interlaken-Oberhasli District",""],["Huttwil",47.115,7.8621,"village",4643,"CH","Bern","Oberaargau",""],["Vähäkyrö",63.0564,22.1058,"village",4638,"FI","Ostrobothnia","Vaasa",""],["Töreboda",58.7074,14.126,"town",4626,"SE","Västra Götaland","Töreboda Kommun",""],["Sortland",68.6957,15.405,"town",4620,"NO","Nordland","Sortland",""],["Vechigen",46.9462,7.5606,"village",4619,"CH","Bern","Bern-Mittelland District",""],["Oberwaltersdorf",47.9757,16.3219,"town",4618,"AT","Lower Austria","Politischer Bezirk Baden",""],["Stadt Winterthur (Kreis 1) / Lind",47.5057,8.7337,"suburb",4617,"CH","Zurich","Bezirk Winterthur",""],["Säter",60.3478,15.7505,"town",4613,"SE","Dalarna","Säters Kommun",""],["Münchwilen",47.4772,8.9968,"town",4612,"CH","Thurgau","Bezirk Münchwilen",""],["Längenfeld",47.074,10.9695,"village",4611,"AT","Tyrol","Politischer Bezirk Imst",""],["Oensingen",47.2876,7.7161,"village",4609,"CH","Solothurn","Bezirk Gäu",""],["Melhus",63.2856,10.2781,"town",4593,"NO","Trøndelag","Melhus",""],["Möllersdorf",48.0258,16.3051,"village",4587,"AT","Lower Austria","Politischer Bezirk Baden",""],["Frick",47.5117,8.0247,"village",4583,"CH","Aargau","Bezirk Laufenburg",""],["Hemmesta",59.3227,18.4868,"village",4577,"SE","Stockholm","Värmdö Kommun",""],["Koblach",47.3331,9.6,"town",4577,"AT","Vorarlberg","Politischer Bezirk Feldkirch",""],["Vasoldsberg",47.0163,15.5584,"village",4572,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Sysmä",61.5,25.6833,"town",4570,"FI","Paijat-Hame","Lahti",""],["Neudörfl",47.7966,16.2977,"town",4564,"AT","Burgenland","Politischer Bezirk Mattersburg",""],["Smålandsstenar",57.1624,13.4121,"village",4564,"SE","Jönköping","Gislaveds Kommun",""],["Konolfingen",46.8791,7.6201,"village",4562,"CH","Bern","Bern-Mittelland District",""],["Svenstrup",56.9723,9.8481,"village",4550,"DK","North Denmark","Ålborg Kommune",""],["Vingåker",59.0433,15.8737,"town",4548,"SE","Södermanland","Vingåkers Kommun",""],["Hittarp",56.1,12.6333,"village",4545,"SE","Skåne","Helsingborg",""],["Bubendorf",47.4459,7.7376,"village",4543,"CH","Basel-Landschaft","Bezirk Liestal",""],["Pello",66.7736,23.9626,"town",4542,"FI","Lapland","Torniolaakso",""],["Hallstavik",60.05,18.6,"village",4536,"SE","Stockholm","Norrtälje Kommun",""],["Gnosjö",57.3585,13.7369,"town",4528,"SE","Jönköping","Gnosjö Kommun",""],["Berikon",47.3516,8.3723,"village",4527,"CH","Aargau","Bezirk Bremgarten",""],["Otterup",55.5153,10.3976,"village",4522,"DK","South Denmark","Nordfyns Kommune",""],["Ehrendingen",47.5025,8.3473,"village",4519,"CH","Aargau","Bezirk Baden",""],["Erlenbach",47.303,8.5974,"village",4519,"CH","Zurich","Bezirk Meilen",""],["Askola",60.5333,25.6,"town",4515,"FI","Uusimaa","Porvoo",""],["Grieskirchen",48.2333,13.8333,"town",4515,"AT","Upper Austria","Politischer Bezirk Grieskirchen",""],["Kjellerup",56.2858,9.4353,"village",4514,"DK","Central Jutland","Silkeborg Kommune",""],["Sachseln",46.8672,8.2334,"village",4511,"CH","Obwalden","Obwalden",""],["Völkermarkter Vorstadt",46.6242,14.3208,"suburb",4511,"AT","Carinthia","Klagenfurt am Wörthersee",""],["Pottendorf",47.9,16.3833,"town",4508,"AT","Lower Austria","Politischer Bezirk Baden",""],["Viehofen",48.2167,15.6167,"suburb",4507,"AT","","",""],["Viby",55.5487,12.0239,"village",4505,"DK","Zealand","Roskilde Kommune",""],["Kirchdorf an der Krems",47.9056,14.1223,"village",4502,"AT","Upper Austria","Politischer Bezirk Kirchdorf an der Krems",""],["Altmünster",47.9022,13.7642,"village",4496,"AT","Upper Austria","Politischer Bezirk Gmunden",""],["Bronschhofen",47.4783,9.0345,"village",4489,"CH","Saint Gallen","Wahlkreis Wil",""],["Viken",56.1506,12.5743,"village",4489,"SE","Skåne","Höganäs Kommun",""],["Taberg",57.6772,14.0888,"village",4486,"SE","Jönköping","Jönköpings Kommun",""],["Romont",46.6965,6.919,"village",4483,"CH","Fribourg","Glâne District",""],["Risør",58.7206,9.2342,"town",4475,"NO","Agder","Risør",""],["Stansstad",46.9768,8.3355,"village",4471,"CH","Nidwalden","Nidwalden",""],["Løgstør",56.9624,9.2583,"village",4469,"DK","North Denmark","Vesthimmerland Kommune",""],["Zeltweg",47.1833,14.75,"town",4463,"AT","Styria","Politischer Bezirk Murtal",""],["Nousiainen",60.6042,22.0793,"town",4461,"FI","Southwest Finland","Turku",""],["Saint-Prex",46.4796,6.4599,"village",4461,"CH","Vaud","Morges District",""],["Kerzers",46.9759,7.1957,"village",4459,"CH","Fribourg","See District",""],["Heinävesi",62.4333,28.6,"town",4457,"FI","North Karelia","Joensuu",""],["Neumarkt am Wallersee",47.95,13.2333,"town",4456,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Jurva",62.6833,21.9833,"town",4450,"FI","South Ostrobothnia","Seinäjoki",""],["Hällefors",59.7839,14.522,"town",4449,"SE","Örebro","Hällefors Kommun",""],["Kälviä",63.8607,23.4529,"village",4449,"FI","Central Ostrobothnia","Kokkola",""],["Rantasalmi",62.0667,28.3,"town",4443,"FI","South Savo","Savonlinna",""],["Füllinsdorf",47.5069,7.7313,"village",4442,"CH","Basel-Landschaft","Bezirk Liestal",""],["Rolle",46.4582,6.335,"village",4425,"CH","Vaud","Nyon District",""],["Zumikon",47.3316,8.6227,"village",4424,"CH","Zurich","Bezirk Meilen",""],["Meilen",47.2723,8.6462,"town",4419,"CH","Zurich","Bezirk Meilen",""],["Torsby",60.1353,13.0082,"town",4419,"SE","Värmland","Torsby Kommun",""],["Oberrieden",47.2744,8.5784,"village",4413,"CH","Zurich","Bezirk Horgen",""],["Cortaillod",46.9431,6.8444,"village",4410,"CH","Neuchâtel","Boudry District",""],["Seon",47.3485,8.1607,"village",4407,"CH","Aargau","Bezirk Lenzburg",""],["Højby",55.3318,10.4373,"village",4406,"DK","South Denmark","Odense Kommune",""],["Vodskov",57.1085,10.0221,"village",4406,"DK","North Denmark","Ålborg Kommune",""],["Kaustinen",63.5488,23.6884,"town",4404,"FI","Central Ostrobothnia","Kaustinen",""],["Salla",66.8333,28.6667,"town",4401,"FI","Lapland","Itä-Lappi",""],["Öjersjö",57.6988,12.1345,"village",4394,"SE","Västra Götaland","Partille Kommun",""],["Sevelen",47.1221,9.486,"village",4392,"CH","Saint Gallen","Wahlkreis Werdenberg",""],["Björkskatan",65.6137,22.177,"suburb",4388,"SE","Norrbotten","Luleå kommun",""],["Ruukki",64.6667,25.1,"town",4386,"FI","North Ostrobothnia","Raahe",""],["Mils bei Solbad Hall",47.2833,11.5333,"village",4377,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Wetzikon / Kempten",47.3332,8.8098,"suburb",4377,"CH","Zurich","Bezirk Hinwil",""],["Nibe",56.9815,9.6392,"village",4376,"DK","North Denmark","Ålborg Kommune",""],["Köflach",47.0667,15.0833,"town",4375,"AT","Styria","Politischer Bezirk Voitsberg",""],["Vännäs",63.9068,19.7571,"town",4373,"SE","Västerbotten","Vännäs Kommun",""],["Brønnøysund",65.4749,12.2128,"town",4366,"NO","Nordland","Brønnøy",""],["Rannebergen",57.8024,12.0713,"village",4364,"SE","Västra Götaland","Göteborgs stad",""],["Furulund",55.7738,13.0902,"village",4359,"SE","Skåne","Kävlinge Kommun",""],["Nenzing",47.1844,9.7054,"town",4357,"AT","Vorarlberg","Politischer Bezirk Bludenz",""],["Svogerslev",55.6342,12.0146,"village",4355,"DK","Zealand","Roskilde Kommune",""],["Strengelbach",47.2792,7.929,"village",4349,"CH","Aargau","Bezirk Zofingen",""],["Villeneuve",46.3987,6.9265,"village",4349,"CH","Vaud","Aigle District",""],["Kössen",47.6699,12.4055,"town",4346,"AT","Tyrol","Politischer Bezirk Kitzbühel",""],["Borgholm",56.8793,16.6563,"town",4344,"SE","Kalmar","Borgholms Kommun",""],["Moudon",46.6676,6.7978,"village",4343,"CH","Vaud","Broye-Vully District",""],["Ferlach",46.5269,14.3019,"town",4342,"AT","Carinthia","Politischer Bezirk Klagenfurt Land",""],["Sigriswil",46.7166,7.7134,"village",4341,"CH","Bern","Thun District",""],["Strib",55.5402,9.7675,"village",4339,"DK","South Denmark","Middelfart Kommune",""],["Hägendorf",47.335,7.8413,"village",4338,"CH","Solothurn","Bezirk Olten",""],["Larsmo",63.7539,22.7473,"town",4331,"FI","Ostrobothnia","Jakobstadsregionen",""],["Morbio Inferiore",45.8492,9.0191,"village",4331,"CH","Ticino","Mendrisio District",""],["Seltjarnarnes",64.1531,-21.995,"village",4322,"IS","Capital Region","Seltjarnarneskaupstaður",""],["Rautjärvi",61.4333,29.35,"village",4316,"FI","","",""],["Ybbs an der Donau",48.1667,15.0833,"town",4310,"AT","Lower Austria","Politischer Bezirk Melk",""],["Jevnaker",60.2398,10.3871,"town",4308,"NO","Akershus","Jevnaker",""],["Landskron",46.6167,13.8833,"village",4304,"AT","Carinthia","Villach Stadt",""],["Bernardin",48.1604,14.0083,"suburb",4300,"AT","Upper Austria","Wels Stadt",""],["Kellokoski",60.5327,25.1092,"village",4300,"FI","Uusimaa","Helsinki sub-region",""],["Thalheim bei Wels",48.15,14.0333,"town",4294,"AT","Upper Austria","Wels-Land",""],["Felixdorf",47.8816,16.2421,"town",4292,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Sauda",59.6506,6.3541,"town",4290,"NO","Rogaland","Sauda",""],["Wülflingen (Kreis 6) / Oberfeld",47.4987,8.699,"suburb",4288,"CH","Zurich","Bezirk Winterthur",""],["Fieberbrunn",47.4763,12.5435,"town",4287,"AT","Tyrol","Politischer Bezirk Kitzbühel",""],["Gossau",47.3051,8.7583,"village",4287,"CH","Zurich","Bezirk Hinwil",""],["Lynge",55.8394,12.2773,"village",4284,"DK","Capital Region","Allerød Kommune",""],["Waidhofen an der Thaya",48.8167,15.2833,"town",4280,"AT","Lower Austria","Politischer Bezirk Waidhofen an der Thaya",""],["Le Landeron",47.057,7.0705,"village",4278,"CH","Neuchâtel","Neuchâtel District",""],["Parikkala",61.55,29.5,"town",4274,"FI","South Karelia","Imatra",""],["Knarvik",60.5453,5.2821,"village",4265,"NO","Vestland","Alver",""],["Schwanenstadt",48.0554,13.7751,"town",4264,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Pälkäne",61.3342,24.272,"town",4262,"FI","Pirkanmaa","Tampere",""],["Posio",66.1086,28.1719,"town",4252,"FI","Lapland","Itä-Lappi",""],["Give",55.8452,9.2377,"village",4240,"DK","South Denmark","Vejle Kommune",""],["Sålanda",57.9833,12.2167,"village",4240,"SE","Västra Götaland","Ale Kommun",""],["Brørup",55.4819,9.0176,"village",4233,"DK","South Denmark","Vejen Kommune",""],["Spielberg bei Knittelfeld",47.2167,14.7833,"town",4228,"AT","Styria","Politischer Bezirk Murtal",""],["Ennetbürgen",46.9842,8.41,"town",4226,"CH","Nidwalden","Nidwalden",""],["Zuzwil",47.4745,9.112,"village",4226,"CH","Saint Gallen","Wahlkreis Wil",""],["Mellingen",47.419,8.2733,"village",4224,"CH","Aargau","Bezirk Baden",""],["Kuortane",62.8,23.5,"town",4219,"FI","South Ostrobothnia","Kuusiokunnat",""],["Vestmannaeyjar",63.4427,-20.2734,"village",4219,"IS","South","Vestmannaeyjabær",""],["Altenmarkt im Pongau",47.3833,13.4167,"town",4218,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Beder",56.0603,10.2118,"village",4214,"DK","Central Jutland","Aarhus Kommune",""],["Sainte-Croix",46.822,6.5028,"village",4214,"CH","Vaud","Jura-Nord vaudois District",""],["Bad Zurzach",47.5876,8.2936,"town",4213,"CH","Aargau","Bezirk Zurzach",""],["Feusisberg",47.1871,8.7472,"village",4210,"CH","Schwyz","Bezirk Höfe",""],["Fensmark",55.2792,11.8038,"village",4203,"DK","Zealand","Næstved Kommune",""],["Svolvær",68.2342,14.5683,"town",4197,"NO","Nordland","Vågan",""],["Scheibbs",48.0047,15.1682,"town",4196,"AT","Lower Austria","Politischer Bezirk Scheibbs",""],["Altheim",48.2515,13.2341,"town",4195,"AT","Upper Austria","Politischer Bezirk Braunau am Inn",""],["Savitaipale",61.2,27.7,"town",4195,"FI","South Karelia","Lappeenranta",""],["Braunau am Inn",48.2563,13.0434,"village",4194,"AT","Upper Austria","Politischer Bezirk Braunau am Inn",""],["Triengen",47.2357,8.0765,"village",4193,"CH","Lucerne","Sursee District",""],["Zollikerberg",47.3451,8.6009,"village",4187,"CH","Zurich","Bezirk Meilen",""],["Tramelan",47.223,7.1029,"village",4186,"CH","Bern","Bernese Jura",""],["Schwerzenbach",47.3821,8.6573,"village",4180,"CH","Zurich","Bezirk Uster",""],["Edsbyn",61.3769,15.8175,"town",4179,"SE","Gävleborg","Ovanåkers Kommun",""],["Egnach",47.5427,9.3805,"village",4179,"CH","Thurgau","Bezirk Arbon",""],["Bärnbach",47.0714,15.1279,"village",4178,"AT","Styria","Politischer Bezirk Voitsberg",""],["Oskarström",56.8,12.9667,"village",4172,"SE","Halland","Halmstads Kommun",""],["Aarwangen",47.2385,7.7685,"village",4171,"CH","Bern","Oberaargau",""],["Hartberg",47.2833,15.9667,"town",4170,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Rebstein",47.3981,9.585,"village",4163,"CH","Saint Gallen","Wahlkreis Rheintal",""],["Sunndalsøra",62.6752,8.5633,"town",4159,"NO","Møre og Romsdal","Sunndal",""],["Dietikon / Oberdorf",47.4006,8.3942,"suburb",4147,"CH","Zurich","Bezirk Dietikon",""],["Wieselburg",48.1333,15.1333,"town",4143,"AT","Lower Austria","Politischer Bezirk Scheibbs",""],["Rupperswil",47.4013,8.1288,"village",4137,"CH","Aargau","Bezirk Brugg",""],["Vétroz",46.2217,7.2786,"village",4137,"CH","Valais","Conthey District",""],["Oberwagram",48.2016,15.6492,"suburb",4135,"AT","Lower Austria","Sankt Pölten Stadt",""],["Veltheim (Kreis 5) / Blumenau",47.5062,8.7156,"suburb",4135,"CH","Zurich","Bezirk Winterthur",""],["Bellinge",55.3353,10.3204,"village",4129,"DK","South Denmark","Odense Kommune",""],["Uster / Nieder-Uster",47.3474,8.7009,"suburb",4128,"CH","Zurich","Bezirk Uster",""],["Ebensee",47.8072,13.779,"village",4125,"AT","Upper Austria","Politischer Bezirk Gmunden",""],["Arnö",58.7268,17.0232,"village",4124,"SE","Södermanland","Nyköpings Kommun",""],["Thayngen",47.7472,8.7072,"town",4120,"CH","Schaffhausen","Bezirk Reiat",""],["Oberalm",47.7,13.1,"town",4117,"AT","Salzburg","Politischer Bezirk Hallein",""],["Wolkersdorf im Weinviertel",48.3833,16.5167,"village",4115,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Bisamberg",48.3333,16.35,"town",4110,"AT","Lower Austria","Politischer Bezirk Korneuburg",""],["Eferding",48.3087,14.0223,"village",4100,"AT","Upper Austria","Politischer Bezirk Eferding",""],["Gebenstorf",47.4814,8.2395,"village",4100,"CH","Aargau","Bezirk Baden",""],["Vieremä",63.75,27.0167,"town",4100,"FI","North Savo","Ylä-Savo",""],["Walding",48.3521,14.1576,"town",4095,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Seen (Kreis 3) / Waser",47.4891,8.7603,"suburb",4088,"CH","Zurich","Bezirk Winterthur",""],["Marin-Epagnier",47.0102,6.9994,"village",4087,"CH","Neuchâtel","Neuchâtel District",""],["Kirke Hvalsø",55.5917,11.8625,"town",4086,"DK","Zealand","Lejre Kommune",""],["Tarm",55.9086,8.5304,"village",4080,"DK","Central Jutland","Ringkøbing-Skjern Kommune",""],["Krylbo",60.1333,16.2167,"village",4072,"SE","Dalarna","Avesta Kommun",""],["Puch bei Hallein",47.7154,13.093,"town",4065,"AT","Salzburg","Politischer Bezirk Hallein",""],["Götzens",47.2361,11.3115,"town",4062,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Le Chenit",46.6069,6.2306,"village",4062,"CH","Vaud","Jura-Nord vaudois District",""],["Joutsa",61.7333,26.1167,"town",4060,"FI","Central Finland","Joutsa",""],["Kölliken",47.3334,8.0224,"village",4059,"CH","Aargau","Bezirk Zofingen",""],["Vara",58.2623,12.9541,"town",4052,"SE","Västra Götaland","Vara Kommun",""],["Videbæk",56.0876,8.6285,"village",4052,"DK","Central Jutland","Ringkøbing-Skjern Kommune",""],["Wängi",47.4965,8.9533,"village",4051,"CH","Thurgau","Bezirk Münchwilen",""],["Wolhusen",47.0598,8.0739,"village",4050,"CH","Lucerne","Entlebuch District",""],["Moelv",60.9333,10.7,"village",4049,"NO","Innlandet","Ringsaker",""],["Eisenerz",47.5333,14.8833,"town",4048,"AT","Styria","Politischer Bezirk Leoben",""],["Klosters Serneus",46.8892,9.8383,"village",4044,"CH","Grisons","Region Prättigau / Davos",""],["Schmitten",46.8575,7.2503,"village",4040,"CH","Fribourg","Sense District",""],["Obfelden",47.2641,8.4215,"village",4039,"CH","Zurich","Bezirk Affoltern",""],["Lützelflüh",47.0076,7.6917,"village",4035,"CH","Bern","Emmental District",""],["Mäder",47.35,9.6167,"town",4031,"AT","Vorarlberg","Politischer Bezirk Feldkirch",""],["Bad Schallerbach",48.23,13.9192,"village",4028,"AT","Upper Austria","Politischer Bezirk Grieskirchen",""],["Jegenstorf",47.048,7.5079,"village",4027,"CH","Bern","Bern-Mittelland District",""],["Sierning",48.0434,14.3094,"village",4025,"AT","Upper Austria","Politischer Bezirk Steyr-Land",""],["Skärblacka",58.5667,15.9,"village",4023,"SE","Östergötland","Norrköpings Kommun",""],["Gråsten",54.9192,9.5952,"village",4022,"DK","South Denmark","Sønderborg Kommune",""],["Niederlenz",47.4008,8.1764,"village",4022,"CH","Aargau","Bezirk Lenzburg",""],["Balgach",47.4056,9.607,"village",4019,"CH","Saint Gallen","Wahlkreis Rheintal",""],["Egg",47.2998,8.6903,"village",4003,"CH","Zurich","Bezirk Uster",""],["Engelberg",46.8211,8.4013,"village",4001,"CH","Obwalden","Obwalden",""],["Oberrohrdorf",47.4183,8.3198,"village",4001,"CH","Aargau","Bezirk Baden",""],["Hommelvik",63.4108,10.7942,"town",4000,"NO","Trøndelag","Malvik",""],["Heiden",47.4425,9.5329,"village",3999,"CH","Appenzell Ausserrhoden","Bezirk Vorderland",""],["Ivalo",68.6599,27.5389,"village",3998,"FI","Lapland","Pohjois-Lappi",""],["Askersund",58.8799,14.9023,"town",3997,"SE","Örebro","Askersunds Kommun",""],["Bürglen",46.8757,8.6654,"village",3996,"CH","Uri","Uri",""],["Hyltebruk",56.9989,13.2396,"town",3992,"SE","Halland","Hylte Kommun",""],["Vinslöv",56.1,13.9167,"village",3989,"SE","Skåne","Hässleholms Kommun",""],["Speicher",47.4109,9.4434,"village",3985,"CH","Appenzell Ausserrhoden","Bezirk Mittelland",""],["Jyderup",55.664,11.4203,"village",3984,"DK","Zealand","Holbæk Kommune",""],["Punkaharju",61.7588,29.3884,"village",3984,"FI","South Savo","Savonlinna",""],["Herrljunga",58.0774,13.0266,"town",3982,"SE","Västra Götaland","Herrljunga Kommun",""],["Bad Gastein",47.1155,13.1347,"town",3980,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Thaur",47.2948,11.4753,"town",3979,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Näfels",47.0977,9.0636,"village",3978,"CH","Glarus","Glarus",""],["Gordola",46.1826,8.8666,"village",3974,"CH","Ticino","Locarno District",""],["Seuzach Dorf",47.5356,8.7321,"village",3969,"CH","Zurich","Bezirk Winterthur",""],["Obertrum am See",47.9372,13.0772,"town",3966,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Skillingaryd",57.4304,14.0938,"village",3965,"SE","Jönköping","Vaggeryds Kommun",""],["Schwarzach",47.449,9.7621,"town",3949,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Vesilahti",61.3167,23.6167,"town",3949,"FI","Pirkanmaa","Tampere",""],["Brunna",59.5167,17.75,"village",3948,"SE","Stockholm","Upplands-Bro Kommun",""],["Cheseaux",46.5862,6.6059,"village",3946,"CH","Vaud","Lausanne District",""],["Pernå",60.4487,26.0319,"town",3938,"FI","Uusimaa","Loviisa",""],["Seebach",46.6167,13.8667,"village",3938,"AT","Carinthia","Villach Stadt",""],["Sankt Stefan im Rosental",46.9039,15.71,"town",3929,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Vallda",57.4775,12.0014,"village",3929,"SE","Halland","Kungsbacka Kommun",""],["Gainfarn",47.9628,16.1937,"village",3926,"AT","Lower Austria","Politischer Bezirk Baden",""],["Reiden",47.2472,7.9714,"village",3926,"CH","Lucerne","Willisau District",""],["Svelvik",59.6137,10.4087,"town",3926,"NO","Buskerud","Drammen",""],["Arnö",60.1167,18.6333,"village",3925,"SE","Stockholm","Norrtälje Kommun",""],["Stabio",45.8485,8.9364,"village",3917,"CH","Ticino","Mendrisio District",""],["Brunflo",63.0759,14.832,"village",3916,"SE","Jämtland","Östersunds Kommun",""],["Ursviken",64.7126,21.1658,"village",3913,"SE","Västerbotten","Skellefteå Kommun",""],["Aarberg",47.0444,7.2758,"village",3911,"CH","Bern","Seeland District",""],["Mariefred",59.2596,17.223,"village",3911,"SE","Södermanland","Strängnäs Kommun",""],["Zürich (Kreis 4) / Werd",47.3718,8.5258,"suburb",3911,"CH","Zurich","Bezirk Zürich",""],["Munkedal",58.4663,11.6735,"town",3910,"SE","Västra Götaland","Munkedals Kommun",""],["Kolari",67.3305,23.7779,"town",3908,"FI","Lapland","Tunturi-Lappi",""],["Finnsnes",69.2296,17.9811,"town",3907,"NO","Troms","Senja",""],["Mörrum",56.1928,14.7474,"village",3903,"SE","Blekinge","Karlshamns kommun",""],["Zwettl Stadt",48.6073,15.1671,"town",3900,"AT","Lower Austria","Politischer Bezirk Zwettl",""],["Gumpoldskirchen",48.0454,16.2771,"town",3899,"AT","Lower Austria","Politischer Bezirk Mödling",""],["Schwertberg",48.2734,14.5847,"town",3895,"AT","Upper Austria","Politischer Bezirk Perg",""],["Ølgod",55.8068,8.6286,"village",3891,"DK","South Denmark","Varde Kommune",""],["Furulund",57.7167,12.1333,"village",3888,"SE","Västra Götaland","Partille Kommun",""],["Root",47.1146,8.3902,"village",3886,"CH","Lucerne","Lucerne-Land District",""],["Birr",47.4343,8.2089,"village",3884,"CH","Aargau","Bezirk Brugg",""],["Stege",54.987,12.2846,"village",3881,"DK","Zealand","Vordingborg Kommune",""],["Menzingen",47.1776,8.5922,"village",3878,"CH","Zug","Zug",""],["Erstfeld",46.8188,8.6505,"village",3876,"CH","Uri","Uri",""],["Troistorrents",46.2289,6.9159,"village",3873,"CH","Valais","Monthey District",""],["Fußach",47.4793,9.6628,"town",3871,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Bollebygd",57.6687,12.5727,"town",3870,"SE","Västra Götaland","Bollebygds Kommun",""],["Brügg",47.1237,7.2789,"village",3868,"CH","Bern","Biel/Bienne District",""],["Bevaix",46.9296,6.8147,"village",3866,"CH","Neuchâtel","Boudry District",""],["Ösmo",58.9833,17.9,"village",3866,"SE","Stockholm","Nynäshamns kommun",""],["Weggis",47.0321,8.4322,"village",3863,"CH","Lucerne","Lucerne-Land District",""],["Niederbipp",47.2717,7.6958,"village",3862,"CH","Bern","Oberaargau",""],["Brunna",60.2625,16.0103,"village",3861,"SE","Dalarna","Hedemora Kommun",""],["Wetzikon / Ober-Wetzikon",47.3251,8.8001,"suburb",3858,"CH","Zurich","Bezirk Hinwil",""],["Svalöv",55.9134,13.1076,"town",3852,"SE","Skåne","Svalövs Kommun",""],["Niedergösgen",47.3716,7.9884,"village",3847,"CH","Solothurn","Bezirk Olten",""],["Paltamo",64.4167,27.8333,"town",3844,"FI","Kainuu","Kajaani",""],["Wichtrach",46.8501,7.5775,"town",3843,"CH","Bern","Bern-Mittelland District",""],["Hilterfingen",46.7352,7.6619,"village",3841,"CH","Bern","Thun District",""],["Nexø",55.0607,15.1306,"village",3841,"DK","Capital Region","Bornholm Kommune",""],["Hittarp",56.2833,14.1167,"village",3837,"SE","Skåne","Östra Göinge Kommun",""],["Gols",47.8969,16.9111,"town",3835,"AT","Burgenland","Politischer Bezirk Neusiedl am See",""],["Alsike",59.7532,17.7733,"village",3833,"SE","Uppsala","Uppsala Kommun",""],["Havdrup",55.5448,12.1239,"village",3828,"DK","Zealand","Solrød Kommune",""],["Grossarl",47.2333,13.2,"village",3825,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Grünburg",47.9723,14.2647,"village",3824,"AT","Upper Austria","Politischer Bezirk Kirchdorf an der Krems",""],["Innere Stadt",47.0665,15.4405,"suburb",3818,"AT","Styria","Graz Stadt",""],["Schruns",47.0803,9.9192,"town",3818,"AT","Vorarlberg","Politischer Bezirk Bludenz",""],["Hofterup",55.8049,12.9797,"village",3814,"SE","Skåne","Kävlinge Kommun",""],["Waidhofen an der Ybbs",47.96,14.7736,"town",3811,"AT","Lower Austria","Waidhofen an der Ybbs Stadt",""],["Horgen / Allmend",47.2473,8.6066,"suburb",3809,"CH","Zurich","Bezirk Horgen",""],["Jægerspris",55.8525,11.9856,"village",3805,"DK","Capital Region","Frederikssund Kommune",""],["Kaltbrunn",47.2137,9.0259,"village",3803,"CH","Saint Gallen","Wahlkreis See-Gaster",""],["Degersheim",47.3743,9.2002,"village",3802,"CH","Saint Gallen","Wahlkreis Wil",""],["Rudolfstetten",47.371,8.3808,"village",3800,"CH","Aargau","Bezirk Bremgarten",""],["Mellerud",58.6998,12.4531,"town",3797,"SE","Västra Götaland","Melleruds Kommun",""],["Høng",55.5074,11.2887,"village",3789,"DK","Zealand","Kalundborg Kommune",""],["Vöcklabruck",48.0028,13.6565,"town",3789,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Melk",48.2274,15.3319,"town",3788,"AT","Lower Austria","Politischer Bezirk Melk",""],["Sankt Veit im Pongau",47.3333,13.15,"town",3788,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Mantorp",58.35,15.2833,"village",3781,"SE","Östergötland","Mjölby Kommun",""],["Rakkestad",59.4251,11.3453,"town",3779,"NO","Østfold","Rakkestad",""],["Sankt Georgen an der Gusen",48.2718,14.4495,"village",3779,"AT","Upper Austria","Politischer Bezirk Perg",""],["Gunskirchen",48.1333,13.95,"town",3778,"AT","Upper Austria","Wels-Land",""],["Lind",56.106,8.9792,"village",3777,"DK","Central Jutland","Herning Kommune",""],["Kisa",57.9878,15.633,"town",3776,"SE","Östergötland","Kinda Kommun",""],["Vildbjerg",56.2,8.7667,"village",3773,"DK","Central Jutland","Herning Kommune",""],["Lilla Edet",58.1333,12.1333,"town",3772,"SE","Västra Götaland","Lilla Edets Kommun",""],["Kundl",47.4667,11.9833,"town",3771,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Fehraltorf",47.3877,8.7515,"village",3767,"CH","Zurich","Bezirk Pfäffikon",""],["Strasswalchen",47.9795,13.2553,"town",3765,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Hauho",61.1726,24.563,"town",3755,"FI","Kanta-Häme","Hämeenlinna",""],["Hjuvik",57.7017,11.7164,"village",3754,"SE","Västra Götaland","Göteborgs stad",""],["Sempach",47.1358,8.1915,"village",3754,"CH","Lucerne","Sursee District",""],["Volders",47.2833,11.5667,"town",3754,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Viken",64.7259,20.9155,"village",3753,"SE","Västerbotten","Skellefteå Kommun",""],["Göss",47.3587,15.1001,"suburb",3752,"AT","Styria","Politischer Bezirk Leoben",""],["Grödig",47.7383,13.0373,"town",3751,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Lostorf",47.3837,7.9466,"village",3749,"CH","Solothurn","Bezirk Gösgen",""],["Faxe",55.2556,12.1193,"village",3747,"DK","Zealand","Faxe Kommune",""],["Olofstorp",57.8044,12.1713,"village",3746,"SE","Västra Götaland","Göteborgs stad",""],["Bara",55.5816,13.1786,"village",3743,"SE","Skåne","Svedala Kommun",""],["Svejbæk",56.1326,9.6329,"village",3743,"DK","Central Jutland","Silkeborg Kommune",""],["Würenlingen",47.5336,8.2567,"village",3741,"CH","Aargau","Bezirk Baden",""],["Pertteli",60.4333,23.2667,"town",3740,"FI","Southwest Finland","Salo",""],["Brittnau",47.2595,7.9469,"village",3735,"CH","Aargau","Bezirk Zofingen",""],["Mondsee",47.8565,13.3491,"town",3734,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Feldmeilen",47.2787,8.6217,"village",3732,"CH","Zurich","Bezirk Meilen",""],["Gjellerup",56.1462,9.0547,"village",3731,"DK","Central Jutland","Herning Kommune",""],["Grindelwald",46.624,8.036,"village",3730,"CH","Bern","Interlaken-Oberhasli District",""],["Gratwein",47.1167,15.3167,"town",3729,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Taxach",47.7261,13.0718,"village",3724,"AT","Salzburg","Politischer Bezirk Hallein",""],["Schüpfheim",46.9516,8.0172,"town",3723,"CH","Lucerne","Entlebuch District",""],["Mayrhofen",47.1667,11.8667,"town",3720,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Langeskov",55.3565,10.5845,"village",3713,"DK","South Denmark","Kerteminde Kommune",""],["Rusko",60.5333,22.2167,"town",3702,"FI","Southwest Finland","Turku",""],["Saint-Maurice",46.2183,7.0032,"town",3701,"CH","Valais","Saint-Maurice District",""],["Viskafors",57.6294,12.8489,"village",3701,"SE","Västra Götaland","Borås",""],["Nordstranda",62.5138,6.1317,"village",3700,"NO","Møre og Romsdal","Giske",""],["Brüttisellen",47.4217,8.6326,"village",3697,"CH","Zurich","Bezirk Uster",""],["Præstø",55.1237,12.0448,"village",3695,"DK","Zealand","Vordingborg Kommune",""],["Aura",60.6471,22.5876,"town",3693,"FI","Southwest Finland","Loimaa",""],["Strömsund",63.8521,15.5558,"town",3690,"SE","Jämtland","Strömsunds kommun",""],["Ljungskile",58.2245,11.9201,"village",3689,"SE","Västra Götaland","Uddevalla Kommun",""],["La Tour-de-Trême",46.6106,7.065,"village",3686,"CH","Fribourg","Gruyère District",""],["Fleurier",46.9022,6.5825,"village",3681,"CH","Neuchâtel","Val-de-Travers District",""],["Geroldswil",47.4221,8.4108,"village",3681,"CH","Zurich","Bezirk Dietikon",""],["Store Heddinge",55.3096,12.3888,"town",3679,"DK","Zealand","Stevns Kommune",""],["Hartola",61.5833,26.0167,"town",3676,"FI","Paijat-Hame","Lahti",""],["Matten",46.6783,7.8689,"village",3676,"CH","Bern","Interlaken-Oberhasli District",""],["Bellevue",46.2574,6.1547,"village",3674,"CH","Geneva","Geneva",""],["St. Veiter Vorstadt",46.6317,14.3058,"suburb",3674,"AT","Carinthia","Klagenfurt am Wörthersee",""],["Roggwil",47.2412,7.8214,"village",3673,"CH","Bern","Oberaargau",""],["Lyngdal",58.1376,7.07,"town",3671,"NO","Agder","Lyngdal",""],["Haidershofen",48.0758,14.4613,"town",3670,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Juelsminde",55.7088,10.0167,"village",3667,"DK","Central Jutland","Hedensted Kommune",""],["Rautalampi",62.6333,26.8333,"town",3665,"FI","North Savo","Sisä-Savo",""],["Kungshamn",58.3631,11.2594,"town",3657,"SE","Västra Götaland","Sotenäs Kommun",""],["Niederurnen",47.126,9.0543,"village",3657,"CH","Glarus","Glarus",""],["Caslano",45.9736,8.8774,"village",3655,"CH","Ticino","Lugano District",""],["Stilling",56.0622,9.9882,"village",3655,"DK","Central Jutland","Skanderborg Kommune",""],["Vaala",64.5667,26.8333,"town",3652,"FI","Kainuu","Kajaani",""],["Westendorf",47.4321,12.2141,"town",3652,"AT","Tyrol","Politischer Bezirk Kitzbühel",""],["Pöytyä",60.7667,22.6667,"town",3650,"FI","Southwest Finland","Loimaa",""],["Skultorp",58.35,13.8333,"village",3644,"SE","Västra Götaland","Skövde Kommun",""],["Stadl-Traun",48.0796,13.8614,"village",3643,"AT","Upper Austria","Wels-Land",""],["Trumau",47.9935,16.3427,"town",3640,"AT","Lower Austria","Politischer Bezirk Baden",""],["Agno",45.9986,8.9003,"town",3639,"CH","Ticino","Lugano District",""],["Maaninka",63.1552,27.2994,"village",3638,"FI","North Savo","Kuopio",""],["Kehrsatz",46.9104,7.471,"village",3636,"CH","Bern","Bern-Mittelland District",""],["Niederglatt",47.4907,8.4999,"village",3632,"CH","Zurich","Bezirk Dielsdorf",""],["Söll",47.5038,12.1922,"town",3631,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Hareid",62.3704,6.029,"town",3626,"NO","Møre og Romsdal","Hareid",""],["Töss (Kreis 4) / Eichliacker",47.4873,8.7074,"suburb",3626,"CH","Zurich","Bezirk Winterthur",""],["Wals",47.7833,12.9667,"village",3626,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Utzenstorf",47.1325,7.5536,"village",3625,"CH","Bern","Emmental District",""],["Karlsborg",58.5372,14.5047,"town",3624,"SE","Västra Götaland","Karlsborgs Kommun",""],["Gistrup",56.9943,9.9909,"village",3622,"DK","North Denmark","Ålborg Kommune",""],["Langholzfeld",48.243,14.2477,"suburb",3622,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Rüti / Dorfzentrum, Südl. Teil",47.2537,8.8565,"suburb",3618,"CH","Zurich","Bezirk Hinwil",""],["Pyhäjoki",64.4667,24.2333,"town",3615,"FI","North Ostrobothnia","Raahe",""],["Petäjävesi",62.25,25.2,"town",3610,"FI","Central Finland","Jyväskylä",""],["Smedby",56.6741,16.2432,"village",3607,"SE","Kalmar","Kalmar Kommun",""],["Dalsjöfors",57.7167,13.0833,"village",3606,"SE","Västra Götaland","Borås",""],["Dianalund",55.5313,11.4925,"village",3605,"DK","Zealand","Sorø Kommune",""],["Wettswil / Wettswil (Dorf)",47.3415,8.4715,"suburb",3605,"CH","Zurich","Bezirk Affoltern",""],["Bergnäset",65.5779,22.1084,"village",3604,"SE","Norrbotten","Luleå kommun",""],["Neualm",47.6934,13.0876,"village",3602,"AT","Salzburg","Politischer Bezirk Hallein",""],["Kaiseraugst",47.5397,7.726,"village",3600,"CH","Aargau","Bezirk Rheinfelden",""],["Sins",47.193,8.3938,"village",3600,"CH","Aargau","Bezirk Muri",""],["Svenljunga",57.4955,13.1108,"town",3592,"SE","Västra Götaland","Svenljunga Kommun",""],["Lappajärvi",63.2,23.6333,"town",3588,"FI","South Ostrobothnia","Järviseutu",""],["Stenhamra",59.3344,17.6884,"village",3588,"SE","Stockholm","Ekerö Kommun",""],["Simo",65.6667,25.05,"town",3582,"FI","Lapland","Kemi-Tornio",""],["Seekirchen am Wallersee",47.9,13.1333,"town",3579,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Vilhelmina",64.6242,16.656,"town",3572,"SE","Västerbotten","Vilhelmina Kommun",""],["Öckerö",57.7081,11.6558,"town",3568,"SE","Västra Götaland","Öckerö Kommun",""],["Rjukan",59.8789,8.5941,"town",3568,"NO","Telemark","Tinn",""],["Inzing",47.2737,11.1975,"town",3566,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Oberglatt",47.4758,8.519,"village",3564,"CH","Zurich","Bezirk Dielsdorf",""],["Giswil",46.8333,8.1806,"village",3563,"CH","Obwalden","Obwalden",""],["Sørumsand",59.9862,11.2415,"town",3563,"NO","Akershus","Lillestrøm",""],["Hof bei Salzburg",47.8193,13.2149,"town",3562,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Pichling bei Köflach",47.0478,15.071,"village",3562,"AT","Styria","Politischer Bezirk Voitsberg",""],["Børkop",55.642,9.6496,"village",3561,"DK","South Denmark","Vejle Kommune",""],["Leknes",68.1475,13.6115,"town",3556,"NO","Nordland","Vestvågøy",""],["Muotathal",46.9768,8.765,"village",3548,"CH","Schwyz","Bezirk Schwyz",""],["Merikarvia",61.8584,21.5004,"town",3547,"FI","Satakunta","Pori",""],["Adelboden",46.4914,7.5603,"village",3541,"CH","Bern","Frutigen-Niedersimmental District",""],["Kaavi",62.9833,28.5,"town",3538,"FI","North Savo","Koillis-Savo",""],["Tervola",66.0833,24.8,"town",3538,"FI","Lapland","Kemi-Tornio",""],["Donawitz",47.3667,15.0667,"suburb",3536,"AT","Styria","Politischer Bezirk Leoben",""],["Murau",47.1106,14.1694,"town",3534,"AT","Styria","Politischer Bezirk Murau",""],["Tribuswinkel",48.0062,16.2707,"village",3533,"AT","Lower Austria","Politischer Bezirk Baden",""],["Althofen",46.873,14.4745,"town",3531,"AT","Carinthia","Politischer Bezirk Sankt Veit an der Glan",""],["Smedby",60.7,15.05,"village",3530,"SE","Dalarna","Leksands kommun",""],["Rümlang / Rümlang (Dorfkern)",47.4494,8.5326,"suburb",3528,"CH","Zurich","Bezirk Dielsdorf",""],["Sunds",56.2074,9.0139,"village",3525,"DK","Central Jutland","Herning Kommune",""],["Veteli",63.4784,23.7828,"town",3523,"FI","Central Ostrobothnia","Kaustinen",""],["Stavtrup",56.1312,10.1199,"village",3519,"DK","Central Jutland","Aarhus Kommune",""],["Langendorf",47.2197,7.5147,"village",3518,"CH","Solothurn","Bezirk Lebern",""],["Pöchlarn",48.2,15.2,"town",3515,"AT","Lower Austria","Politischer Bezirk Melk",""],["Schwarzach im Pongau",47.3205,13.1517,"town",3515,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Snejbjerg",56.1329,8.9035,"village",3513,"DK","Central Jutland","Herning Kommune",""],["Wallisellen / Wallisellen-West",47.4191,8.5859,"suburb",3511,"CH","Zurich","Bezirk Bülach",""],["Tamsweg",47.1281,13.811,"town",3509,"AT","Salzburg","Politischer Bezirk Tamsweg",""],["Wördern",48.334,16.2102,"village",3509,"AT","Lower Austria","Politischer Bezirk Tulln",""],["Rödeby",56.2608,15.6214,"village",3508,"SE","Blekinge","Karlskrona Kommun",""],["Ibach",47.011,8.6454,"village",3500,"CH","Schwyz","Bezirk Schwyz",""],["Lens",46.283,7.4498,"village",3497,"CH","Valais","Sierre District",""],["Aneby",57.8389,14.8102,"town",3496,"SE","Jönköping","Aneby Kommun",""],["Mörschwil",47.471,9.4228,"village",3496,"CH","Saint Gallen","Wahlkreis Rorschach",""],["Otaniemi",60.184,24.8279,"suburb",3496,"FI","Uusimaa","Helsinki sub-region",""],["Røros",62.5747,11.3842,"town",3496,"NO","Trøndelag","Røros",""],["La Neuveville",47.0659,7.0972,"village",3495,"CH","Bern","Bernese Jura",""],["Skärhamn",57.9866,11.5574,"town",3495,"SE","Västra Götaland","Tjörns Kommun",""],["Punkalaidun",61.1167,23.1,"town",3492,"FI","Pirkanmaa","Lounais-Pirkanmaa",""],["Skui",59.9275,10.4475,"village",3487,"NO","Akershus","Bærum",""],["Theresienfeld",47.85,16.2333,"town",3485,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Toholampi",63.7667,24.25,"town",3481,"FI","Central Ostrobothnia","Kaustinen",""],["Saxon",46.1494,7.1751,"village",3477,"CH","Valais","Martigny District",""],["Padasjoki",61.35,25.2833,"town",3473,"FI","Paijat-Hame","Lahti",""],["Hinterbrühl",48.0861,16.2481,"town",3466,"AT","Lower Austria","Politischer Bezirk Mödling",""],["Farnes",61.3085,7.7969,"village",3465,"NO","Vestland","Årdal",""],["Gramatneusiedl",48.0304,16.4894,"town",3461,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Pfaffstätten",48.0174,16.2635,"town",3458,"AT","Lower Austria","Politischer Bezirk Baden",""],["Tølløse",55.6125,11.7703,"village",3457,"DK","Zealand","Holbæk Kommune",""],["Balerna",45.8464,9.0072,"village",3456,"CH","Ticino","Mendrisio District",""],["Traisen",48.0333,15.6,"town",3453,"AT","Lower Austria","Politischer Bezirk Lilienfeld",""],["Schladming",47.3929,13.687,"town",3452,"AT","Styria","Politischer Bezirk Liezen",""],["Fjerritslev",57.0882,9.2662,"village",3441,"DK","North Denmark","Jammerbugt Kommune",""],["Savigny",46.5384,6.7322,"village",3440,"CH","Vaud","Lavaux-Oron District",""],["Seefeld in Tirol",47.3302,11.1879,"town",3440,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Lysaker",59.9099,10.6355,"village",3439,"NO","Akershus","Bærum",""],["Toftlund",55.1886,9.0693,"village",3438,"DK","South Denmark","Tønder Kommune",""],["Matfors",62.3486,17.0317,"village",3437,"SE","Västernorrland","Sundsvalls Kommun",""],["Viktringer Vorstadt",46.6177,14.3093,"suburb",3436,"AT","Carinthia","Klagenfurt am Wörthersee",""],["Magden",47.5287,7.8113,"village",3433,"CH","Aargau","Bezirk Rheinfelden",""],["Uetikon",47.2644,8.6792,"village",3431,"CH","Zurich","Bezirk Meilen",""],["Poschiavo",46.3244,10.0582,"village",3428,"CH","Grisons","Region Bernina",""],["Confignon",46.1734,6.0844,"village",3425,"CH","Geneva","Geneva",""],["Eschlikon",47.4636,8.9638,"village",3425,"CH","Thurgau","Bezirk Münchwilen",""],["Tygelsjö",55.5167,13,"village",3420,"SE","Skåne","Malmö",""],["Iggesund",61.6422,17.0748,"village",3419,"SE","Gävleborg","Hudiksvalls Kommun",""],["Muhen",47.3358,8.0554,"village",3419,"CH","Aargau","Bezirk Aarau",""],["Neufeld an der Leitha",47.8656,16.3786,"town",3418,"AT","Burgenland","Eisenstadt-Umgebung",""],["Vimpeli",63.1619,23.8192,"town",3418,"FI","South Ostrobothnia","Järviseutu",""],["Vörå",63.1361,22.2522,"town",3416,"FI","Ostrobothnia","Vaasa",""],["Tägerwilen",47.657,9.14,"village",3414,"CH","Thurgau","Bezirk Kreuzlingen",""],["Mellbystrand",56.4856,12.9396,"village",3412,"SE","Halland","Laholms Kommun",""],["Bogense",55.5669,10.0886,"town",3410,"DK","South Denmark","Nordfyns Kommune",""],["Kalvola",61.1008,24.1218,"village",3406,"FI","Kanta-Häme","Hämeenlinna",""],["Schänis",47.16,9.0455,"village",3404,"CH","Saint Gallen","Wahlkreis See-Gaster",""],["Tollarp",55.9333,13.9833,"village",3404,"SE","Skåne","Kristianstads kommun",""],["Vagnhärad",58.9459,17.4876,"village",3397,"SE","Södermanland","Trosa Kommun",""],["Seitenstetten Markt",48.0333,14.65,"village",3394,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Bütschwil",47.3602,9.0721,"village",3393,"CH","Saint Gallen","Wahlkreis Toggenburg",""],["Leuk",46.3174,7.6341,"town",3386,"CH","Valais","Leuk District",""],["Voldöpp",47.4447,11.8834,"village",3386,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Ylikiiminki",65.0833,26.25,"town",3386,"FI","North Ostrobothnia","Oulu",""],["Karttula",62.8963,26.9704,"village",3383,"FI","North Savo","Kuopio",""],["Skultuna",59.7167,16.4167,"village",3378,"SE","Västmanland","Västerås",""],["Broager",54.8894,9.6746,"village",3376,"DK","South Denmark","Sønderborg Kommune",""],["Ludesch",47.2,9.7831,"town",3371,"AT","Vorarlberg","Politischer Bezirk Bludenz",""],["Sulgen",47.5397,9.1859,"village",3367,"CH","Thurgau","Bezirk Weinfelden",""],["Tavannes",47.2208,7.1976,"village",3367,"CH","Bern","Bernese Jura",""],["Ternberg",47.9452,14.3587,"town",3367,"AT","Upper Austria","Politischer Bezirk Steyr-Land",""],["Kummelnäs",59.35,18.2833,"village",3360,"SE","Stockholm","Nacka Kommun",""],["Burgfried",47.68,13.1118,"village",3358,"AT","Salzburg","Politischer Bezirk Hallein",""],["Kiukainen",61.2167,22.0833,"town",3358,"FI","Satakunta","Rauma",""],["Skänninge",58.3943,15.0866,"village",3358,"SE","Östergötland","Mjölby Kommun",""],["Klarup",57.0119,10.0562,"village",3352,"DK","North Denmark","Ålborg Kommune",""],["Seden",55.4265,10.4427,"village",3350,"DK","South Denmark","Odense Kommune",""],["Thurø By",55.0474,10.6639,"village",3350,"DK","South Denmark","Svendborg Kommune",""],["Attnang",48.0167,13.7167,"suburb",3339,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Malling",56.0363,10.1963,"village",3339,"DK","Central Jutland","Aarhus Kommune",""],["Mauerbach",48.2451,16.1679,"town",3339,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Mannersdorf am Leithagebirge",47.9667,16.6,"town",3328,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Svärtinge",58.6551,16.0282,"village",3326,"SE","Östergötland","Norrköpings Kommun",""],["Zürich (Kreis 10) / Rütihof",47.4144,8.4793,"suburb",3326,"CH","Zurich","Bezirk Zürich",""],["Hällbybrunn",59.3915,16.4223,"village",3323,"SE","Södermanland","Eskilstuna Kommun",""],["Säynätsalo",62.1403,25.7695,"village",3322,"FI","Central Finland","Jyväskylä",""],["Hjallerup",57.1647,10.1457,"village",3320,"DK","North Denmark","Brønderslev Kommune",""],["Münster",47.4216,11.8336,"town",3317,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Pieterlen",47.175,7.3379,"village",3317,"CH","Bern","Biel/Bienne District",""],["Göfis",47.2336,9.6346,"town",3312,"AT","Vorarlberg","Politischer Bezirk Feldkirch",""],["Hammar",56.0167,14.2167,"village",3311,"SE","Skåne","Kristianstads kommun",""],["Tallboda",58.4252,15.6815,"village",3311,"SE","Östergötland","Linköpings Kommun",""],["Græsted",56.0656,12.2851,"village",3310,"DK","Capital Region","Gribskov Kommune",""],["Schöftland",47.3059,8.0512,"village",3310,"CH","Aargau","Bezirk Kulm",""],["Dragsfjärd",60.0667,22.4833,"town",3309,"FI","Southwest Finland","Åboland-Turunmaa",""],["Schmerikon",47.2254,8.9484,"town",3307,"CH","Saint Gallen","Wahlkreis See-Gaster",""],["Untere Fellach",46.625,13.8268,"village",3307,"AT","Carinthia","Villach Stadt",""],["Bassecourt",47.3381,7.2437,"village",3305,"CH","Jura","Delémont District",""],["Puolanka",64.8667,27.6667,"town",3304,"FI","Kainuu","Kehys-Kainuu",""],["Årjäng",59.3922,12.1334,"town",3302,"SE","Värmland","Årjängs Kommun",""],["Dagmersellen",47.2141,7.9852,"village",3300,"CH","Lucerne","Willisau District",""],["Rheineck",47.4663,9.5903,"village",3298,"CH","Saint Gallen","Wahlkreis Rheintal",""],["Kapfenberg",47.4446,15.2933,"town",3296,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Vouvry",46.3375,6.8895,"village",3296,"CH","Valais","Monthey District",""],["Weyer",47.8572,14.6641,"town",3296,"AT","Upper Austria","Politischer Bezirk Steyr-Land",""],["Entlebuch",46.9956,8.0635,"village",3293,"CH","Lucerne","Entlebuch District",""],["Ekeby",56,12.9667,"village",3292,"SE","Skåne","Bjuvs Kommun",""],["Luterbach",47.2143,7.5846,"village",3292,"CH","Solothurn","Bezirk Wasseramt",""],["Richterswil / Richterswil (Dorfkern)",47.2032,8.7052,"suburb",3292,"CH","Zurich","Bezirk Horgen",""],["Hvide Sande",55.9987,8.126,"village",3291,"DK","Central Jutland","Ringkøbing-Skjern Kommune",""],["Årnes",60.1224,11.4701,"town",3289,"NO","Akershus","Nes",""],["Sagvåg",59.7814,5.39,"village",3288,"NO","Vestland","Stord",""],["Seengen",47.325,8.2072,"village",3288,"CH","Aargau","Bezirk Lenzburg",""],["Kimito",60.1605,22.729,"town",3287,"FI","Southwest Finland","Åboland-Turunmaa",""],["Råtorp",59.402,13.4914,"suburb",3287,"SE","Värmland","Karlstads Kommun",""],["Vomp",47.3333,11.6833,"village",3287,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Nättraby",56.2,15.5167,"village",3284,"SE","Blekinge","Karlskrona Kommun",""],["Elgg",47.4971,8.8652,"village",3282,"CH","Zurich","Bezirk Winterthur",""],["Kirkenes",69.7271,30.0458,"town",3282,"NO","Finnmark","Sør-Varanger",""],["Uitikon",47.3691,8.457,"village",3282,"CH","Zurich","Bezirk Dietikon",""],["Lambach",48.0928,13.8745,"town",3279,"AT","Upper Austria","Wels-Land",""],["Kaltenleutgeben",48.1165,16.1996,"town",3276,"AT","Lower Austria","Politischer Bezirk Mödling",""],["Bürs",47.1497,9.8,"town",3275,"AT","Vorarlberg","Politischer Bezirk Bludenz",""],["Farsø",56.7728,9.3392,"village",3271,"DK","North Denmark","Vesthimmerland Kommune",""],["Bara",58.6833,17.0667,"suburb",3270,"SE","Södermanland","Oxelösunds Kommun",""],["Vihanti",64.4847,24.9916,"village",3270,"FI","North Ostrobothnia","Raahe",""],["Boxholm",58.1972,15.0538,"town",3269,"SE","Östergötland","Boxholms Kommun",""],["Walchwil",47.1017,8.5169,"village",3268,"CH","Zug","Zug",""],["Krumpendorf",46.6333,14.2167,"village",3264,"AT","Carinthia","Politischer Bezirk Klagenfurt Land",""],["Mattsee",47.9667,13.1,"town",3263,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Luvia",61.3638,21.6256,"village",3260,"FI","Satakunta","Rauma",""],["Hausen am Albis / Hausen (Dorf)",47.245,8.533,"village",3253,"CH","Zurich","Bezirk Affoltern",""],["Hegnau / Sunnebüel-Eich",47.3925,8.6791,"suburb",3250,"CH","Zurich","Bezirk Uster",""],["Resarö",59.4291,18.3339,"village",3249,"SE","Stockholm","Vaxholms Kommun",""],["Schrems",48.7833,15.0667,"town",3248,"AT","Lower Austria","Politischer Bezirk Gmünd",""],["Schüpfen",47.0366,7.3772,"village",3248,"CH","Bern","Seeland District",""],["Alberschwende",47.4502,9.8315,"village",3247,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Schärding Vorstadt",48.4519,13.4395,"suburb",3246,"AT","Upper Austria","Politischer Bezirk Schärding",""],["Ayent",46.2825,7.4103,"village",3243,"CH","Valais","Hérens District",""],["Kierling",48.31,16.2762,"village",3243,"AT","Lower Austria","Politischer Bezirk Tulln",""],["Utajärvi",64.75,26.3833,"town",3243,"FI","","",""],["Skänninge",59.9333,18.4833,"village",3242,"SE","Stockholm","Norrtälje Kommun",""],["Breitenbach",47.4067,7.5455,"village",3241,"CH","Solothurn","Bezirk Thierstein",""],["Gachnang",47.5393,8.8531,"village",3235,"CH","Thurgau","Bezirk Frauenfeld",""],["Rafz",47.6044,8.543,"village",3233,"CH","Zurich","Bezirk Bülach",""],["Schötz",47.169,7.9887,"village",3231,"CH","Lucerne","Willisau District",""],["St. Agathen und Perau",46.6063,13.8561,"suburb",3230,"AT","Carinthia","Villach Stadt",""],["Steckborn",47.6667,8.9833,"town",3229,"CH","Thurgau","Bezirk Frauenfeld",""],["Årslev",55.3035,10.4643,"village",3228,"DK","South Denmark","Faaborg-Midtfyn Kommune",""],["Küsnacht / Heslibach",47.3131,8.5885,"suburb",3228,"CH","Zurich","Bezirk Meilen",""],["Ober-Grafendorf",48.1504,15.5453,"town",3228,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Oberkirch",47.1564,8.1157,"village",3228,"CH","Lucerne","Sursee District",""],["Ottensheim",48.3325,14.1743,"town",3228,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Stein am Rhein",47.6593,8.8596,"village",3224,"CH","Schaffhausen","Bezirk Stein",""],["Tranemo",57.4833,13.35,"town",3224,"SE","Västra Götaland","Tranemo Kommun",""],["Hornbæk",56.0903,12.4569,"village",3223,"DK","Capital Region","Helsingør Kommune",""],["Jonschwil",47.424,9.0869,"village",3221,"CH","Saint Gallen","Wahlkreis Wil",""],["Beringen",47.6976,8.5743,"village",3216,"CH","Schaffhausen","Bezirk Schaffhausen",""],["Asten",48.2194,14.4178,"village",3214,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Lappi",61.1,21.8333,"town",3212,"FI","Satakunta","Rauma",""],["Sulkava",61.7869,28.373,"town",3212,"FI","South Savo","Savonlinna",""],["Weidling",48.291,16.3087,"village",3212,"AT","Lower Austria","Politischer Bezirk Tulln",""],["Sankt Florian",48.2057,14.3784,"village",3209,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Safenwil",47.3216,7.9825,"village",3201,"CH","Aargau","Bezirk Zofingen",""],["Eriksberg",59.2424,17.8163,"village",3200,"SE","Stockholm","Botkyrka Kommun",""],["Escholzmatt",46.9135,7.9343,"village",3192,"CH","Lucerne","Entlebuch District",""],["Skudeneshavn",59.1495,5.2591,"village",3187,"NO","Rogaland","Karmøy",""],["Björklinge",60.03,17.552,"village",3186,"SE","Uppsala","Östhammars Kommun",""],["Kaprun",47.2724,12.7599,"town",3177,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Flateby",59.8295,11.1534,"village",3175,"NO","Akershus","Enebakk",""],["Lieboch",46.9742,15.3375,"town",3175,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Schindellegi",47.1746,8.7134,"village",3174,"CH","Schwyz","Bezirk Höfe",""],["Skaerbaek",55.1574,8.769,"village",3174,"DK","South Denmark","Tønder Kommune",""],["Prangins",46.3952,6.2496,"village",3172,"CH","Vaud","Nyon District",""],["Neftenbach / Dorf Neftenbach",47.5276,8.6649,"suburb",3171,"CH","Zurich","Bezirk Winterthur",""],["Tollarp1",56.1667,14.2833,"village",3170,"SE","Skåne","Kristianstads kommun",""],["Spydeberg",59.6171,11.0856,"town",3166,"NO","Østfold","Indre Østfold",""],["Samstagern",47.1917,8.682,"village",3163,"CH","Zurich","Bezirk Horgen",""],["Kittsee",48.0925,17.0639,"town",3162,"AT","Burgenland","Politischer Bezirk Neusiedl am See",""],["Södra Sunderbyn",65.6598,21.94,"village",3162,"SE","Norrbotten","Luleå kommun",""],["Randogne",46.3095,7.5006,"village",3157,"CH","Valais","Sierre District",""],["Hermiswil",46.8312,7.4778,"village",3156,"CH","Bern","Bern-Mittelland District",""],["Farsund",58.0948,6.8047,"town",3151,"NO","Agder","Farsund",""],["Laab",48.2611,13.0542,"suburb",3150,"AT","Upper Austria","Politischer Bezirk Braunau am Inn",""],["Bürglen",47.5492,9.1495,"village",3149,"CH","Thurgau","Bezirk Weinfelden",""],["Stadt Winterthur (Kreis 1) / Neuwiesen",47.5021,8.7163,"suburb",3149,"CH","Zurich","Bezirk Winterthur",""],["Munka-Ljungby",56.25,12.9667,"village",3148,"SE","Skåne","Ängelholms Kommun",""],["Zams",47.1584,10.5897,"town",3148,"AT","Tyrol","Politischer Bezirk Landeck",""],["Knislinge",56.1833,14.0833,"village",3144,"SE","Skåne","Östra Göinge Kommun",""],["Rannersdorf",48.1277,16.4638,"village",3144,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Töysä",62.628,23.8183,"village",3144,"FI","South Ostrobothnia","Kuusiokunnat",""],["Frederiksberg",55.4162,11.5693,"village",3142,"DK","Zealand","Sorø Kommune",""],["Waldkirch",47.4686,9.2866,"village",3137,"CH","Saint Gallen","Wahlkreis St. Gallen",""],["Doppl",48.2481,14.2542,"village",3136,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Himanka",64.0622,23.6545,"village",3136,"FI","North Ostrobothnia","Ylivieska",""],["Häljarp",55.85,12.9167,"village",3134,"SE","Skåne","Landskrona",""],["Augustenborg",54.952,9.8722,"village",3132,"DK","South Denmark","Sønderborg Kommune",""],["Konnevesi",62.6167,26.3167,"town",3132,"FI","Central Finland","Äänekoski",""],["Leitring",46.7796,15.5592,"village",3132,"AT","Styria","Politischer Bezirk Leibnitz",""],["Brædstrup",55.9715,9.6113,"village",3130,"DK","Central Jutland","Horsens Kommune",""],["Bengtsfors",59.0291,12.2321,"town",3125,"SE","Västra Götaland","Bengtsfors Kommun",""],["Dottikon",47.3844,8.2398,"village",3125,"CH","Aargau","Bezirk Bremgarten",""],["Laxå",58.9863,14.619,"town",3125,"SE","Örebro","Laxå Kommun",""],["Willisau",47.1218,7.9942,"town",3125,"CH","Lucerne","Willisau District",""],["Romanel-sur-Lausanne",46.564,6.6054,"village",3123,"CH","Vaud","Lausanne District",""],["Seeboden",46.8191,13.5143,"town",3123,"AT","Carinthia","Politischer Bezirk Spittal an der Drau",""],["Borup",55.4947,11.9758,"village",3120,"DK","Zealand","Køge Kommune",""],["Fernitz",46.9739,15.5011,"town",3119,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Langenwang",47.5667,15.6167,"town",3119,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Stokmarknes",68.5646,14.9108,"town",3119,"NO","Nordland","Hadsel",""],["Bösingen",46.8923,7.2277,"village",3118,"CH","Fribourg","Sense District",""],["Klaus",47.3091,9.6468,"town",3118,"AT","Vorarlberg","Politischer Bezirk Feldkirch",""],["Virklund",56.1322,9.5558,"village",3113,"DK","Central Jutland","Silkeborg Kommune",""],["Katzelsdorf",47.7805,16.2699,"town",3112,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Tenhult",57.7076,14.3221,"village",3112,"SE","Jönköping","Jönköpings Kommun",""],["Tofte",59.5427,10.5614,"town",3109,"NO","Akershus","Asker",""],["Turbenthal",47.4363,8.8463,"village",3109,"CH","Zurich","Bezirk Winterthur",""],["Frohnleiten",47.2667,15.3167,"town",3106,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Broby",56.2552,14.078,"town",3104,"SE","Skåne","Östra Göinge Kommun",""],["Uurainen",62.5,25.45,"town",3104,"FI","Central Finland","Jyväskylä",""],["Gipf-Oberfrick",47.4988,8.005,"village",3102,"CH","Aargau","Bezirk Laufenburg",""],["Glamsbjerg",55.2724,10.1048,"village",3099,"DK","South Denmark","Assens Kommune",""],["Unterkulm",47.31,8.1137,"town",3099,"CH","Aargau","Bezirk Kulm",""],["Vallorbe",46.7126,6.3789,"village",3098,"CH","Vaud","Jura-Nord vaudois District",""],["Eggenburg",48.6389,15.819,"town",3096,"AT","Lower Austria","Politischer Bezirk Horn",""],["Holsted",55.5109,8.9187,"village",3096,"DK","South Denmark","Vejen Kommune",""],["Sävast",65.77,21.7311,"village",3093,"SE","Norrbotten","Bodens Kommun",""],["Zürich (Kreis 1) / Rathaus",47.3716,8.545,"suburb",3091,"CH","Zurich","Bezirk Zürich",""],["Ebergassing",48.0457,16.5171,"town",3090,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Saint-Blaise",47.0151,6.9883,"village",3089,"CH","Neuchâtel","Neuchâtel District",""],["Hyrynsalmi",64.6667,28.5333,"town",3087,"FI","Kainuu","Kehys-Kainuu",""],["Tingsryd",56.5247,14.979,"town",3087,"SE","Kronoberg","Tingsryds Kommun",""],["Courroux",47.3607,7.3737,"village",3085,"CH","Jura","Delémont District",""],["Dronninglund",57.1604,10.2929,"village",3084,"DK","North Denmark","Brønderslev Kommune",""],["Rüti / Westlicher Dorfteil",47.2555,8.8449,"suburb",3083,"CH","Zurich","Bezirk Hinwil",""],["Hovmantorp",56.7869,15.1402,"village",3082,"SE","Kronoberg","Lessebo Kommun",""],["Klingnau",47.5836,8.2488,"village",3069,"CH","Aargau","Bezirk Zurzach",""],["Skelleftehamn",64.6833,21.2333,"village",3069,"SE","Västerbotten","Skellefteå Kommun",""],["Framlev",56.1566,10.0132,"village",3067,"DK","Central Jutland","Aarhus Kommune",""],["Leysin",46.3418,7.0115,"village",3066,"CH","Vaud","Aigle District",""],["Kopparberg",59.876,14.9944,"town",3065,"SE","Örebro","Ljusnarsbergs Kommun",""],["Loosdorf",48.2,15.4,"town",3064,"AT","Lower Austria","Politischer Bezirk Melk",""],["Krieglach",47.5473,15.5625,"town",3062,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Måløy",61.9353,5.1136,"town",3062,"NO","Vestland","Kinn",""],["Timelkam",48.0039,13.6076,"town",3061,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Wald",47.276,8.914,"village",3061,"CH","Zurich","Bezirk Hinwil",""],["Jelling",55.7559,9.4258,"village",3059,"DK","South Denmark","Vejle Kommune",""],["Erlen",47.5481,9.2341,"village",3057,"CH","Thurgau","Bezirk Weinfelden",""],["Løgumkloster",55.0594,8.9551,"village",3056,"DK","South Denmark","Tønder Kommune",""],["Satigny",46.2146,6.0355,"village",3055,"CH","Geneva","Geneva",""],["Vissenbjerg",55.3848,10.1378,"village",3055,"DK","South Denmark","Assens Kommune",""],["Rechnitz",47.3047,16.441,"town",3054,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Reisjärvi",63.6167,24.9,"town",3052,"FI","North Ostrobothnia","Nivala-Haapajärvi",""],["Beckenried",46.9665,8.4757,"town",3050,"CH","Nidwalden","Nidwalden",""],["Ebbs",47.6333,12.2167,"town",3050,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Oedt",48.2133,14.2101,"village",3046,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Murgenthal",47.2715,7.8393,"village",3044,"CH","Aargau","Bezirk Zofingen",""],["Lohtaja",64.0247,23.5048,"town",3043,"FI","Central Ostrobothnia","Kokkola",""],["Oberperfuss",47.2445,11.2476,"town",3043,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Steinen",47.0498,8.6121,"village",3041,"CH","Schwyz","Bezirk Schwyz",""],["Fulpmes",47.152,11.3492,"town",3038,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Château-d'Oex",46.4746,7.1315,"village",3034,"CH","Vaud","Riviera-Pays-d'Enhaut District",""],["Lemi",61.0624,27.8057,"town",3034,"FI","South Karelia","Lappeenranta",""],["Priel",46.8276,14.8333,"village",3034,"AT","Carinthia","Politischer Bezirk Wolfsberg",""],["Stadt Winterthur (Kreis 1) / Heiligberg",47.4941,8.7233,"suburb",3034,"CH","Zurich","Bezirk Winterthur",""],["Tann",47.269,8.8502,"village",3034,"CH","Zurich","Bezirk Hinwil",""],["Ennsdorf",48.2118,14.5029,"town",3031,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Hammerum",56.1336,9.0612,"village",3025,"DK","Central Jutland","Herning Kommune",""],["Fliess",47.1167,10.6167,"village",3019,"AT","Tyrol","Politischer Bezirk Landeck",""],["Mollis",47.0888,9.0724,"village",3014,"CH","Glarus","Glarus",""],["Gröbming",47.4427,13.9012,"town",3013,"AT","Styria","Politischer Bezirk Liezen",""],["Hornstein",47.8805,16.4445,"town",3012,"AT","Burgenland","Eisenstadt-Umgebung",""],["Sankt Dionysen",48.2244,14.2548,"village",3012,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Givisiez",46.812,7.1264,"village",3010,"CH","Fribourg","Sarine District",""],["Sætre",59.6813,10.5275,"village",3009,"NO","Akershus","Asker",""],["Zizers",46.9357,9.5649,"village",3009,"CH","Grisons","Region Landquart",""],["Belmont-sur-Lausanne",46.5189,6.6764,"village",3007,"CH","Vaud","Lavaux-Oron District",""],["Varpaisjärvi",63.3593,27.7551,"village",3007,"FI","North Savo","Ylä-Savo",""],["Gamla Stan",59.3263,18.0725,"suburb",3000,"SE","Stockholm","Stockholms Kommun",""],["Ed",58.9125,11.9331,"town",2994,"SE","Västra Götaland","Dals-Ed Kommun",""],["Sandared",57.7099,12.7924,"village",2993,"SE","Västra Götaland","Borås",""],["Münchendorf",48.0333,16.3833,"town",2992,"AT","Lower Austria","Politischer Bezirk Mödling",""],["Vinderup",56.4818,8.7799,"village",2991,"DK","Central Jutland","Holstebro Kommune",""],["Biedermannsdorf",48.0839,16.3454,"town",2988,"AT","Lower Austria","Politischer Bezirk Mödling",""],["Steyregg",48.2851,14.3699,"village",2987,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Hökåsen",59.6667,16.5833,"village",2986,"SE","Västmanland","Västerås",""],["Sankt Georgen im Attergau",47.9359,13.4831,"town",2986,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Bachenbülach",47.5032,8.5456,"village",2985,"CH","Zurich","Bezirk Bülach",""],["Bullerup",55.4269,10.4714,"village",2982,"DK","South Denmark","Odense Kommune",""],["Särö",57.5058,11.9321,"village",2982,"SE","Halland","Kungsbacka Kommun",""],["Turgi",47.492,8.2541,"village",2982,"CH","Aargau","Bezirk Baden",""],["Lenzing",47.9733,13.6085,"town",2981,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Perho",63.2167,24.4167,"town",2974,"FI","Central Ostrobothnia","Kaustinen",""],["Gams",47.2043,9.4417,"village",2971,"CH","Saint Gallen","Wahlkreis Werdenberg",""],["Wienersdorf",48.0082,16.2917,"village",2971,"AT","Lower Austria","Politischer Bezirk Baden",""],["Sävar",63.9038,20.5501,"village",2968,"SE","Västerbotten","Umeå Kommun",""],["Kärsämäki",63.9667,25.7667,"town",2966,"FI","North Ostrobothnia","Nivala-Haapajärvi",""],["Brandln",48.1451,13.995,"suburb",2964,"AT","Upper Austria","Wels Stadt",""],["Illnau",47.4113,8.7212,"village",2964,"CH","Zurich","Bezirk Pfäffikon",""],["Solbjerg",56.0427,10.0863,"village",2964,"DK","Central Jutland","Aarhus Kommune",""],["Elixhausen",47.8667,13.0667,"town",2963,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Siegendorf im Burgenland",47.781,16.5423,"village",2963,"AT","Burgenland","Eisenstadt-Umgebung",""],["Genarp",55.5991,13.3982,"village",2962,"SE","Skåne","Lunds Kommun",""],["Ullerslev",55.3617,10.6519,"village",2962,"DK","South Denmark","Nyborg Kommune",""],["Mouhijärvi",61.5,23.0167,"town",2961,"FI","Pirkanmaa","Lounais-Pirkanmaa",""],["Embrach / Embrach (Dorfkern)",47.504,8.5948,"suburb",2960,"CH","Zurich","Bezirk Bülach",""],["Bad Hofgastein",47.1727,13.0987,"town",2951,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Herzogenburg",48.2814,15.6943,"town",2951,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Siezenheim",47.8153,12.9904,"village",2951,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Pöttsching",47.8045,16.3711,"town",2950,"AT","Burgenland","Politischer Bezirk Mattersburg",""],["Fohnsdorf",47.2,14.6833,"town",2947,"AT","Styria","Politischer Bezirk Murtal",""],["Grästorp",58.3322,12.6812,"town",2946,"SE","Västra Götaland","Grästorps Kommun",""],["Berg",47.5788,9.1663,"village",2942,"CH","Thurgau","Bezirk Weinfelden",""],["Borensberg",58.5667,15.2833,"village",2942,"SE","Östergötland","Motala Kommun",""],["Pandrup",57.2215,9.6757,"village",2942,"DK","North Denmark","Jammerbugt Kommune",""],["Grosswangen",47.1331,8.0504,"village",2941,"CH","Lucerne","Sursee District",""],["Sauvo",60.3431,22.6964,"town",2941,"FI","Southwest Finland","Turku",""],["Lapinjärvi",60.6244,26.1972,"town",2937,"FI","Uusimaa","Loviisa",""],["Mosnang",47.3625,9.043,"village",2936,"CH","Saint Gallen","Wahlkreis Toggenburg",""],["Åsgårdstrand",59.3494,10.4695,"village",2934,"NO","Vestfold","Horten",""],["Hausmannstätten",46.9911,15.5114,"town",2934,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Påarp",56.0333,12.8167,"village",2932,"SE","Skåne","Helsingborg",""],["Egerkingen",47.3196,7.7842,"village",2923,"CH","Solothurn","Bezirk Gäu",""],["Mattenbach (Kreis 7) / Gutschick",47.491,8.7526,"suburb",2923,"CH","Zurich","Bezirk Winterthur",""],["Seedorf",47.0344,7.3125,"village",2920,"CH","Bern","Seeland District",""],["Mautern",48.3932,15.5779,"village",2917,"AT","Lower Austria","Politischer Bezirk Krems",""],["Reding",46.8167,14.85,"village",2914,"AT","Carinthia","Politischer Bezirk Wolfsberg",""],["Nottwil",47.1347,8.1377,"village",2911,"CH","Lucerne","Sursee District",""],["Liseleje",56.0129,11.9654,"village",2906,"DK","Capital Region","Halsnæs Kommune",""],["Puchheim",48,13.7167,"suburb",2904,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Hindås",57.7034,12.4466,"village",2901,"SE","Västra Götaland","Härryda Kommun",""],["Köyliö",61.1191,22.3098,"village",2901,"FI","Satakunta","Rauma",""],["Oberburg",47.0367,7.6274,"village",2901,"CH","Bern","Emmental District",""],["Purbach am Neusiedler See",47.9129,16.6956,"village",2901,"AT","Burgenland","Eisenstadt-Umgebung",""],["Netstal",47.0634,9.0573,"village",2900,"CH","Glarus","Glarus",""],["Selzach",47.2053,7.4552,"village",2900,"CH","Solothurn","Bezirk Lebern",""],["Brienz",46.7545,8.0385,"village",2899,"CH","Bern","Interlaken-Oberhasli District",""],["Vik",61.0571,6.5781,"village",2899,"NO","Vestland","Vik",""],["Sindal",57.4712,10.2031,"village",2898,"DK","North Denmark","Hjørring Kommune",""],["Taulov",55.5458,9.6155,"village",2898,"DK","South Denmark","Fredericia Kommune",""],["Buttisholz",47.1144,8.0943,"village",2890,"CH","Lucerne","Sursee District",""],["Ånge",62.5249,15.659,"town",2889,"SE","Västernorrland","Ånge kommun",""],["Karvia",62.1333,22.5667,"town",2889,"FI","Satakunta","Pohjois-Satakunta",""],["Stettlen",46.9584,7.5251,"village",2884,"CH","Bern","Bern-Mittelland District",""],["Alavieska",64.1667,24.3,"town",2883,"FI","North Ostrobothnia","Ylivieska",""],["Hausen",47.464,8.2099,"village",2881,"CH","Aargau","Bezirk Brugg",""],["Evijärvi",63.3667,23.4833,"town",2878,"FI","South Ostrobothnia","Järviseutu",""],["Beromünster",47.2061,8.1927,"village",2876,"CH","Lucerne","Sursee District",""],["Reichenburg",47.171,8.977,"village",2876,"CH","Schwyz","Bezirk March",""],["Avlum",56.2654,8.7926,"village",2875,"DK","Central Jutland","Herning Kommune",""],["Ockelbo",60.8912,16.7185,"town",2875,"SE","Gävleborg","Ockelbo Kommun",""],["Rüti / Oberdorf",47.2589,8.8651,"suburb",2875,"CH","Zurich","Bezirk Hinwil",""],["Obermeilen",47.2657,8.6557,"village",2871,"CH","Zurich","Bezirk Meilen",""],["Kleinhöflein im Burgenland",47.8415,16.5041,"suburb",2868,"AT","Burgenland","Eisenstadt",""],["Frauenkirchen",47.8368,16.9258,"town",2862,"AT","Burgenland","Politischer Bezirk Neusiedl am See",""],["Haselbach",48.2531,13.0561,"village",2862,"AT","Upper Austria","Politischer Bezirk Braunau am Inn",""],["Oberdiessbach",46.8412,7.6173,"village",2860,"CH","Bern","Bern-Mittelland District",""],["Lessebo",56.7518,15.2697,"town",2857,"SE","Kronoberg","Lessebo Kommun",""],["Grindavík",63.8385,-22.4393,"village",2856,"IS","Southern Peninsula","Grindavíkurbær",""],["Rääkkylä",62.3167,29.6167,"town",2855,"FI","North Karelia","Keski-Karjala",""],["Linghem",58.4333,15.7833,"village",2853,"SE","Östergötland","Linköpings Kommun",""],["Subingen",47.1985,7.6195,"village",2852,"CH","Solothurn","Bezirk Wasseramt",""],["Andorf",48.3713,13.5741,"town",2851,"AT","Upper Austria","Politischer Bezirk Schärding",""],["Søndersø",55.4853,10.2554,"village",2850,"DK","South Denmark","Nordfyns Kommune",""],["Rohr",47.4103,7.9533,"village",2849,"CH","Solothurn","Bezirk Gösgen",""],["Niederhasli",47.4801,8.4858,"village",2848,"CH","Zurich","Bezirk Dielsdorf",""],["Vålberg",59.3914,13.1863,"village",2848,"SE","Värmland","Karlstads Kommun",""],["Pregarten",48.3549,14.5322,"town",2846,"AT","Upper Austria","Politischer Bezirk Freistadt",""],["Stora Höga",58.0167,11.8333,"village",2846,"SE","Västra Götaland","Stenungsunds Kommun",""],["Oksbøl",55.6268,8.2876,"village",2845,"DK","South Denmark","Varde Kommune",""],["Ganløse",55.7912,12.2642,"village",2843,"DK","Capital Region","Egedal Kommune",""],["Sundby",54.7671,11.8498,"village",2843,"DK","Zealand","Guldborgsund Kommune",""],["Chavornay",46.7024,6.5694,"village",2841,"CH","Vaud","Jura-Nord vaudois District",""],["Faxe Ladeplads",55.2198,12.1701,"village",2837,"DK","Zealand","Faxe Kommune",""],["Ruotsinpyhtää",60.5268,26.462,"village",2836,"FI","Uusimaa","Loviisa",""],["Ylihärmä",63.15,22.7833,"town",2836,"FI","South Ostrobothnia","Seinäjoki",""],["Hedingen",47.2979,8.4483,"village",2835,"CH","Zurich","Bezirk Affoltern",""],["Løding",67.3006,14.7385,"village",2835,"NO","Nordland","Bodø",""],["Munkfors",59.8386,13.5436,"town",2834,"SE","Värmland","Munkfors Kommun",""],["Tafers",46.8148,7.2185,"town",2833,"CH","Fribourg","Sense District",""],["Tuusniemi",62.8167,28.5,"town",2833,"FI","North Savo","Koillis-Savo",""],["Frillesås",57.3167,12.1667,"village",2832,"SE","Halland","Kungsbacka Kommun",""],["Keitele",63.1833,26.3667,"town",2832,"FI","North Savo","Ylä-Savo",""],["Feldkirchen in Kärnten",46.7237,14.0958,"town",2831,"AT","Carinthia","Politischer Bezirk Feldkirchen",""],["Hovsta",59.35,15.2167,"village",2831,"SE","Örebro","Örebro Kommun",""],["Trimmis",46.9008,9.5612,"village",2831,"CH","Grisons","Region Landquart",""],["Fyllinge",56.65,12.9167,"village",2830,"SE","Halland","Halmstads Kommun",""],["Tinglev",54.9379,9.2555,"village",2829,"DK","South Denmark","Aabenraa Kommune",""],["Unterwaltersdorf",47.95,16.4167,"village",2829,"AT","Lower Austria","Politischer Bezirk Baden",""],["Ellmau",47.5138,12.2994,"town",2828,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Laxenburg",48.0683,16.3561,"town",2828,"AT","Lower Austria","Politischer Bezirk Mödling",""],["Dietikon / Hofacker",47.3972,8.4161,"suburb",2826,"CH","Zurich","Bezirk Dietikon",""],["Ins",47.0058,7.1061,"village",2826,"CH","Bern","Seeland District",""],["Vandœuvres",46.2218,6.2028,"village",2826,"CH","Geneva","Geneva",""],["Kuhmoinen",61.5667,25.1833,"town",2824,"FI","Pirkanmaa","Tampere",""],["Kematen in Tirol",47.25,11.2667,"town",2822,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Strassengel",47.1157,15.3329,"village",2822,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Signau",46.9194,7.7242,"village",2821,"CH","Bern","Emmental District",""],["Muralto",46.1732,8.8022,"village",2818,"CH","Ticino","Locarno District",""],["Hegnau / Dammboden-Grindel",47.3871,8.6666,"suburb",2817,"CH","Zurich","Bezirk Uster",""],["Lassnitzhöhe",47.0667,15.5833,"village",2817,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Zweisimmen",46.5554,7.373,"village",2813,"CH","Bern","Obersimmental-Saanen District",""],["Ramsau am Dachstein",47.4215,13.6555,"village",2812,"AT","Styria","Politischer Bezirk Liezen",""],["Couvet",46.9252,6.6327,"village",2811,"CH","Neuchâtel","Val-de-Travers District",""],["Grossaffoltern",47.0653,7.3569,"village",2810,"CH","Bern","Seeland District",""],["Irsta",59.6,16.7,"village",2809,"SE","Västmanland","Västerås",""],["Leobendorf",48.3833,16.3167,"town",2802,"AT","Lower Austria","Politischer Bezirk Korneuburg",""],["Mettmenstetten",47.2453,8.4635,"suburb",2798,"CH","Zurich","Bezirk Affoltern",""],["Dokka",60.835,10.0736,"town",2796,"NO","Innlandet","Nordre Land",""],["Forchtenstein",47.7116,16.3453,"village",2796,"AT","Burgenland","Politischer Bezirk Mattersburg",""],["Storvorde",57.0039,10.1013,"village",2796,"DK","North Denmark","Ålborg Kommune",""],["Cossonay",46.6144,6.5063,"village",2795,"CH","Vaud","Morges District",""],["Kirchdorf in Tirol",47.5563,12.4451,"town",2795,"AT","Tyrol","Politischer Bezirk Kitzbühel",""],["Billesholm",56.05,13,"village",2794,"SE","Skåne","Bjuvs Kommun",""],["Jokkmokk",66.6067,19.8232,"town",2794,"SE","Norrbotten","Jokkmokks Kommun",""],["Sankt Wolfgang im Salzkammergut",47.7393,13.4467,"village",2794,"AT","Upper Austria","Politischer Bezirk Gmunden",""],["Zistersdorf",48.5425,16.7614,"town",2792,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Deutschkreutz",47.6,16.6333,"town",2791,"AT","Burgenland","Politischer Bezirk Oberpullendorf",""],["Wattenwil",46.7697,7.5084,"village",2788,"CH","Bern","Thun District",""],["Ålestrup",56.6947,9.4934,"village",2787,"DK","North Denmark","Vesthimmerland Kommune",""],["Niederrohrdorf",47.4241,8.304,"village",2784,"CH","Aargau","Bezirk Baden",""],["Olofstorp",58.25,14,"village",2783,"SE","Västra Götaland","Tidaholms kommun",""],["Gommiswald",47.2313,9.0236,"village",2781,"CH","Saint Gallen","Wahlkreis See-Gaster",""],["Seewalchen",47.9525,13.5838,"town",2780,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Mönchaltorf",47.3096,8.7203,"village",2779,"CH","Zurich","Bezirk Uster",""],["Gais",47.3615,9.4536,"village",2778,"CH","Appenzell Ausserrhoden","Bezirk Mittelland",""],["Zürich (Kreis 2) / Unter-Leimbach",47.3336,8.5143,"suburb",2778,"CH","Zurich","Bezirk Zürich",""],["Bad Häring",47.5107,12.1191,"town",2777,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Bergheim",47.8333,13.0333,"town",2777,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Haag",48.1136,14.5675,"town",2777,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Røyken",59.7472,10.3883,"village",2775,"NO","Akershus","Asker",""],["Laupen",46.9021,7.2397,"village",2774,"CH","Bern","Bern-Mittelland District",""],["Vormedal",59.3561,5.3196,"village",2774,"NO","Rogaland","Karmøy",""],["Chermignon-d'en Haut",46.2884,7.4749,"village",2773,"CH","Valais","Sierre District",""],["Hurup",56.7494,8.4195,"village",2769,"DK","North Denmark","Thisted Kommune",""],["Rødding",55.3657,9.0632,"village",2769,"DK","South Denmark","Vejen Kommune",""],["Åre",63.3991,13.08,"village",2768,"SE","Jämtland","Åre kommun",""],["Andenes",69.3143,16.1194,"town",2766,"NO","Nordland","Andøy",""],["Vejbystrand",56.3178,12.7672,"village",2764,"SE","Skåne","Ängelholms Kommun",""],["Töss (Kreis 4) / Schlosstal",47.4928,8.7022,"suburb",2762,"CH","Zurich","Bezirk Winterthur",""],["Avenches",46.88,7.0407,"village",2758,"CH","Vaud","Broye-Vully District",""],["Gamleby",57.8948,16.4051,"village",2758,"SE","Kalmar","Västerviks Kommun",""],["Schafisheim",47.3766,8.1426,"village",2758,"CH","Aargau","Bezirk Lenzburg",""],["Bjärnum",56.2903,13.7113,"village",2755,"SE","Skåne","Hässleholms Kommun",""],["Bårslöv",56.0091,12.8058,"village",2753,"SE","Skåne","Helsingborg",""],["Pörtschach am Wörthersee",46.6364,14.1464,"village",2751,"AT","Carinthia","Politischer Bezirk Klagenfurt Land",""],["Traismauer",48.35,15.7333,"town",2750,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Bätterkinden",47.1316,7.5382,"village",2748,"CH","Bern","Emmental District",""],["Dürnau",47.9971,13.6446,"village",2747,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Mühleberg",46.9547,7.261,"village",2739,"CH","Bern","Bern-Mittelland District",""],["Hohenau",48.6042,16.9047,"village",2738,"AT","","",""],["Niederndorf",47.65,12.2167,"town",2736,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Grandson",46.8095,6.646,"village",2735,"CH","Vaud","Jura-Nord vaudois District",""],["Åkers Styckebruk",59.25,17.0833,"village",2730,"SE","Södermanland","Strängnäs Kommun",""],["Valtimo",63.6667,28.8,"town",2729,"FI","North Karelia","Pielisen Karjala",""],["Vedavågen",59.2948,5.2187,"village",2728,"NO","Rogaland","Karmøy",""],["Lichtenwörth",47.8276,16.2987,"town",2727,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Gränna",58.0167,14.4667,"village",2726,"SE","Jönköping","Jönköpings Kommun",""],["Orsières",46.029,7.1444,"village",2725,"CH","Valais","Entremont District",""],["Heby",59.9382,16.8622,"town",2724,"SE","Uppsala","Heby kommun",""],["Kiihtelysvaara",62.4952,30.2508,"village",2723,"FI","North Karelia","Joensuu",""],["Volketswil / Volketswil (Dorf)",47.3902,8.6908,"village",2723,"CH","Zurich","Bezirk Uster",""],["Skørping",56.8363,9.8925,"village",2722,"DK","North Denmark","Rebild Kommune",""],["Bruckneudorf",48.0167,16.7833,"town",2721,"AT","Burgenland","Politischer Bezirk Neusiedl am See",""],["Güssing",47.0594,16.3243,"town",2719,"AT","Burgenland","Politischer Bezirk Güssing",""],["Steinach am Brenner",47.0833,11.4667,"town",2716,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Quarten",47.107,9.242,"village",2715,"CH","Saint Gallen","Wahlkreis Sarganserland",""],["Rickenbach bei Wil",47.4486,9.049,"village",2714,"CH","Thurgau","Bezirk Münchwilen",""],["Blindenmarkt",48.1275,14.9865,"town",2712,"AT","Lower Austria","Politischer Bezirk Melk",""],["Brovst",57.0975,9.5226,"village",2710,"DK","North Denmark","Jammerbugt Kommune",""],["Langå",56.3903,9.8949,"village",2710,"DK","Central Jutland","Randers Kommune",""],["Wädenswil / Büelen",47.234,8.6635,"suburb",2710,"CH","Zurich","Bezirk Horgen",""],["Christiansfeld",55.3582,9.487,"village",2709,"DK","South Denmark","Kolding Kommune",""],["Rohrbach bei Mattersburg",47.7052,16.4301,"town",2707,"AT","Burgenland","Politischer Bezirk Mattersburg",""],["Anières",46.2767,6.222,"village",2706,"CH","Geneva","Geneva",""],["Aubonne",46.4951,6.3915,"village",2703,"CH","Vaud","Morges District",""],["Satteins",47.2167,9.6667,"town",2703,"AT","Vorarlberg","Politischer Bezirk Feldkirch",""],["Deje",59.603,13.472,"village",2702,"SE","Värmland","Forshaga Kommun",""],["Kuru",61.8756,23.7195,"village",2701,"FI","Pirkanmaa","Tampere",""],["Lauperswil",46.9656,7.7421,"village",2700,"CH","Bern","Emmental District",""],["Samedan",46.534,9.8728,"village",2700,"CH","Grisons","Region Maloja",""],["Strøby Egede",55.4138,12.245,"village",2700,"DK","Zealand","Stevns Kommune",""],["Ennenda",47.0336,9.0789,"village",2699,"CH","Glarus","Glarus",""],["Gimo",60.173,18.1851,"village",2698,"SE","Uppsala","Östhammars Kommun",""],["Mårslet",56.0669,10.1611,"village",2698,"DK","Central Jutland","Aarhus Kommune",""],["Ulefoss",59.2824,9.2655,"town",2697,"NO","Telemark","Nome",""],["Sementina",46.1836,8.9916,"village",2695,"CH","Ticino","Bellinzona District",""],["Puumala",61.5273,28.1749,"town",2693,"FI","South Savo","Mikkeli",""],["Ejby",55.4858,12.0817,"village",2692,"DK","Zealand","Køge Kommune",""],["Wiesen",47.7378,16.338,"town",2691,"AT","Burgenland","Politischer Bezirk Mattersburg",""],["Horgen / Scheller-Stockerstrasse",47.2658,8.5876,"suburb",2690,"CH","Zurich","Bezirk Horgen",""],["Lunderskov",55.4838,9.2992,"village",2687,"DK","South Denmark","Kolding Kommune",""],["Mitterndorf an der Fischa",47.9974,16.4736,"town",2685,"AT","Lower Austria","Politischer Bezirk Baden",""],["Valdemarsvik",58.2031,16.6023,"town",2685,"SE","Östergötland","Valdemarsviks Kommun",""],["Aldrans",47.25,11.45,"town",2684,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Puchberg am Schneeberg",47.7871,15.9135,"town",2683,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Weigelsdorf",47.95,16.4,"village",2680,"AT","Lower Austria","Politischer Bezirk Baden",""],["Nørre Åby",55.4611,9.8794,"village",2678,"DK","South Denmark","Middelfart Kommune",""],["Unterengstringen",47.414,8.4476,"village",2675,"CH","Zurich","Bezirk Dietikon",""],["Nordmaling",63.5685,19.5024,"town",2671,"SE","Västerbotten","Nordmalings Kommun",""],["Tuggen",47.2029,8.949,"village",2671,"CH","Schwyz","Bezirk March",""],["Niederhelfenschwil",47.4749,9.1854,"village",2668,"CH","Saint Gallen","Wahlkreis Wil",""],["Chalais",46.2676,7.5114,"village",2665,"CH","Valais","Sierre District",""],["Kesälahti",61.8975,29.8349,"village",2665,"FI","North Karelia","Keski-Karjala",""],["Soini",62.8667,24.2167,"town",2665,"FI","South Ostrobothnia","Järviseutu",""],["Puchenau",48.3121,14.2361,"village",2663,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Skibby",55.7512,11.9608,"village",2661,"DK","Capital Region","Frederikssund Kommune",""],["Chardonne",46.4768,6.8268,"village",2659,"CH","Vaud","Riviera-Pays-d'Enhaut District",""],["Ypäjä",60.8,23.2833,"town",2659,"FI","Kanta-Häme","Forssa",""],["Stegersbach",47.1667,16.1667,"town",2658,"AT","Burgenland","Politischer Bezirk Güssing",""],["Kibæk",56.0317,8.857,"village",2656,"DK","Central Jutland","Herning Kommune",""],["Bonaduz",46.811,9.3982,"village",2654,"CH","Grisons","Region Imboden",""],["Wildon",46.8833,15.5167,"town",2652,"AT","Styria","Politischer Bezirk Leibnitz",""],["Bad Erlach",47.7272,16.2144,"town",2651,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Kylmäkoski",61.154,23.6886,"town",2647,"FI","Pirkanmaa","Etelä-Pirkanmaa",""],["Hopfgarten im Brixental",47.4498,12.1566,"village",2646,"AT","Tyrol","Politischer Bezirk Kitzbühel",""],["Lauterbrunnen",46.5931,7.9094,"village",2646,"CH","Bern","Interlaken-Oberhasli District",""],["Odensjö",57.7167,14.1667,"village",2646,"SE","Jönköping","Jönköpings Kommun",""],["Glattbrugg",47.4313,8.5627,"suburb",2642,"CH","Zurich","Bezirk Bülach",""],["Tvååker",57.0415,12.3995,"village",2640,"SE","Halland","Varbergs Kommun",""],["Brixen im Thale",47.45,12.25,"town",2639,"AT","Tyrol","Politischer Bezirk Kitzbühel",""],["Euratsfeld",48.0818,14.9315,"town",2639,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Auli",60.0345,11.3605,"village",2638,"NO","Akershus","Nes",""],["Sankt Margarethen im Burgenland",47.8034,16.6088,"town",2636,"AT","Burgenland","Eisenstadt-Umgebung",""],["Vandans",47.0957,9.8652,"town",2636,"AT","Vorarlberg","Politischer Bezirk Bludenz",""],["Effretikon / Watt",47.428,8.6982,"suburb",2632,"CH","Zurich","Bezirk Pfäffikon",""],["Seen (Kreis 3) / Büelwiesen",47.4845,8.7652,"suburb",2632,"CH","Zurich","Bezirk Winterthur",""],["Zunzgen",47.4492,7.8079,"town",2632,"CH","Basel-Landschaft","Bezirk Sissach",""],["Jämjö",56.1919,15.8412,"village",2629,"SE","Blekinge","Karlskrona Kommun",""],["Chamoson",46.2028,7.2232,"village",2628,"CH","Valais","Conthey District",""],["Menznau",47.0836,8.0397,"village",2628,"CH","Lucerne","Willisau District",""],["Kematen an der Ybbs",48.0254,14.7647,"town",2625,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Ísafjörður",66.0747,-23.135,"town",2624,"IS","Westfjords","Ísafjarðarbær",""],["Poysdorf",48.6667,16.6333,"town",2620,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Dietikon / Vorstadt",47.4082,8.3972,"suburb",2619,"CH","Zurich","Bezirk Dietikon",""],["Bjæverskov",55.4576,12.0365,"village",2618,"DK","Zealand","Køge Kommune",""],["Stokke",59.2225,10.3005,"town",2618,"NO","Vestfold","Sandefjord",""],["Böheimkirchen",48.1978,15.7618,"town",2617,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Fügen",47.347,11.8494,"town",2617,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Schenkon",47.1776,8.132,"town",2616,"CH","Lucerne","Sursee District",""],["Grossgmain",47.7242,12.9085,"village",2615,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Rørvik",64.8619,11.2397,"town",2615,"NO","Trøndelag","Nærøysund",""],["Steinbrunn",47.8333,16.4167,"town",2614,"AT","Burgenland","Eisenstadt-Umgebung",""],["Lenzerheide",46.7221,9.559,"village",2610,"CH","Grisons","Region Albula",""],["Grosspetersdorf",47.239,16.3178,"village",2608,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Küsnacht / Goldbach",47.3273,8.5808,"suburb",2607,"CH","Zurich","Bezirk Meilen",""],["Purgstall",48.0584,15.1348,"town",2605,"AT","Lower Austria","Politischer Bezirk Scheibbs",""],["Pfunds",46.9667,10.55,"town",2602,"AT","Tyrol","Politischer Bezirk Landeck",""],["Wülflingen (Kreis 6) / Härti",47.5126,8.684,"suburb",2602,"CH","Zurich","Bezirk Winterthur",""],["Märstetten-Dorf",47.5925,9.0685,"village",2600,"CH","Thurgau","Bezirk Weinfelden",""],["Skålevik",58.0795,8.016,"village",2599,"NO","Agder","Kristiansand",""],["Sjömarken",57.7153,12.8349,"village",2596,"SE","Västra Götaland","Borås",""],["Ehrwald",47.4,10.9167,"town",2593,"AT","Tyrol","Politischer Bezirk Reutte",""],["Heidenreichstein",48.8667,15.1167,"town",2593,"AT","Lower Austria","Politischer Bezirk Gmünd",""],["Årup",55.3732,10.0413,"village",2592,"DK","South Denmark","Assens Kommune",""],["Johannedal",62.4342,17.3727,"village",2592,"SE","Västernorrland","Sundsvalls Kommun",""],["Elsbethen",47.7646,13.081,"town",2587,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Schlieren / Spital",47.3949,8.4303,"suburb",2587,"CH","Zurich","Bezirk Dietikon",""],["Thyborøn",56.6985,8.2124,"village",2587,"DK","Central Jutland","Lemvig Kommune",""],["Hirtenberg",47.931,16.1791,"town",2586,"AT","Lower Austria","Politischer Bezirk Baden",""],["Isojoki",62.1132,21.9588,"town",2585,"FI","South Ostrobothnia","Suupohja",""],["Glattfelden",47.5587,8.5017,"village",2578,"CH","Zurich","Bezirk Bülach",""],["Sauðárkrókur",65.7461,-19.6394,"town",2575,"IS","Northwest","Sveitarfélagið Skagafjörður",""],["Thusis",46.6972,9.4394,"village",2572,"CH","Grisons","Region Viamala",""],["Leitendorf",47.3667,15.0833,"suburb",2568,"AT","Styria","Politischer Bezirk Leoben",""],["Rygge",59.3776,10.7503,"town",2567,"NO","Østfold","Moss",""],["Wöllersdorf",47.865,16.1712,"village",2567,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Andelsbuch",47.4117,9.8933,"town",2565,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Ebenfurth",47.8774,16.3673,"town",2564,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Eriksbo",57.7714,12.0418,"village",2564,"SE","Västra Götaland","Göteborgs stad",""],["Au / Mittel-Dorf",47.243,8.6459,"suburb",2562,"CH","Zurich","Bezirk Horgen",""],["Alpbach",47.3988,11.9437,"town",2561,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Eggiwil",46.8757,7.7957,"village",2559,"CH","Bern","Emmental District",""],["Humppila",60.9333,23.3667,"town",2559,"FI","Kanta-Häme","Forssa",""],["Åseda",57.1701,15.3443,"town",2557,"SE","Kronoberg","Uppvidinge Kommun",""],["Vuolijoki",64.1854,26.9955,"village",2557,"FI","Kainuu","Kajaani",""],["Wädenswil / Dorf (Wädenswil)",47.2292,8.6722,"suburb",2556,"CH","Zurich","Bezirk Horgen",""],["Neukirchen",47.875,13.7111,"village",2555,"AT","Upper Austria","Politischer Bezirk Gmunden",""],["Skævinge",55.9079,12.1504,"village",2555,"DK","Capital Region","Hillerød Kommune",""],["Wülflingen (Kreis 6) / Lindenplatz",47.511,8.6929,"suburb",2555,"CH","Zurich","Bezirk Winterthur",""],["Ödeshög",58.2295,14.6529,"town",2554,"SE","Östergötland","Ödeshögs Kommun",""],["Kirchlindach",46.9997,7.4173,"village",2553,"CH","Bern","Bern-Mittelland District",""],["Nordfjordeid",61.9122,5.9856,"town",2553,"NO","Vestland","Stad",""],["Zell",47.5833,12.15,"village",2551,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Buch in Tirol",47.3745,11.754,"town",2548,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Fischingen",47.4142,8.9686,"village",2548,"CH","Thurgau","Bezirk Münchwilen",""],["Gram",55.2895,9.0491,"village",2548,"DK","South Denmark","Haderslev Kommune",""],["Tau",59.0648,5.9225,"village",2548,"NO","Rogaland","Strand",""],["Eugendorf",47.8676,13.1261,"town",2544,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Sveg",62.0341,14.3658,"town",2543,"SE","Jämtland","Härjedalens kommun",""],["Honningsvåg",70.9821,25.9704,"town",2541,"NO","Finnmark","Nordkapp",""],["Schwanden",46.9954,9.0701,"village",2541,"CH","Glarus","Glarus",""],["Gössendorf",46.9983,15.4856,"town",2539,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Adliswil / Adliswil (Stadtkern)",47.3113,8.5267,"suburb",2538,"CH","Zurich","Bezirk Horgen",""],["Vesanto",62.9333,26.4167,"town",2537,"FI","North Savo","Sisä-Savo",""],["Flims",46.837,9.2846,"village",2536,"CH","Grisons","Region Imboden",""],["Silz",47.2667,10.9333,"town",2536,"AT","Tyrol","Politischer Bezirk Imst",""],["Irsta",59.7,16.9333,"village",2534,"SE","Uppsala","Enköpings Kommun",""],["Bureå",64.6167,21.2,"village",2533,"SE","Västerbotten","Skellefteå Kommun",""],["Gånghester",57.7,13.0167,"village",2533,"SE","Västra Götaland","Borås",""],["Stockvik",62.3367,17.3658,"village",2532,"SE","Västernorrland","Sundsvalls Kommun",""],["Gol",60.7014,8.9457,"town",2530,"NO","Buskerud","Gol",""],["Sulz",47.2872,9.6518,"town",2527,"AT","Vorarlberg","Politischer Bezirk Feldkirch",""],["Horgen / Oberdorf",47.2584,8.5901,"suburb",2524,"CH","Zurich","Bezirk Horgen",""],["Berndorf",47.4167,15.2667,"village",2522,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Bø",59.413,9.0693,"town",2522,"NO","Telemark","Midt-Telemark",""],["Wetzikon / Unter-Wetzikon",47.3164,8.7937,"suburb",2521,"CH","Zurich","Bezirk Hinwil",""],["Strandby",57.4915,10.4961,"village",2518,"DK","North Denmark","Frederikshavn Kommune",""],["Hirvensalmi",61.6333,26.8,"town",2517,"FI","South Savo","Mikkeli",""],["Arden",56.769,9.8618,"village",2516,"DK","North Denmark","Mariagerfjord Kommune",""],["Hjortshøj",56.2481,10.2653,"village",2515,"DK","Central Jutland","Aarhus Kommune",""],["Niklasdorf",47.3833,15.15,"town",2515,"AT","Styria","Politischer Bezirk Leoben",""],["Schwoich",47.546,12.1405,"town",2515,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Hörnefors",63.6231,19.9086,"village",2514,"SE","Västerbotten","Umeå Kommun",""],["Høruphav",54.9102,9.8987,"village",2514,"DK","South Denmark","Sønderborg Kommune",""],["Ringgenberg",46.7011,7.8944,"village",2514,"CH","Bern","Interlaken-Oberhasli District",""],["Nordby",55.446,8.3979,"town",2512,"DK","South Denmark","Fanø Kommune",""],["Kloten / Rütlen",47.4473,8.5881,"suburb",2510,"CH","Zurich","Bezirk Bülach",""],["Auning",56.4308,10.3782,"village",2509,"DK","Central Jutland","Norddjurs Kommune",""],["Alunda",60.0667,18.0833,"village",2506,"SE","Uppsala","Östhammars Kommun",""],["Miehikkälä",60.6667,27.7,"town",2506,"FI","Kymenlaakso","Kotka-Hamina",""],["Stein",47.544,7.9526,"village",2504,"CH","Aargau","Bezirk Rheinfelden",""],["Roggwil",47.4998,9.3958,"village",2500,"CH","Thurgau","Bezirk Arbon",""],["Villars-sur-Ollon",46.2983,7.0563,"village",2500,"CH","Vaud","Aigle District",""],["Pomarkku",61.6935,22.0086,"town",2499,"FI","Satakunta","Pori",""],["Rognan",67.1002,15.3909,"town",2499,"NO","Nordland","Saltdal",""],["Stranda",62.3086,6.9372,"town",2499,"NO","Møre og Romsdal","Stranda",""],["Karinainen",60.6667,22.7667,"village",2497,"FI","","",""],["Frosta",63.5891,10.7423,"town",2495,"NO","Trøndelag","Frosta",""],["Pottenstein",47.9582,16.0948,"town",2495,"AT","Lower Austria","Politischer Bezirk Baden",""],["Radfeld",47.4481,11.9142,"town",2495,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Müllheim",47.602,9.0036,"village",2493,"CH","Thurgau","Bezirk Frauenfeld",""],["Retz",48.7571,15.9549,"town",2493,"AT","Lower Austria","Politischer Bezirk Hollabrunn",""],["Täuffelen",47.0663,7.1988,"village",2492,"CH","Bern","Seeland District",""],["Skovby",56.1567,9.9452,"village",2489,"DK","Central Jutland","Skanderborg Kommune",""],["Orpund",47.1389,7.3078,"village",2488,"CH","Bern","Biel/Bienne District",""],["Ekängen",58.4667,15.6333,"village",2485,"SE","Östergötland","Linköpings Kommun",""],["Varhaug",58.6181,5.657,"town",2484,"NO","Rogaland","Hå",""],["Ytre Arna",60.4618,5.4326,"village",2484,"NO","Vestland","Bergen",""],["Matrei in Osttirol",47,12.5333,"town",2482,"AT","Tyrol","Politischer Bezirk Lienz",""],["Weerberg",47.2984,11.6659,"village",2482,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Reiterndorf",47.7036,13.6291,"village",2481,"AT","Upper Austria","Politischer Bezirk Gmunden",""],["Frövi",59.4667,15.3667,"village",2480,"SE","Örebro","Lindesbergs Kommun",""],["Merenschwand",47.2594,8.3763,"village",2479,"CH","Aargau","Bezirk Muri",""],["Saint-Aubin-Sauges",46.8942,6.7725,"village",2476,"CH","Neuchâtel","Boudry District",""],["Haus im Ennstal",47.4106,13.7676,"village",2475,"AT","Styria","Politischer Bezirk Liezen",""],["Trige",56.2529,10.1484,"village",2475,"DK","Central Jutland","Aarhus Kommune",""],["Kyrksæterøra",63.2906,9.0891,"town",2471,"NO","Trøndelag","Heim",""],["Vårsta",59.1653,17.7972,"village",2470,"SE","Stockholm","Botkyrka Kommun",""],["Strömma",59.2833,18.5333,"village",2468,"SE","Stockholm","Värmdö Kommun",""],["Birmenstorf",47.4615,8.2482,"village",2462,"CH","Aargau","Bezirk Baden",""],["Röbäck",63.8088,20.189,"village",2460,"SE","Västerbotten","Umeå Kommun",""],["Meisterschwanden",47.2949,8.2287,"village",2459,"CH","Aargau","Bezirk Lenzburg",""],["Münsterlingen",47.632,9.2327,"village",2459,"CH","Thurgau","Bezirk Kreuzlingen",""],["Løten",60.8194,11.3421,"town",2458,"NO","Innlandet","Løten",""],["Maurach",47.4212,11.753,"village",2458,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Kritzendorf",48.3293,16.3001,"village",2457,"AT","Lower Austria","Politischer Bezirk Tulln",""],["Sankt Lorenzen im Mürztal",47.4833,15.3667,"town",2457,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Ermatingen",47.6706,9.0857,"village",2453,"CH","Thurgau","Bezirk Kreuzlingen",""],["Vinstra",61.595,9.7513,"town",2449,"NO","Innlandet","Nord-Fron",""],["Vikersund",59.9684,9.9911,"town",2448,"NO","Buskerud","Modum",""],["Igls",47.2313,11.4102,"village",2444,"AT","Tyrol","Innsbruck Stadt",""],["Ljunghusen",55.3979,12.9249,"village",2444,"SE","Skåne","Vellinge Kommun",""],["Asnæs",55.8123,11.5013,"village",2441,"DK","Zealand","Odsherred Kommune",""],["Debant",46.8333,12.8167,"village",2441,"AT","Tyrol","Politischer Bezirk Lienz",""],["Kolsva",59.6,15.8333,"village",2440,"SE","Västmanland","Köpings Kommun",""],["Hörtendorf",46.6333,14.4,"village",2437,"AT","Carinthia","Klagenfurt am Wörthersee",""],["Maienfeld",47.0047,9.5312,"village",2435,"CH","Grisons","Region Landquart",""],["Vehmaa",60.6833,21.6667,"town",2435,"FI","Southwest Finland","Vakka-Suomi",""],["Molln",47.8872,14.2582,"village",2434,"AT","Upper Austria","Politischer Bezirk Kirchdorf an der Krems",""],["Mariager",56.6499,9.9751,"village",2433,"DK","North Denmark","Mariagerfjord Kommune",""],["Assentoft",56.4421,10.1517,"village",2432,"DK","Central Jutland","Randers Kommune",""],["Kaindorf an der Sulm",46.7925,15.5388,"town",2432,"AT","Styria","Politischer Bezirk Leibnitz",""],["Rohrbach in Oberösterreich",48.5727,13.9883,"village",2432,"AT","Upper Austria","Politischer Bezirk Rohrbach",""],["Haiming",47.25,10.8833,"town",2428,"AT","Tyrol","Politischer Bezirk Imst",""],["Rubigen",46.8987,7.5446,"village",2426,"CH","Bern","Bern-Mittelland District",""],["Weiden am See",47.9253,16.869,"town",2426,"AT","Burgenland","Politischer Bezirk Neusiedl am See",""],["Guderup",54.9898,9.8717,"village",2424,"DK","South Denmark","Sønderborg Kommune",""],["Staufen",47.382,8.1668,"village",2424,"CH","Aargau","Bezirk Lenzburg",""],["Thalgau",47.8414,13.2532,"town",2424,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Hårlev",55.3494,12.2338,"village",2423,"DK","Zealand","Stevns Kommune",""],["Schiers",46.9697,9.6872,"village",2423,"CH","Grisons","Region Prättigau / Davos",""],["Egg",47.4315,9.8976,"town",2422,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Benken",47.1994,9.0074,"village",2419,"CH","Saint Gallen","Wahlkreis See-Gaster",""],["Hanstholm",57.1155,8.6172,"village",2418,"DK","North Denmark","Thisted Kommune",""],["Sankt Martin",47.4467,15.2849,"village",2417,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Ryggebyen",59.375,10.75,"village",2416,"NO","Østfold","Moss",""],["Sankt Martin",46.6172,13.8288,"suburb",2416,"AT","Carinthia","Villach Stadt",""],["Stange",60.718,11.1942,"town",2416,"NO","Innlandet","Stange",""],["Endach",47.568,12.156,"village",2415,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Russikon",47.3967,8.7752,"village",2415,"CH","Zurich","Bezirk Pfäffikon",""],["Herrestad",58.3833,14.8,"village",2412,"SE","Östergötland","Vadstena Kommun",""],["Muonio",67.95,23.7,"town",2412,"FI","Lapland","Tunturi-Lappi",""],["Radstadt",47.3833,13.45,"town",2410,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Setermoen",68.861,18.3486,"town",2410,"NO","Troms","Bardu",""],["Pasching",48.2593,14.2037,"village",2409,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Trieben",47.4857,14.4874,"town",2408,"AT","Styria","Politischer Bezirk Liezen",""],["Bälinge",59.95,17.5333,"village",2406,"SE","Uppsala","Uppsala Kommun",""],["Fossbergom",61.8377,8.5684,"town",2406,"NO","Innlandet","Lom",""],["Königstetten",48.302,16.1449,"town",2406,"AT","Lower Austria","Politischer Bezirk Tulln",""],["Schlins",47.2,9.7,"town",2404,"AT","Vorarlberg","Politischer Bezirk Feldkirch",""],["Vindeln",64.2018,19.7194,"town",2403,"SE","Västerbotten","Vindelns Kommun",""],["Oetz",47.2,10.9,"town",2402,"AT","Tyrol","Politischer Bezirk Imst",""],["Wolfhausen",47.2562,8.7991,"village",2402,"CH","Zurich","Bezirk Hinwil",""],["Tommerup Stationsby",55.3454,10.1759,"village",2401,"DK","South Denmark","Assens Kommune",""],["Yvonand",46.8003,6.7425,"village",2401,"CH","Vaud","Jura-Nord vaudois District",""],["Hårby",55.2236,10.1227,"village",2400,"DK","","",""],["Kortesjärvi",63.3,23.1667,"town",2400,"FI","South Ostrobothnia","Seinäjoki",""],["Maura",60.2583,11.0319,"village",2400,"NO","Akershus","Nannestad",""],["Matzingen",47.5196,8.9337,"village",2399,"CH","Thurgau","Bezirk Frauenfeld",""],["Puidoux",46.5009,6.7825,"village",2398,"CH","Vaud","Lavaux-Oron District",""],["Küsnacht / Itschnach",47.3271,8.6007,"suburb",2397,"CH","Zurich","Bezirk Meilen",""],["Novazzano",45.8407,8.9824,"town",2395,"CH","Ticino","Mendrisio District",""],["Rønnede",55.2571,12.0213,"village",2395,"DK","Zealand","Faxe Kommune",""],["Rottne",57.0167,14.9,"village",2395,"SE","Kronoberg","Växjö Kommun",""],["Álftanes",64.1,-22.0167,"village",2392,"IS","Capital Region","Garðabær",""],["Bjørnevatn",69.6675,29.9872,"village",2392,"NO","Finnmark","Sør-Varanger",""],["Windischgarsten",47.7222,14.3276,"village",2392,"AT","Upper Austria","Politischer Bezirk Kirchdorf an der Krems",""],["Leopoldsdorf im Marchfelde",48.2226,16.6886,"town",2391,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Lotzwil",47.1913,7.791,"village",2391,"CH","Bern","Oberaargau",""],["Sankt Georgen am Leithagebirge",47.85,16.55,"suburb",2391,"AT","Burgenland","Eisenstadt",""],["Gralla",46.814,15.5551,"town",2390,"AT","Styria","Politischer Bezirk Leibnitz",""],["Pottenbrunn",48.2333,15.7,"village",2390,"AT","Lower Austria","Sankt Pölten Stadt",""],["Riva San Vitale",45.9012,8.9717,"village",2390,"CH","Ticino","Mendrisio District",""],["Hals",56.9961,10.3081,"village",2388,"DK","North Denmark","Ålborg Kommune",""],["Bludesch",47.2,9.7331,"town",2386,"AT","Vorarlberg","Politischer Bezirk Bludenz",""],["Förslöv",56.35,12.8167,"village",2386,"SE","Skåne","Båstads Kommun",""],["Fjärås kyrkby",57.4591,12.1751,"village",2385,"SE","Halland","Kungsbacka Kommun",""],["Illmitz",47.7615,16.8002,"town",2385,"AT","Burgenland","Politischer Bezirk Neusiedl am See",""],["Mauerkirchen",48.1917,13.1334,"village",2384,"AT","Upper Austria","Politischer Bezirk Braunau am Inn",""],["Skinnskatteberg",59.8303,15.6934,"town",2383,"SE","Västmanland","Skinnskattebergs Kommun",""],["Hørve",55.7529,11.453,"village",2382,"DK","Zealand","Odsherred Kommune",""],["Luopioinen",61.3629,24.6678,"village",2381,"FI","Pirkanmaa","Tampere",""],["Attalens",46.5055,6.8504,"village",2380,"CH","Fribourg","Veveyse District",""],["Blomstermåla",56.9833,16.3333,"village",2380,"SE","Kalmar","Mönsterås Kommun",""],["Leutasch",47.3689,11.144,"town",2380,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Lassee",48.2248,16.8223,"town",2379,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Rødby",54.6949,11.3888,"village",2379,"DK","Zealand","Lolland Kommune",""],["Schattendorf",47.7097,16.5098,"town",2379,"AT","Burgenland","Politischer Bezirk Mattersburg",""],["Kåge",64.8357,20.9845,"village",2376,"SE","Västerbotten","Skellefteå Kommun",""],["Renko",60.8956,24.2878,"town",2376,"FI","Kanta-Häme","Hämeenlinna",""],["Skjervøy",70.0311,20.9714,"town",2376,"NO","Troms","Skjervøy",""],["Svinninge",55.7211,11.4655,"village",2376,"DK","Zealand","Holbæk Kommune",""],["Söråker",62.5056,17.5103,"village",2374,"SE","Västernorrland","Timrå Kommun",""],["Wolfern",48.0828,14.372,"town",2374,"AT","Upper Austria","Politischer Bezirk Steyr-Land",""],["Snoghøj",55.5225,9.7212,"village",2371,"DK","South Denmark","Fredericia Kommune",""],["Tørring",55.85,9.4833,"village",2370,"DK","Central Jutland","Hedensted Kommune",""],["Pfungen",47.5139,8.6423,"village",2369,"CH","Zurich","Bezirk Winterthur",""],["Charlottenberg",59.8842,12.304,"town",2368,"SE","Värmland","Eda kommun",""],["Werndorf",46.9242,15.4908,"town",2365,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Elnesvågen",62.8543,7.1377,"town",2362,"NO","Møre og Romsdal","Hustadvika",""],["Seen (Kreis 3) / Ganzenbühl",47.481,8.7625,"suburb",2362,"CH","Zurich","Bezirk Winterthur",""],["Camorino",46.1648,9.0055,"village",2358,"CH","Ticino","Bellinzona District",""],["Jennersdorf",46.9385,16.1416,"town",2358,"AT","Burgenland","Politischer Bezirk Jennersdorf",""],["Pernitz",47.8976,15.9602,"town",2356,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Tynset",62.2759,10.7824,"town",2356,"NO","Innlandet","Tynset",""],["Pyhäranta",60.95,21.45,"town",2355,"FI","Southwest Finland","Vakka-Suomi",""],["Domdidier",46.8672,7.0134,"village",2353,"CH","Fribourg","Broye District",""],["Sankt Niklaus",46.1772,7.8035,"village",2352,"CH","Valais","Visp District",""],["Billingstad",59.8755,10.4823,"village",2349,"NO","Akershus","Asker",""],["Toivakka",62.1,26.0833,"town",2349,"FI","Central Finland","Jyväskylä",""],["Alfta",61.3468,16.075,"village",2348,"SE","Gävleborg","Ovanåkers Kommun",""],["Bjørkelangen",59.8836,11.564,"town",2346,"NO","Akershus","Aurskog-Høland",""],["Vipperød",55.6677,11.7397,"village",2345,"DK","Zealand","Holbæk Kommune",""],["Elgg / Städtchen und Umgebung",47.4926,8.8668,"suburb",2342,"CH","Zurich","Bezirk Winterthur",""],["Bartholomäberg",47.0833,9.9,"town",2341,"AT","Vorarlberg","Politischer Bezirk Bludenz",""],["Krauchthal",47.0096,7.5664,"village",2339,"CH","Bern","Emmental District",""],["Monte Carasso",46.1865,8.9989,"village",2336,"CH","Ticino","Bellinzona District",""],["Gießhübl",48.0978,16.2348,"town",2335,"AT","Lower Austria","Politischer Bezirk Mödling",""],["Vikingstad",58.383,15.432,"village",2335,"SE","Östergötland","Linköpings Kommun",""],["Grimisuat",46.2594,7.3841,"village",2332,"CH","Valais","Sion District",""],["Lervik",59.2712,10.7461,"village",2331,"NO","Østfold","Fredrikstad",""],["Österbybruk",60.2,17.9,"village",2331,"SE","Uppsala","Östhammars Kommun",""],["Rüderswil",46.9837,7.7217,"village",2329,"CH","Bern","Emmental District",""],["Evilard",47.1505,7.2389,"village",2328,"CH","Bern","Biel/Bienne District",""],["Velden am Wörthersee",46.613,14.0413,"village",2325,"AT","","",""],["Sarmenstorf",47.3111,8.2495,"village",2322,"CH","Aargau","Bezirk Bremgarten",""],["Ilanz",46.7741,9.2046,"village",2321,"CH","Grisons","Region Surselva",""],["Freindorf",48.2257,14.2951,"village",2320,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Ranshofen",48.2331,13.0157,"village",2319,"AT","Upper Austria","Politischer Bezirk Braunau am Inn",""],["Krumbach Markt",47.5218,16.1942,"village",2316,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Courrendlin",47.3385,7.3724,"village",2314,"CH","Jura","Delémont District",""],["Rietz",47.2859,11.0307,"town",2313,"AT","Tyrol","Politischer Bezirk Imst",""],["Nürensdorf",47.4481,8.6491,"village",2310,"CH","Zurich","Bezirk Bülach",""],["Løpsmarka",67.3134,14.4493,"village",2308,"NO","Nordland","Bodø",""],["Arosa",46.7779,9.6762,"village",2307,"CH","Grisons","Region Plessur",""],["Fritsla",57.5566,12.7846,"village",2307,"SE","Västra Götaland","Marks Kommun",""],["Unteriberg",47.0626,8.8052,"village",2307,"CH","Schwyz","Bezirk Schwyz",""],["Ardon",46.2095,7.2601,"village",2305,"CH","Valais","Conthey District",""],["Kihniö",62.2,23.1833,"town",2305,"FI","Pirkanmaa","Luoteis-Pirkanmaa",""],["Urnäsch",47.3167,9.2795,"village",2304,"CH","Appenzell Ausserrhoden","Bezirk Hinterland",""],["Dybbøl",54.9108,9.736,"village",2303,"DK","South Denmark","Sønderborg Kommune",""],["Egilsstaðir",65.2669,-14.3948,"town",2303,"IS","East","Múlaþing",""],["Untervaz",46.9275,9.5342,"village",2303,"CH","Grisons","Region Landquart",""],["Wilderswil",46.6637,7.8617,"village",2303,"CH","Bern","Interlaken-Oberhasli District",""],["Warmbad-Judendorf",46.6013,13.8224,"suburb",2302,"AT","Carinthia","Villach Stadt",""],["Montana",46.3134,7.4884,"village",2301,"CH","Valais","Sierre District",""],["Stubbekøbing",54.8888,12.041,"village",2301,"DK","Zealand","Guldborgsund Kommune",""],["Vester Hassing",57.0677,10.1256,"village",2298,"DK","North Denmark","Ålborg Kommune",""],["Deutschfeistritz",47.1985,15.3362,"town",2297,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Montagnola",45.9832,8.9179,"village",2297,"CH","Ticino","Lugano District",""],["Claro",46.2576,9.0225,"village",2296,"CH","Ticino","Bellinzona District",""],["Frösakull",56.6833,12.7333,"village",2296,"SE","Halland","Halmstads Kommun",""],["Markt Piesting",47.8736,16.1251,"town",2294,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Reconvilier",47.2343,7.2224,"village",2291,"CH","Bern","Bernese Jura",""],["Brastad",58.3833,11.4833,"village",2289,"SE","Västra Götaland","Lysekils Kommun",""],["Hveragerði",64.0004,-21.186,"village",2288,"IS","South","Hveragerðisbær",""],["Hyllinge",56.1,12.85,"village",2287,"SE","Skåne","Helsingborg",""],["Belfaux",46.8217,7.1067,"village",2286,"CH","Fribourg","Sarine District",""],["Frejlev",57.0062,9.8171,"village",2286,"DK","North Denmark","Ålborg Kommune",""],["Wagnitz",46.9833,15.4667,"village",2286,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Andau",47.7744,17.0329,"town",2285,"AT","Burgenland","Politischer Bezirk Neusiedl am See",""],["Vintrosa",59.25,14.95,"village",2285,"SE","Örebro","Örebro Kommun",""],["Ballwil",47.1537,8.3223,"village",2284,"CH","Lucerne","Hochdorf District",""],["Garsten",48.0224,14.4075,"town",2284,"AT","Upper Austria","Politischer Bezirk Steyr-Land",""],["Unterwagram",48.2124,15.6495,"suburb",2283,"AT","Lower Austria","Sankt Pölten Stadt",""],["Kopparmora",59.3331,18.5831,"village",2280,"SE","Stockholm","Värmdö Kommun",""],["Ål",60.6302,8.5607,"town",2278,"NO","Buskerud","Ål",""],["Ebmatingen",47.3499,8.6401,"village",2278,"CH","Zurich","Bezirk Uster",""],["Mauer bei Amstetten",48.0964,14.8006,"village",2278,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Toffen",46.8603,7.4922,"village",2277,"CH","Bern","Bern-Mittelland District",""],["Wagna",46.7668,15.5591,"town",2277,"AT","Styria","Politischer Bezirk Leibnitz",""],["Geilo",60.5337,8.2054,"village",2276,"NO","Buskerud","Hol",""],["Horn",47.4943,9.4625,"village",2274,"CH","Thurgau","Bezirk Arbon",""],["Vrå",57.3537,9.9418,"village",2273,"DK","North Denmark","Hjørring Kommune",""],["Biberbach",48.0301,14.708,"town",2270,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Gørlev",55.5393,11.2271,"village",2269,"DK","Zealand","Kalundborg Kommune",""],["Lenk",46.4583,7.443,"village",2268,"CH","Bern","Obersimmental-Saanen District",""],["Othmarsingen",47.4012,8.2138,"village",2267,"CH","Aargau","Bezirk Lenzburg",""],["Høyanger",61.2235,6.0847,"town",2266,"NO","Vestland","Høyanger",""],["Marstal",54.8562,10.5173,"village",2265,"DK","South Denmark","Ærø Kommune",""],["Mörbisch am See",47.75,16.6667,"town",2261,"AT","Burgenland","Eisenstadt-Umgebung",""],["Thal",47.0764,15.3605,"town",2261,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Wallisellen / Rieden",47.4174,8.6003,"suburb",2261,"CH","Zurich","Bezirk Bülach",""],["Bonstetten",47.315,8.4684,"village",2260,"CH","Zurich","Bezirk Affoltern",""],["Veddige",57.2659,12.3322,"village",2260,"SE","Halland","Varbergs Kommun",""],["Rimforsa",58.1362,15.6865,"village",2259,"SE","Östergötland","Kinda Kommun",""],["Erlinsbach",47.3975,8.008,"village",2258,"CH","Solothurn","Bezirk Gösgen",""],["Haukivuori",62.0175,27.2191,"village",2256,"FI","South Savo","Mikkeli",""],["Sistrans",47.2333,11.45,"town",2255,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Birkeland",58.3309,8.2323,"town",2254,"NO","Agder","Birkenes",""],["Founex",46.3328,6.1924,"village",2254,"CH","Vaud","Nyon District",""],["Reinbach",47.3467,13.1907,"suburb",2253,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Udligenswil",47.09,8.4033,"village",2252,"CH","Lucerne","Lucerne-Land District",""],["Bergsviken",65.3,21.3833,"village",2251,"SE","Norrbotten","Piteå Kommun",""],["Storvik",65.15,20.7333,"village",2251,"SE","Västerbotten","Skellefteå Kommun",""],["Vestbjerg",57.1317,9.9594,"village",2251,"DK","North Denmark","Ålborg Kommune",""],["Innbygda",61.3148,12.2637,"town",2250,"NO","Innlandet","Trysil",""],["Hölstein",47.4229,7.7704,"village",2249,"CH","Basel-Landschaft","Bezirk Waldenburg",""],["Courtételle",47.3407,7.3183,"village",2248,"CH","Jura","Delémont District",""],["Oberdorf",47.3935,7.7517,"village",2248,"CH","Basel-Landschaft","Bezirk Waldenburg",""],["Zurndorf",47.9831,17.0032,"town",2247,"AT","Burgenland","Politischer Bezirk Neusiedl am See",""],["Strömsnäsbruk",56.55,13.7167,"village",2246,"SE","Kronoberg","Markaryds Kommun",""],["Meiningen",47.2989,9.5786,"town",2245,"AT","Vorarlberg","Politischer Bezirk Feldkirch",""],["Kilchberg / Kilchberg (Dorfkern)",47.3201,8.5431,"suburb",2244,"CH","Zurich","Bezirk Horgen",""],["Henån",58.2385,11.676,"town",2243,"SE","Västra Götaland","Orust",""],["Silenen",46.7891,8.6732,"village",2243,"CH","Uri","Uri",""],["Jämijärvi",61.8167,22.7,"town",2241,"FI","Satakunta","Pohjois-Satakunta",""],["Nebikon",47.1919,7.9777,"village",2241,"CH","Lucerne","Willisau District",""],["Penthalaz",46.6108,6.5252,"village",2241,"CH","Vaud","Gros-de-Vaud District",""],["Dietersdorf",47.2,14.6667,"village",2240,"AT","Styria","Politischer Bezirk Murtal",""],["Kloten / Holberg",47.4464,8.5766,"suburb",2239,"CH","Zurich","Bezirk Bülach",""],["Wimmis",46.6759,7.6397,"village",2237,"CH","Bern","Frutigen-Niedersimmental District",""],["Mönchhof",47.8802,16.9413,"town",2236,"AT","Burgenland","Politischer Bezirk Neusiedl am See",""],["Pershagen",59.1549,17.6534,"village",2235,"SE","Stockholm","Södertälje Kommun",""],["Yli-Ii",65.3718,25.8458,"village",2235,"FI","North Ostrobothnia","Oulu",""],["Bönigen",46.6874,7.8935,"village",2233,"CH","Bern","Interlaken-Oberhasli District",""],["Ernsthofen",48.1292,14.4806,"village",2230,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Húsavík",66.0415,-17.3383,"village",2228,"IS","","",""],["Sturefors",58.3333,15.7333,"village",2228,"SE","Östergötland","Linköpings Kommun",""],["Alunda",60.2667,18.4,"village",2224,"SE","Uppsala","Östhammars Kommun",""],["Nyråd",55.0051,11.9606,"village",2224,"DK","Zealand","Vordingborg Kommune",""],["Spillern",48.3833,16.25,"town",2222,"AT","Lower Austria","Politischer Bezirk Korneuburg",""],["Thüringen",47.2,9.7667,"town",2222,"AT","Vorarlberg","Politischer Bezirk Bludenz",""],["Hettlingen",47.5461,8.7053,"village",2221,"CH","Zurich","Bezirk Winterthur",""],["Brejning",55.6659,9.6722,"village",2220,"DK","South Denmark","Vejle Kommune",""],["Bad Sauerbrunn",47.7744,16.3284,"town",2219,"AT","Burgenland","Politischer Bezirk Mattersburg",""],["Storfors",59.5318,14.272,"town",2218,"SE","Värmland","Storfors Kommun",""],["Weistrach",48.05,14.5833,"town",2216,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Mogelsberg",47.3622,9.1354,"village",2213,"CH","Saint Gallen","Wahlkreis Toggenburg",""],["Pirka",47,15.3833,"town",2213,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Riddes",46.1728,7.2236,"village",2213,"CH","Valais","Martigny District",""],["Rønde",56.3015,10.475,"town",2213,"DK","Central Jutland","Syddjurs Kommune",""],["Sjuntorp",58.2,12.2167,"village",2213,"SE","Västra Götaland","Trollhättan",""],["Wetzikon / Robenhausen",47.3309,8.7876,"suburb",2213,"CH","Zurich","Bezirk Hinwil",""],["Wiedlisbach",47.2519,7.6461,"village",2213,"CH","Bern","Oberaargau",""],["Eggersriet",47.442,9.469,"village",2209,"CH","Saint Gallen","Wahlkreis St. Gallen",""],["Rottenmann",47.5167,14.35,"town",2209,"AT","Styria","Politischer Bezirk Liezen",""],["Stadt Winterthur (Kreis 1) / Tössfeld",47.4934,8.7151,"suburb",2207,"CH","Zurich","Bezirk Winterthur",""],["Sölden",46.9667,11,"town",2205,"AT","Tyrol","Politischer Bezirk Imst",""],["Stoholm",56.4845,9.1462,"village",2202,"DK","Central Jutland","Viborg Kommune",""],["Storvik",60.5833,16.5333,"village",2202,"SE","Gävleborg","Sandvikens Kommun",""],["Pfeffingen",47.4598,7.5898,"village",2201,"CH","Basel-Landschaft","Bezirk Arlesheim",""],["Lyefjell",58.7354,5.7362,"village",2200,"NO","Rogaland","Time",""],["Schafwiesen",48.1719,14.0707,"village",2200,"AT","Upper Austria","Wels Stadt",""],["Marchegg",48.2622,16.9105,"town",2199,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Unterpremstätten",46.9647,15.4042,"town",2196,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Åkirkeby",55.0708,14.9198,"village",2195,"DK","Capital Region","Bornholm Kommune",""],["Tschagguns",47.0833,9.9,"town",2195,"AT","Vorarlberg","Politischer Bezirk Bludenz",""],["Korsnäs",62.7833,21.2,"town",2194,"FI","Ostrobothnia","Vaasa",""],["Leytron",46.1866,7.2078,"village",2194,"CH","Valais","Martigny District",""],["Oberndorf in Tirol",47.5,12.3833,"town",2194,"AT","Tyrol","Politischer Bezirk Kitzbühel",""],["Raaba",47.0333,15.5,"town",2194,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Saignelégier",47.2562,6.9965,"village",2194,"CH","Jura","Franches-Montagnes District",""],["Disentis",46.7034,8.8509,"village",2193,"CH","Grisons","Region Surselva",""],["Wilchingen",47.6675,8.4677,"village",2193,"CH","Schaffhausen","Bezirk Unterklettgau",""],["Lucens",46.7085,6.8393,"village",2192,"CH","Vaud","Broye-Vully District",""],["Troinex",46.1631,6.1475,"village",2192,"CH","Geneva","Geneva",""],["Waltenschwil",47.3334,8.2979,"village",2192,"CH","Aargau","Bezirk Muri",""],["Storuman",65.0959,17.1173,"town",2188,"SE","Västerbotten","Storumans kommun",""],["Svebølle",55.6518,11.2866,"village",2186,"DK","Zealand","Kalundborg Kommune",""],["Achenkirch",47.5266,11.7056,"town",2185,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Delsbo",61.801,16.5557,"village",2185,"SE","Gävleborg","Hudiksvalls Kommun",""],["Frankenmarkt",47.9833,13.4167,"town",2185,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Scuol",46.7967,10.298,"village",2184,"CH","Grisons","Region Engiadina Bassa / Val Müstair",""],["Hägglingen",47.3885,8.2529,"village",2183,"CH","Aargau","Bezirk Bremgarten",""],["Stige",55.4394,10.4094,"village",2182,"DK","South Denmark","Odense Kommune",""],["Reith im Alpbachtal",47.4169,11.8779,"town",2181,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Schwadorf",48.0694,16.5796,"town",2180,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Skogstorp",59.3247,16.4828,"village",2180,"SE","Södermanland","Eskilstuna Kommun",""],["Kvicksund",59.451,16.3213,"village",2179,"SE","Södermanland","Eskilstuna Kommun",""],["Karup",56.3067,9.1684,"village",2176,"DK","Central Jutland","Viborg Kommune",""],["Aursmoen",59.9276,11.4428,"village",2173,"NO","Akershus","Aurskog-Høland",""],["Obbola",63.7,20.3167,"village",2173,"SE","Västerbotten","Umeå Kommun",""],["Skarnes",60.2539,11.6849,"town",2172,"NO","Innlandet","Sør-Odal",""],["Bülach / Seematt",47.5172,8.5465,"suburb",2171,"CH","Zurich","Bezirk Bülach",""],["Mattenbach (Kreis 7) / Endliker",47.4882,8.7494,"suburb",2169,"CH","Zurich","Bezirk Winterthur",""],["Geuensee",47.1997,8.1069,"village",2168,"CH","Lucerne","Sursee District",""],["Lakselv",70.0513,24.9718,"town",2168,"NO","Finnmark","Porsanger",""],["Båtsfjord",70.6343,29.7175,"town",2166,"NO","Finnmark","Båtsfjord",""],["Feuerthalen",47.6905,8.6436,"village",2165,"CH","Zurich","Bezirk Andelfingen",""],["Hitzkirch",47.224,8.2643,"village",2165,"CH","Lucerne","Hochdorf District",""],["Inwil",47.1253,8.3489,"village",2163,"CH","Lucerne","Hochdorf District",""],["Puplinge",46.2104,6.2311,"village",2163,"CH","Geneva","Geneva",""],["Zwingen",47.4382,7.5303,"village",2162,"CH","Basel-Landschaft","Bezirk Laufen",""],["Melbu",68.5025,14.7996,"village",2161,"NO","Nordland","Hadsel",""],["Fjugesta",59.1737,14.8723,"town",2160,"SE","Örebro","Lekebergs Kommun",""],["Hörsching",48.2263,14.1779,"town",2155,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Spentrup",56.537,10.0379,"village",2155,"DK","Central Jutland","Randers Kommune",""],["Glanegg",47.75,13,"village",2154,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Ostermiething",48.0464,12.8294,"town",2154,"AT","Upper Austria","Politischer Bezirk Braunau am Inn",""],["Egtved",55.6161,9.3076,"village",2151,"DK","South Denmark","Vejle Kommune",""],["Oberndorf in der Ebene",48.2704,15.6898,"village",2151,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Tillberga",59.6833,16.6167,"village",2151,"SE","Västmanland","Västerås",""],["Castel San Pietro",45.8621,9.0084,"village",2150,"CH","Ticino","Mendrisio District",""],["Insjön",64.4,17.4833,"village",2150,"SE","Västerbotten","Åsele Kommun",""],["Gundsømagle",55.7356,12.1516,"village",2149,"DK","Zealand","Roskilde Kommune",""],["Hämeenkoski",61.0222,25.1542,"village",2149,"FI","Paijat-Hame","Lahti",""],["Sandane",61.7728,6.215,"town",2149,"NO","Vestland","Gloppen",""],["Broc",46.6051,7.0989,"town",2148,"CH","Fribourg","Gruyère District",""],["Fritzens",47.3053,11.5895,"town",2148,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Hauge i Dalane",58.3436,6.2812,"town",2148,"NO","Rogaland","Sokndal",""],["Yläne",60.8833,22.4167,"town",2148,"FI","Southwest Finland","Loimaa",""],["Brattvåg",62.5999,6.4443,"town",2146,"NO","Møre og Romsdal","Haram",""],["Grängesberg",60.0746,15.0078,"village",2146,"SE","Dalarna","Ludvika Kommun",""],["Norheimsund",60.3709,6.1456,"town",2146,"NO","Vestland","Kvam",""],["Tjæreborg",55.4646,8.5797,"village",2146,"DK","South Denmark","Esbjerg Kommune",""],["Enontekiö",68.3857,23.6321,"town",2145,"FI","Lapland","Tunturi-Lappi",""],["Rødbyhavn",54.6594,11.355,"village",2145,"DK","Zealand","Lolland Kommune",""],["Vindeby",55.0449,10.6131,"village",2144,"DK","South Denmark","Svendborg Kommune",""],["Breitenbach am Inn",47.4783,11.9737,"town",2143,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Gattikon",47.2844,8.5483,"village",2142,"CH","Zurich","Bezirk Horgen",""],["Insjön",60.6769,15.0949,"village",2141,"SE","Dalarna","Leksands kommun",""],["Liknes",58.3122,6.9618,"town",2141,"NO","Agder","Kvinesdal",""],["Oravais",63.3013,22.3782,"village",2141,"FI","Ostrobothnia","Vaasa",""],["Sahalahti",61.4746,24.3265,"village",2141,"FI","Pirkanmaa","Tampere",""],["Kaisten",47.5416,8.0434,"village",2140,"CH","Aargau","Bezirk Laufenburg",""],["Blovstrød",55.8704,12.3864,"village",2137,"DK","Capital Region","Allerød Kommune",""],["Admont",47.5754,14.4608,"town",2136,"AT","Styria","Politischer Bezirk Liezen",""],["Viehhausen",47.7833,12.9833,"village",2136,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Affeltrangen",47.5258,9.0331,"village",2135,"CH","Thurgau","Bezirk Weinfelden",""],["Deitingen",47.2152,7.6188,"village",2135,"CH","Solothurn","Bezirk Wasseramt",""],["Podersdorf am See",47.8541,16.8371,"town",2135,"AT","Burgenland","Politischer Bezirk Neusiedl am See",""],["Chexbres",46.4821,6.7781,"village",2133,"CH","Vaud","Lavaux-Oron District",""],["Seen (Kreis 3) / Oberseen",47.4821,8.7729,"suburb",2133,"CH","Zurich","Bezirk Winterthur",""],["Ueberstorf",46.8659,7.31,"village",2133,"CH","Fribourg","Sense District",""],["Maria Lanzendorf",48.0992,16.4198,"village",2129,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Djurås",60.5606,15.1328,"village",2128,"SE","Dalarna","Gagnefs Kommun",""],["Nørre Alslev",54.8978,11.8841,"village",2128,"DK","Zealand","Guldborgsund Kommune",""],["Evjen",68.2667,13.7333,"village",2127,"NO","Nordland","Vestvågøy",""],["Ljungbyhed",56.0744,13.2401,"village",2127,"SE","Skåne","Klippans Kommun",""],["Gföhl",48.5167,15.4833,"town",2125,"AT","Lower Austria","Politischer Bezirk Krems",""],["Marttila",60.5833,22.9,"town",2125,"FI","Southwest Finland","Loimaa",""],["Viljakkala",61.706,23.2669,"village",2125,"FI","Pirkanmaa","Tampere",""],["Coppet",46.3168,6.1911,"village",2124,"CH","Vaud","Nyon District",""],["Frankenburg",48.0684,13.4907,"town",2122,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Osted",55.5623,11.9579,"village",2122,"DK","Zealand","Lejre Kommune",""],["Rensvik",63.0984,7.8203,"village",2121,"NO","Møre og Romsdal","Kristiansund",""],["Walzenhausen",47.4487,9.605,"village",2120,"CH","Appenzell Ausserrhoden","Bezirk Vorderland",""],["Nassereith",47.3167,10.8333,"town",2119,"AT","Tyrol","Politischer Bezirk Imst",""],["Dietikon / Almend",47.4048,8.3917,"suburb",2118,"CH","Zurich","Bezirk Dietikon",""],["Bad Fischau",47.8314,16.1671,"village",2116,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Vöcklamarkt",48.0025,13.4838,"town",2112,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Juupajoki",61.799,24.3694,"town",2110,"FI","Pirkanmaa","Ylä-Pirkanmaa",""],["Lavia",61.6,22.6,"village",2109,"FI","Satakunta","Pori",""],["Lechaschau",47.488,10.7065,"town",2108,"AT","Tyrol","Politischer Bezirk Reutte",""],["Courgenay",47.4048,7.1252,"village",2106,"CH","Jura","Porrentruy District",""],["Malmköping",59.1333,16.7333,"village",2106,"SE","Södermanland","Flens Kommun",""],["Stryn",61.9026,6.7179,"town",2106,"NO","Vestland","Stryn",""],["Bording Kirkeby",56.1687,9.2438,"village",2104,"DK","Central Jutland","Ikast-Brande Kommune",""],["Kappl",47.0667,10.3833,"town",2102,"AT","Tyrol","Politischer Bezirk Landeck",""],["Fällanden",47.3717,8.6387,"village",2100,"CH","Zurich","Bezirk Uster",""],["Replot",63.2288,21.4169,"village",2100,"FI","Ostrobothnia","Vaasa",""],["Rothenthurm",47.1042,8.6759,"village",2098,"CH","Schwyz","Bezirk Schwyz",""],["Sundsbruk",62.4581,17.3489,"village",2098,"SE","Västernorrland","Sundsvalls Kommun",""],["Bramberg am Wildkogel",47.2698,12.3385,"town",2096,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Hov",60.6987,10.3519,"town",2095,"NO","Innlandet","Søndre Land",""],["Glumslöv",55.9409,12.8093,"village",2093,"SE","Skåne","Helsingborg",""],["Rohrendorf bei Krems",48.4194,15.6577,"town",2091,"AT","Lower Austria","Politischer Bezirk Krems",""],["Starup",55.241,9.535,"village",2091,"DK","South Denmark","Haderslev Kommune",""],["Hohenrain",47.1808,8.318,"village",2090,"CH","Lucerne","Hochdorf District",""],["Wynigen",47.1059,7.6668,"village",2090,"CH","Bern","Emmental District",""],["Pertunmaa",61.5,26.4833,"town",2089,"FI","South Savo","Mikkeli",""],["Felsberg",46.8457,9.4759,"village",2088,"CH","Grisons","Region Imboden",""],["Vestnes",62.6254,7.087,"town",2088,"NO","Møre og Romsdal","Vestnes",""],["Absdorf",48.4002,15.9787,"town",2087,"AT","Lower Austria","Politischer Bezirk Tulln",""],["Nesbyen",60.5681,9.1027,"town",2086,"NO","Buskerud","Nesbyen",""],["Orth an der Donau",48.1452,16.7009,"town",2086,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Gaming",47.929,15.0882,"town",2082,"AT","Lower Austria","Politischer Bezirk Scheibbs",""],["Arnoldstein",46.5461,13.71,"town",2080,"AT","Carinthia","Politischer Bezirk Villach Land",""],["Cernier",47.0588,6.9004,"town",2080,"CH","Neuchâtel","Val-de-Ruz District",""],["Forserum",57.7,14.4667,"village",2080,"SE","Jönköping","Nässjö Kommun",""],["Lerchenfeld",48.4123,15.6318,"suburb",2080,"AT","Lower Austria","Krems an der Donau",""],["Tann / Tann (Dorfkern)",47.2649,8.8505,"suburb",2080,"CH","Zurich","Bezirk Hinwil",""],["Wolfenschiessen",46.9032,8.3942,"village",2080,"CH","Nidwalden","Nidwalden",""],["Wolfwil",47.2687,7.7965,"village",2079,"CH","Solothurn","Bezirk Gäu",""],["Obergösgen",47.3654,7.9517,"village",2076,"CH","Solothurn","Bezirk Olten",""],["Burgfried",48.5199,14.2957,"village",2075,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Vardø",70.3705,31.1107,"town",2075,"NO","Finnmark","Vardø kommune",""],["Weiler",47.2997,9.65,"town",2075,"AT","Vorarlberg","Politischer Bezirk Feldkirch",""],["Marz",47.7167,16.4167,"town",2073,"AT","Burgenland","Politischer Bezirk Mattersburg",""],["Tommerup",55.3195,10.2066,"village",2072,"DK","South Denmark","Assens Kommune",""],["Grein",48.2286,14.8588,"village",2068,"AT","Upper Austria","Politischer Bezirk Perg",""],["Gontenschwil",47.2717,8.144,"village",2067,"CH","Aargau","Bezirk Kulm",""],["Rautavaara",63.4833,28.3,"town",2066,"FI","North Savo","Koillis-Savo",""],["Grünau im Almtal",47.8549,13.9557,"village",2064,"AT","Upper Austria","Politischer Bezirk Gmunden",""],["Trausdorf an der Wulka",47.8135,16.5576,"town",2064,"AT","Burgenland","Eisenstadt-Umgebung",""],["Fränsta",62.4986,16.1702,"village",2062,"SE","Västernorrland","Ånge kommun",""],["Piesendorf",47.2908,12.7184,"town",2062,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Sankt Michael im Lungau",47.1,13.6333,"town",2059,"AT","Salzburg","Politischer Bezirk Tamsweg",""],["Tuupovaara",62.4837,30.6273,"village",2059,"FI","North Karelia","Joensuu",""],["Forlev",55.3745,11.2597,"village",2058,"DK","Zealand","Slagelse Kommune",""],["Norsjö",64.9121,19.4815,"town",2057,"SE","Västerbotten","Norsjö Kommun",""],["Oberau",47.4434,12.0489,"village",2054,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Hunnebostrand",58.4413,11.3032,"village",2053,"SE","Västra Götaland","Sotenäs Kommun",""],["Årøysund",59.1832,10.4574,"village",2052,"NO","Vestfold","Færder",""],["Bubikon",47.267,8.8179,"village",2052,"CH","Zurich","Bezirk Hinwil",""],["Malans",46.981,9.5753,"village",2051,"CH","Grisons","Region Landquart",""],["Grosshöflein",47.8359,16.4804,"village",2048,"AT","Burgenland","Eisenstadt-Umgebung",""],["Rantsila",64.5061,25.6645,"village",2048,"FI","North Ostrobothnia","Haapavesi-Siikalatva",""],["Pfaffnau",47.2277,7.8972,"village",2047,"CH","Lucerne","Willisau District",""],["Weissach",47.5709,12.1625,"village",2047,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Vindinge",55.623,12.1387,"village",2045,"DK","Zealand","Roskilde Kommune",""],["Wenns",47.1667,10.7333,"town",2044,"AT","Tyrol","Politischer Bezirk Imst",""],["Hausmening",48.0707,14.8144,"village",2043,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Malå",65.185,18.7424,"town",2043,"SE","Västerbotten","Malå Kommun",""],["Myrskylä",60.6696,25.8475,"town",2043,"FI","Uusimaa","Porvoo",""],["Sieghartskirchen",48.2553,16.0122,"town",2042,"AT","Lower Austria","Politischer Bezirk Tulln",""],["Vansbro",60.5089,14.2246,"town",2042,"SE","Dalarna","Vansbro Kommun",""],["Worben",47.1028,7.2952,"village",2042,"CH","Bern","Seeland District",""],["Sankt Peter in der Au Markt",48.044,14.6218,"village",2040,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Thierachern",46.7532,7.5744,"village",2040,"CH","Bern","Thun District",""],["Wigoltingen",47.5977,9.0314,"village",2040,"CH","Thurgau","Bezirk Weinfelden",""],["Grône",46.2529,7.4595,"village",2039,"CH","Valais","Sierre District",""],["Ottenbach",47.2823,8.4043,"village",2039,"CH","Zurich","Bezirk Affoltern",""],["Lejre",55.6046,11.9748,"village",2036,"DK","Zealand","Lejre Kommune",""],["Åndalsnes",62.5675,7.6871,"town",2035,"NO","Møre og Romsdal","Rauma",""],["Kolbäck",59.5652,16.2304,"village",2034,"SE","Västmanland","Hallstahammars Kommun",""],["Fisching",48.223,14.4277,"village",2033,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Pajala",67.2128,23.3661,"town",2032,"SE","Norrbotten","Pajala Kommun",""],["Pfäffikon / Irgenhausen",47.3624,8.7927,"suburb",2032,"CH","Zurich","Bezirk Pfäffikon",""],["Robertsfors",64.1932,20.8481,"town",2030,"SE","Västerbotten","Robertsfors Kommun",""],["Søften",56.238,10.0851,"village",2030,"DK","Central Jutland","Favrskov Kommune",""],["Diemtigen",46.6493,7.5648,"village",2027,"CH","Bern","Frutigen-Niedersimmental District",""],["Mühldorf bei Feldbach",46.9386,15.9075,"town",2026,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Örbyhus",60.2241,17.7014,"village",2025,"SE","Uppsala","Tierps kommun",""],["Stein an der Donau",48.4016,15.581,"suburb",2024,"AT","Lower Austria","Krems an der Donau",""],["Mank",48.1102,15.3392,"town",2021,"AT","Lower Austria","Politischer Bezirk Melk",""],["Natters",47.2341,11.3734,"town",2020,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Oberpullendorf",47.5035,16.5045,"town",2019,"AT","Burgenland","Politischer Bezirk Oberpullendorf",""],["Waidring",47.5833,12.5667,"town",2019,"AT","Tyrol","Politischer Bezirk Kitzbühel",""],["Enzersdorf an der Fischa",48.085,16.6083,"town",2018,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Wangen",47.4118,8.6452,"village",2015,"CH","Zurich","Bezirk Uster",""],["Golling an der Salzach",47.6,13.1667,"town",2014,"AT","Salzburg","Politischer Bezirk Hallein",""],["Seftigen",46.7876,7.5394,"village",2014,"CH","Bern","Thun District",""],["Reykjanesbær",63.9981,-22.5611,"village",2013,"IS","Southern Peninsula","Reykjanesbær",""],["Bilten",47.1499,9.0255,"village",2011,"CH","Glarus","Glarus",""],["Illnau / Unter-Illnau",47.4079,8.7261,"suburb",2011,"CH","Zurich","Bezirk Pfäffikon",""],["Wolfsbach",48.0667,14.6667,"town",2011,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Rena",61.1322,11.3716,"town",2009,"NO","Innlandet","Åmot",""],["Oberhausen",48.1769,16.5851,"village",2007,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Wallsee",48.1667,14.7167,"village",2006,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Bezau",47.3848,9.9014,"town",2003,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Riggisberg",46.8103,7.4801,"village",2001,"CH","Bern","Bern-Mittelland District",""],["Aeschi b. Spiez",46.6585,7.6965,"village",2000,"CH","Bern","Frutigen-Niedersimmental District",""],["Caux",46.4324,6.9386,"village",2000,"CH","Vaud","Riviera-Pays-d'Enhaut District",""],["Flüelen",46.9048,8.624,"town",2000,"CH","Uri","Uri",""],["Hallau",47.6965,8.4583,"village",2000,"CH","Schaffhausen","Bezirk Unterklettgau",""],["Hermansverk",61.1846,6.8502,"town",2000,"NO","Vestland","Sogndal",""],["Kautokeino",69.0125,23.0412,"town",2000,"NO","Finnmark","Kautokeino","Guovdageaidnu"],["Kilo",60.2175,24.7815,"village",2000,"FI","Uusimaa","Helsinki sub-region",""],["Laufenburg",47.5598,8.0623,"town",2000,"CH","Aargau","Bezirk Laufenburg",""],["Lauffohr (Brugg)",47.5015,8.2312,"suburb",2000,"CH","Aargau","Bezirk Brugg",""],["Solrød",55.5363,12.1827,"town",2000,"DK","Zealand","Solrød Kommune",""],["Stenkullen",57.7948,12.3169,"village",2000,"SE","Västra Götaland","Lerums Kommun",""],["Torsås",56.4125,15.9984,"town",2000,"SE","Kalmar","Torsås Kommun",""],["Verbier",46.1002,7.2265,"village",2000,"CH","Valais","Entremont District",""],["Riezlern",47.3578,10.1876,"village",1998,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Sandsund",63.6476,22.7298,"village",1998,"FI","Ostrobothnia","Jakobstadsregionen",""],["Ejby",55.4301,9.9297,"village",1996,"DK","South Denmark","Middelfart Kommune",""],["Myre",69.1059,15.9631,"village",1995,"NO","Nordland","Andøy",""],["Hindelbank",47.0427,7.5414,"village",1994,"CH","Bern","Emmental District",""],["Myre",68.914,15.0784,"town",1994,"NO","Nordland","Øksnes",""],["Ulfborg",56.2672,8.3217,"village",1994,"DK","Central Jutland","Holstebro Kommune",""],["Groß-Siegharts",48.7918,15.4043,"town",1992,"AT","Lower Austria","Politischer Bezirk Waidhofen an der Thaya",""],["Madiswil",47.1646,7.7986,"village",1991,"CH","Bern","Oberaargau",""],["Multia",62.4167,24.7833,"town",1991,"FI","Central Finland","Keuruu",""],["Fagerstrand",59.7375,10.594,"village",1990,"NO","Akershus","Nesodden",""],["Kås",57.1977,9.6717,"village",1990,"DK","North Denmark","Jammerbugt Kommune",""],["Affoltern / Unterdorf",47.2828,8.4541,"suburb",1989,"CH","Zurich","Bezirk Affoltern",""],["Bad Goisern",47.6425,13.6161,"village",1987,"AT","Upper Austria","Politischer Bezirk Gmunden",""],["Ejby",55.6892,11.8473,"village",1987,"DK","Zealand","Lejre Kommune",""],["Rymättylä",60.3766,21.9418,"town",1987,"FI","Southwest Finland","Turku",""],["Färgelanda",58.5682,11.9924,"town",1986,"SE","Västra Götaland","Färgelanda Kommun",""],["Lönsboda",56.4,14.3167,"village",1986,"SE","Skåne","Osby kommun",""],["Fuglebjerg",55.306,11.5477,"village",1985,"DK","Zealand","Næstved Kommune",""],["Pukkila",60.65,25.5667,"town",1985,"FI","Uusimaa","Porvoo",""],["Träslövsläge",57.0542,12.279,"village",1985,"SE","Halland","Varbergs Kommun",""],["Sonnhalde",47.4533,8.4609,"village",1984,"CH","Zurich","Bezirk Dielsdorf",""],["Gersau",46.9942,8.525,"town",1983,"CH","Schwyz","Bezirk Gersau",""],["Kuivaniemi",65.5785,25.1881,"village",1979,"FI","North Ostrobothnia","Oulunkaari",""],["Skattkärr",59.4121,13.6708,"village",1979,"SE","Värmland","Karlstads Kommun",""],["Vadum",57.1179,9.857,"village",1978,"DK","North Denmark","Ålborg Kommune",""],["Koppigen",47.1313,7.6052,"village",1977,"CH","Bern","Emmental District",""],["Sabro",56.2133,10.0344,"village",1977,"DK","Central Jutland","Aarhus Kommune",""],["Diemlach",47.4361,15.2746,"village",1976,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Wädenswil / Untermosen-Fuhr",47.2277,8.663,"suburb",1976,"CH","Zurich","Bezirk Horgen",""],["Løjt Kirkeby",55.0896,9.4608,"village",1975,"DK","South Denmark","Aabenraa Kommune",""],["Tvedestrand",58.622,8.9315,"town",1975,"NO","Agder","Tvedestrand",""],["Weisslingen",47.4306,8.7679,"village",1975,"CH","Zurich","Bezirk Pfäffikon",""],["Jonstorp",56.2338,12.6718,"village",1972,"SE","Skåne","Höganäs Kommun",""],["Spetalen",60.1833,11.9,"village",1969,"NO","Innlandet","Kongsvinger",""],["Bjursås",60.7373,15.4529,"village",1968,"SE","Dalarna","Falu kommun",""],["Storå",59.7141,15.1317,"village",1967,"SE","Örebro","Lindesbergs Kommun",""],["Wispl",48.1649,13.9975,"suburb",1967,"AT","Upper Austria","Wels Stadt",""],["Råneå",65.8548,22.2913,"village",1966,"SE","Norrbotten","Luleå kommun",""],["Unterlangkampfen",47.55,12.1,"village",1965,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Wallern an der Trattnach",48.233,13.9462,"village",1965,"AT","Upper Austria","Politischer Bezirk Grieskirchen",""],["Anderslöv",55.4384,13.3197,"village",1963,"SE","Skåne","Trelleborgs Kommun",""],["Bas-Vully",46.9619,7.1125,"village",1963,"CH","Fribourg","See District",""],["Schönkirchen-Reyersdorf",48.3548,16.6912,"town",1963,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Stattersdorf",48.1833,15.6333,"village",1963,"AT","Lower Austria","Sankt Pölten Stadt",""],["Ulstrup",56.3899,9.7935,"village",1963,"DK","Central Jutland","Favrskov Kommune",""],["Arbrå",61.4667,16.3833,"village",1961,"SE","Gävleborg","Bollnäs Kommun",""],["Oberrieden / Berg",47.2763,8.5726,"suburb",1961,"CH","Zurich","Bezirk Horgen",""],["Tarvasjoki",60.5833,22.7333,"village",1961,"FI","Southwest Finland","Turku",""],["Njurundabommen",62.2634,17.3835,"village",1959,"SE","Västernorrland","Sundsvalls Kommun",""],["Kisko",60.2333,23.4833,"town",1958,"FI","Southwest Finland","Salo",""],["Wartberg",47.5272,15.4809,"village",1958,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Bodafors",57.5,14.7,"village",1957,"SE","Jönköping","Nässjö Kommun",""],["Pitten",47.7167,16.1833,"town",1956,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Dietikon / Kreuzacker",47.3992,8.4015,"suburb",1955,"CH","Zurich","Bezirk Dietikon",""],["Krokom",63.3259,14.4488,"town",1953,"SE","Jämtland","Krokoms Kommun",""],["Vanse",58.0981,6.6918,"village",1953,"NO","Agder","Farsund",""],["Ryomgård",56.3843,10.503,"village",1952,"DK","Central Jutland","Syddjurs Kommune",""],["Büron",47.2119,8.0942,"village",1951,"CH","Lucerne","Sursee District",""],["Friesach",46.9553,14.4058,"town",1950,"AT","Carinthia","Politischer Bezirk Sankt Veit an der Glan",""],["Peggau",47.2,15.35,"town",1949,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Stigtomta",58.8,16.7833,"village",1949,"SE","Södermanland","Nyköpings Kommun",""],["Mannswörth",48.1455,16.5137,"village",1948,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Sommerein",47.9833,16.65,"town",1947,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Ljusne",61.2117,17.1279,"village",1946,"SE","Gävleborg","Söderhamns Kommun",""],["Svanesund",58.1429,11.8182,"village",1946,"SE","Västra Götaland","Orust",""],["Lichtensteig",47.3238,9.0876,"town",1945,"CH","Saint Gallen","Wahlkreis Toggenburg",""],["Rüthi",47.2948,9.5386,"village",1945,"CH","Saint Gallen","Wahlkreis Rheintal",""],["Ansfelden",48.2097,14.29,"village",1944,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Kennelbach",47.4831,9.7667,"town",1944,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Wangen an der Aare",47.2321,7.6525,"village",1944,"CH","Bern","Oberaargau",""],["Wulkaprodersdorf",47.7975,16.5045,"town",1944,"AT","Burgenland","Eisenstadt-Umgebung",""],["Stångby",55.7503,13.198,"village",1943,"SE","Skåne","Lunds Kommun",""],["Zell",47.1367,7.9249,"village",1943,"CH","Lucerne","Willisau District",""],["Röthis",47.2933,9.6548,"town",1942,"AT","Vorarlberg","Politischer Bezirk Feldkirch",""],["Kloten / Geissberg",47.4542,8.5907,"suburb",1941,"CH","Zurich","Bezirk Bülach",""],["Tux",47.1556,11.7287,"town",1941,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Bad Sankt Leonhard im Lavanttal",46.9628,14.7917,"village",1940,"AT","Carinthia","Politischer Bezirk Wolfsberg",""],["Klågerup",55.5942,13.2457,"village",1940,"SE","Skåne","Svedala Kommun",""],["Nunningen",47.3941,7.6195,"village",1939,"CH","Solothurn","Bezirk Thierstein",""],["Breitenbrunn",47.9445,16.7315,"town",1938,"AT","Burgenland","Eisenstadt-Umgebung",""],["Mitterndorf",47.5773,12.1697,"suburb",1938,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Plaffeien",46.742,7.2867,"village",1938,"CH","Fribourg","Sense District",""],["Benglen",47.3608,8.6369,"village",1937,"CH","Zurich","Bezirk Uster",""],["Flühli",46.8839,8.0156,"village",1937,"CH","Lucerne","Entlebuch District",""],["Saint-Léonard",46.2515,7.4171,"village",1937,"CH","Valais","Sion District",""],["Endingen",47.5374,8.2904,"village",1935,"CH","Aargau","Bezirk Zurzach",""],["Mitterdorf im Mürztal",47.5333,15.5167,"town",1935,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Mörarp",56.0575,12.8802,"village",1935,"SE","Skåne","Helsingborg",""],["Aschach an der Donau",48.3646,14.0204,"village",1933,"AT","Upper Austria","Politischer Bezirk Eferding",""],["Rüeggisberg",46.8222,7.4389,"village",1933,"CH","Bern","Bern-Mittelland District",""],["Auersthal",48.3737,16.636,"town",1932,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Oberurnen",47.1141,9.0587,"village",1932,"CH","Glarus","Glarus",""],["Haidl",48.1727,14.053,"suburb",1931,"AT","Upper Austria","Wels Stadt",""],["Stans",47.3667,11.7167,"town",1928,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Hainfeld",48.0339,15.7741,"town",1926,"AT","Lower Austria","Politischer Bezirk Lilienfeld",""],["Gunzwil",47.2107,8.1793,"village",1925,"CH","Lucerne","Sursee District",""],["Lehtimäki",62.7833,23.9167,"town",1924,"FI","","",""],["Eiken",47.5336,7.988,"village",1923,"CH","Aargau","Bezirk Laufenburg",""],["Högsby",57.166,16.0256,"town",1923,"SE","Kalmar","Högsby Kommun",""],["Lungern",46.7858,8.1598,"village",1921,"CH","Obwalden","Obwalden",""],["Rust",47.8012,16.6716,"town",1921,"AT","Burgenland","Rust",""],["Veksø",55.7547,12.2384,"village",1921,"DK","Capital Region","Egedal Kommune",""],["Mockfjärd",60.5,14.9667,"village",1920,"SE","Dalarna","Gagnefs Kommun",""],["Arzier",46.4596,6.2081,"village",1919,"CH","Vaud","Nyon District",""],["Malleray",47.2384,7.2729,"village",1918,"CH","Bern","Bernese Jura",""],["Siikainen",61.877,21.8194,"town",1917,"FI","Satakunta","Pohjois-Satakunta",""],["Vahto",60.6,22.3,"town",1916,"FI","Southwest Finland","Turku",""],["Bad Ischl",47.7111,13.6189,"village",1914,"AT","Upper Austria","Politischer Bezirk Gmunden",""],["Gullhaug",59.5013,10.2522,"village",1912,"NO","Vestfold","Holmestrand",""],["Neunkirch",47.6901,8.4998,"town",1911,"CH","Schaffhausen","Bezirk Oberklettgau",""],["Bergland",48.1559,15.1855,"town",1909,"AT","Lower Austria","Politischer Bezirk Melk",""],["Getinge",56.8167,12.7333,"village",1909,"SE","Halland","Halmstads Kommun",""],["Maishofen",47.3667,12.8,"town",1909,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Werthenstein",47.0558,8.1018,"village",1909,"CH","Lucerne","Entlebuch District",""],["Kárášjohka",69.4719,25.5112,"town",1908,"NO","Finnmark","Karasjok",""],["Gars am Kamp",48.589,15.6536,"town",1907,"AT","Lower Austria","Politischer Bezirk Horn",""],["Cadenazzo",46.1517,8.9472,"village",1906,"CH","Ticino","Bellinzona District",""],["Övertorneå",66.3878,23.6543,"town",1906,"SE","Norrbotten","Övertorneå Kommun",""],["Steinabrückl",47.8705,16.2028,"village",1906,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Penz",48.0333,14.4833,"village",1905,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Stenlille",55.5389,11.5912,"village",1905,"DK","Zealand","Sorø Kommune",""],["Svängsta",56.2667,14.7667,"village",1904,"SE","Blekinge","Karlshamns kommun",""],["Halbturn",47.8702,16.9754,"town",1901,"AT","Burgenland","Politischer Bezirk Neusiedl am See",""],["Raron",46.312,7.8003,"town",1901,"CH","Valais","Raron District",""],["Neder Vindinge",55.0321,11.8836,"village",1900,"DK","Zealand","Vordingborg Kommune",""],["Enbacka",60.4099,15.5958,"village",1899,"SE","Dalarna","Säters Kommun",""],["Blakstad",59.8191,10.4645,"village",1898,"NO","Akershus","Asker",""],["Andalen",57.7004,11.7614,"village",1897,"SE","Västra Götaland","Göteborgs stad",""],["Arzl im Pitztal",47.2071,10.7626,"town",1896,"AT","Tyrol","Politischer Bezirk Imst",""],["Molkom",59.6006,13.7211,"village",1896,"SE","Värmland","Karlstads Kommun",""],["Riaz",46.6422,7.0618,"village",1894,"CH","Fribourg","Gruyère District",""],["Tarrenz",47.2667,10.7667,"town",1894,"AT","Tyrol","Politischer Bezirk Imst",""],["Jaala",61.0525,26.4812,"village",1893,"FI","Kymenlaakso","Kouvola",""],["Stainach",47.5334,14.1087,"town",1893,"AT","Styria","Politischer Bezirk Liezen",""],["Thalwil / See",47.2941,8.5693,"suburb",1893,"CH","Zurich","Bezirk Horgen",""],["Brixlegg",47.4294,11.8779,"town",1892,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Zürich (Kreis 2) / Mittel-Leimbach",47.3254,8.5139,"suburb",1891,"CH","Zurich","Bezirk Zürich",""],["Vehmersalmi",62.761,28.0285,"village",1889,"FI","North Savo","Kuopio",""],["Mittersill",47.2833,12.4833,"town",1888,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Altnau",47.6105,9.2616,"village",1887,"CH","Thurgau","Bezirk Kreuzlingen",""],["Lanzendorf",48.1106,16.445,"town",1886,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Gallspach",48.2099,13.8098,"village",1885,"AT","Upper Austria","Politischer Bezirk Grieskirchen",""],["Stumm",47.2905,11.8875,"town",1885,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Nossebro",58.1881,12.716,"town",1884,"SE","Västra Götaland","Essunga Kommun",""],["Skogn",63.7037,11.1926,"village",1884,"NO","Trøndelag","Levanger",""],["Bollstabruk",62.9978,17.6735,"village",1883,"SE","Västernorrland","Kramfors Kommun",""],["Kinnula",63.3833,24.95,"town",1883,"FI","Central Finland","Saarijärvi-Viitasaari",""],["Kuchl",47.6265,13.1448,"town",1883,"AT","Salzburg","Politischer Bezirk Hallein",""],["Bottighofen",47.6364,9.2088,"village",1882,"CH","Thurgau","Bezirk Kreuzlingen",""],["Hildisrieden",47.1507,8.2258,"village",1882,"CH","Lucerne","Sursee District",""],["Römerswil",47.1688,8.2453,"village",1882,"CH","Lucerne","Hochdorf District",""],["Moheda",57,14.5667,"village",1880,"SE","Kronoberg","Alvesta Kommun",""],["Oberlunkhofen",47.3124,8.3924,"town",1880,"CH","Aargau","Bezirk Bremgarten",""],["Grebbestad",58.7025,11.2574,"village",1877,"SE","Västra Götaland","Tanums Kommun",""],["Rinn",47.25,11.5,"town",1877,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Schlieren / Engstingerquartier",47.4034,8.4435,"suburb",1877,"CH","","",""],["Strassham",48.2835,14.1452,"village",1877,"AT","Upper Austria","Politischer Bezirk Eferding",""],["Hemsedal",60.8629,8.5534,"village",1876,"NO","Buskerud","Hemsedal",""],["Hagenbrunn",48.3333,16.4,"town",1875,"AT","Lower Austria","Politischer Bezirk Korneuburg",""],["Nødebo",55.9788,12.3468,"village",1875,"DK","Capital Region","Hillerød Kommune",""],["Lumijoki",64.8374,25.1861,"town",1871,"FI","North Ostrobothnia","Oulu",""],["Grycksbo",60.6875,15.4851,"village",1870,"SE","Dalarna","Falu kommun",""],["Canobbio",46.0359,8.966,"village",1869,"CH","Ticino","Lugano District",""],["Lamprechtshausen",47.991,12.9548,"town",1866,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Münzkirchen",48.4833,13.5667,"village",1865,"AT","Upper Austria","Politischer Bezirk Schärding",""],["Zeillern",48.1303,14.8076,"town",1865,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Au an der Traun",48.1802,14.1125,"village",1864,"AT","Upper Austria","Wels-Land",""],["Hauknes",66.2833,14.0667,"village",1864,"NO","Nordland","Rana",""],["Älvdalen",61.2277,14.0394,"town",1863,"SE","Dalarna","Älvdalens kommun",""],["Bülach / Gstückt",47.5234,8.5488,"suburb",1863,"CH","Zurich","Bezirk Bülach",""],["Büsserach",47.3942,7.5412,"village",1863,"CH","Solothurn","Bezirk Thierstein",""],["Pontresina",46.4955,9.9013,"village",1863,"CH","Grisons","Region Maloja",""],["Skjeberg",59.2115,11.1903,"village",1862,"NO","Østfold","Sarpsborg",""],["Mieders",47.1667,11.3833,"town",1861,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Oberhofen im Inntal",47.3,11.0833,"town",1857,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Tårs",57.3833,10.1167,"village",1856,"DK","North Denmark","Hjørring Kommune",""],["Binzikon",47.2763,8.7585,"suburb",1854,"CH","Zurich","Bezirk Hinwil",""],["Hylkje",60.5103,5.3544,"village",1853,"NO","Vestland","Bergen",""],["Alterswil",46.7959,7.2588,"village",1850,"CH","Fribourg","Sense District",""],["Schwarzenberg",47.4141,9.8515,"village",1850,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Dalarö",59.1331,18.4064,"village",1849,"SE","Stockholm","Haninge Kommun",""],["Sankt Antoni",46.8221,7.2609,"village",1849,"CH","Fribourg","Sense District",""],["Kollbrunn",47.4579,8.7829,"village",1848,"CH","Zurich","Bezirk Winterthur",""],["Rosvik",65.4333,21.7,"village",1848,"SE","Norrbotten","Piteå Kommun",""],["Tervo",62.95,26.75,"town",1847,"FI","North Savo","Sisä-Savo",""],["Radenthein",46.8006,13.7117,"town",1846,"AT","Carinthia","Politischer Bezirk Spittal an der Drau",""],["Skrea",56.8833,12.5667,"village",1846,"SE","Halland","Falkenbergs Kommun",""],["Zürich (Kreis 5) / Escher-Wyss",47.3905,8.5129,"suburb",1846,"CH","Zurich","Bezirk Zürich",""],["Bjästa",63.2,18.5,"village",1845,"SE","Västernorrland","Örnsköldsviks Kommun",""],["Cevio",46.3148,8.6033,"town",1844,"CH","Ticino","Vallemaggia District",""],["Holeby",54.7115,11.4642,"village",1844,"DK","Zealand","Lolland Kommune",""],["Allingåbro",56.4643,10.3196,"village",1842,"DK","Central Jutland","Norddjurs Kommune",""],["Oberwinterthur (Kreis 2) / Zinzikon",47.5195,8.7564,"suburb",1842,"CH","Zurich","Bezirk Winterthur",""],["Aschau im Zillertal",47.2661,11.8954,"town",1840,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Kleinedling",46.8142,14.8278,"village",1840,"AT","Carinthia","Politischer Bezirk Wolfsberg",""],["Umhausen",47.135,10.9283,"town",1840,"AT","Tyrol","Politischer Bezirk Imst",""],["Urdorf / Bodenfeld",47.3892,8.4227,"suburb",1840,"CH","Zurich","Bezirk Dietikon",""],["Pfyn",47.5969,8.9542,"village",1839,"CH","Thurgau","Bezirk Frauenfeld",""],["Brekstad",63.687,9.6654,"town",1835,"NO","Trøndelag","Ørland",""],["Vuadens",46.6155,7.0173,"village",1835,"CH","Fribourg","Gruyère District",""],["Nodeland",58.1552,7.8358,"town",1834,"NO","Agder","Kristiansand",""],["Fjälkinge",56.0436,14.2756,"village",1832,"SE","Skåne","Kristianstads kommun",""],["Gorgier",46.9014,6.7798,"village",1832,"CH","Neuchâtel","Boudry District",""],["Brissago",46.1201,8.7118,"village",1831,"CH","Ticino","Locarno District",""],["Wädenswil / Leihof-Mühlebach",47.2236,8.6715,"suburb",1830,"CH","Zurich","Bezirk Horgen",""],["Selvik",59.5665,10.26,"village",1829,"NO","Vestfold","Holmestrand",""],["Ampass",47.2625,11.4623,"town",1827,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Gaißau",47.4667,9.6,"town",1827,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Oberegg",47.4253,9.5513,"village",1827,"CH","Appenzell Innerrhoden","Appenzell Inner Rhodes",""],["Sem",59.2823,10.33,"village",1827,"NO","Vestfold","Tønsberg",""],["Prutz",47.0833,10.6667,"town",1825,"AT","Tyrol","Politischer Bezirk Landeck",""],["Liesingtal",47.346,15.0135,"village",1824,"AT","Styria","Politischer Bezirk Leoben",""],["Mörbylånga",56.5248,16.3788,"town",1824,"SE","Kalmar","Mörbylånga Kommun",""],["Braunau Neustadt",48.2461,13.0358,"suburb",1823,"AT","Upper Austria","Politischer Bezirk Braunau am Inn",""],["Kvidinge",56.1339,13.0468,"village",1823,"SE","Skåne","Åstorps Kommun",""],["Stenstorp",58.2725,13.7145,"village",1823,"SE","Västra Götaland","Falköpings Kommun",""],["Arjeplog",66.0517,17.8861,"town",1822,"SE","Norrbotten","Arjeplogs Kommun",""],["Teesdorf",47.95,16.2833,"town",1822,"AT","Lower Austria","Politischer Bezirk Baden",""],["Kirchberg am Wechsel",47.6074,15.991,"town",1821,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Skepplanda",57.9833,12.2,"village",1821,"SE","Västra Götaland","Ale Kommun",""],["Sankt Ulrich am Pillersee",47.5274,12.5724,"village",1819,"AT","Tyrol","Politischer Bezirk Kitzbühel",""],["Brevik",59.2167,18.3833,"village",1817,"SE","Stockholm","Tyresö Kommun",""],["Kyyjärvi",63.0333,24.5667,"town",1817,"FI","Central Finland","Saarijärvi-Viitasaari",""],["Walkringen",46.9486,7.6204,"village",1817,"CH","Bern","Bern-Mittelland District",""],["Aspang Markt",47.55,16.0833,"village",1816,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Saint-Cergue",46.4459,6.1574,"village",1816,"CH","Vaud","Nyon District",""],["Sønder Bjert",55.4527,9.5674,"village",1815,"DK","South Denmark","Kolding Kommune",""],["Abborrberget",60.15,14.8,"village",1814,"SE","Dalarna","Ludvika Kommun",""],["Acquarossa",46.4547,8.9426,"town",1814,"CH","Ticino","Blenio District",""],["Anif",47.75,13.0667,"town",1814,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Großweikersdorf",48.4712,15.9825,"town",1814,"AT","Lower Austria","Politischer Bezirk Tulln",""],["Järbo",60.7167,16.6,"village",1813,"SE","Gävleborg","Sandvikens Kommun",""],["Vislanda",56.7833,14.45,"village",1813,"SE","Kronoberg","Alvesta Kommun",""],["Meinier",46.2471,6.2342,"village",1811,"CH","Geneva","Geneva",""],["Sankt Gallenkappel",47.2437,8.9644,"village",1811,"CH","Saint Gallen","Wahlkreis See-Gaster",""],["Donnerskirchen",47.8942,16.6464,"town",1810,"AT","Burgenland","Eisenstadt-Umgebung",""],["Georgenberg",47.6333,13.15,"village",1809,"AT","Salzburg","Politischer Bezirk Hallein",""],["Eggersdorf bei Graz",47.1234,15.6008,"town",1808,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Lødingen",68.4137,15.9963,"town",1808,"NO","Nordland","Lødingen",""],["Otelfingen",47.4605,8.3914,"village",1808,"CH","Zurich","Bezirk Dielsdorf",""],["Sösdala",56.0399,13.6781,"village",1808,"SE","Skåne","Hässleholms Kommun",""],["Oberbuchsiten",47.3133,7.7684,"village",1807,"CH","Solothurn","Bezirk Gäu",""],["Oberrieden / Mitte",47.2724,8.5802,"suburb",1807,"CH","Zurich","Bezirk Horgen",""],["Adlwang",47.9924,14.2174,"town",1806,"AT","Upper Austria","Politischer Bezirk Steyr-Land",""],["Hällabrottet",59.1167,15.2,"village",1806,"SE","Örebro","Kumla Kommun",""],["Lunz am See",47.8612,15.03,"town",1806,"AT","Lower Austria","Politischer Bezirk Scheibbs",""],["Ormalingen",47.4694,7.8725,"village",1803,"CH","Basel-Landschaft","Bezirk Sissach",""],["Ettiswil",47.1503,8.0176,"village",1801,"CH","Lucerne","Willisau District",""],["Karlshus",59.352,10.8723,"town",1801,"NO","Østfold","Råde",""],["Ørslev",55.0436,11.9679,"village",1801,"DK","Zealand","Vordingborg Kommune",""],["Roppen",47.2167,10.8167,"town",1800,"AT","Tyrol","Politischer Bezirk Imst",""],["Rorbas",47.5309,8.5755,"village",1797,"CH","Zurich","Bezirk Bülach",""],["Matzen",48.4,16.7,"village",1796,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Uerikon",47.2367,8.7573,"village",1794,"CH","Zurich","Bezirk Meilen",""],["Cully",46.4889,6.7294,"town",1793,"CH","Vaud","Lavaux-Oron District",""],["Espeland",60.3825,5.4657,"village",1793,"NO","Vestland","Bergen",""],["Bua",57.2378,12.1219,"village",1792,"SE","Halland","Varbergs Kommun",""],["Gosau",47.5842,13.5345,"village",1792,"AT","Upper Austria","Politischer Bezirk Gmunden",""],["Hönigsberg",47.5804,15.6481,"village",1789,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Sankt Leonhard",46.6253,13.8587,"village",1789,"AT","Carinthia","Villach Stadt",""],["Uttendorf",47.2833,12.5667,"town",1789,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Fagernes",60.9858,9.2324,"town",1788,"NO","Innlandet","Nord-Aurdal",""],["Bergeforsen",62.5307,17.3812,"village",1787,"SE","Västernorrland","Timrå Kommun",""],["Vittsjö",56.3437,13.6608,"village",1787,"SE","Skåne","Hässleholms Kommun",""],["Byske",64.9526,21.2058,"village",1785,"SE","Västerbotten","Skellefteå Kommun",""],["Mietoinen",60.6333,21.9333,"town",1785,"FI","Southwest Finland","Turku",""],["Bioggio",46.0136,8.911,"village",1784,"CH","Ticino","Lugano District",""],["Stavsnäs",59.2833,18.6833,"village",1784,"SE","Stockholm","Värmdö Kommun",""],["Killwangen",47.4322,8.351,"village",1783,"CH","Aargau","Bezirk Baden",""],["Rødvig",55.2554,12.3794,"village",1783,"DK","Zealand","Stevns Kommune",""],["Gschwandt",47.9352,13.8457,"town",1782,"AT","Upper Austria","Politischer Bezirk Gmunden",""],["Glattbrugg / Rohr/Platten-Balsberg",47.4372,8.5664,"suburb",1780,"CH","Zurich","Bezirk Bülach",""],["Pyhäntä",64.1,26.3167,"town",1779,"FI","North Ostrobothnia","Haapavesi-Siikalatva",""],["Rehetobel",47.4261,9.483,"village",1779,"CH","Appenzell Ausserrhoden","Bezirk Vorderland",""],["Aigen im Mühlkreis",48.6458,13.9711,"town",1778,"AT","Upper Austria","Politischer Bezirk Rohrbach",""],["Grambach",47.0147,15.5041,"town",1778,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Moosbrunn",48.0167,16.45,"town",1777,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Kuusjoki",60.5167,23.2,"town",1775,"FI","Southwest Finland","Salo",""],["Tanumshede",58.7238,11.3259,"town",1774,"SE","Västra Götaland","Tanums Kommun",""],["Schlierbach",47.9364,14.1202,"village",1773,"AT","Upper Austria","Politischer Bezirk Kirchdorf an der Krems",""],["Nickelsdorf",47.9406,17.0694,"town",1772,"AT","Burgenland","Politischer Bezirk Neusiedl am See",""],["Jonstorp",58,12.7167,"village",1771,"SE","Västra Götaland","Vårgårda Kommun",""],["Kiikala",60.4667,23.5667,"town",1771,"FI","Southwest Finland","Salo",""],["Ferschnitz",48.0942,14.9845,"town",1770,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Virserum",57.3167,15.5833,"village",1769,"SE","Kalmar","Hultsfreds Kommun",""],["Eben im Pongau",47.4,13.4,"town",1768,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Grellingen",47.4423,7.5891,"village",1767,"CH","Basel-Landschaft","Bezirk Laufen",""],["Rehberg",48.4311,15.587,"suburb",1766,"AT","Lower Austria","Krems an der Donau",""],["Bad Deutsch-Altenburg",48.1343,16.9062,"town",1765,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Rosersberg",59.5833,17.8833,"village",1765,"SE","Stockholm","Sigtuna Kommun",""],["Vigrestad",58.571,5.6818,"village",1764,"NO","Rogaland","Hå",""],["St Anton am Arlberg",47.1275,10.2637,"village",1763,"AT","Tyrol","Politischer Bezirk Landeck",""],["Uster / Gschwader",47.3602,8.7139,"suburb",1763,"CH","Zurich","Bezirk Uster",""],["Ingelstad",56.75,14.9167,"village",1762,"SE","Kronoberg","Växjö Kommun",""],["Lenhovda",57,15.2833,"village",1762,"SE","Kronoberg","Uppvidinge Kommun",""],["Apetlon",47.7439,16.8302,"town",1760,"AT","Burgenland","Politischer Bezirk Neusiedl am See",""],["Affoltern / Oberdorf",47.2785,8.4565,"suburb",1759,"CH","Zurich","Bezirk Affoltern",""],["Biglen",46.9263,7.6251,"village",1759,"CH","Bern","Bern-Mittelland District",""],["Borgarnes",64.5383,-21.9206,"town",1759,"IS","West","Borgarbyggð",""],["Effretikon / Rappenhalde-Bannhalde",47.4239,8.6965,"suburb",1758,"CH","Zurich","Bezirk Pfäffikon",""],["Ytteresse",63.6221,22.9946,"village",1758,"FI","Ostrobothnia","Jakobstadsregionen",""],["Zell am Ziller",47.2333,11.8833,"town",1758,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Saalbach",47.3914,12.6364,"village",1755,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Forsbacka",60.6167,16.8833,"village",1754,"SE","Gävleborg","Gävle Kommun",""],["Röschenz",47.4237,7.4802,"village",1753,"CH","Basel-Landschaft","Bezirk Laufen",""],["Weiningen",47.4202,8.4364,"village",1753,"CH","Zurich","Bezirk Dietikon",""],["Leonstein",47.8967,14.2312,"village",1751,"AT","Upper Austria","Politischer Bezirk Kirchdorf an der Krems",""],["Pucking",48.1889,14.1882,"village",1751,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Thalwil / Nord",47.2975,8.5563,"suburb",1751,"CH","Zurich","Bezirk Horgen",""],["Dürnkrut",48.4731,16.8506,"town",1750,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Höviksnäs",58.0333,11.7667,"village",1750,"SE","Västra Götaland","Tjörns Kommun",""],["Itingen",47.4665,7.785,"village",1750,"CH","Basel-Landschaft","Bezirk Sissach",""],["Forsbacka",64.7667,20.5,"village",1748,"SE","Västerbotten","Skellefteå Kommun",""],["Windhag",47.9791,14.8025,"village",1748,"AT","Lower Austria","Waidhofen an der Ybbs Stadt",""],["Hillerstorp",57.3129,13.8844,"village",1746,"SE","Jönköping","Gnosjö Kommun",""],["Harboøre",56.6175,8.1807,"village",1745,"DK","Central Jutland","Lemvig Kommune",""],["Sankt Pantaleon",48.2106,14.568,"village",1745,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Zwölfaxing",48.1099,16.4627,"town",1744,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Sankt Stefan",46.8075,14.8517,"village",1743,"AT","Carinthia","Politischer Bezirk Wolfsberg",""],["Vampula",61.0167,22.7,"town",1743,"FI","Satakunta","Pori",""],["Vicques",47.35,7.4134,"village",1741,"CH","Jura","Delémont District",""],["Maria Lankowitz",47.0622,15.0653,"town",1740,"AT","Styria","Politischer Bezirk Voitsberg",""],["Moi",58.4567,6.5518,"town",1740,"NO","Rogaland","Lund",""],["Östra Ljungby",56.196,13.092,"village",1740,"SE","Skåne","Klippans Kommun",""],["Oggau",47.8333,16.6667,"village",1739,"AT","Burgenland","Eisenstadt-Umgebung",""],["Dallenwil",46.9242,8.3879,"village",1738,"CH","Nidwalden","Nidwalden",""],["Lemu",60.5667,21.9667,"town",1738,"FI","Southwest Finland","Turku",""],["Andwil",47.4385,9.2744,"village",1737,"CH","Saint Gallen","Wahlkreis St. Gallen",""],["Källby",58.51,13.3058,"village",1737,"SE","Västra Götaland","Götene Kommun",""],["Bévilard",47.2371,7.2832,"village",1736,"CH","Bern","Bernese Jura",""],["Hall bei Admont",47.587,14.4637,"town",1736,"AT","Styria","Politischer Bezirk Liezen",""],["Schinznach Dorf",47.4465,8.1409,"village",1736,"CH","Aargau","Bezirk Brugg",""],["Untersiebenbrunn",48.25,16.7333,"town",1736,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Romme",60.4333,15.5,"village",1735,"SE","Dalarna","Borlänge Kommun",""],["Sankt Paul im Levanttal",46.7006,14.8756,"village",1735,"AT","","",""],["La Sarraz",46.6586,6.5108,"town",1734,"CH","Vaud","Morges District",""],["Matzendorf",47.8914,16.2139,"village",1734,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Künten",47.3889,8.3305,"village",1732,"CH","Aargau","Bezirk Baden",""],["Martigny-Combe",46.0782,7.051,"village",1731,"CH","Valais","Martigny District",""],["Rypefjord",70.6413,23.6721,"village",1731,"NO","Finnmark","Hammerfest",""],["Erlenbach im Simmental",46.6602,7.5545,"village",1730,"CH","Bern","Frutigen-Niedersimmental District",""],["Comano",46.0363,8.9553,"village",1729,"CH","Ticino","Lugano District",""],["Marielund",65.8531,24.1049,"village",1726,"SE","Norrbotten","Haparanda Kommun",""],["Hasle",46.9779,8.0533,"village",1725,"CH","Lucerne","Entlebuch District",""],["Järna",60.5333,14.3667,"village",1725,"SE","Dalarna","Vansbro Kommun",""],["Ljungbyholm",56.6333,16.1667,"village",1725,"SE","Kalmar","Kalmar Kommun",""],["Schwendau",47.1975,11.859,"town",1725,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Schleitheim",47.7482,8.4821,"town",1723,"CH","Schaffhausen","Bezirk Schleitheim",""],["Knutwil",47.1995,8.0732,"village",1722,"CH","Lucerne","Sursee District",""],["Ørje",59.4802,11.6602,"town",1722,"NO","Østfold","Marker",""],["Plankenau",47.3267,13.1928,"village",1722,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Waldstatt",47.3563,9.2835,"village",1722,"CH","Appenzell Ausserrhoden","Bezirk Hinterland",""],["Esch",47.8403,13.0922,"village",1721,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Ybbsitz",47.9475,14.8918,"town",1721,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Feistritz an der Drau",46.7016,13.6648,"village",1720,"AT","Carinthia","Politischer Bezirk Villach Land",""],["Vionnaz",46.311,6.9006,"village",1719,"CH","Valais","Monthey District",""],["Aesch",47.3297,8.6541,"village",1717,"CH","Zurich","Bezirk Uster",""],["Enonkoski",62.0833,28.9333,"town",1714,"FI","South Savo","Savonlinna",""],["Charmey",46.6196,7.1649,"village",1713,"CH","Fribourg","Gruyère District",""],["Seyring",48.3333,16.4833,"village",1713,"AT","Lower Austria","Politischer Bezirk Korneuburg",""],["Erlenbach / links des Dorfbachs oberhalb Bahnlinie",47.2995,8.6019,"suburb",1709,"CH","Zurich","Bezirk Meilen",""],["Vibble",57.6045,18.256,"village",1709,"SE","Gotland","Gotland",""],["Bräkne-Hoby",56.2333,15.1167,"village",1708,"SE","Blekinge","Ronneby Kommun",""],["Obersiebenbrunn",48.2654,16.7108,"town",1708,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Günselsdorf",47.944,16.2606,"town",1707,"AT","Lower Austria","Politischer Bezirk Baden",""],["Kumberg",47.1642,15.5326,"town",1707,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Åsele",64.1603,17.3476,"town",1706,"SE","Västerbotten","Åsele Kommun",""],["Söderfors",60.3833,17.2333,"village",1704,"SE","Uppsala","Tierps kommun",""],["Aschbach Markt",48.0723,14.7539,"village",1703,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Ingared",57.8599,12.4516,"village",1703,"SE","Västra Götaland","Alingsås Kommun",""],["Teckomatorp",55.8667,13.0833,"village",1703,"SE","Skåne","Svalövs Kommun",""],["Corminboeuf",46.8103,7.1053,"village",1702,"CH","Fribourg","Sarine District",""],["Obersdorf",48.3667,16.5167,"village",1702,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Taivassalo",60.5609,21.6164,"town",1702,"FI","Southwest Finland","Vakka-Suomi",""],["Wallern im Burgenland",47.7285,16.9371,"town",1702,"AT","Burgenland","Politischer Bezirk Neusiedl am See",""],["Wolfsgraben",48.1587,16.121,"town",1700,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Corsier",46.263,6.2246,"village",1699,"CH","Geneva","Geneva",""],["Rüschegg",46.7798,7.3917,"village",1697,"CH","Bern","Bern-Mittelland District",""],["Schönwies",47.1966,10.6574,"town",1697,"AT","Tyrol","Politischer Bezirk Landeck",""],["Östervåla",60.1833,17.1833,"village",1696,"SE","Uppsala","Heby kommun",""],["Gresten",47.9852,15.0255,"town",1695,"AT","Lower Austria","Politischer Bezirk Scheibbs",""],["Kruså",54.851,9.4013,"village",1694,"DK","South Denmark","Aabenraa Kommune",""],["Lammhult",57.1667,14.5833,"village",1694,"SE","Kronoberg","Växjö Kommun",""],["Alle",47.4254,7.1302,"village",1693,"CH","Jura","Porrentruy District",""],["Hästveda",56.2847,13.9355,"village",1693,"SE","Skåne","Hässleholms Kommun",""],["Braås",57.0667,15.05,"village",1692,"SE","Kronoberg","Växjö Kommun",""],["Sankt Andrä vor dem Hagenthale",48.322,16.2072,"village",1692,"AT","Lower Austria","Politischer Bezirk Tulln",""],["Affoltern / Hasenbüel",47.2732,8.4522,"suburb",1690,"CH","Zurich","Bezirk Affoltern",""],["Åled",56.75,12.9333,"village",1690,"SE","Halland","Halmstads Kommun",""],["Höfn",64.2539,-15.2121,"village",1690,"IS","East","Sveitarfélagið Hornafjörður",""],["Reisenberg",47.9941,16.5202,"town",1689,"AT","Lower Austria","Politischer Bezirk Baden",""],["Haslach an der Mühl",48.5757,14.0398,"village",1688,"AT","Upper Austria","Politischer Bezirk Rohrbach",""],["Rudersdorf",47.05,16.1167,"town",1688,"AT","Burgenland","Politischer Bezirk Jennersdorf",""],["Hagenberg im Mühlkreis",48.3679,14.5169,"village",1686,"AT","Upper Austria","Politischer Bezirk Freistadt",""],["Pfaffhausen",47.3648,8.6237,"village",1684,"CH","Zurich","Bezirk Uster",""],["Jonen",47.2975,8.3928,"village",1683,"CH","Aargau","Bezirk Bremgarten",""],["Dänikon",47.4467,8.4065,"village",1682,"CH","Zurich","Bezirk Dielsdorf",""],["Skaun",63.2515,10.0524,"village",1682,"NO","Trøndelag","Skaun",""],["Haverdal",56.7222,12.6719,"village",1681,"SE","Halland","Halmstads Kommun",""],["Klausen-Leopoldsdorf",48.0877,16.0169,"town",1681,"AT","Lower Austria","Politischer Bezirk Baden",""],["Kloten / Kloten (Zentrum)",47.4513,8.5868,"suburb",1681,"CH","Zurich","Bezirk Bülach",""],["Sandarne",61.2589,17.1528,"village",1681,"SE","Gävleborg","Söderhamns Kommun",""],["Schörfling",47.9454,13.6041,"village",1680,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Aschach an der Steyr",48.0131,14.3354,"village",1678,"AT","Upper Austria","Politischer Bezirk Steyr-Land",""],["Neumarkt in Steiermark",47.074,14.4273,"town",1678,"AT","Styria","Politischer Bezirk Murau",""],["Rosental an der Kainach",47.0519,15.122,"town",1678,"AT","Styria","Politischer Bezirk Voitsberg",""],["Stainz",46.8944,15.2672,"town",1677,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Fehring",46.94,16.0081,"town",1675,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Uttigen",46.7944,7.5779,"village",1673,"CH","Bern","Thun District",""],["Stallarholmen",59.3667,17.2,"village",1671,"SE","Södermanland","Strängnäs Kommun",""],["Laupersdorf",47.3126,7.6547,"village",1670,"CH","Solothurn","Bezirk Thal",""],["Hemse",57.2379,18.3744,"village",1668,"SE","Gotland","Gotland",""],["Neufurth",48.0789,14.8118,"village",1667,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Stadt Winterthur (Kreis 1) / Altstadt",47.4995,8.7287,"suburb",1665,"CH","Zurich","Bezirk Winterthur",""],["Teufenthal",47.329,8.1178,"village",1665,"CH","Aargau","Bezirk Kulm",""],["Reith bei Kitzbühel",47.4667,12.35,"town",1662,"AT","Tyrol","Politischer Bezirk Kitzbühel",""],["Boliden",64.8667,20.3833,"village",1661,"SE","Västerbotten","Skellefteå Kommun",""],["Pulkkila",64.2667,25.8667,"town",1661,"FI","North Ostrobothnia","Haapavesi-Siikalatva",""],["Vordemwald",47.2758,7.9011,"village",1661,"CH","Aargau","Bezirk Zofingen",""],["Gaweinstal",48.48,16.5879,"town",1660,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Dombresson",47.0719,6.9592,"village",1659,"CH","Neuchâtel","Val-de-Ruz District",""],["Karjalohja",60.2401,23.7179,"village",1657,"FI","Uusimaa","Helsinki sub-region",""],["Wauwil",47.1846,8.021,"village",1657,"CH","Lucerne","Willisau District",""],["Chézard-Saint-Martin",47.0663,6.9333,"village",1655,"CH","Neuchâtel","Val-de-Ruz District",""],["Schöndorf",48.0017,13.6588,"suburb",1654,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Hadersdorf am Kamp",48.45,15.7167,"village",1653,"AT","Lower Austria","Politischer Bezirk Krems",""],["Ziersdorf",48.5303,15.9269,"town",1653,"AT","Lower Austria","Politischer Bezirk Hollabrunn",""],["Koblenz",47.6097,8.2375,"village",1651,"CH","Aargau","Bezirk Zurzach",""],["Ersmark",63.8833,20.3167,"village",1650,"SE","Västerbotten","Umeå Kommun",""],["Wiesendangen / Wiesendangen (Dorf)",47.5217,8.7897,"suburb",1649,"CH","Zurich","Bezirk Winterthur",""],["Fontainemelon",47.0549,6.8868,"village",1647,"CH","Neuchâtel","Val-de-Ruz District",""],["Jursla",58.6667,16.1833,"village",1647,"SE","","",""],["Gruyères",46.5834,7.0821,"village",1646,"CH","Fribourg","Gruyère District",""],["Ratzersdorf an der Traisen",48.2264,15.6663,"village",1645,"AT","Lower Austria","Sankt Pölten Stadt",""],["Gullbrandstorp",56.7,12.7333,"village",1642,"SE","Halland","Halmstads Kommun",""],["Långsele",63.1833,17.0667,"village",1642,"SE","Västernorrland","Sollefteå Kommun",""],["Cazis",46.7194,9.4327,"village",1641,"CH","Grisons","Region Viamala",""],["Kabelvåg",68.2107,14.4755,"village",1638,"NO","Nordland","Vågan",""],["Längelmäki",61.65,22.1,"village",1636,"FI","Satakunta","Pori",""],["Aschau",47.2667,11.9,"village",1634,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Birkfeld",47.35,15.6833,"town",1634,"AT","Styria","Politischer Bezirk Weiz",""],["Øystese",60.3882,6.1925,"village",1634,"NO","Vestland","Kvam",""],["Skodje",62.5047,6.6932,"town",1634,"NO","Møre og Romsdal","Ålesund",""],["Diegten",47.4138,7.8109,"village",1633,"CH","Basel-Landschaft","Bezirk Waldenburg",""],["Obernberg am Inn",48.3213,13.3343,"village",1633,"AT","Upper Austria","Politischer Bezirk Ried im Innkreis",""],["Skoppum",59.3861,10.4108,"village",1633,"NO","Vestfold","Horten",""],["Rinkabyholm",56.6497,16.2667,"village",1631,"SE","Kalmar","Kalmar Kommun",""],["Justvik",58.1969,8.0311,"village",1630,"NO","Agder","Kristiansand",""],["Stenstorp",58.4833,15.0667,"village",1630,"SE","Östergötland","Motala Kommun",""],["Sorengo",45.9977,8.9378,"village",1629,"CH","Ticino","Lugano District",""],["Gaumberg",48.2809,14.2693,"suburb",1628,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Guggisberg",46.7676,7.3295,"village",1628,"CH","Bern","Bern-Mittelland District",""],["Eich",47.1512,8.1669,"village",1627,"CH","Lucerne","Sursee District",""],["Kolsass",47.3,11.6333,"town",1626,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Feldkirchen bei Graz",47.0167,15.45,"town",1625,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Tullnerbach-Lawies",48.1891,16.0912,"village",1625,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Gaaden",48.0536,16.2,"town",1624,"AT","Lower Austria","Politischer Bezirk Mödling",""],["Gravdal",68.1183,13.5534,"village",1624,"NO","Nordland","Vestvågøy",""],["Hälleforsnäs",59.1521,16.497,"village",1624,"SE","Södermanland","Flens Kommun",""],["Traunkirchen",47.8446,13.7894,"village",1624,"AT","Upper Austria","Politischer Bezirk Gmunden",""],["Pamhagen",47.7009,16.9078,"town",1623,"AT","Burgenland","Politischer Bezirk Neusiedl am See",""],["Karijoki",62.3085,21.7086,"town",1621,"FI","South Ostrobothnia","Suupohja",""],["Ristijärvi",64.5,28.2167,"town",1621,"FI","Kainuu","Kajaani",""],["Långsele",64.8167,20.25,"village",1620,"SE","Västerbotten","Skellefteå Kommun",""],["Hornsyld",55.7562,9.8564,"village",1619,"DK","Central Jutland","Hedensted Kommune",""],["Riedlingsdorf",47.35,16.1333,"town",1619,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Schalchen",48.1192,13.1572,"village",1618,"AT","Upper Austria","Politischer Bezirk Braunau am Inn",""],["Trogen",47.4078,9.465,"village",1618,"CH","Appenzell Ausserrhoden","Bezirk Mittelland",""],["Freienstein",47.5331,8.5846,"village",1617,"CH","Zurich","Bezirk Bülach",""],["Kronstorf",48.1432,14.4631,"village",1617,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Le Noirmont",47.2246,6.9578,"village",1617,"CH","Jura","Franches-Montagnes District",""],["Ramsau im Zillertal",47.2038,11.8755,"town",1617,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Fraubrunnen",47.0862,7.5273,"village",1616,"CH","Bern","Bern-Mittelland District",""],["Wimpassing im Schwarzatale",47.703,16.0333,"town",1616,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Muntlix",47.283,9.6594,"village",1615,"AT","Vorarlberg","Politischer Bezirk Feldkirch",""],["Garphyttan",59.3043,14.9462,"village",1613,"SE","Örebro","Örebro Kommun",""],["Kematen an der Krems",48.1115,14.1939,"village",1613,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Bühler",47.3735,9.4251,"village",1612,"CH","Appenzell Ausserrhoden","Bezirk Mittelland",""],["Jämshög",56.2333,14.5167,"village",1612,"SE","Blekinge","Olofströms Kommun",""],["Jois",47.9616,16.796,"town",1612,"AT","Burgenland","Politischer Bezirk Neusiedl am See",""],["Mariapfarr",47.15,13.75,"town",1612,"AT","Salzburg","Politischer Bezirk Tamsweg",""],["Vernayaz",46.1367,7.0391,"village",1612,"CH","Valais","Saint-Maurice District",""],["Saas-Fee",46.108,7.9274,"village",1611,"CH","Valais","Visp District",""],["Auw",47.2108,8.3658,"village",1610,"CH","Aargau","Bezirk Muri",""],["Frekhaug",60.5132,5.2425,"town",1610,"NO","Vestland","Alver",""],["Mittelberg",47.3513,10.172,"town",1610,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Pålsboda",59.0656,15.3375,"village",1610,"SE","Örebro","Hallsbergs Kommun",""],["Wynau",47.2557,7.8163,"village",1610,"CH","Bern","Oberaargau",""],["Långshyttan",60.4524,16.0383,"village",1609,"SE","Dalarna","Hedemora Kommun",""],["Vatne",62.5583,6.6171,"village",1609,"NO","Møre og Romsdal","Ålesund",""],["Hasslö",56.1167,15.4833,"village",1606,"SE","Blekinge","Karlskrona Kommun",""],["Tagelswangen",47.4307,8.6728,"village",1606,"CH","Zurich","Bezirk Pfäffikon",""],["Glasenbach",47.7667,13.0833,"village",1605,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Kode",57.9426,11.8505,"village",1605,"SE","Västra Götaland","Kungälvs Kommun",""],["Furth bei Göttweig",48.3738,15.6141,"village",1604,"AT","Lower Austria","Politischer Bezirk Krems",""],["Gunzgen",47.3137,7.831,"village",1604,"CH","Solothurn","Bezirk Olten",""],["Losenstein",47.9243,14.4367,"town",1604,"AT","Upper Austria","Politischer Bezirk Steyr-Land",""],["Marieholm",55.8667,13.15,"village",1604,"SE","Skåne","Eslövs Kommun",""],["Sillian",46.7528,12.4211,"town",1604,"AT","Tyrol","Politischer Bezirk Lienz",""],["Otta",61.7712,9.5353,"town",1602,"NO","Innlandet","Sel",""],["Binz",47.3563,8.6266,"village",1601,"CH","Zurich","Bezirk Uster",""],["Neulengbach",48.1975,15.9022,"town",1601,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Sautens",47.2,10.8667,"town",1601,"AT","Tyrol","Politischer Bezirk Imst",""],["Anthering",47.8833,13.0167,"town",1599,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Trekanten",56.7,16.1167,"village",1599,"SE","Kalmar","Kalmar Kommun",""],["Weitra",48.7,14.8833,"town",1599,"AT","Lower Austria","Politischer Bezirk Gmünd",""],["Saillon",46.1703,7.1877,"village",1598,"CH","Valais","Martigny District",""],["Sattel",47.0825,8.6357,"village",1597,"CH","Schwyz","Bezirk Schwyz",""],["Söderfors",64.8167,18.05,"village",1597,"SE","Västerbotten","Lycksele kommun",""],["Cadro",46.0459,8.9872,"village",1596,"CH","Ticino","Lugano District",""],["Kangaslampi",62.2956,28.2529,"village",1596,"FI","North Savo","Varkaus",""],["Gramastetten",48.3803,14.1919,"town",1592,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Judendorf",47.1167,15.35,"village",1592,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Maria Neustift",47.9333,14.6,"town",1592,"AT","Upper Austria","Politischer Bezirk Steyr-Land",""],["Kannonkoski",62.9667,25.25,"town",1591,"FI","Central Finland","Saarijärvi-Viitasaari",""],["Schwarzenberg",47.017,8.1726,"village",1591,"CH","Lucerne","Lucerne-Land District",""],["Öregrund",60.3333,18.4333,"village",1589,"SE","Uppsala","Östhammars Kommun",""],["Kloten / Freienberg (Chanzler-Chlini Chaseren)",47.4658,8.5815,"suburb",1588,"CH","Zurich","Bezirk Bülach",""],["Mutters",47.2333,11.3833,"town",1587,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Rydaholm",56.9839,14.3085,"village",1587,"SE","Jönköping","Värnamo Kommun",""],["Tiefgraben",47.8738,13.3059,"town",1585,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Valla",63.55,13.8,"village",1584,"SE","Jämtland","Krokoms Kommun",""],["Dällikon / Dällikon (Dorf)",47.4398,8.4381,"suburb",1583,"CH","Zurich","Bezirk Dielsdorf",""],["Sörforsa",61.7333,16.9833,"village",1581,"SE","Gävleborg","Hudiksvalls Kommun",""],["Vännäsby",63.9156,19.8244,"village",1581,"SE","Västerbotten","Vännäs Kommun",""],["Marieholm",57.3833,13.85,"village",1578,"SE","Jönköping","Gnosjö Kommun",""],["Jochberg",47.3792,12.4181,"town",1577,"AT","Tyrol","Politischer Bezirk Kitzbühel",""],["Melide",45.9545,8.9473,"village",1577,"CH","Ticino","Lugano District",""],["Breitenau",47.7336,16.1434,"town",1576,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Kestilä",64.35,26.2792,"village",1576,"FI","North Ostrobothnia","Haapavesi-Siikalatva",""],["Riedholz",47.2316,7.5683,"village",1576,"CH","Solothurn","Bezirk Lebern",""],["Grolley",46.8336,7.0712,"village",1575,"CH","Fribourg","Sarine District",""],["Niederalm",47.7287,13.0622,"village",1575,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Arch",47.1653,7.4314,"village",1574,"CH","Bern","Seeland District",""],["Henggart",47.5627,8.6822,"village",1574,"CH","Zurich","Bezirk Andelfingen",""],["Küsnacht / Dorf",47.3178,8.583,"suburb",1574,"CH","Zurich","Bezirk Meilen",""],["Burträsk",64.5167,20.65,"village",1573,"SE","Västerbotten","Skellefteå Kommun",""],["Ås",63.25,14.5667,"village",1572,"SE","Jämtland","Krokoms Kommun",""],["Gamlitz",46.7203,15.5533,"town",1572,"AT","Styria","Politischer Bezirk Leibnitz",""],["Sellenbüren",47.3436,8.483,"suburb",1572,"CH","Zurich","Bezirk Affoltern",""],["Fels am Wagram",48.4333,15.8167,"town",1571,"AT","Lower Austria","Politischer Bezirk Tulln",""],["Marsens",46.6564,7.0595,"village",1571,"CH","Fribourg","Gruyère District",""],["Heimiswil",47.0675,7.6666,"village",1570,"CH","Bern","Emmental District",""],["Werfen",47.4759,13.1902,"town",1570,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Hittisau",47.4578,9.9596,"village",1569,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Trönninge",56.6167,12.9333,"village",1569,"SE","Halland","Halmstads Kommun",""],["Gullspång",58.9862,14.0964,"village",1568,"SE","Västra Götaland","Gullspångs Kommun",""],["Lech",47.208,10.1418,"town",1568,"AT","Vorarlberg","Politischer Bezirk Bludenz",""],["Thalwil / Berg",47.2918,8.556,"suburb",1568,"CH","Zurich","Bezirk Horgen",""],["Marthalen",47.6291,8.6533,"village",1567,"CH","Zurich","Bezirk Andelfingen",""],["Giffers",46.7623,7.2085,"village",1566,"CH","Fribourg","Sense District",""],["Ufer",48.2484,14.4998,"village",1566,"AT","Upper Austria","Politischer Bezirk Perg",""],["Grüt",47.3115,8.7834,"village",1565,"CH","Zurich","Bezirk Hinwil",""],["Asmundtorp",55.8833,12.9333,"village",1563,"SE","Skåne","Landskrona",""],["Ekenässjön",57.4918,15.0223,"village",1563,"SE","Jönköping","Vetlanda kommun",""],["Husum",63.3333,19.1667,"village",1563,"SE","Västernorrland","Örnsköldsviks Kommun",""],["Naarn im Machlande",48.2255,14.6084,"village",1563,"AT","Upper Austria","Politischer Bezirk Perg",""],["Floby",58.1333,13.3333,"village",1562,"SE","Västra Götaland","Falköpings Kommun",""],["Norrfjärden",65.418,21.5015,"village",1562,"SE","Norrbotten","Piteå Kommun",""],["Kaxholmen",57.8535,14.3046,"village",1561,"SE","Jönköping","Jönköpings Kommun",""],["Nänikon",47.3698,8.6889,"village",1560,"CH","Zurich","Bezirk Uster",""],["Airolo",46.5286,8.6119,"village",1559,"CH","Ticino","Leventina District",""],["Bräcke",62.7507,15.4219,"town",1559,"SE","Jämtland","Bräcke Kommun",""],["Amden",47.1489,9.1423,"town",1557,"CH","Saint Gallen","Wahlkreis See-Gaster",""],["Cornaux",47.0396,7.0187,"village",1557,"CH","Neuchâtel","Neuchâtel District",""],["Evolène",46.1142,7.4941,"village",1557,"CH","Valais","Hérens District",""],["Järvsö",61.7167,16.1667,"village",1557,"SE","Gävleborg","Ljusdals Kommun",""],["Brütten",47.4732,8.6757,"village",1556,"CH","Zurich","Bezirk Winterthur",""],["Chippis",46.2802,7.5396,"village",1556,"CH","Valais","Sierre District",""],["Haiden",47.7179,13.5691,"village",1556,"AT","Upper Austria","Politischer Bezirk Gmunden",""],["Luftenberg an der Donau",48.2746,14.413,"village",1556,"AT","Upper Austria","Politischer Bezirk Perg",""],["Auvernier",46.9755,6.879,"village",1555,"CH","Neuchâtel","Boudry District",""],["Kirchschlag in der Buckligen Welt",47.5,16.2833,"town",1554,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Prinzersdorf",48.2,15.5167,"town",1554,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Sankt Lorenz",47.8324,13.3484,"town",1554,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Adliswil / Hündli-Zopf",47.3164,8.5189,"suburb",1553,"CH","Zurich","Bezirk Horgen",""],["Straß in Steiermark",46.7272,15.6244,"town",1552,"AT","Styria","Politischer Bezirk Leibnitz",""],["Glattbrugg / Wydacker/Bettacker/Lättenwiesen",47.4291,8.5666,"suburb",1551,"CH","Zurich","Bezirk Bülach",""],["Hellmonsödt",48.4333,14.3,"town",1551,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Kainbach",47.0833,15.5167,"village",1551,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Rönnäng",57.9333,11.5833,"village",1551,"SE","Västra Götaland","Tjörns Kommun",""],["Lagan",56.9167,13.9833,"village",1550,"SE","Kronoberg","Ljungby Kommun",""],["Bergby",60.9293,17.0419,"village",1549,"SE","Gävleborg","Gävle Kommun",""],["Bredaryd",57.1734,13.7379,"village",1549,"SE","Jönköping","Värnamo Kommun",""],["Hof am Leithaberge",47.95,16.5833,"town",1549,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Wimpassing an der Leitha",47.9167,16.4333,"town",1549,"AT","Burgenland","Eisenstadt-Umgebung",""],["Sandgerði",64.0376,-22.708,"village",1546,"IS","Southern Peninsula","Suðurnesjabær",""],["Hällevik",56.0167,14.7,"village",1545,"SE","Blekinge","Sölvesborgs kommun",""],["Hochpoint",48.1614,14.0384,"suburb",1545,"AT","Upper Austria","Wels Stadt",""],["Kallnach",47.0203,7.2355,"village",1545,"CH","Bern","Seeland District",""],["Pischelsdorf in der Steiermark",47.1742,15.8057,"village",1545,"AT","Styria","Politischer Bezirk Weiz",""],["Nauders",46.8886,10.5013,"town",1542,"AT","Tyrol","Politischer Bezirk Landeck",""],["Hennersdorf",48.1117,16.3631,"town",1541,"AT","Lower Austria","Politischer Bezirk Mödling",""],["Lödöse",58.0299,12.1593,"village",1540,"SE","Västra Götaland","Lilla Edets Kommun",""],["Järpen",63.3462,13.4657,"town",1539,"SE","Jämtland","Åre kommun",""],["Oberwinterthur (Kreis 2) / Hegi",47.5072,8.7706,"suburb",1539,"CH","Zurich","Bezirk Winterthur",""],["Weer",47.3038,11.645,"town",1539,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Arisdorf",47.5132,7.7652,"village",1538,"CH","Basel-Landschaft","Bezirk Liestal",""],["Magadino",46.1489,8.8561,"village",1538,"CH","Ticino","Locarno District",""],["Merimasku",60.4833,21.8667,"town",1538,"FI","Southwest Finland","Turku",""],["Ørnes",66.8688,13.7058,"town",1538,"NO","Nordland","Meløy",""],["Wädenswil / Boller-Giessen",47.2212,8.6838,"suburb",1538,"CH","Zurich","Bezirk Horgen",""],["Harland",48.1616,15.6384,"village",1537,"AT","Lower Austria","Sankt Pölten Stadt",""],["Obdach",47.0667,14.6833,"town",1537,"AT","Styria","Politischer Bezirk Murtal",""],["Artjärvi",60.7454,26.0708,"town",1536,"FI","Paijat-Hame","Lahti",""],["Ernstbrunn",48.5333,16.35,"town",1536,"AT","Lower Austria","Politischer Bezirk Korneuburg",""],["Zell-Arzberg",47.9519,14.7932,"village",1536,"AT","Lower Austria","Waidhofen an der Ybbs Stadt",""],["Hermagor",46.6272,13.3672,"town",1535,"AT","Carinthia","Politischer Bezirk Hermagor",""],["Vils",47.55,10.6333,"town",1535,"AT","Tyrol","Politischer Bezirk Reutte",""],["Zäziwil",46.902,7.6619,"village",1535,"CH","Bern","Bern-Mittelland District",""],["Ötztal-Bahnhof",47.2333,10.85,"village",1534,"AT","Tyrol","Politischer Bezirk Imst",""],["Tragwein",48.3331,14.6224,"village",1534,"AT","Upper Austria","Politischer Bezirk Freistadt",""],["Tesserete",46.0681,8.965,"village",1533,"CH","Ticino","Lugano District",""],["Ekeby-Almby",59.26,15.33,"village",1531,"SE","Örebro","Örebro Kommun",""],["Erpersdorf",48.3421,15.9175,"village",1531,"AT","Lower Austria","Politischer Bezirk Tulln",""],["Luchsingen",46.9664,9.0372,"village",1530,"CH","Glarus","Glarus",""],["Trubschachen",46.9223,7.8452,"village",1530,"CH","Bern","Emmental District",""],["Mureck",46.7081,15.7747,"town",1529,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Neckenmarkt",47.5996,16.5467,"town",1528,"AT","Burgenland","Politischer Bezirk Oberpullendorf",""],["Fulenbach",47.271,7.8314,"village",1526,"CH","Solothurn","Bezirk Olten",""],["Lodrino",46.3002,8.9799,"village",1526,"CH","Ticino","Riviera District",""],["Ligornetto",45.8616,8.9517,"village",1524,"CH","Ticino","Mendrisio District",""],["Wagenhausen",47.66,8.8478,"village",1524,"CH","Thurgau","Bezirk Frauenfeld",""],["Cugy",46.8148,6.8889,"village",1523,"CH","Fribourg","Broye District",""],["Rävlanda",57.6534,12.4979,"village",1522,"SE","Västra Götaland","Härryda Kommun",""],["Seedorf",46.882,8.6161,"village",1522,"CH","Uri","Uri",""],["Brålanda",58.5634,12.3492,"village",1521,"SE","Västra Götaland","Vänersborgs Kommun",""],["Kühnsdorf",46.6219,14.6364,"village",1521,"AT","Carinthia","Politischer Bezirk Völkermarkt",""],["Fürnitz",46.5619,13.8173,"village",1520,"AT","Carinthia","Politischer Bezirk Villach Land",""],["Fuschl am See",47.8,13.3,"town",1520,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Götzendorf an der Leitha",48.0167,16.5833,"town",1520,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Brückl",46.7517,14.5367,"town",1519,"AT","Carinthia","Politischer Bezirk Sankt Veit an der Glan",""],["Hartmannsdorf",47.0546,15.8394,"village",1519,"AT","Styria","Politischer Bezirk Weiz",""],["Froideville",46.6012,6.6809,"village",1518,"CH","Vaud","Gros-de-Vaud District",""],["Älvkarleby",60.5708,17.4489,"village",1517,"SE","Uppsala","Älvkarleby Kommun",""],["Schwellbrunn",47.3526,9.2489,"village",1517,"CH","Appenzell Ausserrhoden","Bezirk Hinterland",""],["Backa",64.9833,21.0667,"village",1516,"SE","Västerbotten","Skellefteå Kommun",""],["Bad Gleichenberg",46.8756,15.9086,"town",1516,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Kågeröd",55.9998,13.0879,"village",1516,"SE","Skåne","Svalövs Kommun",""],["Kaltenbach",47.7077,13.6105,"village",1516,"AT","Upper Austria","Politischer Bezirk Gmunden",""],["Attinghausen",46.8625,8.6304,"village",1515,"CH","Uri","Uri",""],["Kaskinen",62.3844,21.2233,"town",1514,"FI","Ostrobothnia","Sydösterbotten",""],["Faido",46.477,8.8012,"town",1512,"CH","Ticino","Leventina District",""],["Årdalstangen",61.2358,7.7037,"town",1510,"NO","Vestland","Årdal",""],["Forsheda",57.1641,13.8302,"village",1510,"SE","Jönköping","Värnamo Kommun",""],["Reigoldswil",47.3982,7.6872,"village",1509,"CH","Basel-Landschaft","Bezirk Waldenburg",""],["Wiesmath",47.6167,16.2833,"town",1509,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Courfaivre",47.3346,7.2819,"village",1508,"CH","Jura","Delémont District",""],["Eschenz",47.6479,8.8747,"village",1508,"CH","Thurgau","Bezirk Frauenfeld",""],["Ersigen",47.0937,7.5951,"village",1507,"CH","Bern","Emmental District",""],["Pettenbach",47.9602,14.0169,"village",1506,"AT","Upper Austria","Politischer Bezirk Kirchdorf an der Krems",""],["Mariatal",47.4479,11.8721,"village",1505,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Mühldorf",47.8969,13.9505,"village",1505,"AT","Upper Austria","Politischer Bezirk Gmunden",""],["Corgémont",47.1946,7.1452,"village",1503,"CH","Bern","Bernese Jura",""],["Mariannelund",57.6167,15.5667,"village",1503,"SE","Jönköping","Eksjö Kommun",""],["Trub",46.9417,7.88,"village",1503,"CH","Bern","Emmental District",""],["Hittnau / Hittnau (Dorf)",47.3633,8.8242,"suburb",1502,"CH","Zurich","Bezirk Pfäffikon",""],["Sierndorf",48.4302,16.1666,"town",1502,"AT","Lower Austria","Politischer Bezirk Korneuburg",""],["Jäppilä",62.379,27.4337,"village",1501,"FI","South Savo","Pieksämäki",""],["Ristinummi",63.0919,21.723,"village",1500,"FI","Ostrobothnia","Vaasa",""],["Sjølyststranda",59.9211,10.6802,"suburb",1500,"NO","Oslo","Oslo",""],["Teeriniemi",63.0971,21.6959,"village",1500,"FI","Ostrobothnia","Vaasa",""],["Nöstlbach",48.1666,14.2461,"village",1499,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Buchholterberg",46.8135,7.6746,"village",1498,"CH","Bern","Thun District",""],["Genolier",46.4354,6.2181,"village",1498,"CH","Vaud","Nyon District",""],["Harplinge",56.7449,12.7276,"village",1498,"SE","Halland","Halmstads Kommun",""],["Kötschach",46.6817,13.0069,"village",1498,"AT","Carinthia","Politischer Bezirk Hermagor",""],["Melsomvik",59.2239,10.3362,"village",1498,"NO","Vestfold","Sandefjord",""],["Vitznau",47.0101,8.4842,"village",1496,"CH","Lucerne","Lucerne-Land District",""],["Björkö",57.7322,11.6792,"village",1495,"SE","Västra Götaland","Öckerö Kommun",""],["Stams",47.276,10.9832,"town",1495,"AT","Tyrol","Politischer Bezirk Imst",""],["Adliswil / Sood",47.3187,8.5243,"suburb",1494,"CH","Zurich","Bezirk Horgen",""],["Kullaa",61.47,22.1614,"village",1494,"FI","Satakunta","Pori",""],["Brislach",47.4176,7.5434,"village",1493,"CH","Basel-Landschaft","Bezirk Laufen",""],["Kemeten",47.2486,16.1521,"town",1493,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Uttwil",47.5844,9.341,"village",1492,"CH","Thurgau","Bezirk Arbon",""],["Berg",48.2928,14.2478,"village",1491,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Dorotea",64.2618,16.4131,"town",1491,"SE","Västerbotten","Dorotea Kommun",""],["Klintehamn",57.3867,18.2037,"village",1490,"SE","Gotland","Gotland",""],["Þorlákshöfn",63.8559,-21.3834,"village",1489,"IS","South","Sveitarfélagið Ölfus",""],["Hausleiten",48.3833,16.1,"town",1488,"AT","Lower Austria","Politischer Bezirk Korneuburg",""],["Passail",47.2833,15.5167,"town",1488,"AT","Styria","Politischer Bezirk Weiz",""],["Muurla",60.35,23.2833,"town",1486,"FI","Southwest Finland","Salo",""],["Pöls",47.2167,14.5833,"town",1485,"AT","Styria","Politischer Bezirk Murtal",""],["Valla",59.0167,16.3833,"village",1485,"SE","Södermanland","Katrineholms Kommun",""],["Sollebrunn",58.1167,12.5333,"village",1482,"SE","Västra Götaland","Alingsås Kommun",""],["Sankt Marien",48.148,14.2776,"village",1481,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Schlitters",47.3805,11.8389,"town",1481,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Grünbach am Schneeberg",47.7975,15.9878,"town",1480,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Bäch",47.2039,8.7322,"village",1479,"CH","Schwyz","Bezirk Höfe",""],["Groß-Engersdorf",48.3587,16.5661,"town",1478,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Grua",60.257,10.6622,"village",1477,"NO","Akershus","Lunner",""],["Hölö",59.0167,17.5333,"village",1477,"SE","Stockholm","Södertälje Kommun",""],["Oberengstringen / Sonnenberg",47.4121,8.4605,"suburb",1477,"CH","Zurich","Bezirk Dietikon",""],["Lütisburg",47.3945,9.0831,"village",1476,"CH","Saint Gallen","Wahlkreis Toggenburg",""],["Stadt Winterthur (Kreis 1) / Brühlberg",47.4976,8.7127,"suburb",1476,"CH","Zurich","Bezirk Winterthur",""],["Töss (Kreis 4) / Vorder-Dättnau",47.4813,8.6985,"suburb",1476,"CH","Zurich","Bezirk Winterthur",""],["Fellingsbro",59.4333,15.5833,"village",1475,"SE","Örebro","Lindesbergs Kommun",""],["Peuerbach",48.3453,13.7721,"town",1475,"AT","Upper Austria","Politischer Bezirk Grieskirchen",""],["Ryd",56.4667,14.6833,"village",1474,"SE","Kronoberg","Tingsryds Kommun",""],["Waldprechting",47.9,13.1167,"village",1474,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Villnachern",47.471,8.1598,"village",1473,"CH","Aargau","Bezirk Brugg",""],["Alland",48.0583,16.079,"town",1470,"AT","Lower Austria","Politischer Bezirk Baden",""],["Dachsen",47.6651,8.6179,"village",1470,"CH","Zurich","Bezirk Andelfingen",""],["Erlenbach / rechts des Dorfbachs oberhalb Bahnlinie",47.3066,8.6027,"suburb",1470,"CH","Zurich","Bezirk Meilen",""],["Kimstad",58.5497,15.963,"village",1469,"SE","Östergötland","Norrköpings Kommun",""],["Embrach / Kellersacker",47.5145,8.5915,"suburb",1467,"CH","Zurich","Bezirk Bülach",""],["Kolvereid",64.8655,11.6046,"town",1467,"NO","Trøndelag","Nærøysund",""],["Melchnau",47.1821,7.8513,"village",1467,"CH","Bern","Oberaargau",""],["Montagny",46.7929,6.6122,"village",1467,"CH","Vaud","Jura-Nord vaudois District",""],["Schönau an der Triesting",47.9345,16.2538,"town",1467,"AT","Lower Austria","Politischer Bezirk Baden",""],["Glimåkra",56.3,14.1333,"village",1466,"SE","Skåne","Östra Göinge Kommun",""],["Lingenau",47.4503,9.9217,"town",1466,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Neskaupstaður",65.1482,-13.6837,"village",1466,"IS","East","Fjarðabyggð",""],["Tuulos",61.15,24.8,"town",1466,"FI","Kanta-Häme","Hämeenlinna",""],["Jörlanda",57.9863,11.8294,"village",1465,"SE","Västra Götaland","Stenungsunds Kommun",""],["Sankt Gallenkirch",47.021,9.9733,"town",1465,"AT","Vorarlberg","Politischer Bezirk Bludenz",""],["Adnet",47.6975,13.1311,"town",1464,"AT","Salzburg","Politischer Bezirk Hallein",""],["Lengfelden",47.85,13.05,"village",1463,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Vågåmo",61.8751,9.0967,"town",1463,"NO","Innlandet","Vågå",""],["Gemla",56.8675,14.6438,"village",1462,"SE","Kronoberg","Växjö Kommun",""],["Heiligenkreuz am Waasen",46.9558,15.5881,"town",1462,"AT","Styria","Politischer Bezirk Leibnitz",""],["Vrigstad",57.35,14.4667,"village",1461,"SE","Jönköping","Sävsjö Kommun",""],["Borkenes",68.7726,16.1712,"town",1460,"NO","Troms","Kvæfjord",""],["Myggenäs",58.0618,11.7494,"village",1460,"SE","Västra Götaland","Tjörns Kommun",""],["Les Geneveys-sur-Coffrane",47.0153,6.8513,"village",1458,"CH","Neuchâtel","Val-de-Ruz District",""],["Obermieming",47.3,10.9833,"village",1458,"AT","Tyrol","Politischer Bezirk Imst",""],["Liljendal",60.5735,26.0526,"village",1455,"FI","Uusimaa","Loviisa",""],["Storslett",69.7678,21.0247,"town",1455,"NO","Troms","Nordreisa",""],["Gimel",46.5095,6.3074,"town",1454,"CH","Vaud","Morges District",""],["Sankt Oswald bei Freistadt",48.5,14.5833,"village",1454,"AT","Upper Austria","Politischer Bezirk Freistadt",""],["Schweinbach",48.3403,14.4225,"village",1454,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Krummenau",47.2475,9.1706,"village",1453,"CH","Saint Gallen","Wahlkreis Toggenburg",""],["Blentarp",55.5833,13.6,"village",1452,"SE","Skåne","Sjöbo Kommun",""],["Piippola",64.1667,25.9667,"town",1450,"FI","North Ostrobothnia","Haapavesi-Siikalatva",""],["Sulzberg",47.5218,9.9135,"town",1450,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Olbendorf",47.1833,16.2,"town",1449,"AT","Burgenland","Politischer Bezirk Güssing",""],["Scheffau am Wilden Kaiser",47.5294,12.2514,"town",1449,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Schalchham",47.9982,13.6719,"village",1448,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Donsö",57.6,11.7992,"village",1446,"SE","Västra Götaland","Göteborgs stad",""],["Ryd",58.6667,15.0833,"village",1446,"SE","Östergötland","Motala Kommun",""],["Markersdorf an der Pielach",48.1833,15.5,"village",1444,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Boltigen",46.6285,7.3905,"village",1443,"CH","Bern","Obersimmental-Saanen District",""],["Djurö",59.3265,18.7115,"village",1442,"SE","Stockholm","Värmdö Kommun",""],["Hochfelden",47.5226,8.5156,"village",1442,"CH","Zurich","Bezirk Bülach",""],["Morgongåva",59.934,16.9635,"village",1441,"SE","Uppsala","Heby kommun",""],["Oberbipp",47.2607,7.6636,"village",1440,"CH","Bern","Oberaargau",""],["Visperterminen",46.259,7.9019,"village",1440,"CH","Valais","Visp District",""],["Tattendorf",47.95,16.3,"town",1439,"AT","Lower Austria","Politischer Bezirk Baden",""],["Türnitz",47.931,15.493,"town",1439,"AT","Lower Austria","Politischer Bezirk Lilienfeld",""],["Landsbro",57.3667,14.9,"village",1438,"SE","Jönköping","Vetlanda kommun",""],["Sankt Leonhard am Forst",48.1423,15.2846,"town",1438,"AT","Lower Austria","Politischer Bezirk Melk",""],["Steinmaur",47.4971,8.4522,"village",1438,"CH","Zurich","Bezirk Dielsdorf",""],["Wettswil / Ausser-Dorf",47.332,8.4773,"suburb",1438,"CH","Zurich","Bezirk Affoltern",""],["Tristach",46.8161,12.7897,"town",1437,"AT","Tyrol","Politischer Bezirk Lienz",""],["Boniswil",47.3173,8.1896,"village",1436,"CH","Aargau","Bezirk Lenzburg",""],["Prottes",48.3868,16.7389,"village",1436,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Sankt Marein im Mürztal",47.4667,15.3667,"town",1436,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Wolfau",47.25,16.1,"town",1436,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Neerach",47.511,8.471,"village",1435,"CH","Zurich","Bezirk Dielsdorf",""],["Spital am Pyhrn",47.6649,14.3401,"village",1435,"AT","Upper Austria","Politischer Bezirk Kirchdorf an der Krems",""],["Bülach / Soligänter",47.5263,8.5411,"suburb",1434,"CH","Zurich","Bezirk Bülach",""],["Limmared",57.5359,13.3557,"village",1434,"SE","Västra Götaland","Tranemo Kommun",""],["Abtissendorf",46.9958,15.4564,"village",1433,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Uster / Nossikon",47.3409,8.7256,"suburb",1433,"CH","Zurich","Bezirk Uster",""],["Sibbhult",56.2667,14.2,"village",1431,"SE","Skåne","Östra Göinge Kommun",""],["Garður",64.0705,-22.6513,"village",1429,"IS","Southern Peninsula","Suðurnesjabær",""],["Raab",48.3524,13.6469,"village",1429,"AT","Upper Austria","Politischer Bezirk Schärding",""],["Wagrain",48.005,13.6716,"village",1429,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Bière",46.5376,6.3336,"town",1428,"CH","Vaud","Morges District",""],["Hutten",48.1786,15.9858,"village",1428,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Kivijärvi",63.1198,25.0784,"town",1427,"FI","Central Finland","Saarijärvi-Viitasaari",""],["Leukerbad",46.3794,7.6269,"village",1427,"CH","Valais","Leuk District",""],["Tillmitsch",46.812,15.5168,"town",1426,"AT","Styria","Politischer Bezirk Leibnitz",""],["Mumpf",47.5456,7.9212,"village",1425,"CH","Aargau","Bezirk Rheinfelden",""],["Maria-Anzbach",48.1901,15.9315,"town",1424,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Breitenwang",47.4871,10.7342,"town",1423,"AT","Tyrol","Politischer Bezirk Reutte",""],["Eibiswald",46.6867,15.2472,"town",1423,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Jongny",46.4788,6.8411,"village",1423,"CH","Vaud","Riviera-Pays-d'Enhaut District",""],["Munderfing",48.0704,13.1816,"town",1423,"AT","Upper Austria","Politischer Bezirk Braunau am Inn",""],["Lunde",59.2983,9.1027,"village",1422,"NO","Telemark","Nome",""],["Litschau",48.9441,15.0448,"town",1421,"AT","Lower Austria","Politischer Bezirk Gmünd",""],["Birgitz",47.2354,11.2992,"town",1419,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Seuzach / Seuzach (Dorf)",47.5354,8.7373,"suburb",1419,"CH","Zurich","Bezirk Winterthur",""],["Angern an der March",48.3778,16.8281,"town",1418,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Langenlebarn-Oberaigen",48.3302,16.1106,"village",1418,"AT","Lower Austria","Politischer Bezirk Tulln",""],["Vex",46.2124,7.3983,"village",1418,"CH","Valais","Hérens District",""],["Veinge",56.55,13.0667,"village",1417,"SE","Halland","Laholms Kommun",""],["Achau",48.0803,16.3861,"town",1415,"AT","Lower Austria","Politischer Bezirk Mödling",""],["Niederbüren",47.4655,9.2057,"village",1415,"CH","Saint Gallen","Wahlkreis Wil",""],["Ylämaa",60.8,28,"town",1415,"FI","South Karelia","Lappeenranta",""],["Bowil",46.893,7.6976,"village",1414,"CH","Bern","Bern-Mittelland District",""],["Eriswil",47.0782,7.8515,"village",1414,"CH","Bern","Oberaargau",""],["Ödsmål",58.1,11.85,"village",1414,"SE","Västra Götaland","Stenungsunds Kommun",""],["Lengenfeld",48.4719,15.5987,"town",1412,"AT","Lower Austria","Politischer Bezirk Krems",""],["Seltisberg",47.4625,7.7204,"village",1412,"CH","Basel-Landschaft","Bezirk Liestal",""],["Adliswil / Oberleimbach",47.3202,8.5151,"suburb",1411,"CH","Zurich","Bezirk Horgen",""],["Gockhausen",47.381,8.5998,"village",1411,"CH","Zurich","Bezirk Uster",""],["Nagu",60.1938,21.9097,"town",1410,"FI","Southwest Finland","Åboland-Turunmaa",""],["Vattholma",60.0167,17.7333,"village",1410,"SE","Uppsala","Uppsala Kommun",""],["Eike",59.3983,5.3639,"village",1408,"NO","Rogaland","Karmøy",""],["Dals Långed",58.9256,12.3087,"village",1407,"SE","Västra Götaland","Bengtsfors Kommun",""],["Wädenswil / Hangenmoos",47.2337,8.6525,"suburb",1407,"CH","Zurich","Bezirk Horgen",""],["Gonten",47.3272,9.347,"village",1406,"CH","Appenzell Innerrhoden","Appenzell Inner Rhodes",""],["Homburg",47.6347,9.0076,"village",1406,"CH","Thurgau","Bezirk Frauenfeld",""],["Oberglatt / Oberglatt (Dorfkern)",47.476,8.5193,"suburb",1406,"CH","Zurich","Bezirk Dielsdorf",""],["La Roche",46.6962,7.1372,"village",1405,"CH","Fribourg","Gruyère District",""],["Langen",47.5167,9.8167,"village",1405,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Barkarö",59.5493,16.5074,"village",1404,"SE","Västmanland","Västerås",""],["Scharnitz",47.389,11.2645,"town",1403,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Finkenstein",46.5615,13.8709,"village",1402,"AT","Carinthia","Politischer Bezirk Villach Land",""],["Weesen",47.1345,9.0964,"village",1402,"CH","Saint Gallen","Wahlkreis See-Gaster",""],["Egliswil",47.3492,8.1855,"village",1401,"CH","Aargau","Bezirk Lenzburg",""],["Utsjoki",69.9086,27.0284,"town",1401,"FI","Lapland","Pohjois-Lappi",""],["Neukirchen am Großvenediger",47.2505,12.2759,"town",1400,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Grinzens",47.2293,11.2532,"village",1399,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Lövstalöt",59.9574,17.5783,"village",1399,"SE","Uppsala","Uppsala Kommun",""],["Anneberg",60.2417,18.4167,"village",1398,"SE","Uppsala","Östhammars Kommun",""],["Färila",61.8001,15.8442,"village",1398,"SE","Gävleborg","Ljusdals Kommun",""],["Grins",47.1403,10.5141,"town",1398,"AT","Tyrol","Politischer Bezirk Landeck",""],["Müllendorf",47.8394,16.4626,"town",1397,"AT","Burgenland","Eisenstadt-Umgebung",""],["Tveit",58.2337,8.122,"suburb",1397,"NO","Agder","Kristiansand",""],["Bleiburg/Pliberk",46.59,14.7989,"village",1395,"AT","Carinthia","Politischer Bezirk Völkermarkt",""],["Elsau-Räterschen",47.5024,8.7987,"village",1395,"CH","Zurich","Bezirk Winterthur",""],["Halsua",63.4667,24.1667,"town",1393,"FI","Central Ostrobothnia","Kaustinen",""],["Strobl",47.7167,13.4833,"town",1393,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Vigaun",47.6667,13.1333,"village",1393,"AT","","",""],["Luthern",47.0575,7.9169,"village",1392,"CH","Lucerne","Willisau District",""],["Önnestad",56.0575,14.0223,"village",1392,"SE","Skåne","Kristianstads kommun",""],["Schützen am Gebirge",47.8523,16.6233,"town",1392,"AT","Burgenland","Eisenstadt-Umgebung",""],["Semriach",47.2167,15.4,"town",1392,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Dübendorf / Vogelquartier",47.395,8.6118,"suburb",1391,"CH","Zurich","Bezirk Uster",""],["Göllersdorf",48.4936,16.1194,"town",1391,"AT","Lower Austria","Politischer Bezirk Hollabrunn",""],["Kloten / Horainli",47.454,8.5831,"suburb",1391,"CH","Zurich","Bezirk Bülach",""],["Attiswil",47.2467,7.6135,"village",1389,"CH","Bern","Oberaargau",""],["Dietach",48.0902,14.4165,"village",1389,"AT","Upper Austria","Politischer Bezirk Steyr-Land",""],["Kloten / Balsberg",47.4423,8.575,"suburb",1389,"CH","Zurich","Bezirk Bülach",""],["Sande",59.5868,10.2081,"town",1389,"NO","Vestfold","Holmestrand",""],["Wila",47.4193,8.8452,"village",1387,"CH","Zurich","Bezirk Pfäffikon",""],["Dietlikon / Eichwiesen",47.4191,8.6208,"suburb",1386,"CH","Zurich","Bezirk Bülach",""],["Gampel",46.316,7.7421,"village",1386,"CH","Valais","Leuk District",""],["Rohrbach",47.1352,7.8133,"village",1386,"CH","Bern","Oberaargau",""],["Stoob",47.5284,16.4776,"town",1386,"AT","Burgenland","Politischer Bezirk Oberpullendorf",""],["Alkoven",48.2875,14.1075,"town",1385,"AT","Upper Austria","Politischer Bezirk Eferding",""],["Hanaskog",56.1606,14.0931,"village",1385,"SE","Skåne","Östra Göinge Kommun",""],["Horitschon",47.5873,16.547,"town",1385,"AT","Burgenland","Politischer Bezirk Oberpullendorf",""],["Allentsteig",48.6972,15.3276,"town",1383,"AT","Lower Austria","Politischer Bezirk Zwettl",""],["Rydsgård",55.4729,13.5883,"village",1383,"SE","Skåne","Skurups Kommun",""],["Wahlen",47.4023,7.5151,"village",1383,"CH","Basel-Landschaft","Bezirk Laufen",""],["Wartberg an der Krems",47.9891,14.1186,"town",1382,"AT","Upper Austria","Politischer Bezirk Kirchdorf an der Krems",""],["Hüttwilen",47.6067,8.8734,"village",1381,"CH","Thurgau","Bezirk Frauenfeld",""],["Villigen",47.5268,8.2149,"village",1381,"CH","Aargau","Bezirk Brugg",""],["Anger",47.1559,13.1059,"suburb",1380,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Sankt Ulrich bei Steyr",48.0212,14.4368,"town",1379,"AT","Upper Austria","Politischer Bezirk Steyr-Land",""],["Bad Zell",48.3491,14.6694,"village",1378,"AT","Upper Austria","Politischer Bezirk Freistadt",""],["Odensbacken",59.1667,15.5333,"village",1378,"SE","Örebro","Örebro Kommun",""],["Neumarkt im Hausruckkreis",48.2728,13.7284,"village",1377,"AT","Upper Austria","Politischer Bezirk Grieskirchen",""],["Älmsta",59.9667,18.8,"village",1376,"SE","Stockholm","Norrtälje Kommun",""],["Zeiselmauer",48.3285,16.1757,"village",1376,"AT","Lower Austria","Politischer Bezirk Tulln",""],["Lyssach",47.0645,7.5823,"village",1375,"CH","Bern","Emmental District",""],["Veltheim",47.438,8.1472,"village",1374,"CH","Aargau","Bezirk Brugg",""],["Åneby",60.0893,10.87,"village",1373,"NO","Akershus","Nittedal",""],["Larkollen",59.332,10.6669,"village",1373,"NO","Østfold","Moss",""],["Nolvik",57.775,11.8333,"village",1373,"SE","Västra Götaland","Göteborgs stad",""],["Stöpen",58.478,13.8661,"village",1373,"SE","Västra Götaland","Skövde Kommun",""],["Hippach",47.2043,11.8652,"town",1371,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Sankt Andrä am Zicksee",47.7841,16.9419,"town",1371,"AT","Burgenland","Politischer Bezirk Neusiedl am See",""],["Reith bei Seefeld",47.3,11.2,"town",1370,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Altishofen",47.1992,7.9696,"village",1368,"CH","Lucerne","Willisau District",""],["Bad Radkersburg",46.6881,15.9881,"town",1368,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Hatting",47.2787,11.1684,"town",1368,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Mitterberghütten",47.4,13.2167,"village",1368,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Ried im Traunkreis",48.0258,14.0745,"village",1368,"AT","Upper Austria","Politischer Bezirk Kirchdorf an der Krems",""],["Brenderup",55.4841,9.9791,"village",1366,"DK","South Denmark","Middelfart Kommune",""],["Kremsdorf",48.2003,14.2625,"village",1364,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Niederstraß",48.014,13.7296,"suburb",1363,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Schwanberg",46.7583,15.2083,"town",1363,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Grächen",46.1953,7.8374,"village",1362,"CH","Valais","Visp District",""],["Gries am Brenner",47.0385,11.4813,"town",1361,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Skotterud",59.9828,12.1282,"town",1361,"NO","Innlandet","Eidskog",""],["Uttendorf",48.1589,13.1218,"village",1361,"AT","Upper Austria","Politischer Bezirk Braunau am Inn",""],["Dalvík",65.9702,-18.5286,"village",1359,"IS","Northeast","Dalvíkurbyggð",""],["Rufling",48.2784,14.2167,"village",1359,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Sankt Magdalen",46.6167,13.8833,"village",1358,"AT","Carinthia","Villach Stadt",""],["Savukoski",67.2925,28.1581,"town",1357,"FI","Lapland","Itä-Lappi",""],["Stetten",48.3667,16.3833,"town",1357,"AT","Lower Austria","Politischer Bezirk Korneuburg",""],["Timmernabben",56.9667,16.4333,"village",1357,"SE","Kalmar","Mönsterås Kommun",""],["Herre",59.1035,9.5619,"village",1356,"NO","Telemark","Bamble",""],["Jussy",46.2359,6.267,"village",1356,"CH","Geneva","Geneva",""],["Hirschegg",47.3481,10.1714,"village",1354,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Lembach im Mühlkreis",48.4952,13.8951,"village",1354,"AT","Upper Austria","Politischer Bezirk Rohrbach",""],["Seeham",47.9675,13.077,"town",1354,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Karlstetten",48.2592,15.5654,"town",1353,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Paudex",46.5055,6.6682,"village",1352,"CH","Vaud","Lavaux-Oron District",""],["Sankt Stephan",46.5083,7.3956,"village",1352,"CH","Bern","Obersimmental-Saanen District",""],["Cadempino",46.0367,8.934,"village",1351,"CH","Ticino","Lugano District",""],["Langenstein",48.252,14.4765,"village",1351,"AT","Upper Austria","Politischer Bezirk Perg",""],["Oripää",60.85,22.6833,"town",1351,"FI","Southwest Finland","Loimaa",""],["Treyvaux",46.728,7.1377,"village",1349,"CH","Fribourg","Sarine District",""],["Viechtwang",47.9153,13.9634,"village",1349,"AT","Upper Austria","Politischer Bezirk Gmunden",""],["Bockfließ",48.36,16.6039,"town",1348,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Hallwang",47.85,13.0833,"town",1348,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Målilla",57.3877,15.8067,"village",1348,"SE","Kalmar","Hultsfreds Kommun",""],["Åmotfors",59.7619,12.3621,"village",1347,"SE","Värmland","Eda kommun",""],["Schwarzau am Steinfeld",47.7318,16.1709,"village",1345,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Ågotnes",60.4031,5.0193,"village",1344,"NO","Vestland","Øygarden",""],["Breíl",46.7699,9.0604,"village",1344,"CH","Grisons","Region Surselva",""],["Péry",47.194,7.2491,"village",1342,"CH","Bern","Bernese Jura",""],["Sankt Aegyd am Neuwalde",47.8538,15.5697,"village",1341,"AT","Lower Austria","Politischer Bezirk Lilienfeld",""],["Medraz",47.1426,11.3429,"village",1340,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Ladendorf",48.5333,16.4833,"town",1339,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Pinggau",47.4423,16.0671,"town",1338,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Rodersdorf",47.4808,7.4577,"village",1338,"CH","Solothurn","Bezirk Dorneck",""],["Sankt Georgen am Ybbsfelde",48.1289,14.9536,"town",1338,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Steinfeld",46.7581,13.2493,"town",1337,"AT","Carinthia","Politischer Bezirk Spittal an der Drau",""],["Waldenburg",47.3833,7.75,"town",1337,"CH","Basel-Landschaft","Bezirk Waldenburg",""],["Güttingen",47.6035,9.2874,"village",1336,"CH","Thurgau","Bezirk Kreuzlingen",""],["Strass",48.4667,15.7333,"village",1336,"AT","Lower Austria","Politischer Bezirk Krems",""],["Svärdsjö",60.7402,15.9017,"village",1335,"SE","Dalarna","Falu kommun",""],["Au",47.7,13.0667,"village",1334,"AT","Salzburg","Politischer Bezirk Hallein",""],["Lannach",46.9461,15.3372,"town",1334,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Ebenthal",46.6081,14.3642,"village",1333,"AT","Carinthia","Politischer Bezirk Klagenfurt Land",""],["Müntschemier",46.9955,7.1463,"village",1333,"CH","Bern","Seeland District",""],["Oberglatt / Bahnhofquartier",47.4714,8.5129,"suburb",1333,"CH","Zurich","Bezirk Dielsdorf",""],["Ramnäs",59.7667,16.2,"village",1333,"SE","Västmanland","Surahammars Kommun",""],["Sellrain",47.2167,11.2167,"town",1333,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Gattendorf",48.0167,16.9833,"town",1332,"AT","Burgenland","Politischer Bezirk Neusiedl am See",""],["Hérémence",46.1803,7.4048,"village",1331,"CH","Valais","Hérens District",""],["Dardagny",46.1956,5.995,"village",1329,"CH","Geneva","Geneva",""],["Andelfingen",47.5945,8.6783,"town",1328,"CH","Zurich","Bezirk Andelfingen",""],["Court",47.2396,7.3365,"village",1328,"CH","Bern","Bernese Jura",""],["Degeberga",55.8333,14.0833,"village",1328,"SE","Skåne","Kristianstads kommun",""],["Diseröd",57.9264,12.026,"village",1328,"SE","Västra Götaland","Kungälvs Kommun",""],["Virojoki",60.5794,27.7035,"village",1328,"FI","Kymenlaakso","Kotka-Hamina",""],["Hestra",57.4423,13.5958,"village",1327,"SE","Jönköping","Gislaveds Kommun",""],["Schinznach Bad",47.4499,8.1683,"village",1327,"CH","Aargau","Bezirk Brugg",""],["Avry-sur-Matran",46.7875,7.0674,"village",1326,"CH","Fribourg","Sarine District",""],["Hestra",57.9167,14.5833,"village",1326,"SE","Jönköping","Aneby Kommun",""],["Merijärvi",64.3,24.45,"town",1326,"FI","North Ostrobothnia","Ylivieska",""],["Saari",61.65,29.75,"village",1326,"FI","","",""],["Sâles",46.6347,6.9734,"village",1326,"CH","Fribourg","Gruyère District",""],["Sturkö",56.0833,15.7,"village",1325,"SE","Blekinge","Karlskrona Kommun",""],["Brunn an der Schneebergbahn",47.8238,16.1593,"village",1324,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Styrsö",57.6164,11.7856,"village",1324,"SE","Västra Götaland","Göteborgs stad",""],["Begnins",46.4415,6.2476,"village",1323,"CH","Vaud","Nyon District",""],["Hinterleiten",48.1651,15.9665,"village",1323,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Winklarn",48.0913,14.8482,"town",1323,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Gantofta",55.9873,12.8048,"village",1322,"SE","Skåne","Helsingborg",""],["Åsbro",59,15.05,"village",1321,"SE","Örebro","Askersunds Kommun",""],["Hadlikon",47.2875,8.8572,"village",1321,"CH","Zurich","Bezirk Hinwil",""],["Seeberg",47.1559,7.6657,"village",1321,"CH","Bern","Oberaargau",""],["Vorau",47.4055,15.8875,"town",1321,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Langenrohr",48.3049,16.0103,"town",1320,"AT","Lower Austria","Politischer Bezirk Tulln",""],["Mjällby",56.05,14.6833,"village",1319,"SE","Blekinge","Sölvesborgs kommun",""],["Västra Hagen",57.4244,11.9358,"village",1319,"SE","Halland","Kungsbacka Kommun",""],["Mühlbach am Hochkönig",47.3775,13.1293,"town",1318,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Oberhelfenschwil",47.3567,9.1108,"village",1318,"CH","Saint Gallen","Wahlkreis Toggenburg",""],["Gmünd",46.9072,13.5294,"village",1317,"AT","Carinthia","Politischer Bezirk Spittal an der Drau",""],["Obsteig",47.3,10.9333,"town",1316,"AT","Tyrol","Politischer Bezirk Imst",""],["Ramsen",47.708,8.8095,"village",1316,"CH","Schaffhausen","Bezirk Stein",""],["Sankt Lambrecht",47.0667,14.3,"town",1316,"AT","Styria","Politischer Bezirk Murau",""],["Linden",46.8469,7.6783,"village",1315,"CH","Bern","Bern-Mittelland District",""],["Perroy",46.4669,6.3535,"village",1315,"CH","Vaud","Nyon District",""],["Vester-Skerninge",55.0732,10.4554,"village",1315,"DK","South Denmark","Svendborg Kommune",""],["Winden am See",47.95,16.75,"town",1315,"AT","Burgenland","Politischer Bezirk Neusiedl am See",""],["Aristau",47.2869,8.3636,"village",1313,"CH","Aargau","Bezirk Muri",""],["Bäretswil",47.3371,8.8565,"village",1313,"CH","Zurich","Bezirk Hinwil",""],["Gaspoltshofen",48.1432,13.7364,"village",1313,"AT","Upper Austria","Politischer Bezirk Grieskirchen",""],["Kaltenbach",47.2833,11.8667,"town",1313,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Schönenbuch",47.5385,7.5057,"village",1313,"CH","Basel-Landschaft","Bezirk Arlesheim",""],["Dietikon / Guggenbühl",47.4001,8.4082,"suburb",1312,"CH","Zurich","Bezirk Dietikon",""],["Grafenwörth",48.4079,15.7783,"town",1312,"AT","Lower Austria","Politischer Bezirk Tulln",""],["Bellmund",47.1085,7.2461,"village",1311,"CH","Bern","Biel/Bienne District",""],["Petzenkirchen",48.1469,15.1547,"town",1311,"AT","Lower Austria","Politischer Bezirk Melk",""],["Ferenbalm",46.9488,7.2112,"village",1310,"CH","Bern","Bern-Mittelland District",""],["Suomusjärvi",60.35,23.65,"town",1310,"FI","Southwest Finland","Salo",""],["Näsum",56.1769,14.4971,"village",1307,"SE","Skåne","Bromölla Kommun",""],["Tomter",59.6591,10.9949,"village",1307,"NO","Østfold","Indre Østfold",""],["Ried in der Riedmark",48.2711,14.528,"town",1306,"AT","Upper Austria","Politischer Bezirk Perg",""],["Hagavik",60.1808,5.4015,"village",1305,"NO","Vestland","Bjørnafjorden",""],["Täfteå",63.8397,20.4786,"village",1305,"SE","Västerbotten","Umeå Kommun",""],["Boncourt",47.4949,7.013,"village",1304,"CH","Jura","Porrentruy District",""],["Persenbeug",48.1873,15.0881,"village",1303,"AT","Lower Austria","Politischer Bezirk Melk",""],["Örsundsbro",59.7333,17.3,"village",1302,"SE","Uppsala","Enköpings Kommun",""],["Uerkheim",47.3035,8.0232,"village",1302,"CH","Aargau","Bezirk Zofingen",""],["Mellau",47.3503,9.8815,"village",1301,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Auttoinen",61.299,25.0889,"village",1300,"FI","Paijat-Hame","Lahti",""],["Eching",47.9726,12.8879,"village",1300,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Waizenkirchen",48.3302,13.8575,"town",1298,"AT","Upper Austria","Politischer Bezirk Grieskirchen",""],["Zürich (Kreis 1) / Lindenhof",47.3719,8.5404,"suburb",1298,"CH","Zurich","Bezirk Zürich",""],["Smygehamn",55.3434,13.3699,"village",1297,"SE","Skåne","Trelleborgs Kommun",""],["Kleinlützel",47.4252,7.4161,"village",1296,"CH","Solothurn","Bezirk Thierstein",""],["Hof",47.35,13.3167,"village",1295,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Velm",48.0333,16.4333,"village",1295,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Mittertreffling",48.3387,14.3651,"village",1293,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Salmsach",47.5543,9.3723,"village",1293,"CH","Thurgau","Bezirk Arbon",""],["Siikajoki",64.8145,24.7592,"town",1293,"FI","North Ostrobothnia","Raahe",""],["Bergsjö",61.9825,17.0637,"town",1292,"SE","Gävleborg","Nordanstigs kommun",""],["Obergäu",47.5896,13.1762,"village",1292,"AT","Salzburg","Politischer Bezirk Hallein",""],["Smögen",58.3559,11.2241,"village",1292,"SE","Västra Götaland","Sotenäs Kommun",""],["Mörtnäs",59.3186,18.4431,"village",1291,"SE","Stockholm","Värmdö Kommun",""],["Malvaglia",46.4059,8.9819,"village",1290,"CH","Ticino","Blenio District",""],["Fontenais",47.4029,7.0811,"village",1289,"CH","Jura","Porrentruy District",""],["Katsdorf",48.3179,14.4743,"village",1289,"AT","Upper Austria","Politischer Bezirk Perg",""],["Reftele",57.1747,13.595,"village",1289,"SE","Jönköping","Gislaveds Kommun",""],["Leibstadt",47.5879,8.1761,"village",1287,"CH","Aargau","Bezirk Zurzach",""],["Markt Allhau",47.2833,16.0833,"town",1287,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Scharnstein",47.9043,13.9613,"village",1287,"AT","Upper Austria","Politischer Bezirk Gmunden",""],["Döbriach",46.7805,13.6574,"village",1285,"AT","Carinthia","Politischer Bezirk Spittal an der Drau",""],["Flaurling",47.2914,11.1232,"town",1285,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Skreia",60.6526,10.9356,"village",1285,"NO","Innlandet","Østre Toten",""],["Baumkirchen",47.3,11.5667,"town",1284,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Berndorf bei Salzburg",47.9953,13.0615,"town",1284,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Dübendorf / Kunklerstrasse",47.4011,8.6272,"suburb",1284,"CH","Zurich","Bezirk Uster",""],["Stadl-Hausruck",48.0825,13.8521,"village",1284,"AT","Upper Austria","Wels-Land",""],["Adliswil / Sonnenberg",47.3096,8.5206,"suburb",1283,"CH","Zurich","Bezirk Horgen",""],["Matzendorf",47.3037,7.6282,"village",1282,"CH","Solothurn","Bezirk Thal",""],["Winzendorf",47.8115,16.113,"village",1282,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Frauenkappelen",46.9543,7.3384,"village",1281,"CH","Bern","Bern-Mittelland District",""],["Dietachdorf",48.0836,14.4287,"village",1280,"AT","Upper Austria","Politischer Bezirk Steyr-Land",""],["Fitjar",59.918,5.3167,"town",1280,"NO","Vestland","Fitjar",""],["Ried im Zillertal",47.3,11.8667,"town",1280,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Weißkirchen in Steiermark",47.15,14.7333,"town",1279,"AT","Styria","Politischer Bezirk Murtal",""],["Kvänum",58.3,13.1833,"village",1278,"SE","Västra Götaland","Vara Kommun",""],["Les Ponts-de-Martel",46.9973,6.7306,"village",1278,"CH","Neuchâtel","Le Locle District",""],["Schachen",47.3242,8.4725,"village",1278,"CH","Zurich","Bezirk Affoltern",""],["Kirchberg am Wagram",48.4318,15.8969,"town",1277,"AT","Lower Austria","Politischer Bezirk Tulln",""],["Les Breuleux",47.211,7.0079,"village",1277,"CH","Jura","Franches-Montagnes District",""],["Neutillmitsch",46.8167,15.5333,"village",1277,"AT","Styria","Politischer Bezirk Leibnitz",""],["Opfikon",47.4317,8.5759,"village",1277,"CH","Zurich","Bezirk Bülach",""],["Trins",47.0833,11.4167,"town",1277,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Reichenau an der Rax",47.6951,15.8457,"town",1276,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Siljansnäs",60.7833,14.85,"village",1274,"SE","Dalarna","Leksands kommun",""],["Suodenniemi",61.5581,22.7853,"village",1274,"FI","Pirkanmaa","Lounais-Pirkanmaa",""],["Ärla",59.2798,16.679,"village",1272,"SE","Södermanland","Eskilstuna Kommun",""],["Mjällby",56.6833,12.7667,"village",1272,"SE","Halland","Halmstads Kommun",""],["Hohenweiler",47.5833,9.7833,"town",1271,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Kirchberg an der Pielach",48.0269,15.4288,"town",1271,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Königswiesen",48.4045,14.8382,"village",1271,"AT","Upper Austria","Politischer Bezirk Freistadt",""],["Läufelfingen",47.3946,7.8558,"village",1271,"CH","Basel-Landschaft","Bezirk Sissach",""],["Oberengstringen / Zentrum",47.4071,8.4628,"suburb",1271,"CH","Zurich","Bezirk Dietikon",""],["Sankt Andrä",46.7683,14.8199,"town",1271,"AT","Carinthia","Politischer Bezirk Wolfsberg",""],["Spitz",48.3656,15.4142,"town",1270,"AT","Lower Austria","Politischer Bezirk Krems",""],["Oberrüti",47.1667,8.3944,"village",1268,"CH","Aargau","Bezirk Muri",""],["Hofkirchen im Traunkreis",48.1431,14.3778,"village",1266,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Strai",58.1893,7.9283,"village",1266,"NO","Agder","Kristiansand",""],["Urdorf / Moos",47.3898,8.4289,"suburb",1266,"CH","Zurich","Bezirk Dietikon",""],["Mühlethurnen",46.8135,7.5088,"village",1265,"CH","Bern","Bern-Mittelland District",""],["See",47.0833,10.4667,"town",1265,"AT","Tyrol","Politischer Bezirk Landeck",""],["Bor",57.1167,14.1667,"village",1263,"SE","Jönköping","Värnamo Kommun",""],["Stinatz",47.2027,16.1331,"town",1263,"AT","Burgenland","Politischer Bezirk Güssing",""],["Unterlunkhofen",47.3212,8.381,"town",1263,"CH","Aargau","Bezirk Bremgarten",""],["Affoltern / Sonnenberg",47.2805,8.4601,"suburb",1262,"CH","Zurich","Bezirk Affoltern",""],["Mesocco",46.3939,9.2333,"village",1262,"CH","Grisons","Region Moesa",""],["Vorderthiersee",47.5833,12.1,"village",1262,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Mauterndorf",47.1345,13.6788,"town",1261,"AT","Salzburg","Politischer Bezirk Tamsweg",""],["Ried im Oberinntal",47.05,10.65,"town",1261,"AT","Tyrol","Politischer Bezirk Landeck",""],["Eichberg",47.3437,9.5314,"village",1260,"CH","Saint Gallen","Wahlkreis Rheintal",""],["Roknäs",65.35,21.2,"village",1259,"SE","Norrbotten","Piteå Kommun",""],["Andermatt",46.6356,8.5939,"village",1258,"CH","Uri","Uri",""],["Skivarp",55.4167,13.5667,"village",1258,"SE","Skåne","Skurups Kommun",""],["Vigeland",58.0844,7.305,"town",1258,"NO","Agder","Lindesnes",""],["Rhäzüns",46.7989,9.3976,"village",1257,"CH","Grisons","Region Imboden",""],["Sattledt",48.0737,14.0548,"town",1255,"AT","Upper Austria","Wels-Land",""],["Savonranta",62.1833,29.2,"town",1255,"FI","South Savo","Savonlinna",""],["Straßburg-Stadt",46.8944,14.3286,"town",1255,"AT","Carinthia","Politischer Bezirk Sankt Veit an der Glan",""],["Thalwil / Süd",47.285,8.5695,"suburb",1255,"CH","Zurich","Bezirk Horgen",""],["Hochwald",47.4539,7.6446,"village",1254,"CH","Solothurn","Bezirk Dorneck",""],["Hova",58.8536,14.2191,"town",1254,"SE","Västra Götaland","Gullspångs Kommun",""],["Köpingebro",55.4553,13.9345,"village",1254,"SE","Skåne","Ystads Kommun",""],["Mariazell",47.7731,15.3164,"town",1254,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Ertl",47.977,14.6313,"town",1252,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Kirkenær",60.4579,12.0586,"town",1252,"NO","Innlandet","Grue",""],["Laax",46.8045,9.2579,"village",1252,"CH","Grisons","Region Surselva",""],["Wädenswil / Eichweid",47.2185,8.6744,"suburb",1252,"CH","Zurich","Bezirk Horgen",""],["Löberöd",55.7761,13.5241,"village",1251,"SE","Skåne","Höörs Kommun",""],["Sumiainen",62.6574,26.0464,"village",1251,"FI","Central Finland","Äänekoski",""],["Wyssachen",47.0785,7.8292,"village",1251,"CH","Bern","Oberaargau",""],["Au / Unter-Dorf",47.2473,8.6327,"suburb",1249,"CH","Zurich","Bezirk Horgen",""],["Kiikoinen",61.4539,22.577,"village",1248,"FI","Pirkanmaa","Lounais-Pirkanmaa",""],["Norra Åsum",55.9833,14.15,"village",1248,"SE","Skåne","Kristianstads kommun",""],["Sieggraben",47.6513,16.3799,"town",1248,"AT","Burgenland","Politischer Bezirk Mattersburg",""],["Neudau",47.1755,16.1018,"town",1246,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Groß-Schweinbarth",48.4147,16.6319,"town",1245,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Petronell-Carnuntum",48.113,16.8658,"town",1245,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Torup",56.9566,13.0772,"village",1245,"SE","Halland","Hylte Kommun",""],["Sulz",47.5395,8.7889,"village",1244,"CH","Zurich","Bezirk Winterthur",""],["Vitis",48.7596,15.1826,"town",1244,"AT","Lower Austria","Politischer Bezirk Waidhofen an der Thaya",""],["Grüsch",46.9796,9.6464,"village",1243,"CH","Grisons","Region Prättigau / Davos",""],["Hemnesberget",66.2249,13.6164,"village",1243,"NO","Nordland","Hemnes",""],["Oberpremstätten",46.9744,15.4044,"village",1243,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Oslip",47.8291,16.6196,"town",1243,"AT","Burgenland","Eisenstadt-Umgebung",""],["Trun",46.7429,8.9872,"village",1243,"CH","Grisons","Region Surselva",""],["Celerina",46.5122,9.8579,"village",1241,"CH","Grisons","Region Maloja",""],["Schlieren / Boden",47.3972,8.4573,"suburb",1241,"CH","Zurich","Bezirk Dietikon",""],["Pinsdorf",47.9298,13.7707,"village",1240,"AT","Upper Austria","Politischer Bezirk Gmunden",""],["Salgesch",46.3115,7.5712,"village",1240,"CH","Valais","Leuk District",""],["Zillingdorf",47.85,16.3333,"town",1239,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Bad Pirawarth",48.4519,16.5983,"town",1238,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Barkåker",59.3186,10.3896,"village",1238,"NO","Vestfold","Tønsberg",""],["Björneborg",59.2412,14.2494,"village",1237,"SE","Värmland","Kristinehamns Kommun",""],["Niederschöckl",47.15,15.5,"village",1237,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Plainfeld",47.8333,13.1833,"town",1237,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Ortgraben",47.45,16.05,"village",1236,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Ankarsrum",57.699,16.3341,"village",1234,"SE","Kalmar","Västerviks Kommun",""],["Höflein",48.0667,16.7833,"village",1234,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Ischgl",47.0126,10.2918,"town",1233,"AT","Tyrol","Politischer Bezirk Landeck",""],["Travers",46.9402,6.676,"village",1233,"CH","Neuchâtel","Val-de-Travers District",""],["Emmetten",46.9566,8.5147,"town",1232,"CH","Nidwalden","Nidwalden",""],["Stalden",46.2334,7.8727,"village",1232,"CH","Valais","Visp District",""],["Sankt Ruprecht an der Raab",47.1534,15.6626,"town",1231,"AT","Styria","Politischer Bezirk Weiz",""],["Stallhofen",47.05,15.2167,"town",1231,"AT","Styria","Politischer Bezirk Voitsberg",""],["Weissenbach am Lech",47.4416,10.6407,"village",1231,"AT","Tyrol","Politischer Bezirk Reutte",""],["Malm",64.0753,11.224,"town",1230,"NO","Trøndelag","Steinkjer",""],["Pichl",47.2833,12.85,"village",1230,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Berg",58.4883,15.5297,"village",1229,"SE","Östergötland","Linköpings Kommun",""],["Kilb",48.101,15.4085,"town",1229,"AT","Lower Austria","Politischer Bezirk Melk",""],["Loipersbach im Burgenland",47.6966,16.4792,"town",1229,"AT","Burgenland","Politischer Bezirk Mattersburg",""],["Großlobming",47.1833,14.8,"town",1228,"AT","Styria","Politischer Bezirk Murtal",""],["Zell an der Pram",48.3162,13.6292,"town",1228,"AT","Upper Austria","Politischer Bezirk Schärding",""],["Laussa",47.95,14.45,"town",1227,"AT","Upper Austria","Politischer Bezirk Steyr-Land",""],["Wülflingen (Kreis 6) / Niederfeld",47.509,8.6797,"suburb",1227,"CH","Zurich","Bezirk Winterthur",""],["Annelund",57.9884,13.0748,"village",1226,"SE","Västra Götaland","Herrljunga Kommun",""],["Dorf",47.239,8.7357,"village",1226,"CH","Zurich","Bezirk Meilen",""],["Angerberg",47.5056,12.0312,"village",1225,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Praroman",46.7514,7.1778,"village",1223,"CH","Fribourg","Sarine District",""],["Finkenberg",47.1528,11.8221,"village",1221,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Flurlingen",47.6839,8.6299,"village",1221,"CH","Zurich","Bezirk Andelfingen",""],["Pelkosenniemi",67.1108,27.5106,"town",1221,"FI","Lapland","Itä-Lappi",""],["Töcksfors",59.5082,11.8443,"village",1221,"SE","Värmland","Årjängs Kommun",""],["Wildhaus",47.2058,9.354,"village",1221,"CH","Saint Gallen","Wahlkreis Toggenburg",""],["Bjerkvik",68.5492,17.5571,"village",1220,"NO","Nordland","Narvik",""],["Mühlehalde",47.2831,8.5339,"village",1220,"CH","Zurich","Bezirk Horgen",""],["Mötz",47.2833,10.95,"town",1219,"AT","Tyrol","Politischer Bezirk Imst",""],["Dietikon / Schönenwerd",47.3971,8.4258,"suburb",1218,"CH","Zurich","Bezirk Dietikon",""],["Radelfingen",47.0215,7.2718,"village",1218,"CH","Bern","Seeland District",""],["Wikon",47.2634,7.968,"village",1218,"CH","Lucerne","Willisau District",""],["Häggenschwil",47.4946,9.3449,"village",1216,"CH","Saint Gallen","Wahlkreis St. Gallen",""],["Richterswil / Dorfkern",47.2071,8.7061,"suburb",1216,"CH","Zurich","Bezirk Horgen",""],["Prestestranda",59.0977,9.0587,"town",1215,"NO","Telemark","Drangedal",""],["Sulz",47.536,8.0963,"village",1215,"CH","Aargau","Bezirk Laufenburg",""],["Bergern",48.1675,14.1115,"village",1214,"AT","Upper Austria","Wels-Land",""],["Churwalden",46.7814,9.5438,"village",1214,"CH","Grisons","Region Plessur",""],["Rosenau am Sonntagberg",48.0078,14.7393,"village",1213,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Strengen",47.1259,10.462,"town",1213,"AT","Tyrol","Politischer Bezirk Landeck",""],["Schlieren / Freiestrasse",47.396,8.442,"suburb",1212,"CH","Zurich","Bezirk Dietikon",""],["Knäred",56.5186,13.3242,"village",1211,"SE","Halland","Laholms Kommun",""],["Krottendorf bei Ligist",47.0167,15.2167,"village",1211,"AT","Styria","Politischer Bezirk Voitsberg",""],["Nesna",66.1982,13.0184,"town",1211,"NO","Nordland","Nesna",""],["Liesberg",47.404,7.4279,"village",1210,"CH","Basel-Landschaft","Bezirk Laufen",""],["Sätila",57.5417,12.4343,"village",1210,"SE","Västra Götaland","Marks Kommun",""],["Palézieux",46.5419,6.8399,"village",1209,"CH","Vaud","Lavaux-Oron District",""],["Zuoz",46.6021,9.9596,"village",1209,"CH","Grisons","Region Maloja",""],["Launsdorf",46.7706,14.4519,"village",1207,"AT","Carinthia","Politischer Bezirk Sankt Veit an der Glan",""],["Neumarkt an der Ybbs",48.141,15.0576,"town",1207,"AT","Lower Austria","Politischer Bezirk Melk",""],["Sankt Peterzell",47.3178,9.176,"village",1207,"CH","Saint Gallen","Wahlkreis Toggenburg",""],["Schlieren / Zentrum",47.3978,8.4477,"suburb",1207,"CH","Zurich","Bezirk Dietikon",""],["Strövelstorp",56.1698,12.8392,"village",1207,"SE","Skåne","Ängelholms Kommun",""],["Långvik",59.2458,18.5167,"village",1206,"SE","Stockholm","Värmdö Kommun",""],["Wartberg ob der Aist",48.3479,14.508,"town",1206,"AT","Upper Austria","Politischer Bezirk Freistadt",""],["Glomfjord",66.8166,13.944,"village",1204,"NO","Nordland","Meløy",""],["Pama",48.05,17.0333,"town",1204,"AT","Burgenland","Politischer Bezirk Neusiedl am See",""],["Deutsch Kaltenbrunn",47.0945,16.1315,"town",1203,"AT","","",""],["Esslingen",47.2833,8.7104,"village",1203,"CH","Zurich","Bezirk Uster",""],["Gries",46.8316,14.851,"village",1203,"AT","Carinthia","Politischer Bezirk Wolfsberg",""],["Horred",57.3548,12.4778,"village",1203,"SE","Västra Götaland","Marks Kommun",""],["Varen",46.3186,7.6074,"village",1203,"CH","Valais","Leuk District",""],["Cugnasco",46.1747,8.9168,"village",1202,"CH","Ticino","Locarno District",""],["Utschtal",47.4,15.2,"village",1202,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Apples",46.5524,6.4289,"town",1201,"CH","Vaud","Morges District",""],["Bredbyn",63.4466,18.1102,"village",1200,"SE","Västernorrland","Örnsköldsviks Kommun",""],["Höfen",47.4667,10.6833,"town",1200,"AT","Tyrol","Politischer Bezirk Reutte",""],["Nolby",62.2875,17.3692,"village",1200,"SE","Västernorrland","Sundsvalls Kommun",""],["Oehling",48.1,14.8,"village",1200,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Drassburg",47.7465,16.4868,"village",1199,"AT","Burgenland","Politischer Bezirk Mattersburg",""],["Gagnef",60.5986,15.0775,"town",1199,"SE","Dalarna","Gagnefs Kommun",""],["Glovelier",47.3353,7.2056,"village",1199,"CH","Jura","Delémont District",""],["Gnarp",62.0487,17.2586,"village",1199,"SE","Gävleborg","Nordanstigs kommun",""],["Hölö",59.2833,18.6667,"village",1199,"SE","Stockholm","Värmdö Kommun",""],["Mauensee",47.167,8.0679,"village",1199,"CH","Lucerne","Sursee District",""],["Nuijamaa",60.9601,28.551,"village",1199,"FI","South Karelia","Lappeenranta",""],["Rohrbach an der Gölsen",48.047,15.7417,"town",1199,"AT","Lower Austria","Politischer Bezirk Lilienfeld",""],["Meinisberg",47.1596,7.348,"village",1198,"CH","Bern","Biel/Bienne District",""],["Oron-la-Ville",46.5709,6.8256,"village",1198,"CH","Vaud","Lavaux-Oron District",""],["Kilafors",61.2333,16.5667,"village",1197,"SE","Gävleborg","Bollnäs Kommun",""],["Hochfilzen",47.4667,12.6167,"town",1196,"AT","Tyrol","Politischer Bezirk Kitzbühel",""],["Taugl",47.6475,13.2028,"village",1196,"AT","Salzburg","Politischer Bezirk Hallein",""],["Dörfl",48.0125,13.6547,"suburb",1195,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Hart",48.1532,15.6157,"village",1194,"AT","Lower Austria","Sankt Pölten Stadt",""],["Köpmanholmen",63.1667,18.5667,"village",1194,"SE","Västernorrland","Örnsköldsviks Kommun",""],["Karlholmsbruk",60.5209,17.6315,"village",1193,"SE","Uppsala","Tierps kommun",""],["Leithaprodersdorf",47.9335,16.4792,"town",1193,"AT","Burgenland","Eisenstadt-Umgebung",""],["Vikarbyn",60.9167,15.0167,"village",1193,"SE","Dalarna","Rättviks Kommun",""],["Ilz",47.0865,15.9268,"town",1192,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Champéry",46.1754,6.869,"village",1191,"CH","Valais","Monthey District",""],["Eggendorf",48.1313,15.6196,"village",1191,"AT","Lower Austria","Sankt Pölten Stadt",""],["Stehag",55.9019,13.3958,"village",1191,"SE","Skåne","Eslövs Kommun",""],["Lumino",46.2302,9.0642,"village",1190,"CH","Ticino","Bellinzona District",""],["Schachen bei Vorau",47.3801,15.8582,"village",1190,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Siglufjörður",66.152,-18.9081,"village",1190,"IS","Northeast","Fjallabyggð",""],["Bettingen",47.5704,7.6643,"village",1189,"CH","Basel-City","Basel-Stadt",""],["Abtenau",47.5637,13.346,"town",1188,"AT","Salzburg","Politischer Bezirk Hallein",""],["Arzo",45.8761,8.941,"village",1188,"CH","Ticino","Mendrisio District",""],["Beatenberg",46.699,7.7943,"village",1188,"CH","Bern","Interlaken-Oberhasli District",""],["Gutenswil",47.3839,8.7176,"suburb",1188,"CH","Zurich","Bezirk Uster",""],["Mariahof",47.1,14.4,"town",1188,"AT","Styria","Politischer Bezirk Murau",""],["Våler",60.6712,11.8348,"town",1188,"NO","Innlandet","Våler",""],["Ampflwang",48.0833,13.5667,"town",1187,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Dürrenäsch",47.3209,8.1587,"village",1187,"CH","Aargau","Bezirk Lenzburg",""],["Hof",47.8667,13.3167,"village",1187,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Himmelreich",47.8,12.9833,"village",1186,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Tadten",47.7667,16.9833,"town",1186,"AT","Burgenland","Politischer Bezirk Neusiedl am See",""],["Buttwil",47.2683,8.3106,"village",1185,"CH","Aargau","Bezirk Muri",""],["Greinsfurth",48.1085,14.8439,"village",1185,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Lofer",47.5847,12.6933,"town",1185,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Seljord",59.4848,8.6302,"town",1185,"NO","Telemark","Seljord",""],["Mautern in Steiermark",47.4,14.8333,"town",1184,"AT","Styria","Politischer Bezirk Leoben",""],["Seen (Kreis 3) / Waldegg",47.4839,8.7559,"suburb",1184,"CH","Zurich","Bezirk Winterthur",""],["Sigless",47.7753,16.395,"village",1183,"AT","Burgenland","Politischer Bezirk Mattersburg",""],["Altlichtenberg",48.36,14.2584,"village",1182,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Koppang",61.5722,11.0466,"town",1182,"NO","Innlandet","Stor-Elvdal",""],["Neubau",48.219,14.193,"village",1182,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Batschuns",47.2764,9.6717,"village",1181,"AT","Vorarlberg","Politischer Bezirk Feldkirch",""],["Litzelsdorf",47.2083,16.1717,"town",1181,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Marieberg",60.2333,18.5,"village",1181,"SE","Uppsala","Östhammars Kommun",""],["Orvin",47.1607,7.2137,"village",1181,"CH","Bern","Bernese Jura",""],["Brunn",59.28,18.43,"village",1180,"SE","Stockholm","Värmdö Kommun",""],["Haag (Rheintal)",47.2099,9.4893,"village",1180,"CH","Saint Gallen","Wahlkreis Werdenberg",""],["Pyhra",48.1591,15.6862,"town",1179,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Thundorf",47.5459,8.9636,"village",1179,"CH","Thurgau","Bezirk Frauenfeld",""],["Welschenrohr",47.2805,7.5266,"village",1179,"CH","Solothurn","Bezirk Thal",""],["Gumböle",60.2195,24.6168,"village",1178,"FI","Uusimaa","Helsinki sub-region",""],["Muckendorf an der Donau",48.3318,16.1554,"village",1178,"AT","Lower Austria","Politischer Bezirk Tulln",""],["Nänikon / Nänikon (Dorfkern)",47.371,8.6925,"suburb",1178,"CH","Zurich","Bezirk Uster",""],["Neu-Feffernitz",46.6877,13.6791,"village",1178,"AT","Carinthia","Politischer Bezirk Villach Land",""],["Göttelsberg",47.2167,15.6,"village",1177,"AT","Styria","Politischer Bezirk Weiz",""],["Leirsund",59.9968,11.0875,"village",1177,"NO","Akershus","Lillestrøm",""],["Diesseits",48.2922,13.4355,"village",1176,"AT","Upper Austria","Politischer Bezirk Ried im Innkreis",""],["Grosssulz",46.9456,15.4903,"village",1176,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Möllbrücke",46.8364,13.3728,"village",1176,"AT","Carinthia","Politischer Bezirk Spittal an der Drau",""],["Männedorf / Ausserfeld",47.2464,8.7061,"suburb",1175,"CH","Zurich","Bezirk Meilen",""],["Sorsele",65.5348,17.537,"town",1175,"SE","Västerbotten","Sorsele kommun",""],["Pill",47.3235,11.6802,"town",1174,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Saxtorpsskogen",55.8321,12.9443,"village",1174,"SE","Skåne","Landskrona",""],["Tärnsjö",60.15,16.9333,"village",1174,"SE","Uppsala","Heby kommun",""],["Gugging",48.3139,16.2485,"village",1173,"AT","Lower Austria","Politischer Bezirk Tulln",""],["Svelgen",61.7698,5.2954,"town",1173,"NO","Vestland","Bremanger",""],["Albersdorf",47.1217,15.6983,"village",1172,"AT","Styria","Politischer Bezirk Weiz",""],["Klingenbach",47.752,16.5407,"town",1172,"AT","Burgenland","Eisenstadt-Umgebung",""],["Bergham",48.2818,14.2314,"village",1171,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Sammatti",60.3199,23.8209,"village",1171,"FI","Uusimaa","Helsinki sub-region",""],["Syfteland",60.238,5.4528,"village",1170,"NO","Vestland","Bjørnafjorden",""],["Les Brenets",47.0677,6.7048,"village",1169,"CH","Neuchâtel","Le Locle District",""],["Mitterpullendorf",47.4933,16.5213,"suburb",1169,"AT","Burgenland","Politischer Bezirk Oberpullendorf",""],["Lavertezzo",46.2589,8.8376,"village",1168,"CH","Ticino","Locarno District",""],["Wilfersdorf",48.5833,16.6333,"town",1168,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Dale",60.5864,5.8189,"town",1167,"NO","Vestland","Vaksdal",""],["Lackenbach",47.5904,16.4653,"town",1167,"AT","Burgenland","Politischer Bezirk Oberpullendorf",""],["Leuzigen",47.1746,7.4577,"village",1167,"CH","Bern","Seeland District",""],["Mosterhamn",59.6992,5.3858,"village",1167,"NO","Vestland","Bømlo",""],["Neumarkt im Mühlkreis",48.4282,14.4844,"village",1167,"AT","Upper Austria","Politischer Bezirk Freistadt",""],["Tomra",62.5812,6.9311,"village",1167,"NO","Møre og Romsdal","Vestnes",""],["Överum",57.9886,16.3139,"village",1166,"SE","Kalmar","Västerviks Kommun",""],["Axvall",58.3833,13.5667,"village",1164,"SE","Västra Götaland","Skara Kommun",""],["Hököpinge",55.4941,13.0078,"village",1164,"SE","Skåne","Vellinge Kommun",""],["Prambachkirchen",48.3171,13.9045,"town",1164,"AT","Upper Austria","Politischer Bezirk Eferding",""],["Wimsbach",48.0667,13.9,"town",1164,"AT","Upper Austria","Wels-Land",""],["Altenfelden",48.4856,13.9698,"town",1163,"AT","Upper Austria","Politischer Bezirk Rohrbach",""],["Courtelary",47.1782,7.0724,"village",1163,"CH","Bern","Bernese Jura",""],["Frohsdorf",47.7333,16.25,"village",1163,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Langnau / Vitaquartier",47.2938,8.5376,"suburb",1161,"CH","Zurich","Bezirk Horgen",""],["Sätofta",55.9167,13.55,"village",1160,"SE","Skåne","Höörs Kommun",""],["Tamins",46.8296,9.4065,"village",1160,"CH","Grisons","Region Imboden",""],["Oeynhausen",47.9853,16.2919,"village",1159,"AT","Lower Austria","Politischer Bezirk Baden",""],["Abwinden",48.259,14.4262,"village",1158,"AT","Upper Austria","Politischer Bezirk Perg",""],["Baltschieder",46.3089,7.8657,"village",1158,"CH","Valais","Visp District",""],["Brandenberg",47.4905,11.8946,"town",1158,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Gaupne",61.4047,7.2946,"town",1157,"NO","Vestland","Luster",""],["Neskollen",60.1216,11.3393,"village",1157,"NO","Akershus","Nes",""],["Pillichsdorf",48.35,16.5333,"town",1157,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Charrat",46.1249,7.1314,"village",1156,"CH","Valais","Martigny District",""],["Dombås",62.0755,9.1279,"village",1156,"NO","Innlandet","Dovre",""],["Krumegg",47.0211,15.6314,"town",1156,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Reitberg",47.8527,13.1573,"village",1156,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Skegrie",55.4063,13.0769,"village",1156,"SE","Skåne","Trelleborgs Kommun",""],["Eide",62.9173,7.4467,"town",1155,"NO","Møre og Romsdal","Hustadvika",""],["Blumenstein",46.7421,7.5214,"village",1154,"CH","Bern","Thun District",""],["Waldneukirchen",47.9985,14.2588,"town",1154,"AT","Upper Austria","Politischer Bezirk Steyr-Land",""],["Kloten / Spitz",47.4445,8.5872,"suburb",1153,"CH","Zurich","Bezirk Bülach",""],["Luzein",46.9196,9.7608,"village",1153,"CH","Grisons","Region Prättigau / Davos",""],["Brusio",46.2595,10.1238,"village",1152,"CH","Grisons","Region Bernina",""],["Reyðarfjörður",65.0316,-14.2183,"village",1152,"IS","East","Fjarðabyggð",""],["Oberwölbling",48.3172,15.5917,"village",1151,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Gneixendorf",48.4375,15.6181,"village",1150,"AT","Lower Austria","Krems an der Donau",""],["Itter",47.4667,12.1333,"town",1150,"AT","Tyrol","Politischer Bezirk Kitzbühel",""],["Gusum",58.2688,16.4989,"village",1149,"SE","Östergötland","Valdemarsviks Kommun",""],["Kaindorf",47.2254,15.9113,"town",1149,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Ysper",48.2886,15.0613,"village",1149,"AT","Lower Austria","Politischer Bezirk Melk",""],["Kilchberg / Bächler-Stocken",47.3273,8.5396,"suburb",1147,"CH","Zurich","Bezirk Horgen",""],["Niederglatt / Niederglatt (Dorfkern)",47.4907,8.5005,"suburb",1147,"CH","Zurich","Bezirk Dielsdorf",""],["Straumen",63.8716,11.2962,"town",1147,"NO","Trøndelag","Inderøy",""],["Lindholmen",59.5833,18.1,"village",1146,"SE","Stockholm","Vallentuna Kommun",""],["Obfelden / Toussen",47.2657,8.4301,"suburb",1146,"CH","Zurich","Bezirk Affoltern",""],["Proleb",47.4,15.1333,"town",1146,"AT","Styria","Politischer Bezirk Leoben",""],["Rauris",47.2266,12.9946,"town",1146,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Å i Åfjord",63.9607,10.2247,"village",1145,"NO","Trøndelag","Åfjord",""],["Farrach",47.1833,14.7333,"village",1145,"AT","Styria","Politischer Bezirk Murtal",""],["Ganterschwil",47.381,9.0924,"village",1145,"CH","Saint Gallen","Wahlkreis Toggenburg",""],["Margarethen am Moos",48.0333,16.6,"village",1145,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Reinsvoll",60.6798,10.6218,"village",1145,"NO","Innlandet","Vestre Toten",""],["Zürich (Kreis 11) / Schwandenholz",47.4248,8.5213,"suburb",1145,"CH","Zurich","Bezirk Zürich",""],["Botngård",63.7648,9.8086,"town",1144,"NO","Trøndelag","Ørland",""],["Haag am Hausruck",48.1842,13.6437,"town",1144,"AT","Upper Austria","Politischer Bezirk Grieskirchen",""],["Seglingen",47.5724,8.5209,"village",1144,"CH","Zurich","Bezirk Bülach",""],["Weißenbach bei Liezen",47.5667,14.2167,"town",1144,"AT","Styria","Politischer Bezirk Liezen",""],["Zellerndorf",48.6966,15.9584,"town",1144,"AT","Lower Austria","Politischer Bezirk Hollabrunn",""],["Kuhmalahti",61.5,24.5667,"village",1143,"FI","","",""],["Stuhlfelden",47.2876,12.5275,"town",1143,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Zürich (Kreis 12) / Auzelg",47.4151,8.5701,"suburb",1143,"CH","Zurich","Bezirk Zürich",""],["Åros",59.7061,10.5109,"village",1142,"NO","Akershus","Asker",""],["Rohr im Kremstal",48.0686,14.1931,"village",1142,"AT","Upper Austria","Politischer Bezirk Steyr-Land",""],["Erpfendorf",47.5833,12.4667,"village",1141,"AT","Tyrol","Politischer Bezirk Kitzbühel",""],["Hofstetten",48.0971,15.5115,"village",1141,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Mellilä",60.7667,22.95,"town",1141,"FI","Southwest Finland","Loimaa",""],["Pettneu",47.1459,10.3366,"village",1141,"AT","Tyrol","Politischer Bezirk Landeck",""],["Uhwiesen",47.6707,8.6354,"village",1140,"CH","Zurich","Bezirk Andelfingen",""],["Ávanuorri",70.9963,24.6622,"town",1138,"NO","Finnmark","Måsøy",""],["Leivonmäki",61.912,26.128,"village",1138,"FI","Central Finland","Joutsa",""],["Aurolzmünster",48.2483,13.4553,"village",1137,"AT","Upper Austria","Politischer Bezirk Ried im Innkreis",""],["Laab im Walde",48.1549,16.1736,"town",1137,"AT","Lower Austria","Politischer Bezirk Mödling",""],["Richterswil / Burghalde",47.2097,8.6913,"suburb",1137,"CH","Zurich","Bezirk Horgen",""],["Ulrichskirchen",48.4,16.4833,"village",1137,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Greifensee / Pfisterhölzli",47.3643,8.6898,"suburb",1135,"CH","Zurich","Bezirk Uster",""],["Krumnussbaum",48.2088,15.1621,"village",1135,"AT","Lower Austria","Politischer Bezirk Melk",""],["Oberneukirchen",48.464,14.2227,"town",1134,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Serfaus",47.0402,10.6034,"town",1134,"AT","Tyrol","Politischer Bezirk Landeck",""],["Södra Vi",57.7399,15.7939,"village",1134,"SE","Kalmar","Vimmerby Kommun",""],["Knappstad",59.6242,11.0327,"village",1133,"NO","Østfold","Indre Østfold",""],["Langenegg",47.4692,9.8974,"village",1133,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Melano",45.922,8.9843,"village",1133,"CH","Ticino","Lugano District",""],["Sjøholt",62.4826,6.8138,"town",1133,"NO","Møre og Romsdal","Ålesund",""],["Vogau",46.7319,15.6084,"village",1133,"AT","Styria","Politischer Bezirk Leibnitz",""],["Niederbreitenbach",47.5333,12.0833,"village",1132,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Weikendorf",48.3444,16.7665,"town",1132,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Hartheim",48.2808,14.1143,"village",1131,"AT","Upper Austria","Politischer Bezirk Eferding",""],["Aurach",47.4122,12.4273,"village",1130,"AT","Tyrol","Politischer Bezirk Kitzbühel",""],["Jenaz",46.9289,9.7127,"village",1130,"CH","Grisons","Region Prättigau / Davos",""],["Rubbestadneset",59.8156,5.2682,"village",1130,"NO","Vestland","Bømlo",""],["Hitzendorf",47.0333,15.3,"town",1129,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Hochtregist",47.1,15.1333,"village",1129,"AT","Styria","Politischer Bezirk Voitsberg",""],["Schenkenfelden",48.5027,14.3619,"town",1129,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Schlieren / Kamp",47.3936,8.4445,"suburb",1129,"CH","Zurich","Bezirk Dietikon",""],["Hortlax",65.2819,21.4054,"village",1128,"SE","Norrbotten","Piteå Kommun",""],["Meierskappel",47.1247,8.4427,"village",1128,"CH","Lucerne","Lucerne-Land District",""],["Salvan",46.1189,7.0208,"village",1127,"CH","Valais","Saint-Maurice District",""],["Sankt Jakob-Breitenau",47.3923,15.4297,"village",1127,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Oberengstringen / Rauchacher",47.4092,8.4563,"suburb",1126,"CH","Zurich","Bezirk Dietikon",""],["Adliswil / Tal",47.3114,8.5345,"suburb",1125,"CH","Zurich","Bezirk Horgen",""],["Großdorf",47.4336,9.9153,"village",1125,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Eberndorf",46.5914,14.6436,"town",1124,"AT","Carinthia","Politischer Bezirk Völkermarkt",""],["Löhningen",47.7012,8.5524,"village",1124,"CH","Schaffhausen","Bezirk Oberklettgau",""],["Tanay",46.345,6.8304,"village",1124,"CH","Valais","Monthey District",""],["Kandersteg",46.4947,7.6733,"village",1123,"CH","Bern","Frutigen-Niedersimmental District",""],["Virtasalmi",62.127,27.4628,"village",1123,"FI","South Savo","Pieksämäki",""],["Gryon",46.2738,7.0598,"village",1122,"CH","Vaud","Aigle District",""],["Regensdorf / Feldblumen-Riedthofstrasse",47.4362,8.4666,"suburb",1122,"CH","Zurich","Bezirk Dielsdorf",""],["Groß-Gerungs",48.5742,14.9579,"village",1121,"AT","Lower Austria","Politischer Bezirk Zwettl",""],["Ulrichsberg",48.675,13.9105,"town",1121,"AT","Upper Austria","Politischer Bezirk Rohrbach",""],["Effretikon / Rikon",47.431,8.6862,"suburb",1120,"CH","Zurich","Bezirk Winterthur",""],["Hartkirchen",48.3635,14.0042,"village",1120,"AT","Upper Austria","Politischer Bezirk Eferding",""],["Horndal",60.3,16.4167,"village",1120,"SE","Dalarna","Avesta Kommun",""],["Neusiedl an der Zaya",48.5992,16.7799,"town",1119,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Scheffau am Tennengebirge",47.5883,13.2202,"town",1119,"AT","Salzburg","Politischer Bezirk Hallein",""],["Zell-Markt",47.9588,14.7832,"suburb",1119,"AT","Lower Austria","Waidhofen an der Ybbs Stadt",""],["Ledenitzen",46.5664,13.9614,"village",1118,"AT","Carinthia","Politischer Bezirk Villach Land",""],["Mitterhofen",47.3833,12.8,"village",1118,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Muolen",47.521,9.3248,"village",1118,"CH","Saint Gallen","Wahlkreis St. Gallen",""],["Lit",63.3203,14.8459,"village",1117,"SE","Jämtland","Östersunds Kommun",""],["Virgen",47.0016,12.4566,"town",1117,"AT","Tyrol","Politischer Bezirk Lienz",""],["Grand-Savagnier",47.051,6.9549,"suburb",1116,"CH","Neuchâtel","Val-de-Ruz District",""],["Hammarstrand",63.1104,16.3538,"town",1116,"SE","Jämtland","Ragunda Kommun",""],["Kriegstetten",47.1745,7.598,"village",1116,"CH","Solothurn","Bezirk Wasseramt",""],["Saas-Grund",46.1228,7.9365,"village",1116,"CH","Valais","Visp District",""],["Ehrenhausen",46.7242,15.5867,"town",1115,"AT","Styria","Politischer Bezirk Leibnitz",""],["Hofstetten",47.4778,8.5065,"village",1115,"CH","Zurich","Bezirk Dielsdorf",""],["Sarleinsbach",48.5453,13.9049,"village",1115,"AT","Upper Austria","Politischer Bezirk Rohrbach",""],["Sankt Margarethen an der Raab",47.05,15.75,"town",1114,"AT","Styria","Politischer Bezirk Weiz",""],["Sankt Gilgen",47.7667,13.3667,"town",1113,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Steninge",56.769,12.6303,"village",1112,"SE","Halland","Halmstads Kommun",""],["Inzersdorf im Kremstal",47.9281,14.081,"village",1111,"AT","Upper Austria","Politischer Bezirk Kirchdorf an der Krems",""],["Sankt Martin im Mühlkreis",48.4155,14.0382,"village",1111,"AT","Upper Austria","Politischer Bezirk Rohrbach",""],["Lærdalsøyri",61.1,7.4737,"town",1110,"NO","Vestland","Lærdal",""],["Oberschützen",47.3514,16.2073,"town",1110,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Bodensdorf",46.6911,13.9711,"village",1109,"AT","Carinthia","Politischer Bezirk Feldkirchen",""],["Ellbögen",47.1667,11.45,"town",1109,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Berger",59.5499,10.3864,"village",1108,"NO","Buskerud","Drammen",""],["Billingsfors",58.9833,12.25,"village",1108,"SE","Västra Götaland","Bengtsfors Kommun",""],["Erlach",47.0422,7.0973,"village",1108,"CH","Bern","Seeland District",""],["Frogner",60.0246,11.1028,"village",1108,"NO","Akershus","Lillestrøm",""],["Großebersdorf",48.364,16.4708,"town",1108,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Rue",46.6192,6.8223,"village",1108,"CH","Fribourg","Glâne District",""],["Stykkishólmur",65.0754,-22.7298,"village",1108,"IS","West","Stykkishólmur-Helgafellssveit",""],["Barwies",47.3,10.9667,"village",1107,"AT","Tyrol","Politischer Bezirk Imst",""],["Bizau",47.3691,9.9284,"town",1107,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Hinteregg",47.3074,8.6834,"village",1107,"CH","Zurich","Bezirk Uster",""],["Kindhausen / Kindhausen (Dorf)",47.4064,8.683,"suburb",1107,"CH","Zurich","Bezirk Uster",""],["Michelhausen",48.2908,15.9389,"town",1107,"AT","Lower Austria","Politischer Bezirk Tulln",""],["Heitenried",46.8276,7.2994,"village",1106,"CH","Fribourg","Sense District",""],["Wilfleinsdorf",48.0167,16.7167,"village",1106,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Hinterglemm",47.3768,12.5958,"village",1104,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Le Vaud",46.4775,6.236,"village",1104,"CH","Vaud","Nyon District",""],["Les Bois",47.1771,6.905,"village",1104,"CH","Jura","Franches-Montagnes District",""],["Parschlug",47.4809,15.2865,"town",1104,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Neusiedl",47.8877,15.9631,"village",1103,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Obfelden / Oberlunnern",47.262,8.4159,"suburb",1103,"CH","Zurich","Bezirk Affoltern",""],["Reichraming",47.8833,14.45,"town",1103,"AT","Upper Austria","Politischer Bezirk Steyr-Land",""],["Pfaffenhofen",47.3,11.0833,"town",1102,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Schönberg im Stubaital",47.1833,11.4167,"town",1101,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Aire-la-Ville",46.1906,6.0429,"village",1100,"CH","Geneva","Geneva",""],["Rabensburg",48.65,16.9,"town",1100,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Rindö",59.3969,18.3943,"village",1100,"SE","Stockholm","Vaxholms Kommun",""],["Oberschrot",46.7413,7.2815,"village",1099,"CH","Fribourg","Sense District",""],["Påskallavik",57.1667,16.45,"village",1099,"SE","Kalmar","Oskarshamns Kommun",""],["Ås",63.3667,16.5833,"village",1097,"SE","Västernorrland","Sollefteå Kommun",""],["Grossraming",47.8833,14.55,"village",1097,"AT","Upper Austria","Politischer Bezirk Steyr-Land",""],["Gutau",48.4172,14.6128,"town",1097,"AT","Upper Austria","Politischer Bezirk Freistadt",""],["Lans",47.2383,11.4314,"town",1096,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Gniebing",46.9625,15.8565,"village",1095,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Hjärnarp",56.3167,12.9167,"village",1095,"SE","Skåne","Ängelholms Kommun",""],["Svalsta",58.7427,16.8698,"village",1095,"SE","Södermanland","Nyköpings Kommun",""],["Gärsnäs",55.5495,14.1792,"village",1094,"SE","Skåne","Simrishamns kommun",""],["Kleinandelfingen",47.6006,8.6836,"village",1094,"CH","Zurich","Bezirk Andelfingen",""],["Maria Saal",46.6808,14.3486,"town",1094,"AT","Carinthia","Politischer Bezirk Klagenfurt Land",""],["Neutal",47.5455,16.4462,"town",1094,"AT","Burgenland","Politischer Bezirk Oberpullendorf",""],["Ohlsdorf",47.9607,13.7914,"town",1093,"AT","Upper Austria","Politischer Bezirk Gmunden",""],["Payerbach",47.6921,15.8634,"town",1093,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Treibach",46.8667,14.4667,"village",1093,"AT","Carinthia","Politischer Bezirk Sankt Veit an der Glan",""],["Villaz-Saint-Pierre",46.7207,6.9564,"village",1093,"CH","Fribourg","Glâne District",""],["Habach",47.8175,13.1625,"village",1092,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Lena",60.6739,10.8132,"town",1092,"NO","Innlandet","Østre Toten",""],["Trélex",46.4154,6.2081,"village",1092,"CH","Vaud","Nyon District",""],["Enhagen-Ekbacken",59.5654,16.5304,"village",1091,"SE","Västmanland","Västerås",""],["Gaschurn",46.9858,10.027,"town",1091,"AT","Vorarlberg","Politischer Bezirk Bludenz",""],["Dölsach",46.8283,12.8453,"town",1090,"AT","Tyrol","Politischer Bezirk Lienz",""],["Regensdorf / Obstgarten",47.4277,8.4657,"suburb",1090,"CH","Zurich","Bezirk Dielsdorf",""],["Enzersfeld",48.3634,16.4239,"town",1089,"AT","Lower Austria","Politischer Bezirk Korneuburg",""],["Mölnbo",59.05,17.4167,"village",1089,"SE","Stockholm","Södertälje Kommun",""],["Ruprechtshofen",48.1365,15.2767,"town",1089,"AT","Lower Austria","Politischer Bezirk Melk",""],["Tulfes",47.2581,11.5333,"town",1089,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Zürich (Kreis 1) / City",47.3727,8.5358,"suburb",1089,"CH","Zurich","Bezirk Zürich",""],["Freidorf an der Laßnitz",46.8167,15.25,"village",1087,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Lindås",60.7364,5.161,"village",1087,"NO","Vestland","Alver",""],["Malmbäck",57.5767,14.4617,"village",1087,"SE","Jönköping","Nässjö Kommun",""],["Länghem",57.6,13.2333,"village",1086,"SE","Västra Götaland","Tranemo Kommun",""],["Riefensberg",47.5014,9.9584,"town",1086,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Sankt Peter-Freienstein",47.3833,15.0167,"town",1086,"AT","Styria","Politischer Bezirk Leoben",""],["Berlevåg",70.8578,29.0864,"town",1085,"NO","Finnmark","Berlevåg",""],["Landegg",47.9,16.4,"village",1085,"AT","Lower Austria","Politischer Bezirk Baden",""],["Kållby",63.6254,22.8959,"village",1083,"FI","Ostrobothnia","Jakobstadsregionen",""],["Niederneukirchen",48.1609,14.3397,"village",1083,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Ornäs",60.5094,15.5413,"village",1083,"SE","Dalarna","Borlänge Kommun",""],["St. Martin of Tennengebirge",47.465,13.3776,"village",1083,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Vestbygd",58.0999,6.587,"village",1083,"NO","Agder","Farsund",""],["Glommen",56.9333,12.35,"village",1082,"SE","Halland","",""],["Neudorf bei Staatz",48.7208,16.4914,"town",1082,"AT","","",""],["Skoger",59.7133,10.2536,"village",1082,"NO","Buskerud","Drammen",""],["Rain",46.6053,14.3861,"village",1081,"AT","Carinthia","Politischer Bezirk Klagenfurt Land",""],["Sankt Leonhard",47.7259,13.0458,"village",1081,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Weisskirchen an der Traun",48.162,14.124,"town",1081,"AT","Upper Austria","Wels-Land",""],["Linthal",46.9213,8.998,"village",1080,"CH","Glarus","Glarus",""],["Wegenstetten",47.498,7.9314,"village",1080,"CH","Aargau","Bezirk Rheinfelden",""],["Sköllersta",59.1374,15.3394,"village",1079,"SE","Örebro","Hallsbergs Kommun",""],["Schwerzenbach / Blatten",47.3831,8.6495,"suburb",1078,"CH","Zurich","Bezirk Uster",""],["Torekov",56.425,12.6333,"village",1078,"SE","Skåne","Båstads Kommun",""],["Übelbach",47.2253,15.2362,"town",1078,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Edelschrott",47.0216,15.0527,"town",1077,"AT","Styria","Politischer Bezirk Voitsberg",""],["Knonau",47.2235,8.462,"village",1077,"CH","Zurich","Bezirk Affoltern",""],["Mönchaltorf / Dorf",47.304,8.7221,"suburb",1077,"CH","Zurich","Bezirk Uster",""],["Tysvær",59.332,5.4898,"village",1077,"NO","Rogaland","Tysvær",""],["Fiecht",47.35,11.7,"village",1076,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Grossacker/Opfikon",47.427,8.5789,"village",1076,"CH","Zurich","Bezirk Bülach",""],["Kappelen",47.0602,7.2686,"village",1075,"CH","Bern","Seeland District",""],["Lermoos",47.4036,10.8807,"town",1075,"AT","Tyrol","Politischer Bezirk Reutte",""],["Kobersdorf",47.5957,16.3917,"town",1074,"AT","Burgenland","Politischer Bezirk Oberpullendorf",""],["Gailitz",46.5608,13.7044,"village",1072,"AT","Carinthia","Politischer Bezirk Villach Land",""],["Ranggen",47.2573,11.2112,"town",1072,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Elsau-Räterschen / Räterschen",47.4993,8.796,"suburb",1071,"CH","Zurich","Bezirk Winterthur",""],["Naustdal",61.5111,5.7169,"town",1071,"NO","Vestland","Sunnfjord",""],["Au",47.3218,9.9807,"town",1070,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Sandsli",60.3032,5.2855,"village",1070,"NO","Vestland","Bergen",""],["Heiligenblut",47.0398,12.8435,"town",1069,"AT","Carinthia","Politischer Bezirk Spittal an der Drau",""],["Pura",45.9865,8.8688,"town",1069,"CH","Ticino","Lugano District",""],["Schleedorf",47.95,13.15,"town",1069,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Neudorf",47.177,8.2091,"village",1068,"CH","Lucerne","Sursee District",""],["Trachselwald",47.017,7.7364,"village",1068,"CH","Bern","Emmental District",""],["Hedesunda",60.4,17,"village",1067,"SE","Gävleborg","Gävle Kommun",""],["Tannheim",47.4993,10.5164,"town",1067,"AT","Tyrol","Politischer Bezirk Reutte",""],["Valje",56.0628,14.5439,"village",1067,"SE","Skåne","Bromölla Kommun",""],["Birchwil",47.4543,8.6348,"village",1066,"CH","Zurich","Bezirk Bülach",""],["Heiligeneich",48.2996,15.8941,"village",1066,"AT","Lower Austria","Politischer Bezirk Tulln",""],["Weikersdorf am Steinfelde",47.8061,16.1439,"town",1066,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Eberstalzell",48.0439,13.9832,"village",1065,"AT","Upper Austria","Wels-Land",""],["Stetten",47.7403,8.663,"village",1065,"CH","Schaffhausen","Bezirk Reiat",""],["Audorf",48.2181,14.2793,"village",1064,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Greifensee / Müllerwis / Seilerwis",47.3704,8.6815,"suburb",1064,"CH","Zurich","Bezirk Uster",""],["Falkenburg",47.5,14.0833,"village",1063,"AT","Styria","Politischer Bezirk Liezen",""],["Lundamo",63.1522,10.2856,"village",1063,"NO","Trøndelag","Melhus",""],["Angered",57.7863,12.0985,"village",1062,"SE","Västra Götaland","Göteborgs stad",""],["Gravesano",46.0421,8.9183,"village",1062,"CH","Ticino","Lugano District",""],["Irrsdorf",47.9667,13.2833,"village",1062,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Wittnau",47.4814,7.9758,"town",1062,"CH","Aargau","Bezirk Laufenburg",""],["Ardagger Stift",48.15,14.8333,"village",1061,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Dübendorf / Wasserfurren",47.3935,8.6085,"suburb",1060,"CH","Zurich","Bezirk Uster",""],["Mézières",46.6796,6.9263,"village",1060,"CH","Fribourg","Glâne District",""],["Reichenfels",47.0072,14.7442,"town",1060,"AT","Carinthia","Politischer Bezirk Wolfsberg",""],["Oberhart",48.1846,14.055,"village",1059,"AT","Upper Austria","Wels Stadt",""],["Öblarn",47.4594,13.9902,"town",1059,"AT","Styria","Politischer Bezirk Liezen",""],["Staffelbach",47.2839,8.0421,"village",1059,"CH","Aargau","Bezirk Zofingen",""],["Burgistein",46.7846,7.4999,"village",1058,"CH","Bern","Thun District",""],["Lockenhaus",47.4075,16.4162,"town",1058,"AT","Burgenland","Politischer Bezirk Oberpullendorf",""],["Rechthalten",46.7677,7.2403,"village",1058,"CH","Fribourg","Sense District",""],["Courgevaux",46.9065,7.1121,"village",1057,"CH","Fribourg","See District",""],["Brunn",46.7294,15.3,"village",1056,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Köstendorf",47.95,13.2,"town",1055,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Altenberg bei Linz",48.3728,14.3503,"town",1054,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Neuhofen an der Ybbs",48.0579,14.8549,"town",1054,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Seewalchen",47.9,13.1333,"village",1054,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Wagram",48.2383,14.23,"village",1054,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Zernez",46.6986,10.0927,"village",1053,"CH","Grisons","Region Engiadina Bassa / Val Müstair",""],["Grong",64.4646,12.316,"town",1052,"NO","Trøndelag","Grong",""],["Nyhammar",60.2833,14.9667,"village",1052,"SE","Dalarna","Ludvika Kommun",""],["Skottsund",62.2906,17.3869,"village",1052,"SE","Västernorrland","Sundsvalls Kommun",""],["Töre",65.9124,22.6513,"village",1051,"SE","Norrbotten","Kalix Kommun",""],["Billeberga",55.8833,13,"village",1050,"SE","Skåne","Svalövs Kommun",""],["Hinterberg",47.3607,15.0695,"village",1050,"AT","Styria","Politischer Bezirk Leoben",""],["Sooss",47.9846,16.2174,"village",1050,"AT","Lower Austria","Politischer Bezirk Baden",""],["Walserfeld",47.7922,12.98,"village",1050,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Faak am See",46.5681,13.9097,"village",1049,"AT","Carinthia","Politischer Bezirk Villach Land",""],["Langenbruck",47.3492,7.768,"village",1049,"CH","Basel-Landschaft","Bezirk Waldenburg",""],["Asparn an der Zaya",48.5833,16.5,"town",1048,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Stettfurt",47.5259,8.9532,"village",1048,"CH","Thurgau","Bezirk Frauenfeld",""],["Ullava",63.6,24.0833,"town",1048,"FI","Central Ostrobothnia","Kokkola",""],["Grafendorf bei Hartberg",47.3403,15.9906,"town",1047,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Grebo",58.3015,15.8709,"village",1047,"SE","Östergötland","Åtvidabergs Kommun",""],["Mölltorp",58.5,14.4,"village",1047,"SE","Västra Götaland","Karlsborgs Kommun",""],["Pettnau",47.292,11.1596,"town",1047,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Lehen",47.8708,13.0172,"village",1046,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Bad Waltersdorf",47.1696,16.0087,"town",1045,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Knappskog",60.3791,5.056,"village",1045,"NO","Vestland","Øygarden",""],["Vordernberg",47.4881,14.9944,"town",1045,"AT","Styria","Politischer Bezirk Leoben",""],["Hammerdal",63.5761,15.3652,"village",1043,"SE","Jämtland","Strömsunds kommun",""],["Mitterndorf im Steirischen Salzkammergut",47.5556,13.9319,"village",1043,"AT","Styria","Politischer Bezirk Liezen",""],["Niederau",47.45,12.0833,"village",1043,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Tormestorp",56.1135,13.7452,"village",1043,"SE","Skåne","Hässleholms Kommun",""],["Krumbach",47.4831,9.9358,"town",1042,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Höri",47.508,8.512,"village",1041,"CH","Zurich","Bezirk Bülach",""],["Münzbach",48.2674,14.7101,"village",1041,"AT","Upper Austria","Politischer Bezirk Perg",""],["Burgau",47.1427,16.0964,"town",1040,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Kollbrunn / Kollbrunn (Dorfkern)",47.4575,8.7741,"suburb",1040,"CH","Zurich","Bezirk Winterthur",""],["Tegerfelden",47.5581,8.2891,"village",1040,"CH","Aargau","Bezirk Zurzach",""],["Uetikon / Grossdorf",47.2665,8.6776,"suburb",1040,"CH","Zurich","Bezirk Meilen",""],["Zwentendorf",48.3453,15.9103,"village",1039,"AT","Lower Austria","Politischer Bezirk Tulln",""],["Ask",60.0713,11.0362,"town",1038,"NO","Akershus","Gjerdrum",""],["Koukkuniemi",60.1526,24.7647,"suburb",1038,"FI","Uusimaa","Helsinki sub-region",""],["Regensdorf / Hofacher-Geeren",47.4353,8.4624,"suburb",1038,"CH","Zurich","Bezirk Dielsdorf",""],["Dürrenroth",47.0895,7.7917,"village",1037,"CH","Bern","Emmental District",""],["Neue Heimat",48.2456,13.0417,"village",1037,"AT","Upper Austria","Politischer Bezirk Braunau am Inn",""],["Bäriswil",47.0195,7.5271,"village",1036,"CH","Bern","Bern-Mittelland District",""],["Björboholm",57.871,12.3255,"village",1036,"SE","Västra Götaland","Lerums Kommun",""],["Ellös",58.1833,11.4667,"village",1036,"SE","Västra Götaland","Orust",""],["Överkalix",66.3275,22.8441,"town",1036,"SE","Norrbotten","Överkalix Kommun",""],["Prellenkirchen",48.074,16.9523,"town",1036,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Puchlkirchen am Trattberg",48.0448,13.572,"village",1036,"AT","","",""],["Hetzendorf",47.1833,14.6833,"village",1035,"AT","Styria","Politischer Bezirk Murtal",""],["Hoheneich",48.7719,15.0286,"town",1035,"AT","Lower Austria","Politischer Bezirk Gmünd",""],["Kleinsöding",47,15.2833,"village",1035,"AT","Styria","Politischer Bezirk Voitsberg",""],["Unternberg",47.1127,13.7426,"village",1035,"AT","Salzburg","Politischer Bezirk Tamsweg",""],["Stephanshart",48.15,14.8167,"village",1034,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Küsnacht / Schiedhalden",47.3211,8.5888,"suburb",1033,"CH","Zurich","Bezirk Meilen",""],["Steinfeld",47.7125,13.6326,"village",1033,"AT","Upper Austria","Politischer Bezirk Gmunden",""],["Vinninga",58.45,13.2667,"village",1033,"SE","Västra Götaland","Lidköpings Kommun",""],["Dürnten",47.2786,8.8416,"village",1032,"CH","Zurich","Bezirk Hinwil",""],["Maria Alm am Steinernen Meer",47.4058,12.9012,"town",1032,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Wolfsthal",48.1333,17,"town",1032,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Langrickenbach",47.5935,9.2473,"village",1031,"CH","Thurgau","Bezirk Kreuzlingen",""],["Schleinbach",48.4199,16.4781,"village",1031,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Bottens",46.616,6.6615,"village",1030,"CH","Vaud","Gros-de-Vaud District",""],["Klein Sankt Paul",46.8361,14.5414,"town",1030,"AT","Carinthia","Politischer Bezirk Sankt Veit an der Glan",""],["Maria Ellend",48.1,16.6833,"village",1030,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Moosburg",46.6575,14.1747,"town",1030,"AT","Carinthia","Politischer Bezirk Klagenfurt Land",""],["Bauma",47.3674,8.879,"village",1029,"CH","Zurich","Bezirk Pfäffikon",""],["Doren",47.4928,9.8797,"town",1029,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Fjellfoten",60.0897,11.4722,"village",1029,"NO","Akershus","Nes",""],["Vogar",63.9816,-22.3847,"village",1029,"IS","Southern Peninsula","Sveitarfélagið Vogar",""],["Grillby",59.626,17.2579,"village",1028,"SE","Uppsala","Enköpings Kommun",""],["Waiern",46.7303,14.0819,"village",1028,"AT","Carinthia","Politischer Bezirk Feldkirchen",""],["Höf",47.134,15.4909,"village",1027,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Natternbach",48.3973,13.7497,"town",1027,"AT","Upper Austria","Politischer Bezirk Grieskirchen",""],["Zagersdorf",47.7647,16.5138,"town",1027,"AT","Burgenland","Eisenstadt-Umgebung",""],["Sachsenburg",46.8292,13.355,"town",1026,"AT","Carinthia","Politischer Bezirk Spittal an der Drau",""],["Storebø",60.0949,5.2271,"town",1026,"NO","Vestland","Austevoll",""],["Tillmitsch Links der Laßnitz",46.8096,15.5239,"suburb",1026,"AT","Styria","Politischer Bezirk Leibnitz",""],["Heimschuh",46.76,15.4931,"town",1025,"AT","Styria","Politischer Bezirk Leibnitz",""],["Sankt Martin am Ybbsfelde",48.1643,15.0208,"village",1025,"AT","Lower Austria","Politischer Bezirk Melk",""],["Turtmann",46.3003,7.702,"village",1025,"CH","Valais","Leuk District",""],["Selzthal",47.5499,14.312,"town",1023,"AT","Styria","Politischer Bezirk Liezen",""],["Gunnebo",57.7167,16.5333,"village",1022,"SE","Kalmar","Västerviks Kommun",""],["Sankt Stefan ob Leoben",47.3167,14.9783,"town",1022,"AT","Styria","Politischer Bezirk Leoben",""],["Stollhofen",48.3523,15.7596,"village",1022,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Bergkvara",56.3906,16.0727,"village",1021,"SE","Kalmar","Torsås Kommun",""],["Dingtuna",59.5728,16.3872,"village",1021,"SE","Västmanland","Västerås",""],["Spatenhof",46.9625,15.3611,"village",1021,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Untereisenfeld",48.168,14.041,"suburb",1021,"AT","Upper Austria","Wels Stadt",""],["Ekshärad",60.1728,13.4965,"village",1020,"SE","Värmland","Hagfors Kommun",""],["Schwerzenbach / Chimli",47.3859,8.6589,"suburb",1020,"CH","Zurich","Bezirk Uster",""],["Stockaryd",57.3174,14.5934,"village",1019,"SE","Jönköping","Sävsjö Kommun",""],["Dübendorf / Sonnenberg",47.3947,8.6316,"suburb",1018,"CH","Zurich","Bezirk Uster",""],["Messen",47.0915,7.4453,"village",1018,"CH","Solothurn","Bezirk Bucheggberg",""],["Aflenz Kurort",47.5421,15.239,"town",1017,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Olstorp",58.8167,16.6333,"village",1017,"SE","Södermanland","Nyköpings Kommun",""],["Olstorp",57.8228,12.277,"village",1017,"SE","Västra Götaland","Lerums Kommun",""],["Pulkau",48.7048,15.8603,"town",1017,"AT","Lower Austria","Politischer Bezirk Hollabrunn",""],["Roitham",48.0243,13.8217,"town",1017,"AT","Upper Austria","Politischer Bezirk Gmunden",""],["Färlöv",56.0667,14.0833,"village",1016,"SE","Skåne","Kristianstads kommun",""],["Hvittingfoss",59.4857,10.0117,"village",1016,"NO","Buskerud","Kongsberg",""],["Kristdala",57.4007,16.205,"village",1016,"SE","Kalmar","Oskarshamns Kommun",""],["Plesching",48.321,14.338,"village",1016,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Seuzach Dorf / Breite-Weid",47.5335,8.7341,"suburb",1016,"CH","Zurich","Bezirk Winterthur",""],["Feistritz im Rosental",46.5167,14.1667,"town",1015,"AT","Carinthia","Politischer Bezirk Klagenfurt Land",""],["Senftenberg",48.4522,15.5445,"town",1015,"AT","Lower Austria","Politischer Bezirk Krems",""],["Bairisch Kölldorf",46.8667,15.9333,"town",1014,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Eskifjörður",65.0731,-14.0152,"village",1014,"IS","East","Fjarðabyggð",""],["Patsch",47.2053,11.4151,"town",1014,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Goldingen",47.2648,8.9617,"village",1013,"CH","Saint Gallen","Wahlkreis See-Gaster",""],["Raffelstetten",48.2376,14.4027,"village",1013,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Schönering",48.2984,14.161,"village",1013,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Tjuvkil",57.9,11.7333,"village",1013,"SE","Västra Götaland","Kungälvs Kommun",""],["Årsunda",60.5164,16.7344,"village",1012,"SE","Gävleborg","Sandvikens Kommun",""],["Bad Aussee",47.61,13.7824,"town",1012,"AT","Styria","Politischer Bezirk Liezen",""],["Föderlach I",46.6,13.9613,"village",1012,"AT","Carinthia","Politischer Bezirk Villach Land",""],["Greifenburg",46.7503,13.1798,"town",1012,"AT","Carinthia","Politischer Bezirk Spittal an der Drau",""],["Kloten / Hostrass",47.4526,8.5946,"suburb",1012,"CH","Zurich","Bezirk Bülach",""],["Hjelset",62.7805,7.4928,"village",1011,"NO","Møre og Romsdal","Molde",""],["Storebro",57.5833,15.85,"village",1011,"SE","Kalmar","Vimmerby Kommun",""],["Gleinstätten",46.7536,15.3697,"town",1010,"AT","Styria","Politischer Bezirk Leibnitz",""],["Offenhausen",48.15,13.8333,"town",1010,"AT","Upper Austria","Wels-Land",""],["Ólafsvík",64.8943,-23.7092,"village",1010,"IS","West","Snæfellsbær",""],["Slottsbron",59.3227,13.1027,"village",1010,"SE","Värmland","Grums Kommun",""],["Spannberg",48.4639,16.7365,"town",1010,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Thumersbach",47.3295,12.8168,"village",1010,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Fiss",47.0571,10.6175,"town",1009,"AT","Tyrol","Politischer Bezirk Landeck",""],["Hirm",47.7865,16.4546,"town",1009,"AT","Burgenland","Politischer Bezirk Mattersburg",""],["Verscio",46.1848,8.7322,"village",1009,"CH","Ticino","Locarno District",""],["Würflach",47.7765,16.0546,"town",1009,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Angath",47.5076,12.0651,"town",1008,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Katzelsdorf",48.2846,16.1084,"village",1008,"AT","Lower Austria","Politischer Bezirk Tulln",""],["Urdorf / Oberurdorf",47.3807,8.4234,"suburb",1008,"CH","Zurich","Bezirk Dietikon",""],["Ependes",46.7537,7.1461,"village",1006,"CH","Fribourg","Sarine District",""],["Kapfing",47.3333,11.85,"village",1006,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Niederdorf",46.6167,14.4,"village",1006,"AT","Carinthia","Politischer Bezirk Klagenfurt Land",""],["Vals Platz",46.6165,9.1802,"village",1006,"CH","Grisons","Region Surselva",""],["Vorderthal",47.1217,8.9023,"village",1006,"CH","Schwyz","Bezirk March",""],["Ausserbraz",47.1487,9.9007,"village",1005,"AT","Vorarlberg","Politischer Bezirk Bludenz",""],["Buus",47.5063,7.8641,"village",1005,"CH","Basel-Landschaft","Bezirk Sissach",""],["Haag",48.1903,15.9014,"village",1005,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Sammersdorf",48.1809,14.1667,"village",1005,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Tingvoll",62.9132,8.2053,"town",1005,"NO","Møre og Romsdal","Tingvoll",""],["Askainen",60.5667,21.8667,"town",1004,"FI","Southwest Finland","Turku",""],["Dickerldorf",48.1768,14.0571,"suburb",1003,"AT","Upper Austria","Wels Stadt",""],["Fiesch",46.3998,8.1353,"village",1003,"CH","Valais","Goms District",""],["Ottnang am Hausruck",48.0957,13.6584,"town",1003,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Walchen",47.2882,12.6874,"village",1003,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Etne",59.6653,5.9371,"town",1002,"NO","Vestland","Etne",""],["Göta",58.1062,12.1525,"village",1002,"SE","Västra Götaland","Lilla Edets Kommun",""],["Himmelried",47.4214,7.5998,"village",1002,"CH","Solothurn","Bezirk Thierstein",""],["Maria Rain",46.5539,14.2956,"town",1002,"AT","Carinthia","Politischer Bezirk Klagenfurt Land",""],["Mehrnbach",48.2081,13.4352,"village",1002,"AT","Upper Austria","Politischer Bezirk Ried im Innkreis",""],["Bodio",46.3781,8.9099,"village",1001,"CH","Ticino","Leventina District",""],["Evionnaz",46.181,7.0223,"village",1001,"CH","Valais","Martigny District",""],["Laugar",65.7216,-17.3735,"village",1001,"IS","Northeast","Þingeyjarsveit",""],["Rolfs",65.85,23.1167,"village",1001,"SE","Norrbotten","Kalix Kommun",""],["Bjurholm",63.9303,19.2137,"town",1000,"SE","Västerbotten","Bjurholms Kommun",""],["Allhartsberg",48.0263,14.7901,"town",999,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Oberdorf im Burgenland",47.2167,16.2167,"town",996,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Kraubath an der Mur",47.3,14.9333,"town",995,"AT","Styria","Politischer Bezirk Leoben",""],["Wolfsegg am Hausruck",48.1067,13.6727,"town",995,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Innerbraz",47.15,9.9167,"town",994,"AT","Vorarlberg","Politischer Bezirk Bludenz",""],["Rohrbach an der Lafnitz",47.3833,16,"town",994,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Eisbach",47.1167,15.2667,"town",993,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Klein-Pöchlarn",48.2167,15.2167,"town",991,"AT","Lower Austria","Politischer Bezirk Melk",""],["Flirsch",47.15,10.4,"town",990,"AT","Tyrol","Politischer Bezirk Landeck",""],["Steinhaus",48.1161,14.0189,"town",990,"AT","Upper Austria","Wels-Land",""],["Grafenstein",46.6139,14.4672,"town",989,"AT","Carinthia","Politischer Bezirk Klagenfurt Land",""],["Rainbach im Mühlkreis",48.5576,14.4745,"town",989,"AT","Upper Austria","Politischer Bezirk Freistadt",""],["Dale",61.3635,5.4004,"town",988,"NO","Vestland","Fjaler",""],["Innerschwand",47.8333,13.4,"town",985,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Kirchberg an der Raab",46.9858,15.7669,"town",982,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Dalaas",47.1245,9.991,"town",981,"AT","Vorarlberg","Politischer Bezirk Bludenz",""],["Pylkönmäki",62.6667,24.8,"town",981,"FI","Central Finland","Saarijärvi-Viitasaari",""],["Sinabelkirchen",47.102,15.8279,"town",981,"AT","Styria","Politischer Bezirk Weiz",""],["Neuberg im Burgenland",47.1689,16.2605,"town",978,"AT","Burgenland","Politischer Bezirk Güssing",""],["Scheifling",47.1504,14.4128,"town",978,"AT","Styria","Politischer Bezirk Murau",""],["Altlengbach",48.1536,15.9261,"town",976,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Weppersdorf",47.5795,16.4268,"town",976,"AT","Burgenland","Politischer Bezirk Oberpullendorf",""],["Jerzens",47.1512,10.7469,"town",975,"AT","Tyrol","Politischer Bezirk Imst",""],["Kjøllefjord",70.9457,27.3465,"town",975,"NO","Finnmark","Lebesby",""],["Silvaplana",46.4581,9.7951,"town",973,"CH","Grisons","Region Maloja",""],["Allerheiligen bei Wildon",46.9142,15.5544,"town",972,"AT","Styria","Politischer Bezirk Leibnitz",""],["Sankt Michael in Obersteiermark",47.3384,15.0178,"town",972,"AT","Styria","Politischer Bezirk Leoben",""],["Nußdorf am Haunsberg",47.9594,13.0092,"town",970,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Grafenschachen",47.3667,16.0667,"town",968,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Lafnitz",47.3679,16.011,"town",967,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Dorfgastein",47.2417,13.1022,"town",966,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Trautmannsdorf an der Leitha",48.0236,16.6327,"town",966,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Meråker",63.4141,11.743,"town",961,"NO","Trøndelag","Meråker",""],["Kjøpsvik",68.097,16.3742,"town",960,"NO","","",""],["Sveio",59.5419,5.3518,"town",960,"NO","Vestland","Sveio",""],["Droß",48.4639,15.5756,"town",959,"AT","Lower Austria","Politischer Bezirk Krems",""],["Matrei am Brenner",47.1279,11.4518,"town",959,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Ballangen",68.3428,16.8315,"town",956,"NO","","",""],["Bernstein",47.4,16.25,"town",956,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Hailuoto",65.009,24.7139,"town",955,"FI","North Ostrobothnia","Oulu",""],["Rotenturm an der Pinka",47.25,16.25,"town",954,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Grimmenstein",47.6163,16.1272,"town",953,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Ærøskøbing",54.888,10.4112,"town",951,"DK","South Denmark","Ærø Kommune",""],["Kustavi",60.5453,21.3588,"town",951,"FI","Southwest Finland","Vakka-Suomi",""],["Schoppernau",47.312,10.0165,"town",950,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Wiesing",47.4049,11.7971,"town",947,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Sand",60.3922,11.5403,"town",946,"NO","Innlandet","Nord-Odal",""],["Polling in Tirol",47.2833,11.15,"town",945,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Rosendal",59.9859,6.0116,"town",945,"NO","Vestland","Kvinnherad",""],["Steinakirchen am Forst",48.0697,15.048,"town",945,"AT","Lower Austria","Politischer Bezirk Scheibbs",""],["Herrnbaumgarten",48.6961,16.6828,"town",943,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Chancy",46.15,5.9715,"town",942,"CH","Geneva","Geneva",""],["Schwarzenbach",47.6355,16.3511,"town",941,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Weissenbach an der Triesting",47.9821,16.0393,"town",941,"AT","Lower Austria","Politischer Bezirk Baden",""],["Weißenkirchen in der Wachau",48.3979,15.4693,"town",939,"AT","Lower Austria","Politischer Bezirk Krems",""],["Innervillgraten",46.8119,12.3747,"town",938,"AT","Tyrol","Politischer Bezirk Lienz",""],["Wildermieming",47.3167,11.0167,"town",935,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Au am Leithaberge",47.923,16.5579,"town",934,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Edlitz",47.598,16.1405,"town",934,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Ollersdorf im Burgenland",47.1833,16.1667,"town",933,"AT","Burgenland","Politischer Bezirk Güssing",""],["Zillingtal",47.8144,16.4093,"town",933,"AT","Burgenland","Eisenstadt-Umgebung",""],["Pöggstall",48.3173,15.2041,"town",929,"AT","Lower Austria","Politischer Bezirk Melk",""],["Lestijärvi",63.5333,24.65,"town",924,"FI","Central Ostrobothnia","Kaustinen",""],["Seebenstein",47.6994,16.1448,"town",924,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Ebenthal",48.4333,16.7833,"town",923,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Mürzhofen",47.4833,15.3833,"town",921,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Lendorf",46.8353,13.4303,"town",920,"AT","Carinthia","Politischer Bezirk Spittal an der Drau",""],["Kohfidisch",47.1747,16.357,"town",919,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Turnau",47.5578,15.3374,"town",916,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Maissau",48.573,15.83,"town",915,"AT","Lower Austria","Politischer Bezirk Hollabrunn",""],["Reichenthal",48.5429,14.3847,"town",915,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Berkåk",62.825,10.0118,"town",914,"NO","Trøndelag","Rennebu",""],["Groß Sankt Florian",46.8244,15.3186,"town",911,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Mühldorf",46.8603,13.3536,"town",911,"AT","Carinthia","Politischer Bezirk Spittal an der Drau",""],["Strallegg",47.4117,15.7253,"town",911,"AT","Styria","Politischer Bezirk Weiz",""],["Hohenruppersdorf",48.4644,16.6524,"town",910,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Wölflinswil",47.4607,7.9984,"town",910,"CH","Aargau","Bezirk Laufenburg",""],["Engelhartstetten",48.1816,16.8837,"town",907,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Klein-Neusiedl",48.0938,16.6066,"town",907,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Taxenbach",47.2912,12.9621,"town",907,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Spital am Semmering",47.6135,15.751,"town",906,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Luhanka",61.7968,25.7046,"town",905,"FI","Central Finland","Joutsa",""],["Baierdorf-Umgebung",47.2851,15.7104,"town",903,"AT","Styria","Politischer Bezirk Weiz",""],["Feldkirchen an der Donau",48.3452,14.0513,"town",903,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Ritzing",47.6132,16.4955,"town",902,"AT","Burgenland","Politischer Bezirk Oberpullendorf",""],["Eidenberg",48.3944,14.2331,"town",901,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Großkrut",48.6439,16.7236,"town",901,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Ungerdorf",47.0833,15.6667,"town",900,"AT","Styria","Politischer Bezirk Weiz",""],["Güttenbach",47.1571,16.2923,"town",898,"AT","Burgenland","Politischer Bezirk Güssing",""],["Schlüsslberg",48.2186,13.8716,"town",898,"AT","Upper Austria","Politischer Bezirk Grieskirchen",""],["Österbymo",57.8246,15.2736,"town",897,"SE","Östergötland","Ydre Kommun",""],["Paldau",46.9422,15.7958,"town",897,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Großrußbach",48.4741,16.4165,"town",895,"AT","Lower Austria","Politischer Bezirk Korneuburg",""],["Paudorf",48.3542,15.6185,"town",895,"AT","Lower Austria","Politischer Bezirk Krems",""],["Eidsvåg",62.7766,8.0655,"town",891,"NO","Møre og Romsdal","Molde",""],["Ølen",59.6044,5.808,"town",891,"NO","Rogaland","Vindafjord",""],["Siljan",59.2884,9.71,"town",891,"NO","Telemark","Siljan",""],["Telfes im Stubai",47.1667,11.3667,"town",891,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Storsteinnes",69.2408,19.2344,"town",890,"NO","Troms","Balsfjord",""],["Millstatt",46.8042,13.5806,"town",889,"AT","Carinthia","Politischer Bezirk Spittal an der Drau",""],["Oberlienz",46.8472,12.7314,"town",889,"AT","Tyrol","Politischer Bezirk Lienz",""],["Pflach",47.5167,10.7167,"town",888,"AT","Tyrol","Politischer Bezirk Reutte",""],["Kammern im Liesingtal",47.3924,14.9041,"town",885,"AT","Styria","Politischer Bezirk Leoben",""],["Drösing",48.539,16.9026,"town",882,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Schardenberg",48.5206,13.4979,"town",882,"AT","Upper Austria","Politischer Bezirk Schärding",""],["Guttaring",46.8854,14.5107,"town",878,"AT","Carinthia","Politischer Bezirk Sankt Veit an der Glan",""],["Krimml",47.218,12.1749,"town",876,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Haus",47.41,13.7672,"town",875,"AT","Styria","Politischer Bezirk Liezen",""],["Fischbach",47.4423,15.6497,"town",873,"AT","Styria","Politischer Bezirk Weiz",""],["Gvarv",59.3877,9.1724,"town",871,"NO","Telemark","Midt-Telemark",""],["Krottendorf",47.2,15.6333,"town",871,"AT","Styria","Politischer Bezirk Weiz",""],["Obervogau",46.745,15.5847,"town",871,"AT","Styria","Politischer Bezirk Leibnitz",""],["Zwettl an der Rodl",48.4655,14.2713,"town",870,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Scharans",46.7181,9.459,"town",867,"CH","Grisons","Region Viamala",""],["Hochwolkersdorf",47.6613,16.2807,"town",865,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Raiding",47.5658,16.5306,"town",865,"AT","Burgenland","Politischer Bezirk Oberpullendorf",""],["Schiefling am See",46.6044,14.0975,"town",864,"AT","Carinthia","Politischer Bezirk Klagenfurt Land",""],["Feistritz am Wechsel",47.6,16.05,"town",863,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Sankt Johann in der Haide",47.2808,16.0258,"town",862,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Berg",48.1015,17.0384,"town",861,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Preding",46.8586,15.4097,"town",860,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Tretten",61.3142,10.3007,"town",859,"NO","Innlandet","Øyer",""],["Kirchbach in Steiermark",46.9317,15.6619,"town",858,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Korgen",66.0766,13.8216,"town",858,"NO","Nordland","Hemnes",""],["Nestelbach bei Graz",47.0605,15.6114,"town",858,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Schwarzenau",48.7444,15.2584,"town",858,"AT","Lower Austria","Politischer Bezirk Zwettl",""],["Gurk",46.8739,14.2917,"town",857,"AT","Carinthia","Politischer Bezirk Sankt Veit an der Glan",""],["Hausbrunn",48.626,16.8284,"town",857,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Anger",47.2742,15.6914,"town",854,"AT","Styria","Politischer Bezirk Weiz",""],["Hohenberg",47.9068,15.62,"town",850,"AT","Lower Austria","Politischer Bezirk Lilienfeld",""],["Uderns",47.3167,11.8667,"town",848,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Piringsdorf",47.4483,16.4152,"town",847,"AT","Burgenland","Politischer Bezirk Oberpullendorf",""],["Pampigny",46.5809,6.4294,"town",843,"CH","Vaud","Morges District",""],["Rabenstein an der Pielach",48.0654,15.4677,"town",841,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Moen",69.1304,18.6123,"town",840,"NO","Troms","Målselv",""],["Stotzing",47.9069,16.5458,"town",840,"AT","Burgenland","Eisenstadt-Umgebung",""],["Reichenau im Mühlkreis",48.457,14.3488,"town",838,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Arnfels",46.6764,15.4031,"town",837,"AT","Styria","Politischer Bezirk Leibnitz",""],["Lanzenkirchen",47.7362,16.2199,"town",837,"AT","","",""],["Strass im Zillertal",47.3956,11.8197,"town",836,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Niedernsill",47.2833,12.65,"town",835,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Silbertal",47.0937,9.9831,"town",834,"AT","Vorarlberg","Politischer Bezirk Bludenz",""],["Markgrafneusiedl",48.2667,16.6333,"town",832,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Sankt Martin bei Lofer",47.5667,12.7,"town",832,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Bernhardsthal",48.6916,16.8695,"town",830,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Sankt Margarethen bei Knittelfeld",47.2167,14.8667,"town",830,"AT","Styria","Politischer Bezirk Murtal",""],["Poggersdorf",46.65,14.45,"town",829,"AT","Carinthia","Politischer Bezirk Klagenfurt Land",""],["Flachau",47.3441,13.3915,"town",827,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Stratzing",48.45,15.6,"town",827,"AT","Lower Austria","Politischer Bezirk Krems",""],["Straumen",67.3477,15.6049,"town",827,"NO","Nordland","Sørfold",""],["Gnadenwald",47.3167,11.5667,"town",826,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Ebersdorf",47.1985,15.9622,"town",825,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Griffen",46.7044,14.7328,"town",823,"AT","Carinthia","Politischer Bezirk Völkermarkt",""],["Schwendt",47.6318,12.3927,"town",823,"AT","Tyrol","Politischer Bezirk Kitzbühel",""],["Lyngseidet",69.5763,20.2189,"town",821,"NO","Troms","Lyngen",""],["Gnas",46.8731,15.8253,"town",818,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Kolsassberg",47.2815,11.6529,"town",817,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Heiligenkreuz im Lafnitztal",46.9892,16.2608,"town",814,"AT","Burgenland","Politischer Bezirk Jennersdorf",""],["Manger",60.6414,5.0414,"town",814,"NO","Vestland","Alver",""],["Sankt Radegund bei Graz",47.1817,15.4919,"town",814,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Bocksdorf",47.1426,16.1778,"town",813,"AT","Burgenland","Politischer Bezirk Güssing",""],["Schrattenberg",48.7236,16.722,"town",810,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Strassen",46.7539,12.4842,"town",808,"AT","Tyrol","Politischer Bezirk Lienz",""],["Trofors",65.5333,13.4063,"town",808,"NO","Nordland","Grane",""],["Raabs an der Thaya",48.85,15.5,"town",807,"AT","Lower Austria","Politischer Bezirk Waidhofen an der Thaya",""],["Sankt Stefan ob Stainz",46.9286,15.2589,"town",807,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Tulbing",48.2934,16.1223,"town",807,"AT","Lower Austria","Politischer Bezirk Tulln",""],["Guntersdorf",48.65,16.05,"town",806,"AT","Lower Austria","Politischer Bezirk Hollabrunn",""],["Oberloisdorf",47.4474,16.5076,"town",806,"AT","Burgenland","Politischer Bezirk Oberpullendorf",""],["Steinerkirchen an der Traun",48.0791,13.958,"town",803,"AT","Upper Austria","Wels-Land",""],["Dalen",59.445,8.0049,"town",801,"NO","Telemark","Tokke",""],["Haugsdorf",48.7076,16.0766,"town",801,"AT","Lower Austria","Politischer Bezirk Hollabrunn",""],["Pertlstein",46.9406,15.9617,"town",801,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Pfarrkirchen bei Bad Hall",48.0305,14.1991,"town",801,"AT","Upper Austria","Politischer Bezirk Steyr-Land",""],["Weyregg",47.9029,13.5719,"town",799,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Schnifis",47.2167,9.7331,"town",798,"AT","Vorarlberg","Politischer Bezirk Feldkirch",""],["Ardning",47.5912,14.3637,"town",797,"AT","Styria","Politischer Bezirk Liezen",""],["Hartl",47.1833,15.9167,"town",796,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Irdning",47.5053,14.1015,"town",794,"AT","Styria","Politischer Bezirk Liezen",""],["Wiesfleck",47.3846,16.1455,"town",794,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Neustift an der Lafnitz",47.3667,16.0333,"town",793,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Goldwörth",48.3266,14.1011,"town",792,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Kleinarl",47.2773,13.3195,"town",792,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Sankt Gallen",47.6863,14.6171,"town",792,"AT","Styria","Politischer Bezirk Liezen",""],["Gerlos",47.2246,12.0301,"town",790,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Hart im Zillertal",47.3511,11.8648,"town",789,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Teufenbach",47.1287,14.3591,"town",786,"AT","Styria","Politischer Bezirk Murau",""],["Ottenschlag",48.4239,15.2192,"town",785,"AT","Lower Austria","Politischer Bezirk Zwettl",""],["Sankt Ulrich am Waasen",46.9333,15.5333,"town",785,"AT","Styria","Politischer Bezirk Leibnitz",""],["Ainet",46.866,12.6897,"town",784,"AT","Tyrol","Politischer Bezirk Lienz",""],["Västanfjärd",60.05,22.6833,"town",783,"FI","Southwest Finland","Åboland-Turunmaa",""],["Ort im Innkreis",48.3165,13.4336,"town",781,"AT","Upper Austria","Politischer Bezirk Ried im Innkreis",""],["Loipersdorf bei Fürstenfeld",47,16.1,"town",779,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Echsenbach",48.7167,15.2167,"town",777,"AT","Lower Austria","Politischer Bezirk Zwettl",""],["Imsterberg",47.2052,10.696,"town",777,"AT","Tyrol","Politischer Bezirk Imst",""],["Wundschuh",46.9264,15.4511,"town",777,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Södingberg",47.107,15.1717,"town",774,"AT","Styria","Politischer Bezirk Voitsberg",""],["Dobersberg",48.9151,15.3219,"town",772,"AT","Lower Austria","Politischer Bezirk Waidhofen an der Thaya",""],["Kalwang",47.4268,14.7544,"town",772,"AT","Styria","Politischer Bezirk Leoben",""],["Taiskirchen im Innkreis",48.2647,13.5732,"town",772,"AT","Upper Austria","Politischer Bezirk Ried im Innkreis",""],["Göpfritz an der Wild",48.725,15.4024,"town",770,"AT","Lower Austria","Politischer Bezirk Zwettl",""],["Altlichtenwarth",48.6444,16.7966,"town",769,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Balestrand",61.2096,6.5361,"town",769,"NO","Vestland","Sogndal",""],["Kirchstetten",48.1833,15.8167,"town",769,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Altenmarkt bei Sankt Gallen",47.7233,14.6484,"town",767,"AT","Styria","Politischer Bezirk Liezen",""],["Bildstein",47.45,9.7667,"town",766,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Walpersbach",47.7167,16.2333,"town",766,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Fladnitz im Raabtal",46.9917,15.7853,"town",765,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Galtür",46.9667,10.1833,"town",765,"AT","Tyrol","Politischer Bezirk Landeck",""],["Hatzendorf",46.9769,16.0011,"town",762,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Dienten am Hochkönig",47.3832,13.0037,"town",761,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Filzmoos",47.4333,13.5167,"town",761,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Sankt Andrä im Lungau",47.15,13.7833,"town",761,"AT","Salzburg","Politischer Bezirk Tamsweg",""],["Außervillgraten",46.7875,12.4314,"town",760,"AT","Tyrol","Politischer Bezirk Lienz",""],["Enzenreith",47.6684,15.9525,"town",760,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Trautmannsdorf in Oststeiermark",46.8753,15.8845,"town",759,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Antau",47.7738,16.4798,"town",758,"AT","Burgenland","Politischer Bezirk Mattersburg",""],["Densbüren",47.4526,8.0533,"town",758,"CH","Aargau","Bezirk Aarau",""],["Gaflenz",47.8951,14.7248,"town",758,"AT","Upper Austria","Politischer Bezirk Steyr-Land",""],["Kartitsch",46.7289,12.5008,"town",756,"AT","Tyrol","Politischer Bezirk Lienz",""],["Neukirchen am Walde",48.4058,13.7816,"town",754,"AT","Upper Austria","Politischer Bezirk Grieskirchen",""],["Pruggern",47.4237,13.8763,"town",754,"AT","Styria","Politischer Bezirk Liezen",""],["Wolfsberg",46.8406,14.8442,"town",754,"AT","Carinthia","Politischer Bezirk Wolfsberg",""],["Tonstad",58.6626,6.7169,"town",751,"NO","Agder","Sirdal",""],["Liebenfels",46.7378,14.2867,"town",750,"AT","Carinthia","Politischer Bezirk Sankt Veit an der Glan",""],["Nitscha",47.1167,15.75,"town",750,"AT","Styria","Politischer Bezirk Weiz",""],["Sebersdorf",47.1865,15.9936,"town",750,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Leiben",48.2463,15.2746,"town",749,"AT","Lower Austria","Politischer Bezirk Melk",""],["Edelstal",48.1,16.9833,"town",747,"AT","Burgenland","Politischer Bezirk Neusiedl am See",""],["Schweiggers",48.6667,15.0667,"town",746,"AT","Lower Austria","Politischer Bezirk Zwettl",""],["Köttmannsdorf",46.5614,14.2339,"town",743,"AT","Carinthia","Politischer Bezirk Klagenfurt Land",""],["Mehamn",71.0414,27.8513,"town",742,"NO","Finnmark","Gamvik",""],["Rauchenwarth",48.0833,16.5279,"town",742,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Sankt Peter am Ottersbach",46.7978,15.7592,"town",740,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Bruck an der Großglocknerstraße",47.2849,12.8231,"town",739,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Wattenberg",47.2833,11.6,"town",739,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Sankt Nikolai ob Draßling",46.8089,15.6508,"town",738,"AT","Styria","Politischer Bezirk Leibnitz",""],["Wullersdorf",48.6279,16.1009,"town",737,"AT","Lower Austria","Politischer Bezirk Hollabrunn",""],["Alberndorf in der Riedmark",48.4061,14.4144,"town",736,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Pöttelsdorf",47.7537,16.4386,"town",735,"AT","Burgenland","Politischer Bezirk Mattersburg",""],["Jabing",47.2388,16.2766,"town",734,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Snåase",64.2457,12.3778,"town",733,"NO","Trøndelag","Snåase - Snåsa",""],["Hainzenberg",47.2179,11.9003,"town",731,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Zöbern",47.5146,16.1311,"town",729,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Engerwitzdorf",48.3451,14.442,"town",727,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Markt Sankt Martin",47.562,16.4251,"town",727,"AT","Burgenland","Politischer Bezirk Oberpullendorf",""],["Sankt Josef (Weststeiermark)",46.9092,15.3364,"town",727,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Kirchschlag bei Linz",48.4115,14.2766,"town",726,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Schwaderloch",47.5854,8.1446,"town",726,"CH","Aargau","Bezirk Laufenburg",""],["Sankt Margarethen im Lungau",47.0793,13.6961,"town",725,"AT","Salzburg","Politischer Bezirk Tamsweg",""],["Sankt Veit an der Gölsen",48.0432,15.6694,"town",725,"AT","Lower Austria","Politischer Bezirk Lilienfeld",""],["Söchau",47.0333,16.0167,"town",724,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Sjøvegan",68.8736,17.8471,"town",723,"NO","Troms","Salangen",""],["Stiwoll",47.1,15.2167,"town",722,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Emmersdorf an der Donau",48.2414,15.3372,"town",720,"AT","Lower Austria","Politischer Bezirk Melk",""],["Königsdorf",47,16.1667,"town",720,"AT","Burgenland","Politischer Bezirk Jennersdorf",""],["Sankt Michael im Burgenland",47.1285,16.2715,"town",720,"AT","Burgenland","Politischer Bezirk Güssing",""],["Brand",47.1008,9.7372,"town",719,"AT","Vorarlberg","Politischer Bezirk Bludenz",""],["Gampern",47.9888,13.5543,"town",718,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Kukmirn",47.0754,16.2103,"town",718,"AT","Burgenland","Politischer Bezirk Güssing",""],["Fügenberg",47.3521,11.8417,"town",717,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Walchsee",47.6516,12.3187,"town",717,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Wörschach",47.55,14.15,"town",717,"AT","Styria","Politischer Bezirk Liezen",""],["Erlauf",48.1833,15.1833,"town",716,"AT","Lower Austria","Politischer Bezirk Melk",""],["Oberhaag",46.6869,15.332,"town",716,"AT","Styria","Politischer Bezirk Leibnitz",""],["Sankt Oswald bei Plankenwarth",47.087,15.277,"town",716,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Sankt Anton im Montafon",47.1167,9.8667,"town",715,"AT","Vorarlberg","Politischer Bezirk Bludenz",""],["Vikeså",58.6376,6.0913,"town",715,"NO","Rogaland","Bjerkreim",""],["Weibern",48.1833,13.7,"town",711,"AT","Upper Austria","Politischer Bezirk Grieskirchen",""],["Allhaming",48.1525,14.1702,"town",710,"AT","Upper Austria","Politischer Bezirk Linz-Land",""],["Ligist",46.9939,15.2108,"town",708,"AT","Styria","Politischer Bezirk Voitsberg",""],["Weinburg",48.1135,15.5329,"town",708,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Pichl bei Wels",48.1852,13.8988,"town",707,"AT","Upper Austria","Wels-Land",""],["Pernegg an der Mur",47.3598,15.3424,"town",706,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Miesenbach",47.8404,15.9824,"town",703,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Edelsbach bei Feldbach",46.9894,15.8369,"town",702,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Regau",47.9908,13.6881,"town",702,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Fraxern",47.315,9.6739,"town",701,"AT","Vorarlberg","Politischer Bezirk Feldkirch",""],["Buchkirchen",48.2243,14.0224,"town",700,"AT","Upper Austria","Wels-Land",""],["Hadres",48.7097,16.1304,"town",700,"AT","Lower Austria","Politischer Bezirk Hollabrunn",""],["Unterwart",47.25,16.2333,"town",700,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Leitersdorf im Raabtal",46.9418,15.9337,"town",699,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Nöchling",48.2243,14.9812,"town",699,"AT","Lower Austria","Politischer Bezirk Melk",""],["Dienersdorf",47.2398,15.9014,"town",698,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Spielfeld",46.7056,15.6372,"town",698,"AT","Styria","Politischer Bezirk Leibnitz",""],["Bad Tatzmannsdorf",47.3313,16.2307,"town",697,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Stubenberg",47.2446,15.8003,"town",695,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Eberstein",46.8081,14.56,"town",694,"AT","Carinthia","Politischer Bezirk Sankt Veit an der Glan",""],["Werfenweng",47.462,13.2558,"town",694,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Edelsgrub",47.0333,15.6,"town",692,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Winklern",46.8736,12.8747,"town",690,"AT","Carinthia","Politischer Bezirk Spittal an der Drau",""],["Nikitsch",47.5361,16.6602,"town",687,"AT","Burgenland","Politischer Bezirk Oberpullendorf",""],["Waldzell",48.1356,13.427,"town",687,"AT","Upper Austria","Politischer Bezirk Ried im Innkreis",""],["Sistranda",63.7252,8.8332,"town",685,"NO","Trøndelag","Frøya",""],["Bad Kreuzen",48.2674,14.8065,"town",684,"AT","Upper Austria","Politischer Bezirk Perg",""],["Willendorf am Steinfelde",47.7893,16.0569,"town",684,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Unterfrauenhaid",47.5712,16.4989,"town",681,"AT","Burgenland","Politischer Bezirk Oberpullendorf",""],["Micheldorf",46.9167,14.4167,"town",678,"AT","Carinthia","Politischer Bezirk Sankt Veit an der Glan",""],["Alvdal",62.1077,10.6307,"town",677,"NO","Innlandet","Alvdal",""],["Dellach im Drautal",46.7375,13.0783,"town",677,"AT","Carinthia","Politischer Bezirk Spittal an der Drau",""],["Karrösten",47.2254,10.7656,"town",676,"AT","Tyrol","Politischer Bezirk Imst",""],["Paternion",46.7142,13.6361,"town",676,"AT","Carinthia","Politischer Bezirk Villach Land",""],["Röschitz",48.6431,15.8177,"town",675,"AT","","",""],["Ulvik",60.5679,6.9165,"town",675,"NO","Vestland","Ulvik",""],["Haringsee",48.1927,16.7874,"town",673,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Raggal",47.2108,9.8369,"town",673,"AT","Vorarlberg","Politischer Bezirk Bludenz",""],["Stronsdorf",48.6516,16.2989,"town",671,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Arbesbach",48.4934,14.9531,"town",669,"AT","Lower Austria","Politischer Bezirk Zwettl",""],["Würmla",48.255,15.8603,"town",669,"AT","Lower Austria","Politischer Bezirk Tulln",""],["Gallzein",47.3681,11.7716,"town",668,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Stadtschlaining",47.3167,16.2833,"town",668,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Übersbach",47.0232,16.0552,"town",668,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Feld am See",46.7764,13.7478,"town",667,"AT","Carinthia","Politischer Bezirk Villach Land",""],["Hirnsdorf",47.1917,15.8287,"town",667,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Oberndorf bei Schwanenstadt",48.0556,13.7568,"town",667,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Inndyr",67.0335,14.0266,"town",666,"NO","Nordland","Gildeskål",""],["Hürm",48.156,15.4126,"town",664,"AT","Lower Austria","Politischer Bezirk Melk",""],["Weng im Innkreis",48.2351,13.178,"town",664,"AT","Upper Austria","Politischer Bezirk Braunau am Inn",""],["Bavois",46.684,6.5671,"town",662,"CH","Vaud","Jura-Nord vaudois District",""],["Holzhausen",48.223,14.0968,"town",661,"AT","Upper Austria","Wels-Land",""],["Sankt Peter am Kammersberg",47.1871,14.1846,"town",661,"AT","Styria","Politischer Bezirk Murau",""],["Ehenbichl",47.4667,10.7,"town",660,"AT","Tyrol","Politischer Bezirk Reutte",""],["Pram",48.2354,13.6058,"town",660,"AT","Upper Austria","Politischer Bezirk Grieskirchen",""],["Reuthe",47.3711,9.8948,"town",658,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Baldramsdorf",46.8011,13.4533,"town",657,"AT","Carinthia","Politischer Bezirk Spittal an der Drau",""],["Ravelsbach",48.55,15.85,"town",657,"AT","Lower Austria","Politischer Bezirk Hollabrunn",""],["Obervellach",46.9367,13.2042,"town",654,"AT","Carinthia","Politischer Bezirk Spittal an der Drau",""],["Jedenspeigen",48.4981,16.8723,"town",653,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Ferndorf",46.7365,13.6266,"town",651,"AT","Carinthia","Politischer Bezirk Villach Land",""],["Kobenz",47.25,14.85,"town",651,"AT","Styria","Politischer Bezirk Murtal",""],["Mogersdorf",46.9492,16.2322,"town",650,"AT","Burgenland","Politischer Bezirk Jennersdorf",""],["Rindal",63.0555,9.2115,"town",649,"NO","Trøndelag","Rindal",""],["Leitzersdorf",48.4192,16.2451,"town",648,"AT","Lower Austria","Politischer Bezirk Korneuburg",""],["Dechantskirchen",47.4167,16.0167,"town",647,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Unterlamm",46.9769,16.0639,"town",647,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Riegersburg",47,15.9303,"town",646,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Tolga",62.409,10.9988,"town",646,"NO","Innlandet","Tolga",""],["Wernstein am Inn",48.508,13.461,"town",645,"AT","Upper Austria","Politischer Bezirk Schärding",""],["Bischofstetten",48.1222,15.4691,"town",644,"AT","Lower Austria","Politischer Bezirk Melk",""],["Oberndorf an der Melk",48.0639,15.2243,"town",644,"AT","Lower Austria","Politischer Bezirk Scheibbs",""],["Krensdorf",47.7855,16.415,"town",642,"AT","Burgenland","Politischer Bezirk Mattersburg",""],["Skjærhalden",59.0253,11.0368,"town",642,"NO","Østfold","Hvaler",""],["Windhaag bei Perg",48.2858,14.6809,"town",642,"AT","Upper Austria","Politischer Bezirk Perg",""],["Niederhollabrunn",48.4333,16.3,"town",641,"AT","Lower Austria","Politischer Bezirk Korneuburg",""],["Kviteseid",59.4022,8.4927,"town",640,"NO","Telemark","Kviteseid",""],["Großklein",46.7361,15.4444,"town",639,"AT","Styria","Politischer Bezirk Leibnitz",""],["Haslen",47.3693,9.3675,"town",638,"CH","Appenzell Innerrhoden","Appenzell Inner Rhodes",""],["Atzenbrugg",48.2912,15.9061,"town",637,"AT","Lower Austria","Politischer Bezirk Tulln",""],["Sankt Veit am Vogau",46.7405,15.6422,"town",636,"AT","Styria","Politischer Bezirk Leibnitz",""],["Ramsau",48.0031,15.8033,"town",635,"AT","Lower Austria","Politischer Bezirk Lilienfeld",""],["Sigmundsherberg",48.6833,15.75,"town",635,"AT","Lower Austria","Politischer Bezirk Horn",""],["Raasdorf",48.2466,16.5653,"town",633,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Altenmarkt bei Fürstenfeld",47.0664,16.0479,"town",631,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Langschlag",48.5745,14.8846,"town",631,"AT","Lower Austria","Politischer Bezirk Zwettl",""],["Utzenaich",48.2762,13.4609,"town",631,"AT","Upper Austria","Politischer Bezirk Ried im Innkreis",""],["Zell am Moos",47.9,13.3167,"town",631,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Abfaltersbach",46.7572,12.5283,"town",630,"AT","Tyrol","Politischer Bezirk Lienz",""],["Gossendorf",46.9108,15.9304,"town",630,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Weitersfeld",48.781,15.8134,"town",630,"AT","Lower Austria","Politischer Bezirk Horn",""],["Übersaxen",47.2528,9.6708,"town",629,"AT","Vorarlberg","Politischer Bezirk Feldkirch",""],["Biberwier",47.3833,10.9,"town",628,"AT","Tyrol","Politischer Bezirk Reutte",""],["Feistritz an der Gail",46.5775,13.6067,"town",627,"AT","Carinthia","Politischer Bezirk Villach Land",""],["Langau",48.8321,15.7156,"town",627,"AT","Lower Austria","Politischer Bezirk Horn",""],["Houtskär",60.2228,21.3722,"town",626,"FI","Southwest Finland","Åboland-Turunmaa",""],["Os",62.4965,11.2233,"town",626,"NO","Innlandet","Os",""],["Kleinzell",47.9799,15.7362,"town",624,"AT","Lower Austria","Politischer Bezirk Lilienfeld",""],["Terråk",65.087,12.3715,"town",623,"NO","Nordland","Bindal",""],["Sitzendorf an der Schmida",48.5984,15.9425,"town",622,"AT","Lower Austria","Politischer Bezirk Hollabrunn",""],["Ranten",47.1595,14.0835,"town",621,"AT","Styria","Politischer Bezirk Murau",""],["Kaisersdorf",47.5374,16.392,"town",620,"AT","Burgenland","Politischer Bezirk Oberpullendorf",""],["Dellach",46.6617,13.0797,"town",619,"AT","Carinthia","Politischer Bezirk Hermagor",""],["Kaumberg",48.0241,15.8984,"town",619,"AT","Lower Austria","Politischer Bezirk Lilienfeld",""],["Niederleis",48.55,16.4,"town",619,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Asperhofen",48.2458,15.9261,"town",617,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Hundorp",61.5552,9.9407,"town",615,"NO","Innlandet","Sør-Fron",""],["Tauplitz",47.56,14.0129,"town",615,"AT","Styria","Politischer Bezirk Liezen",""],["Feistritz bei Knittelfeld",47.268,14.8933,"town",614,"AT","Styria","Politischer Bezirk Murtal",""],["Lutzmannsburg",47.4637,16.6366,"town",614,"AT","Burgenland","Politischer Bezirk Oberpullendorf",""],["Mooskirchen",46.9817,15.2789,"town",614,"AT","Styria","Politischer Bezirk Voitsberg",""],["Pirching am Traubenberg",46.95,15.6,"town",614,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Reichendorf",47.1892,15.7616,"town",614,"AT","Styria","Politischer Bezirk Weiz",""],["Deutsch Jahrndorf",48.0167,17.1,"town",611,"AT","Burgenland","Politischer Bezirk Neusiedl am See",""],["Oberzeiring",47.25,14.4833,"town",611,"AT","Styria","Politischer Bezirk Murtal",""],["Pistorf",46.7667,15.3667,"town",611,"AT","Styria","Politischer Bezirk Leibnitz",""],["Thaya",48.8549,15.289,"town",611,"AT","Lower Austria","Politischer Bezirk Waidhofen an der Thaya",""],["Gries im Sellrain",47.1955,11.1562,"town",610,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Karres",47.2167,10.7833,"town",609,"AT","Tyrol","Politischer Bezirk Imst",""],["Krakaudorf",47.1813,14.0206,"town",609,"AT","Styria","Politischer Bezirk Murau",""],["Pians",47.1349,10.5124,"town",609,"AT","Tyrol","Politischer Bezirk Landeck",""],["Oberwang",47.8667,13.4333,"town",608,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Bagn",60.8225,9.5521,"town",607,"NO","Innlandet","Sør-Aurdal",""],["Mönichkirchen",47.5106,16.0343,"town",606,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Hüttschlag",47.1763,13.2324,"town",605,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Lackendorf",47.59,16.504,"town",604,"AT","Burgenland","Politischer Bezirk Oberpullendorf",""],["Lend",47.2986,13.0518,"town",603,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Viehhofen",47.3667,12.7333,"town",603,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Pfons",47.142,11.4607,"town",602,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Potzneusiedl",48.045,16.9477,"town",602,"AT","Burgenland","Politischer Bezirk Neusiedl am See",""],["Raabau",46.9628,15.9117,"town",602,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Evenskjer",68.5828,16.572,"town",601,"NO","Troms","Tjeldsund",""],["Ratschendorf",46.7422,15.8158,"town",601,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Seckau",47.2667,14.7833,"town",601,"AT","Styria","Politischer Bezirk Murtal",""],["Kopfing im Innkreis",48.4399,13.6584,"town",600,"AT","Upper Austria","Politischer Bezirk Schärding",""],["Rabenwald",47.4,15.9,"town",600,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Strem",47.045,16.4143,"town",599,"AT","Burgenland","Politischer Bezirk Güssing",""],["Wettmannstätten",46.8306,15.3872,"town",599,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Halbenrain",46.7219,15.9467,"town",598,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Nikolsdorf",46.7858,12.9133,"town",598,"AT","Tyrol","Politischer Bezirk Lienz",""],["Hauskirchen",48.6,16.7667,"town",597,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Aure",63.2679,8.5291,"town",596,"NO","Møre og Romsdal","Aure",""],["Klösterle",47.1333,10.0833,"town",596,"AT","Vorarlberg","Politischer Bezirk Bludenz",""],["Niederwölz",47.1513,14.3748,"town",596,"AT","Styria","Politischer Bezirk Murau",""],["Pilgersdorf",47.4411,16.3492,"town",594,"AT","Burgenland","Politischer Bezirk Oberpullendorf",""],["Otterthal",47.6167,15.9333,"town",592,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Bruck am Ziller",47.39,11.8512,"town",590,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Hundsheim",48.1175,16.9358,"town",590,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Kautzen",48.93,15.2393,"town",589,"AT","Lower Austria","Politischer Bezirk Waidhofen an der Thaya",""],["Mellach",46.9333,15.5167,"town",589,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Puch bei Weiz",47.2167,15.7167,"town",589,"AT","Styria","Politischer Bezirk Weiz",""],["Wang",48.0454,15.0267,"town",588,"AT","Lower Austria","Politischer Bezirk Scheibbs",""],["Gosdorf",46.7278,15.7925,"town",587,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Folldal",62.1325,9.9968,"town",586,"NO","Innlandet","Folldal",""],["Gerersdorf",48.2009,15.5561,"town",584,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Wernberg",46.6167,13.9333,"town",584,"AT","Carinthia","Politischer Bezirk Villach Land",""],["Gersdorf an der Feistritz",47.1667,15.85,"town",583,"AT","Styria","Politischer Bezirk Weiz",""],["Zederhaus",47.1557,13.5058,"town",583,"AT","Salzburg","Politischer Bezirk Tamsweg",""],["Hieflau",47.6064,14.745,"town",580,"AT","Styria","Politischer Bezirk Liezen",""],["Eltendorf",47.0087,16.2024,"town",579,"AT","Burgenland","Politischer Bezirk Jennersdorf",""],["Stanz bei Landeck",47.1476,10.5534,"town",577,"AT","Tyrol","Politischer Bezirk Landeck",""],["Rettenegg",47.5269,15.781,"town",575,"AT","Styria","Politischer Bezirk Weiz",""],["Hofstätten an der Raab",47.0667,15.7333,"town",574,"AT","Styria","Politischer Bezirk Weiz",""],["Rohrberg",47.2333,11.9167,"town",574,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Bad Gams",46.8711,15.2247,"town",573,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Åmli",58.7657,8.4839,"town",572,"NO","Agder","Åmli",""],["Bürserberg",47.1464,9.7774,"town",572,"AT","Vorarlberg","Politischer Bezirk Bludenz",""],["Eschenau",48.0483,15.5669,"town",572,"AT","Lower Austria","Politischer Bezirk Lilienfeld",""],["Eidfjord",60.4675,7.0719,"town",569,"NO","Vestland","Eidfjord",""],["Mannersdorf an der Rabnitz",47.4282,16.5268,"town",568,"AT","Burgenland","Politischer Bezirk Oberpullendorf",""],["Saint-Livres",46.5079,6.3875,"town",568,"CH","Vaud","Morges District",""],["Wartmannstetten",47.6936,16.0751,"town",566,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Wald am Schoberpaß",47.4494,14.6757,"town",565,"AT","Styria","Politischer Bezirk Leoben",""],["Weitensfeld",46.8474,14.1921,"town",565,"AT","Carinthia","Politischer Bezirk Sankt Veit an der Glan",""],["Sankt Martin an der Raab",46.9225,16.1361,"town",564,"AT","Burgenland","Politischer Bezirk Jennersdorf",""],["Himmelberg",46.7567,14.0306,"town",563,"AT","Carinthia","Politischer Bezirk Feldkirchen",""],["Leland",66.0641,12.9433,"town",563,"NO","Nordland","Leirfjord",""],["Kleinsölk",47.3944,13.9394,"town",562,"AT","Styria","Politischer Bezirk Liezen",""],["Fresach",46.7156,13.6908,"town",560,"AT","Carinthia","Politischer Bezirk Villach Land",""],["Judaberg",59.172,5.8762,"town",560,"NO","Rogaland","Stavanger",""],["Unterstinkenbrunn",48.6677,16.3461,"town",560,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Altenmarkt an der Triesting",48.0155,15.9966,"town",559,"AT","Lower Austria","Politischer Bezirk Baden",""],["Faistenau",47.7777,13.2339,"town",559,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Mils bei Imst",47.2062,10.6748,"town",559,"AT","Tyrol","Politischer Bezirk Imst",""],["Mailberg",48.6738,16.1813,"town",558,"AT","Lower Austria","Politischer Bezirk Hollabrunn",""],["Leisach",46.8125,12.7486,"town",557,"AT","Tyrol","Politischer Bezirk Lienz",""],["Leutschach",46.6672,15.4689,"town",557,"AT","Styria","Politischer Bezirk Leibnitz",""],["Göstling an der Ybbs",47.8066,14.938,"town",556,"AT","Lower Austria","Politischer Bezirk Scheibbs",""],["Sørland",67.6656,12.6978,"town",556,"NO","Nordland","Værøy",""],["Stummerberg",47.2833,11.9167,"town",556,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Hollenstein an der Ybbs",47.803,14.7731,"town",554,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Ramingstein",47.0746,13.8364,"town",553,"AT","Salzburg","Politischer Bezirk Tamsweg",""],["Warth",47.65,16.1167,"town",553,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Wängle",47.4866,10.6899,"town",552,"AT","Tyrol","Politischer Bezirk Reutte",""],["Kirnberg an der Mank",48.0725,15.3223,"town",551,"AT","Lower Austria","Politischer Bezirk Melk",""],["Mischendorf",47.1928,16.3144,"town",551,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Wolfsberg im Schwarzautal",46.8439,15.6589,"town",551,"AT","Styria","Politischer Bezirk Leibnitz",""],["Sankt Margarethen an der Sierning",48.1591,15.4906,"town",550,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Trattenbach",47.6,15.8667,"town",545,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Myra",58.7492,8.8625,"town",544,"NO","Agder","Vegårshei",""],["Semmering",47.6335,15.8299,"town",544,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Großmugl",48.4992,16.2306,"town",543,"AT","Lower Austria","Politischer Bezirk Korneuburg",""],["Nestelbach im Ilztal",47.0833,15.8667,"town",543,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Bichlbach",47.4203,10.7904,"town",542,"AT","Tyrol","Politischer Bezirk Reutte",""],["Sande",61.3251,5.7977,"town",542,"NO","","",""],["Stetteldorf am Wagram",48.4081,16.0186,"town",542,"AT","Lower Austria","Politischer Bezirk Korneuburg",""],["Harmannsdorf",48.3972,16.3722,"town",541,"AT","Lower Austria","Politischer Bezirk Korneuburg",""],["Forstau",47.3784,13.5556,"town",540,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Sankt Georgen an der Stiefing",46.8733,15.5797,"town",540,"AT","Styria","Politischer Bezirk Leibnitz",""],["Drasenhofen",48.75,16.65,"town",537,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Häselgehr",47.3167,10.5,"town",537,"AT","Tyrol","Politischer Bezirk Reutte",""],["Möggers",47.5667,9.8167,"town",534,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Stallhof",46.8833,15.2833,"town",534,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Seibersdorf",47.9586,16.5184,"town",533,"AT","Lower Austria","Politischer Bezirk Baden",""],["Heiterwang",47.45,10.75,"town",532,"AT","Tyrol","Politischer Bezirk Reutte",""],["Vals",47.0451,11.5328,"town",532,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Ladis",47.0746,10.6495,"town",531,"AT","Tyrol","Politischer Bezirk Landeck",""],["Vikevåg",59.0975,5.6979,"town",529,"NO","","",""],["Erl",47.6833,12.1833,"town",528,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Markt Neuhodis",47.2957,16.3956,"town",526,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Sankt Blasen",47.0833,14.3,"town",525,"AT","Styria","Politischer Bezirk Murau",""],["Sankt Kathrein am Hauenstein",47.4894,15.6941,"town",525,"AT","Styria","Politischer Bezirk Weiz",""],["Seggauberg",46.7667,15.5167,"town",525,"AT","Styria","Politischer Bezirk Leibnitz",""],["Oberaich",47.4,15.2167,"town",523,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Sankt Bartholomä",47.0546,15.2589,"town",522,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Kirchberg am Walde",48.7248,15.0883,"town",520,"AT","Lower Austria","Politischer Bezirk Gmünd",""],["Strengberg",48.1469,14.6515,"town",520,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Gams bei Hieflau",47.6667,14.7833,"town",517,"AT","Styria","Politischer Bezirk Liezen",""],["Krakauhintermühlen",47.1833,13.9833,"town",517,"AT","Styria","Politischer Bezirk Murau",""],["Tobadill",47.1251,10.514,"town",516,"AT","Tyrol","Politischer Bezirk Landeck",""],["Metnitz",46.9806,14.2167,"town",515,"AT","Carinthia","Politischer Bezirk Sankt Veit an der Glan",""],["Øksfjord",70.2394,22.3507,"town",515,"NO","Finnmark","Loppa",""],["Hirschbach",48.7433,15.1252,"town",514,"AT","Lower Austria","Politischer Bezirk Gmünd",""],["Sankt Lorenzen am Wechsel",47.4415,15.955,"town",514,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Lonevåg",60.5256,5.4956,"town",513,"NO","Vestland","Osterøy",""],["Oberweg",47.15,14.6333,"town",513,"AT","Styria","Politischer Bezirk Murtal",""],["Rettenschöss",47.6572,12.2687,"town",513,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Larsnes",62.2028,5.5773,"town",511,"NO","Møre og Romsdal","Sande",""],["Fillan",63.6064,8.9696,"town",510,"NO","Trøndelag","Hitra",""],["Raning",46.85,15.8167,"town",510,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Sankt Lorenzen bei Knittelfeld",47.2508,14.8955,"town",510,"AT","Styria","Politischer Bezirk Murtal",""],["Heiligenkreuz",48.0556,16.1249,"town",509,"AT","Lower Austria","Politischer Bezirk Baden",""],["Herzogsdorf",48.4301,14.1128,"town",509,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Steindorf am Ossiacher See",46.6983,14.0092,"town",507,"AT","Carinthia","Politischer Bezirk Feldkirchen",""],["Stall",46.8906,13.0369,"town",505,"AT","Carinthia","Politischer Bezirk Spittal an der Drau",""],["Arzberg",47.25,15.5167,"town",503,"AT","Styria","Politischer Bezirk Weiz",""],["Rastenfeld",48.5735,15.3318,"town",503,"AT","Lower Austria","Politischer Bezirk Krems",""],["Kauns",47.0782,10.6922,"town",502,"AT","Tyrol","Politischer Bezirk Landeck",""],["Empersdorf",46.9989,15.5996,"town",499,"AT","Styria","Politischer Bezirk Leibnitz",""],["Rüstorf",48.0433,13.7898,"town",498,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Eberschwang",48.155,13.5619,"town",497,"AT","Upper Austria","Politischer Bezirk Ried im Innkreis",""],["Pabneukirchen",48.3237,14.8175,"town",497,"AT","Upper Austria","Politischer Bezirk Perg",""],["Wolfpassing",48.0778,15.0645,"town",493,"AT","Lower Austria","Politischer Bezirk Scheibbs",""],["Hohenau an der Raab",47.3,15.55,"town",492,"AT","Styria","Politischer Bezirk Weiz",""],["Amlach",46.8164,12.7636,"town",489,"AT","Tyrol","Politischer Bezirk Lienz",""],["Neuhaus am Klausenbach",46.8667,16.0333,"town",489,"AT","Burgenland","Politischer Bezirk Jennersdorf",""],["Sonntagberg",47.9956,14.7607,"town",488,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Wörterberg",47.2167,16.1,"town",488,"AT","Burgenland","Politischer Bezirk Güssing",""],["Kirchbach",46.6416,13.1845,"town",487,"AT","Carinthia","Politischer Bezirk Hermagor",""],["Mettersdorf am Saßbach",46.8058,15.7111,"town",487,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Martinsberg",48.3755,15.15,"town",483,"AT","Lower Austria","Politischer Bezirk Zwettl",""],["Großharras",48.6639,16.2456,"town",482,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Bad Schönau",47.4947,16.2341,"town",481,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Fedje",60.7789,4.7149,"town",480,"NO","Vestland","Fedje",""],["Eckartsau",48.1451,16.7974,"town",478,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Niederthalheim",48.099,13.7687,"town",478,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Traboch",47.377,14.9865,"town",478,"AT","Styria","Politischer Bezirk Leoben",""],["Eggern",48.9083,15.1488,"town",477,"AT","Lower Austria","Politischer Bezirk Gmünd",""],["Reinsberg",47.9857,15.0707,"town",477,"AT","Lower Austria","Politischer Bezirk Scheibbs",""],["Windhaag bei Freistadt",48.5877,14.5619,"town",477,"AT","Upper Austria","Politischer Bezirk Freistadt",""],["Rohr im Gebirge",47.8947,15.736,"town",476,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Hofamt Priel",48.1958,15.0775,"town",475,"AT","Lower Austria","Politischer Bezirk Melk",""],["Loretto",47.9156,16.5179,"town",475,"AT","Burgenland","Eisenstadt-Umgebung",""],["Steinshamn",62.7839,6.4707,"town",475,"NO","","",""],["Neustift bei Güssing",47.0247,16.2604,"town",474,"AT","Burgenland","Politischer Bezirk Güssing",""],["Schlaiten",46.8794,12.6542,"town",474,"AT","Tyrol","Politischer Bezirk Lienz",""],["Geras",48.7972,15.6727,"town",473,"AT","Lower Austria","Politischer Bezirk Horn",""],["Hernstein",47.8946,16.1056,"town",473,"AT","Lower Austria","Politischer Bezirk Baden",""],["Gedersdorf",48.4332,15.6887,"town",471,"AT","Lower Austria","Politischer Bezirk Krems",""],["Sankt Nikolai im Sölktal",47.3167,14.05,"town",470,"AT","Styria","Politischer Bezirk Liezen",""],["Midsund",62.6739,6.6741,"town",468,"NO","Møre og Romsdal","Molde",""],["Rosegg",46.5883,14.0172,"town",468,"AT","Carinthia","Politischer Bezirk Villach Land",""],["Aibl",46.6814,15.2262,"town",466,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Gerlosberg",47.2167,11.9333,"town",465,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Prestfoss",60.0434,9.6352,"town",465,"NO","Buskerud","Sigdal",""],["Sankt Peter im Sulmtal",46.75,15.25,"town",465,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Skogsvågen",60.2551,5.1016,"town",465,"NO","","",""],["Wildalpen",47.65,14.9833,"town",464,"AT","Styria","Politischer Bezirk Liezen",""],["Floing",47.2636,15.7465,"town",463,"AT","Styria","Politischer Bezirk Weiz",""],["Sankt Georgen an der Leys",48.0315,15.2272,"town",463,"AT","Lower Austria","Politischer Bezirk Scheibbs",""],["Schildorn",48.1456,13.4631,"town",463,"AT","Upper Austria","Politischer Bezirk Ried im Innkreis",""],["Großsölk",47.4167,13.9667,"town",462,"AT","Styria","Politischer Bezirk Liezen",""],["Schottwien",47.6568,15.8725,"town",462,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Bachmanning",48.131,13.7944,"town",460,"AT","Upper Austria","Wels-Land",""],["Granvin",60.5241,6.7194,"town",460,"NO","Vestland","Voss",""],["Kainach bei Voitsberg",47.1364,15.0953,"town",460,"AT","Styria","Politischer Bezirk Voitsberg",""],["Bad Blumau",47.1167,16.05,"town",459,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Kinsarvik",60.3757,6.7195,"town",459,"NO","Vestland","Ullensvang",""],["Niederöblarn",47.4767,14.0194,"town",459,"AT","Styria","Politischer Bezirk Liezen",""],["Stein",46.9978,16.0869,"town",458,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Atzbach",48.0836,13.7035,"town",457,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Falkenstein",48.7167,16.5833,"town",457,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Kasten bei Böheimkirchen",48.1532,15.7795,"town",457,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Stanzach",47.3833,10.5667,"town",455,"AT","Tyrol","Politischer Bezirk Reutte",""],["Koppl",47.8081,13.1556,"town",453,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Lauvsnes",64.5006,10.894,"town",453,"NO","Trøndelag","Flatanger",""],["Gutenbrunn",48.3652,15.119,"town",452,"AT","Lower Austria","Politischer Bezirk Zwettl",""],["Hafnerbach",48.2167,15.4833,"town",452,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Bierbaum am Auersbach",46.8295,15.7924,"town",451,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Rohrau",48.0667,16.85,"town",451,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Pusterwald",47.3061,14.3756,"town",450,"AT","Styria","Politischer Bezirk Murtal",""],["Studenzen",47.0058,15.7542,"town",449,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Lilienfeld",48.0131,15.5966,"town",447,"AT","Lower Austria","Politischer Bezirk Lilienfeld",""],["Oberdorf am Hochegg",46.9786,15.7217,"town",446,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Greisdorf",46.9265,15.2191,"town",445,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Moosdorf",48.0449,12.989,"town",445,"AT","Upper Austria","Politischer Bezirk Braunau am Inn",""],["Zettling",46.9522,15.4342,"town",444,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Obertilliach",46.7106,12.6144,"town",443,"AT","Tyrol","Politischer Bezirk Lienz",""],["Thomasberg",47.5667,16.1333,"town",442,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Edelstauden",46.9833,15.6167,"town",440,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Schachendorf",47.2667,16.4333,"town",440,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Altenburg",48.6476,15.593,"town",439,"AT","Lower Austria","Politischer Bezirk Horn",""],["Dovre",61.9875,9.2556,"town",439,"NO","Innlandet","Dovre",""],["Frankenfels",47.9823,15.3259,"town",439,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Gryllefjord",69.363,17.0528,"town",439,"NO","","",""],["Kapfenstein",46.8861,15.9717,"town",437,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Eikelandsosen",60.2418,5.7443,"town",434,"NO","","",""],["Gschnitz",47.0447,11.3509,"town",434,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Keutschach am See",46.5931,14.1889,"town",434,"AT","Carinthia","Politischer Bezirk Klagenfurt Land",""],["Mariasdorf",47.3658,16.2314,"town",434,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Michaelerberg",47.4108,13.8933,"town",434,"AT","Styria","Politischer Bezirk Liezen",""],["Schöder",47.1833,14.1,"town",433,"AT","Styria","Politischer Bezirk Murau",""],["Stadl an der Mur",47.0833,13.9667,"town",433,"AT","Styria","Politischer Bezirk Murau",""],["Schäffern",47.4777,16.1096,"town",432,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Irschen",46.7569,13.0253,"town",430,"AT","Carinthia","Politischer Bezirk Spittal an der Drau",""],["Pailly",46.7012,6.6754,"town",430,"CH","Vaud","Gros-de-Vaud District",""],["Kapellen",47.6478,15.6286,"town",428,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Ottenthal",48.761,16.5791,"town",428,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Diex",46.75,14.6,"town",427,"AT","Carinthia","Politischer Bezirk Völkermarkt",""],["Eichenberg",47.5333,9.7833,"town",427,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Pattigham",48.1552,13.4844,"town",427,"AT","Upper Austria","Politischer Bezirk Ried im Innkreis",""],["Unken",47.6497,12.7295,"town",426,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Aigen im Ennstal",47.5167,14.1333,"town",425,"AT","Styria","Politischer Bezirk Liezen",""],["Großriedenthal",48.4833,15.8667,"town",423,"AT","Lower Austria","Politischer Bezirk Tulln",""],["Aurach am Hongar",47.9518,13.6729,"town",422,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Hollenthon",47.5894,16.2613,"town",422,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Terfens",47.3235,11.6439,"town",417,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Hollersbach im Pinzgau",47.2766,12.4233,"town",415,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Holzgau",47.2604,10.3442,"town",412,"AT","Tyrol","Politischer Bezirk Reutte",""],["Sankt Peter am Hart",48.2527,13.0961,"town",412,"AT","Upper Austria","Politischer Bezirk Braunau am Inn",""],["Düns",47.2235,9.7166,"town",411,"AT","Vorarlberg","Politischer Bezirk Feldkirch",""],["Rattenberg",47.4394,11.8941,"town",411,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Viktorsberg",47.3009,9.6748,"town",411,"AT","Vorarlberg","Politischer Bezirk Feldkirch",""],["Hüttau",47.4161,13.3078,"town",410,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Pack",46.9792,14.9842,"town",410,"AT","Styria","Politischer Bezirk Voitsberg",""],["Pramet",48.1429,13.4875,"town",410,"AT","Upper Austria","Politischer Bezirk Ried im Innkreis",""],["Wies",46.7203,15.2719,"town",409,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Klaffer am Hochficht",48.6954,13.8813,"town",408,"AT","Upper Austria","Politischer Bezirk Rohrbach",""],["Scharndorf",48.094,16.7988,"town",408,"AT","Lower Austria","Politischer Bezirk Bruck an der Leitha",""],["Waldegg",47.8685,16.0515,"town",408,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Aistersheim",48.1868,13.7417,"town",407,"AT","Upper Austria","Politischer Bezirk Grieskirchen",""],["Geboltskirchen",48.1534,13.6336,"town",407,"AT","Upper Austria","Politischer Bezirk Grieskirchen",""],["Hannersdorf",47.2289,16.3825,"town",407,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Attersee",47.9165,13.5395,"town",401,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Elbigenalp",47.2904,10.4361,"town",401,"AT","Tyrol","Politischer Bezirk Reutte",""],["Sankt Marein bei Neumarkt",47.0659,14.4291,"town",401,"AT","Styria","Politischer Bezirk Murau",""],["Sibratsgfäll",47.4267,10.0381,"town",401,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Moschendorf",47.0584,16.4773,"town",400,"AT","Burgenland","Politischer Bezirk Güssing",""],["Flattach",46.9386,13.1344,"town",396,"AT","Carinthia","Politischer Bezirk Spittal an der Drau",""],["Klöch",46.7647,15.9656,"town",396,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Mühlgraben",46.8897,16.0408,"town",396,"AT","Burgenland","Politischer Bezirk Jennersdorf",""],["Oberwölz Stadt",47.2012,14.2832,"town",396,"AT","Styria","Politischer Bezirk Murau",""],["Sankt Johann bei Herberstein",47.2,15.8,"town",395,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Taufkirchen an der Trattnach",48.2473,13.7477,"town",394,"AT","Upper Austria","Politischer Bezirk Grieskirchen",""],["Merkendorf",46.8572,15.9039,"town",393,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Bogen",68.5265,16.9928,"town",392,"NO","Nordland","Evenes",""],["Aggsbach",48.294,15.4038,"town",391,"AT","Lower Austria","Politischer Bezirk Krems",""],["Kappel am Krappfeld",46.8386,14.4864,"town",391,"AT","Carinthia","Politischer Bezirk Sankt Veit an der Glan",""],["Musau",47.532,10.6734,"town",391,"AT","Tyrol","Politischer Bezirk Reutte",""],["Därligen",46.6617,7.8081,"town",390,"CH","Bern","Interlaken-Oberhasli District",""],["Sankt Corona am Wechsel",47.5833,16,"town",390,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Waidmannsfeld",47.8704,15.9812,"town",390,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Ballens",46.5549,6.3731,"town",389,"CH","Vaud","Morges District",""],["Grafenschlag",48.5,15.1667,"town",389,"AT","Lower Austria","Politischer Bezirk Zwettl",""],["Redlham",48.0244,13.7474,"town",389,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Kaibing",47.2,15.8333,"town",388,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Rangersdorf",46.86,12.9492,"town",387,"AT","Carinthia","Politischer Bezirk Spittal an der Drau",""],["Sallingberg",48.4667,15.2333,"town",387,"AT","Lower Austria","Politischer Bezirk Zwettl",""],["Jaidhof",48.5333,15.4833,"town",385,"AT","Lower Austria","Politischer Bezirk Krems",""],["Desselbrunn",48.0215,13.7703,"town",384,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Michaelnbach",48.2879,13.8314,"town",383,"AT","Upper Austria","Politischer Bezirk Grieskirchen",""],["Zellberg",47.2333,11.85,"town",383,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Deutsch Goritz",46.7508,15.8294,"town",382,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Nesselwängle",47.4833,10.6167,"town",381,"AT","Tyrol","Politischer Bezirk Reutte",""],["Perwang am Grabensee",48.0069,13.083,"town",381,"AT","Upper Austria","Politischer Bezirk Braunau am Inn",""],["Wörth an der Lafnitz",47.2137,16.0808,"town",381,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Breitenfeld an der Rittschein",47.0333,15.95,"town",380,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Eichberg",47.3819,15.9736,"town",380,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Hof bei Straden",46.8,15.9333,"town",380,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Rohr im Burgenland",47.1167,16.1667,"town",380,"AT","Burgenland","Politischer Bezirk Güssing",""],["Sankt Johann im Saggautal",46.7039,15.4028,"town",380,"AT","Styria","Politischer Bezirk Leibnitz",""],["Leogang",47.4391,12.7611,"town",377,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Sankt Peter ob Judenburg",47.1842,14.5864,"town",377,"AT","Styria","Politischer Bezirk Murtal",""],["Gaubitsch",48.65,16.3833,"town",375,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Wald im Pinzgau",47.25,12.2333,"town",373,"AT","Salzburg","Politischer Bezirk Zell am See",""],["Wagrain",47.3353,13.2989,"town",372,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Wendling",48.2318,13.6662,"town",372,"AT","Upper Austria","Politischer Bezirk Grieskirchen",""],["Allerheiligen im Mühlkreis",48.3021,14.6506,"town",371,"AT","Upper Austria","Politischer Bezirk Perg",""],["Auersbach",47.0167,15.8667,"town",370,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Waldenstein",48.7285,15.0142,"town",370,"AT","Lower Austria","Politischer Bezirk Gmünd",""],["Palfau",47.7,14.8,"town",369,"AT","Styria","Politischer Bezirk Liezen",""],["Weiten",48.2956,15.2601,"town",368,"AT","Lower Austria","Politischer Bezirk Melk",""],["Eberau",47.1076,16.4604,"town",366,"AT","Burgenland","Politischer Bezirk Güssing",""],["Kleinlobming",47.1495,14.8488,"town",366,"AT","Styria","Politischer Bezirk Murtal",""],["Sankt Georgen ob Judenburg",47.2074,14.4974,"town",366,"AT","Styria","Politischer Bezirk Murtal",""],["Dietersdorf am Gnasbach",46.8092,15.8117,"town",365,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Muggendorf",47.9106,15.9353,"town",365,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Retznei",46.7333,15.5667,"town",365,"AT","Styria","Politischer Bezirk Leibnitz",""],["Vik",65.3125,12.1673,"town",365,"NO","Nordland","Sømna",""],["Deutsch Griffen",46.8561,14.075,"town",364,"AT","Carinthia","Politischer Bezirk Sankt Veit an der Glan",""],["Weinburg am Saßbach",46.7536,15.7211,"town",364,"AT","Styria","Politischer Bezirk Leibnitz",""],["Obernberg am Brenner",47.0167,11.4167,"town",363,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Weingraben",47.5139,16.3637,"town",363,"AT","Burgenland","Politischer Bezirk Oberpullendorf",""],["Attendorf",47.0043,15.339,"town",362,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Mariastein",47.5277,12.0548,"town",362,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Zerlach",46.9459,15.6509,"town",361,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Veitsch",47.5782,15.4945,"town",360,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Eisgarn",48.9168,15.1032,"town",359,"AT","Lower Austria","Politischer Bezirk Gmünd",""],["Fyresdal",59.1834,8.0921,"town",359,"NO","Telemark","Fyresdal",""],["Going",47.5133,12.3316,"town",358,"AT","Tyrol","Politischer Bezirk Kitzbühel",""],["Hackerberg",47.2,16.1167,"town",357,"AT","Burgenland","Politischer Bezirk Güssing",""],["Bärnkopf",48.3905,15.0048,"town",355,"AT","Lower Austria","Politischer Bezirk Zwettl",""],["Gutenstein",47.876,15.8888,"town",355,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Jagerberg",46.8536,15.7381,"town",355,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Saubraz",46.5161,6.3302,"town",354,"CH","Vaud","Morges District",""],["Berwang",47.4081,10.7474,"town",353,"AT","Tyrol","Politischer Bezirk Reutte",""],["Gabersdorf",46.7772,15.5842,"town",353,"AT","Styria","Politischer Bezirk Leibnitz",""],["Gnesau",46.7754,13.9625,"town",353,"AT","Carinthia","Politischer Bezirk Feldkirchen",""],["Rennweg am Katschberg",47.0167,13.6167,"town",353,"AT","Carinthia","Politischer Bezirk Spittal an der Drau",""],["Röns",47.2167,9.7,"town",352,"AT","Vorarlberg","Politischer Bezirk Feldkirch",""],["Kirchberg ob der Donau",48.4444,13.9381,"town",351,"AT","Upper Austria","Politischer Bezirk Rohrbach",""],["Blons",47.2233,9.8341,"town",349,"AT","Vorarlberg","Politischer Bezirk Bludenz",""],["Pernersdorf",48.7,16.0167,"town",348,"AT","Lower Austria","Politischer Bezirk Hollabrunn",""],["Eichfeld",46.7253,15.7681,"town",347,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Gastern",48.8945,15.2203,"town",347,"AT","Lower Austria","Politischer Bezirk Waidhofen an der Thaya",""],["Labuch",47.0667,15.6667,"town",346,"AT","Styria","Politischer Bezirk Weiz",""],["Mühldorf",48.3743,15.3467,"town",346,"AT","Lower Austria","Politischer Bezirk Krems",""],["Grän",47.5,10.55,"town",345,"AT","Tyrol","Politischer Bezirk Reutte",""],["Hansnes",69.967,19.6275,"town",342,"NO","Troms","Karlsøy",""],["Mannsdorf an der Donau",48.152,16.6651,"town",342,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Reine",67.9325,13.0895,"town",342,"NO","Nordland","Moskenes",""],["Treglwang",47.4746,14.5908,"town",342,"AT","Styria","Politischer Bezirk Liezen",""],["Weitersfelden",48.4773,14.7255,"town",342,"AT","Upper Austria","Politischer Bezirk Freistadt",""],["Batnfjordsøra",62.8946,7.6725,"town",339,"NO","Møre og Romsdal","Gjemnes",""],["Gjerstad",58.8808,9.0186,"town",339,"NO","Agder","Gjerstad",""],["Sankt Georgen ob Murau",47.1,14.1,"town",339,"AT","Styria","Politischer Bezirk Murau",""],["Hüttenberg",46.9414,14.55,"town",338,"AT","Carinthia","Politischer Bezirk Sankt Veit an der Glan",""],["Perlsdorf",46.9136,15.8142,"town",337,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Ragnitz",46.8367,15.5928,"town",335,"AT","Styria","Politischer Bezirk Leibnitz",""],["Inzenhof",47.0167,16.3167,"town",334,"AT","Burgenland","Politischer Bezirk Güssing",""],["Ratsch an der Weinstraße",46.6894,15.5711,"town",334,"AT","Styria","Politischer Bezirk Leibnitz",""],["Neukirchen an der Vöckla",48.0405,13.5376,"town",333,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Rassach",46.8603,15.27,"town",333,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Tieschen",46.7861,15.9422,"town",333,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Oberdrauburg",46.7431,12.9703,"town",331,"AT","Carinthia","Politischer Bezirk Spittal an der Drau",""],["Grabersdorf",46.8431,15.8247,"town",330,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Noresund",60.1799,9.6241,"town",330,"NO","Buskerud","Krødsherad",""],["Arriach",46.7292,13.8505,"town",329,"AT","Carinthia","Politischer Bezirk Villach Land",""],["Lavamünd",46.6402,14.9473,"town",328,"AT","Carinthia","Politischer Bezirk Wolfsberg",""],["Sankt Lorenzen bei Scheifling",47.1456,14.4058,"town",328,"AT","Styria","Politischer Bezirk Murau",""],["Anras",46.7739,12.5608,"town",327,"AT","Tyrol","Politischer Bezirk Lienz",""],["Hohentauern",47.4333,14.4833,"town",327,"AT","Styria","Politischer Bezirk Murtal",""],["Randegg",48.012,14.9733,"town",326,"AT","Lower Austria","Politischer Bezirk Scheibbs",""],["Elmen",47.3404,10.5432,"town",323,"AT","Tyrol","Politischer Bezirk Reutte",""],["Maria Schmolln",48.1382,13.2198,"town",323,"AT","Upper Austria","Politischer Bezirk Braunau am Inn",""],["Dürnstein",48.3958,15.5197,"town",322,"AT","Lower Austria","Politischer Bezirk Krems",""],["Glödnitz",46.874,14.1191,"town",321,"AT","Carinthia","Politischer Bezirk Sankt Veit an der Glan",""],["Lavant",46.7989,12.8381,"town",320,"AT","Tyrol","Politischer Bezirk Lienz",""],["Raxendorf",48.3411,15.2767,"town",319,"AT","Lower Austria","Politischer Bezirk Melk",""],["Fossby",59.2222,11.6993,"town",318,"NO","Østfold","Aremark",""],["Sankt Gotthard im Mühlkreis",48.3802,14.1319,"town",317,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Sankt Leonhard am Hornerwald",48.6,15.5333,"town",316,"AT","Lower Austria","Politischer Bezirk Krems",""],["Bad Traunstein",48.4385,15.1171,"town",315,"AT","Lower Austria","Politischer Bezirk Zwettl",""],["Winklern bei Oberwölz",47.2,14.2333,"town",314,"AT","Styria","Politischer Bezirk Murau",""],["Damüls",47.2803,9.8916,"town",313,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Meggenhofen",48.1802,13.7958,"town",313,"AT","Upper Austria","Politischer Bezirk Grieskirchen",""],["Olderdalen",69.6041,20.5327,"town",312,"NO","Troms","Kåfjord",""],["Unterfladnitz",47.1833,15.6667,"town",312,"AT","Styria","Politischer Bezirk Weiz",""],["Altaussee",47.6384,13.7628,"town",309,"AT","Styria","Politischer Bezirk Liezen",""],["Eppenstein",47.1283,14.7375,"town",308,"AT","Styria","Politischer Bezirk Murtal",""],["Friedberg",47.4333,16.05,"town",308,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Grancy",46.5921,6.4639,"town",308,"CH","Vaud","Morges District",""],["Ranemsletta",64.4945,11.9491,"town",307,"NO","Trøndelag","Overhalla",""],["Rappottenstein",48.5216,15.0793,"town",307,"AT","Lower Austria","Politischer Bezirk Zwettl",""],["Dorfbeuern",48.0167,13.0167,"town",304,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Hainersdorf",47.1151,15.9437,"town",304,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Perchau am Sattel",47.1,14.45,"town",304,"AT","Styria","Politischer Bezirk Murau",""],["Sankt Marein bei Knittelfeld",47.274,14.8608,"town",303,"AT","Styria","Politischer Bezirk Murtal",""],["Altmelon",48.4622,14.9655,"town",302,"AT","Lower Austria","Politischer Bezirk Zwettl",""],["Brunn an der Wild",48.6942,15.5201,"town",302,"AT","Lower Austria","Politischer Bezirk Horn",""],["Haunoldstein",48.2,15.45,"town",302,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Windigsteig",48.7667,15.2833,"town",302,"AT","Lower Austria","Politischer Bezirk Waidhofen an der Thaya",""],["Bromberg",47.6654,16.2099,"town",301,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Jungholz",47.5741,10.4472,"town",301,"AT","Tyrol","Politischer Bezirk Reutte",""],["Gladstad",65.6768,11.9622,"town",300,"NO","Nordland","Vega",""],["Kulm am Zirbitz",47.0581,14.487,"town",299,"AT","Styria","Politischer Bezirk Murau",""],["Oepping",48.6028,13.9459,"town",299,"AT","Upper Austria","Politischer Bezirk Rohrbach",""],["Rachau",47.2167,14.9,"town",299,"AT","Styria","Politischer Bezirk Murtal",""],["Schrems bei Frohnleiten",47.2811,15.3593,"town",299,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Statzendorf",48.3075,15.6413,"town",299,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Bretstein",47.3333,14.4167,"town",298,"AT","Styria","Politischer Bezirk Murtal",""],["Kohlberg",46.9,15.7833,"town",298,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Siegersdorf bei Herberstein",47.2,15.7833,"town",298,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Thomatal",47.0667,13.75,"town",298,"AT","Salzburg","Politischer Bezirk Tamsweg",""],["Blaindorf",47.175,15.868,"town",297,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Gundersdorf",46.95,15.2333,"town",296,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Kapelln",48.2582,15.7573,"town",296,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Glinzendorf",48.246,16.6406,"town",295,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Mühlen",47.0307,14.5085,"town",295,"AT","Styria","Politischer Bezirk Murau",""],["Lorüns",47.1331,9.85,"town",294,"AT","Vorarlberg","Politischer Bezirk Bludenz",""],["Sankt Nikolai im Sausal",46.8211,15.4519,"town",294,"AT","Styria","Politischer Bezirk Leibnitz",""],["Globasnitz",46.5569,14.7028,"town",293,"AT","Carinthia","Politischer Bezirk Völkermarkt",""],["Krakauschatten",47.1833,13.9667,"town",293,"AT","Styria","Politischer Bezirk Murau",""],["Schrattenthal",48.7,15.9,"town",293,"AT","Lower Austria","Politischer Bezirk Hollabrunn",""],["Sankt Oswald ob Eibiswald",46.7083,15.1467,"town",292,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Soboth",46.6814,15.0783,"town",291,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Straume",68.6888,14.472,"town",291,"NO","Nordland","Bø",""],["Gottlieben",47.6638,9.1337,"town",290,"CH","Thurgau","Bezirk Kreuzlingen",""],["Donnersbach",47.4614,14.1297,"town",289,"AT","Styria","Politischer Bezirk Liezen",""],["Stallehr",47.1331,9.85,"town",289,"AT","Vorarlberg","Politischer Bezirk Bludenz",""],["Bad Leonfelden",48.5205,14.2946,"town",288,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Badersdorf",47.2,16.3667,"town",287,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Feistritz ob Bleiburg",46.55,14.7667,"town",287,"AT","Carinthia","Politischer Bezirk Völkermarkt",""],["Gressenberg",46.8,15.1167,"town",286,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Tobaj",47.0833,16.3,"town",285,"AT","Burgenland","Politischer Bezirk Güssing",""],["Gallizien",46.55,14.5167,"town",283,"AT","Carinthia","Politischer Bezirk Völkermarkt",""],["Straden",46.8092,15.8681,"town",283,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Mollens",46.5776,6.3632,"town",282,"CH","Vaud","Morges District",""],["Poppendorf",46.8561,15.8564,"town",281,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Marbach an der Donau",48.2167,15.15,"town",280,"AT","Lower Austria","Politischer Bezirk Melk",""],["Iniö",60.4,21.4,"town",279,"FI","Southwest Finland","Åboland-Turunmaa",""],["Schönbach",48.45,15.0333,"town",278,"AT","Lower Austria","Politischer Bezirk Zwettl",""],["Furth an der Triesting",47.9733,15.9733,"town",276,"AT","Lower Austria","Politischer Bezirk Baden",""],["Schandorf",47.2418,16.4227,"town",276,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Tweng",47.1833,13.6,"town",276,"AT","Salzburg","Politischer Bezirk Tamsweg",""],["Stainz bei Straden",46.8244,15.8922,"town",275,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Pierbach",48.3481,14.7558,"town",274,"AT","Upper Austria","Politischer Bezirk Freistadt",""],["Sankt Katharein an der Laming",47.4707,15.1632,"town",274,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Stambach",47.3333,15.9333,"town",274,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Handenberg",48.1336,13.0075,"town",273,"AT","Upper Austria","Politischer Bezirk Braunau am Inn",""],["Oberrettenbach",47.15,15.8,"town",273,"AT","Styria","Politischer Bezirk Weiz",""],["Schnepfau",47.3521,9.9452,"town",272,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Unterbergla",46.8075,15.3152,"town",272,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Lichtenegg",47.6,16.2,"town",271,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Preitenegg",46.94,14.9258,"town",271,"AT","Carinthia","Politischer Bezirk Wolfsberg",""],["Thurn",46.8506,12.7686,"town",270,"AT","Tyrol","Politischer Bezirk Lienz",""],["Sankt Ilgen",47.55,15.1667,"town",269,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Allerheiligen im Mürztal",47.4667,15.4,"town",268,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Sankt Margareten im Rosental",46.5442,14.4244,"town",268,"AT","Carinthia","Politischer Bezirk Klagenfurt Land",""],["Hovden",59.5605,7.3567,"town",265,"NO","Agder","Bykle",""],["Maria Taferl",48.227,15.1595,"town",264,"AT","Lower Austria","Politischer Bezirk Melk",""],["Prigglitz",47.7032,15.9279,"town",264,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Sankt Aegidi",48.4793,13.7374,"town",263,"AT","Upper Austria","Politischer Bezirk Schärding",""],["Fendels",47.0539,10.6778,"town",259,"AT","Tyrol","Politischer Bezirk Landeck",""],["Forchach",47.4167,10.5833,"town",259,"AT","Tyrol","Politischer Bezirk Reutte",""],["Schwarzau im Schwarzautal",46.8789,15.6642,"town",259,"AT","Styria","Politischer Bezirk Leibnitz",""],["Gnadendorf",48.6167,16.4,"town",258,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Salla",47.1,14.9667,"town",258,"AT","Styria","Politischer Bezirk Voitsberg",""],["Naas",47.2509,15.5945,"town",257,"AT","Styria","Politischer Bezirk Weiz",""],["Trössing",46.8167,15.8167,"town",257,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Untertauern",47.3,13.5,"town",257,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Krumau am Kamp",48.5888,15.4491,"town",256,"AT","Lower Austria","Politischer Bezirk Krems",""],["Krusdorf",46.8394,15.8608,"town",256,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Maria Laach am Jauerling",48.3041,15.3447,"town",256,"AT","Lower Austria","Politischer Bezirk Krems",""],["Stössing",48.1227,15.8138,"town",256,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Røyrvik",64.8839,13.5626,"town",254,"NO","Trøndelag","Raarvihke - Røyrvik",""],["Steeg",47.2439,10.2944,"town",254,"AT","Tyrol","Politischer Bezirk Reutte",""],["Kohlschwarz",47.1167,15.1167,"town",253,"AT","Styria","Politischer Bezirk Voitsberg",""],["Stockenboi",46.7261,13.5231,"town",253,"AT","","",""],["Hintersee",47.7,13.2833,"town",252,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Eichgraben",48.172,15.9839,"town",251,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Hopfgarten in Defereggen",46.9192,12.5364,"town",249,"AT","Tyrol","Politischer Bezirk Lienz",""],["Mörtschach",46.9239,12.9178,"town",249,"AT","Carinthia","Politischer Bezirk Spittal an der Drau",""],["Gerolding",48.25,15.4167,"town",246,"AT","Lower Austria","Politischer Bezirk Melk",""],["Glanegg",46.7226,14.1989,"town",245,"AT","Carinthia","Politischer Bezirk Feldkirchen",""],["Vorderhornbach",47.3701,10.5395,"town",245,"AT","Tyrol","Politischer Bezirk Reutte",""],["Heiligenbrunn",47.0271,16.4169,"town",244,"AT","Burgenland","Politischer Bezirk Güssing",""],["Tiefencastel",46.6601,9.5788,"town",244,"CH","Grisons","Region Albula",""],["Pötting",48.2833,13.7706,"town",243,"AT","Upper Austria","Politischer Bezirk Grieskirchen",""],["Redleiten",48.0814,13.4689,"town",243,"AT","","",""],["Dürnstein in der Steiermark",46.9883,14.3917,"town",242,"AT","Styria","Politischer Bezirk Murau",""],["Kirchschlag",48.3935,15.2228,"town",240,"AT","Lower Austria","Politischer Bezirk Zwettl",""],["Haugschlag",48.9833,15.05,"town",239,"AT","Lower Austria","Politischer Bezirk Gmünd",""],["Weinzierl am Walde",48.4321,15.4321,"town",239,"AT","Lower Austria","Politischer Bezirk Krems",""],["Untertilliach",46.7035,12.6776,"town",237,"AT","Tyrol","Politischer Bezirk Lienz",""],["Hardbakke",61.0756,4.8411,"town",235,"NO","Vestland","Solund",""],["Thörl",47.5195,15.2228,"town",235,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Japons",48.7925,15.5683,"town",234,"AT","Lower Austria","Politischer Bezirk Horn",""],["Geistthal",47.1667,15.1667,"town",233,"AT","Styria","Politischer Bezirk Voitsberg",""],["Oppenberg",47.4833,14.2667,"town",232,"AT","Styria","Politischer Bezirk Liezen",""],["Zöblen",47.5077,10.4797,"town",231,"AT","Tyrol","Politischer Bezirk Reutte",""],["Unterkohlstätten",47.3833,16.3167,"town",228,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Mitterlabill",46.8892,15.6356,"town",227,"AT","Styria","Politischer Bezirk Leibnitz",""],["Buchbach",47.6965,15.9842,"town",226,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Kleinmürbisch",47.033,16.3245,"town",226,"AT","Burgenland","Politischer Bezirk Güssing",""],["Schröcken",47.2576,10.092,"town",224,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Unterperfuss",47.2667,11.25,"town",224,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Fornach",48.0228,13.4294,"town",223,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Unterauersbach",46.8656,15.7703,"town",218,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Velkua",60.4667,21.6667,"town",217,"FI","Southwest Finland","Turku",""],["Heugraben",47.1178,16.1904,"town",216,"AT","Burgenland","Politischer Bezirk Güssing",""],["Loich",47.9958,15.4016,"town",216,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Apfelberg",47.2,14.8333,"town",214,"AT","Styria","Politischer Bezirk Murtal",""],["Zeutschach",47.0667,14.3667,"town",213,"AT","Styria","Politischer Bezirk Murau",""],["Stenzengreith",47.2,15.5167,"town",212,"AT","Styria","Politischer Bezirk Weiz",""],["Sankt Martin am Grimming",47.4887,13.981,"town",211,"AT","Styria","Politischer Bezirk Liezen",""],["Frannach",46.9131,15.6336,"town",209,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Hohenthurn",46.5577,13.6604,"town",209,"AT","Carinthia","Politischer Bezirk Villach Land",""],["Sottens",46.6552,6.742,"town",209,"CH","Vaud","Gros-de-Vaud District",""],["Waldhausen",48.5218,15.2625,"town",208,"AT","Lower Austria","Politischer Bezirk Zwettl",""],["Aderklaa",48.2833,16.5333,"town",207,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Pernegg",48.7333,15.6167,"town",207,"AT","Lower Austria","Politischer Bezirk Horn",""],["Bauen",46.9356,8.5784,"town",206,"CH","Uri","Uri",""],["Hoverberg",62.8138,14.4474,"town",206,"SE","Jämtland","Bergs Kommun",""],["Modriach",46.95,15.05,"town",202,"AT","Styria","Politischer Bezirk Voitsberg",""],["Hollenegg",46.7915,15.2134,"town",201,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Röthelstein",47.3167,15.3667,"town",201,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Gallmannsegg",47.1833,15.0667,"town",200,"AT","Styria","Politischer Bezirk Voitsberg",""],["Mölbling",46.85,14.4333,"town",199,"AT","Carinthia","Politischer Bezirk Sankt Veit an der Glan",""],["Ebenau",47.7907,13.1753,"town",198,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Hengsberg",46.8667,15.4333,"town",196,"AT","Styria","Politischer Bezirk Leibnitz",""],["Puchenstuben",47.9282,15.2875,"town",195,"AT","Lower Austria","Politischer Bezirk Scheibbs",""],["Altendorf",47.65,16.0167,"town",194,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Reingers",48.9667,15.1333,"town",194,"AT","Lower Austria","Politischer Bezirk Gmünd",""],["Ungenach",48.0476,13.6147,"town",194,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Zell am Pettenfirst",48.0801,13.5994,"town",193,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Baumgarten bei Gnas",46.9167,15.7667,"town",191,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Mortantsch",47.2075,15.5795,"town",191,"AT","Styria","Politischer Bezirk Weiz",""],["Ruden",46.6583,14.7764,"town",189,"AT","Carinthia","Politischer Bezirk Völkermarkt",""],["Neukirchen bei Lambach",48.1,13.8167,"town",186,"AT","Upper Austria","Wels-Land",""],["Breitenfeld am Tannenriegel",46.85,15.6333,"town",183,"AT","Styria","Politischer Bezirk Leibnitz",""],["Lang",46.8376,15.5047,"town",183,"AT","Styria","Politischer Bezirk Leibnitz",""],["Garanas",46.7667,15.1167,"town",182,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Fallbach",48.65,16.4167,"town",180,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Flatschach",47.2167,14.75,"town",180,"AT","Styria","Politischer Bezirk Murtal",""],["Ludmannsdorf",46.5414,14.1342,"town",179,"AT","Carinthia","Politischer Bezirk Klagenfurt Land",""],["Mitterkirchen im Machland",48.188,14.6959,"town",179,"AT","Upper Austria","Politischer Bezirk Perg",""],["Mitterdorf an der Raab",47.1667,15.6,"town",176,"AT","Styria","Politischer Bezirk Weiz",""],["Weilbach",48.2773,13.3717,"town",176,"AT","Upper Austria","Politischer Bezirk Ried im Innkreis",""],["Piberegg",47.0942,15.1166,"town",174,"AT","Styria","Politischer Bezirk Voitsberg",""],["Trebesing",46.8864,13.5103,"town",174,"AT","Carinthia","Politischer Bezirk Spittal an der Drau",""],["Waldkirchen am Wesen",48.4406,13.8217,"town",174,"AT","Upper Austria","Politischer Bezirk Schärding",""],["Mürzsteg",47.6756,15.4915,"town",173,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Oberhofen am Irrsee",47.95,13.3,"town",173,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Sittersdorf",46.5444,14.6058,"town",173,"AT","Carinthia","Politischer Bezirk Völkermarkt",""],["Trahütten",46.825,15.1569,"town",173,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Pitschgau",46.7,15.2667,"town",171,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Waldkirchen an der Thaya",48.9333,15.35,"town",170,"AT","Lower Austria","Politischer Bezirk Waidhofen an der Thaya",""],["Parbasdorf",48.2833,16.6,"town",169,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Schwarzau im Gebirge",47.8122,15.7058,"town",169,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Schlatt",48.0718,13.789,"town",167,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["St. Georgen am Längsee",46.7806,14.4303,"town",167,"AT","Carinthia","Politischer Bezirk Sankt Veit an der Glan",""],["Ottenschlag im Mühlkreis",48.4663,14.3847,"town",164,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Wippenham",48.2225,13.3792,"town",162,"AT","Upper Austria","Politischer Bezirk Ried im Innkreis",""],["Wernersdorf",46.7159,15.2072,"town",161,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Steinbach am Attersee",47.8309,13.5461,"town",155,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Johnsbach",47.5333,14.5833,"town",154,"AT","Styria","Politischer Bezirk Liezen",""],["Röhrenbach",48.65,15.5,"town",152,"AT","Lower Austria","Politischer Bezirk Horn",""],["Maria Wörth",46.6164,14.1631,"town",151,"AT","Carinthia","Politischer Bezirk Klagenfurt Land",""],["Raach am Hochgebirge",47.6333,15.9333,"town",151,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Freiland bei Deutschlandsberg",46.8333,15.1333,"town",150,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Pfaffing",48.018,13.4751,"town",150,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Aichkirchen",48.1094,13.7916,"town",148,"AT","Upper Austria","Wels-Land",""],["Warth",47.25,10.1833,"town",148,"AT","Vorarlberg","Politischer Bezirk Bregenz",""],["Oberstorcha",46.9667,15.8,"town",146,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Nebelberg",48.6285,13.8463,"town",144,"AT","Upper Austria","Politischer Bezirk Rohrbach",""],["Steuerberg",46.788,14.1129,"town",144,"AT","Carinthia","Politischer Bezirk Feldkirchen",""],["Ahorn",48.5238,14.1741,"town",141,"AT","Upper Austria","Politischer Bezirk Rohrbach",""],["Arnreit",48.5251,13.9949,"town",141,"AT","Upper Austria","Politischer Bezirk Rohrbach",""],["Sankt Georgen bei Obernberg am Inn",48.2919,13.3332,"town",140,"AT","Upper Austria","Politischer Bezirk Ried im Innkreis",""],["Maierdorf",46.8925,15.8497,"town",139,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Andlersdorf",48.1833,16.6667,"town",137,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Osterwitz",46.8594,15.09,"town",135,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Ganz",47.6,15.6833,"town",134,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Hainsdorf im Schwarzautal",46.8358,15.6414,"town",134,"AT","Styria","Politischer Bezirk Leibnitz",""],["Weichselbaum",46.9425,16.1875,"town",133,"AT","Burgenland","Politischer Bezirk Jennersdorf",""],["Doppl",48.2824,14.5685,"town",129,"AT","Upper Austria","Politischer Bezirk Perg",""],["Gasen",47.3833,15.5667,"town",125,"AT","Styria","Politischer Bezirk Weiz",""],["Weiden bei Rechnitz",47.3,16.35,"town",123,"AT","Burgenland","Politischer Bezirk Oberwart",""],["Manning",48.0885,13.6668,"town",122,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Neidling",48.24,15.5559,"town",122,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Gaal",47.2727,14.67,"town",119,"AT","Styria","Politischer Bezirk Murtal",""],["Oberkurzheim",47.2333,14.5833,"town",118,"AT","Styria","Politischer Bezirk Murtal",""],["Pitzenberg",48.0736,13.7248,"town",118,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Ossiach",46.6743,13.9836,"town",116,"AT","Carinthia","Politischer Bezirk Feldkirchen",""],["Sulztal an der Weinstraße",46.6833,15.55,"town",114,"AT","Styria","Politischer Bezirk Leibnitz",""],["Krispl",47.7167,13.1833,"town",110,"AT","Salzburg","Politischer Bezirk Hallein",""],["Hinterrhein",46.5333,9.2,"town",108,"CH","Grisons","Region Viamala",""],["Kloster",46.8833,15.0833,"town",108,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Pennewang",48.1333,13.85,"town",107,"AT","Upper Austria","Wels-Land",""],["Schattwald",47.5143,10.4614,"town",106,"AT","Tyrol","Politischer Bezirk Reutte",""],["Neuhaus",46.6333,14.8833,"town",101,"AT","Carinthia","Politischer Bezirk Völkermarkt",""],["Großhofen",48.2583,16.6194,"town",98,"AT","Lower Austria","Politischer Bezirk Gänserndorf",""],["Sankt Georgen am Fillmannsbach",48.1256,13.0081,"town",96,"AT","Upper Austria","Politischer Bezirk Braunau am Inn",""],["Arvigo",46.3021,9.113,"town",92,"CH","Grisons","Region Moesa",""],["Buseno",46.2738,9.1074,"town",90,"CH","Grisons","Region Moesa",""],["Palting",48.0154,13.1271,"town",87,"AT","Upper Austria","Politischer Bezirk Braunau am Inn",""],["Dünserberg",47.2275,9.7237,"town",84,"AT","Vorarlberg","Politischer Bezirk Feldkirch",""],["Hardegg",48.85,15.85,"town",82,"AT","Lower Austria","Politischer Bezirk Hollabrunn",""],["Haibach im Mühlkreis",48.4443,14.3441,"town",80,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Seitenberg",46.748,14.0883,"town",73,"AT","Carinthia","Politischer Bezirk Feldkirchen",""],["Frauenberg",47.4286,15.3421,"town",69,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Mautbrücken",46.7204,14.194,"town",62,"AT","Carinthia","Politischer Bezirk Feldkirchen",""],["Tschanigraben",47.0167,16.3,"town",62,"AT","Burgenland","Politischer Bezirk Güssing",""],["Mühlbachl",47.1333,11.45,"town",60,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Reifling",47.1333,14.6667,"town",60,"AT","Styria","Politischer Bezirk Murtal",""],["Wudmath",46.5963,13.9807,"town",60,"AT","Carinthia","Politischer Bezirk Villach Land",""],["Atzesberg",48.5396,13.8694,"town",57,"AT","Upper Austria","Politischer Bezirk Rohrbach",""],["Pühret",48.0349,13.7225,"town",49,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Grafenegg",48.4304,15.7491,"town",45,"AT","Lower Austria","Politischer Bezirk Krems",""],["Gramais",47.2667,10.5333,"town",45,"AT","Tyrol","Politischer Bezirk Reutte",""],["Namlos",47.35,10.6667,"town",45,"AT","Tyrol","Politischer Bezirk Reutte",""],["Schrattenbach",47.779,15.9906,"town",45,"AT","Lower Austria","Politischer Bezirk Neunkirchen",""],["Rutzenham",48.0608,13.7188,"town",36,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Cauco",46.3354,9.1213,"town",34,"CH","Grisons","Region Moesa",""],["Weißenkirchen im Attergau",47.9496,13.4184,"town",31,"AT","Upper Austria","Politischer Bezirk Vöcklabruck",""],["Schleben",46.6204,13.933,"town",27,"AT","Carinthia","Politischer Bezirk Villach Land",""],["Tiefenbach",47.5354,16.2135,"town",25,"AT","Lower Austria","Politischer Bezirk Wiener Neustadt",""],["Edt bei Lambach",48.1167,13.8833,"town",24,"AT","Upper Austria","Wels-Land",""],["Wagnergraben",48.0204,13.0239,"town",21,"AT","Salzburg","Politischer Bezirk Salzburg-Umgebung",""],["Glojach",46.8667,15.6667,"town",18,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Höfling",48.0544,15.0367,"town",11,"AT","Lower Austria","Politischer Bezirk Scheibbs",""],["Draschen",46.7691,14.0676,"town",10,"AT","Carinthia","Politischer Bezirk Feldkirchen",""],["Unterjosefstal",48.2922,14.5753,"town",8,"AT","Upper Austria","Politischer Bezirk Perg",""],["Frauenstein",46.8142,14.2942,"town",7,"AT","Carinthia","Politischer Bezirk Sankt Veit an der Glan",""],["Fresen",46.7052,14.0451,"town",7,"AT","Carinthia","Politischer Bezirk Feldkirchen",""],["Triebendorf",47.1167,14.2333,"town",2,"AT","Styria","Politischer Bezirk Murau",""],["Aas",63.05,11.65,"town",0,"NO","Trøndelag","Tydal",""],["Aeugst am Albis",47.267,8.4854,"town",0,"CH","Zurich","Bezirk Affoltern",""],["Afiesl",48.5823,14.1278,"town",0,"AT","Upper Austria","Politischer Bezirk Rohrbach",""],["Aich",47.4228,13.8215,"town",0,"AT","Styria","Politischer Bezirk Liezen",""],["Aksdal",59.4241,5.4455,"town",0,"NO","Rogaland","Tysvær",""],["Alafors",57.9258,12.0784,"town",0,"SE","Västra Götaland","Ale Kommun",""],["Alastaro",60.95,22.85,"town",0,"FI","Southwest Finland","Loimaa",""],["Ålen",62.8419,11.3013,"town",0,"NO","Trøndelag","Holtålen",""],["Ålgård",58.7642,5.8525,"town",0,"NO","Rogaland","Gjesdal",""],["Åmot",59.5697,7.9887,"town",0,"NO","Telemark","Vinje",""],["Andebu",59.3059,10.1765,"town",0,"NO","","",""],["Annaberg",47.8713,15.3765,"town",0,"AT","Lower Austria","Politischer Bezirk Lilienfeld",""],["Årnes",63.9611,10.226,"town",0,"NO","Trøndelag","Åfjord",""],["Askvoll",61.3467,5.0622,"town",0,"NO","Vestland","Askvoll",""],["Assling",46.7866,12.6395,"town",0,"AT","Tyrol","Politischer Bezirk Lienz",""],["Aurlandsvangen",60.9058,7.1871,"town",0,"NO","Vestland","Aurland",""],["Austrheim",60.7774,4.9323,"town",0,"NO","Vestland","Austrheim",""],["Auswil",47.1363,7.8323,"town",0,"CH","Bern","Oberaargau",""],["Bad Kleinkirchheim",46.8156,13.7806,"town",0,"AT","Carinthia","Politischer Bezirk Spittal an der Drau",""],["Bedigliora",46.0025,8.8405,"town",0,"CH","Ticino","Lugano District",""],["Behamberg",48.0167,14.4833,"town",0,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Bennäs",63.6,22.8,"town",0,"FI","Ostrobothnia","Jakobstadsregionen",""],["Berg im Drautal",46.7492,13.1354,"town",0,"AT","Carinthia","Politischer Bezirk Spittal an der Drau",""],["Bergset",61.8913,11.0777,"town",0,"NO","Innlandet","Rendalen",""],["Berolle",46.558,6.3355,"town",0,"CH","Vaud","Morges District",""],["Besenbüren",47.3144,8.3459,"town",0,"CH","Aargau","Bezirk Muri",""],["Biberstein",47.4164,8.0851,"town",0,"CH","Aargau","Bezirk Aarau",""],["Birketveit",58.4591,7.9169,"town",0,"NO","Agder","Iveland",""],["Bismo",61.8841,8.2667,"town",0,"NO","Innlandet","Skjåk",""],["Blakstad",58.5046,8.6465,"town",0,"NO","Agder","Froland",""],["Bokn",59.2306,5.4352,"town",0,"NO","Rogaland","Bokn",""],["Bollmora",59.242,18.2276,"town",0,"SE","Stockholm","Tyresö Kommun",""],["Borgheim",59.2263,10.4075,"town",0,"NO","Vestfold","Færder",""],["Børsa",63.3267,10.0692,"town",0,"NO","Trøndelag","Skaun",""],["Braggio",46.3028,9.1238,"town",0,"CH","Grisons","Region Moesa",""],["Breivikbotn",70.5888,22.2871,"town",0,"NO","Finnmark","Hasvik",""],["Broby",60.5,26.7167,"town",0,"FI","Kymenlaakso","Kotka-Hamina",""],["Brøndbyvester",55.6455,12.4101,"town",0,"DK","Capital Region","Brøndby Kommune",""],["Brøstadbotn",69.0887,17.6949,"town",0,"NO","Troms","Dyrøy",""],["Bruflat",60.8878,9.6414,"town",0,"NO","Innlandet","Etnedal",""],["Bruhagen",63.0526,7.6342,"town",0,"NO","Møre og Romsdal","Averøy",""],["Buddinge",55.7482,12.4953,"town",0,"DK","Capital Region","Gladsaxe Municipality",""],["Bünzen",47.3098,8.3238,"town",0,"CH","Aargau","Bezirk Muri",""],["Burfjord",69.938,22.0521,"town",0,"NO","Troms","Kvænangen",""],["Busswil bei Melchnau",47.1858,7.8319,"town",0,"CH","Bern","Oberaargau",""],["Bygland",58.8285,7.7962,"town",0,"NO","Agder","Bygland",""],["Byrum",57.2568,10.9974,"town",0,"DK","North Denmark","Læso Kommune",""],["Chavannes-le-Veyron",46.607,6.4509,"town",0,"CH","Vaud","Morges District",""],["Cheseaux-Noréaz",46.7818,6.6703,"town",0,"CH","Vaud","Jura-Nord vaudois District",""],["Chéserex",46.3993,6.1752,"town",0,"CH","Vaud","Nyon District",""],["Chevilly",46.6427,6.4766,"town",0,"CH","Vaud","Morges District",""],["Christiansø",55.3201,15.1866,"town",0,"DK","Capital Region","Christiansø",""],["Corcelles-le-Jorat",46.6065,6.7427,"town",0,"CH","Vaud","Broye-Vully District",""],["Cuarnens",46.6255,6.4371,"town",0,"CH","Vaud","Morges District",""],["Diessenhofen",47.6891,8.7496,"town",0,"CH","Thurgau","Bezirk Frauenfeld",""],["Donat",46.6284,9.4297,"town",0,"CH","Grisons","Region Viamala",""],["Dorfstetten",48.3257,14.9822,"town",0,"AT","Lower Austria","Politischer Bezirk Melk",""],["Eben am Achensee",47.4138,11.7614,"town",0,"AT","Tyrol","Politischer Bezirk Schwaz",""],["Eidsvoll",60.3311,11.2626,"town",0,"NO","Akershus","Eidsvoll",""],["Eivindvik",60.9813,5.075,"town",0,"NO","Vestland","Gulen",""],["Elvestad",59.624,10.9508,"town",0,"NO","Østfold","Indre Østfold",""],["Engerdal",61.759,11.9594,"town",0,"NO","Innlandet","Engerdal",""],["Evje",58.5857,7.8036,"town",0,"NO","Agder","Evje og Hornnes",""],["Falkhytta",62.805,6.8872,"town",0,"NO","Møre og Romsdal","Aukra",""],["Ferreyres",46.658,6.4852,"town",0,"CH","Vaud","Morges District",""],["Fiskå",62.1006,5.5579,"town",0,"NO","Møre og Romsdal","Vanylven",""],["Fjerdingby",59.9263,11.0653,"town",0,"NO","Akershus","Rælingen",""],["Flå",60.4302,9.462,"town",0,"NO","Buskerud","Flå",""],["Flisa",60.6132,12.0109,"town",0,"NO","Innlandet","Åsnes",""],["Forsand",58.9033,6.1048,"town",0,"NO","","",""],["Fosnavåg",62.3419,5.634,"town",0,"NO","Møre og Romsdal","Herøy",""],["Gansingen",47.5429,8.1352,"town",0,"CH","Aargau","Bezirk Laufenburg",""],["Goldegg",47.3188,13.0992,"town",0,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Gössenberg",47.4167,13.8167,"town",0,"AT","Styria","Politischer Bezirk Liezen",""],["Gratangen",68.65,17.6833,"town",0,"NO","Troms","Gratangen",""],["Großkirchheim",46.9727,12.8959,"town",0,"AT","Carinthia","Politischer Bezirk Spittal an der Drau",""],["Hamnvik",68.7793,17.1718,"town",0,"NO","Troms","Ibestad",""],["Hatteng",69.2707,19.9594,"town",0,"NO","Troms","Storfjord",""],["Hattfjelldal",65.5974,13.9879,"town",0,"NO","Nordland","Hattfjelldal",""],["Heggenes",61.1438,9.0694,"town",0,"NO","Innlandet","Øystre Slidre",""],["Heinfels",46.75,12.45,"town",0,"AT","Tyrol","Politischer Bezirk Lienz",""],["Helland",58.1934,7.5243,"town",0,"NO","","",""],["Herlev",55.7237,12.44,"town",0,"DK","Capital Region","Herlev Kommune",""],["Hjelmelandsvågen",59.2369,6.1791,"town",0,"NO","Rogaland","Hjelmeland",""],["Hochburg-Ach",48.13,12.8773,"town",0,"AT","Upper Austria","Politischer Bezirk Braunau am Inn",""],["Hochleithen",48.4532,16.5309,"town",0,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Hohentannen",47.5086,9.225,"town",0,"CH","Thurgau","Bezirk Weinfelden",""],["Højby",55.9115,11.5976,"town",0,"DK","Zealand","Odsherred Kommune",""],["Hokksund",59.7708,9.9099,"town",0,"NO","Buskerud","Øvre Eiker",""],["Hol",68.549,16.3922,"town",0,"NO","","",""],["Hol",60.6151,8.294,"town",0,"NO","Buskerud","Hol",""],["Hollola",61,25.5,"town",0,"FI","Paijat-Hame","Lahti",""],["Holte",55.8167,12.4667,"town",0,"DK","Capital Region","Rudersdal Kommune",""],["Honkajoki",61.9833,22.2667,"town",0,"FI","Satakunta","Pohjois-Satakunta",""],["Hopen",63.4654,8.0144,"town",0,"NO","Møre og Romsdal","Smøla",""],["Hornindal",61.9692,6.5242,"town",0,"NO","Møre og Romsdal","Volda",""],["Høylandet",64.6289,12.3021,"town",0,"NO","Trøndelag","Høylandet",""],["Hurdal",60.4352,11.0671,"town",0,"NO","Akershus","Hurdal",""],["Husøya",66.5016,12.0965,"town",0,"NO","Nordland","Træna",""],["Hyllestad",61.1711,5.296,"town",0,"NO","Vestland","Hyllestad",""],["Illitsch",46.5386,13.8668,"town",0,"AT","Carinthia","Politischer Bezirk Villach Land",""],["Isdalstø",60.5552,5.2694,"town",0,"NO","Vestland","Alver",""],["Jaren",60.3927,10.5616,"town",0,"NO","Innlandet","Gran",""],["Järvelä",60.8667,25.2833,"town",0,"FI","Paijat-Hame","Lahti",""],["Jøa",64.6591,11.2653,"town",0,"NO","","",""],["Jondal",60.2756,6.2523,"town",0,"NO","Vestland","Ullensvang",""],["Kals am Großglockner",47.0023,12.6455,"town",0,"AT","Tyrol","Politischer Bezirk Lienz",""],["Känerkinden",47.4119,7.8372,"town",0,"CH","Basel-Landschaft","Bezirk Sissach",""],["Kärkölä",60.9167,25.25,"town",0,"FI","Paijat-Hame","Lahti",""],["Karvia",62.2,22.65,"town",0,"FI","Satakunta","Pohjois-Satakunta",""],["Keflavík",64.0049,-22.5624,"town",0,"IS","Southern Peninsula","Reykjanesbær",""],["Kinnula",63.3667,24.9667,"town",0,"FI","Central Finland","Saarijärvi-Viitasaari",""],["Kirchleerau",47.2758,8.0658,"town",0,"CH","Aargau","Bezirk Zofingen",""],["Kirkebygda",59.4921,10.8743,"town",0,"NO","Østfold","Våler",""],["Kirkebygda",59.7645,11.1449,"town",0,"NO","Akershus","Enebakk",""],["Kitzeck im Sausal",46.7807,15.4538,"town",0,"AT","Styria","Politischer Bezirk Leibnitz",""],["Kjenn",59.931,10.9537,"town",0,"NO","Akershus","Lørenskog",""],["Klæbu",63.2976,10.4826,"town",0,"NO","Trøndelag","Trondheim",""],["Klaffenegg",47.5181,15.7601,"town",0,"AT","Styria","Politischer Bezirk Weiz",""],["Klausner",47.5756,14.3503,"town",0,"AT","Styria","Politischer Bezirk Liezen",""],["Kleinbösingen",46.894,7.2053,"town",0,"CH","Fribourg","See District",""],["Kleppe",58.7742,5.6294,"town",0,"NO","Rogaland","Klepp",""],["Kleppestø",60.4084,5.2276,"town",0,"NO","Vestland","Askøy",""],["Kokkedal",55.9118,12.4995,"town",0,"DK","Capital Region","Fredensborg Kommune",""],["Kolbotn",59.8106,10.8039,"town",0,"NO","Akershus","Nordre Follo",""],["Konsmo",58.2853,7.356,"town",0,"NO","","",""],["Koski Tl",60.65,23.15,"town",0,"FI","Southwest Finland","Loimaa",""],["Kramsach",47.4431,11.8755,"town",0,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Kreuzstetten",48.4805,16.4732,"town",0,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Krokstadøra",63.401,9.5006,"town",0,"NO","Trøndelag","Orkland",""],["Kvalsund",70.5027,23.9797,"town",0,"NO","","",""],["Kyrkjebygda",58.6152,7.4139,"town",0,"NO","Agder","Åseral",""],["Kyrö",60.7,22.75,"town",0,"FI","Southwest Finland","Loimaa",""],["L'Abbaye",46.6497,6.3191,"town",0,"CH","Vaud","Jura-Nord vaudois District",""],["La Chaux",46.6171,6.4722,"town",0,"CH","Vaud","Morges District",""],["La Punt Chamues-ch",46.5789,9.9201,"town",0,"CH","Grisons","Region Maloja",""],["Lampeland",59.8349,9.5791,"town",0,"NO","Buskerud","Flesberg",""],["Landl",47.6567,14.7319,"town",0,"AT","Styria","Politischer Bezirk Liezen",""],["Landquart",46.95,9.5667,"town",0,"CH","Grisons","Region Landquart",""],["Langegg bei Graz",47.05,15.6333,"town",0,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Langesund",59.0007,9.7488,"town",0,"NO","Telemark","Bamble",""],["Langevåg",62.4408,6.1914,"town",0,"NO","Møre og Romsdal","Sula",""],["Langkampfen",47.5488,12.1013,"town",0,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Lassing",47.5337,14.2581,"town",0,"AT","Styria","Politischer Bezirk Liezen",""],["Leinesfjorden",67.7755,15.0154,"town",0,"NO","Nordland","Steigen",""],["Leknes",65.1,11.7,"town",0,"NO","Trøndelag","Leka",""],["Leksvik",63.6727,10.6232,"town",0,"NO","","",""],["Lensvik",63.5139,9.8061,"town",0,"NO","","",""],["Les Clées",46.7321,6.4627,"town",0,"CH","Vaud","Jura-Nord vaudois District",""],["Lesja",62.1184,8.8642,"town",0,"NO","Innlandet","Lesja",""],["Liabøen",63.1225,8.3159,"town",0,"NO","","",""],["Lierbyen",59.7865,10.2445,"town",0,"NO","Buskerud","Lier",""],["Lödersdorf",46.9586,15.9433,"town",0,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Loimaa",60.8497,23.0561,"town",0,"FI","Southwest Finland","Loimaa",""],["Loitzenberg",48.2729,14.5526,"town",0,"AT","Upper Austria","Politischer Bezirk Perg",""],["Lurøy",66.4189,12.8425,"town",0,"NO","Nordland","Lurøy",""],["Masfjorden",60.7989,5.3042,"town",0,"NO","Vestland","Masfjorden",""],["Matran",46.7859,7.0977,"town",0,"CH","Fribourg","Sarine District",""],["Mauer",46.741,14.2294,"town",0,"AT","Carinthia","Politischer Bezirk Sankt Veit an der Glan",""],["Mauraz",46.6056,6.4207,"town",0,"CH","Vaud","Morges District",""],["Mebonden",63.2303,11.031,"town",0,"NO","Trøndelag","Selbu",""],["Meieribyen",59.4745,11.1608,"town",0,"NO","Østfold","Skiptvet",""],["Meldal",63.0472,9.7134,"town",0,"NO","","",""],["Micheldorf in Kärnten",46.9147,14.4273,"town",0,"AT","Carinthia","Politischer Bezirk Sankt Veit an der Glan",""],["Mieming",47.3,10.9833,"town",0,"AT","Tyrol","Politischer Bezirk Imst",""],["Miesenbach bei Birkfeld",47.3667,15.7667,"town",0,"AT","Styria","Politischer Bezirk Weiz",""],["Mitterbach am Erlaufsee",47.814,15.2954,"town",0,"AT","Lower Austria","Politischer Bezirk Lilienfeld",""],["Mjøndalen",59.7507,10.0248,"town",0,"NO","Buskerud","Drammen",""],["Mo",60.8162,5.8057,"town",0,"NO","Vestland","Modalen",""],["Moiry",46.6491,6.4534,"town",0,"CH","Vaud","Morges District",""],["Moldjord",67.006,14.5743,"town",0,"NO","Nordland","Beiarn",""],["Mönichwald",47.4466,15.8827,"town",0,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Muhos",64.7667,26.1,"town",0,"FI","North Ostrobothnia","Oulu",""],["Muhr",47.0989,13.4976,"town",0,"AT","Salzburg","Politischer Bezirk Tamsweg",""],["Münchenwiler",46.9133,7.1256,"town",0,"CH","Bern","Bern-Mittelland District",""],["Namdalseid",64.2219,11.2232,"town",0,"NO","","",""],["Namsskogan",64.9289,13.1595,"town",0,"NO","Trøndelag","Namsskogan",""],["Närpes",62.4728,21.3371,"town",0,"FI","Ostrobothnia","Sydösterbotten",""],["Navis",47.5403,11.1307,"town",0,"AT","","",""],["Neuberg an der Mürz",47.6642,15.5723,"town",0,"AT","Styria","Politischer Bezirk Bruck-Mürzzuschlag",""],["Nickby",60.3833,25.2833,"town",0,"FI","Uusimaa","Helsinki sub-region",""],["Niedermuhlern",46.8585,7.4666,"town",0,"CH","Bern","Bern-Mittelland District",""],["Oberhof",47.4487,8.0027,"town",0,"CH","Aargau","Bezirk Laufenburg",""],["Oberhünigen",46.8805,7.657,"town",0,"CH","Bern","Bern-Mittelland District",""],["Oberkulm",47.2991,8.1224,"town",0,"CH","Aargau","Bezirk Kulm",""],["Oitti",60.7833,25.0333,"town",0,"FI","Kanta-Häme","Riihimäki",""],["Oppeid",68.0852,15.6094,"town",0,"NO","Nordland","Hamarøy",""],["Opponitz",47.8778,14.8228,"town",0,"AT","Lower Austria","Politischer Bezirk Amstetten",""],["Orkanger",63.3067,9.8503,"town",0,"NO","Trøndelag","Orkland",""],["Orny",46.6676,6.5264,"town",0,"CH","Vaud","Morges District",""],["Osøyro",60.1838,5.4638,"town",0,"NO","Vestland","Bjørnafjorden",""],["Ostermundigen",46.9569,7.4902,"town",0,"CH","Bern","Bern-Mittelland District",""],["Parola",61.0462,24.3546,"town",0,"FI","Kanta-Häme","Hämeenlinna",""],["Penthéréaz",46.6817,6.6039,"town",0,"CH","Vaud","Gros-de-Vaud District",""],["Pfarrwerfen",47.4573,13.2053,"town",0,"AT","Salzburg","Politischer Bezirk Sankt Johann im Pongau",""],["Pöllauberg",47.3167,15.85,"town",0,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Pompaples",46.667,6.5097,"town",0,"CH","Vaud","Morges District",""],["Pont-la-Ville",46.6979,7.1109,"town",0,"CH","Fribourg","Gruyère District",""],["Prägraten",47.0167,12.3833,"town",0,"AT","Tyrol","Politischer Bezirk Lienz",""],["Promontogno",46.3394,9.5576,"town",0,"CH","Grisons","Region Maloja",""],["Pyhäsalmi",63.6833,25.9833,"town",0,"FI","North Ostrobothnia","Nivala-Haapajärvi",""],["Ramberg",68.0899,13.2299,"town",0,"NO","Nordland","Flakstad",""],["Randaberg",58.9995,5.6187,"town",0,"NO","Rogaland","Randaberg",""],["Ratten",47.4833,15.7167,"town",0,"AT","Styria","Politischer Bezirk Weiz",""],["Revetal",59.3724,10.2631,"town",0,"NO","Vestfold","Tønsberg",""],["Ringebu",61.5296,10.1389,"town",0,"NO","Innlandet","Ringebu",""],["Rissa",63.5837,9.9599,"town",0,"NO","Trøndelag","Indre Fosen",""],["Roa",60.2909,10.6159,"town",0,"NO","Akershus","Lunner",""],["Roan",64.1727,10.229,"town",0,"NO","","",""],["Rochefort",46.9777,6.8083,"town",0,"CH","Neuchâtel","Boudry District",""],["Rødberg",60.2672,8.9472,"town",0,"NO","Buskerud","Nore og Uvdal",""],["Rollag",59.9843,9.2964,"town",0,"NO","Buskerud","Rollag",""],["Rømskog",59.7497,11.8112,"town",0,"NO","","",""],["Rönninge",59.2,17.7333,"town",0,"SE","Stockholm","Salems Kommun",""],["Røst",67.5175,12.1176,"town",0,"NO","Nordland","Røst",""],["Rottenschwil",47.3137,8.3614,"town",0,"CH","Aargau","Bezirk Muri",""],["Rüegsau",47.0248,7.6739,"town",0,"CH","Bern","Emmental District",""],["Rueyres",46.6934,6.6921,"town",0,"CH","Vaud","Gros-de-Vaud District",""],["Rümligen",46.8297,7.4954,"town",0,"CH","Bern","Bern-Mittelland District",""],["Rüti bei Lyssach",47.0568,7.5768,"town",0,"CH","Bern","Emmental District",""],["Saint Saphorin",46.4733,6.796,"town",0,"CH","Vaud","Lavaux-Oron District",""],["Saint-George",46.5143,6.2598,"town",0,"CH","Vaud","Nyon District",""],["Sand",59.4847,6.2511,"town",0,"NO","Rogaland","Suldal",""],["Sandvika",64.4638,13.5913,"town",0,"NO","Trøndelag","Lierne",""],["Sandvika",59.8907,10.5277,"town",0,"NO","Akershus","Bærum",""],["Sankt Anna am Aigen",46.8311,15.9714,"town",0,"AT","Styria","Politischer Bezirk Südoststeiermark",""],["Sankt Jakob im Walde",47.4667,15.7833,"town",0,"AT","Styria","Politischer Bezirk Hartberg-Fürstenfeld",""],["Sankt Jakob in Defereggen",46.9197,12.3314,"town",0,"AT","Tyrol","Politischer Bezirk Lienz",""],["Sankt Johann am Tauern",47.35,14.4667,"town",0,"AT","Styria","Politischer Bezirk Murtal",""],["Sankt Kathrein am Offenegg",47.3,15.5833,"town",0,"AT","Styria","Politischer Bezirk Weiz",""],["Sankt Marein bei Graz",47.0158,15.6839,"town",0,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Sankt Martin im Innkreis",48.2939,13.4387,"town",0,"AT","Upper Austria","Politischer Bezirk Ried im Innkreis",""],["Sankt Martin im Sulmtal",46.7561,15.2972,"town",0,"AT","Styria","Politischer Bezirk Deutschlandsberg",""],["Sankt Roman",48.4818,13.6106,"town",0,"AT","Upper Austria","Politischer Bezirk Schärding",""],["Sankt Veit in Defereggen",46.9272,12.4297,"town",0,"AT","Tyrol","Politischer Bezirk Lienz",""],["Santa Maria in Calanca",46.2629,9.1448,"town",0,"CH","Grisons","Region Moesa",""],["Särkisalo",60.1139,22.95,"town",0,"FI","Southwest Finland","Salo",""],["Saukkola",60.3833,23.9833,"town",0,"FI","Uusimaa","Helsinki sub-region",""],["Sauland",59.6161,8.9375,"town",0,"NO","Telemark","Hjartdal",""],["Savosa",46.019,8.9424,"town",0,"CH","Ticino","Lugano District",""],["Schmirn",47.0833,11.5667,"town",0,"AT","Tyrol","Politischer Bezirk Innsbruck Land",""],["Schwarzenbach an der Pielach",47.9333,15.3833,"town",0,"AT","Lower Austria","Politischer Bezirk Sankt Pölten",""],["Segalstad bru",61.2282,10.2226,"town",0,"NO","Innlandet","Gausdal",""],["Servion",46.571,6.7783,"town",0,"CH","Vaud","Lavaux-Oron District",""],["Silvalen",65.9832,12.2886,"town",0,"NO","Nordland","Herøy",""],["Simpele",61.4333,29.3667,"town",0,"FI","South Karelia","Imatra",""],["Skaland",69.4446,17.2983,"town",0,"NO","","",""],["Skei",61.5715,6.4791,"town",0,"NO","","",""],["Skjønhaug",59.6407,11.3159,"town",0,"NO","Østfold","Indre Østfold",""],["Slemmestad",59.7807,10.497,"town",0,"NO","","",""],["Slidre",61.088,8.9814,"town",0,"NO","Innlandet","Vestre Slidre",""],["Smedsby",63.1167,21.7,"town",0,"FI","Ostrobothnia","Vaasa",""],["Sogndalsfjøra",61.2257,7.1018,"town",0,"NO","Vestland","Sogndal",""],["Sola",58.8885,5.6528,"town",0,"NO","Rogaland","Sola",""],["Solfjellsjøen",66.1167,12.4833,"town",0,"NO","Nordland","Dønna",""],["Sonnberg im Mühlkreis",48.4608,14.3117,"town",0,"AT","Upper Austria","Politischer Bezirk Urfahr-Umgebung",""],["Sonntag",47.2386,9.8977,"town",0,"AT","Vorarlberg","Politischer Bezirk Bludenz",""],["Sørreisa",69.1453,18.1529,"town",0,"NO","Troms","Sørreisa",""],["St-Légier-La Chiésaz",46.4723,6.8737,"town",0,"CH","Vaud","Riviera-Pays-d'Enhaut District",""],["St. Ruprecht-Falkendorf",47.1011,14.0175,"town",0,"AT","Styria","Politischer Bezirk Murau",""],["Staatz",48.6762,16.4873,"town",0,"AT","Lower Austria","Politischer Bezirk Mistelbach",""],["Stadl-Paura",48.0833,13.8667,"town",0,"AT","Upper Austria","Wels-Land",""],["Stattegg",47.1333,15.4167,"town",0,"AT","Styria","Politischer Bezirk Graz-Umgebung",""],["Steinsdalen",64.2987,10.5128,"town",0,"NO","Trøndelag","Osen",""],["Sticklberg",47.5304,15.7791,"town",0,"AT","Styria","Politischer Bezirk Weiz",""],["Stjørdal",63.468,10.9178,"town",0,"NO","Trøndelag","Stjørdal",""],["Stordal",62.382,6.9863,"town",0,"NO","Møre og Romsdal","Fjord",""],["Støren",63.0391,10.285,"town",0,"NO","Trøndelag","Midtre Gauldal",""],["Straume",60.3613,5.122,"town",0,"NO","Vestland","Øygarden",""],["Surnadal",62.974,8.7247,"town",0,"NO","Møre og Romsdal","Surnadal",""],["Surpierre",46.7461,6.8593,"town",0,"CH","Fribourg","Broye District",""],["Svortland",59.7928,5.1723,"town",0,"NO","Vestland","Bømlo",""],["Sykkylven",62.3959,6.5875,"town",0,"NO","Møre og Romsdal","Sykkylven",""],["Taavetti",60.9167,27.5667,"town",0,"FI","South Karelia","Lappeenranta",""],["Tägertschi",46.8755,7.5853,"town",0,"CH","Bern","Bern-Mittelland District",""],["Tana bru",70.1991,28.1904,"town",0,"NO","","",""],["Tangvall",58.0978,7.8153,"town",0,"NO","Agder","Kristiansand",""],["Teigebyen",60.2207,11.0176,"town",0,"NO","Akershus","Nannestad",""],["Tennevoll",68.7471,17.8062,"town",0,"NO","Troms","Lavangen",""],["Tenniken",47.4371,7.8115,"town",0,"CH","Basel-Landschaft","Bezirk Sissach",""],["Thiersee",47.5942,12.1176,"town",0,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Tingvatn",58.3757,7.2197,"town",0,"NO","Agder","Hægebostad",""],["Tjeldstø",60.5962,4.8445,"town",0,"NO","","",""],["Tranebjerg",55.8326,10.5972,"town",0,"DK","Central Jutland","Samsø Kommune",""],["Treungen",59.0206,8.5202,"town",0,"NO","Telemark","Nissedal",""],["Trøim",60.8611,8.5654,"town",0,"NO","Buskerud","Hemsedal",""],["Turenki",60.9167,24.6333,"town",0,"FI","Kanta-Häme","Hämeenlinna",""],["Tysse",60.374,5.7595,"town",0,"NO","Vestland","Samnanger",""],["Uebeschi",46.7377,7.5558,"town",0,"CH","Bern","Thun District",""],["Uggdal",60.004,5.5288,"town",0,"NO","Vestland","Tysnes",""],["Utsira",59.3057,4.8862,"town",0,"NO","Rogaland","Utsira",""],["Vågaholmen",66.7137,13.2871,"town",0,"NO","Nordland","Rødøy",""],["Valderøy",62.5007,6.1347,"town",0,"NO","Møre og Romsdal","Giske",""],["Valeyres-sous-Montagny",46.7986,6.6109,"town",0,"CH","Vaud","Jura-Nord vaudois District",""],["Valldal",62.2978,7.2637,"town",0,"NO","","",""],["Valle",59.2126,7.5356,"town",0,"NO","Agder","Valle",""],["Vang",61.1253,8.5729,"town",0,"NO","Innlandet","Vang",""],["Vangsvika",69.1706,17.7342,"town",0,"NO","","",""],["Vevelstad",65.6978,12.4371,"town",0,"NO","Nordland","Vevelstad",""],["Veyras",46.3021,7.5362,"town",0,"CH","Valais","Sierre District",""],["Vik",60.0771,10.2791,"town",0,"NO","Buskerud","Hole",""],["Vikøyri",61.0871,6.5791,"town",0,"NO","Vestland","Vik",""],["Vinkkilä",60.6833,21.7167,"town",0,"FI","Southwest Finland","Vakka-Suomi",""],["Virolahti",60.5167,27.6831,"town",0,"FI","Kymenlaakso","Kotka-Hamina",""],["Vuarrens",46.6858,6.6479,"town",0,"CH","Vaud","Gros-de-Vaud District",""],["Vuisternens-devant-Romont",46.6531,6.9296,"town",0,"CH","Fribourg","Glâne District",""],["Vuonnabahta",70.1728,28.556,"town",0,"NO","Finnmark","Nesseby",""],["Walliswil bei Niederbipp",47.2362,7.6899,"town",0,"CH","Bern","Oberaargau",""],["Wasserburg",48.2743,14.5615,"town",0,"AT","Upper Austria","Politischer Bezirk Perg",""],["Wettswil",47.3372,8.4753,"town",0,"CH","Zurich","Bezirk Affoltern",""],["Wildschönau",47.4062,12.0378,"town",0,"AT","Tyrol","Politischer Bezirk Kufstein",""],["Ydstebøhamn",59.0623,5.4025,"town",0,"NO","Rogaland","Kvitsøy",""]]}
@@ -0,0 +1,186 @@
+// ============================================================================
+// OFFLINE GAZETTEER (SERVER SIDE)
+// ============================================================================
+// Place search and reverse lookups from the bundled place-name index
+// (lib/data/gazetteer.js, built by scripts/build-gazetteer.js), so the
+// autocomplete and spot naming work without Nominatim.
+//
+// Search:  prefix, word-prefix and fuzzy (typo tolerant) matching on names
+//          and alternate names, ranked by match quality, place type and
+//          population. "Sand, Rogaland" also matches the region/municipality.
+// Reverse: the nearest populated place within a distance.
+//
+// The index knows which countries it covers, so callers can tell a "no such
+// place" from "country not in the data" (lib/geocoder.js asks Nominatim then).
+//
+// Results use Nominatim's JSON shape (lat/lon as strings, display_name,
+// address.{city|town|village|...}, county, municipality, country) so the
+// client handles both sources the same way.
+// ============================================================================
+
+import { distanceKm } from '../src/engine/grid.js'
+
+// Ranking bonus per place type. The bundled data only has these types;
+// peaks, islands and hamlets from a NO.txt build rank on match and size alone
+const TYPE_BONUS = { city: 12, town: 8, village: 4, suburb: 2 }
+
+// Match quality of an exact or prefix match on a name; weaker matches (word
+// prefix, typos) are only suggestions next to Nominatim's answer
+export const STRONG_MATCH = 80
+
+// Types that get their own address key (others become 'locality')
+const SETTLEMENT_TYPES = ['city', 'town', 'village', 'hamlet', 'suburb']
+
+// Types that can name a weather spot in reverse lookups
+const REVERSE_TYPES = ['city', 'town', 'village', 'hamlet']
+
+// Countries where Nominatim calls the first admin level 'county' (fylke,
+// län); elsewhere it is the 'state' (region, canton, Bundesland)
+const COUNTY_COUNTRIES = ['NO', 'SE']
+
+// Country names as Nominatim returns them for Accept-Language: no
+const COUNTRY_NAMES = {
+  NO: 'Norge', SE: 'Sverige', DK: 'Danmark', FI: 'Finland', IS: 'Island', CH: 'Sveits', AT: 'Østerrike'
+}
+
+let gazetteer = null
+
+// Lower case, diacritics folded (ø -> o, æ -> ae, å -> a, é -> e) and
+// punctuation replaced by spaces, so "Tromsø" matches "tromso"
+export function normalizeName(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/æ/g, 'ae')
+    .replace(/ø/g, 'o')
+    .normalize('NFD')
+    .replace(/[̀-ͯ]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+}
+
+// Load and index the bundled data once (dynamic import keeps startup fast)
+export async function loadGazetteer() {
+  if (!gazetteer) {
+    gazetteer = import('./data/gazetteer.js').then(({ default: data }) => indexGazetteer(data))
+  }
+  return gazetteer
+}
+
+// { places, countries } where countries is the Set of covered country codes
+export function indexGazetteer({ fields, places: rows }) {
+  const places = rows.map(row => {
+    const place = Object.fromEntries(fields.map((field, i) => [field, row[i]]))
+    const names = [place.name, ...(place.alt ? place.alt.split('|') : [])]
+    return {
+      ...place,
+      keys: names.map(normalizeName),
+      context: normalizeName(`${place.municipality} ${place.region} ${COUNTRY_NAMES[place.country] || place.country}`)
+    }
+  })
+  return { places, countries: new Set(places.map(place => place.country)) }
+}
+
+// True when the index has places for every given country code (any case)
+export function coversCountries(gazetteer, countries) {
+  return countries.every(code => gazetteer.countries.has(code.toUpperCase()))
+}
+
+// Edit distance with adjacent transpositions (optimal string alignment)
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)])
+  for (let j = 1; j <= b.length; j++) d[0][j] = j
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost)
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1)
+      }
+    }
+  }
+  return d[a.length][b.length]
+}
+
+// How well a normalised query matches one normalised name (0 = no match)
+function matchScore(query, key) {
+  if (key === query) return 100
+  if (key.startsWith(query)) return 80
+  if (key.split(' ').some(word => word.startsWith(query))) return 60
+  // Typos: compare with the start of the name (the user may not be done)
+  const allowed = query.length >= 8 ? 2 : query.length >= 4 ? 1 : 0
+  if (!allowed) return 0
+  const distance = Math.min(
+    editDistance(query, key.slice(0, query.length)),
+    editDistance(query, key)
+  )
+  return distance <= allowed ? 40 - 10 * distance : 0
+}
+
+// Ranked places for a free-text query. The part after the first comma
+// ("Sand, Rogaland") narrows by municipality, region or country.
+// countries: country codes to search in (any case), null for all
+// minMatch:  lowest match quality to include (STRONG_MATCH for exact/prefix)
+export function searchGazetteer(gazetteer, text, { limit = 5, countries = null, minMatch = 1 } = {}) {
+  const [namePart, ...contextParts] = String(text).split(',')
+  const query = normalizeName(namePart)
+  if (query.length < 2) return []
+  const context = contextParts.map(normalizeName).filter(Boolean)
+  const only = countries && countries.map(code => code.toUpperCase())
+
+  const results = []
+  gazetteer.places.forEach(place => {
+    if (only && !only.includes(place.country)) return
+    const match = Math.max(...place.keys.map(key => matchScore(query, key)))
+    if (match < minMatch) return
+    let score = match + (TYPE_BONUS[place.type] || 0) + 4 * Math.log10(place.population + 1)
+    context.forEach(part => {
+      score += place.context.split(' ').some(word => word.startsWith(part)) ? 15 : -30
+    })
+    results.push({ place, score })
+  })
+  return results
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(r => r.place)
+}
+
+// Nearest village/town/city within maxKm of a point, with its distance, or null
+export function nearestPlace(gazetteer, lat, lon, maxKm) {
+  const dLat = maxKm / 111
+  let best = null
+  let bestDist = Infinity
+  gazetteer.places.forEach(place => {
+    if (!REVERSE_TYPES.includes(place.type) || Math.abs(place.lat - lat) > dLat) return
+    const d = distanceKm({ lat, lon }, place)
+    if (d <= maxKm && d < bestDist) {
+      best = place
+      bestDist = d
+    }
+  })
+  return best ? { place: best, distanceKm: bestDist } : null
+}
+
+// Nominatim-shaped result for a gazetteer place
+export function toNominatimResult(place) {
+  const country = COUNTRY_NAMES[place.country] || place.country
+  const addressKey = SETTLEMENT_TYPES.includes(place.type) ? place.type : place.type === 'peak' ? 'peak' : 'locality'
+  const parts = [place.name, place.municipality, place.region, country]
+    .filter((part, i, all) => part && all.indexOf(part) === i)
+  return {
+    place_id: `gazetteer-${place.country}-${place.lat},${place.lon}`,
+    lat: String(place.lat),
+    lon: String(place.lon),
+    name: place.name,
+    display_name: parts.join(', '),
+    type: place.type,
+    addresstype: addressKey,
+    address: {
+      [addressKey]: place.name,
+      municipality: place.municipality || undefined,
+      [COUNTY_COUNTRIES.includes(place.country) ? 'county' : 'state']: place.region || undefined,
+      country,
+      country_code: place.country.toLowerCase()
+    },
+    source: 'gazetteer'
+  }
+}
@@ -0,0 +1,109 @@
+// ============================================================================
+// GEOCODER (SERVER SIDE)
+// ============================================================================
+// Place search and reverse lookups for the geocode endpoint and the search:
+//
+// - Forward: the offline gazetteer alone when it has an exact or prefix
+//   match. Otherwise Nominatim, with the gazetteer's weaker (typo or
+//   word-prefix) matches ranked first; the gazetteer's matches alone when
+//   Nominatim fails. Nominatim only when the gazetteer does not cover every
+//   country in the filter. One result per place name.
+// - Reverse: the nearest gazetteer place within GAZETTEER_REVERSE_KM
+//   (default 3 km), otherwise the place cache / Nominatim
+//
+// Forward searches are limited to a list of countries (?countries=no,se),
+// GEOCODE_COUNTRIES (default 'no') when the request has none, 'all' for no
+// limit.
+//
+// GAZETTEER=off skips the gazetteer completely (Nominatim only).
+// Every answer says where it came from: 'gazetteer', 'nominatim' or
+// 'gazetteer+nominatim'.
+// ============================================================================
+
+import {
+  loadGazetteer, searchGazetteer, nearestPlace, coversCountries, toNominatimResult, normalizeName, STRONG_MATCH
+} from './gazetteer.js'
+import { searchPlaces, placeName } from './nominatim.js'
+import { resolvePlace } from './placeCache.js'
+
+const ENABLED = process.env.GAZETTEER !== 'off'
+const REVERSE_KM = parseFloat(process.env.GAZETTEER_REVERSE_KM) >= 0
+  ? parseFloat(process.env.GAZETTEER_REVERSE_KM)
+  : 3
+const DEFAULT_COUNTRIES = process.env.GEOCODE_COUNTRIES || 'no'
+const MAX_COUNTRIES = 20
+const MAX_RESULTS = 5
+
+// Parse a comma-separated list of ISO 3166-1 alpha-2 codes. Returns the
+// codes in lower case ([] for 'all'), or null when the list is invalid.
+export function parseCountries(value = DEFAULT_COUNTRIES) {
+  const text = String(value).trim().toLowerCase()
+  if (text === 'all') return []
+  const codes = [...new Set(text.split(',').map(code => code.trim()).filter(Boolean))]
+  if (!codes.length || codes.length > MAX_COUNTRIES || !codes.every(code => /^[a-z]{2}$/.test(code))) {
+    return null
+  }
+  return codes
+}
+
+// A missing or broken index only means everything goes to Nominatim
+function gazetteerIndex() {
+  if (!ENABLED) return Promise.resolve(null)
+  return loadGazetteer().catch(err => {
+    console.warn('Gazetteer unavailable:', err.message)
+    return null
+  })
+}
+
+// First result per place name, in order ("Sandvika" in two municipalities
+// is narrowed with "Sandvika, Bærum")
+function uniqueNames(results) {
+  const seen = new Set()
+  return results.filter(result => {
+    const key = normalizeName(result.name || placeName(result) || result.display_name)
+    if (seen.has(key)) return false
+    seen.add(key)
+    return true
+  }).slice(0, MAX_RESULTS)
+}
+
+// Up to 5 places for a free-text query in the given countries ([] = all):
+// { data, source }
+export async function forwardGeocode(q, countries = parseCountries()) {
+  const index = await gazetteerIndex()
+  const covered = index && countries.length > 0 && coversCountries(index, countries)
+  const strong = covered ? searchGazetteer(index, q, { limit: MAX_RESULTS, countries, minMatch: STRONG_MATCH }) : []
+  if (strong.length) {
+    return { data: uniqueNames(strong.map(toNominatimResult)), source: 'gazetteer' }
+  }
+
+  const weak = covered ? searchGazetteer(index, q, { limit: MAX_RESULTS, countries }).map(toNominatimResult) : []
+  let found
+  try {
+    found = await searchPlaces(q, countries)
+  } catch (err) {
+    if (!weak.length) throw err
+    console.warn('Nominatim search failed, answering from the gazetteer:', err.message)
+    return { data: uniqueNames(weak), source: 'gazetteer' }
+  }
+  return {
+    data: uniqueNames([...weak, ...(Array.isArray(found) ? found : [])]),
+    source: weak.length ? 'gazetteer+nominatim' : 'nominatim'
+  }
+}
+
+// Reverse lookup: { data, source, cache } (cache only for Nominatim answers)
+export async function reverseLookup(lat, lon) {
+  const index = await gazetteerIndex()
+  const nearest = index && nearestPlace(index, lat, lon, REVERSE_KM)
+  if (nearest) {
+    return { data: toNominatimResult(nearest.place), source: 'gazetteer', cache: null }
+  }
+  const place = await resolvePlace(lat, lon)
+  return { data: place.data, source: 'nominatim', cache: place.cache }
+}
+
+// Place name for a point (null when nothing is found)
+export async function reverseName(lat, lon) {
+  return placeName((await reverseLookup(lat, lon)).data)
+}
@@ -0,0 +1,137 @@
+// ============================================================================
+// MET.NO FORECAST CACHE (SERVER SIDE)
+// ============================================================================
+// Caches locationforecast responses the way the met.no terms of service ask:
+//
+// - Keyed by coordinates rounded to 4 decimals (the most met.no accepts)
+// - A cached forecast is used until the upstream `Expires` time
+// - After that it is revalidated with `If-Modified-Since`; a 304 only moves
+//   the expiry forward, so unchanged forecasts are not downloaded again
+// - Requests for the same point while one is in flight share that request
+//
+// Entries live in memory (least recently used are evicted) and, if
+// MET_CACHE_DIR is set, also on disk so they survive restarts (on Vercel it
+// must point into /tmp, the only writable directory). If met.no fails and an
+// expired copy exists, the expired copy is served.
+// ============================================================================
+
+import fs from 'fs/promises'
+import path from 'path'
+import { USER_AGENT, fetchWithTimeout, upstreamError } from './upstream.js'
+import { roundCoord } from './coords.js'
+
+const MET_URL = 'https://api.met.no/weatherapi/locationforecast/2.0/complete'
+
+// Used when met.no sends no usable Expires header
+const DEFAULT_TTL_MS = 5 * 60 * 1000
+
+const MAX_ENTRIES = parseInt(process.env.MET_CACHE_MAX_ENTRIES, 10) || 500
+const CACHE_DIR = process.env.MET_CACHE_DIR || null
+
+const memory = new Map()     // key -> entry, oldest use first
+const inFlight = new Map()   // key -> Promise of the result
+
+export function cacheKey(lat, lon) {
+  return `${roundCoord(lat)},${roundCoord(lon)}`
+}
+
+function remember(key, entry) {
+  memory.delete(key)
+  memory.set(key, entry)
+  if (memory.size > MAX_ENTRIES) {
+    memory.delete(memory.keys().next().value)
+  }
+}
+
+function diskPath(key) {
+  return path.join(CACHE_DIR, `${key.replace(',', '_')}.json`)
+}
+
+async function readDisk(key) {
+  if (!CACHE_DIR) return null
+  try {
+    return JSON.parse(await fs.readFile(diskPath(key), 'utf8'))
+  } catch {
+    return null
+  }
+}
+
+async function writeDisk(key, entry) {
+  if (!CACHE_DIR) return
+  try {
+    await fs.mkdir(CACHE_DIR, { recursive: true })
+    await fs.writeFile(diskPath(key), JSON.stringify(entry))
+  } catch (err) {
+    console.warn('Met cache write failed:', err.message)
+  }
+}
+
+function expiresFrom(headers, now) {
+  const expires = Date.parse(headers.get('expires'))
+  return Number.isNaN(expires) ? now + DEFAULT_TTL_MS : expires
+}
+
+// Fetch from met.no, conditionally if we already have a copy
+async function fetchUpstream(lat, lon, cached) {
+  const url = `${MET_URL}?lat=${lat}&lon=${lon}`
+  const headers = { 'User-Agent': USER_AGENT }
+  if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified
+
+  const upstream = await fetchWithTimeout(url, { headers })
+  const now = Date.now()
+
+  if (upstream.status === 304 && cached) {
+    return { ...cached, expires: expiresFrom(upstream.headers, now), cache: 'REVALIDATED' }
+  }
+  if (!upstream.ok) {
+    throw upstreamError(upstream.status)
+  }
+  return {
+    body: await upstream.text(),
+    expires: expiresFrom(upstream.headers, now),
+    lastModified: upstream.headers.get('last-modified'),
+    cache: 'MISS'
+  }
+}
+
+async function load(key, lat, lon) {
+  const cached = memory.get(key) || await readDisk(key)
+  if (cached && Date.now() < cached.expires) {
+    remember(key, cached)
+    return { ...cached, cache: 'HIT' }
+  }
+
+  try {
+    const { cache, ...entry } = await fetchUpstream(lat, lon, cached)
+    remember(key, entry)
+    await writeDisk(key, entry)
+    return { ...entry, cache }
+  } catch (err) {
+    if (!cached) throw err
+    console.warn(`Met.no failed for ${key}, serving expired copy:`, err.message)
+    return { ...cached, cache: 'STALE' }
+  }
+}
+
+// Forecast for a point: { body (JSON text), expires (ms), lastModified,
+// cache: 'HIT' | 'MISS' | 'REVALIDATED' | 'STALE' }. Upstream errors carry
+// the met.no status as err.status.
+export function getForecast(lat, lon) {
+  const rLat = roundCoord(lat)
+  const rLon = roundCoord(lon)
+  const key = cacheKey(rLat, rLon)
+  if (!inFlight.has(key)) {
+    inFlight.set(key, load(key, rLat, rLon).finally(() => inFlight.delete(key)))
+  }
+  return inFlight.get(key)
+}
+
+// Parsed forecast data, for code that scores it on the server
+export async function getForecastData(lat, lon) {
+  return JSON.parse((await getForecast(lat, lon)).body)
+}
+
+// Cache-Control max-age matching the upstream expiry
+export function cacheSeconds(forecast) {
+  return Math.max(0, Math.round((forecast.expires - Date.now()) / 1000))
+}
@@ -0,0 +1,90 @@
+// ============================================================================
+// NOMINATIM REQUEST QUEUE (SERVER SIDE)
+// ============================================================================
+// Every Nominatim call on the server goes through one queue:
+// - At most one upstream request per second (Nominatim usage policy),
+//   shared by all clients of this server process
+// - Identical requests that are already queued or in flight share one
+//   upstream call
+// - queueDepth() tells how many calls are waiting, and a full queue is
+//   refused with 503 instead of growing without bound
+//
+// On Vercel every warm function instance has its own queue.
+// ============================================================================
+
+import { USER_AGENT, fetchWithTimeout, upstreamError } from './upstream.js'
+
+const NOMINATIM_URL = 'https://nominatim.openstreetmap.org'
+const MIN_INTERVAL_MS = 1000
+const MAX_QUEUE = 30
+
+let lastStart = 0
+let tail = Promise.resolve()   // resolves when the last queued call may start
+let waiting = 0
+const inFlight = new Map()     // url -> Promise of the parsed response
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// Number of calls waiting for their turn
+export function queueDepth() {
+  return waiting
+}
+
+// Resolves when it is this caller's turn, at least MIN_INTERVAL_MS after
+// the previous call started
+function nextSlot() {
+  waiting++
+  tail = tail.then(async () => {
+    const wait = lastStart + MIN_INTERVAL_MS - Date.now()
+    if (wait > 0) await sleep(wait)
+    lastStart = Date.now()
+    waiting--
+  })
+  return tail
+}
+
+async function request(url) {
+  await nextSlot()
+  const upstream = await fetchWithTimeout(url, {
+    headers: {
+      'User-Agent': USER_AGENT,
+      'Accept': 'application/json',
+      'Accept-Language': 'no,en;q=0.9'
+    }
+  })
+  if (!upstream.ok) {
+    console.error(`Nominatim error ${upstream.status}: ${await upstream.text()}`)
+    throw upstreamError(upstream.status)
+  }
+  return upstream.json()
+}
+
+// GET a Nominatim endpoint ('search' or 'reverse'); format=json and
+// addressdetails=1 are always added
+export function nominatimGet(endpoint, params) {
+  const query = new URLSearchParams({ ...params, format: 'json', addressdetails: '1' })
+  const url = `${NOMINATIM_URL}/${endpoint}?${query}`
+  if (!inFlight.has(url)) {
+    if (waiting >= MAX_QUEUE) return Promise.reject(upstreamError(503))
+    inFlight.set(url, request(url).finally(() => inFlight.delete(url)))
+  }
+  return inFlight.get(url)
+}
+
+// Forward geocoding, up to 5 results, limited to the given lower-case
+// country codes (empty list = worldwide)
+export function searchPlaces(q, countries = ['no']) {
+  const params = { q, limit: '5' }
+  if (countries.length) params.countrycodes = countries.join(',')
+  return nominatimGet('search', params)
+}
+
+export function reverseGeocode(lat, lon) {
+  return nominatimGet('reverse', { lat, lon })
+}
+
+// Short place name from a Nominatim reverse result, same order as the client
+export function placeName(geoData) {
+  const addr = geoData?.address || {}
+  return addr.city || addr.town || addr.village || addr.hamlet || geoData?.display_name || null
+}
@@ -0,0 +1,99 @@
+// ============================================================================
+// REVERSE GEOCODE CACHE (SERVER SIDE)
+// ============================================================================
+// Remembers every resolved reverse lookup in a JSON file, so the same
+// villages are not asked from Nominatim over and over:
+//
+// - A lookup within PLACE_CACHE_RADIUS_KM (default 1.5 km) of a point that
+//   was resolved before gets that answer (nearest one wins)
+// - Only a miss goes to Nominatim (through the shared queue)
+// - The file (PLACE_CACHE_FILE, default .cache/places.json, or places.json
+//   in the temp directory on Vercel where only /tmp is writable) is loaded
+//   on first use and written shortly after changes; PLACE_CACHE_FILE=off
+//   keeps the cache in memory only
+//
+// Answers without a place (e.g. far out at sea) are not stored.
+// ============================================================================
+
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { distanceKm } from '../src/engine/grid.js'
+import { reverseGeocode, placeName } from './nominatim.js'
+
+const RADIUS_KM = parseFloat(process.env.PLACE_CACHE_RADIUS_KM) >= 0
+  ? parseFloat(process.env.PLACE_CACHE_RADIUS_KM)
+  : 1.5
+const MAX_ENTRIES = parseInt(process.env.PLACE_CACHE_MAX_ENTRIES, 10) || 20000
+const FILE = process.env.PLACE_CACHE_FILE === 'off'
+  ? null
+  : process.env.PLACE_CACHE_FILE ||
+    path.join(process.env.VERCEL ? os.tmpdir() : path.join(process.cwd(), '.cache'), 'places.json')
+const SAVE_DELAY_MS = 1000
+
+let entries = null    // [{ lat, lon, data }] where lat/lon is the looked-up point
+let loading = null
+let saveTimer = null
+
+function load() {
+  if (entries) return Promise.resolve(entries)
+  if (!loading) {
+    loading = (FILE ? fs.readFile(FILE, 'utf8').then(JSON.parse) : Promise.resolve([]))
+      .catch(() => [])
+      .then(list => {
+        entries = Array.isArray(list) ? list : []
+        return entries
+      })
+  }
+  return loading
+}
+
+// Write via a temporary file so a crash never leaves half a JSON file
+function scheduleSave() {
+  if (!FILE || saveTimer) return
+  saveTimer = setTimeout(async () => {
+    saveTimer = null
+    try {
+      await fs.mkdir(path.dirname(FILE), { recursive: true })
+      await fs.writeFile(`${FILE}.tmp`, JSON.stringify(entries))
+      await fs.rename(`${FILE}.tmp`, FILE)
+    } catch (err) {
+      console.warn('Place cache write failed:', err.message)
+    }
+  }, SAVE_DELAY_MS)
+}
+
+// Nearest cached lookup within RADIUS_KM, or null
+export function nearestKnown(list, lat, lon, radiusKm = RADIUS_KM) {
+  // Cheap bounding box test before the haversine distance
+  const dLat = radiusKm / 111
+  let best = null
+  let bestDist = Infinity
+  list.forEach(entry => {
+    if (Math.abs(entry.lat - lat) > dLat) return
+    const d = distanceKm({ lat, lon }, entry)
+    if (d <= radiusKm && d < bestDist) {
+      best = entry
+      bestDist = d
+    }
+  })
+  return best ? { entry: best, distanceKm: bestDist } : null
+}
+
+// Reverse geocode with the cache: { data, cache: 'HIT' | 'NEAR' | 'MISS',
+// distanceKm } where distanceKm is how far the answering lookup was
+export async function resolvePlace(lat, lon) {
+  const list = await load()
+  const known = nearestKnown(list, lat, lon)
+  if (known) {
+    return { data: known.entry.data, cache: known.distanceKm === 0 ? 'HIT' : 'NEAR', distanceKm: known.distanceKm }
+  }
+
+  const data = await reverseGeocode(lat, lon)
+  if (data && !data.error && placeName(data)) {
+    list.push({ lat, lon, data })
+    if (list.length > MAX_ENTRIES) list.splice(0, list.length - MAX_ENTRIES)
+    scheduleSave()
+  }
+  return { data, cache: 'MISS', distanceKm: 0 }
+}
@@ -0,0 +1,135 @@
+// ============================================================================
+// PROXY CORE
+// ============================================================================
+// Framework-agnostic handlers for every /api endpoint. A handler takes
+// { query } and returns { status, headers, body } (body is a string, or an
+// async iterable of strings for streamed responses), so
+// validation, caching headers, error shapes and upstream settings are the
+// same on every deployment target. adapters.js turns them into Express
+// routes (server.js) and Vercel functions (api/).
+//
+// Error shape for all endpoints: { error, details? } with the HTTP status of
+// the problem (400 for bad input, the upstream status for upstream errors,
+// 500 otherwise).
+// ============================================================================
+
+import { normalizeCoords } from './coords.js'
+import { getForecast, cacheSeconds } from './metCache.js'
+import { queueDepth } from './nominatim.js'
+import { forwardGeocode, reverseLookup, parseCountries } from './geocoder.js'
+import { handleSearch, streamSearch, handlePlan } from './search.js'
+
+// Cache policies for the edge/CDN in front of the proxies
+const GEOCODE_CACHE_CONTROL = 's-maxage=600, stale-while-revalidate=600'
+const SEARCH_CACHE_CONTROL = 's-maxage=300, stale-while-revalidate=300'
+
+// Headers for the streamed search: never cached or buffered by proxies
+const STREAM_HEADERS = {
+  'Content-Type': 'application/x-ndjson; charset=utf-8',
+  'Cache-Control': 'no-store',
+  'X-Accel-Buffering': 'no'
+}
+
+export function jsonResponse(status, data, headers = {}) {
+  return {
+    status,
+    headers: { 'Content-Type': 'application/json; charset=utf-8', ...headers },
+    body: JSON.stringify(data)
+  }
+}
+
+function badRequest(message) {
+  return jsonResponse(400, { error: message })
+}
+
+// Errors with a status (upstream errors, invalid search parameters) keep it,
+// anything else is logged and becomes a 500
+function errorResponse(err, label) {
+  if (err.status) {
+    return jsonResponse(err.status, { error: err.message })
+  }
+  console.error(`${label} error:`, err)
+  return jsonResponse(500, { error: 'Proxy error', details: String(err) })
+}
+
+// /api/geocode?q={search_term}&countries={no,se,...|all}
+// /api/geocode?type=reverse&lat={lat}&lon={lon}
+export async function geocodeHandler({ query }) {
+  try {
+    // Shared queue: max 1 Nominatim request per second across all clients.
+    // X-Queue-Depth reports how many calls were waiting ahead of this one.
+    // X-Geocoder tells whether the offline gazetteer or Nominatim answered.
+    const depth = queueDepth()
+    const headers = { 'Cache-Control': GEOCODE_CACHE_CONTROL, 'X-Queue-Depth': String(depth) }
+
+    if (query.type === 'reverse') {
+      const coords = normalizeCoords(query.lat, query.lon)
+      if (!coords) return badRequest('Missing or invalid lat/lon')
+      // Nominatim answers come from earlier lookups nearby when possible
+      const place = await reverseLookup(coords.lat, coords.lon)
+      headers['X-Geocoder'] = place.source
+      if (place.cache) headers['X-Place-Cache'] = place.cache
+      return jsonResponse(200, place.data, headers)
+    }
+
+    if (!query.q) return badRequest('Missing q')
+    const countries = parseCountries(query.countries || undefined)
+    if (!countries) return badRequest('Invalid countries (comma-separated ISO country codes or "all")')
+    const places = await forwardGeocode(query.q, countries)
+    headers['X-Geocoder'] = places.source
+    return jsonResponse(200, places.data, headers)
+  } catch (err) {
+    return errorResponse(err, 'Geocode proxy')
+  }
+}
+
+// /api/met?lat={lat}&lon={lon}
+export async function metHandler({ query }) {
+  try {
+    const coords = normalizeCoords(query.lat, query.lon)
+    if (!coords) return badRequest('Missing or invalid lat/lon')
+
+    // Served from the forecast cache; met.no is only asked after Expires,
+    // and the edge may cache exactly as long as met.no allows
+    const forecast = await getForecast(coords.lat, coords.lon)
+    const headers = {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': `s-maxage=${cacheSeconds(forecast)}, stale-while-revalidate=300`,
+      'Expires': new Date(forecast.expires).toUTCString(),
+      'X-Cache': forecast.cache
+    }
+    if (forecast.lastModified) headers['Last-Modified'] = forecast.lastModified
+    return { status: 200, headers, body: forecast.body }
+  } catch (err) {
+    return errorResponse(err, 'Weather proxy')
+  }
+}
+
+// /api/search (parameters in search.js)
+// With stream=1 the body is an async iterable of NDJSON lines, which the
+// adapters write as they arrive. The search stops when the client leaves.
+export async function searchHandler({ query, signal }) {
+  try {
+    if (query.stream === '1') {
+      return { status: 200, headers: STREAM_HEADERS, body: streamSearch(query, signal) }
+    }
+    const result = await handleSearch(query, signal)
+    return jsonResponse(200, result, { 'Cache-Control': SEARCH_CACHE_CONTROL })
+  } catch (err) {
+    // Nobody is listening any more (499 = client closed request)
+    if (signal?.aborted) return jsonResponse(499, { error: 'Client closed request' })
+    return errorResponse(err, 'Search')
+  }
+}
+
+// /api/plan (parameters in search.js): best spot per day from one set of
+// forecasts. Cached at the edge like the search.
+export async function planHandler({ query, signal }) {
+  try {
+    const result = await handlePlan(query, signal)
+    return jsonResponse(200, result, { 'Cache-Control': SEARCH_CACHE_CONTROL })
+  } catch (err) {
+    if (signal?.aborted) return jsonResponse(499, { error: 'Client closed request' })
+    return errorResponse(err, 'Plan')
+  }
+}
@@ -0,0 +1,264 @@
+// ============================================================================
+// SEARCH ENDPOINT
+// ============================================================================
+// Shared implementation of /api/search for the Express server and the Vercel
+// function. Parses the query, runs the grid search from src/engine/search.js
+// against Met.no (through the forecast cache) and names the spots from the
+// offline gazetteer or Nominatim (lib/geocoder.js). Returns the ranked
+// result as JSON.
+//
+// Query parameters:
+// - lat, lon            search center (required)
+// - radius              search radius in km (default 10, max MAX_RADIUS_KM)
+// - sol, temp, wind     triangle weights (0-1)
+// - precip              precipitation share of the total (0-1)
+// - mode                'storm' for Stormsøker, anything else is Solsøker
+// - profile             built-in activity profile id (for its own scoring)
+// - windStyle           'calm' | 'storm' | 'band' for custom profiles
+// - idealTemp, tempTolerance, windMin, windMax, stormWindMin, stormWindMax
+//                       comfort targets (missing ones use the defaults)
+// - start, end          time window as epoch milliseconds (default: next 24 h)
+// - bestHours           length of the best period reported per top spot
+//                       (whole hours, 1-MAX_BEST_WINDOW_HOURS, default 3)
+// - nameCenter          '1' to also reverse geocode the center
+// - stream              '1' for a streamed response (streamSearch below)
+//
+// The multi-day planner (/api/plan, handlePlan below) takes the same scoring
+// parameters, but a list of windows instead of start/end:
+// - windows             start-end pairs in epoch ms, comma separated
+//                       (at most MAX_PLAN_WINDOWS)
+// ============================================================================
+
+import { runSearch, DEFAULT_CONCURRENCY } from '../src/engine/search.js'
+import { runPlan } from '../src/engine/planner.js'
+import { resolveWindow, DEFAULT_WINDOW, DEFAULT_BEST_WINDOW_HOURS, MAX_BEST_WINDOW_HOURS } from '../src/engine/forecast.js'
+import { DEFAULT_TARGETS, normalizeWeights } from '../src/engine/scoring.js'
+import { BUILTIN_PROFILES } from '../src/engine/profiles.js'
+import { loadLandMask } from '../src/engine/landMask.js'
+import { SNAP_DEGREES } from '../src/engine/grid.js'
+import { reverseName } from './geocoder.js'
+import { getForecastData } from './metCache.js'
+import { normalizeCoords } from './coords.js'
+
+export const MAX_RADIUS_KM = 100
+export const MAX_PLAN_WINDOWS = 10
+const WIND_STYLES = ['calm', 'storm', 'band']
+
+// Max parallel Met.no requests per search, tunable per deployment
+const CONCURRENCY = parseInt(process.env.MET_CONCURRENCY, 10) || DEFAULT_CONCURRENCY
+
+// Lattice the sample points snap to, in degrees (0 turns snapping off)
+const SNAP_DEG = process.env.GRID_SNAP_DEGREES !== undefined
+  ? Math.max(parseFloat(process.env.GRID_SNAP_DEGREES) || 0, 0)
+  : SNAP_DEGREES
+
+// Error with an HTTP status, for invalid requests
+export class SearchError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.status = status
+  }
+}
+
+function number(value, fallback) {
+  if (value === undefined || value === '') return fallback
+  const n = parseFloat(value)
+  return Number.isFinite(n) ? n : NaN
+}
+
+// Turn query parameters into runSearch options; throws SearchError
+export function parseSearchQuery(query) {
+  const center = normalizeCoords(query.lat, query.lon)
+  if (!center) {
+    throw new SearchError('Missing or invalid lat/lon')
+  }
+
+  const radiusKm = number(query.radius, 10)
+  if (!(radiusKm > 0 && radiusKm <= MAX_RADIUS_KM)) {
+    throw new SearchError(`radius must be between 0 and ${MAX_RADIUS_KM} km`)
+  }
+
+  const weights = {
+    sol: number(query.sol, 1 / 3),
+    temp: number(query.temp, 1 / 3),
+    wind: number(query.wind, 1 / 3),
+    precip: number(query.precip, 0)
+  }
+  if (Object.values(weights).some(w => !(w >= 0 && w <= 1))) {
+    throw new SearchError('Weights must be between 0 and 1')
+  }
+  if (!normalizeWeights(weights)) {
+    throw new SearchError('At least one weight must be > 0')
+  }
+
+  const targets = {}
+  Object.keys(DEFAULT_TARGETS).forEach(key => {
+    const value = number(query[key], undefined)
+    if (Number.isFinite(value)) targets[key] = value
+  })
+
+  // Built-in profiles carry their own scoring function; custom profiles only
+  // change the wind style
+  const windStyle = WIND_STYLES.includes(query.windStyle) ? query.windStyle : null
+  const profile = BUILTIN_PROFILES.find(p => p.id === query.profile) ||
+    (windStyle ? { windStyle } : null)
+
+  let window
+  if (query.start || query.end) {
+    window = { start: number(query.start, NaN), end: number(query.end, NaN) }
+    if (!(window.start < window.end)) {
+      throw new SearchError('Invalid start/end')
+    }
+  } else {
+    window = resolveWindow(DEFAULT_WINDOW)
+  }
+
+  const bestWindowHours = number(query.bestHours, DEFAULT_BEST_WINDOW_HOURS)
+  if (!(Number.isInteger(bestWindowHours) && bestWindowHours >= 1 && bestWindowHours <= MAX_BEST_WINDOW_HOURS)) {
+    throw new SearchError(`bestHours must be a whole number from 1 to ${MAX_BEST_WINDOW_HOURS}`)
+  }
+
+  return {
+    center,
+    radiusKm,
+    weights,
+    targets,
+    stormMode: query.mode === 'storm',
+    profile,
+    window,
+    bestWindowHours,
+    snapDeg: SNAP_DEG,
+    nameCenter: query.nameCenter === '1'
+  }
+}
+
+// Parse the planner's windows parameter; throws SearchError
+export function parsePlanWindows(value) {
+  const windows = String(value || '').split(',').filter(Boolean).map(pair => {
+    const [start, end] = pair.split('-').map(Number)
+    return { start, end }
+  })
+  if (!windows.length || windows.length > MAX_PLAN_WINDOWS) {
+    throw new SearchError(`windows must list 1 to ${MAX_PLAN_WINDOWS} start-end pairs`)
+  }
+  if (windows.some(w => !(Number.isFinite(w.start) && w.start < w.end))) {
+    throw new SearchError('Invalid windows')
+  }
+  return windows
+}
+
+// Without the mask the search still works, only without the water check
+function landMaskOrNull() {
+  return loadLandMask().catch(err => {
+    console.warn('Land mask unavailable:', err)
+    return null
+  })
+}
+
+function toIso({ start, end }) {
+  return { start: new Date(start).toISOString(), end: new Date(end).toISOString() }
+}
+
+// Run a parsed search; onProgress gets the engine's progress events and
+// signal stops it early (the client went away)
+async function searchWithOptions(options, { onProgress, signal } = {}) {
+  const landMask = await landMaskOrNull()
+
+  // The center name is queued right away and resolves while the grid runs
+  const centerName = options.nameCenter
+    ? reverseName(options.center.lat, options.center.lon).catch(() => null)
+    : null
+
+  const result = await runSearch(options, {
+    fetchForecast: getForecastData,
+    reverseGeocode: reverseName,
+    landMask,
+    concurrency: CONCURRENCY,
+    onProgress,
+    signal
+  })
+
+  const withIsoWindow = spot => spot && spot.bestWindow
+    ? { ...spot, bestWindow: { ...spot.bestWindow, ...toIso(spot.bestWindow) } }
+    : spot
+  return {
+    center: { ...options.center, name: await centerName },
+    radiusKm: options.radiusKm,
+    window: toIso(options.window),
+    ...result,
+    top: result.top.map(withIsoWindow),
+    best: withIsoWindow(result.best),
+    timeline: result.timeline.map(toIso)
+  }
+}
+
+// Run a search for the given query parameters and return the response body
+export async function handleSearch(query, signal) {
+  return searchWithOptions(parseSearchQuery(query), { signal })
+}
+
+// Best spot for each of the requested windows from one set of forecasts
+// (src/engine/planner.js); the response has the same center/radiusKm as a
+// search plus days: [{ window, points, best }]
+export async function handlePlan(query, signal) {
+  const { window, ...options } = parseSearchQuery(query)
+  const windows = parsePlanWindows(query.windows)
+  const landMask = await landMaskOrNull()
+  const centerName = options.nameCenter
+    ? reverseName(options.center.lat, options.center.lon).catch(() => null)
+    : null
+
+  const result = await runPlan({ ...options, windows }, {
+    fetchForecast: getForecastData,
+    reverseGeocode: reverseName,
+    landMask,
+    concurrency: CONCURRENCY,
+    signal
+  })
+
+  return {
+    center: { ...options.center, name: await centerName },
+    radiusKm: options.radiusKm,
+    ...result,
+    days: result.days.map(day => ({ ...day, window: toIso(day.window) }))
+  }
+}
+
+// Streamed search as NDJSON lines (one JSON object per line). The query is
+// validated right away (throws SearchError), then the returned async
+// iterable yields the engine's progress events while the search runs and
+// ends with { type: 'result', ...same body as handleSearch } or
+// { type: 'error', error }.
+export function streamSearch(query, signal) {
+  const options = parseSearchQuery(query)
+  const lines = []
+  let wake = null
+  let done = false
+
+  const push = event => {
+    lines.push(`${JSON.stringify(event)}\n`)
+    if (wake) wake()
+  }
+
+  searchWithOptions(options, { onProgress: push, signal })
+    .then(result => push({ type: 'result', ...result }))
+    .catch(err => {
+      if (!signal?.aborted) console.error('Search error:', err)
+      push({ type: 'error', error: err.message })
+    })
+    .finally(() => {
+      done = true
+      if (wake) wake()
+    })
+
+  return (async function* () {
+    while (lines.length || !done) {
+      if (lines.length) {
+        yield lines.shift()
+      } else {
+        await new Promise(resolve => { wake = resolve })
+        wake = null
+      }
+    }
+  })()
+}
@@ -0,0 +1,29 @@
+// ============================================================================
+// UPSTREAM API SETTINGS (SERVER SIDE)
+// ============================================================================
+// Shared settings for server-side calls to Met.no (metCache.js) and
+// Nominatim (nominatim.js). Both services require an identifying User-Agent.
+// ============================================================================
+
+export const USER_AGENT = 'Solsoker Weather App/1.0 (https://github.com/your-repo)'
+
+// Give up on a single upstream request after this many milliseconds
+export const UPSTREAM_TIMEOUT_MS = 10000
+
+// fetch() that aborts after UPSTREAM_TIMEOUT_MS
+export async function fetchWithTimeout(url, options = {}) {
+  const controller = new AbortController()
+  const id = setTimeout(() => controller.abort(), UPSTREAM_TIMEOUT_MS)
+  try {
+    return await fetch(url, { ...options, signal: controller.signal })
+  } finally {
+    clearTimeout(id)
+  }
+}
+
+// Error for a failed upstream response, carrying its HTTP status
+export function upstreamError(status) {
+  const err = new Error(`Upstream error ${status}`)
+  err.status = status
+  return err
+}
@@ -0,0 +1,157 @@
+// ============================================================================
+// GAZETTEER BUILDER
+// ============================================================================
+// Generates lib/data/gazetteer.js, the bundled place-name index used for
+// offline place search and reverse lookups (lib/gazetteer.js).
+//
+// Input is either
+// - a GeoNames dump (tab separated, no header: NO.txt, cities1000.txt, ...),
+//   optionally with admin1CodesASCII.txt / admin2Codes.txt for county and
+//   municipality names, or
+// - a CSV with a header row (comma or semicolon separated), e.g. converted
+//   from an SSR export. Columns: name, lat, lon and optionally type,
+//   population, country, region, municipality, altnames (separated by |).
+//
+// Usage:
+//   node scripts/build-gazetteer.js NO.txt --admin1 admin1CodesASCII.txt \
+//     --admin2 admin2Codes.txt [--countries NO] [--classes P,T] [--min-population 0]
+//   node scripts/build-gazetteer.js places.csv
+// ============================================================================
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const output = path.join(__dirname, '..', 'lib', 'data', 'gazetteer.js')
+
+const FIELDS = ['name', 'lat', 'lon', 'type', 'population', 'country', 'region', 'municipality', 'alt']
+const MAX_ALT_NAMES = 3
+const DECIMALS = 4
+
+function parseArgs(argv) {
+  const args = { input: null, admin1: null, admin2: null, countries: ['NO'], classes: ['P', 'T'], minPopulation: 0 }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--admin1') args.admin1 = argv[++i]
+    else if (arg === '--admin2') args.admin2 = argv[++i]
+    else if (arg === '--countries') args.countries = argv[++i].toUpperCase().split(',')
+    else if (arg === '--classes') args.classes = argv[++i].toUpperCase().split(',')
+    else if (arg === '--min-population') args.minPopulation = parseInt(argv[++i], 10) || 0
+    else args.input = arg
+  }
+  return args
+}
+
+// GeoNames feature class/code (and population) -> our place type
+function geonamesType(featureClass, featureCode, population) {
+  if (featureClass === 'P') {
+    if (featureCode === 'PPLX') return 'suburb'
+    if (featureCode === 'PPLC' || population >= 50000) return 'city'
+    if (population >= 5000 || featureCode.startsWith('PPLA')) return 'town'
+    if (population >= 200 || featureCode === 'PPL') return 'village'
+    return 'hamlet'
+  }
+  if (featureClass === 'T') {
+    if (['MT', 'MTS', 'PK', 'PKS', 'HLL'].includes(featureCode)) return 'peak'
+    if (['ISL', 'ISLS'].includes(featureCode)) return 'island'
+  }
+  return 'locality'
+}
+
+// code<TAB>name lines -> Map(code -> name)
+function readAdminNames(file) {
+  const names = new Map()
+  if (!file) return names
+  fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+    const [code, name] = line.split('\t')
+    if (code && name) names.set(code, name)
+  })
+  return names
+}
+
+// Keep a few alternate names written in the Latin alphabet (e.g. Sami
+// names), not the many translations GeoNames lists for large cities. ASCII
+// spellings are not needed, the search folds diacritics itself.
+function pickAltNames(list, name) {
+  return [...new Set(list)]
+    .filter(alt => alt && alt !== name && /^[\p{Script=Latin}\s'-]+$/u.test(alt))
+    .slice(0, MAX_ALT_NAMES)
+}
+
+function readGeonames(text, args) {
+  const admin1 = readAdminNames(args.admin1)
+  const admin2 = readAdminNames(args.admin2)
+  const places = []
+  text.split('\n').forEach(line => {
+    const c = line.split('\t')
+    if (c.length < 15) return
+    const [, name, , altNames, lat, lon, featureClass, featureCode, country, , a1, a2] = c
+    const population = parseInt(c[14], 10) || 0
+    if (!args.countries.includes(country) || !args.classes.includes(featureClass)) return
+    if (population < args.minPopulation && featureClass === 'P' && !featureCode.startsWith('PPLA') && featureCode !== 'PPLC') return
+    places.push({
+      name,
+      lat: parseFloat(lat),
+      lon: parseFloat(lon),
+      type: geonamesType(featureClass, featureCode, population),
+      population,
+      country,
+      region: admin1.get(`${country}.${a1}`) || '',
+      municipality: admin2.get(`${country}.${a1}.${a2}`) || '',
+      alt: pickAltNames(altNames ? altNames.split(',') : [], name)
+    })
+  })
+  return places
+}
+
+function readCsv(text, args) {
+  const lines = text.split(/\r?\n/).filter(Boolean)
+  const separator = lines[0].includes(';') ? ';' : ','
+  const header = lines[0].split(separator).map(h => h.trim().toLowerCase())
+  const col = name => header.indexOf(name)
+  if (col('name') < 0 || col('lat') < 0 || col('lon') < 0) {
+    throw new Error('CSV needs name, lat and lon columns')
+  }
+  return lines.slice(1).map(line => {
+    const c = line.split(separator).map(v => v.trim())
+    const get = name => (col(name) >= 0 ? c[col(name)] : '') || ''
+    return {
+      name: get('name'),
+      lat: parseFloat(get('lat')),
+      lon: parseFloat(get('lon')),
+      type: get('type') || 'village',
+      population: parseInt(get('population'), 10) || 0,
+      country: (get('country') || args.countries[0]).toUpperCase(),
+      region: get('region'),
+      municipality: get('municipality'),
+      alt: pickAltNames(get('altnames').split('|'), get('name'))
+    }
+  }).filter(p => p.name && Number.isFinite(p.lat) && Number.isFinite(p.lon) && args.countries.includes(p.country))
+}
+
+const args = parseArgs(process.argv.slice(2))
+if (!args.input) {
+  console.error('Usage: node scripts/build-gazetteer.js <geonames.txt|places.csv> [--admin1 file] [--admin2 file] [--countries NO,SE]')
+  process.exit(1)
+}
+
+const text = fs.readFileSync(args.input, 'utf8')
+const isGeonames = text.slice(0, text.indexOf('\n')).split('\t').length >= 15
+const places = (isGeonames ? readGeonames(text, args) : readCsv(text, args))
+  .sort((a, b) => b.population - a.population || a.name.localeCompare(b.name))
+
+const round = v => Number(v.toFixed(DECIMALS))
+const rows = places.map(p => [
+  p.name, round(p.lat), round(p.lon), p.type, p.population, p.country, p.region, p.municipality, p.alt.join('|')
+])
+
+const header = `// Generated by scripts/build-gazetteer.js - do not edit by hand.
+// Place names from ${isGeonames ? 'GeoNames (geonames.org), CC BY 4.0' : path.basename(args.input)}.
+// Countries: ${args.countries.join(', ')}, ${rows.length} places.
+`
+const body = `export default ${JSON.stringify({ fields: FIELDS, places: rows })}\n`
+fs.mkdirSync(path.dirname(output), { recursive: true })
+fs.writeFileSync(output, header + body)
+
+console.log(`Wrote ${rows.length} places to ${path.relative(process.cwd(), output)}`)
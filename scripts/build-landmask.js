@@ -0,0 +1,190 @@
+// ============================================================================
+// LAND MASK BUILDER
+// ============================================================================
+// Generates src/engine/data/landmask.js, the bundled land/water mask used to
+// keep search points out of the sea and large lakes.
+//
+// Input is a GeoJSON of land polygons where lakes are holes, by default the
+// OpenStreetMap-derived @geo-maps/earth-lands-1km dataset (ODbL). The polygons
+// are clipped to the covered regions, simplified (Douglas–Peucker) and small
+// islands/lakes are dropped so the result stays small enough for the browser.
+//
+// Usage:
+//   npm install --no-save @geo-maps/earth-lands-1km
+//   node scripts/build-landmask.js [path/to/lands.geo.json]
+// ============================================================================
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+// Regions covered by the mask: [minLon, minLat, maxLon, maxLat]
+const REGIONS = [
+  { name: 'Norden', bbox: [3, 54, 32, 71.5] }
+]
+
+// Simplification tolerance and minimum ring area, both in degrees
+const TOLERANCE = 0.006
+const MIN_AREA = 0.0008
+const DECIMALS = 3
+
+const input = process.argv[2] ||
+  path.join(__dirname, '..', 'node_modules', '@geo-maps', 'earth-lands-1km', 'map.geo.json')
+const output = path.join(__dirname, '..', 'src', 'engine', 'data', 'landmask.js')
+
+// Collect all polygons ([outer, ...holes]) from any GeoJSON container
+function collectPolygons(geojson) {
+  const polygons = []
+  const visit = (g) => {
+    if (!g) return
+    if (g.type === 'FeatureCollection') g.features.forEach(f => visit(f.geometry))
+    else if (g.type === 'Feature') visit(g.geometry)
+    else if (g.type === 'GeometryCollection') g.geometries.forEach(visit)
+    else if (g.type === 'Polygon') polygons.push(g.coordinates)
+    else if (g.type === 'MultiPolygon') g.coordinates.forEach(p => polygons.push(p))
+  }
+  visit(geojson)
+  return polygons
+}
+
+function ringBbox(ring) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity
+  for (const [x, y] of ring) {
+    if (x < minX) minX = x
+    if (y < minY) minY = y
+    if (x > maxX) maxX = x
+    if (y > maxY) maxY = y
+  }
+  return [minX, minY, maxX, maxY]
+}
+
+function intersects(a, b) {
+  return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1]
+}
+
+// Sutherland–Hodgman clipping of a ring against an axis-aligned rectangle
+function clipRing(ring, [minX, minY, maxX, maxY]) {
+  const edges = [
+    { inside: p => p[0] >= minX, cut: (a, b) => lerpX(a, b, minX) },
+    { inside: p => p[0] <= maxX, cut: (a, b) => lerpX(a, b, maxX) },
+    { inside: p => p[1] >= minY, cut: (a, b) => lerpY(a, b, minY) },
+    { inside: p => p[1] <= maxY, cut: (a, b) => lerpY(a, b, maxY) }
+  ]
+  let out = ring
+  for (const edge of edges) {
+    const input = out
+    out = []
+    for (let i = 0; i < input.length; i++) {
+      const cur = input[i]
+      const prev = input[(i + input.length - 1) % input.length]
+      if (edge.inside(cur)) {
+        if (!edge.inside(prev)) out.push(edge.cut(prev, cur))
+        out.push(cur)
+      } else if (edge.inside(prev)) {
+        out.push(edge.cut(prev, cur))
+      }
+    }
+    if (!out.length) break
+  }
+  return out
+}
+
+function lerpX(a, b, x) {
+  const t = (x - a[0]) / (b[0] - a[0])
+  return [x, a[1] + t * (b[1] - a[1])]
+}
+
+function lerpY(a, b, y) {
+  const t = (y - a[1]) / (b[1] - a[1])
+  return [a[0] + t * (b[0] - a[0]), y]
+}
+
+// Douglas–Peucker simplification (iterative to avoid deep recursion)
+function simplify(points, tolerance) {
+  if (points.length <= 4) return points
+  const keep = new Uint8Array(points.length)
+  keep[0] = keep[points.length - 1] = 1
+  const stack = [[0, points.length - 1]]
+  const sqTol = tolerance * tolerance
+  while (stack.length) {
+    const [first, last] = stack.pop()
+    let maxDist = 0, index = -1
+    for (let i = first + 1; i < last; i++) {
+      const d = sqSegDist(points[i], points[first], points[last])
+      if (d > maxDist) { maxDist = d; index = i }
+    }
+    if (maxDist > sqTol) {
+      keep[index] = 1
+      stack.push([first, index], [index, last])
+    }
+  }
+  return points.filter((_, i) => keep[i])
+}
+
+function sqSegDist(p, a, b) {
+  let x = a[0], y = a[1]
+  let dx = b[0] - x, dy = b[1] - y
+  if (dx !== 0 || dy !== 0) {
+    const t = ((p[0] - x) * dx + (p[1] - y) * dy) / (dx * dx + dy * dy)
+    if (t > 1) { x = b[0]; y = b[1] } else if (t > 0) { x += dx * t; y += dy * t }
+  }
+  dx = p[0] - x
+  dy = p[1] - y
+  return dx * dx + dy * dy
+}
+
+function ringArea(ring) {
+  let area = 0
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1])
+  }
+  return Math.abs(area / 2)
+}
+
+// Flatten a ring to [lon, lat, lon, lat, ...] with limited precision
+function flatten(ring) {
+  const f = 10 ** DECIMALS
+  const flat = []
+  for (const [x, y] of ring) flat.push(Math.round(x * f) / f, Math.round(y * f) / f)
+  return flat
+}
+
+function processRing(ring, bbox) {
+  const clipped = clipRing(ring, bbox)
+  if (clipped.length < 3) return null
+  const simplified = simplify(clipped, TOLERANCE)
+  if (simplified.length < 3 || ringArea(simplified) < MIN_AREA) return null
+  return flatten(simplified)
+}
+
+const geojson = JSON.parse(fs.readFileSync(input, 'utf8'))
+const polygons = collectPolygons(geojson)
+const out = []
+let pointCount = 0
+
+for (const region of REGIONS) {
+  for (const polygon of polygons) {
+    if (!intersects(ringBbox(polygon[0]), region.bbox)) continue
+    const outer = processRing(polygon[0], region.bbox)
+    if (!outer) continue
+    const holes = polygon.slice(1)
+      .filter(h => intersects(ringBbox(h), region.bbox))
+      .map(h => processRing(h, region.bbox))
+      .filter(Boolean)
+    out.push([outer, ...holes])
+    pointCount += [outer, ...holes].reduce((n, r) => n + r.length / 2, 0)
+  }
+}
+
+const header = `// Generated by scripts/build-landmask.js - do not edit by hand.
+// Land polygons (lakes as holes) from OpenStreetMap via @geo-maps/earth-lands-1km,
+// © OpenStreetMap contributors, ODbL. Simplified to ~${TOLERANCE}° and clipped to:
+// ${REGIONS.map(r => `${r.name} [${r.bbox.join(', ')}]`).join(', ')}
+`
+const body = `export default ${JSON.stringify({ regions: REGIONS.map(r => r.bbox), polygons: out })}\n`
+fs.mkdirSync(path.dirname(output), { recursive: true })
+fs.writeFileSync(output, header + body)
+
+console.log(`Wrote ${out.length} polygons (${pointCount} points) to ${path.relative(process.cwd(), output)}`)
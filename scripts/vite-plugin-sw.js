@@ -0,0 +1,36 @@
+// ============================================================================
+// SERVICE WORKER BUILD PLUGIN
+// ============================================================================
+// Vite plugin that writes dist/sw.js from src/serviceWorker.js at build time.
+// It fills in the list of files to precache and a cache version:
+//
+// - the precache list is every file of the bundle plus the files in public/
+// - the cache version is a hash of the hashed file names, so each build with
+//   changed files gets a fresh app-shell cache
+//
+// Only runs for `vite build`. The dev server has no service worker.
+// ============================================================================
+
+import { readFileSync, readdirSync } from 'fs'
+import { createHash } from 'crypto'
+
+export default function serviceWorker({ source = 'src/serviceWorker.js', publicDir = 'public' } = {}) {
+  return {
+    name: 'solsoker-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_options, bundle) {
+      const files = [
+        ...Object.keys(bundle).filter(name => !name.endsWith('.map')),
+        ...readdirSync(publicDir)
+      ]
+      const precache = ['/', ...files.map(name => `/${name}`)]
+      const version = createHash('sha256').update(precache.join('\n')).digest('hex').slice(0, 12)
+
+      const code = readFileSync(source, 'utf8')
+        .replace('self.__PRECACHE__', JSON.stringify(precache))
+        .replace('self.__CACHE_VERSION__', JSON.stringify(version))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source: code })
+    }
+  }
+}
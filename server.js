@@ -3,6 +3,8 @@ import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { geocodeHandler, metHandler, searchHandler, planHandler } from './lib/proxy.js';
+import { expressRoute } from './lib/adapters.js';
 
 // ESM equivalent of __dirname
 const __filename = fileURLToPath(import.meta.url);
@@ -17,85 +19,11 @@ app.use(cors());
 // Serve static files from the dist directory
 app.use(express.static(path.join(__dirname, 'dist')));
 
-// Geocoding API proxy
-app.get('/api/geocode', async (req, res) => {
-  try {
-    const { q, lat, lon, type } = req.query;
-
-    let url;
-    if (type === 'reverse') {
-      if (!lat || !lon) {
-        res.status(400).json({ error: 'Missing lat or lon' });
-        return;
-      }
-      url = `https://nominatim.openstreetmap.org/reverse?lat=${encodeURIComponent(lat)}&lon=${encodeURIComponent(lon)}&format=json&addressdetails=1`;
-    } else {
-      if (!q) {
-        res.status(400).json({ error: 'Missing q' });
-        return;
-      }
-      url = `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(q)}&format=json&limit=5&addressdetails=1&countrycodes=no`;
-    }
-
-    // Add delay to respect Nominatim rate limits (max 1 request per second)
-    await new Promise(resolve => setTimeout(resolve, 1000));
-
-    const upstream = await fetch(url, {
-      headers: {
-        'User-Agent': 'Solsoker Weather App/1.0 (https://github.com/your-repo)',
-        'Accept': 'application/json',
-        'Accept-Language': 'no,en;q=0.9'
-      }
-    });
-
-    if (!upstream.ok) {
-      console.error(`Nominatim error ${upstream.status}: ${await upstream.text()}`);
-      res.status(upstream.status).json({ error: `Upstream error ${upstream.status}` });
-      return;
-    }
-
-    const data = await upstream.json();
-    res.setHeader('Cache-Control', 's-maxage=600, stale-while-revalidate=600');
-    res.status(200).json(data);
-    
-  } catch (err) {
-    console.error('Geocode proxy error:', err);
-    res.status(500).json({ error: 'Proxy error', details: String(err) });
-  }
-});
-
-// Weather API proxy
-app.get('/api/met', async (req, res) => {
-  try {
-    const { lat, lon } = req.query;
-    if (!lat || !lon) {
-      res.status(400).json({ error: 'Missing lat or lon' });
-      return;
-    }
-
-    const url = `https://api.met.no/weatherapi/locationforecast/2.0/complete?lat=${encodeURIComponent(lat)}&lon=${encodeURIComponent(lon)}`;
-    
-    const upstream = await fetch(url, {
-      headers: {
-        'User-Agent': 'Solsoker Weather App/1.0 (https://github.com/your-repo)'
-      }
-    });
-
-    if (!upstream.ok) {
-      console.error(`Met.no error ${upstream.status}`);
-      res.status(upstream.status).json({ error: `Upstream error ${upstream.status}` });
-      return;
-    }
-
-    const data = await upstream.json();
-    res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=300');
-    res.status(200).json(data);
-    
-  } catch (err) {
-    console.error('Weather proxy error:', err);
-    res.status(500).json({ error: 'Proxy error', details: String(err) });
-  }
-});
+// API routes: shared handlers from lib/proxy.js (same as the Vercel functions)
+app.get('/api/geocode', expressRoute(geocodeHandler));   // Nominatim proxy
+app.get('/api/met', expressRoute(metHandler));           // Met.no proxy with forecast cache
+app.get('/api/search', expressRoute(searchHandler));     // Server-side grid search
+app.get('/api/plan', expressRoute(planHandler));         // Best spot per day (multi-day planner)
 
 // Catch all handler: send back React's index.html file for client-side routing
 app.get('*', (req, res) => {
@@ -10,15 +10,41 @@
 // - Interactive map with Leaflet.js showing search results
 // - Dark/Light mode toggle (Solsøker/Stormsøker)
 // - Real-time weather data from Met.no API
-// - Location search with Nominatim geocoding
+// - Location search (offline gazetteer / Nominatim) with a country filter
 // ============================================================================
 
-import React, { useState, useEffect, useRef } from 'react'
+import React, { useState, useEffect, useRef, useMemo } from 'react'
 // Custom PNG icons for weather factors and UI elements
 import sunIcon from './assets/symbols/sun.png'
 import temperatureIcon from './assets/symbols/temperature.png'
 import windIcon from './assets/symbols/wind.png'
 import stormIcon from './assets/symbols/storm.png'
+// Forecast window selection and averaging
+import {
+  DEFAULT_WINDOW,
+  resolveWindow,
+  windowLabel,
+  windowDateOptions,
+  entryPeriod,
+  selectWindowEntries,
+  BEST_WINDOW_HOURS,
+  DEFAULT_BEST_WINDOW_HOURS
+} from './engine/forecast'
+// Factor scores and weighting
+import { normalizeWeights, DEFAULT_TARGETS, sanitizeTargets, stormWindIdeal, resolveWindStyle } from './engine/scoring'
+// Activity profiles (beach, hiking, kiting, ...) and custom profiles
+import { BUILTIN_PROFILES, DEFAULT_PROFILE_ID, findProfile, createCustomProfile } from './engine/profiles'
+// Persisted settings
+import { loadJson, saveJson } from './storage'
+import { COUNTRY_FILTERS, DEFAULT_COUNTRY_FILTER, findCountryFilter, formatPlace, pickTypedPlace } from './places'
+import { buildShareParams, parseShareParams } from './shareLink'
+import { addFavourite, addHistory, removeSavedPlace, isSavedPlace, matchSaved, timeAgoLabel } from './savedPlaces'
+import ComfortSettings from './components/ComfortSettings'
+import ProfilePicker from './components/ProfilePicker'
+// Coarse polar grid (progress dots), distances and grid settings for the info panel
+import { polarGrid, snapPoint, distanceKm, REFINE_TOP_N, REFINE_BUDGET, SNAP_DEGREES } from './engine/grid'
+// Interpolated score heatmap
+import { idwGrid, HEATMAP_LAYERS } from './engine/heatmap'
 
 // ============================================================================
 // LEAFLET MAP COMPONENT
@@ -27,16 +53,23 @@ import stormIcon from './assets/symbols/storm.png'
 // - User's current location (blue marker)
 // - Best weather location (green marker) 
 // - Top 3 weather spots (numbered markers)
+// - While searching: every sample point, grey until scored, then coloured by
+//   its score, and the provisional leader (gold star)
+// - After a search: every scored point as a small score-coloured dot
+// - Optional heatmap: scores interpolated over the search circle
+// - Sample points skipped because they are on water (hollow blue rings)
 // - Search radius circle
 // - Terrain overlay with hillshade
 // ============================================================================
-const LeafletMap = ({ center, bestLocation, userLocation, searchRadius, topWeatherSpots, searchProgress }) => {
+const LeafletMap = ({ center, bestLocation, userLocation, searchRadius, topWeatherSpots, searchProgress, skippedPoints, liveLeader, heatmap, allSpots, focusSpot, timeLeader, leaderTrail }) => {
   // Refs for managing map state and preventing re-initialization
   const mapRef = useRef(null)           // DOM element reference
   const mapInstanceRef = useRef(null)    // Leaflet map instance
   const markersRef = useRef([])          // Array of map markers
   const circleRef = useRef(null)        // Search radius circle
   const progressMarkersRef = useRef([]) // Array of search progress markers
+  const heatmapRef = useRef(null)        // Heatmap image overlay
+  const spotMarkersRef = useRef(new Map()) // "lat,lon" -> marker of every scored point
   const isDraggingRef = useRef(false)    // Track if user is dragging
 
   // ============================================================================
@@ -85,6 +118,7 @@ const LeafletMap = ({ center, bestLocation, userLocation, searchRadius, topWeath
       if (mapInstanceRef.current) {
         mapInstanceRef.current.remove()
         mapInstanceRef.current = null
+        heatmapRef.current = null
       }
     }
       }, [center.lat, center.lng]) // Only reinitialize if center coordinates change
@@ -136,6 +170,26 @@ const LeafletMap = ({ center, bestLocation, userLocation, searchRadius, topWeath
       markersRef.current.push(bestMarker)
     }
 
+    // Add a small score-coloured dot for every scored point (below the
+    // other markers)
+    spotMarkersRef.current = new Map()
+    if (allSpots && allSpots.length > 0) {
+      allSpots.forEach(spot => {
+        const marker = window.L.marker([spot.lat, spot.lon], {
+          icon: window.L.divIcon({
+            className: 'spot-marker',
+            html: `<div style="background-color: ${scoreColor(spot.score)}; width: 8px; height: 8px; border-radius: 50%; border: 1px solid white; box-shadow: 0 1px 3px rgba(0,0,0,0.4);"></div>`,
+            iconSize: [10, 10],
+            iconAnchor: [5, 5]
+          }),
+          zIndexOffset: -1000
+        }).addTo(map)
+        marker.bindPopup(spotPopupHtml(spot, spot.name || `${spot.lat.toFixed(3)}, ${spot.lon.toFixed(3)}`))
+        markersRef.current.push(marker)
+        spotMarkersRef.current.set(`${spot.lat},${spot.lon}`, marker)
+      })
+    }
+
     // Add top 3 weather spots markers
     if (topWeatherSpots && topWeatherSpots.length > 0) {
       topWeatherSpots.forEach((spot, index) => {
@@ -151,43 +205,109 @@ const LeafletMap = ({ center, bestLocation, userLocation, searchRadius, topWeath
         }).addTo(map)
         
         // Add popup with weather info
-        marker.bindPopup(`
-          <div style="font-size: 12px; line-height: 1.4;">
-            <strong>#${spot.rank} ${spot.name}</strong><br>
-            Score: ${(spot.score * 100).toFixed(1)}%<br>
-            Temp: ${spot.temp.toFixed(1)}°C<br>
-            Sky: ${(100 - spot.cloud).toFixed(0)}% clear<br>
-            Wind: ${spot.wind.toFixed(1)}${spot.gust ? ` (${spot.gust.toFixed(1)})` : ''} m/s
-          </div>
-        `)
+        marker.bindPopup(spotPopupHtml(spot, `#${spot.rank} ${spot.name}`))
         
         markersRef.current.push(marker)
       })
     }
 
-    // Add search progress markers (grey dots with animation)
+    // Add search progress markers: pending points pulse grey, scored points
+    // get their score colour, failed points become hollow
     if (searchProgress && searchProgress.length > 0) {
       searchProgress.forEach((point, index) => {
+        const scored = point.score != null
         const marker = window.L.marker([point.lat, point.lon], {
           icon: window.L.divIcon({
             className: 'search-progress-marker',
             html: `<div style="
-              background-color: #666; 
+              background-color: ${scored ? scoreColor(point.score) : point.failed ? 'transparent' : '#666'}; 
               width: 10px; 
               height: 10px; 
               border-radius: 50%; 
-              border: 2px solid white; 
+              border: 2px solid ${point.failed ? '#999' : 'white'}; 
               box-shadow: 0 2px 6px rgba(0,0,0,0.4);
-              animation: searchPulse 2.5s ease-in-out infinite;
+              ${scored || point.failed ? '' : 'animation: searchPulse 2.5s ease-in-out infinite;'}
             "></div>`,
             iconSize: [14, 14],
             iconAnchor: [7, 7]
           })
         }).addTo(map)
+        if (scored) {
+          marker.bindPopup(`<div style="font-size: 12px;">Score: ${(point.score * 100).toFixed(1)}%</div>`)
+        }
         progressMarkersRef.current.push(marker)
       })
     }
 
+    // Provisional leader while the search is still running
+    if (liveLeader) {
+      const marker = window.L.marker([liveLeader.lat, liveLeader.lon], {
+        icon: window.L.divIcon({
+          className: 'live-leader-marker',
+          html: '<div style="color: #ffb300; font-size: 22px; line-height: 22px; text-shadow: 0 0 3px white, 0 1px 4px rgba(0,0,0,0.5);">★</div>',
+          iconSize: [22, 22],
+          iconAnchor: [11, 11]
+        }),
+        zIndexOffset: 1000
+      }).addTo(map)
+      marker.bindPopup(`
+        <div style="font-size: 12px; line-height: 1.4;">
+          <strong>Foreløpig best</strong><br>
+          Score: ${(liveLeader.score * 100).toFixed(1)}%<br>
+          Temp: ${liveLeader.temp.toFixed(1)}°C<br>
+          Wind: ${liveLeader.wind.toFixed(1)} m/s
+        </div>
+      `)
+      progressMarkersRef.current.push(marker)
+    }
+
+    // Time slider: the best point in the chosen time block, and the path the
+    // best point takes through the window
+    if (leaderTrail && leaderTrail.length > 1) {
+      const trail = window.L.polyline(leaderTrail, {
+        color: '#ffb300',
+        weight: 2,
+        opacity: 0.7,
+        dashArray: '4 6',
+        interactive: false
+      }).addTo(map)
+      markersRef.current.push(trail)
+    }
+    if (timeLeader) {
+      const marker = window.L.marker([timeLeader.lat, timeLeader.lon], {
+        icon: window.L.divIcon({
+          className: 'time-leader-marker',
+          html: '<div style="color: #ffb300; font-size: 22px; line-height: 22px; text-shadow: 0 0 3px white, 0 1px 4px rgba(0,0,0,0.5);">★</div>',
+          iconSize: [22, 22],
+          iconAnchor: [11, 11]
+        }),
+        zIndexOffset: 1000
+      }).addTo(map)
+      marker.bindPopup(spotPopupHtml(timeLeader, `Best kl. ${timeLeader.slotLabel}`))
+      markersRef.current.push(marker)
+    }
+
+    // Add markers for sample points that were skipped because they are on water
+    if (skippedPoints && skippedPoints.length > 0) {
+      skippedPoints.forEach(point => {
+        const marker = window.L.marker([point.lat, point.lon], {
+          icon: window.L.divIcon({
+            className: 'skipped-point-marker',
+            html: '<div style="width: 8px; height: 8px; border-radius: 50%; border: 2px solid #4fa3e0; background: transparent; opacity: 0.8;"></div>',
+            iconSize: [12, 12],
+            iconAnchor: [6, 6]
+          })
+        }).addTo(map)
+        marker.bindPopup(`
+          <div style="font-size: 12px; line-height: 1.4;">
+            <strong>Hoppet over</strong><br>
+            ${point.reason === 'duplicate' ? 'Nærmeste land er allerede med i søket' : 'Punktet ligger på vann'}
+          </div>
+        `)
+        markersRef.current.push(marker)
+      })
+    }
+
     // Add search radius circle
     if (searchRadius > 0) {
       console.log('Adding search radius circle:', { searchRadius, center })
@@ -201,13 +321,172 @@ const LeafletMap = ({ center, bestLocation, userLocation, searchRadius, topWeath
       }).addTo(map)
       circleRef.current = circle
     }
-      }, [bestLocation, userLocation, searchRadius, topWeatherSpots, searchProgress]) // Only update when these change
+      }, [bestLocation, userLocation, searchRadius, topWeatherSpots, searchProgress, skippedPoints, liveLeader, allSpots, timeLeader, leaderTrail]) // Only update when these change
+
+  // Pan to a point picked in the results table and open its popup
+  useEffect(() => {
+    const map = mapInstanceRef.current
+    if (!map || !focusSpot) return
+    map.panTo([focusSpot.lat, focusSpot.lon])
+    spotMarkersRef.current.get(`${focusSpot.lat},${focusSpot.lon}`)?.openPopup()
+  }, [focusSpot])
+
+  // Heatmap overlay: a new image when the grid changes, only the opacity
+  // when the slider moves
+  const heatmapGrid = heatmap?.grid
+  useEffect(() => {
+    const map = mapInstanceRef.current
+    if (!map) return
+    if (heatmapRef.current) {
+      map.removeLayer(heatmapRef.current)
+      heatmapRef.current = null
+    }
+    if (!heatmapGrid) return
+    const { south, west, north, east } = heatmapGrid.bounds
+    heatmapRef.current = window.L.imageOverlay(heatmapImage(heatmapGrid), [[south, west], [north, east]], {
+      opacity: heatmap.opacity,
+      interactive: false
+    }).addTo(map)
+  }, [heatmapGrid, center.lat, center.lng])
+
+  useEffect(() => {
+    if (heatmapRef.current && heatmap) heatmapRef.current.setOpacity(heatmap.opacity)
+  }, [heatmap?.opacity])
 
       return <div ref={mapRef} style={{ width: '100%', height: window.innerWidth <= 768 ? '300px' : '400px', borderRadius: 8 }} />
 }
 
+// ============================================================================
+// FORECAST TABLE
+// ============================================================================
+// Hour-by-hour forecast rows for one point over the search window
+// (entries from selectWindowEntries), used for the best point and for a
+// point picked in the results table
+// ============================================================================
+const ForecastTable = ({ forecast, darkMode }) => (
+  <>
+    <div style={{ 
+      display:'grid', 
+      gridTemplateColumns:'1fr 1fr 1fr 1fr 1fr 3fr', 
+      textAlign:'left', 
+      fontWeight:'bold', 
+      borderBottom: darkMode ? '1px solid #444' : '1px solid #ddd', 
+      paddingBottom:'0.5rem',
+      color: darkMode ? '#fff' : '#000'
+    }}>
+      <div>Tid</div><div>Vær</div><div>Temp.<br/>°C</div><div>Nedbør<br/>mm</div><div>Vind<br/>m/s (kast)</div><div>Vindbeskrivelse</div>
+    </div>
+    {forecast.map(({ entry: f, step }) => {
+      const fmt = d => d.toLocaleTimeString('no-NO',{hour:'2-digit',minute:'2-digit'})
+      const start = new Date(f.time)
+      // 6-hourly steps (beyond ~60 hours) are shown as a time range
+      const time = step > 1 ? `${fmt(start)}–${fmt(new Date(start.getTime() + step * 3600000))}` : fmt(start)
+      const det = f.data.instant.details
+      const period = entryPeriod(f)
+      const nxt = period?.details || {}
+      const sym = period?.summary?.symbol_code || 'unknown'
+      const iconUrl = iconModules[`./assets/symbols/${sym}.svg`]
+      const precip = nxt.precipitation_amount != null ? nxt.precipitation_amount.toFixed(1) : ''
+      const speed = det.wind_speed.toFixed(0)
+      // Get wind gust data from complete API
+      const gust = det.wind_speed_of_gust != null ? det.wind_speed_of_gust.toFixed(0) : ''
+      const dirDeg = det.wind_from_direction
+      const arrow = getWindArrow(dirDeg)
+      const dirName = getWindDirName(dirDeg)
+      const beauName = getBeaufortName(det.wind_speed)
+      const desc = `${beauName} fra ${dirName}`
+
+      return (
+        <div key={f.time} style={{ 
+          display:'grid', 
+          gridTemplateColumns:'1fr 1fr 1fr 1fr 1fr 3fr', 
+          padding:'0.5rem 0', 
+          borderBottom: darkMode ? '1px solid #444' : '1px solid #eee', 
+          alignItems:'center',
+          color: darkMode ? '#fff' : '#000'
+        }}>
+          <div>{time}</div>
+          <div>{iconUrl ? <img src={iconUrl} alt={sym} style={{width:32,height:32}} /> : '❓'}</div>
+          <div style={{color: det.air_temperature > 0 ? '#ff4444' : '#4444ff'}}>{det.air_temperature}°</div>
+          <div style={{color: parseFloat(precip) > 0 ? (darkMode ? '#4fc3f7' : '#007aff') : (darkMode ? '#fff' : '#000')}}>{precip}</div>
+          <div>{`${speed}${gust ? ` (${gust})` : ''} ${arrow}`}</div>
+          <div style={{ textAlign:'left' }}>{desc}</div>
+        </div>
+      )
+    })}
+  </>
+)
+
+// ============================================================================
+// FORECAST COMPARISON
+// ============================================================================
+// Hourly forecasts of 2-4 spots side by side: one row per time step, one
+// column per spot. Each entry in `spots` is { key, label, score, forecast,
+// error } with forecast from selectWindowEntries (null while loading).
+// ============================================================================
+const ForecastComparison = ({ spots, darkMode }) => {
+  const fmt = d => d.toLocaleTimeString('no-NO', { hour: '2-digit', minute: '2-digit' })
+  const byTime = spots.map(spot => new Map((spot.forecast || []).map(item => [item.entry.time, item])))
+  const times = [...new Set(byTime.flatMap(map => [...map.keys()]))].sort()
+  const columns = `4.5rem repeat(${spots.length}, minmax(0, 1fr))`
+  const border = darkMode ? '1px solid #444' : '1px solid #eee'
+
+  return (
+    <div style={{ fontSize: '0.85rem', color: darkMode ? '#fff' : '#000' }}>
+      <div style={{ display: 'grid', gridTemplateColumns: columns, fontWeight: 'bold', borderBottom: darkMode ? '1px solid #444' : '1px solid #ddd', paddingBottom: '0.5rem' }}>
+        <div>Tid</div>
+        {spots.map(spot => (
+          <div key={spot.key} style={{ textAlign: 'center', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={spot.label}>
+            {spot.label}
+            {spot.score != null && (
+              <div style={{ fontWeight: 'normal', color: scoreColor(spot.score) }}>{(spot.score * 100).toFixed(0)}%</div>
+            )}
+            {!spot.forecast && (
+              <div style={{ fontWeight: 'normal', color: spot.error ? '#dc3545' : '#888' }}>{spot.error || 'Henter…'}</div>
+            )}
+          </div>
+        ))}
+      </div>
+      {times.map(time => {
+        const start = new Date(time)
+        const step = byTime.find(map => map.has(time)).get(time).step
+        return (
+          <div key={time} style={{ display: 'grid', gridTemplateColumns: columns, padding: '0.35rem 0', borderBottom: border, alignItems: 'center' }}>
+            <div>{step > 1 ? `${fmt(start)}–${fmt(new Date(start.getTime() + step * 3600000))}` : fmt(start)}</div>
+            {byTime.map((map, i) => {
+              const item = map.get(time)
+              if (!item) return <div key={spots[i].key} style={{ textAlign: 'center', color: '#888' }}>–</div>
+              const det = item.entry.data.instant.details
+              const period = entryPeriod(item.entry)
+              const sym = period?.summary?.symbol_code || 'unknown'
+              const iconUrl = iconModules[`./assets/symbols/${sym}.svg`]
+              const precip = period?.details?.precipitation_amount
+              const gust = det.wind_speed_of_gust != null ? ` (${det.wind_speed_of_gust.toFixed(0)})` : ''
+              return (
+                <div key={spots[i].key} style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '0.3rem', flexWrap: 'wrap' }}>
+                  {iconUrl ? <img src={iconUrl} alt={sym} style={{ width: 26, height: 26 }} /> : '❓'}
+                  <span style={{ color: det.air_temperature > 0 ? '#ff4444' : '#4444ff' }}>{det.air_temperature.toFixed(0)}°</span>
+                  {precip > 0 && <span style={{ color: darkMode ? '#4fc3f7' : '#007aff' }}>{precip.toFixed(1)}</span>}
+                  <span title={`${getBeaufortName(det.wind_speed)} fra ${getWindDirName(det.wind_from_direction)}`}>
+                    {`${det.wind_speed.toFixed(0)}${gust} ${getWindArrow(det.wind_from_direction)}`}
+                  </span>
+                </div>
+              )
+            })}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+// Maks antall steder i sammenligningen
+const MAX_COMPARE = 4
+
 // Glob-import av alle SVG-ikoner i src/assets/symbols
 const iconModules = import.meta.glob('./assets/symbols/*.svg', { eager: true, as: 'url' })
+// Met.no regnsymbol brukes som ikon for nedbørsfaktoren
+const rainIcon = iconModules['./assets/symbols/rain.svg']
 
 // Beaufort-skala navngivning (m/s)
 function getBeaufortName(speed) {
@@ -238,29 +517,172 @@ function getWindArrow(deg) {
   return arrows[Math.floor((deg + 22.5) / 45) % 8]
 }
 
+// Farge for en score 0-1: rød (dårlig) via gul til grønn (best)
+function scoreColor(score) {
+  return `hsl(${Math.round(Math.max(0, Math.min(1, score)) * 120)}, 75%, 45%)`
+}
+
+// Popup-innhold for et scoret punkt (topp 3 og alle punkter)
+function spotPopupHtml(spot, title) {
+  if (spot.slotLabel) {
+    // Tidsglideren: score og faktorer for tidsblokken (værverdiene er snitt for hele vinduet)
+    return `
+      <div style="font-size: 12px; line-height: 1.4;">
+        <strong>${title}</strong><br>
+        Score kl. ${spot.slotLabel}: ${(spot.score * 100).toFixed(1)}%<br>
+        ${['sol', 'temp', 'wind', 'precip'].map(key => `${HEATMAP_LABELS[key]}: ${(spot.factors[key] * 100).toFixed(0)}%`).join('<br>')}
+      </div>
+    `
+  }
+  return `
+    <div style="font-size: 12px; line-height: 1.4;">
+      <strong>${title}</strong><br>
+      Score: ${(spot.score * 100).toFixed(1)}%<br>
+      ${spot.bestWindow ? `${bestWindowLabel(spot.bestWindow)} (${(spot.bestWindow.score * 100).toFixed(0)}%)<br>` : ''}
+      Temp: ${spot.temp.toFixed(1)}°C<br>
+      Sky: ${(100 - spot.cloud).toFixed(0)}% clear<br>
+      Wind: ${spot.wind.toFixed(1)}${spot.gust ? ` (${spot.gust.toFixed(1)})` : ''} m/s<br>
+      Nedbør: ${spot.precip.toFixed(1)} mm/t${spot.precipProbability != null ? ` (${spot.precipProbability.toFixed(0)}%)` : ''}
+    </div>
+  `
+}
+
+// Sorterbare kolonner i resultattabellen
+const SPOT_COLUMNS = [
+  { key: 'score', label: 'Score', format: s => `${(s.score * 100).toFixed(0)}%` },
+  { key: 'temp', label: 'Temp.', format: s => `${s.temp.toFixed(1)}°` },
+  { key: 'cloud', label: 'Skydekke', format: s => `${s.cloud.toFixed(0)}%` },
+  { key: 'wind', label: 'Vind', format: s => `${s.wind.toFixed(1)} m/s` },
+  { key: 'precip', label: 'Nedbør', format: s => `${s.precip.toFixed(1)} mm/t` },
+  { key: 'distance', label: 'Avstand', format: s => `${s.distance.toFixed(1)} km` }
+]
+
+// Navn på varmekartlagene
+const HEATMAP_LABELS = { score: 'Total score', sol: 'Sol', temp: 'Temperatur', wind: 'Vind', precip: 'Nedbør' }
+
+// Etikett for en tidsblokk i tidsglideren: "14:00" for hele timer,
+// "14:00–16:00" for lengre blokker
+function timeBlockLabel(block) {
+  const format = ms => new Date(ms).toLocaleTimeString('no-NO', { hour: '2-digit', minute: '2-digit' })
+  return block.end - block.start > 60 * 60 * 1000 ? `${format(block.start)}–${format(block.end)}` : format(block.start)
+}
+
+// "Best 12:00–15:00" for et punkts beste periode, med dag når den ikke er i dag
+function bestWindowLabel(bestWindow) {
+  const start = new Date(bestWindow.start)
+  const fmt = d => d.toLocaleTimeString('no-NO', { hour: '2-digit', minute: '2-digit' })
+  const today = new Date()
+  const tomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1)
+  const day = start.toDateString() === today.toDateString() ? ''
+    : start.toDateString() === tomorrow.toDateString() ? 'i morgen '
+      : `${start.toLocaleDateString('no-NO', { weekday: 'long' })} `
+  return `Best ${day}${fmt(start)}–${fmt(new Date(bestWindow.end))}`
+}
+
+// "kl. 14:32" for når lagrede data ble hentet, med dato når det ikke var i dag
+function dataTimeLabel(ms) {
+  const date = new Date(ms)
+  const time = `kl. ${date.toLocaleTimeString('no-NO', { hour: '2-digit', minute: '2-digit' })}`
+  return date.toDateString() === new Date().toDateString()
+    ? time
+    : `${date.toLocaleDateString('no-NO', { day: 'numeric', month: 'short' })} ${time}`
+}
+
+// Milliseconds per step when the time slider plays
+const TIME_PLAY_MS = 1000
+
+// Varmekartet som bilde: én piksel per celle, kartet skalerer det mykt opp
+function heatmapImage(grid) {
+  const canvas = document.createElement('canvas')
+  canvas.width = grid.cells
+  canvas.height = grid.cells
+  const ctx = canvas.getContext('2d')
+  grid.values.forEach((value, i) => {
+    if (value === null) return
+    ctx.fillStyle = scoreColor(value)
+    ctx.fillRect(i % grid.cells, Math.floor(i / grid.cells), 1, 1)
+  })
+  return canvas.toDataURL()
+}
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
-// Helper functions used throughout the application for API calls and delays
+// Helper functions used throughout the application for API calls
 // ============================================================================
 
-// Simple delay function for rate limiting API calls
-const sleep = ms => new Promise(r => setTimeout(r, ms))
-
 // ============================================================================
 // API REQUEST WITH TIMEOUT
 // ============================================================================
 // Wrapper around fetch() that adds timeout functionality to prevent hanging
-// requests, especially important for mobile devices and slow networks
+// requests, especially important for mobile devices and slow networks.
+// options.signal (e.g. from a search session) cancels the request as well;
+// check that signal's `aborted` to tell a cancel from a timeout.
 // ============================================================================
-async function fetchJsonWithTimeout(url, options = {}, timeoutMs = 8000) {
+function timeoutSignal(signal, timeoutMs) {
   const controller = new AbortController()                    // AbortController for timeout
   const id = setTimeout(() => controller.abort(), timeoutMs)  // Set timeout timer
+  const onAbort = () => controller.abort()
+  if (signal?.aborted) controller.abort()
+  signal?.addEventListener('abort', onAbort)
+  return {
+    signal: controller.signal,
+    clear: () => {
+      clearTimeout(id)                                        // Clean up timeout
+      signal?.removeEventListener('abort', onAbort)
+    }
+  }
+}
+
+async function fetchJsonWithTimeout(url, options = {}, timeoutMs = 8000) {
+  const timeout = timeoutSignal(options.signal, timeoutMs)
   try {
-    const res = await fetch(url, { ...options, signal: controller.signal })
+    const res = await fetch(url, { ...options, signal: timeout.signal })
     return await res.json()
   } finally {
-    clearTimeout(id)                                          // Clean up timeout
+    timeout.clear()
+  }
+}
+
+// ============================================================================
+// STREAMED API REQUEST (NDJSON)
+// ============================================================================
+// Reads a newline-delimited JSON response while it arrives and calls
+// onEvent for every line. Error responses are plain JSON ({ error }) and are
+// passed on as a single { type: 'error' } event. options.signal cancels the
+// request, like in fetchJsonWithTimeout.
+// ============================================================================
+async function fetchNdjsonWithTimeout(url, onEvent, options = {}, timeoutMs = 8000) {
+  const timeout = timeoutSignal(options.signal, timeoutMs)
+  const emit = text => text.split('\n').filter(line => line.trim()).forEach(line => onEvent(JSON.parse(line)))
+  try {
+    const res = await fetch(url, { ...options, signal: timeout.signal })
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}))
+      onEvent({ type: 'error', error: data.error || `HTTP ${res.status}` })
+      return
+    }
+    // Browsers without response streams get everything at the end
+    if (!res.body) {
+      emit(await res.text())
+      return
+    }
+    const reader = res.body.getReader()
+    const decoder = new TextDecoder()
+    let buffer = ''
+    for (;;) {
+      const { done, value } = await reader.read()
+      buffer += decoder.decode(value, { stream: !done })
+      const end = buffer.lastIndexOf('\n')
+      if (end >= 0) {
+        emit(buffer.slice(0, end))
+        buffer = buffer.slice(end + 1)
+      }
+      if (done) break
+    }
+    emit(buffer)
+  } finally {
+    timeout.clear()
   }
 }
 
@@ -302,43 +724,194 @@ class ErrorBoundary extends React.Component {
 // The main application component that manages all state and renders the UI
 // ============================================================================
 export default function App() {
+  // Settings from a shared link (?lat=..&lon=..), read once on load
+  const [shareLink] = useState(() => parseShareParams(window.location.search))
+  const linkCenter = shareLink.center
+
   // Weather data and search results
   const [best, setBest] = useState(null)                    // Best weather location found
-  const [userLocation, setUserLocation] = useState(null)    // User's current GPS location
+  const [userLocation, setUserLocation] = useState(() => (  // User's current GPS location
+    linkCenter ? { lat: linkCenter.lat, lng: linkCenter.lon, name: shareLink.name } : null
+  ))
   const [loading, setLoading] = useState(false)            // Loading state for searches
   const [error, setError] = useState(null)                 // Error messages to display
   
   // Manual location input and suggestions
-  const [manualLocation, setManualLocation] = useState('')  // User-typed location string
+  const [manualLocation, setManualLocation] = useState(shareLink.name || '')  // User-typed location string
   const [showManualInput, setShowManualInput] = useState(true) // Show/hide manual input
   const [suggestions, setSuggestions] = useState([])         // Location search suggestions
   const [isSearchingPlaces, setIsSearchingPlaces] = useState(false) // Loading suggestions
-  const [hasSelectedSuggestion, setHasSelectedSuggestion] = useState(false) // Hide suggestions after selection
+  const [hasSelectedSuggestion, setHasSelectedSuggestion] = useState(!!linkCenter) // Hide suggestions after selection
   const [selectedIndex, setSelectedIndex] = useState(-1)     // Keyboard navigation index
+  const [countryFilterId, setCountryFilterId] = useState(() => findCountryFilter(loadJson('countryFilter', DEFAULT_COUNTRY_FILTER)).id) // Countries to search in
+  const countryFilter = findCountryFilter(countryFilterId)
   const suggestionsBoxRef = useRef(null)                    // DOM ref for suggestions dropdown
+  const [favourites, setFavourites] = useState(() => { // Saved places (savedPlaces.js)
+    const saved = loadJson('favourites', [])
+    return Array.isArray(saved) ? saved : []
+  })
+  const [history, setHistory] = useState(() => { // Recent searches, newest first
+    const saved = loadJson('history', [])
+    return Array.isArray(saved) ? saved : []
+  })
+
+  // Favourites and recent searches matching the typed text come first in
+  // the dropdown, followed by the geocoder's suggestions
+  const placeOptions = hasSelectedSuggestion ? suggestions : [
+    ...matchSaved(favourites, manualLocation).map(entry => ({ saved: 'favourite', entry })),
+    ...matchSaved(history, manualLocation).map(entry => ({ saved: 'history', entry })),
+    ...suggestions
+  ]
   
   // Map display and visualization
-  const [showMap, setShowMap] = useState(false)             // Show/hide map component
-  const [mapCenter, setMapCenter] = useState({ lat: 0, lng: 0 }) // Map center coordinates
+  const [showMap, setShowMap] = useState(!!linkCenter)      // Show/hide map component
+  const [mapCenter, setMapCenter] = useState(linkCenter ? { lat: linkCenter.lat, lng: linkCenter.lon } : { lat: 0, lng: 0 }) // Map center coordinates
   const [bestLocation, setBestLocation] = useState(null)   // Best weather location for map
   const [topWeatherSpots, setTopWeatherSpots] = useState([]) // Top 3 weather locations
   const [searchProgress, setSearchProgress] = useState([])   // Search progress dots
+  const [liveLeader, setLiveLeader] = useState(null)         // Best spot so far while searching
+  const [searchPhase, setSearchPhase] = useState(null)       // 'coarse' | 'refine' | 'naming' while searching
+  const [searchSpots, setSearchSpots] = useState(null)       // { center, radiusKm, window, spots } of the last search
+  const [plan, setPlan] = useState(null)                     // Multi-day planner: { fromHour, toHour, days, loading }
+  const [spotSort, setSpotSort] = useState({ key: 'score', desc: true }) // Results table sort order
+  const [selectedSpot, setSelectedSpot] = useState(null)     // { spot, forecast, error } picked in the table
+  const [focusSpot, setFocusSpot] = useState(null)           // Point the map pans to
+  const spotRequestRef = useRef(null)                        // AbortController of the selected point's forecast
+  const [compareList, setCompareList] = useState([])         // [{ key, label, lat, lon, score }] spots to compare
+  const [compareData, setCompareData] = useState({})         // key -> { forecast, error } for compared spots
+  const compareRequestRef = useRef(null)                     // AbortController of the comparison's forecasts
+  const [heatmapOn, setHeatmapOn] = useState(false)          // Show the interpolated heatmap
+  const [heatmapLayer, setHeatmapLayer] = useState('score')  // 'score' or a factor (HEATMAP_LAYERS)
+  const [heatmapOpacity, setHeatmapOpacity] = useState(0.55) // Heatmap overlay opacity
+  const [timeStep, setTimeStep] = useState(null)             // Time slider block index, null = the whole window
+  const [timePlaying, setTimePlaying] = useState(false)      // Time slider animation running
+  const [linkRun, setLinkRun] = useState(false)              // Copied links start the search when opened
+  const [storedResultAt, setStoredResultAt] = useState(() => loadJson('lastResult', null)?.savedAt || null) // Time of the last stored search
+  const [restoredAt, setRestoredAt] = useState(null)         // savedAt of the stored results on screen, null for fresh ones
+  const [online, setOnline] = useState(navigator.onLine)     // Browser network state
+  const [linkCopied, setLinkCopied] = useState(false)        // "Kopiert" feedback after copying a link
+
+  // Rows for the results table: every scored point with its distance from
+  // the center and the name of the top 3 spots, sorted by the chosen column
+  const spotRows = useMemo(() => {
+    if (!searchSpots) return []
+    const rows = searchSpots.spots.map(spot => {
+      const top = topWeatherSpots.find(t => t.lat === spot.lat && t.lon === spot.lon)
+      return { ...spot, distance: distanceKm(searchSpots.center, spot), name: top?.name || null, rank: top?.rank || null }
+    })
+    const sign = spotSort.desc ? -1 : 1
+    return rows.sort((a, b) => sign * (a[spotSort.key] - b[spotSort.key]))
+  }, [searchSpots, topWeatherSpots, spotSort])
+
+  // Points as shown on the map: the window scores, or the scores of the time
+  // block picked with the time slider (points without data in it are left out)
+  const timeBlocks = searchSpots?.timeline || []
+  const mapSpots = useMemo(() => {
+    if (!searchSpots) return []
+    if (timeStep === null || !timeBlocks[timeStep]) return searchSpots.spots
+    const slotLabel = timeBlockLabel(timeBlocks[timeStep])
+    return searchSpots.spots
+      .filter(spot => spot.timeline?.[timeStep])
+      .map(spot => ({ ...spot, ...spot.timeline[timeStep], slotLabel }))
+  }, [searchSpots, timeStep])
+
+  // Best point per time block: the star on the map and the path it follows
+  const timeLeaders = useMemo(() => timeBlocks.map((block, i) => searchSpots.spots.reduce((best, spot) => (
+    spot.timeline?.[i] && (!best || spot.timeline[i].score > best.timeline[i].score) ? spot : best
+  ), null)), [searchSpots])
+  const timeActive = timeStep !== null
+  const leaderTrail = useMemo(() => (
+    timeActive ? timeLeaders.filter(Boolean).map(spot => [spot.lat, spot.lon]) : null
+  ), [timeLeaders, timeActive])
+  const timeLeader = !timeActive ? null : mapSpots.reduce((a, b) => (!a || b.score > a.score ? b : a), null)
+
+  // Interpolated grid for the heatmap, only recomputed when its input changes
+  const heatmapGrid = useMemo(() => (
+    heatmapOn && searchSpots && mapSpots.length > 0
+      ? idwGrid(mapSpots, { center: searchSpots.center, radiusKm: searchSpots.radiusKm, layer: heatmapLayer })
+      : null
+  ), [heatmapOn, searchSpots, mapSpots, heatmapLayer])
+
+  // Time slider animation: one block per TIME_PLAY_MS, starting over at the end
+  useEffect(() => {
+    if (!timePlaying || timeBlocks.length === 0) return
+    const timer = setInterval(() => {
+      setTimeStep(step => (step === null || step >= timeBlocks.length - 1 ? 0 : step + 1))
+    }, TIME_PLAY_MS)
+    return () => clearInterval(timer)
+  }, [timePlaying, timeBlocks.length])
+  const [skippedPoints, setSkippedPoints] = useState([])     // Sample points dropped because they are on water
   
   // Search configuration
-  const [searchRadius, setSearchRadius] = useState(10)      // Search radius in kilometers
+  const [searchRadius, setSearchRadius] = useState(shareLink.radiusKm ?? 10) // Search radius in kilometers
+  const [forecastWindow, setForecastWindow] = useState(() => ( // Date + hour range to score (a linked date must still be selectable)
+    shareLink.forecastWindow && windowDateOptions().some(o => o.value === shareLink.forecastWindow.date)
+      ? shareLink.forecastWindow
+      : DEFAULT_WINDOW
+  ))
+  const [bestWindowHours, setBestWindowHours] = useState(() => { // Length of the best period per top spot
+    const hours = loadJson('bestWindowHours', DEFAULT_BEST_WINDOW_HOURS)
+    return BEST_WINDOW_HOURS.includes(hours) ? hours : DEFAULT_BEST_WINDOW_HOURS
+  })
   
   // State for workflow
-  const [hasLocation, setHasLocation] = useState(false)
-  const [showSearchButton, setShowSearchButton] = useState(false)
+  const [hasLocation, setHasLocation] = useState(!!linkCenter)
+  const [showSearchButton, setShowSearchButton] = useState(!!linkCenter)
   
-  const [darkMode, setDarkMode] = useState(false)          // Dark/Light mode toggle
+  const [darkMode, setDarkMode] = useState(shareLink.stormMode ?? false) // Dark/Light mode toggle
   const [showInfo, setShowInfo] = useState(false)         // Show/hide info panel
 
+  // Activity profiles: the active one presets the weights below and adds its
+  // own scoring adjustments. Custom profiles and the choice are persisted.
+  const [customProfiles, setCustomProfiles] = useState(() => loadJson('customProfiles', []))
+  const [activeProfileId, setActiveProfileId] = useState(() => (
+    shareLink.profileId && findProfile(shareLink.profileId, customProfiles) ? shareLink.profileId : loadJson('activeProfile', DEFAULT_PROFILE_ID)
+  ))
+  const activeProfile = findProfile(activeProfileId, customProfiles) || BUILTIN_PROFILES[0]
+
   // These weights (0-1) determine how much each weather factor influences
   // the search algorithm. They are controlled by the interactive triangle.
-  const [solWeight, setSolWeight] = useState(1/3)         // Sun/cloud coverage priority (0-1)
-  const [tempWeight, setTempWeight] = useState(1/3)       // Temperature priority (0-1) 
-  const [windWeight, setWindWeight] = useState(1/3)       // Wind speed priority (0-1)
+  // A shared link overrides the profile's weights.
+  const [solWeight, setSolWeight] = useState(shareLink.weights.sol ?? activeProfile.weights.sol)       // Sun/cloud coverage priority (0-1)
+  const [tempWeight, setTempWeight] = useState(shareLink.weights.temp ?? activeProfile.weights.temp)  // Temperature priority (0-1) 
+  const [windWeight, setWindWeight] = useState(shareLink.weights.wind ?? activeProfile.weights.wind)  // Wind speed priority (0-1)
+  const [precipWeight, setPrecipWeight] = useState(shareLink.weights.precip ?? activeProfile.weights.precip) // Precipitation share of the total (0-1), set by its own slider
+
+  // Comfort targets for the temperature and wind scores (persisted in localStorage)
+  const [comfortTargets, setComfortTargets] = useState(() => sanitizeTargets(loadJson('comfortTargets', DEFAULT_TARGETS)))
+  const [showSettings, setShowSettings] = useState(false)  // Show/hide comfort settings panel
+  const targets = sanitizeTargets(comfortTargets)           // Repaired copy used for scoring and labels
+
+  useEffect(() => {
+    saveJson('comfortTargets', comfortTargets)
+  }, [comfortTargets])
+
+  useEffect(() => {
+    saveJson('customProfiles', customProfiles)
+  }, [customProfiles])
+
+  useEffect(() => {
+    saveJson('activeProfile', activeProfileId)
+  }, [activeProfileId])
+
+  useEffect(() => {
+    saveJson('countryFilter', countryFilterId)
+  }, [countryFilterId])
+
+  useEffect(() => {
+    saveJson('bestWindowHours', bestWindowHours)
+  }, [bestWindowHours])
+
+  useEffect(() => {
+    saveJson('favourites', favourites)
+  }, [favourites])
+
+  useEffect(() => {
+    saveJson('history', history)
+  }, [history])
+
+  // Wind style of the active profile ('band' for kiting/sailing), else the mode decides
+  const windStyle = resolveWindStyle(activeProfile.windStyle, darkMode)
 
   // Interactive triangle for setting weather factor priorities
   // Users drag a dot within the triangle to set relative weights
@@ -360,11 +933,43 @@ export default function App() {
     y: wA * vA.y + wB * vB.y + wC * vC.y
   })
 
+  // Effective share of each factor in the score (all four sum to 100%)
+  const effectiveWeights = normalizeWeights({ sol: solWeight, temp: tempWeight, wind: windWeight, precip: precipWeight }) ||
+    { sol: 0, temp: 0, wind: 0, precip: 0 }
+
   // Initialize selector position based on current weights (starts in center)
   const [selectorPos, setSelectorPos] = useState(() => weightsToPoint(solWeight, tempWeight, windWeight))
   const dragRef = useRef(false)                            // Track if user is dragging
   const svgRef = useRef(null)                              // SVG element reference
 
+  // Apply a profile: preset the triangle, precipitation weight and comfort targets
+  const applyProfile = (profile) => {
+    const { sol, temp, wind, precip } = profile.weights
+    setSolWeight(sol)
+    setTempWeight(temp)
+    setWindWeight(wind)
+    setPrecipWeight(precip)
+    setSelectorPos(weightsToPoint(sol, temp, wind))
+    setComfortTargets(sanitizeTargets(profile.targets))
+    setActiveProfileId(profile.id)
+  }
+
+  // Save the current weights and targets as a named custom profile
+  const saveCustomProfile = (name) => {
+    const profile = createCustomProfile(name, {
+      weights: { sol: solWeight, temp: tempWeight, wind: windWeight, precip: precipWeight },
+      targets: comfortTargets,
+      windStyle: activeProfile.windStyle
+    })
+    setCustomProfiles(prev => [...prev, profile])
+    setActiveProfileId(profile.id)
+  }
+
+  const deleteCustomProfile = (id) => {
+    setCustomProfiles(prev => prev.filter(p => p.id !== id))
+    if (id === activeProfileId) setActiveProfileId(DEFAULT_PROFILE_ID)
+  }
+
   // Mathematical functions for triangle area calculation and barycentric coordinates
   // These ensure the draggable dot stays within triangle boundaries
   
@@ -487,217 +1092,415 @@ export default function App() {
     dragRef.current = false
   }
 
+  // ============================================================================
+  // SEARCH SESSIONS
+  // ============================================================================
+  // Every location lookup and search runs in a session (an AbortController
+  // whose signal goes to all its requests). Starting a new session aborts
+  // the previous one, and results are only applied while their session is
+  // still the current one, so a slow old search never overwrites a newer one.
+  // ============================================================================
+  const searchSessionRef = useRef(null)
+
+  const startSession = () => {
+    searchSessionRef.current?.abort()
+    const session = new AbortController()
+    searchSessionRef.current = session
+    return session
+  }
+
+  const isCurrentSession = session => searchSessionRef.current === session && !session.signal.aborted
+
+  // Called when a session is done; a newer session is left alone
+  const endSession = session => {
+    if (searchSessionRef.current === session) searchSessionRef.current = null
+  }
+
+  // "Avbryt": stop the running lookup or search and clear its progress
+  const cancelSearch = () => {
+    searchSessionRef.current?.abort()
+    searchSessionRef.current = null
+    setPlan(prev => (prev?.loading ? null : prev))
+    setSearchProgress([])
+    setLiveLeader(null)
+    setSearchPhase(null)
+    setLoading(false)
+  }
+
+  // A new location or radius makes a running search stale
+  useEffect(() => {
+    if (searchSessionRef.current) cancelSearch()
+  }, [mapCenter.lat, mapCenter.lng, searchRadius])
+
+  // Location, radius and scoring settings as query parameters for
+  // /api/search and /api/plan
+  const scoringParams = (latitude, longitude) => {
+    const params = new URLSearchParams({
+      lat: latitude,
+      lon: longitude,
+      radius: searchRadius,
+      sol: solWeight,
+      temp: tempWeight,
+      wind: windWeight,
+      precip: precipWeight,
+      mode: darkMode ? 'storm' : 'sun',
+      profile: activeProfile.id,
+      ...targets
+    })
+    if (activeProfile.windStyle) params.set('windStyle', activeProfile.windStyle)
+    return params
+  }
+
+  // Keep the address bar in sync with the search settings, so the page can
+  // be bookmarked or shared (run=1 from an opened link is dropped here)
+  const shareQuery = hasLocation
+    ? buildShareParams({
+        center: { lat: mapCenter.lat, lon: mapCenter.lng },
+        name: userLocation?.name,
+        radiusKm: searchRadius,
+        weights: { sol: solWeight, temp: tempWeight, wind: windWeight, precip: precipWeight },
+        stormMode: darkMode,
+        profileId: activeProfile.id,
+        forecastWindow
+      }).toString()
+    : ''
+  useEffect(() => {
+    window.history.replaceState(null, '', shareQuery ? `${window.location.pathname}?${shareQuery}` : window.location.pathname)
+  }, [shareQuery])
+
+  // Copy a link to the current search, optionally with run=1
+  const copyShareLink = async () => {
+    const params = new URLSearchParams(shareQuery)
+    if (linkRun) params.set('run', '1')
+    const url = `${window.location.origin}${window.location.pathname}?${params}`
+    try {
+      await navigator.clipboard.writeText(url)
+      setLinkCopied(true)
+      setTimeout(() => setLinkCopied(false), 2000)
+    } catch (err) {
+      window.prompt('Kopier lenken:', url)
+    }
+  }
+
+  // Multi-day planner: the best coarse-grid spot for the chosen hours of
+  // each coming day, from one set of forecasts on the server (/api/plan)
+  const planDays = async () => {
+    const session = startSession()
+    const { fromHour, toHour } = forecastWindow.date ? forecastWindow : DEFAULT_WINDOW
+    if (fromHour >= toHour) {
+      endSession(session)
+      setError('Sluttidspunktet må være etter starttidspunktet')
+      return
+    }
+    const now = Date.now()
+    const days = windowDateOptions()
+      .map(option => ({ ...option, window: resolveWindow({ date: option.value, fromHour, toHour }) }))
+      .filter(day => day.window.end > now)
+      .map(day => ({ ...day, window: { start: Math.max(day.window.start, now), end: day.window.end } }))
+
+    setLoading(true)
+    setError(null)
+    setPlan({ loading: true, fromHour, toHour, days: [] })
+    const params = scoringParams(mapCenter.lat, mapCenter.lng)
+    params.set('windows', days.map(day => `${day.window.start}-${day.window.end}`).join(','))
+    let result
+    try {
+      result = await fetchJsonWithTimeout(`/api/plan?${params}`, { signal: session.signal }, 90000)
+    } catch (err) {
+      result = { error: err.name === 'AbortError' ? 'Planleggingen tok for lang tid' : err.message }
+    }
+    if (!isCurrentSession(session)) return
+    endSession(session)
+    setLoading(false)
+    if (!result.days) {
+      setPlan(null)
+      setError('Feil under planlegging: ' + (result.error || 'Ugyldig svar'))
+      return
+    }
+    setPlan({ fromHour, toHour, days: result.days.map((day, i) => ({ ...day, date: days[i].value, label: days[i].label })) })
+  }
+
+  // A planner row: run the normal search for that day's hours
+  const openPlanDay = (day) => {
+    const dayWindow = { date: day.date, fromHour: plan.fromHour, toHour: plan.toHour }
+    setForecastWindow(dayWindow)
+    setLoading(true)
+    setError(null)
+    setBest(null)
+    setBestLocation(null)
+    processLocation(mapCenter.lat, mapCenter.lng, userLocation?.name, dayWindow)
+  }
+
   // This is the core function that finds the best weather location within
-  // the specified radius using a polar grid search algorithm.
+  // the specified radius. The grid search itself runs on the server
+  // (/api/search, see src/engine/search.js); the browser sends the settings
+  // and shows the points and the provisional leader while results stream in.
   // 
-  // Algorithm Steps:
-  // 1. Normalize user's weather factor weights
-  // 2. Get user's location name via reverse geocoding
-  // 3. Generate polar grid of sample points around user
-  // 4. Fetch weather data for each sample point from Met.no API
-  // 5. Score each location based on user's weather preferences
-  // 6. Find the best location and top 3 alternatives
-  // 7. Update map and display results
-  const processLocation = async (latitude, longitude, locationName) => {
-    // Ensure weights sum to 1.0 for proper scoring algorithm
-    const totalWLocal = solWeight + tempWeight + windWeight
-    if (totalWLocal === 0) {
+  // Algorithm Steps (server side):
+  // 1. Generate polar grid of sample points around the user, off water
+  // 2. Fetch weather data for each sample point from Met.no API
+  // 3. Score each location based on user's weather preferences
+  // 4. Refine around the best candidates
+  // 5. Name the best location and top 3 alternatives
+  const processLocation = async (latitude, longitude, locationName, searchWindow = forecastWindow) => {
+    const session = startSession()
+
+    // Ensure at least one weight is set (precipitation takes its share
+    // first, the triangle splits the rest)
+    if (!normalizeWeights({ sol: solWeight, temp: tempWeight, wind: windWeight, precip: precipWeight })) {
+      endSession(session)
       setError('Vennligst sett minst én vekt > 0')
       setLoading(false)
       return
     }
-    const wSol = solWeight / totalWLocal      // Normalized sun weight (0-1)
-    const wTemp = tempWeight / totalWLocal    // Normalized temperature weight (0-1)
-    const wWind = windWeight / totalWLocal    // Normalized wind weight (0-1)
-      // Reverse-geocode brukerposisjon
-      try {
-        const geoRes = await fetch(`/api/geocode?type=reverse&lat=${latitude}&lon=${longitude}`)
-        const geoData = await geoRes.json()
-        const addr = geoData.address || {}
-        const name = addr.city || addr.town || addr.village || addr.hamlet || geoData.display_name
-      setUserLocation({ lat: latitude, lon: longitude, name: locationName || name })
-      } catch {
-      setUserLocation({ lat: latitude, lon: longitude, name: locationName || `${latitude.toFixed(5)},${longitude.toFixed(5)}` })
-    }
 
-    // Single-pass polar grid search for optimal weather location
-    const maxRadiusKm = searchRadius
-    
-      let bestPoint = null
-      let bestScore = -Infinity
-    // Generate one richer grid of sample points (5 rings, 81 points total)
-    // Rings: [1, 8, 16, 24, 32]
-    let allWeatherSpots = []                              // Collect all evaluated points for ranking
-    const currentCenter = { lat: latitude, lng: longitude }
-    const numRings = 5
-    const pointsPerRing = [1, 8, 16, 24, 32]
-    const samples = []
-    
-    // Clear previous search progress
-    setSearchProgress([])
-    
-    // Generate points with proper ring-by-ring distribution
-    for (let ring = 0; ring < numRings; ring++) {
-      const ringRadius = (ring / (numRings - 1)) * maxRadiusKm
-      const pointsInRing = pointsPerRing[ring]
-      
-      for (let i = 0; i < pointsInRing; i++) {
-        // Evenly distribute points within each ring
-        const angle = (i / pointsInRing) * 2 * Math.PI
-        
-        // Convert to lat/lng with proper Earth geometry accounting for Web Mercator projection
-        // At high latitudes, we need to adjust for the projection distortion
-        const latRadius = ringRadius / 111.32 // More precise Earth circumference factor
-        const lonRadius = ringRadius / (111.32 * Math.cos(currentCenter.lat * Math.PI / 180))
-        
-        const lat = currentCenter.lat + latRadius * Math.sin(angle)
-        const lon = currentCenter.lng + lonRadius * Math.cos(angle)
-        
-        // Add all calculated points (no distance filtering needed)
-        samples.push({ lat, lon, ring, index: i })
-      }
+    // Resolve the chosen date/hour range into absolute timestamps here, so
+    // the server scores the period in the user's own time zone
+    if (searchWindow.date && searchWindow.fromHour >= searchWindow.toHour) {
+      endSession(session)
+      setError('Sluttidspunktet må være etter starttidspunktet')
+      setLoading(false)
+      return
     }
-    
-    // Evaluate points in parallel batches for much better performance
-    const BATCH_SIZE = 10 // Process 10 points at a time to respect API rate limits
-    
-    for (let batchStart = 0; batchStart < samples.length; batchStart += BATCH_SIZE) {
-      const batch = samples.slice(batchStart, batchStart + BATCH_SIZE)
-      
-      // Process batch in parallel
-      const batchResults = await Promise.allSettled(
-        batch.map(async (p) => {
-          // Add this point to search progress (grey dot)
-          setSearchProgress(prev => [...prev, { lat: p.lat, lon: p.lon, id: `${p.ring}-${p.index}` }])
-          
-          const data = await fetchJsonWithTimeout(
-            `/api/met?lat=${p.lat}&lon=${p.lon}`,
-            undefined,
-            10000
-          )
-          
-          // Extract 24-hour weather forecast and calculate average scores
-          const forecast24h = data.properties.timeseries.slice(0, 24)
-          
-          // Calculate average weather conditions over 24 hours
-          let totalSol = 0, totalTemp = 0, totalWind = 0
-          let validEntries = 0
-          
-          forecast24h.forEach(entry => {
-            if (entry.data.instant && entry.data.instant.details) {
-              const details = entry.data.instant.details
-              totalSol += (1 - details.cloud_area_fraction/100)
-              totalTemp += details.air_temperature
-              totalWind += details.wind_speed
-              validEntries++
-            }
-          })
-          
-          if (validEntries === 0) {
-            throw new Error('No valid forecast data')
-          }
-          
-          // Calculate 24-hour averages
-          const avgSol = totalSol / validEntries
-          const avgTemp = totalTemp / validEntries
-          const avgWind = totalWind / validEntries
-          
-          // Calculate scores
-          const sol = avgSol
-          const tempScore = 1 - Math.min(Math.abs(avgTemp - 25)/20, 1)
-          const windScore = darkMode 
-            ? 1 - Math.min(Math.abs(avgWind - 17)/17, 1)
-            : 1 - Math.min(avgWind/15, 1)
-          
-          const score = wSol*sol + wTemp*tempScore + wWind*windScore
-          
-          return {
-            lat: p.lat,
-            lon: p.lon,
-            temp: avgTemp,
-            cloud: (1 - avgSol) * 100,
-            wind: avgWind,
-            gust: null,
-            symbolCode: data.properties.timeseries[0].data.next_1_hours?.summary?.symbol_code || '',
-            score: score
-          }
-        })
-      )
-      
-      // Process results from this batch
-      batchResults.forEach((result) => {
-        if (result.status === 'fulfilled') {
-          const weatherSpot = result.value
-          allWeatherSpots.push(weatherSpot)
-          
-          if (weatherSpot.score > bestScore) {
-            bestScore = weatherSpot.score
-            bestPoint = weatherSpot
-          }
-        } else {
-          console.warn('Weather fetch failed for point:', result.reason)
+    const scoreWindow = resolveWindow(searchWindow)
+
+    // Show the coarse grid (snapped like on the server) as grey dots until
+    // the server sends its actual sample points
+    setSkippedPoints([])
+    setSearchSpots(null)
+    setRestoredAt(null)
+    setTimeStep(null)
+    setTimePlaying(false)
+    spotRequestRef.current?.abort()
+    setSelectedSpot(null)
+    compareRequestRef.current?.abort()
+    setCompareList([])
+    setCompareData({})
+    setSearchProgress(polarGrid({ lat: latitude, lon: longitude }, searchRadius)
+      .map(p => ({ ...snapPoint(p), id: `${p.ring}-${p.index}` })))
+
+    const params = scoringParams(latitude, longitude)
+    params.set('start', scoreWindow.start)
+    params.set('end', scoreWindow.end)
+    params.set('bestHours', bestWindowHours)
+    if (!locationName) params.set('nameCenter', '1')
+
+    params.set('stream', '1')
+
+    // Every scored point colours its dot right away; the final result
+    // event carries the same body as the non-streamed search
+    const pointId = p => `${p.lat},${p.lon}`
+    let result = null
+    setLiveLeader(null)
+    setSearchPhase('coarse')
+    try {
+      await fetchNdjsonWithTimeout(`/api/search?${params}`, event => {
+        if (!isCurrentSession(session)) return
+        if (event.type === 'samples') {
+          const points = event.points.map(p => ({ ...p, id: pointId(p) }))
+          setSearchPhase(event.pass === 1 ? 'coarse' : 'refine')
+          setSearchProgress(prev => (event.pass === 1 ? points : [...prev, ...points]))
+        } else if (event.type === 'spot') {
+          const { spot } = event
+          setSearchProgress(prev => prev.map(p => (p.id === pointId(spot) ? { ...p, score: spot.score } : p)))
+          setLiveLeader(prev => (!prev || spot.score > prev.score ? spot : prev))
+        } else if (event.type === 'failed') {
+          setSearchProgress(prev => prev.map(p => (p.id === pointId(event) ? { ...p, failed: true } : p)))
+        } else if (event.type === 'naming') {
+          setSearchPhase('naming')
+        } else if (event.type === 'result' || event.type === 'error') {
+          result = event
         }
-      })
-      
-      // Small delay between batches to respect rate limits
-      await sleep(50)
+      }, { signal: session.signal }, 90000)
+      if (!result) result = { error: 'Svaret ble avbrutt' }
+    } catch (err) {
+      result = { error: err.name === 'AbortError' ? 'Søket tok for lang tid' : err.message }
     }
+    // Cancelled, or replaced by a newer search: leave the state to that one
+    if (!isCurrentSession(session)) return
+    endSession(session)
+    setSearchProgress([])
+    setLiveLeader(null)
+    setSearchPhase(null)
 
-      // Get top 3 weather spots
-      const sortedSpots = allWeatherSpots
-        .sort((a, b) => b.score - a.score)
-        .slice(0, 3)
-      
-      // Get place names for top spots
-      const topSpotsWithNames = await Promise.all(
-        sortedSpots.map(async (spot, index) => {
-          try {
-            const geoRes = await fetch(`/api/geocode?type=reverse&lat=${spot.lat}&lon=${spot.lon}`)
-            const geoData = await geoRes.json()
-            const addr = geoData.address || {}
-            const name = addr.city || addr.town || addr.village || addr.hamlet || geoData.display_name || `Spot ${index + 1}`
-            return { ...spot, name, rank: index + 1 }
-          } catch {
-            return { ...spot, name: `Spot ${index + 1}`, rank: index + 1 }
-          }
-        })
-      )
-      
-      setTopWeatherSpots(topSpotsWithNames)
+    if (result.error) {
+      setError('Feil under søk: ' + result.error)
+      setLoading(false)
+      return
+    }
 
-      // Clear search progress dots when search is complete
-      setSearchProgress([])
+    const placeName = locationName || result.center.name || `${latitude.toFixed(5)},${longitude.toFixed(5)}`
+    setUserLocation({ lat: latitude, lon: longitude, name: placeName })
+    if (result.best) {
+      setHistory(prev => addHistory(prev, {
+        id: `history-${Date.now()}`,
+        name: placeName,
+        lat: latitude,
+        lon: longitude,
+        radiusKm: searchRadius,
+        weights: { sol: solWeight, temp: tempWeight, wind: windWeight, precip: precipWeight },
+        profileId: activeProfile.id,
+        targets: comfortTargets,
+        stormMode: darkMode,
+        windowLabel: windowLabel(searchWindow),
+        searchedAt: Date.now(),
+        top: result.top.map(({ name, lat, lon, score }) => ({ name, lat, lon, score }))
+      }))
+    }
+    setSkippedPoints(result.skipped)
 
-      // Hent stedsnavn for beste punkt
-      let placeName;
-      try {
-      const geoData2 = await fetchJsonWithTimeout(
-        `/api/geocode?type=reverse&lat=${bestPoint.lat}&lon=${bestPoint.lon}`,
-        undefined,
-        10000
-      )
-        const addr2 = geoData2.address || {}
-        placeName = addr2.city || addr2.town || addr2.village || addr2.hamlet || geoData2.display_name
-      } catch {
-        placeName = `${bestPoint.lat.toFixed(5)},${bestPoint.lon.toFixed(5)}`
-      }
+    // Nothing could be scored, e.g. the window is beyond the forecast range
+    if (!result.best) {
+      setError('Fant ingen værdata for valgt tidsrom. Velg et annet tidsrom.')
+      setLoading(false)
+      return
+    }
 
-      // Hent full forecast
-    const fData = await fetchJsonWithTimeout(
-      `/api/met?lat=${bestPoint.lat}&lon=${bestPoint.lon}`,
-      undefined,
-      10000
-    )
-      const forecast = fData.properties.timeseries
+    const snapshot = {
+      savedAt: Date.now(),
+      place: { lat: latitude, lon: longitude, name: placeName },
+      radiusKm: searchRadius,
+      skipped: result.skipped,
+      top: result.top,
+      searchSpots: {
+        center: { lat: result.center.lat, lon: result.center.lon },
+        radiusKm: result.radiusKm,
+        window: { start: Date.parse(result.window.start), end: Date.parse(result.window.end) },
+        timeline: (result.timeline || []).map(block => ({ start: Date.parse(block.start), end: Date.parse(block.end) })),
+        spots: result.spots
+      },
+      best: { ...result.best, windowLabel: windowLabel(searchWindow), refinement: result.refinement }
+    }
+    showSearchResult(snapshot)
+    saveJson('lastResult', snapshot)
+    setStoredResultAt(snapshot.savedAt)
+
+    setLoading(false)
+  }
+
+  // Results of a search (fresh or stored) on the map and in the panels
+  const showSearchResult = (snapshot) => {
+    setTopWeatherSpots(snapshot.top)
+    setSearchSpots(snapshot.searchSpots)
+    setBest(snapshot.best)
 
-      setBest({ ...bestPoint, name: placeName, forecast })
-    
     // Update map state with best location
-    setBestLocation({ lat: bestPoint.lat, lng: bestPoint.lon, name: placeName })
-    
-      setLoading(false)
+    setBestLocation({ lat: snapshot.best.lat, lng: snapshot.best.lon, name: snapshot.best.name })
+  }
+
+  // Show the last stored search, e.g. without network on the trail
+  const restoreLastResult = () => {
+    const snapshot = loadJson('lastResult', null)
+    if (!snapshot?.best) return
+    const { place } = snapshot
+    setManualLocation(place.name)
+    setHasSelectedSuggestion(true)
+    setMapCenter({ lat: place.lat, lng: place.lon })
+    setUserLocation(place)
+    setSearchRadius(snapshot.radiusKm)
+    setShowMap(true)
+    setHasLocation(true)
+    setShowSearchButton(true)
+    setSkippedPoints(snapshot.skipped || [])
+    setError(null)
+    showSearchResult(snapshot)
+    setRestoredAt(snapshot.savedAt)
   }
 
+  // Opened without network: show the last results right away
+  useEffect(() => {
+    if (!linkCenter && !navigator.onLine && storedResultAt) restoreLastResult()
+  }, [])
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine)
+    window.addEventListener('online', update)
+    window.addEventListener('offline', update)
+    return () => {
+      window.removeEventListener('online', update)
+      window.removeEventListener('offline', update)
+    }
+  }, [])
+
+  // Forecast entries of a point for the searched window: the best point's
+  // forecast came with the result, others come from /api/met, usually from
+  // the server's cache
+  const fetchWindowForecast = async (lat, lon, signal) => {
+    if (best && lat === best.lat && lon === best.lon) return best.forecast
+    const data = await fetchJsonWithTimeout(`/api/met?lat=${lat}&lon=${lon}`, { signal }, 10000)
+    if (!data?.properties?.timeseries) throw new Error(data?.error || 'Ugyldig svar fra Met.no')
+    return selectWindowEntries(data.properties.timeseries, searchSpots.window)
+  }
+
+  // Results table row: pan the map to the point and show its forecast for
+  // the searched window
+  const openSpot = async (spot) => {
+    setFocusSpot({ lat: spot.lat, lon: spot.lon, at: Date.now() })
+    spotRequestRef.current?.abort()
+    const controller = new AbortController()
+    spotRequestRef.current = controller
+    setSelectedSpot({ spot, forecast: null })
+    try {
+      const forecast = await fetchWindowForecast(spot.lat, spot.lon, controller.signal)
+      if (controller.signal.aborted) return
+      setSelectedSpot({ spot, forecast })
+    } catch (err) {
+      if (controller.signal.aborted) return
+      setSelectedSpot({ spot, forecast: null, error: err.name === 'AbortError' ? 'Tidsavbrudd' : err.message })
+    }
+  }
+
+  // Spots that can be compared: the top 3, the search center and the point
+  // picked in the table, plus those already in the comparison
+  const compareCandidates = []
+  const addCandidate = candidate => {
+    if (!compareCandidates.some(c => c.key === candidate.key)) compareCandidates.push(candidate)
+  }
+  topWeatherSpots.forEach(spot => addCandidate({ key: `${spot.lat},${spot.lon}`, label: `#${spot.rank} ${spot.name}`, lat: spot.lat, lon: spot.lon, score: spot.score }))
+  if (searchSpots && userLocation) {
+    const lon = userLocation.lon ?? userLocation.lng
+    addCandidate({ key: `${userLocation.lat},${lon}`, label: `📍 ${userLocation.name || 'Din posisjon'}`, lat: userLocation.lat, lon, score: null })
+  }
+  if (searchSpots) {
+    favourites.forEach(fav => addCandidate({ key: `${fav.lat},${fav.lon}`, label: `⭐ ${fav.name}`, lat: fav.lat, lon: fav.lon, score: null }))
+  }
+  if (selectedSpot) {
+    const { spot } = selectedSpot
+    addCandidate({ key: `${spot.lat},${spot.lon}`, label: spot.name || `${spot.lat.toFixed(3)}, ${spot.lon.toFixed(3)}`, lat: spot.lat, lon: spot.lon, score: spot.score })
+  }
+  compareList.forEach(addCandidate)
+
+  // Add a spot to the comparison (fetching its forecast once) or remove it
+  const toggleCompare = async (candidate) => {
+    if (compareList.some(c => c.key === candidate.key)) {
+      setCompareList(list => list.filter(c => c.key !== candidate.key))
+      return
+    }
+    if (compareList.length >= MAX_COMPARE) return
+    setCompareList(list => [...list, candidate])
+    if (compareData[candidate.key]?.forecast) return
+    if (!compareRequestRef.current || compareRequestRef.current.signal.aborted) {
+      compareRequestRef.current = new AbortController()
+    }
+    const { signal } = compareRequestRef.current
+    setCompareData(data => ({ ...data, [candidate.key]: { forecast: null } }))
+    try {
+      const forecast = await fetchWindowForecast(candidate.lat, candidate.lon, signal)
+      if (signal.aborted) return
+      setCompareData(data => ({ ...data, [candidate.key]: { forecast } }))
+    } catch (err) {
+      if (signal.aborted) return
+      setCompareData(data => ({ ...data, [candidate.key]: { forecast: null, error: err.name === 'AbortError' ? 'Tidsavbrudd' : err.message } }))
+    }
+  }
+
+  // Opened from a link with run=1: start the search once
+  useEffect(() => {
+    if (!shareLink.run) return
+    setLoading(true)
+    processLocation(linkCenter.lat, linkCenter.lon, shareLink.name || undefined)
+  }, [])
+
   const handleManualLocation = async () => {
     if (!manualLocation.trim()) return
     
@@ -705,9 +1508,15 @@ export default function App() {
     setError(null)
     setBest(null)
     
+    const session = startSession()
     try {
-      const geoRes = await fetch(`/api/geocode?q=${encodeURIComponent(manualLocation)}&limit=1`)
-      const geoData = await geoRes.json()
+      const geoData = await fetchJsonWithTimeout(
+        `/api/geocode?q=${encodeURIComponent(manualLocation)}&countries=${countryFilter.countries}&limit=1`,
+        { signal: session.signal },
+        10000
+      )
+      if (!isCurrentSession(session)) return
+      endSession(session)
       
       // Validate response structure
       if (!Array.isArray(geoData) || geoData.length === 0) {
@@ -716,14 +1525,15 @@ export default function App() {
         return
       }
       
-      // Validate first result has required properties
-      if (!geoData[0] || !geoData[0].lat || !geoData[0].lon) {
+      // Validate the chosen result has required properties
+      const place = pickTypedPlace(geoData, manualLocation)
+      if (!place || !place.lat || !place.lon) {
         setError('Ugyldig respons fra stedssøk. Prøv igjen.')
         setLoading(false)
         return
       }
       
-      const { lat, lon } = geoData[0]
+      const { lat, lon } = place
       const latNum = parseFloat(lat)
       const lngNum = parseFloat(lon)
       
@@ -743,6 +1553,8 @@ export default function App() {
       setShowSearchButton(true)
       setLoading(false)
     } catch (err) {
+      if (!isCurrentSession(session)) return
+      endSession(session)
       setError('Feil ved oppslag av sted: ' + err.message)
       setLoading(false)
     }
@@ -755,12 +1567,14 @@ export default function App() {
       setSuggestions([])
       return
     }
+    // Aborted when the text changes, so old lookups leave the queue early
+    const controller = new AbortController()
     const id = setTimeout(async () => {
       try {
         setIsSearchingPlaces(true)
         const data = await fetchJsonWithTimeout(
-          `/api/geocode?q=${encodeURIComponent(manualLocation)}`,
-          undefined,
+          `/api/geocode?q=${encodeURIComponent(manualLocation)}&countries=${countryFilter.countries}`,
+          { signal: controller.signal },
           10000
         )
         if (!active) return
@@ -772,8 +1586,8 @@ export default function App() {
           setSuggestions([])
         }
       } catch (err) {
-        console.error('Error fetching place suggestions:', err)
         if (!active) return
+        console.error('Error fetching place suggestions:', err)
         setSuggestions([])
       } finally {
         if (active) setIsSearchingPlaces(false)
@@ -782,26 +1596,72 @@ export default function App() {
     return () => {
       active = false
       clearTimeout(id)
+      controller.abort()
+    }
+  }, [manualLocation, hasSelectedSuggestion, countryFilter.countries])
+
+  // A favourite or a recent search: its place, radius, weights and profile
+  // (and the mode for a recent search)
+  const applySavedPlace = (entry) => {
+    setManualLocation(entry.name)
+    setSuggestions([])
+    setHasSelectedSuggestion(true)
+    setSelectedIndex(-1)
+    setMapCenter({ lat: entry.lat, lng: entry.lon })
+    setUserLocation({ lat: entry.lat, lng: entry.lon, name: entry.name })
+    setShowMap(true)
+    setHasLocation(true)
+    setShowSearchButton(true)
+    setSearchRadius(entry.radiusKm)
+    // Targets saved with the entry, else the profile's own (older entries)
+    const profile = findProfile(entry.profileId, customProfiles)
+    if (profile) {
+      setActiveProfileId(profile.id)
+      setComfortTargets(sanitizeTargets(entry.targets || profile.targets))
     }
-  }, [manualLocation, hasSelectedSuggestion])
+    const { sol, temp, wind, precip } = entry.weights
+    setSolWeight(sol)
+    setTempWeight(temp)
+    setWindWeight(wind)
+    setPrecipWeight(precip)
+    setSelectorPos(weightsToPoint(sol, temp, wind))
+    if (entry.stormMode != null) setDarkMode(entry.stormMode)
+  }
+
+  // Save the current place with its radius and weights, or remove it again
+  const currentPlace = hasLocation ? { lat: mapCenter.lat, lon: mapCenter.lng } : null
+  const isFavourite = currentPlace ? isSavedPlace(favourites, currentPlace) : false
+  const toggleFavourite = () => {
+    if (!currentPlace) return
+    if (isFavourite) {
+      setFavourites(prev => removeSavedPlace(prev, currentPlace))
+      return
+    }
+    setFavourites(prev => addFavourite(prev, {
+      id: `favourite-${Date.now()}`,
+      name: userLocation?.name || `${currentPlace.lat.toFixed(5)},${currentPlace.lon.toFixed(5)}`,
+      ...currentPlace,
+      radiusKm: searchRadius,
+      weights: { sol: solWeight, temp: tempWeight, wind: windWeight, precip: precipWeight },
+      profileId: activeProfile.id,
+      targets: comfortTargets,
+      savedAt: Date.now()
+    }))
+  }
 
   const handlePickSuggestion = async (s) => {
+    if (s.saved) {
+      applySavedPlace(s.entry)
+      return
+    }
     // Validate suggestion has required properties
     if (!s || !s.lat || !s.lon) {
       setError('Ugyldig stedsforslag. Prøv et annet.')
       return
     }
     
-    const addr = s.address || {}
-    const primary = addr.city || addr.town || addr.village || addr.hamlet || addr.neighbourhood || addr.suburb || s.display_name
-    const parts = []
-    const municipality = addr.municipality
-    const county = addr.county
-    const state = addr.state || addr.state_district
-    if (municipality && municipality !== primary) parts.push(municipality)
-    if (county && county !== primary && county !== municipality) parts.push(county)
-    if (state && state !== county && state !== municipality) parts.push(state)
-    const display = parts.length ? `${primary}, ${parts.join(', ')}` : primary
+    const { primary, secondary } = formatPlace(s)
+    const display = secondary ? `${primary}, ${secondary}` : primary
     setManualLocation(display)
     setSuggestions([])
     setHasSelectedSuggestion(true)
@@ -825,7 +1685,7 @@ export default function App() {
   }
 
   const handleKeyDown = (e) => {
-    if (!suggestions.length) return
+    if (!placeOptions.length) return
 
     switch (e.key) {
       case 'ArrowDown':
@@ -835,7 +1695,7 @@ export default function App() {
           setSelectedIndex(0)
         } else {
           setSelectedIndex(prev => 
-            prev < suggestions.length - 1 ? prev + 1 : 0
+            prev < placeOptions.length - 1 ? prev + 1 : 0
           )
         }
         break
@@ -843,17 +1703,17 @@ export default function App() {
         e.preventDefault()
         if (selectedIndex === -1) {
           // First arrow up - select last item
-          setSelectedIndex(suggestions.length - 1)
+          setSelectedIndex(placeOptions.length - 1)
         } else {
           setSelectedIndex(prev => 
-            prev > 0 ? prev - 1 : suggestions.length - 1
+            prev > 0 ? prev - 1 : placeOptions.length - 1
           )
         }
         break
       case 'Enter':
         e.preventDefault()
-        if (selectedIndex >= 0 && selectedIndex < suggestions.length) {
-          handlePickSuggestion(suggestions[selectedIndex])
+        if (selectedIndex >= 0 && selectedIndex < placeOptions.length) {
+          handlePickSuggestion(placeOptions[selectedIndex])
         } else {
           // If no selection, trigger search
           handleManualLocation()
@@ -861,6 +1721,7 @@ export default function App() {
         break
       case 'Escape':
         setSuggestions([])
+        setHasSelectedSuggestion(true) // Also hides favourites and history
         setSelectedIndex(-1)
         break
     }
@@ -872,21 +1733,22 @@ export default function App() {
     setBest(null)
     setShowManualInput(false)
 
-    // Normaliser vekter
-    const totalW = solWeight + tempWeight + windWeight
-    if (totalW === 0) {
+    // Minst én vekt må være satt (nedbør alene holder)
+    if (!normalizeWeights({ sol: solWeight, temp: tempWeight, wind: windWeight, precip: precipWeight })) {
       setError('Vennligst sett minst én vekt > 0')
       setLoading(false)
       return
     }
-    const wSol = solWeight / totalW
-    const wTemp = tempWeight / totalW
-    const wWind = windWeight / totalW
 
+    // The GPS wait is part of the session, so "Avbryt" also stops it
+    const session = startSession()
     navigator.geolocation.getCurrentPosition(async ({ coords }) => {
+      if (!isCurrentSession(session)) return
       const { latitude, longitude } = coords
       await processLocation(latitude, longitude)
     }, err => {
+      if (!isCurrentSession(session)) return
+      endSession(session)
       setError('Klarte ikke hente posisjon: ' + err.message + '. Prøv å skrive inn et sted manuelt nedenfor.')
       setShowManualInput(true)
       setLoading(false)
@@ -997,7 +1859,44 @@ export default function App() {
           )}
         </button>
       </div>
-      
+
+      {/* Stored results on screen, or offline without them */}
+      {(restoredAt || !online) && (
+        <div style={{
+          background: darkMode ? '#3a3320' : '#fff8e1',
+          border: `1px solid ${darkMode ? '#8a7a40' : '#f4d03f'}`,
+          borderRadius: 8,
+          padding: '0.6rem 1rem',
+          marginBottom: '1rem',
+          fontSize: '0.9rem',
+          textAlign: 'center',
+          color: darkMode ? '#fff' : '#2c3e50'
+        }}>
+          {!online && '📴 Frakoblet'}
+          {!online && restoredAt && ` – viser lagrede data fra ${dataTimeLabel(restoredAt)}`}
+          {!online && !restoredAt && ' – søk og kart trenger nett'}
+          {online && restoredAt && `Data fra ${dataTimeLabel(restoredAt)} – søk på nytt for oppdatert varsel`}
+          {!restoredAt && !best && !loading && storedResultAt && (
+            <button
+              onClick={restoreLastResult}
+              style={{ marginLeft: '0.5rem', background: 'none', border: 'none', color: darkMode ? '#4fc3f7' : '#007aff', cursor: 'pointer', fontSize: '0.9rem', padding: 0 }}
+            >
+              Vis forrige søk
+            </button>
+          )}
+        </div>
+      )}
+      {online && !restoredAt && !best && !loading && storedResultAt && (
+        <div style={{ textAlign: 'center', marginBottom: '1rem', fontSize: '0.85rem' }}>
+          <button
+            onClick={restoreLastResult}
+            style={{ background: 'none', border: 'none', color: darkMode ? '#4fc3f7' : '#007aff', cursor: 'pointer', fontSize: '0.85rem', padding: 0 }}
+          >
+            🕘 Vis forrige søk (fra {dataTimeLabel(storedResultAt)})
+          </button>
+        </div>
+      )}
+
       {/* Info panel */}
       {showInfo && (
         <div style={{
@@ -1014,7 +1913,7 @@ export default function App() {
             <h4 style={{ color: darkMode ? '#fff' : '#2c3e50', marginBottom: '0.5rem' }}>1. Prioriter værfaktorer</h4>
             <p style={{ margin: 0, fontSize: '14px', lineHeight: '1.4' }}>
               Bruk trekanten til å prioritere sol, temperatur og vind. 
-              Dra den blå prikken for å justere vektene.
+              Dra den blå prikken for å justere vektene. Skyvebaren under bestemmer hvor mye nedbør skal telle.
             </p>
           </div>
           
@@ -1042,7 +1941,7 @@ export default function App() {
           <div>
             <h4 style={{ color: darkMode ? '#fff' : '#2c3e50', marginBottom: '0.5rem' }}>Polar Grid-søkealgoritme</h4>
             <p style={{ margin: '0 0 1rem 0', fontSize: '14px', lineHeight: '1.4' }}>
-              Algoritmen gjør ett søk med 81 punkter fordelt på 5 ringer (1, 8, 16, 24, 32) innenfor valgt radius og velger topp 3 basert på dine vekter.
+              Algoritmen gjør først et grovsøk med 81 punkter fordelt på 5 ringer (1, 8, 16, 24, 32) innenfor valgt radius. Deretter gjøres et finsøk med tettere punkter rundt de 3 beste kandidatene, og topp 3 velges basert på dine vekter.
             </p>
             
             {/* Grid visualization */}
@@ -1098,7 +1997,9 @@ export default function App() {
             </div>
             
             <div style={{ fontSize: '12px', color: darkMode ? '#ccc' : '#666', lineHeight: '1.3' }}>
-              <p style={{ margin: '0 0 0.5rem 0' }}><strong>Engangssøk:</strong> 81 punkter (1 + 8 + 16 + 24 + 32)</p>
+              <p style={{ margin: '0 0 0.5rem 0' }}><strong>Grovsøk:</strong> 81 punkter (1 + 8 + 16 + 24 + 32)</p>
+              <p style={{ margin: '0 0 0.5rem 0' }}><strong>Finsøk:</strong> inntil {REFINE_BUDGET} ekstra punkter rundt topp {REFINE_TOP_N}</p>
+              <p style={{ margin: '0 0 0.5rem 0' }}><strong>Gitter:</strong> punktene festes til {SNAP_DEGREES}° så søk i nærheten deler værvarsler</p>
               <p style={{ margin: 0 }}><strong>Resultat:</strong> Topp 3 værplasser med score</p>
             </div>
           </div>
@@ -1125,6 +2026,17 @@ export default function App() {
           padding: '0 0.5rem' 
         }}>Prioriter værfaktorer</div>
         <div style={{ display: 'flex', gap: '1rem', alignItems: 'center', justifyContent: 'center', flexDirection: 'column' }}>
+          {/* Activity profiles */}
+          <div style={{ marginTop: '1.75rem', width: '100%' }}>
+            <ProfilePicker
+              activeId={activeProfile.id}
+              customProfiles={customProfiles}
+              onPick={applyProfile}
+              onSave={saveCustomProfile}
+              onDelete={deleteCustomProfile}
+              darkMode={darkMode}
+            />
+          </div>
           <svg
             ref={svgRef}
             width={TRI_W}
@@ -1153,25 +2065,99 @@ export default function App() {
           <div style={{ minWidth: 140, fontSize: 12, color: darkMode ? '#fff' : '#34495e' }}>
             <div style={{ display: 'flex', alignItems: 'center', marginBottom: '2px' }}>
               <img src={sunIcon} alt="Sol" style={{ width: '14px', height: '14px', marginRight: '6px', filter: darkMode ? 'invert(1)' : 'none' }} />
-              <span style={{ minWidth: '30px', textAlign: 'right', marginRight: '6px' }}>{(solWeight * 100).toFixed(0)}%</span>
+              <span style={{ minWidth: '30px', textAlign: 'right', marginRight: '6px' }}>{(effectiveWeights.sol * 100).toFixed(0)}%</span>
               <span>- Mest mulig solskinn</span>
           </div>
             <div style={{ display: 'flex', alignItems: 'center', marginBottom: '2px' }}>
               <img src={temperatureIcon} alt="Temperatur" style={{ width: '14px', height: '14px', marginRight: '6px', filter: darkMode ? 'invert(1)' : 'none' }} />
-              <span style={{ minWidth: '30px', textAlign: 'right', marginRight: '6px' }}>{(tempWeight * 100).toFixed(0)}%</span>
-              <span>- Temperatur nærmest mulig 25 grader</span>
+              <span style={{ minWidth: '30px', textAlign: 'right', marginRight: '6px' }}>{(effectiveWeights.temp * 100).toFixed(0)}%</span>
+              <span>- Temperatur nærmest mulig {targets.idealTemp} grader</span>
           </div>
-            <div style={{ display: 'flex', alignItems: 'center' }}>
+            <div style={{ display: 'flex', alignItems: 'center', marginBottom: '2px' }}>
               <img src={windIcon} alt="Vind" style={{ width: '14px', height: '14px', marginRight: '6px', filter: darkMode ? 'invert(1)' : 'none' }} />
-              <span style={{ minWidth: '30px', textAlign: 'right', marginRight: '6px' }}>{(windWeight * 100).toFixed(0)}%</span>
-              <span>- {darkMode ? 'Sterk vind (17 m/s optimal)' : 'Minst mulig vind'}</span>
+              <span style={{ minWidth: '30px', textAlign: 'right', marginRight: '6px' }}>{(effectiveWeights.wind * 100).toFixed(0)}%</span>
+              <span>- {windStyle === 'band'
+                ? `Vind mellom ${targets.windMin} og ${targets.windMax} m/s`
+                : windStyle === 'storm'
+                  ? `Sterk vind (${stormWindIdeal(targets).toFixed(0)} m/s optimal)`
+                  : `Minst mulig vind (maks ${targets.windMax} m/s)`}</span>
           </div>
+            <div style={{ display: 'flex', alignItems: 'center' }}>
+              <img src={rainIcon} alt="Nedbør" style={{ width: '14px', height: '14px', marginRight: '6px' }} />
+              <span style={{ minWidth: '30px', textAlign: 'right', marginRight: '6px' }}>{(effectiveWeights.precip * 100).toFixed(0)}%</span>
+              <span>- Minst mulig nedbør</span>
           </div>
+          </div>
+          {/* Precipitation weight: its share of the total, the triangle splits the rest */}
+          <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: 12, color: darkMode ? '#fff' : '#34495e' }}>
+            <img src={rainIcon} alt="Nedbør" style={{ width: '18px', height: '18px' }} />
+            <input
+              type="range"
+              min="0"
+              max="0.8"
+              step="0.05"
+              value={precipWeight}
+              onChange={(e) => setPrecipWeight(parseFloat(e.target.value))}
+              style={{ width: '160px', cursor: 'pointer', accentColor: '#666' }}
+              title="Hvor mye nedbør skal telle"
+            />
+            <span>Nedbør {(precipWeight * 100).toFixed(0)}%</span>
+          </div>
+
+          {/* Comfort targets */}
+          <button
+            onClick={() => setShowSettings(!showSettings)}
+            style={{
+              background: 'transparent',
+              border: 'none',
+              cursor: 'pointer',
+              fontSize: 12,
+              color: darkMode ? '#fff' : '#34495e',
+              textDecoration: 'underline'
+            }}
+          >
+            {showSettings ? '▼' : '▶'} Komfortmål (temperatur og vind)
+          </button>
+          {showSettings && (
+            <div style={{
+              width: '100%',
+              maxWidth: 320,
+              padding: '0.75rem',
+              borderRadius: 8,
+              border: darkMode ? '1px solid #444' : '1px solid #d4e6d4',
+              background: darkMode ? '#1a1a1a' : 'white'
+            }}>
+              <ComfortSettings targets={comfortTargets} defaults={activeProfile.targets} onChange={setComfortTargets} windStyle={windStyle} darkMode={darkMode} />
+            </div>
+          )}
         </div>
       </fieldset>
       
       {error && <p style={{ color:'red', textAlign:'center' }}>{error}</p>}
 
+      {/* Lookups before the map is shown (GPS, typed place) can be cancelled too */}
+      {loading && !(showMap && showSearchButton) && (
+        <div style={{ textAlign: 'center', marginBottom: '1rem', color: darkMode ? '#ccc' : '#666' }}>
+          Finner posisjon…
+          <button
+            onClick={cancelSearch}
+            style={{
+              marginLeft: '0.5rem',
+              background: 'transparent',
+              color: darkMode ? '#fff' : '#dc3545',
+              border: `1px solid ${darkMode ? '#888' : '#dc3545'}`,
+              padding: '0.4rem 1rem',
+              borderRadius: 6,
+              fontFamily: "'Poppins', -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', 'Oxygen', 'Ubuntu', 'Cantarell', 'Fira Sans', 'Droid Sans', 'Helvetica Neue', sans-serif",
+              fontWeight: 200,
+              cursor: 'pointer'
+            }}
+          >
+            Avbryt
+          </button>
+        </div>
+      )}
+
 
       {showManualInput && (
         <div style={{ 
@@ -1193,10 +2179,30 @@ export default function App() {
             padding: '0 0.5rem' 
           }}>Posisjon</div>
           <div style={{ display: 'flex', gap: '0.5rem', justifyContent: 'center', alignItems: 'center', position: 'relative', minHeight: '60px' }}>
+            <select
+              value={countryFilterId}
+              onChange={e => {
+                setCountryFilterId(e.target.value)
+                setSelectedIndex(-1)
+              }}
+              title="Søk etter steder i"
+              style={{
+                padding: '0.5rem',
+                border: '1px solid #ccc',
+                borderRadius: 4,
+                fontSize: '1rem',
+                fontFamily: "'Poppins', -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', 'Oxygen', 'Ubuntu', 'Cantarell', 'Fira Sans', 'Droid Sans', 'Helvetica Neue', sans-serif",
+                fontWeight: 200
+              }}
+            >
+              {COUNTRY_FILTERS.map(f => (
+                <option key={f.id} value={f.id}>{f.label}</option>
+              ))}
+            </select>
             <div style={{ position: 'relative' }} ref={suggestionsBoxRef}>
             <input
               type="text"
-              placeholder="F.eks: Oslo, Bergen, Trondheim..."
+              placeholder={countryFilter.placeholder}
               value={manualLocation}
               onChange={e => {
                 setManualLocation(e.target.value)
@@ -1215,12 +2221,12 @@ export default function App() {
                 fontWeight: 200
               }}
               />
-              {(isSearchingPlaces || suggestions.length > 0) && (
+              {(isSearchingPlaces || placeOptions.length > 0) && (
                 <div style={{ position: 'absolute', top: '110%', left: 0, width: '100%', background: 'white', border: '1px solid #ddd', borderRadius: 6, boxShadow: '0 4px 10px rgba(0,0,0,0.08)', textAlign: 'left', zIndex: 10 }}>
                   {isSearchingPlaces && (
                     <div style={{ padding: '0.5rem 0.75rem', color: '#666', fontSize: 13 }}>Søker…</div>
                   )}
-                  {suggestions.length > 0 && (
+                  {placeOptions.length > 0 && (
                     <div style={{ 
                       padding: '0.5rem 0.75rem', 
                       fontSize: '12px', 
@@ -1231,17 +2237,47 @@ export default function App() {
                       ↑↓ Naviger, Enter velg, Esc lukk
           </div>
                   )}
-                  {suggestions.map((s, idx) => {
-                    const addr = s.address || {}
-                    const primary = addr.city || addr.town || addr.village || addr.hamlet || addr.neighbourhood || addr.suburb || s.display_name
-                    const parts = []
-                    const municipality = addr.municipality
-                    const county = addr.county
-                    const state = addr.state || addr.state_district
-                    if (municipality && municipality !== primary) parts.push(municipality)
-                    if (county && county !== primary && county !== municipality) parts.push(county)
-                    if (state && state !== county && state !== municipality) parts.push(state)
-                    const secondary = parts.join(', ')
+                  {placeOptions.map((s, idx) => {
+                    if (s.saved) {
+                      const { entry } = s
+                      const favourite = s.saved === 'favourite'
+                      const details = favourite
+                        ? `${entry.radiusKm} km`
+                        : [timeAgoLabel(entry.searchedAt), ...entry.top.map(t => `${t.name} ${(t.score * 100).toFixed(0)}%`)].join(' · ')
+                      return (
+                        <div
+                          key={`${s.saved}-${entry.id}`}
+                          onClick={() => handlePickSuggestion(s)}
+                          style={{
+                            display: 'flex',
+                            alignItems: 'center',
+                            padding: '0.5rem 0.75rem',
+                            background: selectedIndex === idx ? '#e3f2fd' : 'white',
+                            borderBottom: '1px solid #f0f0f0',
+                            cursor: 'pointer'
+                          }}
+                        >
+                          <span style={{ marginRight: '0.5rem' }} title={favourite ? 'Favoritt' : 'Tidligere søk'}>{favourite ? '⭐' : '🕘'}</span>
+                          <div style={{ flex: 1, minWidth: 0 }}>
+                            <div style={{ fontSize: 14, color: selectedIndex === idx ? '#1976d2' : '#222' }}>{entry.name}</div>
+                            <div style={{ fontSize: 12, color: '#777', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{details}</div>
+                          </div>
+                          <span
+                            onClick={e => {
+                              e.stopPropagation()
+                              if (favourite) setFavourites(prev => removeSavedPlace(prev, entry))
+                              else setHistory(prev => removeSavedPlace(prev, entry))
+                              setSelectedIndex(-1)
+                            }}
+                            style={{ marginLeft: '0.5rem', color: '#999' }}
+                            title={favourite ? 'Fjern favoritt' : 'Fjern fra historikken'}
+                          >
+                            ×
+                          </span>
+                        </div>
+                      )
+                    }
+                    const { primary, secondary } = formatPlace(s)
                     return (
                       <button 
                         key={idx} 
@@ -1263,7 +2299,7 @@ export default function App() {
                       </button>
                     )
                   })}
-                  {!isSearchingPlaces && suggestions.length === 0 && manualLocation.trim().length >= 2 && (
+                  {!isSearchingPlaces && placeOptions.length === 0 && manualLocation.trim().length >= 2 && (
                     <div style={{ padding: '0.5rem 0.75rem', color: '#777', fontSize: 13 }}>Ingen treff</div>
                   )}
                 </div>
@@ -1397,6 +2433,72 @@ export default function App() {
               <span>100 km</span>
           </div>
         </div>
+
+          {/* Forecast window picker */}
+          <div style={{ 
+            marginBottom: '1rem', 
+            padding: '1rem', 
+            backgroundColor: darkMode ? '#3a3a3a' : '#f8f9fa', 
+            border: darkMode ? '1px solid #444' : '1px solid #dee2e6', 
+            borderRadius: 8,
+            textAlign: 'center'
+          }}>
+            <label style={{ 
+              display: 'block', 
+              fontWeight: 'bold', 
+              color: darkMode ? '#fff' : '#2c3e50', 
+              marginBottom: '0.5rem' 
+            }}>
+              Tidsrom: {windowLabel(forecastWindow)}
+            </label>
+            <div style={{ display: 'flex', gap: '0.5rem', justifyContent: 'center', alignItems: 'center', flexWrap: 'wrap' }}>
+              <select
+                value={forecastWindow.date}
+                onChange={(e) => setForecastWindow(prev => ({ ...prev, date: e.target.value }))}
+                style={{ padding: '0.4rem', borderRadius: 4, border: '1px solid #ccc', fontSize: '0.9rem' }}
+              >
+                <option value="">Neste 24 timer</option>
+                {windowDateOptions().map(o => (
+                  <option key={o.value} value={o.value}>{o.label}</option>
+                ))}
+              </select>
+              {forecastWindow.date && (
+                <>
+                  <select
+                    value={forecastWindow.fromHour}
+                    onChange={(e) => setForecastWindow(prev => ({ ...prev, fromHour: parseInt(e.target.value, 10) }))}
+                    style={{ padding: '0.4rem', borderRadius: 4, border: '1px solid #ccc', fontSize: '0.9rem' }}
+                  >
+                    {[...Array(24).keys()].map(h => (
+                      <option key={h} value={h}>{String(h).padStart(2, '0')}:00</option>
+                    ))}
+                  </select>
+                  <span style={{ color: darkMode ? '#fff' : '#666' }}>–</span>
+                  <select
+                    value={forecastWindow.toHour}
+                    onChange={(e) => setForecastWindow(prev => ({ ...prev, toHour: parseInt(e.target.value, 10) }))}
+                    style={{ padding: '0.4rem', borderRadius: 4, border: '1px solid #ccc', fontSize: '0.9rem' }}
+                  >
+                    {[...Array(24).keys()].map(h => h + 1).map(h => (
+                      <option key={h} value={h}>{String(h).padStart(2, '0')}:00</option>
+                    ))}
+                  </select>
+                </>
+              )}
+              <label style={{ display: 'flex', alignItems: 'center', gap: '0.35rem', color: darkMode ? '#fff' : '#666', fontSize: '0.9rem' }}>
+                Beste periode:
+                <select
+                  value={bestWindowHours}
+                  onChange={(e) => setBestWindowHours(parseInt(e.target.value, 10))}
+                  style={{ padding: '0.4rem', borderRadius: 4, border: '1px solid #ccc', fontSize: '0.9rem' }}
+                >
+                  {BEST_WINDOW_HOURS.map(h => (
+                    <option key={h} value={h}>{h} timer</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          </div>
           
           {/* Search button */}
           {showSearchButton && (
@@ -1459,9 +2561,136 @@ export default function App() {
                   </div>
                 ) : 'Søk etter beste lokasjoner'}
       </button>
+              {loading && (
+                <button
+                  onClick={cancelSearch}
+                  style={{
+                    marginLeft: '0.5rem',
+                    background: 'transparent',
+                    color: darkMode ? '#fff' : '#dc3545',
+                    border: `1px solid ${darkMode ? '#888' : '#dc3545'}`,
+                    padding: '0.75rem 1.25rem',
+                    borderRadius: 6,
+                    fontSize: '1.1rem',
+                    fontFamily: "'Poppins', -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', 'Oxygen', 'Ubuntu', 'Cantarell', 'Fira Sans', 'Droid Sans', 'Helvetica Neue', sans-serif",
+                    fontWeight: 200,
+                    cursor: 'pointer'
+                  }}
+                >
+                  Avbryt
+                </button>
+              )}
+              {!loading && (
+                <button
+                  onClick={planDays}
+                  title="Beste sted for hver av de neste dagene"
+                  style={{
+                    marginLeft: '0.5rem',
+                    background: 'transparent',
+                    color: darkMode ? '#fff' : '#28a745',
+                    border: `1px solid ${darkMode ? '#888' : '#28a745'}`,
+                    padding: '0.75rem 1.25rem',
+                    borderRadius: 6,
+                    fontSize: '1.1rem',
+                    fontFamily: "'Poppins', -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', 'Oxygen', 'Ubuntu', 'Cantarell', 'Fira Sans', 'Droid Sans', 'Helvetica Neue', sans-serif",
+                    fontWeight: 200,
+                    cursor: 'pointer'
+                  }}
+                >
+                  Planlegg dagene
+                </button>
+              )}
+              <div style={{ display: 'flex', gap: '0.75rem', justifyContent: 'center', alignItems: 'center', flexWrap: 'wrap', marginTop: '0.5rem', fontSize: '0.85rem', color: darkMode ? '#ccc' : '#666' }}>
+                <button
+                  onClick={toggleFavourite}
+                  title={isFavourite ? 'Fjern stedet fra favorittene' : 'Lagre sted, radius og vekter som favoritt'}
+                  style={{ background: 'none', border: 'none', color: darkMode ? '#ffd54f' : '#b8860b', cursor: 'pointer', fontSize: '0.85rem', padding: 0 }}
+                >
+                  {isFavourite ? '★ Favoritt' : '☆ Lagre som favoritt'}
+                </button>
+                <button
+                  onClick={copyShareLink}
+                  style={{ background: 'none', border: 'none', color: darkMode ? '#4fc3f7' : '#007aff', cursor: 'pointer', fontSize: '0.85rem', padding: 0 }}
+                >
+                  {linkCopied ? '✓ Lenken er kopiert' : '🔗 Kopier lenke til søket'}
+                </button>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.3rem', cursor: 'pointer' }}>
+                  <input type="checkbox" checked={linkRun} onChange={e => setLinkRun(e.target.checked)} />
+                  Start søket når lenken åpnes
+                </label>
+              </div>
         </div>
       )}
 
+          {/* Multi-day planner: best spot per day, a row opens that day's search */}
+          {plan && (
+            <div style={{ marginBottom: '1rem' }}>
+              <div style={{ display: 'flex', alignItems: 'center', marginBottom: '0.5rem' }}>
+                <span style={{ fontWeight: 'bold', flex: 1 }}>
+                  Beste sted per dag, kl. {String(plan.fromHour).padStart(2, '0')}–{String(plan.toHour).padStart(2, '0')}
+                </span>
+                {!plan.loading && (
+                  <button
+                    onClick={() => setPlan(null)}
+                    title="Lukk planleggeren"
+                    style={{ border: 'none', background: 'none', cursor: 'pointer', color: 'inherit', fontSize: '1rem' }}
+                  >
+                    ✕
+                  </button>
+                )}
+              </div>
+              {plan.loading ? (
+                <p style={{ color: darkMode ? '#ccc' : '#666', fontSize: '0.85rem', margin: 0 }}>Henter værmeldinger for rutenettet og scorer hver dag…</p>
+              ) : (
+                <div style={{ border: darkMode ? '1px solid #444' : '1px solid #ddd', borderRadius: 6, overflowX: 'auto' }}>
+                  <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem' }}>
+                    <thead>
+                      <tr style={{ background: darkMode ? '#333' : '#f1f3f5' }}>
+                        <th style={{ textAlign: 'left', padding: '0.4rem 0.5rem' }}>Dag</th>
+                        <th style={{ textAlign: 'left', padding: '0.4rem 0.5rem' }}>Beste sted</th>
+                        <th style={{ padding: '0.4rem 0.5rem' }}>Vær</th>
+                        {SPOT_COLUMNS.filter(col => col.key !== 'distance').map(col => (
+                          <th key={col.key} style={{ textAlign: 'right', padding: '0.4rem 0.5rem', whiteSpace: 'nowrap' }}>{col.label}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {plan.days.map(day => {
+                        const iconUrl = day.best && iconModules[`./assets/symbols/${day.best.symbolCode}.svg`]
+                        return (
+                          <tr
+                            key={day.date}
+                            onClick={day.best ? () => openPlanDay(day) : undefined}
+                            title={day.best ? 'Vis dagen på kartet' : undefined}
+                            style={{ cursor: day.best ? 'pointer' : 'default', borderTop: darkMode ? '1px solid #3a3a3a' : '1px solid #f0f0f0' }}
+                          >
+                            <td style={{ padding: '0.35rem 0.5rem', whiteSpace: 'nowrap' }}>{day.label}</td>
+                            {day.best ? (
+                              <>
+                                <td style={{ padding: '0.35rem 0.5rem' }}>
+                                  <span style={{ display: 'inline-block', width: 8, height: 8, borderRadius: '50%', background: scoreColor(day.best.score), marginRight: '0.4rem' }} />
+                                  <span style={{ textDecoration: 'underline' }}>{day.best.name}</span>
+                                </td>
+                                <td style={{ padding: '0.2rem 0.5rem', textAlign: 'center' }}>
+                                  {iconUrl ? <img src={iconUrl} alt={day.best.symbolCode} style={{ width: 26, height: 26 }} /> : ''}
+                                </td>
+                                {SPOT_COLUMNS.filter(col => col.key !== 'distance').map(col => (
+                                  <td key={col.key} style={{ textAlign: 'right', padding: '0.35rem 0.5rem', whiteSpace: 'nowrap' }}>{col.format(day.best)}</td>
+                                ))}
+                              </>
+                            ) : (
+                              <td colSpan={SPOT_COLUMNS.length + 1} style={{ padding: '0.35rem 0.5rem', color: '#888' }}>Ingen værdata for dagen</td>
+                            )}
+                          </tr>
+                        )
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+
       
           {/* Leaflet map */}
           <div style={{ border: '1px solid #90caf9', borderRadius: 8, position: 'relative', overflow: 'hidden' }}>
@@ -1472,7 +2701,63 @@ export default function App() {
               searchRadius={searchRadius}
               topWeatherSpots={topWeatherSpots}
               searchProgress={searchProgress}
+              skippedPoints={skippedPoints}
+              liveLeader={liveLeader}
+              heatmap={heatmapGrid ? { grid: heatmapGrid, opacity: heatmapOpacity } : null}
+              allSpots={mapSpots}
+              focusSpot={focusSpot}
+              timeLeader={timeLeader}
+              leaderTrail={leaderTrail}
             />
+
+            {/* Time slider: replays the window block by block */}
+            {timeBlocks.length > 1 && (
+              <div style={{
+                position: 'absolute',
+                top: '10px',
+                left: '50px',
+                right: '10px',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.5rem',
+                backgroundColor: darkMode ? 'rgba(42,42,42,0.95)' : 'rgba(255,255,255,0.95)',
+                color: darkMode ? '#fff' : '#000',
+                padding: '0.4rem 0.6rem',
+                borderRadius: 6,
+                fontSize: '0.8rem',
+                boxShadow: '0 2px 4px rgba(0,0,0,0.2)',
+                zIndex: 1000
+              }}>
+                <button
+                  onClick={() => setTimePlaying(playing => !playing)}
+                  title={timePlaying ? 'Pause' : 'Spill av timene'}
+                  style={{ border: 'none', background: 'none', cursor: 'pointer', fontSize: '1rem', color: 'inherit', padding: 0, width: '1.25rem' }}
+                >
+                  {timePlaying ? '⏸' : '▶'}
+                </button>
+                <input
+                  type="range"
+                  min="0"
+                  max={timeBlocks.length - 1}
+                  step="1"
+                  value={timeStep ?? 0}
+                  onChange={e => setTimeStep(parseInt(e.target.value, 10))}
+                  style={{ flex: 1, minWidth: 0 }}
+                />
+                <span style={{ whiteSpace: 'nowrap', minWidth: '4.5rem', textAlign: 'right' }}>
+                  {timeStep === null ? 'Hele vinduet' : timeBlockLabel(timeBlocks[timeStep])}
+                </span>
+                {timeStep !== null && (
+                  <button
+                    onClick={() => { setTimePlaying(false); setTimeStep(null) }}
+                    title="Vis snittet for hele vinduet"
+                    style={{ border: 'none', background: 'none', cursor: 'pointer', fontSize: '0.9rem', color: 'inherit', padding: 0 }}
+                  >
+                    ✕
+                  </button>
+                )}
+              </div>
+            )}
             
             {/* Legend */}
             <div style={{ 
@@ -1492,9 +2777,38 @@ export default function App() {
                 <div style={{ width: '10px', height: '10px', backgroundColor: '#2196f3', borderRadius: '50%', marginRight: '0.5rem' }}></div>
                 Din posisjon
               </div>
+              {searchPhase && (
+                <div style={{ marginBottom: '0.25rem', fontSize: '0.8rem' }}>
+                  <div>
+                    {searchPhase === 'coarse' ? 'Grovsøk' : searchPhase === 'refine' ? 'Finsøk' : 'Navngir de beste stedene'}
+                    {searchProgress.length > 0 && ` · ${searchProgress.filter(p => p.score != null || p.failed).length}/${searchProgress.length} punkter`}
+                  </div>
+                  {liveLeader && (
+                    <div style={{ display: 'flex', alignItems: 'center' }}>
+                      <span style={{ color: '#ffb300', marginRight: '0.4rem' }}>★</span>
+                      Foreløpig best: {(liveLeader.score * 100).toFixed(0)}%
+                    </div>
+                  )}
+                </div>
+              )}
+              {timeLeader && (
+                <div style={{ display: 'flex', alignItems: 'center', marginBottom: '0.25rem', fontSize: '0.8rem' }}>
+                  <span style={{ color: '#ffb300', marginRight: '0.4rem' }}>★</span>
+                  Best kl. {timeLeader.slotLabel}: {(timeLeader.score * 100).toFixed(0)}%
+                </div>
+              )}
+              {skippedPoints.length > 0 && (
+                <div style={{ display: 'flex', alignItems: 'center', marginBottom: '0.25rem' }}>
+                  <div style={{ width: '6px', height: '6px', border: '2px solid #4fa3e0', borderRadius: '50%', marginRight: '0.5rem' }}></div>
+                  Hoppet over (vann): {skippedPoints.length}
+                </div>
+              )}
               {topWeatherSpots && topWeatherSpots.length > 0 && (
                 <div style={{ borderTop: '1px solid #eee', paddingTop: '0.5rem', marginTop: '0.5rem' }}>
-                  <div style={{ fontWeight: 'bold', marginBottom: '0.25rem', fontSize: '0.8rem' }}>Topp 3 lokasjoner:</div>
+                  <div style={{ display: 'flex', fontWeight: 'bold', marginBottom: '0.25rem', fontSize: '0.8rem' }}>
+                    <span style={{ flex: 1 }}>Topp 3 lokasjoner:</span>
+                    <span style={{ fontWeight: 'normal', color: '#666', fontSize: '0.7rem' }}>mm/t · score</span>
+                  </div>
                   {topWeatherSpots.map((spot, index) => {
                     const colors = ['#ff6b6b', '#4ecdc4', '#45b7d1']
                     const color = colors[index] || '#666'
@@ -1518,6 +2832,9 @@ export default function App() {
                         <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
                           {spot.name}
                         </span>
+                        <span style={{ color: spot.precip > 0.05 ? (darkMode ? '#4fc3f7' : '#007aff') : '#666', marginLeft: '0.25rem' }} title="Nedbør (mm/t)">
+                          {spot.precip.toFixed(1)}
+                        </span>
                         <span style={{ color: '#666', marginLeft: '0.25rem' }}>
                           {(spot.score * 100).toFixed(0)}%
                         </span>
@@ -1529,6 +2846,144 @@ export default function App() {
             </div>
             
           </div>
+
+          {/* Heatmap controls: layer, opacity and colour scale */}
+          {searchSpots && searchSpots.spots.length > 0 && (
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem', alignItems: 'center', marginTop: '0.75rem', fontSize: '0.85rem' }}>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '0.35rem', cursor: 'pointer' }}>
+                <input type="checkbox" checked={heatmapOn} onChange={e => setHeatmapOn(e.target.checked)} />
+                Varmekart
+              </label>
+              <select
+                value={heatmapLayer}
+                onChange={e => setHeatmapLayer(e.target.value)}
+                disabled={!heatmapOn}
+                style={{ padding: '0.3rem', borderRadius: 4, border: '1px solid #ccc', fontSize: '0.85rem' }}
+              >
+                {HEATMAP_LAYERS.map(layer => (
+                  <option key={layer} value={layer}>{HEATMAP_LABELS[layer]}</option>
+                ))}
+              </select>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '0.35rem' }}>
+                Synlighet
+                <input
+                  type="range"
+                  min="0.1"
+                  max="0.9"
+                  step="0.05"
+                  value={heatmapOpacity}
+                  onChange={e => setHeatmapOpacity(parseFloat(e.target.value))}
+                  disabled={!heatmapOn}
+                />
+              </label>
+              {heatmapOn && (
+                <div style={{ display: 'flex', alignItems: 'center', gap: '0.35rem' }} title={`${HEATMAP_LABELS[heatmapLayer]} interpolert mellom ${mapSpots.length} punkter`}>
+                  <span>0%</span>
+                  <div style={{ width: 120, height: 10, borderRadius: 5, background: `linear-gradient(to right, ${scoreColor(0)}, ${scoreColor(0.5)}, ${scoreColor(1)})` }} />
+                  <span>100%</span>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Results table: every scored point, sortable; a click pans the map and shows the forecast */}
+          {spotRows.length > 0 && (
+            <div style={{ marginTop: '1rem' }}>
+              <div style={{ fontWeight: 'bold', marginBottom: '0.5rem' }}>Alle punkter ({spotRows.length})</div>
+              <div style={{ maxHeight: 300, overflowY: 'auto', border: darkMode ? '1px solid #444' : '1px solid #ddd', borderRadius: 6 }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem' }}>
+                  <thead>
+                    <tr style={{ position: 'sticky', top: 0, background: darkMode ? '#333' : '#f1f3f5' }}>
+                      <th style={{ textAlign: 'left', padding: '0.4rem 0.5rem' }}>Sted</th>
+                      {SPOT_COLUMNS.map(col => (
+                        <th
+                          key={col.key}
+                          onClick={() => setSpotSort(prev => ({ key: col.key, desc: prev.key === col.key ? !prev.desc : col.key === 'score' }))}
+                          style={{ textAlign: 'right', padding: '0.4rem 0.5rem', cursor: 'pointer', whiteSpace: 'nowrap', userSelect: 'none' }}
+                        >
+                          {col.label}{spotSort.key === col.key ? (spotSort.desc ? ' ▼' : ' ▲') : ''}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {spotRows.map(spot => {
+                      const selected = selectedSpot && selectedSpot.spot.lat === spot.lat && selectedSpot.spot.lon === spot.lon
+                      return (
+                        <tr
+                          key={`${spot.lat},${spot.lon}`}
+                          onClick={() => openSpot(spot)}
+                          style={{
+                            cursor: 'pointer',
+                            background: selected ? (darkMode ? '#3d4f5f' : '#e3f2fd') : 'transparent',
+                            borderTop: darkMode ? '1px solid #3a3a3a' : '1px solid #f0f0f0'
+                          }}
+                        >
+                          <td style={{ padding: '0.35rem 0.5rem', whiteSpace: 'nowrap' }}>
+                            <span style={{ display: 'inline-block', width: 8, height: 8, borderRadius: '50%', background: scoreColor(spot.score), marginRight: '0.4rem' }} />
+                            {spot.name ? `#${spot.rank} ${spot.name}` : `${spot.lat.toFixed(3)}, ${spot.lon.toFixed(3)}`}
+                          </td>
+                          {SPOT_COLUMNS.map(col => (
+                            <td key={col.key} style={{ textAlign: 'right', padding: '0.35rem 0.5rem', whiteSpace: 'nowrap' }}>{col.format(spot)}</td>
+                          ))}
+                        </tr>
+                      )
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {/* Forecast of the point picked in the table */}
+          {selectedSpot && (
+            <div style={{ marginTop: '1rem' }}>
+              <h3 style={{ color: darkMode ? '#fff' : '#000', margin: '0 0 0.5rem 0' }}>
+                {selectedSpot.spot.name || `${selectedSpot.spot.lat.toFixed(3)}, ${selectedSpot.spot.lon.toFixed(3)}`}
+                {' '}– score {(selectedSpot.spot.score * 100).toFixed(0)}%
+              </h3>
+              {selectedSpot.forecast
+                ? <ForecastTable forecast={selectedSpot.forecast} darkMode={darkMode} />
+                : <p style={{ color: selectedSpot.error ? '#dc3545' : (darkMode ? '#ccc' : '#666') }}>
+                    {selectedSpot.error ? `Kunne ikke hente værmelding: ${selectedSpot.error}` : 'Henter værmelding…'}
+                  </p>}
+            </div>
+          )}
+
+          {/* Comparison: hourly forecasts of 2-4 spots side by side */}
+          {searchSpots && compareCandidates.length > 1 && (
+            <div style={{ marginTop: '1rem' }}>
+              <div style={{ fontWeight: 'bold', marginBottom: '0.5rem' }}>Sammenlign steder</div>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.4rem', marginBottom: '0.75rem' }}>
+                {compareCandidates.map(candidate => {
+                  const active = compareList.some(c => c.key === candidate.key)
+                  return (
+                    <button
+                      key={candidate.key}
+                      onClick={() => toggleCompare(candidate)}
+                      disabled={!active && compareList.length >= MAX_COMPARE}
+                      style={{
+                        padding: '0.3rem 0.6rem',
+                        borderRadius: 14,
+                        border: active ? '1px solid #2196f3' : (darkMode ? '1px solid #555' : '1px solid #ccc'),
+                        background: active ? (darkMode ? '#3d4f5f' : '#e3f2fd') : 'transparent',
+                        color: darkMode ? '#fff' : '#000',
+                        cursor: 'pointer',
+                        fontSize: '0.8rem'
+                      }}
+                    >
+                      {active ? '✓ ' : ''}{candidate.label}
+                    </button>
+                  )
+                })}
+              </div>
+              {compareList.length >= 2
+                ? <ForecastComparison spots={compareList.map(c => ({ ...c, ...compareData[c.key] }))} darkMode={darkMode} />
+                : <p style={{ color: darkMode ? '#ccc' : '#666', fontSize: '0.85rem', margin: 0 }}>
+                    Velg 2–{MAX_COMPARE} steder for å se timevarslene side om side. Klikk et punkt i tabellen for å legge det til her.
+                  </p>}
+            </div>
+          )}
         </div>
       )}
 
@@ -1542,61 +2997,39 @@ export default function App() {
           color: darkMode ? '#fff' : '#000'
         }}>
           <h2 style={{ color: darkMode ? '#fff' : '#34495e' }}>Beste sted: {best.name}</h2>
-          <p style={{ color: darkMode ? '#fff' : '#000' }}>Temperatur nå: <strong>{best.temp}°C</strong></p>
-          <p style={{ color: darkMode ? '#fff' : '#000' }}>Skydekke nå: <strong>{best.cloud}%</strong></p>
+          <p style={{ color: darkMode ? '#fff' : '#666', fontSize: '0.9rem' }}>Snitt for {best.windowLabel}</p>
+          {best.bestWindow && (
+            <p style={{ color: darkMode ? '#fff' : '#000' }}>
+              <strong>{bestWindowLabel(best.bestWindow)}</strong> – score {(best.bestWindow.score * 100).toFixed(0)}%
+              {/* A window shorter than the requested length is scored whole */}
+              {!best.bestWindow.clipped && ` over ${best.bestWindow.hours} timer`}
+            </p>
+          )}
+          {best.refinement && (
+            <p style={{ color: darkMode ? '#ccc' : '#666', fontSize: '0.9rem' }}>
+              Finsøk: {best.refinement.points} ekstra punkter rundt topp {REFINE_TOP_N} –{' '}
+              {best.refinement.improved
+                ? <>score forbedret fra {(best.refinement.coarseScore * 100).toFixed(1)}% til <strong>{(best.refinement.refinedScore * 100).toFixed(1)}%</strong> (+{(best.refinement.improvement * 100).toFixed(1)} poeng)</>
+                : <>grovsøkets beste punkt ({(best.refinement.coarseScore * 100).toFixed(1)}%) holdt seg</>}
+            </p>
+          )}
+          <p style={{ color: darkMode ? '#fff' : '#000' }}>Temperatur: <strong>{best.temp.toFixed(1)}°C</strong></p>
+          <p style={{ color: darkMode ? '#fff' : '#000' }}>Skydekke: <strong>{best.cloud.toFixed(0)}%</strong></p>
           <p style={{ color: darkMode ? '#fff' : '#000' }}>
-            Vind nå: <strong>{best.wind.toFixed(1)} m/s</strong>
+            Vind: <strong>{best.wind.toFixed(1)} m/s</strong>
             {best.gust !== null && (
               <>&nbsp;– kast: <strong>{best.gust.toFixed(1)} m/s</strong></>
             )}
           </p>
+          <p style={{ color: darkMode ? '#fff' : '#000' }}>
+            Nedbør: <strong>{best.precip.toFixed(1)} mm/t</strong>
+            {best.precipProbability != null && (
+              <>&nbsp;– sannsynlighet: <strong>{best.precipProbability.toFixed(0)}%</strong></>
+            )}
+          </p>
 
-          <h3 style={{ color: darkMode ? '#fff' : '#000' }}>Værmelding (neste 24 timer)</h3>
-          <div style={{ 
-            display:'grid', 
-            gridTemplateColumns:'1fr 1fr 1fr 1fr 1fr 3fr', 
-            textAlign:'left', 
-            fontWeight:'bold', 
-            borderBottom: darkMode ? '1px solid #444' : '1px solid #ddd', 
-            paddingBottom:'0.5rem',
-            color: darkMode ? '#fff' : '#000'
-          }}>
-            <div>Tid</div><div>Vær</div><div>Temp.<br/>°C</div><div>Nedbør<br/>mm</div><div>Vind<br/>m/s (kast)</div><div>Vindbeskrivelse</div>
-          </div>
-          {best.forecast.slice(0,24).map(f => {
-            const time = new Date(f.time).toLocaleTimeString('no-NO',{hour:'2-digit',minute:'2-digit'})
-            const det = f.data.instant.details
-            const nxt = f.data.next_1_hours?.details || {}
-            const sym = f.data.next_1_hours?.summary?.symbol_code || 'unknown'
-            const iconUrl = iconModules[`./assets/symbols/${sym}.svg`]
-            const precip = nxt.precipitation_amount != null ? nxt.precipitation_amount.toFixed(1) : ''
-            const speed = det.wind_speed.toFixed(0)
-            // Get wind gust data from complete API
-            const gust = det.wind_speed_of_gust != null ? det.wind_speed_of_gust.toFixed(0) : ''
-            const dirDeg = det.wind_from_direction
-            const arrow = getWindArrow(dirDeg)
-            const dirName = getWindDirName(dirDeg)
-            const beauName = getBeaufortName(det.wind_speed)
-            const desc = `${beauName} fra ${dirName}`
-
-            return (
-              <div key={f.time} style={{ 
-                display:'grid', 
-                gridTemplateColumns:'1fr 1fr 1fr 1fr 1fr 3fr', 
-                padding:'0.5rem 0', 
-                borderBottom: darkMode ? '1px solid #444' : '1px solid #eee', 
-                alignItems:'center',
-                color: darkMode ? '#fff' : '#000'
-              }}>
-                <div>{time}</div>
-                <div>{iconUrl ? <img src={iconUrl} alt={sym} style={{width:32,height:32}} /> : '❓'}</div>
-                <div style={{color: det.air_temperature > 0 ? '#ff4444' : '#4444ff'}}>{det.air_temperature}°</div>
-                <div style={{color: parseFloat(precip) > 0 ? (darkMode ? '#4fc3f7' : '#007aff') : (darkMode ? '#fff' : '#000')}}>{precip}</div>
-                <div>{`${speed}${gust ? ` (${gust})` : ''} ${arrow}`}</div>
-                <div style={{ textAlign:'left' }}>{desc}</div>
-              </div>
-            )
-          })}
+          <h3 style={{ color: darkMode ? '#fff' : '#000' }}>Værmelding ({best.windowLabel})</h3>
+          <ForecastTable forecast={best.forecast} darkMode={darkMode} />
         </div>
       )}
 
@@ -0,0 +1,97 @@
+// ============================================================================
+// COMFORT SETTINGS PANEL
+// ============================================================================
+// Lets the user set the targets the temperature and wind scores aim for:
+// ideal temperature, tolerance and the acceptable wind range for the current
+// wind style (Solsøker, Stormsøker or an activity profile's wanted band).
+// "Tilbakestill" restores the active profile's targets. The parent persists
+// the values.
+// ============================================================================
+
+import React from 'react'
+import { DEFAULT_TARGETS, WIND_BAND_FALLOFF, stormWindIdeal } from '../engine/scoring'
+
+// One labelled number input
+function NumberField({ label, value, min, max, step = 1, unit, onChange, darkMode }) {
+  return (
+    <label style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '0.5rem', fontSize: 13, marginBottom: '0.4rem' }}>
+      <span>{label}</span>
+      <span style={{ display: 'flex', alignItems: 'center', gap: '0.25rem' }}>
+        <input
+          type="number"
+          value={value}
+          min={min}
+          max={max}
+          step={step}
+          onChange={e => {
+            const v = parseFloat(e.target.value)
+            if (!Number.isNaN(v)) onChange(v)
+          }}
+          style={{
+            width: '64px',
+            padding: '0.25rem',
+            border: '1px solid #ccc',
+            borderRadius: 4,
+            background: darkMode ? '#1a1a1a' : 'white',
+            color: darkMode ? '#fff' : '#000'
+          }}
+        />
+        <span style={{ minWidth: '28px' }}>{unit}</span>
+      </span>
+    </label>
+  )
+}
+
+export default function ComfortSettings({ targets, defaults = DEFAULT_TARGETS, onChange, windStyle, darkMode }) {
+  const set = key => value => onChange({ ...targets, [key]: value })
+
+  return (
+    <div style={{ color: darkMode ? '#fff' : '#2c3e50' }}>
+      <div style={{ fontWeight: 'bold', fontSize: 13, marginBottom: '0.5rem' }}>Temperatur</div>
+      <NumberField label="Ideell temperatur" value={targets.idealTemp} min={-30} max={40} unit="°C" onChange={set('idealTemp')} darkMode={darkMode} />
+      <NumberField label="Toleranse (score 0 ved ±)" value={targets.tempTolerance} min={1} max={40} unit="°C" onChange={set('tempTolerance')} darkMode={darkMode} />
+
+      <div style={{ fontWeight: 'bold', fontSize: 13, margin: '0.75rem 0 0.5rem' }}>
+        Vind – {windStyle === 'band' ? 'ønsket intervall' : windStyle === 'storm' ? 'Stormsøker' : 'Solsøker'}
+      </div>
+      {windStyle === 'band' ? (
+        <>
+          <NumberField label="Fra" value={targets.windMin} min={0} max={40} unit="m/s" onChange={set('windMin')} darkMode={darkMode} />
+          <NumberField label="Til" value={targets.windMax} min={1} max={40} unit="m/s" onChange={set('windMax')} darkMode={darkMode} />
+          <div style={{ fontSize: 12, color: darkMode ? '#ccc' : '#666' }}>
+            Full score innenfor intervallet, synker til 0 {WIND_BAND_FALLOFF} m/s utenfor.
+          </div>
+        </>
+      ) : windStyle === 'storm' ? (
+        <>
+          <NumberField label="Fra" value={targets.stormWindMin} min={0} max={60} unit="m/s" onChange={set('stormWindMin')} darkMode={darkMode} />
+          <NumberField label="Til" value={targets.stormWindMax} min={1} max={60} unit="m/s" onChange={set('stormWindMax')} darkMode={darkMode} />
+          <div style={{ fontSize: 12, color: darkMode ? '#ccc' : '#666' }}>
+            Best ved {stormWindIdeal(targets).toFixed(1)} m/s, score 0 utenfor intervallet.
+          </div>
+        </>
+      ) : (
+        <>
+          <NumberField label="Full score under" value={targets.windMin} min={0} max={30} unit="m/s" onChange={set('windMin')} darkMode={darkMode} />
+          <NumberField label="Score 0 over" value={targets.windMax} min={1} max={40} unit="m/s" onChange={set('windMax')} darkMode={darkMode} />
+        </>
+      )}
+
+      <button
+        onClick={() => onChange({ ...defaults })}
+        style={{
+          marginTop: '0.5rem',
+          background: 'transparent',
+          border: '1px solid #ccc',
+          borderRadius: 4,
+          padding: '0.25rem 0.75rem',
+          cursor: 'pointer',
+          color: darkMode ? '#fff' : '#2c3e50',
+          fontSize: 12
+        }}
+      >
+        Tilbakestill
+      </button>
+    </div>
+  )
+}
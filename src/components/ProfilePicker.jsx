@@ -0,0 +1,85 @@
+// ============================================================================
+// ACTIVITY PROFILE PICKER
+// ============================================================================
+// Row of profile chips (built-in and custom). Picking one presets the
+// triangle, the precipitation weight and the comfort targets. The current
+// settings can be saved as a named custom profile.
+// ============================================================================
+
+import React, { useState } from 'react'
+import { BUILTIN_PROFILES } from '../engine/profiles'
+
+export default function ProfilePicker({ activeId, customProfiles, onPick, onSave, onDelete, darkMode }) {
+  const [newName, setNewName] = useState('')
+  const profiles = [...BUILTIN_PROFILES, ...customProfiles]
+
+  const chipStyle = active => ({
+    display: 'flex',
+    alignItems: 'center',
+    gap: '0.25rem',
+    padding: '0.3rem 0.6rem',
+    borderRadius: 16,
+    border: active ? '1px solid #2d7ff9' : (darkMode ? '1px solid #555' : '1px solid #ccc'),
+    background: active ? (darkMode ? '#1e3a5f' : '#e3f2fd') : (darkMode ? '#1a1a1a' : 'white'),
+    color: darkMode ? '#fff' : '#2c3e50',
+    cursor: 'pointer',
+    fontSize: 12
+  })
+
+  const save = () => {
+    if (!newName.trim()) return
+    onSave(newName)
+    setNewName('')
+  }
+
+  return (
+    <div style={{ width: '100%' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.4rem', justifyContent: 'center' }}>
+        {profiles.map(p => (
+          <div key={p.id} style={chipStyle(p.id === activeId)} title={p.description} onClick={() => onPick(p)}>
+            <span>{p.icon}</span>
+            <span>{p.name}</span>
+            {p.custom && (
+              <span
+                onClick={e => {
+                  e.stopPropagation()
+                  onDelete(p.id)
+                }}
+                style={{ marginLeft: '0.2rem', color: '#999' }}
+                title="Slett profil"
+              >
+                ×
+              </span>
+            )}
+          </div>
+        ))}
+      </div>
+      <div style={{ display: 'flex', gap: '0.4rem', justifyContent: 'center', marginTop: '0.5rem' }}>
+        <input
+          type="text"
+          placeholder="Navn på egen profil"
+          value={newName}
+          onChange={e => setNewName(e.target.value)}
+          onKeyDown={e => e.key === 'Enter' && save()}
+          style={{ padding: '0.25rem 0.5rem', border: '1px solid #ccc', borderRadius: 4, fontSize: 12, width: '150px' }}
+        />
+        <button
+          onClick={save}
+          disabled={!newName.trim()}
+          style={{
+            background: 'transparent',
+            border: '1px solid #ccc',
+            borderRadius: 4,
+            padding: '0.25rem 0.6rem',
+            cursor: newName.trim() ? 'pointer' : 'not-allowed',
+            color: darkMode ? '#fff' : '#2c3e50',
+            fontSize: 12
+          }}
+          title="Lagre vektene og komfortmålene som en egen profil"
+        >
+          Lagre
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,5 @@
+// Generated by scripts/build-landmask.js - do not edit by hand.
+// Land polygons (lakes as holes) from OpenStreetMap via @geo-maps/earth-lands-1km,
+// © OpenStreetMap contributors, ODbL. Simplified to ~0.006° and clipped to:
+// Norden [3, 54, 32, 71.5]
+export default {"regions":[[3,54,32,71.5]],"polygons":[[[8.663,54.662,8.647,54.639,8.548,54.618,8.53,54.626,8.663,54.662]],[[11.421,54.936,11.401,54.921,11.372,54.935,11.35,54.968,11.369,54.95,11.38,54.956,11.404,54.947,11.411,54.969,11.455,54.963,11.469,54.943,11.421,54.936]],[[11.863,54.773,11.795,54.81,11.815,54.828,11.803,54.847,11.755,54.855,11.747,54.928,11.705,54.932,11.745,54.961,11.774,54.96,11.801,54.936,11.828,54.968,11.871,54.954,11.905,54.917,11.925,54.94,11.973,54.937,11.991,54.9,12.12,54.887,12.165,54.835,12.067,54.779,11.975,54.697,11.97,54.559,11.918,54.575,11.866,54.657,11.911,54.716,11.869,54.728,11.884,54.747,11.863,54.773]],[[10.488,54.877,10.537,54.847,10.458,54.839,10.419,54.817,10.286,54.89,10.205,54.972,10.371,54.885,10.405,54.9,10.394,54.914,10.438,54.866,10.462,54.875,10.487,54.866,10.45,54.892,10.488,54.877]],[[10.517,55,10.631,55.055,10.659,55.025,10.624,54.989,10.655,54.978,10.692,54.997,10.689,54.974,10.652,54.972,10.62,54.948,10.576,54.955,10.588,54.947,10.554,54.943,10.569,54.952,10.549,54.952,10.517,55]],[[10.983,54.829,10.964,54.835,10.968,54.826,10.958,54.823,10.977,54.793,11.013,54.808,10.985,54.821,11.07,54.799,11.07,54.822,11.085,54.811,11.11,54.831,11.139,54.828,11.078,54.835,11.061,54.869,11.029,54.871,11.016,54.889,11.072,54.939,11.12,54.932,11.107,54.948,11.18,54.96,11.285,54.952,11.318,54.924,11.361,54.917,11.38,54.885,11.432,54.861,11.464,54.863,11.468,54.839,11.59,54.827,11.637,54.801,11.561,54.846,11.651,54.858,11.65,54.903,11.743,54.875,11.75,54.839,11.794,54.834,11.782,54.807,11.852,54.773,11.867,54.741,11.846,54.726,11.813,54.737,11.807,54.707,11.861,54.687,11.808,54.642,11.729,54.654,11.726,54.666,11.712,54.652,11.665,54.667,11.658,54.657,11.562,54.66,11.569,54.652,11.497,54.635,11.461,54.611,11.532,54.596,11.503,54.595,11.382,54.642,11.382,54.652,11.345,54.654,11.251,54.708,11.007,54.762,10.957,54.815,10.96,54.836,10.983,54.829],[11.47,54.752,11.514,54.738,11.556,54.772,11.47,54.752]],[[8.577,55.279,8.558,55.265,8.531,55.275,8.557,55.296,8.593,55.293,8.577,55.279]],[[9.699,55.039,9.644,55.039,9.639,55.051,9.755,55.083,9.879,55.026,9.956,55.011,10.047,54.933,10.071,54.877,10.02,54.872,9.988,54.852,9.949,54.853,9.868,54.877,9.903,54.898,9.994,54.856,9.981,54.878,9.911,54.906,9.832,54.889,9.794,54.896,9.751,54.978,9.791,54.969,9.837,54.931,9.874,54.943,9.836,54.948,9.86,54.97,9.784,54.983,9.803,54.996,9.776,54.995,9.796,55.006,9.756,55.036,9.724,55.044,9.776,55.01,9.701,55.007,9.662,55.021,9.697,55.038,9.719,55.031,9.699,55.039]],[[10.082,55.85,10.036,55.844,10.059,55.87,10.121,55.862,10.082,55.85]],[[10.615,55.061,10.512,55.027,10.471,55.042,10.415,55.04,10.373,55.065,10.356,55.051,10.32,55.054,10.239,55.106,10.239,55.092,10.209,55.095,10.23,55.078,10.207,55.06,10.13,55.09,10.074,55.076,10.08,55.106,10.107,55.096,10.121,55.123,10.175,55.129,10.113,55.19,10.054,55.176,9.994,55.202,10.008,55.192,9.986,55.176,10.044,55.133,10.025,55.121,9.978,55.133,9.984,55.208,9.866,55.252,9.907,55.239,9.881,55.266,9.875,55.348,9.899,55.339,9.874,55.358,9.84,55.351,9.787,55.364,9.84,55.385,9.788,55.411,9.824,55.413,9.804,55.429,9.853,55.429,9.743,55.436,9.722,55.473,9.825,55.436,9.68,55.517,9.747,55.507,9.77,55.531,9.757,55.543,9.834,55.555,9.863,55.515,9.935,55.511,10.076,55.57,10.121,55.58,10.137,55.568,10.158,55.572,10.154,55.584,10.194,55.59,10.172,55.578,10.195,55.565,10.201,55.59,10.189,55.596,10.286,55.609,10.28,55.583,10.314,55.584,10.287,55.619,10.311,55.623,10.419,55.587,10.562,55.516,10.496,55.548,10.497,55.532,10.472,55.531,10.498,55.497,10.427,55.466,10.425,55.439,10.473,55.438,10.498,55.452,10.483,55.473,10.523,55.465,10.625,55.488,10.62,55.505,10.567,55.52,10.588,55.532,10.629,55.519,10.596,55.584,10.604,55.594,10.627,55.558,10.629,55.59,10.588,55.614,10.618,55.619,10.748,55.478,10.676,55.465,10.653,55.447,10.581,55.462,10.544,55.442,10.576,55.422,10.586,55.457,10.639,55.438,10.669,55.451,10.767,55.385,10.817,55.313,10.856,55.293,10.825,55.285,10.792,55.31,10.789,55.298,10.748,55.296,10.789,55.291,10.815,55.231,10.775,55.101,10.744,55.069,10.705,55.057,10.615,55.061]],[[10.655,55.052,10.708,55.054,10.717,55.03,10.669,55.03,10.701,55.041,10.652,55.038,10.655,55.052]],[[10.902,55.135,10.939,55.165,10.954,55.158,10.895,54.996,10.83,54.932,10.736,54.744,10.694,54.722,10.66,54.78,10.687,54.801,10.66,54.794,10.596,54.839,10.648,54.83,10.672,54.882,10.702,54.87,10.728,54.878,10.708,54.907,10.681,54.898,10.676,54.911,10.757,54.976,10.809,54.995,10.902,55.135]],[[11.792,55.786,11.816,55.783,11.83,55.809,11.836,55.757,11.793,55.758,11.775,55.782,11.792,55.786]],[[11.199,55.211,11.212,55.184,11.174,55.199,11.172,55.251,11.199,55.211]],[[8.999,56.843,9.084,56.846,9.059,56.837,9.074,56.824,9.033,56.823,9.01,56.796,8.951,56.833,8.999,56.843]],[[8.613,56.825,8.648,56.834,8.634,56.885,8.818,56.904,8.86,56.956,8.877,56.942,8.937,56.985,8.891,56.864,8.859,56.887,8.829,56.87,8.877,56.784,8.855,56.792,8.831,56.74,8.731,56.679,8.643,56.669,8.615,56.705,8.657,56.711,8.613,56.706,8.627,56.72,8.602,56.716,8.579,56.731,8.59,56.709,8.558,56.7,8.554,56.719,8.575,56.723,8.54,56.74,8.503,56.723,8.511,56.747,8.559,56.758,8.542,56.788,8.667,56.806,8.613,56.825]],[[8.618,56.549,8.636,56.577,8.651,56.569,8.619,56.515,8.618,56.549]],[[10.283,56.993,10.222,56.99,10.03,57.089,9.991,57.088,9.935,57.054,9.783,57.107,9.791,57.095,9.748,57.067,9.651,57.071,9.682,57.094,9.661,57.095,9.58,57.042,9.427,57.037,9.24,56.991,9.148,57.041,9.053,57.048,9.053,57.037,9.119,57.037,9.044,57.008,9.021,57.023,8.933,57.004,8.895,56.974,8.877,57.005,8.935,57.017,8.921,57.028,8.877,57.017,8.877,57.033,8.857,56.99,8.833,57.008,8.806,56.993,8.847,56.973,8.772,56.948,8.671,56.952,8.61,56.842,8.469,56.782,8.5,56.755,8.469,56.716,8.519,56.711,8.514,56.68,8.454,56.697,8.398,56.683,8.426,56.671,8.478,56.684,8.503,56.666,8.584,56.691,8.588,56.601,8.515,56.589,8.481,56.634,8.426,56.665,8.355,56.678,8.265,56.776,8.24,56.777,8.248,56.701,8.212,56.722,8.231,56.791,8.33,56.801,8.342,56.825,8.284,56.803,8.24,56.806,8.361,56.962,8.523,57.059,8.59,57.122,8.754,57.098,8.866,57.118,8.977,57.158,9.185,57.135,9.394,57.162,9.56,57.24,9.795,57.477,9.956,57.599,10.124,57.589,10.263,57.615,10.52,57.729,10.625,57.752,10.652,57.747,10.521,57.685,10.455,57.634,10.426,57.575,10.565,57.439,10.527,57.429,10.515,57.382,10.547,57.227,10.431,57.158,10.336,56.991,10.283,56.993],[9.009,57.131,9.053,57.082,9.053,57.121,9.009,57.131]],[[11.682,57.756,11.703,57.74,11.687,57.71,11.666,57.737,11.682,57.756]],[[10.922,57.295,11.03,57.319,11.2,57.321,11.197,57.287,11.187,57.309,11.081,57.289,11.087,57.255,11.016,57.243,11.068,57.24,11.004,57.218,10.871,57.256,10.922,57.295]],[[5.229,60.673,5.104,60.718,5.173,60.701,5.131,60.725,5.197,60.695,5.158,60.732,5.19,60.715,5.213,60.725,5.123,60.739,5.108,60.729,5.038,60.782,4.945,60.81,5.018,60.812,5.017,60.822,5.117,60.749,5.114,60.765,5.142,60.759,5.107,60.771,5.108,60.781,5.127,60.767,5.122,60.781,5.24,60.74,5.27,60.744,5.278,60.728,5.319,60.731,5.35,60.707,5.332,60.698,5.359,60.655,5.406,60.637,5.361,60.681,5.463,60.634,5.383,60.684,5.409,60.696,5.47,60.659,5.421,60.702,5.455,60.714,5.417,60.707,5.401,60.735,5.377,60.731,5.385,60.75,5.347,60.746,5.35,60.766,5.323,60.749,5.268,60.77,5.332,60.816,5.382,60.817,5.352,60.841,5.373,60.866,5.475,60.876,5.515,60.853,5.533,60.87,5.59,60.874,5.507,60.869,5.487,60.887,5.526,60.916,5.472,60.887,5.35,60.871,5.3,60.81,5.259,60.833,5.216,60.824,5.21,60.861,5.229,60.84,5.247,60.845,5.209,60.866,5.197,60.827,5.186,60.849,5.124,60.829,5.096,60.832,5.109,60.845,5.082,60.836,5.029,60.897,5.052,60.927,5.011,60.936,5.005,60.967,5.126,60.957,5.118,60.866,5.133,60.964,5.223,60.963,5.314,60.987,5.191,60.965,5.188,61.008,5.162,60.975,5.122,60.966,5.087,60.988,5.084,60.977,5.041,60.979,5.027,61.025,5.052,61.028,5.021,61.035,5.091,61.072,5.142,61.07,5.153,61.085,5.174,61.07,5.207,61.078,5.292,61.065,5.323,61.031,5.407,61.023,5.466,61.032,5.486,60.987,5.481,61.047,5.515,61.064,5.567,61.064,5.61,61.084,5.682,61.059,5.614,61.085,5.658,61.104,5.694,61.09,5.734,61.098,5.804,61.126,5.824,61.119,5.809,61.051,5.848,61.099,5.91,61.066,5.854,61.11,5.893,61.129,5.99,61.128,6.04,61.106,6.162,61.119,6.221,61.1,6.284,61.1,6.325,61.074,6.27,61.034,6.344,61.07,6.41,61.07,6.387,61.019,6.35,61.01,6.413,61.005,6.434,61.07,6.542,61.104,6.589,61.09,6.642,61.176,6.699,61.151,6.85,61.146,6.881,61.089,6.94,61.074,6.957,61.088,7.014,61.057,7.037,60.999,6.871,60.931,6.841,60.881,6.885,60.93,7.05,60.986,7.155,60.938,7.122,60.86,7.192,60.905,7.193,60.939,7.084,60.975,7.04,61.034,7.041,61.104,7.215,61.118,7.248,61.147,7.478,61.099,7.375,61.148,7.519,61.192,7.624,61.195,7.658,61.222,7.713,61.232,7.65,61.241,7.621,61.213,7.422,61.2,7.393,61.207,7.379,61.268,7.313,61.297,7.384,61.326,7.416,61.38,7.485,61.408,7.518,61.449,7.548,61.452,7.589,61.474,7.598,61.491,7.623,61.481,7.588,61.495,7.452,61.44,7.437,61.409,7.364,61.379,7.284,61.396,7.343,61.368,7.348,61.344,7.247,61.3,7.33,61.265,7.354,61.197,7.396,61.182,7.329,61.157,7.24,61.184,7.246,61.171,7.188,61.166,7.168,61.141,7.04,61.134,6.992,61.106,6.944,61.113,6.927,61.142,6.995,61.151,7.078,61.198,7.172,61.201,7.119,61.21,7.168,61.269,7.112,61.247,7.094,61.213,7.025,61.193,6.996,61.157,6.911,61.161,6.839,61.186,6.717,61.182,6.682,61.204,6.597,61.208,6.588,61.24,6.679,61.279,6.745,61.35,6.754,61.421,6.653,61.285,6.573,61.252,6.562,61.3,6.544,61.273,6.5,61.276,6.54,61.261,6.568,61.212,6.481,61.229,6.539,61.209,6.545,61.14,6.478,61.13,6.473,61.115,6.378,61.11,6.27,61.134,6.204,61.165,6.221,61.188,6.182,61.161,6.053,61.146,6.005,61.163,6.071,61.186,6.065,61.218,6.05,61.194,5.962,61.164,5.823,61.162,5.82,61.21,5.802,61.16,5.728,61.167,5.705,61.138,5.618,61.153,5.566,61.115,5.401,61.07,5.347,61.102,5.345,61.14,5.324,61.12,5.287,61.109,5.271,61.125,5.26,61.107,5.229,61.106,5.197,61.147,5.266,61.13,5.29,61.138,5.213,61.163,5.174,61.147,5.076,61.169,5.111,61.204,5.186,61.197,5.261,61.169,5.299,61.174,5.254,61.194,5.313,61.189,5.182,61.228,5.012,61.22,5.03,61.239,5.111,61.234,5.105,61.257,5.085,61.24,5.019,61.241,5.028,61.273,5,61.253,4.986,61.263,4.992,61.247,4.948,61.246,4.949,61.261,4.982,61.257,4.981,61.284,5.053,61.286,5.076,61.296,5.031,61.295,5.06,61.305,5.133,61.289,5.14,61.318,5.17,61.302,5.225,61.305,5.199,61.343,5.236,61.35,5.285,61.347,5.352,61.312,5.287,61.355,5.357,61.351,5.406,61.375,5.676,61.363,5.655,61.376,5.569,61.369,5.405,61.384,5.19,61.359,5.17,61.334,5.081,61.321,5.071,61.339,5.112,61.343,5.048,61.349,5.032,61.394,5.093,61.402,5.104,61.377,5.104,61.412,5.165,61.43,5.005,61.405,4.975,61.411,5.005,61.433,5.079,61.452,5.236,61.456,5.256,61.472,5.237,61.483,5.346,61.461,5.379,61.465,5.325,61.479,5.412,61.478,5.432,61.459,5.468,61.454,5.45,61.449,5.533,61.44,5.635,61.454,5.714,61.494,5.849,61.459,5.806,61.473,5.815,61.489,5.723,61.503,5.721,61.517,5.624,61.471,5.528,61.455,5.442,61.464,5.457,61.473,5.48,61.465,5.47,61.484,5.502,61.495,5.354,61.488,5.178,61.514,5.175,61.555,5.27,61.54,5.301,61.544,5.278,61.554,5.408,61.549,5.181,61.596,5.298,61.608,5.399,61.594,5.337,61.587,5.345,61.602,5.317,61.592,5.317,61.58,5.459,61.572,5.461,61.59,5.39,61.607,5.231,61.612,5.008,61.579,5.021,61.586,4.992,61.586,5.011,61.602,5.055,61.603,5.054,61.594,5.071,61.613,5.141,61.603,5.369,61.628,5.427,61.647,5.285,61.625,5.099,61.639,5.031,61.63,5.005,61.642,5.015,61.63,4.991,61.627,5.01,61.65,4.969,61.678,4.97,61.724,5.008,61.719,4.983,61.734,5.033,61.758,5.097,61.749,5.112,61.705,5.119,61.744,5.166,61.719,5.162,61.702,5.175,61.723,5.223,61.725,5.149,61.738,5.15,61.755,5.295,61.773,5.158,61.773,5.131,61.758,5.093,61.762,5.096,61.777,5.155,61.808,5.311,61.826,5.296,61.836,5.326,61.847,5.383,61.846,5.3,61.858,5.382,61.908,5.431,61.918,5.541,61.905,5.545,61.889,5.626,61.897,5.708,61.885,5.781,61.854,5.681,61.84,5.648,61.812,5.712,61.837,5.856,61.857,5.983,61.848,5.944,61.768,5.91,61.746,5.914,61.738,5.879,61.735,5.919,61.74,5.913,61.731,6.02,61.844,6.18,61.764,6.212,61.779,6.079,61.847,6.13,61.83,6.296,61.848,6.385,61.817,6.483,61.804,6.608,61.846,6.587,61.869,6.757,61.864,6.804,61.835,6.82,61.867,6.845,61.866,6.711,61.881,6.724,61.902,6.699,61.904,6.677,61.886,6.556,61.878,6.525,61.834,6.426,61.831,6.314,61.864,6.137,61.846,6.068,61.874,5.911,61.884,5.807,61.857,5.732,61.891,5.988,61.906,5.905,61.919,5.685,61.91,5.502,61.933,5.459,61.926,5.45,61.94,5.322,61.908,5.223,61.914,5.178,61.895,5.147,61.912,5.191,61.917,5.122,61.92,5.174,61.987,5.195,61.988,5.221,61.933,5.201,61.979,5.241,61.984,5.289,61.951,5.298,61.966,5.241,61.99,5.312,61.977,5.344,62.033,5.425,62.02,5.394,62.035,5.34,62.036,5.343,62.059,5.234,62.103,5.11,62.104,5.113,62.126,5.16,62.128,5.103,62.151,5.099,62.194,5.201,62.193,5.175,62.198,5.184,62.219,5.224,62.211,5.286,62.158,5.292,62.171,5.331,62.169,5.3,62.151,5.317,62.121,5.478,62.058,5.494,62.04,5.458,62.003,5.53,62.036,5.521,62.075,5.59,62.076,5.621,62.053,5.616,62.077,5.565,62.098,5.436,62.103,5.405,62.128,5.485,62.2,5.564,62.167,5.644,62.172,5.675,62.117,5.724,62.087,5.747,62.098,5.694,62.121,5.672,62.174,5.729,62.171,5.851,62.203,5.916,62.188,5.95,62.159,5.944,62.117,5.848,62.005,5.965,62.097,5.981,62.142,6.087,62.096,6.035,62.045,6.068,62.066,6.082,62.056,6.104,62.076,6.176,62.084,6.258,62.067,6.273,62.081,6.303,62.059,6.327,62.062,6.284,62.085,6.142,62.094,5.93,62.221,5.987,62.228,6.064,62.178,6.064,62.194,6.13,62.196,6.012,62.215,6.004,62.238,5.962,62.248,5.983,62.268,6.233,62.358,6.343,62.374,6.425,62.291,6.423,62.266,6.473,62.247,6.478,62.204,6.581,62.147,6.539,62.124,6.553,62.105,6.611,62.143,6.555,62.194,6.599,62.204,6.654,62.194,6.592,62.212,6.528,62.206,6.527,62.234,6.402,62.358,6.424,62.371,6.408,62.385,6.451,62.401,6.552,62.392,6.593,62.334,6.581,62.399,6.546,62.41,6.723,62.452,6.748,62.434,6.855,62.433,6.914,62.412,6.888,62.363,6.964,62.292,7.008,62.284,7.017,62.178,6.873,62.083,6.94,62.106,7.022,62.084,7.087,62.092,7.13,62.115,7.206,62.102,7.143,62.125,7.049,62.095,6.961,62.115,7.04,62.172,7.039,62.277,7.132,62.28,7.229,62.253,7.265,62.285,7.329,62.287,7.415,62.234,7.429,62.246,7.335,62.294,7.247,62.297,7.189,62.284,6.988,62.313,6.934,62.374,6.985,62.384,6.872,62.46,6.773,62.459,6.811,62.482,6.706,62.474,6.727,62.491,6.609,62.502,6.616,62.522,6.461,62.514,6.583,62.53,6.572,62.543,6.255,62.53,6.287,62.543,6.265,62.548,6.278,62.562,6.255,62.581,6.334,62.613,6.441,62.614,6.467,62.546,6.463,62.616,6.569,62.625,6.612,62.557,6.624,62.629,6.65,62.63,6.671,62.602,6.661,62.633,6.799,62.653,6.919,62.588,6.912,62.574,6.939,62.615,6.907,62.646,7.078,62.654,7.095,62.628,7.021,62.616,7.096,62.624,7.131,62.522,7.154,62.568,7.122,62.611,7.167,62.632,7.232,62.611,7.263,62.623,7.29,62.608,7.361,62.609,7.437,62.538,7.518,62.542,7.555,62.497,7.569,62.538,7.659,62.548,7.686,62.569,7.784,62.577,7.725,62.584,7.55,62.555,7.463,62.572,7.399,62.632,7.489,62.639,7.504,62.585,7.536,62.587,7.504,62.664,7.831,62.732,7.939,62.724,7.957,62.745,8.144,62.684,8.107,62.731,8.02,62.75,8.07,62.777,7.875,62.763,7.501,62.687,7.344,62.696,7.427,62.717,7.363,62.738,7.536,62.772,7.676,62.779,7.723,62.792,7.659,62.783,7.671,62.795,7.249,62.741,6.981,62.724,6.995,62.76,6.969,62.779,7.024,62.829,7.045,62.817,7.097,62.831,7.069,62.817,7.153,62.819,7.173,62.803,7.241,62.809,7.179,62.82,7.213,62.835,7.157,62.84,7.174,62.85,6.994,62.835,7.012,62.853,6.961,62.883,6.981,62.896,6.942,62.888,6.97,62.9,6.899,62.91,7.043,62.953,7.03,62.967,7.071,62.97,7.094,62.955,7.102,62.989,7.154,62.98,7.144,62.996,7.301,63.01,7.29,62.997,7.253,62.984,7.299,62.979,7.261,62.991,7.314,62.999,7.317,62.971,7.415,62.957,7.447,62.939,7.456,62.909,7.43,62.9,7.469,62.899,7.593,62.926,7.587,62.937,7.683,62.968,7.741,62.973,7.792,62.959,7.682,62.895,7.837,62.95,7.974,62.973,8.035,62.967,8.12,62.921,8.086,62.891,8.111,62.888,8.14,62.82,8.261,62.78,8.313,62.784,8.401,62.746,8.419,62.72,8.435,62.732,8.485,62.726,8.523,62.671,8.554,62.674,8.53,62.735,8.323,62.804,8.191,62.829,8.15,62.89,8.204,62.911,8.152,62.909,8.136,62.947,7.998,63,7.967,63.077,8.034,63.104,8.11,63.106,8.142,63.07,8.125,63.049,8.076,63.055,8.056,63.037,8.132,63.045,8.14,63.03,8.256,62.996,8.252,62.974,8.278,62.984,8.333,62.964,8.281,62.927,8.34,62.891,8.262,62.829,8.366,62.886,8.514,62.838,8.513,62.858,8.413,62.902,8.517,62.865,8.581,62.868,8.635,62.83,8.703,62.814,8.699,62.829,8.632,62.841,8.613,62.88,8.54,62.879,8.476,62.901,8.421,62.947,8.711,62.973,8.654,62.972,8.651,62.991,8.61,62.991,8.463,62.97,8.6,63.025,8.366,62.969,8.322,62.994,8.342,63.007,8.494,63.02,8.348,63.021,8.306,63.008,8.22,63.029,8.233,63.066,8.156,63.113,8.231,63.141,8.257,63.111,8.306,63.096,8.278,63.074,8.322,63.077,8.348,63.084,8.322,63.087,8.324,63.111,8.24,63.14,8.334,63.15,8.37,63.132,8.541,63.136,8.619,63.094,8.623,63.118,8.556,63.142,8.571,63.167,8.982,63.202,8.706,63.192,8.689,63.201,8.639,63.188,8.599,63.194,8.604,63.207,8.583,63.201,8.584,63.225,8.529,63.272,8.491,63.277,8.499,63.291,8.845,63.347,8.701,63.346,8.65,63.39,8.674,63.414,8.87,63.429,8.867,63.411,8.905,63.388,8.881,63.411,8.921,63.412,8.936,63.426,8.968,63.405,9.024,63.413,8.971,63.419,9.021,63.465,9.025,63.446,9.096,63.442,9.088,63.428,9.133,63.421,9.153,63.399,9.148,63.376,9.18,63.374,9.119,63.349,9.137,63.341,9.084,63.309,9.101,63.287,9.204,63.34,9.229,63.327,9.24,63.348,9.418,63.371,9.502,63.397,9.365,63.374,9.23,63.372,9.233,63.391,9.213,63.384,9.178,63.411,9.191,63.43,9.494,63.465,9.48,63.478,9.512,63.484,9.339,63.456,9.346,63.472,9.3,63.472,9.315,63.481,9.279,63.496,9.282,63.467,9.337,63.466,9.302,63.446,9.174,63.461,9.147,63.488,9.231,63.519,9.262,63.491,9.275,63.509,9.243,63.523,9.315,63.519,9.392,63.559,9.389,63.515,9.418,63.5,9.412,63.525,9.489,63.573,9.551,63.569,9.584,63.527,9.569,63.582,9.492,63.579,9.603,63.622,9.748,63.647,9.715,63.615,9.742,63.616,9.755,63.584,9.832,63.541,9.805,63.515,9.91,63.457,9.978,63.443,9.941,63.373,9.818,63.321,9.85,63.319,9.844,63.298,9.851,63.315,9.973,63.349,10.049,63.348,10.07,63.327,10.168,63.311,10.226,63.341,10.283,63.318,10.251,63.344,10.108,63.353,10.056,63.386,10.093,63.417,10.201,63.452,10.303,63.455,10.38,63.431,10.449,63.457,10.522,63.431,10.642,63.444,10.762,63.432,10.784,63.413,10.81,63.435,10.916,63.445,10.908,63.455,10.871,63.449,10.898,63.47,10.908,63.459,10.899,63.474,10.882,63.465,10.879,63.479,10.809,63.473,10.753,63.51,10.779,63.539,10.892,63.545,10.943,63.565,10.858,63.563,10.873,63.573,10.85,63.575,10.954,63.602,10.916,63.604,10.936,63.613,10.9,63.604,10.91,63.616,10.645,63.539,10.628,63.547,10.643,63.562,10.669,63.559,10.712,63.615,10.842,63.638,10.995,63.713,11.045,63.711,11.049,63.695,11.087,63.711,11.149,63.704,11.15,63.718,11.189,63.711,11.214,63.72,11.21,63.756,11.284,63.763,11.295,63.747,11.24,63.733,11.274,63.729,11.277,63.742,11.3,63.749,11.296,63.755,11.345,63.763,11.33,63.77,11.445,63.774,11.428,63.8,11.463,63.801,11.481,63.782,11.526,63.783,11.484,63.784,11.473,63.801,11.399,63.818,11.44,63.827,11.406,63.846,11.368,63.835,11.305,63.845,11.316,63.855,11.291,63.869,11.336,63.859,11.378,63.881,11.351,63.894,11.389,63.927,11.375,63.95,11.318,63.915,11.301,63.868,11.244,63.862,11.231,63.869,11.137,63.839,11.09,63.839,11.072,63.859,11.077,63.887,11.201,63.916,11.283,63.976,11.319,63.962,11.358,63.975,11.382,63.968,11.392,63.982,11.412,63.972,11.502,64.005,11.491,64.017,11.432,64.014,11.433,64.028,11.373,64.018,11.374,64.03,11.346,64.026,11.362,64.04,11.238,64.028,11.235,64.07,11.393,64.109,11.319,64.12,11.303,64.1,11.327,64.095,11.222,64.074,11.206,64.007,11.033,63.96,10.924,63.904,10.685,63.844,10.586,63.802,10.65,63.809,10.683,63.839,10.831,63.858,10.964,63.907,11.049,63.88,11.071,63.842,10.999,63.812,10.955,63.746,10.622,63.671,10.607,63.648,10.426,63.589,10.42,63.571,10.227,63.555,10.1,63.495,9.998,63.486,9.933,63.503,9.888,63.565,9.952,63.58,9.949,63.558,10.01,63.591,9.939,63.578,9.92,63.593,9.96,63.599,9.853,63.587,9.806,63.627,9.857,63.642,9.803,63.661,9.831,63.69,9.862,63.679,9.914,63.702,9.961,63.696,9.937,63.707,9.977,63.72,9.98,63.708,10.044,63.717,10.133,63.753,10.016,63.73,10.021,63.739,10.121,63.784,9.933,63.754,9.86,63.721,9.743,63.697,9.677,63.703,9.667,63.674,9.591,63.672,9.567,63.65,9.538,63.662,9.581,63.699,9.529,63.713,9.804,63.767,9.612,63.756,9.56,63.768,9.682,63.817,9.616,63.819,9.754,63.866,9.733,63.845,9.817,63.866,9.808,63.841,9.696,63.828,9.691,63.816,9.808,63.83,9.817,63.85,9.842,63.843,9.883,63.855,9.885,63.871,9.859,63.853,9.831,63.872,9.876,63.89,9.958,63.897,9.912,63.877,9.937,63.871,10.171,63.942,10.224,63.928,10.201,63.94,10.227,63.957,10.185,63.951,10.195,63.961,10.106,63.94,10.099,63.948,10.061,63.92,10.043,63.929,9.971,63.901,9.947,63.906,10.227,64.001,10.104,63.964,10.113,63.973,10.073,63.964,10.129,63.983,10.046,63.961,10.008,63.972,10.028,63.963,9.952,63.945,9.975,63.974,10.007,63.977,9.991,63.998,10.057,63.988,10.002,64.018,10.028,64.028,10.063,64.007,10.081,64.014,10.033,64.035,10.082,64.051,10.018,64.082,10.07,64.106,10.136,64.082,10.136,64.067,10.257,64.102,10.254,64.116,10.196,64.102,10.118,64.125,10.155,64.147,10.206,64.137,10.173,64.145,10.184,64.157,10.229,64.148,10.226,64.176,10.191,64.184,10.21,64.206,10.265,64.184,10.248,64.204,10.287,64.206,10.301,64.187,10.3,64.212,10.355,64.204,10.372,64.175,10.391,64.204,10.275,64.235,10.36,64.257,10.336,64.267,10.369,64.285,10.425,64.255,10.393,64.276,10.406,64.296,10.436,64.298,10.452,64.279,10.447,64.298,10.491,64.289,10.509,64.296,10.485,64.297,10.507,64.306,10.454,64.299,10.445,64.328,10.48,64.331,10.445,64.353,10.513,64.336,10.468,64.352,10.488,64.358,10.562,64.326,10.511,64.374,10.582,64.367,10.615,64.339,10.679,64.357,10.613,64.364,10.621,64.384,10.572,64.386,10.563,64.402,10.489,64.388,10.454,64.404,10.526,64.439,10.623,64.387,10.613,64.407,10.644,64.416,10.548,64.44,10.59,64.438,10.617,64.458,10.681,64.412,10.751,64.415,10.759,64.378,10.8,64.386,10.811,64.365,10.841,64.368,10.783,64.405,10.794,64.42,10.82,64.416,10.808,64.437,10.742,64.443,10.745,64.431,10.703,64.424,10.654,64.452,10.692,64.459,10.695,64.478,10.751,64.455,10.762,64.48,10.787,64.461,10.772,64.482,10.822,64.472,10.826,64.455,10.854,64.451,10.791,64.512,10.88,64.501,10.892,64.463,10.888,64.506,10.929,64.505,10.906,64.516,10.965,64.497,10.986,64.499,11.001,64.511,10.986,64.516,10.986,64.502,10.969,64.501,10.948,64.52,10.975,64.539,10.907,64.577,10.976,64.607,10.999,64.585,11.089,64.569,11.073,64.514,11.127,64.521,11.188,64.482,11.157,64.44,11.196,64.426,11.193,64.445,11.287,64.455,11.293,64.439,11.341,64.437,11.314,64.39,11.247,64.362,11.221,64.31,11.271,64.356,11.331,64.373,11.331,64.392,11.376,64.399,11.4,64.379,11.362,64.367,11.407,64.369,11.387,64.404,11.352,64.418,11.403,64.447,11.419,64.433,11.486,64.436,11.546,64.463,11.483,64.468,11.445,64.453,11.427,64.475,11.463,64.486,11.437,64.497,11.464,64.518,11.538,64.518,11.489,64.543,11.529,64.547,11.522,64.56,11.576,64.555,11.539,64.545,11.547,64.531,11.622,64.568,11.795,64.589,11.692,64.594,11.612,64.569,11.63,64.613,11.608,64.622,11.539,64.601,11.594,64.606,11.598,64.584,11.517,64.567,11.403,64.627,11.413,64.647,11.383,64.659,11.388,64.685,11.401,64.676,11.437,64.692,11.405,64.712,11.47,64.694,11.446,64.713,11.52,64.729,11.524,64.751,11.647,64.736,11.585,64.75,11.636,64.761,11.575,64.754,11.575,64.769,11.687,64.77,11.719,64.785,11.73,64.766,11.867,64.794,11.808,64.806,11.736,64.794,11.743,64.809,11.626,64.815,11.816,64.86,11.672,64.832,11.663,64.855,11.726,64.871,11.694,64.873,11.958,64.934,12.025,64.931,12.116,64.964,12.18,64.956,12.177,64.933,12.235,64.941,12.338,64.928,12.457,64.889,12.393,64.925,12.3,64.947,12.217,64.946,12.149,64.968,12.055,64.971,12.01,64.947,11.953,64.95,11.735,64.885,11.615,64.868,11.66,64.864,11.64,64.837,11.552,64.813,11.46,64.808,11.466,64.793,11.403,64.79,11.469,64.791,11.393,64.752,11.25,64.728,11.219,64.728,11.282,64.75,11.211,64.73,11.192,64.737,11.22,64.744,11.182,64.741,11.348,64.764,11.388,64.793,11.447,64.81,11.302,64.813,11.333,64.823,11.278,64.816,11.3,64.815,11.277,64.802,11.242,64.806,11.26,64.833,11.307,64.836,11.273,64.849,11.508,64.868,11.514,64.849,11.394,64.849,11.514,64.844,11.532,64.87,11.728,64.908,11.574,64.881,11.566,64.909,11.594,64.898,11.616,64.93,11.538,64.9,11.478,64.935,11.547,64.957,11.577,64.955,11.573,64.942,11.608,64.962,11.622,64.934,11.654,64.933,11.612,64.967,11.656,64.97,11.669,64.951,11.727,64.954,11.789,64.985,11.724,64.987,11.715,64.974,11.686,64.984,11.592,64.979,11.618,64.999,11.714,65.018,11.725,65.001,11.764,65.006,11.788,64.992,11.808,65.022,11.951,65.06,12.013,65.098,12.042,65.077,12.064,65.089,12.085,65.081,12.082,65.067,11.972,65.066,12.074,65.065,12.121,65.051,12.094,65.04,12.168,65.046,12.198,65.021,12.181,64.982,12.216,65.016,12.17,65.049,12.314,65.067,12.385,65.093,12.455,65.073,12.495,65.106,12.439,65.088,12.4,65.099,12.586,65.132,12.708,65.193,12.794,65.213,12.856,65.274,12.96,65.313,12.943,65.333,12.73,65.215,12.494,65.134,12.351,65.159,12.413,65.193,12.455,65.183,12.512,65.196,12.426,65.207,12.425,65.234,12.335,65.228,12.44,65.249,12.413,65.259,12.462,65.258,12.429,65.271,12.371,65.257,12.393,65.275,12.315,65.259,12.276,65.227,12.25,65.23,12.353,65.303,12.471,65.326,12.47,65.336,12.404,65.323,12.473,65.371,12.27,65.312,12.232,65.33,12.265,65.274,12.191,65.238,12.076,65.209,12.039,65.216,12.102,65.236,12.104,65.267,12.13,65.27,12.133,65.284,12.104,65.284,12.146,65.308,12.085,65.305,12.13,65.328,12.147,65.371,12.195,65.368,12.195,65.345,12.217,65.352,12.191,65.371,12.239,65.381,12.233,65.367,12.277,65.393,12.173,65.372,12.158,65.388,12.353,65.467,12.327,65.469,12.345,65.494,12.237,65.466,12.301,65.505,12.221,65.481,12.229,65.459,12.176,65.44,12.221,65.465,12.187,65.462,12.247,65.502,12.261,65.545,12.242,65.536,12.239,65.546,12.275,65.563,12.23,65.554,12.292,65.588,12.325,65.577,12.327,65.537,12.452,65.479,12.441,65.417,12.453,65.425,12.513,65.399,12.455,65.371,12.502,65.385,12.564,65.374,12.524,65.394,12.513,65.385,12.531,65.404,12.494,65.409,12.458,65.442,12.485,65.461,12.472,65.444,12.539,65.444,12.528,65.456,12.57,65.438,12.549,65.404,12.592,65.406,12.588,65.443,12.712,65.364,12.61,65.436,12.641,65.429,12.646,65.448,12.782,65.465,12.636,65.454,12.605,65.464,12.666,65.481,12.594,65.474,12.55,65.507,12.627,65.527,12.578,65.532,12.566,65.588,12.526,65.515,12.494,65.508,12.458,65.521,12.54,65.586,12.45,65.525,12.427,65.528,12.381,65.567,12.421,65.589,12.376,65.582,12.348,65.627,12.514,65.74,12.607,65.702,12.575,65.678,12.606,65.694,12.647,65.685,12.594,65.658,12.611,65.651,12.645,65.672,12.636,65.646,12.786,65.634,12.65,65.651,12.672,65.689,12.537,65.753,12.648,65.815,12.72,65.778,12.688,65.8,12.729,65.804,12.693,65.82,12.693,65.848,12.676,65.82,12.599,65.824,12.667,65.922,12.87,65.974,12.942,65.926,13.03,65.925,13.081,65.889,13.126,65.896,13.206,65.836,13.155,65.892,13.17,65.91,13.121,65.935,13.146,65.95,13.091,65.932,12.895,65.972,12.951,66.006,12.947,66.048,13.052,66.077,12.657,66.031,12.832,66.068,12.657,66.043,12.754,66.062,12.681,66.06,12.676,66.071,12.821,66.127,13.073,66.158,13.075,66.141,13.093,66.161,13.24,66.189,13.298,66.222,13.382,66.218,13.522,66.242,13.583,66.235,13.586,66.217,13.483,66.193,13.61,66.202,13.541,66.137,13.548,66.104,13.65,66.164,13.758,66.173,13.826,66.138,13.842,66.164,13.789,66.185,13.684,66.176,13.664,66.193,13.614,66.179,13.653,66.21,13.599,66.225,13.793,66.243,13.823,66.236,13.77,66.203,13.787,66.191,13.857,66.229,13.986,66.249,13.973,66.268,14.13,66.308,14.141,66.336,14.182,66.32,14.165,66.336,14.124,66.34,14.025,66.307,13.936,66.302,13.902,66.27,13.82,66.277,13.753,66.257,13.731,66.265,13.773,66.275,13.784,66.294,13.735,66.295,13.758,66.278,13.725,66.273,13.735,66.257,13.62,66.241,13.574,66.261,13.633,66.288,13.567,66.291,13.558,66.271,13.466,66.247,13.385,66.237,13.316,66.25,13.154,66.194,13.038,66.174,13.006,66.19,13.193,66.278,13.372,66.303,13.563,66.307,13.447,66.32,13.429,66.331,13.487,66.345,13.436,66.349,13.322,66.32,13.162,66.302,13.111,66.307,13.153,66.333,13.099,66.311,13,66.331,12.997,66.356,13.157,66.402,13.151,66.439,13.077,66.466,13.172,66.466,13.104,66.475,13.1,66.499,13.04,66.495,12.983,66.532,13.127,66.551,13.126,66.535,13.214,66.519,13.251,66.48,13.21,66.455,13.256,66.446,13.426,66.475,13.267,66.467,13.308,66.506,13.261,66.528,13.506,66.548,13.667,66.515,13.649,66.538,13.469,66.566,13.563,66.601,13.73,66.603,13.631,66.615,13.495,66.592,13.446,66.562,13.289,66.548,13.204,66.556,13.185,66.569,13.246,66.597,13.226,66.611,13.256,66.625,13.284,66.612,13.279,66.63,13.321,66.624,13.298,66.629,13.319,66.638,13.412,66.622,13.362,66.639,13.386,66.653,13.359,66.66,13.359,66.639,13.287,66.644,13.217,66.631,13.168,66.658,13.229,66.681,13.255,66.666,13.362,66.67,13.395,66.656,13.455,66.663,13.566,66.648,13.531,66.671,13.402,66.688,13.422,66.694,13.296,66.695,13.274,66.704,13.299,66.708,13.21,66.715,13.217,66.726,13.399,66.734,13.458,66.73,13.477,66.714,13.525,66.726,13.556,66.697,13.711,66.699,13.682,66.715,13.902,66.73,13.773,66.733,13.572,66.71,13.547,66.755,13.758,66.759,13.52,66.765,13.548,66.772,13.504,66.775,13.524,66.784,13.487,66.794,13.5,66.805,13.703,66.813,13.82,66.795,14.001,66.797,13.802,66.814,13.748,66.846,13.673,66.832,13.737,66.861,13.656,66.883,13.632,66.908,13.538,66.901,13.543,66.934,13.499,66.934,13.494,66.952,13.545,66.955,13.556,66.936,13.61,66.952,13.741,66.948,13.802,66.964,13.73,66.978,13.863,66.983,13.873,67.002,13.96,67.012,14,67.001,13.944,66.968,13.894,66.972,13.905,66.948,14.014,66.988,14.013,66.962,14.023,66.986,14.063,66.991,14.017,67.03,14.052,67.082,14.102,67.058,14.141,66.995,14.17,67.001,14.148,66.974,14.181,66.999,14.24,66.999,14.277,67.055,14.228,67.075,14.291,67.08,14.311,67.068,14.399,67.092,14.391,67.079,14.43,67.085,14.498,67.054,14.532,67.067,14.572,67.053,14.583,67.035,14.546,67.022,14.581,67.009,14.562,67.02,14.613,67.034,14.585,67.071,14.484,67.068,14.399,67.096,14.327,67.077,14.301,67.093,14.24,67.093,14.319,67.121,14.342,67.174,14.467,67.201,14.485,67.196,14.459,67.181,14.578,67.178,14.621,67.198,14.634,67.176,14.634,67.186,14.714,67.181,14.745,67.19,14.511,67.208,14.612,67.222,14.709,67.211,14.8,67.24,14.844,67.228,14.972,67.249,15.008,67.241,14.941,67.225,14.971,67.209,14.886,67.171,14.948,67.153,14.97,67.119,15.001,67.121,14.995,67.139,14.918,67.169,15.011,67.213,15.001,67.232,15.079,67.237,15.139,67.21,15.218,67.221,15.3,67.192,15.39,67.189,15.418,67.168,15.389,67.104,15.471,67.098,15.434,67.115,15.482,67.184,15.405,67.223,15.35,67.222,15.43,67.26,15.296,67.228,15.247,67.238,15.338,67.247,15.335,67.267,15.254,67.271,15.171,67.254,15.114,67.274,15.038,67.272,15.255,67.313,15.262,67.348,15.232,67.345,15.234,67.334,15.206,67.329,15.169,67.296,15.142,67.294,15.173,67.33,15.033,67.321,14.986,67.3,15.022,67.291,14.791,67.289,14.868,67.284,14.713,67.24,14.689,67.252,14.723,67.263,14.736,67.315,14.594,67.278,14.31,67.257,14.395,67.288,14.365,67.286,14.391,67.308,14.476,67.322,14.633,67.385,14.642,67.402,14.573,67.403,14.632,67.413,14.649,67.441,14.756,67.434,14.805,67.448,14.861,67.436,14.82,67.387,14.86,67.385,14.906,67.432,15.055,67.452,14.819,67.461,14.718,67.452,14.651,67.477,14.902,67.568,15.057,67.594,15.152,67.565,15.15,67.549,15.091,67.543,15,67.578,14.998,67.558,15.081,67.529,15.011,67.497,14.928,67.489,14.995,67.486,15.054,67.511,15.2,67.531,15.242,67.508,15.144,67.495,15.177,67.475,15.13,67.459,15.14,67.431,15.284,67.51,15.431,67.497,15.479,67.479,15.474,67.444,15.542,67.407,15.544,67.371,15.582,67.376,15.581,67.351,15.635,67.37,15.592,67.399,15.635,67.407,15.709,67.395,15.726,67.379,15.725,67.362,15.763,67.359,15.752,67.385,15.644,67.407,15.727,67.441,15.582,67.41,15.516,67.459,15.594,67.48,15.527,67.48,15.674,67.553,15.881,67.576,15.858,67.587,15.918,67.595,15.66,67.561,15.519,67.51,15.458,67.536,15.293,67.535,15.214,67.558,15.24,67.616,15.306,67.621,15.381,67.605,15.381,67.592,15.337,67.602,15.304,67.592,15.381,67.59,15.381,67.605,15.433,67.6,15.44,67.578,15.438,67.611,15.407,67.607,15.286,67.64,15.243,67.627,15.161,67.632,15.232,67.686,15.338,67.692,15.247,67.702,15.311,67.738,15.523,67.682,15.503,67.702,15.539,67.71,15.653,67.687,15.561,67.72,15.476,67.716,15.408,67.746,15.506,67.768,15.602,67.765,15.701,67.733,15.758,67.731,15.826,67.685,15.855,67.71,15.789,67.713,15.783,67.74,15.612,67.788,15.58,67.78,15.432,67.811,15.413,67.824,15.455,67.853,15.426,67.874,15.434,67.852,15.4,67.842,15.365,67.879,15.399,67.834,15.38,67.804,15.199,67.755,15.168,67.717,14.919,67.659,14.765,67.658,14.74,67.679,14.895,67.712,14.874,67.722,14.798,67.717,14.806,67.729,14.765,67.726,14.784,67.737,14.891,67.735,14.969,67.751,15.04,67.744,15.145,67.763,15.019,67.759,15.037,67.771,14.992,67.77,15.051,67.795,14.823,67.771,14.875,67.787,14.836,67.789,14.851,67.804,14.757,67.8,14.81,67.849,14.884,67.831,14.943,67.853,15.057,67.867,15.097,67.852,15.137,67.869,15.09,67.875,14.848,67.857,14.905,67.873,14.849,67.878,15.01,67.907,15.102,67.908,15.087,67.899,15.135,67.893,15.232,67.904,15.202,67.891,15.256,67.888,15.175,67.848,15.328,67.917,15.358,67.919,15.334,67.902,15.546,67.942,15.529,67.909,15.588,67.949,15.745,67.97,15.81,67.959,15.869,67.906,15.87,67.94,15.929,67.965,15.88,67.977,15.941,67.969,15.934,67.981,15.975,67.979,15.948,67.993,16.001,67.996,15.949,67.997,15.98,68.012,15.939,68.03,15.857,68.037,15.831,68.056,15.755,68.044,15.83,68.039,15.805,68.03,15.71,68.047,15.577,68.045,15.57,68.069,15.598,68.073,15.52,68.101,15.516,68.059,15.398,68.038,15.442,68.02,15.407,67.995,15.369,68.006,15.383,68.022,15.304,68.019,15.278,68.061,15.347,68.065,15.313,68.081,15.359,68.108,15.41,68.09,15.376,68.111,15.424,68.125,15.404,68.144,15.504,68.162,15.488,68.151,15.525,68.139,15.481,68.127,15.524,68.108,15.53,68.134,15.563,68.121,15.582,68.149,15.629,68.141,15.634,68.178,15.592,68.182,15.626,68.189,15.668,68.187,15.646,68.177,15.691,68.161,15.689,68.173,15.719,68.171,15.725,68.15,15.685,68.147,15.728,68.119,15.705,68.105,15.599,68.112,15.655,68.085,15.608,68.074,15.629,68.059,15.658,68.06,15.666,68.089,15.744,68.088,15.751,68.109,15.805,68.097,15.807,68.118,15.845,68.112,15.897,68.134,15.879,68.151,15.943,68.152,15.872,68.161,15.853,68.201,15.959,68.204,15.929,68.26,16.002,68.266,16.065,68.255,16.054,68.225,16.122,68.206,16.02,68.189,16.093,68.179,16.113,68.2,16.141,68.187,16.115,68.086,16.062,68.047,16.162,68.025,16.221,67.973,16.203,67.899,16.269,67.894,16.46,67.82,16.517,67.816,16.437,67.838,16.465,67.86,16.238,67.903,16.283,67.986,16.19,68.022,16.233,68.025,16.236,68.039,16.285,68.027,16.305,67.994,16.459,67.915,16.442,67.935,16.474,67.953,16.393,67.953,16.316,68.027,16.379,68.017,16.405,68.025,16.46,67.969,16.525,67.966,16.534,67.977,16.473,67.977,16.458,68.003,16.512,68.027,16.354,68.043,16.454,68.122,16.555,68.081,16.64,68.081,16.654,68.063,16.69,68.074,16.646,68.085,16.739,68.087,16.566,68.096,16.488,68.134,16.43,68.125,16.368,68.091,16.328,68.098,16.252,68.145,16.338,68.141,16.369,68.172,16.419,68.14,16.385,68.179,16.48,68.166,16.476,68.189,16.386,68.207,16.555,68.176,16.607,68.185,16.478,68.204,16.477,68.243,16.446,68.224,16.196,68.211,16.184,68.233,16.365,68.247,16.342,68.272,16.277,68.259,16.263,68.272,16.144,68.285,16.169,68.322,16.242,68.333,16.267,68.31,16.295,68.322,16.346,68.299,16.381,68.298,16.358,68.315,16.452,68.298,16.457,68.288,16.404,68.291,16.509,68.282,16.605,68.239,16.604,68.202,16.729,68.159,16.819,68.155,16.637,68.215,16.647,68.231,16.601,68.25,16.641,68.286,16.392,68.313,16.345,68.323,16.393,68.328,16.348,68.339,16.298,68.328,16.277,68.339,16.332,68.352,16.308,68.366,16.281,68.348,16.275,68.374,16.403,68.379,16.481,68.408,16.574,68.41,16.598,68.423,16.669,68.405,16.739,68.423,16.786,68.414,16.773,68.402,16.897,68.387,16.903,68.368,16.84,68.339,17.028,68.356,17.044,68.384,17.189,68.391,17.236,68.371,17.24,68.313,17.337,68.28,17.322,68.192,17.365,68.209,17.335,68.224,17.358,68.259,17.389,68.249,17.407,68.26,17.354,68.297,17.263,68.32,17.248,68.395,17.304,68.403,17.297,68.42,17.384,68.422,17.425,68.403,17.576,68.373,17.596,68.38,17.417,68.411,17.426,68.428,17.38,68.433,17.395,68.445,17.541,68.455,17.71,68.441,17.802,68.409,17.901,68.414,17.794,68.421,17.633,68.475,17.545,68.48,17.471,68.467,17.566,68.52,17.544,68.551,17.251,68.464,17.049,68.45,17.013,68.455,17.026,68.466,17.104,68.486,16.996,68.526,16.938,68.515,16.873,68.469,16.51,68.445,16.531,68.482,16.451,68.507,16.473,68.523,16.462,68.542,16.534,68.562,16.624,68.535,16.651,68.568,16.625,68.562,16.557,68.583,16.591,68.632,16.715,68.649,16.722,68.669,16.799,68.686,16.899,68.683,16.965,68.714,17.043,68.716,17.06,68.679,17.115,68.675,17.116,68.653,17.168,68.644,17.271,68.657,17.116,68.671,17.114,68.711,17.265,68.736,17.405,68.728,17.443,68.684,17.584,68.686,17.687,68.669,17.611,68.692,17.48,68.7,17.425,68.744,17.322,68.736,17.252,68.762,17.465,68.82,17.627,68.783,17.739,68.776,17.805,68.749,17.763,68.79,17.651,68.796,17.475,68.831,17.611,68.887,17.702,68.901,17.728,68.89,17.687,68.88,17.858,68.866,17.777,68.905,17.713,68.909,17.716,68.934,17.46,68.893,17.47,68.952,17.567,68.964,17.545,68.984,17.49,68.98,17.475,68.993,17.696,69.086,17.648,69.098,17.601,69.089,17.646,69.109,17.789,69.116,17.986,69.153,18.06,69.147,18.053,69.132,18.147,69.145,18.204,69.121,18.156,69.158,18.116,69.169,18.083,69.158,18.051,69.182,18.086,69.231,17.969,69.229,18.001,69.256,17.984,69.308,18.104,69.344,18.097,69.381,18.178,69.39,18.152,69.467,18.197,69.46,18.271,69.484,18.371,69.456,18.349,69.383,18.271,69.351,18.198,69.272,18.27,69.302,18.289,69.353,18.395,69.396,18.5,69.367,18.476,69.216,18.539,69.276,18.529,69.333,18.562,69.358,18.57,69.318,18.698,69.272,18.689,69.253,18.716,69.281,18.64,69.313,18.677,69.323,18.872,69.327,18.897,69.317,18.856,69.305,19.008,69.286,18.934,69.328,18.821,69.332,18.641,69.368,18.549,69.427,18.451,69.442,18.482,69.477,18.445,69.511,18.775,69.543,18.828,69.563,18.871,69.524,18.835,69.495,18.853,69.478,18.892,69.491,18.909,69.45,18.997,69.422,18.988,69.39,19.109,69.346,19.294,69.345,19.331,69.329,19.338,69.297,19.231,69.235,19.278,69.221,19.359,69.238,19.547,69.214,19.418,69.254,19.372,69.376,19.118,69.375,19.056,69.433,18.967,69.459,18.997,69.51,19.077,69.547,19.165,69.554,19.249,69.519,19.179,69.572,19.05,69.553,19.008,69.529,18.943,69.56,18.944,69.627,19.069,69.686,19.13,69.748,19.169,69.742,19.274,69.779,19.386,69.776,19.659,69.816,19.733,69.805,19.668,69.756,19.701,69.736,19.656,69.67,19.59,69.659,19.636,69.655,19.645,69.667,19.739,69.642,19.639,69.54,19.636,69.501,19.673,69.484,19.508,69.403,19.438,69.39,19.508,69.395,19.607,69.434,19.645,69.41,19.651,69.448,19.733,69.487,19.701,69.507,19.758,69.587,19.73,69.608,19.788,69.613,19.985,69.582,20.145,69.582,19.997,69.59,19.84,69.619,19.772,69.69,19.846,69.731,19.85,69.772,19.901,69.782,19.994,69.847,19.955,69.772,19.986,69.769,20.137,69.94,20.157,69.945,20.151,69.896,20.204,69.857,20.17,69.89,20.199,69.94,20.262,69.976,20.329,69.96,20.393,69.878,20.249,69.682,20.35,69.639,20.349,69.616,20.309,69.585,20.221,69.575,20.226,69.548,20.28,69.549,20.222,69.527,20.208,69.496,20.255,69.495,20.243,69.474,20.199,69.453,20.18,69.482,20.148,69.403,19.969,69.344,19.901,69.274,19.921,69.263,20.065,69.351,20.186,69.387,20.265,69.388,20.255,69.417,20.321,69.458,20.418,69.592,20.514,69.573,20.537,69.545,20.582,69.547,20.638,69.517,20.818,69.496,20.768,69.523,20.662,69.531,20.482,69.614,20.458,69.643,20.527,69.709,20.459,69.762,20.709,69.793,20.782,69.827,20.767,69.883,21.056,69.961,21.071,69.942,20.964,69.918,20.843,69.854,20.942,69.852,20.903,69.821,20.965,69.781,21.018,69.779,21.011,69.793,21.05,69.793,20.988,69.817,21.058,69.839,21.033,69.874,21.191,69.88,21.136,69.803,21.224,69.85,21.196,69.904,21.308,69.899,21.325,69.909,21.184,69.935,21.239,70.009,21.332,70.021,21.438,70.014,21.567,69.951,21.577,69.914,21.881,69.843,21.933,69.777,22.032,69.771,22.007,69.764,22.057,69.739,21.962,69.736,22.059,69.722,22.133,69.742,22.03,69.767,22.091,69.777,21.977,69.821,21.947,69.814,21.888,69.837,21.895,69.85,21.95,69.838,22.027,69.848,21.906,69.876,21.863,69.936,21.923,69.952,21.877,69.983,21.968,69.993,22.012,69.98,21.978,69.946,22.041,69.935,22.007,70.013,22.091,70.029,21.864,70.01,21.777,70.035,21.863,70.062,21.99,70.071,22.07,70.128,21.945,70.077,21.841,70.073,21.811,70.089,21.816,70.066,21.727,70.052,21.59,70.084,21.582,70.111,21.556,70.091,21.455,70.099,21.403,70.146,21.476,70.175,21.327,70.155,21.253,70.174,21.215,70.208,21.189,70.199,21.18,70.23,21.203,70.224,21.288,70.256,21.335,70.251,21.414,70.274,21.424,70.223,21.491,70.194,21.471,70.298,21.513,70.318,21.567,70.324,21.565,70.287,21.722,70.235,21.715,70.216,21.762,70.218,21.859,70.14,21.812,70.205,21.871,70.216,21.762,70.241,21.954,70.33,22.013,70.317,21.952,70.277,22.059,70.314,22.095,70.303,22.078,70.231,22.149,70.288,22.296,70.279,22.271,70.23,22.225,70.218,22.272,70.223,22.222,70.127,22.27,70.135,22.336,70.125,22.34,70.14,22.403,70.14,22.539,70.113,22.432,70.152,22.291,70.162,22.357,70.261,22.511,70.244,22.519,70.224,22.555,70.233,22.614,70.223,22.583,70.203,22.683,70.22,22.961,70.197,22.94,70.159,22.905,70.163,22.871,70.131,22.8,70.117,22.841,70.112,22.593,70.077,22.444,70.081,22.271,70.039,22.291,70.023,22.396,70.056,22.84,70.098,23.005,70.143,22.999,70.058,22.953,70.042,23.025,70.016,23.074,70.033,23.099,69.978,23.143,69.975,23.142,69.96,23.054,69.948,22.998,69.919,23.097,69.947,23.115,69.92,23.264,69.99,23.3,69.993,23.321,69.976,23.388,69.983,23.401,69.965,23.474,69.981,23.529,70.016,23.504,70.025,23.335,70.024,23.132,70.085,23.381,70.11,23.266,70.174,23.371,70.181,23.242,70.189,23.179,70.216,23.503,70.239,23.246,70.248,23.359,70.268,23.409,70.262,23.378,70.281,23.596,70.292,23.476,70.302,23.503,70.326,23.432,70.312,23.446,70.332,23.634,70.41,23.794,70.442,23.773,70.465,23.855,70.495,24.046,70.512,24.1,70.494,24.271,70.478,24.312,70.448,24.306,70.481,24.248,70.51,24.091,70.54,24.138,70.566,24.194,70.554,24.146,70.567,24.198,70.602,24.234,70.599,24.241,70.659,24.282,70.66,24.297,70.686,24.362,70.697,24.35,70.683,24.461,70.683,24.617,70.613,24.693,70.628,24.592,70.687,24.673,70.694,24.584,70.714,24.543,70.708,24.569,70.717,24.508,70.729,24.536,70.749,24.35,70.751,24.372,70.762,24.242,70.779,24.274,70.813,24.242,70.84,24.305,70.86,24.346,70.85,24.312,70.864,24.351,70.878,24.399,70.864,24.389,70.847,24.43,70.848,24.434,70.823,24.592,70.784,24.624,70.794,24.622,70.817,24.567,70.825,24.594,70.831,24.559,70.868,24.709,70.871,24.549,70.901,24.618,70.919,24.546,70.925,24.541,70.952,24.651,70.961,24.535,70.969,24.633,70.994,24.695,70.991,24.673,70.963,24.775,70.99,24.759,70.965,24.86,70.924,24.811,70.915,24.9,70.931,24.952,70.92,24.91,70.934,24.955,70.974,25.012,70.973,25.03,70.93,24.885,70.875,25.029,70.867,25.02,70.888,25.115,70.93,25.229,70.872,25.232,70.797,25.286,70.826,25.339,70.81,25.363,70.854,25.318,70.865,25.364,70.86,25.395,70.887,25.309,70.941,25.328,70.98,25.433,70.962,25.547,70.914,25.386,70.859,25.446,70.86,25.44,70.847,25.615,70.908,25.709,70.907,25.73,70.862,25.75,70.889,25.826,70.902,25.895,70.898,25.83,70.868,25.911,70.876,25.84,70.844,25.796,70.853,25.835,70.836,25.776,70.827,25.741,70.785,25.619,70.774,25.596,70.75,25.619,70.742,25.664,70.754,25.668,70.743,25.695,70.76,25.685,70.731,25.639,70.74,25.467,70.675,25.395,70.671,25.313,70.603,25.045,70.502,25.222,70.528,25.209,70.498,25.058,70.488,25.081,70.471,25.213,70.481,25.278,70.466,25.228,70.462,25.165,70.422,25.245,70.411,25.241,70.392,25.172,70.39,25.183,70.407,25.147,70.403,25.039,70.353,25.124,70.363,25.05,70.318,25.175,70.33,25.174,70.294,25.115,70.292,25.075,70.26,24.936,70.231,24.918,70.201,24.96,70.173,24.916,70.15,24.914,70.087,24.969,70.079,24.969,70.088,24.989,70.055,25.03,70.061,25.038,70.083,24.979,70.1,24.982,70.126,25.084,70.163,25.062,70.119,25.116,70.14,25.153,70.132,25.058,70.113,25.087,70.078,25.154,70.066,25.221,70.089,25.304,70.199,25.321,70.186,25.402,70.222,25.402,70.25,25.504,70.283,25.511,70.31,25.383,70.327,25.436,70.343,25.439,70.366,25.502,70.401,25.529,70.388,25.555,70.396,25.534,70.406,25.672,70.495,25.981,70.607,26.043,70.723,26.076,70.731,26.107,70.719,26.131,70.767,26.225,70.789,26.565,70.954,26.705,70.966,26.731,70.906,26.656,70.832,26.728,70.842,26.734,70.824,26.672,70.778,26.681,70.746,26.33,70.654,26.515,70.671,26.587,70.655,26.561,70.674,26.627,70.688,26.587,70.666,26.64,70.646,26.614,70.553,26.546,70.513,26.586,70.481,26.513,70.437,26.534,70.395,26.478,70.368,26.51,70.348,26.57,70.388,26.631,70.382,26.63,70.401,26.582,70.402,26.625,70.432,26.691,70.412,26.734,70.42,26.775,70.468,26.745,70.489,26.802,70.481,26.819,70.496,26.88,70.477,26.936,70.487,26.914,70.465,26.959,70.455,27.033,70.484,27.097,70.467,26.95,70.547,27.014,70.556,27.007,70.57,26.943,70.577,27.048,70.623,27.057,70.611,27.281,70.588,27.077,70.645,27.12,70.673,27.165,70.665,27.094,70.688,27.206,70.666,27.066,70.705,27.111,70.756,27.261,70.751,27.3,70.728,27.33,70.737,27.356,70.755,27.27,70.765,27.286,70.833,27.381,70.833,27.506,70.807,27.718,70.8,27.456,70.839,27.532,70.864,27.461,70.873,27.475,70.887,27.371,70.88,27.419,70.925,27.321,70.891,27.115,70.917,27.144,70.982,27.356,70.946,27.2,71.014,27.214,71.028,27.282,71.045,27.375,71.015,27.43,71.024,27.508,71.012,27.545,70.955,27.574,71.013,27.487,71.063,27.561,71.106,27.642,71.099,27.638,71.132,27.754,71.111,27.684,71.06,27.723,71.066,27.715,71.049,27.746,71.05,27.803,71.073,27.784,71.041,27.808,71.047,27.836,71.028,27.837,71.045,27.87,71.052,27.888,71.038,27.963,71.084,27.98,71.055,28.066,71.087,28.067,71.047,28.188,71.096,28.27,71.063,28.255,71.043,28.167,71.034,28.211,71.024,28.17,70.982,28.225,71.004,28.179,70.959,28.226,70.98,28.273,70.974,28.304,71.006,28.301,70.996,28.391,71.004,28.513,70.991,28.541,70.956,28.474,70.891,28.341,70.89,28.458,70.876,28.407,70.852,28.326,70.853,28.37,70.841,28.35,70.826,28.217,70.843,28.312,70.813,28.239,70.791,28.107,70.794,28.102,70.807,28.073,70.79,28.022,70.797,28.019,70.825,27.934,70.796,27.733,70.801,27.834,70.783,27.761,70.745,27.92,70.775,28.025,70.763,28.001,70.742,28.057,70.759,28.143,70.735,28.018,70.695,27.861,70.675,27.877,70.655,27.637,70.621,27.902,70.637,28.264,70.72,28.301,70.698,28.284,70.649,28.202,70.595,27.815,70.488,27.857,70.485,27.824,70.446,27.857,70.437,27.891,70.48,27.951,70.5,27.998,70.505,27.911,70.459,27.978,70.494,27.994,70.48,28.168,70.512,28.183,70.494,28.032,70.452,28.044,70.422,28.09,70.458,28.125,70.432,28.194,70.466,28.145,70.479,28.249,70.512,28.301,70.503,28.371,70.515,28.339,70.486,28.433,70.478,28.403,70.489,28.455,70.512,28.446,70.463,28.505,70.454,28.486,70.471,28.547,70.506,28.466,70.51,28.393,70.543,28.471,70.599,28.506,70.685,28.631,70.679,28.559,70.694,28.516,70.729,28.668,70.781,28.674,70.812,28.753,70.856,28.832,70.878,28.967,70.885,28.983,70.869,29.085,70.874,29.092,70.851,29.114,70.861,29.137,70.85,29.237,70.853,29.274,70.827,29.25,70.799,29.395,70.785,29.253,70.74,29.268,70.726,29.422,70.732,29.286,70.711,29.378,70.698,29.248,70.672,29.3,70.665,29.247,70.655,29.303,70.656,29.385,70.699,29.413,70.69,29.71,70.736,29.785,70.732,29.791,70.658,29.686,70.614,29.827,70.639,29.944,70.704,30.081,70.708,30.213,70.676,30.108,70.649,30.246,70.642,30.335,70.609,30.21,70.553,30.081,70.55,30.147,70.532,30.051,70.529,30.016,70.541,30.011,70.532,30.136,70.505,30.382,70.552,30.563,70.54,30.62,70.551,30.618,70.522,30.553,70.503,30.575,70.503,30.578,70.511,30.746,70.467,30.725,70.43,30.794,70.421,30.927,70.45,31.031,70.396,31.058,70.285,30.982,70.285,30.847,70.259,30.745,70.26,30.708,70.245,30.524,70.242,30.48,70.207,30.369,70.199,30.335,70.184,30.363,70.138,30.1,70.089,30.168,70.069,30.081,70.079,29.83,70.061,29.115,70.131,29.018,70.123,28.711,70.176,28.561,70.172,28.586,70.159,28.761,70.161,28.578,70.112,28.671,70.095,28.794,70.109,28.851,70.091,28.737,70.097,28.77,70.078,28.911,70.076,29.069,70.053,29.109,70.06,29.106,70.045,29.181,70.035,29.124,70.01,29.279,70.011,29.328,70.028,29.377,70.006,29.646,69.977,29.64,69.951,29.43,69.9,29.417,69.871,29.347,69.874,29.352,69.862,29.42,69.858,29.533,69.918,29.578,69.917,29.574,69.899,29.607,69.916,29.686,69.899,29.713,69.913,29.763,69.881,29.738,69.853,29.779,69.83,29.73,69.825,29.761,69.815,29.699,69.777,29.62,69.766,29.658,69.751,29.616,69.751,29.576,69.699,29.394,69.701,29.573,69.697,29.489,69.659,29.67,69.737,29.776,69.748,29.882,69.73,29.952,69.767,30.055,69.782,30.077,69.769,30.026,69.753,30.036,69.738,29.928,69.7,29.896,69.704,29.952,69.59,29.916,69.693,30.033,69.729,30.088,69.729,30.138,69.648,30.098,69.757,30.199,69.779,30.129,69.853,30.173,69.881,30.266,69.881,30.335,69.864,30.195,69.828,30.368,69.846,30.414,69.77,30.375,69.764,30.412,69.749,30.423,69.69,30.306,69.672,30.443,69.677,30.441,69.707,30.463,69.688,30.439,69.819,30.508,69.824,30.532,69.815,30.503,69.808,30.559,69.815,30.602,69.804,30.579,69.819,30.672,69.812,30.667,69.792,30.689,69.807,30.735,69.802,30.685,69.785,30.692,69.762,30.801,69.794,30.85,69.775,30.896,69.791,30.883,69.779,30.933,69.77,30.935,69.783,30.984,69.784,31.049,69.758,31.043,69.771,31.193,69.746,31.224,69.705,31.202,69.741,31.256,69.744,31.438,69.694,31.409,69.65,31.359,69.645,31.372,69.623,31.256,69.588,31.267,69.569,31.283,69.588,31.311,69.581,31.383,69.61,31.387,69.639,31.407,69.628,31.439,69.637,31.477,69.679,31.553,69.647,31.553,69.657,31.536,69.657,31.511,69.676,31.511,69.686,31.527,69.671,31.538,69.68,31.629,69.678,31.819,69.648,31.687,69.706,31.719,69.799,31.775,69.832,31.96,69.793,32,69.772,32,69.837,31.937,69.853,31.981,69.866,31.963,69.892,31.889,69.904,31.899,69.941,31.942,69.954,31.987,69.946,31.983,69.922,32,69.927,32,69.631,31.953,69.628,32,69.609,32,69.546,31.992,69.54,32,69.543,32,67.122,31.917,67.145,31.87,67.139,31.904,67.119,31.86,67.119,31.904,67.117,31.938,67.133,31.968,67.117,31.929,67.108,32,67.111,32,54,8.85,54,8.835,54.024,8.802,54.024,8.88,54.046,8.978,54.041,8.985,54.063,8.958,54.064,8.985,54.085,8.927,54.132,8.858,54.119,8.809,54.172,8.841,54.256,8.899,54.258,8.943,54.286,8.95,54.317,8.895,54.291,8.888,54.272,8.843,54.267,8.826,54.291,8.781,54.281,8.74,54.294,8.684,54.278,8.687,54.267,8.65,54.272,8.665,54.263,8.643,54.272,8.603,54.311,8.623,54.279,8.584,54.296,8.589,54.337,8.607,54.36,8.613,54.338,8.689,54.357,8.689,54.372,8.639,54.369,8.647,54.393,8.871,54.405,8.964,54.457,9.025,54.473,9.004,54.479,9.016,54.488,8.986,54.523,8.92,54.466,8.807,54.471,8.806,54.499,8.875,54.535,8.965,54.536,8.965,54.547,8.93,54.547,8.888,54.572,8.874,54.613,8.814,54.597,8.848,54.616,8.827,54.646,8.79,54.664,8.806,54.674,8.752,54.681,8.765,54.699,8.687,54.731,8.707,54.747,8.606,54.842,8.601,54.881,8.512,54.883,8.412,54.847,8.364,54.876,8.306,54.884,8.298,54.746,8.278,54.753,8.296,54.907,8.399,55.054,8.464,55.046,8.395,55.046,8.441,55.017,8.38,54.997,8.353,54.968,8.376,54.894,8.49,54.877,8.595,54.886,8.638,54.903,8.657,54.896,8.668,54.952,8.634,55.04,8.686,55.144,8.557,55.15,8.551,55.101,8.572,55.087,8.51,55.06,8.463,55.096,8.486,55.095,8.465,55.101,8.506,55.207,8.591,55.19,8.56,55.153,8.616,55.147,8.687,55.154,8.69,55.161,8.656,55.224,8.663,55.265,8.643,55.27,8.676,55.34,8.613,55.437,8.547,55.456,8.481,55.447,8.433,55.459,8.294,55.566,8.316,55.582,8.294,55.594,8.268,55.595,8.237,55.567,8.27,55.534,8.255,55.524,8.306,55.496,8.294,55.476,8.188,55.529,8.074,55.561,8.164,55.72,8.183,55.801,8.116,55.999,8.172,55.95,8.167,55.907,8.197,55.864,8.174,55.844,8.184,55.819,8.209,55.897,8.276,55.875,8.271,55.842,8.384,55.906,8.373,55.955,8.315,55.992,8.299,56.061,8.127,56.118,8.149,56.102,8.124,56.038,8.144,56.008,8.109,55.998,8.106,56.108,8.13,56.222,8.13,56.2,8.148,56.219,8.13,56.224,8.114,56.371,8.138,56.366,8.131,56.328,8.166,56.337,8.169,56.323,8.238,56.322,8.247,56.288,8.293,56.315,8.187,56.379,8.163,56.435,8.132,56.439,8.121,56.414,8.115,56.514,8.157,56.559,8.131,56.575,8.156,56.632,8.231,56.626,8.218,56.608,8.3,56.595,8.279,56.584,8.304,56.55,8.307,56.571,8.388,56.579,8.516,56.541,8.566,56.581,8.574,56.543,8.615,56.517,8.538,56.511,8.569,56.495,8.589,56.507,8.584,56.496,8.611,56.5,8.648,56.467,8.731,56.478,8.735,56.531,8.762,56.554,8.709,56.579,8.691,56.606,8.716,56.608,8.675,56.61,8.678,56.623,8.731,56.625,8.773,56.654,8.789,56.645,8.775,56.656,8.813,56.694,8.918,56.698,8.884,56.717,8.876,56.705,8.827,56.705,8.863,56.765,8.921,56.783,8.921,56.765,8.941,56.777,8.925,56.785,8.962,56.802,9.033,56.784,9.025,56.8,9.067,56.803,9.113,56.787,9.131,56.741,9.185,56.705,9.143,56.697,9.095,56.666,9.105,56.644,9.055,56.628,9.053,56.555,9.095,56.57,9.096,56.603,9.152,56.61,9.112,56.62,9.152,56.655,9.168,56.622,9.285,56.622,9.29,56.602,9.245,56.574,9.308,56.534,9.3,56.521,9.335,56.541,9.37,56.536,9.376,56.566,9.309,56.552,9.288,56.56,9.325,56.656,9.307,56.692,9.275,56.698,9.18,56.665,9.16,56.677,9.243,56.742,9.236,56.76,9.186,56.766,9.169,56.806,9.211,56.85,9.164,56.892,9.198,56.936,9.276,56.972,9.296,56.999,9.489,57.016,9.584,56.988,9.576,56.961,9.537,56.956,9.568,56.925,9.577,56.962,9.618,56.968,9.689,57.038,9.777,57.052,9.844,57.04,9.894,57.06,9.942,57.048,9.971,57.065,9.979,57.041,9.978,57.07,10.011,57.079,10.192,56.987,10.308,56.984,10.262,56.894,10.276,56.801,10.333,56.709,10.224,56.72,10.183,56.703,10.144,56.721,10.082,56.694,10.025,56.695,9.949,56.667,9.958,56.658,9.932,56.665,9.935,56.654,9.8,56.638,9.983,56.653,10.05,56.691,10.087,56.683,10.119,56.713,10.164,56.706,10.205,56.682,10.252,56.698,10.339,56.701,10.363,56.662,10.343,56.623,10.293,56.607,10.22,56.553,10.21,56.474,10.041,56.457,10.131,56.456,10.22,56.475,10.294,56.469,10.218,56.481,10.231,56.545,10.303,56.591,10.303,56.607,10.343,56.595,10.361,56.561,10.427,56.525,10.534,56.513,10.796,56.538,10.839,56.53,10.876,56.488,10.95,56.456,10.914,56.343,10.863,56.3,10.805,56.292,10.839,56.291,10.813,56.258,10.744,56.226,10.714,56.142,10.687,56.142,10.692,56.154,10.66,56.155,10.64,56.174,10.675,56.2,10.666,56.221,10.606,56.228,10.54,56.178,10.557,56.114,10.513,56.095,10.481,56.14,10.518,56.145,10.524,56.171,10.451,56.182,10.394,56.162,10.347,56.192,10.427,56.221,10.435,56.201,10.481,56.207,10.468,56.228,10.447,56.228,10.506,56.261,10.504,56.276,10.466,56.274,10.453,56.295,10.383,56.29,10.338,56.235,10.216,56.162,10.232,56.166,10.219,56.142,10.245,56.158,10.255,56.15,10.209,56.136,10.271,56.041,10.267,56.024,10.214,56.01,10.282,56.02,10.253,55.991,10.261,55.912,10.192,55.886,10.193,55.836,10.11,55.883,9.97,55.88,9.966,55.859,9.893,55.869,9.858,55.859,10,55.825,10.024,55.844,10.014,55.817,10.053,55.822,10.066,55.808,10.016,55.768,10.082,55.746,10.001,55.728,10.03,55.697,9.915,55.692,9.819,55.669,9.746,55.681,9.681,55.711,9.543,55.707,9.587,55.69,9.667,55.695,9.738,55.658,9.756,55.624,9.86,55.625,9.794,55.594,9.768,55.556,9.728,55.554,9.741,55.519,9.673,55.528,9.608,55.51,9.57,55.528,9.589,55.517,9.557,55.515,9.586,55.497,9.482,55.49,9.586,55.486,9.626,55.499,9.693,55.462,9.597,55.426,9.618,55.376,9.566,55.354,9.623,55.357,9.65,55.327,9.62,55.31,9.643,55.312,9.672,55.285,9.637,55.294,9.566,55.252,9.494,55.247,9.568,55.247,9.635,55.285,9.719,55.251,9.693,55.195,9.629,55.174,9.629,55.19,9.591,55.194,9.498,55.156,9.52,55.128,9.475,55.132,9.457,55.114,9.52,55.109,9.55,55.075,9.503,55.045,9.427,55.047,9.422,55.032,9.494,55.015,9.576,55.044,9.6,55.039,9.63,55.01,9.738,54.987,9.755,54.929,9.782,54.911,9.757,54.897,9.703,54.9,9.758,54.862,9.753,54.84,9.727,54.835,9.706,54.852,9.638,54.862,9.657,54.881,9.598,54.906,9.675,54.913,9.622,54.935,9.566,54.879,9.526,54.878,9.488,54.849,9.42,54.832,9.436,54.788,9.466,54.823,9.498,54.823,9.614,54.876,9.59,54.851,9.605,54.831,9.792,54.798,9.841,54.757,9.906,54.763,9.909,54.8,9.957,54.78,10.014,54.702,9.976,54.674,10.032,54.648,10.029,54.606,10.003,54.598,10.027,54.598,10.027,54.551,9.962,54.501,9.863,54.47,9.833,54.473,9.867,54.448,10.125,54.485,10.199,54.456,10.169,54.434,10.194,54.391,10.143,54.369,10.157,54.337,10.132,54.311,10.166,54.331,10.186,54.327,10.167,54.335,10.178,54.361,10.226,54.414,10.283,54.414,10.303,54.433,10.388,54.426,10.459,54.393,10.634,54.35,10.618,54.317,10.635,54.306,10.653,54.317,10.635,54.349,10.679,54.309,10.811,54.308,10.8,54.317,10.931,54.382,11.022,54.38,10.942,54.368,11.024,54.368,11.109,54.397,11.128,54.39,11.078,54.345,11.07,54.358,11.058,54.353,11.076,54.347,11.093,54.198,10.866,54.085,10.814,54.094,10.811,54.12,10.812,54.097,10.753,54.035,10.783,54,11.022,54,11.18,54.015,11.197,54,11.501,54,11.534,54.019,11.518,54.03,11.565,54.029,11.627,54.09,11.607,54.104,11.532,54.049,11.525,54.07,11.684,54.153,11.852,54.145,12.085,54.185,12.085,54.117,12.107,54.117,12.093,54.161,12.149,54.162,12.129,54.176,12.092,54.169,12.095,54.182,12.119,54.182,12.191,54.24,12.338,54.298,12.513,54.484,12.561,54.454,12.676,54.442,12.918,54.445,12.926,54.427,12.875,54.414,12.832,54.423,12.802,54.409,12.694,54.432,12.67,54.422,12.665,54.408,12.645,54.427,12.593,54.45,12.645,54.425,12.612,54.423,12.618,54.407,12.577,54.404,12.592,54.384,12.436,54.379,12.416,54.335,12.385,54.341,12.396,54.324,12.358,54.302,12.383,54.278,12.363,54.267,12.418,54.246,12.467,54.252,12.418,54.259,12.417,54.289,12.479,54.304,12.473,54.33,12.536,54.339,12.554,54.38,12.582,54.374,12.586,54.356,12.597,54.372,12.671,54.391,12.658,54.404,12.707,54.412,12.676,54.371,12.7,54.399,12.737,54.37,12.744,54.384,12.768,54.371,12.786,54.397,12.81,54.343,12.881,54.366,12.919,54.412,13.028,54.437,13.023,54.398,13.094,54.366,13.075,54.345,13.082,54.317,13.112,54.306,13.103,54.283,13.132,54.269,13.177,54.272,13.143,54.253,13.186,54.266,13.216,54.241,13.29,54.235,13.347,54.181,13.316,54.16,13.378,54.177,13.406,54.169,13.407,54.162,13.38,54.152,13.383,54.143,13.411,54.156,13.464,54.088,13.502,54.085,13.476,54.116,13.492,54.125,13.621,54.139,13.644,54.155,13.659,54.145,13.645,54.156,13.697,54.172,13.718,54.163,13.697,54.149,13.75,54.14,13.752,54.122,13.77,54.117,13.769,54.126,13.799,54.104,13.785,54.051,13.744,54.029,13.79,54,14.047,54,14.029,54.018,14.004,54.011,13.974,54.065,13.91,54.064,13.924,54.036,13.862,54,13.88,54.04,13.857,54.049,13.802,54.019,13.77,54.019,13.814,54.108,13.756,54.136,13.759,54.168,13.812,54.173,13.873,54.101,14.016,54.054,14.103,54,14.639,54,15.102,54.102,15.117,54.08,15.117,54.105,15.285,54.148,15.337,54.153,15.337,54.137,15.425,54.137,15.425,54.123,15.425,54.141,15.347,54.155,15.49,54.167,15.549,54.191,15.611,54.188,15.85,54.241,16.05,54.264,16.172,54.256,16.172,54.277,16.216,54.277,16.216,54.301,16.175,54.301,16.231,54.332,16.234,54.317,16.26,54.317,16.291,54.342,16.328,54.342,16.306,54.38,16.417,54.471,16.436,54.461,16.479,54.47,16.479,54.487,16.436,54.49,16.529,54.54,16.62,54.561,16.768,54.57,16.906,54.596,17.046,54.668,17.183,54.708,17.183,54.69,17.2,54.699,17.185,54.709,17.252,54.733,17.974,54.831,18.332,54.834,18.68,54.703,18.826,54.622,18.813,54.593,18.698,54.689,18.422,54.788,18.394,54.73,18.472,54.695,18.469,54.634,18.516,54.642,18.515,54.609,18.568,54.549,18.502,54.545,18.545,54.53,18.577,54.441,18.638,54.409,18.684,54.405,18.663,54.393,18.709,54.399,18.728,54.377,18.781,54.371,18.785,54.355,18.787,54.37,18.879,54.348,18.94,54.358,18.94,54.335,18.96,54.342,18.945,54.355,18.99,54.345,19.234,54.355,19.504,54.404,19.681,54.484,19.849,54.607,19.877,54.636,19.866,54.647,19.887,54.633,19.882,54.61,19.772,54.54,19.735,54.496,19.615,54.435,19.366,54.354,19.225,54.335,19.266,54.306,19.248,54.263,19.29,54.279,19.379,54.265,19.405,54.283,19.383,54.241,19.358,54.234,19.374,54.22,19.398,54.264,19.495,54.319,19.512,54.312,19.551,54.336,19.646,54.345,19.746,54.413,19.747,54.431,19.795,54.437,19.831,54.469,19.937,54.496,19.985,54.574,20.021,54.575,20.056,54.55,20.092,54.555,20.159,54.597,20.263,54.62,20.323,54.661,20.358,54.651,20.413,54.669,20.398,54.699,20.391,54.674,20.382,54.697,20.314,54.68,20.303,54.692,20.174,54.695,20.082,54.652,20.043,54.724,19.996,54.727,19.947,54.703,19.941,54.655,19.964,54.64,19.903,54.635,19.914,54.648,19.898,54.638,19.869,54.649,19.92,54.691,19.96,54.765,19.931,54.88,19.932,54.895,19.964,54.902,19.932,54.906,19.98,54.961,20.123,54.944,20.271,54.963,20.306,54.942,20.397,54.942,20.576,54.999,20.709,55.078,20.941,55.267,21.052,55.414,21.105,55.598,21.077,55.727,21.132,55.686,21.136,55.613,21.09,55.439,21.111,55.421,21.055,55.366,21.058,55.331,20.999,55.298,20.983,55.274,20.998,55.265,20.913,55.224,20.85,55.166,20.864,55.153,20.512,54.954,20.574,54.934,20.692,54.93,20.78,54.948,20.869,54.9,20.997,54.891,21.058,54.902,21.086,54.891,21.101,54.906,21.208,54.919,21.243,54.944,21.179,55.196,21.219,55.209,21.229,55.195,21.274,55.202,21.289,55.234,21.261,55.244,21.264,55.28,21.3,55.304,21.247,55.333,21.27,55.361,21.189,55.341,21.25,55.417,21.246,55.493,21.129,55.704,21.077,55.729,21.049,55.92,21.071,56.046,21.024,56.15,21.064,56.17,21.058,56.219,21.031,56.194,21.05,56.178,21.019,56.157,20.98,56.231,20.985,56.516,21.052,56.676,21.057,56.836,21.24,56.917,21.375,57.003,21.417,57.079,21.42,57.291,21.53,57.4,21.543,57.395,21.593,57.43,21.703,57.568,21.835,57.597,22.017,57.608,22.606,57.759,22.574,57.685,22.615,57.603,22.697,57.549,22.847,57.492,22.938,57.418,23.132,57.36,23.141,57.335,23.124,57.335,23.239,57.164,23.236,57.113,23.26,57.089,23.364,57.046,23.487,57.035,23.53,56.992,23.622,56.965,23.761,56.971,23.921,57.005,23.928,56.974,23.933,57.009,23.994,57.033,24.01,57.065,24.046,57.053,24.06,57.022,24.082,57.046,24.03,57.065,24.202,57.12,24.375,57.221,24.413,57.318,24.362,57.541,24.386,57.617,24.344,57.701,24.333,57.828,24.484,58.08,24.457,58.105,24.483,58.132,24.453,58.172,24.469,58.246,24.578,58.293,24.583,58.324,24.538,58.363,24.481,58.376,24.485,58.39,24.465,58.378,24.314,58.382,24.268,58.272,24.173,58.271,24.119,58.228,24.011,58.32,24.002,58.296,23.95,58.328,23.912,58.33,23.903,58.314,23.839,58.359,23.827,58.339,23.77,58.357,23.765,58.334,23.746,58.341,23.677,58.432,23.685,58.526,23.654,58.512,23.596,58.535,23.601,58.546,23.575,58.544,23.582,58.582,23.548,58.569,23.552,58.553,23.503,58.565,23.54,58.593,23.489,58.689,23.515,58.692,23.514,58.708,23.577,58.71,23.524,58.739,23.658,58.73,23.658,58.747,23.746,58.751,23.762,58.777,23.744,58.789,23.688,58.776,23.613,58.786,23.448,58.762,23.447,58.794,23.49,58.802,23.481,58.822,23.512,58.802,23.536,58.814,23.44,58.888,23.454,58.902,23.416,58.909,23.425,58.943,23.53,58.939,23.515,58.963,23.558,58.946,23.603,58.96,23.586,58.976,23.656,58.962,23.659,58.984,23.643,59.004,23.609,59.003,23.625,58.978,23.573,59.006,23.574,58.975,23.547,58.962,23.507,58.982,23.45,58.986,23.404,59.026,23.45,59.029,23.428,59.042,23.435,59.078,23.478,59.073,23.508,59.095,23.542,59.09,23.485,59.191,23.508,59.229,23.599,59.215,23.66,59.248,23.707,59.23,23.744,59.249,23.732,59.274,23.767,59.27,23.823,59.289,23.887,59.27,24.032,59.291,24.084,59.283,24.084,59.269,24.116,59.311,24.037,59.354,24.036,59.388,24.22,59.341,24.247,59.359,24.179,59.397,24.194,59.407,24.233,59.394,24.339,59.424,24.36,59.474,24.46,59.47,24.542,59.438,24.574,59.462,24.664,59.429,24.684,59.448,24.646,59.471,24.697,59.467,24.686,59.484,24.706,59.487,24.729,59.473,24.701,59.455,24.775,59.45,24.758,59.441,24.829,59.466,24.796,59.572,24.887,59.548,24.915,59.5,24.969,59.489,24.996,59.508,25.086,59.506,25.149,59.476,25.177,59.503,25.139,59.525,25.146,59.541,25.211,59.502,25.27,59.529,25.275,59.51,25.32,59.497,25.441,59.491,25.458,59.517,25.532,59.519,25.555,59.541,25.493,59.604,25.497,59.648,25.522,59.643,25.526,59.615,25.569,59.614,25.67,59.564,25.713,59.6,25.671,59.654,25.697,59.675,25.717,59.652,25.73,59.659,25.73,59.646,25.766,59.64,25.776,59.573,25.814,59.564,25.895,59.579,25.866,59.592,25.867,59.625,25.913,59.618,25.915,59.582,25.971,59.583,25.98,59.635,25.998,59.612,26.059,59.629,26.047,59.618,26.102,59.602,26.1,59.585,26.265,59.587,26.325,59.556,26.467,59.537,26.502,59.512,26.578,59.525,26.591,59.542,26.569,59.552,26.648,59.547,26.749,59.52,26.746,59.506,26.9,59.446,26.982,59.433,27.378,59.446,27.594,59.414,27.706,59.414,27.74,59.426,27.754,59.403,27.805,59.395,27.914,59.402,28.069,59.479,28.045,59.475,28.091,59.604,27.997,59.692,28.038,59.73,28.026,59.75,28.096,59.79,28.188,59.777,28.224,59.685,28.369,59.664,28.43,59.677,28.441,59.794,28.471,59.827,28.541,59.847,28.573,59.827,28.654,59.813,28.713,59.777,28.704,59.761,28.779,59.782,28.785,59.801,28.802,59.779,28.846,59.779,28.88,59.81,28.916,59.799,28.96,59.808,29.057,59.856,29.07,59.892,29.004,59.911,29.042,59.919,29.057,59.958,29.123,59.97,29.126,59.986,29.202,59.98,29.22,59.992,29.552,59.958,29.625,59.931,29.779,59.931,29.77,59.918,29.782,59.929,29.782,59.915,29.952,59.888,30.027,59.861,30.117,59.859,30.176,59.87,30.169,59.888,30.19,59.867,30.212,59.883,30.19,59.889,30.234,59.876,30.234,59.894,30.196,59.893,30.262,59.922,30.178,59.944,30.212,59.977,30.25,59.955,30.255,59.986,30.19,59.982,30.19,60.013,30.163,59.984,30.011,59.993,29.963,60.01,29.965,60.056,29.932,60.07,29.957,60.074,29.919,60.089,29.946,60.102,29.937,60.13,29.872,60.161,29.553,60.199,29.423,60.159,29.147,60.161,29.042,60.176,29.01,60.183,28.998,60.235,28.952,60.245,28.956,60.261,28.855,60.285,28.805,60.357,28.784,60.362,28.795,60.325,28.77,60.319,28.617,60.352,28.571,60.426,28.437,60.548,28.499,60.545,28.504,60.515,28.564,60.477,28.673,60.429,28.709,60.436,28.702,60.488,28.655,60.527,28.652,60.556,28.682,60.554,28.645,60.592,28.674,60.601,28.699,60.588,28.676,60.616,28.7,60.616,28.674,60.633,28.666,60.615,28.642,60.656,28.652,60.669,28.683,60.665,28.712,60.629,28.702,60.662,28.74,60.657,28.722,60.691,28.748,60.696,28.702,60.735,28.784,60.723,28.711,60.779,28.718,60.748,28.664,60.754,28.656,60.7,28.617,60.705,28.658,60.686,28.617,60.665,28.6,60.685,28.637,60.681,28.584,60.69,28.581,60.669,28.536,60.679,28.543,60.659,28.509,60.682,28.502,60.662,28.466,60.661,28.478,60.647,28.4,60.662,28.374,60.647,28.386,60.604,28.298,60.623,28.345,60.596,28.272,60.597,28.27,60.566,28.242,60.577,28.232,60.511,28.159,60.543,28.141,60.506,28.074,60.528,28.072,60.499,28.007,60.525,27.998,60.497,27.92,60.521,27.896,60.502,27.864,60.516,27.86,60.552,27.823,60.525,27.792,60.526,27.81,60.54,27.773,60.552,27.772,60.579,27.738,60.582,27.714,60.543,27.748,60.52,27.716,60.527,27.711,60.517,27.741,60.51,27.741,60.485,27.706,60.495,27.614,60.483,27.596,60.508,27.647,60.519,27.619,60.526,27.568,60.505,27.621,60.474,27.603,60.469,27.469,60.513,27.486,60.501,27.458,60.487,27.494,60.466,27.477,60.461,27.409,60.472,27.365,60.514,27.369,60.499,27.27,60.522,27.275,60.507,27.228,60.532,27.222,60.514,27.197,60.515,27.194,60.553,27.282,60.533,27.22,60.56,27.182,60.557,27.181,60.586,27.162,60.569,27.185,60.525,27.163,60.517,27.129,60.525,27.162,60.539,27.122,60.529,27.097,60.565,27.095,60.532,27.044,60.554,27.068,60.531,27.036,60.519,27.008,60.555,27.023,60.517,26.971,60.511,26.987,60.491,26.911,60.499,26.942,60.492,26.929,60.476,26.964,60.472,26.941,60.446,26.918,60.458,26.94,60.471,26.92,60.465,26.887,60.487,26.878,60.472,26.853,60.478,26.836,60.46,26.792,60.455,26.763,60.471,26.799,60.486,26.78,60.493,26.767,60.477,26.737,60.484,26.746,60.45,26.675,60.425,26.621,60.461,26.563,60.459,26.573,60.433,26.571,60.45,26.579,60.44,26.599,60.452,26.661,60.417,26.55,60.402,26.544,60.374,26.505,60.422,26.547,60.407,26.588,60.426,26.504,60.454,26.472,60.49,26.442,60.463,26.455,60.417,26.402,60.424,26.419,60.385,26.384,60.415,26.373,60.398,26.331,60.398,26.336,60.371,26.299,60.39,26.28,60.421,26.298,60.431,26.235,60.458,26.267,60.391,26.241,60.401,26.238,60.389,26.168,60.425,26.2,60.362,26.152,60.379,26.181,60.373,26.152,60.384,26.166,60.399,26.135,60.395,26.071,60.435,26.054,60.423,25.979,60.479,25.919,60.49,25.942,60.471,25.971,60.476,25.958,60.445,25.994,60.45,25.999,60.43,26.04,60.418,26.022,60.398,25.993,60.402,26.12,60.325,26.082,60.305,26.028,60.302,25.995,60.374,25.983,60.351,25.954,60.352,25.892,60.398,25.841,60.412,25.913,60.367,25.916,60.344,25.871,60.339,25.864,60.323,25.902,60.303,25.884,60.28,25.937,60.262,25.898,60.246,25.86,60.256,25.862,60.289,25.804,60.287,25.743,60.324,25.786,60.282,25.842,60.281,25.848,60.267,25.789,60.267,25.786,60.237,25.759,60.262,25.755,60.245,25.709,60.278,25.67,60.276,25.628,60.328,25.719,60.334,25.686,60.385,25.626,60.352,25.617,60.33,25.596,60.34,25.586,60.311,25.575,60.34,25.514,60.328,25.559,60.312,25.535,60.282,25.514,60.286,25.528,60.282,25.495,60.249,25.463,60.244,25.458,60.232,25.449,60.248,25.478,60.253,25.474,60.248,25.484,60.246,25.498,60.263,25.464,60.261,25.463,60.253,25.429,60.265,25.447,60.252,25.381,60.253,25.389,60.269,25.352,60.264,25.328,60.285,25.344,60.257,25.256,60.25,25.243,60.261,25.191,60.248,25.217,60.244,25.209,60.233,25.165,60.232,25.203,60.215,25.175,60.208,25.188,60.2,25.134,60.2,25.154,60.183,25.131,60.199,25.089,60.187,25.124,60.22,25.028,60.185,24.998,60.196,25.024,60.195,25.025,60.208,24.996,60.222,24.984,60.184,24.94,60.18,24.97,60.174,24.963,60.156,24.925,60.146,24.929,60.162,24.903,60.152,24.909,60.184,24.845,60.209,24.811,60.197,24.84,60.191,24.838,60.167,24.815,60.175,24.793,60.155,24.687,60.139,24.681,60.116,24.632,60.152,24.562,60.174,24.551,60.16,24.609,60.157,24.628,60.136,24.566,60.101,24.615,60.12,24.637,60.11,24.636,60.122,24.646,60.108,24.585,60.095,24.652,60.101,24.606,60.087,24.547,60.027,24.508,60.02,24.505,59.996,24.489,60.007,24.469,59.991,24.442,60.007,24.461,59.987,24.427,59.976,24.425,59.988,24.395,59.966,24.44,60.02,24.486,60.043,24.445,60.03,24.48,60.048,24.477,60.07,24.407,60.018,24.382,60.017,24.372,60.037,24.353,60.009,24.321,60.003,24.389,60.083,24.334,60.095,24.332,60.078,24.308,60.088,24.292,60.078,24.318,60.059,24.275,60.057,24.265,60.04,24.173,60.058,24.203,60.027,24.149,60.029,24.154,60.052,24.114,60.026,24.085,60.041,24.07,60.032,24.093,60.021,24.051,60.033,24.037,60.023,24.014,60.046,23.961,60.011,23.835,60.018,23.901,60.012,23.83,59.998,23.801,59.967,23.775,59.971,23.809,59.984,23.72,59.986,23.756,59.974,23.675,59.979,23.622,59.955,23.643,59.945,23.643,59.961,23.69,59.959,23.685,59.974,23.709,59.961,23.679,59.955,23.721,59.954,23.723,59.939,23.697,59.947,23.702,59.937,23.527,59.938,23.492,59.928,23.481,59.935,23.409,59.917,23.389,59.943,23.425,59.954,23.477,59.939,23.487,59.948,23.45,59.954,23.467,59.968,23.578,59.988,23.496,59.985,23.43,59.964,23.441,59.987,23.489,60,23.492,60.034,23.541,60.041,23.553,60.097,23.514,60.085,23.492,60.05,23.463,60.05,23.465,60.014,23.401,59.978,23.38,59.941,23.224,59.891,23.245,59.856,23.215,59.844,23.252,59.851,23.248,59.842,23.188,59.828,23.086,59.835,23.04,59.817,23.042,59.827,22.932,59.824,22.893,59.809,22.935,59.845,23.169,59.892,23.167,59.907,23.207,59.911,23.188,59.915,23.271,59.949,23.264,59.954,23.291,59.973,23.291,59.955,23.268,59.955,23.296,59.955,23.329,60.042,23.278,59.969,23.241,59.946,23.204,59.946,23.206,59.924,23.162,59.909,23.152,59.937,23.229,59.962,23.191,59.976,23.181,59.947,23.156,59.946,23.152,59.967,23.107,59.941,23.113,59.995,23.19,60.018,23.204,59.993,23.198,60.015,23.233,60.036,23.035,59.988,23.056,59.97,23.056,59.982,23.079,59.979,23.057,59.947,23.088,59.951,23.029,59.91,23.003,59.935,23.021,59.942,22.986,59.938,22.978,59.952,22.963,59.934,22.994,59.931,23.008,59.914,22.983,59.927,22.946,59.91,23.007,59.911,22.959,59.903,22.889,59.916,22.852,59.943,22.87,59.952,22.815,59.98,22.81,60.017,22.833,60.024,22.85,59.967,22.878,59.98,22.908,59.973,22.915,59.992,22.951,59.992,22.981,59.971,23.03,59.987,23.022,60.006,23.05,59.994,23.035,60.008,23.007,60.005,23.03,60.021,22.985,60.033,23.019,60.049,23.106,60.037,23.085,60.01,23.098,60.019,23.109,60.007,23.116,60.045,23.162,60.062,23.234,60.06,23.219,60.037,23.266,60.062,23.197,60.074,23.146,60.057,23.14,60.069,23.101,60.055,23.104,60.04,23.076,60.044,23.085,60.058,23.06,60.044,23.07,60.055,23.033,60.072,23,60.064,22.985,60.085,23.027,60.078,23.001,60.097,23.064,60.131,23.028,60.122,23.018,60.134,22.972,60.109,22.983,60.129,22.903,60.143,22.869,60.165,22.89,60.181,22.872,60.2,22.978,60.286,23.009,60.289,23.08,60.375,23.025,60.332,22.884,60.309,22.794,60.257,22.642,60.239,22.573,60.217,22.523,60.214,22.531,60.23,22.613,60.248,22.588,60.246,22.563,60.27,22.609,60.29,22.631,60.285,22.609,60.291,22.509,60.254,22.454,60.266,22.552,60.328,22.565,60.356,22.6,60.361,22.647,60.399,22.632,60.409,22.584,60.376,22.559,60.385,22.494,60.382,22.471,60.391,22.492,60.419,22.393,60.397,22.475,60.408,22.449,60.381,22.319,60.37,22.323,60.385,22.385,60.396,22.294,60.384,22.219,60.444,22.125,60.44,22.122,60.473,22.094,60.445,22.02,60.462,22.037,60.475,22.021,60.492,21.987,60.491,21.997,60.512,21.956,60.507,21.965,60.533,21.919,60.527,21.925,60.549,21.9,60.553,21.887,60.531,21.864,60.546,21.91,60.484,21.822,60.5,21.814,60.49,21.776,60.496,21.765,60.474,21.736,60.488,21.755,60.503,21.73,60.491,21.741,60.472,21.704,60.459,21.703,60.514,21.753,60.555,21.803,60.54,21.762,60.502,21.802,60.505,21.845,60.636,21.729,60.59,21.666,60.63,21.643,60.623,21.585,60.648,21.642,60.622,21.678,60.624,21.718,60.594,21.677,60.584,21.658,60.517,21.607,60.494,21.573,60.5,21.584,60.522,21.561,60.545,21.594,60.53,21.588,60.515,21.609,60.519,21.559,60.559,21.573,60.567,21.512,60.584,21.545,60.594,21.489,60.587,21.514,60.575,21.462,60.581,21.424,60.604,21.439,60.614,21.393,60.635,21.424,60.642,21.437,60.629,21.451,60.648,21.427,60.642,21.328,60.697,21.361,60.69,21.34,60.715,21.395,60.735,21.37,60.741,21.393,60.746,21.374,60.766,21.429,60.734,21.371,60.717,21.473,60.706,21.429,60.742,21.459,60.746,21.384,60.777,21.419,60.799,21.375,60.796,21.397,60.812,21.379,60.834,21.322,60.811,21.33,60.823,21.27,60.823,21.288,60.811,21.244,60.804,21.263,60.828,21.234,60.812,21.242,60.84,21.179,60.86,21.218,60.877,21.181,60.867,21.174,60.883,21.255,60.891,21.206,60.908,21.231,60.924,21.265,60.926,21.318,60.906,21.284,60.927,21.321,60.928,21.3,60.949,21.325,60.939,21.335,60.952,21.24,60.982,21.287,61.009,21.405,60.939,21.365,60.929,21.42,60.931,21.44,60.912,21.438,60.951,21.339,61.018,21.385,61.022,21.317,61.037,21.345,61.054,21.307,61.058,21.298,61.087,21.328,61.089,21.419,61.047,21.438,61.066,21.373,61.092,21.496,61.077,21.444,61.102,21.444,61.114,21.477,61.116,21.451,61.125,21.479,61.128,21.425,61.133,21.493,61.142,21.432,61.165,21.461,61.172,21.447,61.184,21.505,61.187,21.438,61.193,21.535,61.187,21.507,61.201,21.53,61.209,21.505,61.213,21.524,61.22,21.523,61.23,21.544,61.233,21.596,61.214,21.612,61.23,21.477,61.276,21.538,61.282,21.493,61.306,21.576,61.338,21.504,61.376,21.559,61.385,21.447,61.43,21.483,61.431,21.455,61.442,21.562,61.424,21.6,61.445,21.502,61.486,21.518,61.493,21.45,61.509,21.577,61.494,21.634,61.514,21.577,61.54,21.577,61.529,21.537,61.532,21.518,61.567,21.481,61.568,21.497,61.589,21.461,61.599,21.501,61.596,21.522,61.61,21.572,61.574,21.679,61.563,21.64,61.57,21.674,61.571,21.6,61.619,21.636,61.619,21.559,61.662,21.507,61.725,21.553,61.711,21.543,61.737,21.605,61.72,21.504,61.78,21.483,61.78,21.496,61.766,21.473,61.772,21.421,61.807,21.492,61.808,21.494,61.785,21.519,61.799,21.508,61.82,21.548,61.814,21.468,61.838,21.494,61.843,21.418,61.914,21.439,61.927,21.4,61.94,21.419,61.953,21.355,61.94,21.31,61.968,21.339,62,21.279,61.993,21.309,62.074,21.322,62.067,21.315,62.145,21.366,62.136,21.361,62.186,21.365,62.178,21.43,62.22,21.398,62.203,21.414,62.225,21.393,62.216,21.378,62.231,21.384,62.285,21.355,62.247,21.32,62.244,21.308,62.256,21.341,62.262,21.358,62.311,21.321,62.297,21.304,62.32,21.314,62.333,21.346,62.32,21.367,62.371,21.33,62.371,21.313,62.343,21.305,62.381,21.289,62.363,21.282,62.385,21.3,62.404,21.255,62.382,21.229,62.413,21.223,62.409,21.244,62.448,21.168,62.424,21.208,62.495,21.17,62.461,21.183,62.491,21.158,62.471,21.111,62.49,21.134,62.489,21.154,62.531,21.115,62.523,21.103,62.555,21.186,62.538,21.152,62.573,21.171,62.567,21.169,62.583,21.223,62.608,21.194,62.626,21.144,62.618,21.134,62.645,21.1,62.606,21.058,62.624,21.099,62.625,21.087,62.699,21.103,62.69,21.146,62.703,21.18,62.74,21.146,62.748,21.121,62.799,21.174,62.818,21.21,62.805,21.252,62.841,21.249,62.892,21.37,62.873,21.382,62.905,21.403,62.88,21.438,62.959,21.495,62.966,21.472,62.987,21.495,63.005,21.441,63.019,21.471,63.027,21.469,63.075,21.498,63.056,21.526,63.058,21.511,63.081,21.547,63.083,21.658,63.042,21.684,63.053,21.599,63.094,21.617,63.114,21.593,63.102,21.604,63.119,21.557,63.127,21.539,63.176,21.533,63.154,21.502,63.172,21.523,63.189,21.563,63.189,21.52,63.194,21.52,63.23,21.557,63.243,21.538,63.268,21.575,63.276,21.599,63.232,21.67,63.21,21.7,63.238,21.753,63.219,21.741,63.243,21.797,63.25,21.775,63.258,21.803,63.276,21.792,63.26,21.841,63.259,21.841,63.243,21.854,63.27,21.878,63.26,21.886,63.279,21.919,63.279,21.931,63.232,21.947,63.264,21.968,63.248,21.987,63.266,22.029,63.214,21.955,63.216,21.976,63.188,21.955,63.16,21.973,63.171,22.012,63.16,21.974,63.205,22.042,63.201,22.024,63.254,22.09,63.256,22.084,63.216,22.128,63.245,22.176,63.245,22.184,63.233,22.184,63.257,22.239,63.255,22.284,63.315,22.369,63.292,22.348,63.323,22.391,63.329,22.385,63.346,22.204,63.451,22.203,63.474,22.305,63.488,22.403,63.439,22.292,63.511,22.341,63.57,22.322,63.587,22.379,63.574,22.364,63.546,22.346,63.551,22.384,63.53,22.359,63.51,22.395,63.513,22.415,63.475,22.438,63.492,22.451,63.479,22.486,63.542,22.462,63.566,22.489,63.568,22.515,63.601,22.467,63.581,22.429,63.604,22.525,63.622,22.515,63.648,22.552,63.673,22.594,63.666,22.616,63.724,22.647,63.714,22.634,63.69,22.662,63.704,22.686,63.681,22.692,63.72,22.734,63.708,22.756,63.717,22.717,63.724,22.716,63.738,22.697,63.732,22.672,63.759,22.764,63.8,22.72,63.799,22.724,63.787,22.68,63.8,22.668,63.815,22.719,63.832,22.699,63.841,22.826,63.844,22.788,63.861,22.836,63.856,22.869,63.829,22.902,63.836,22.906,63.861,22.83,63.871,22.824,63.903,22.939,63.892,22.975,63.854,22.941,63.844,22.966,63.829,22.927,63.831,22.911,63.823,22.918,63.794,22.939,63.782,22.852,63.811,22.852,63.795,22.784,63.802,22.783,63.782,22.827,63.782,22.83,63.763,22.785,63.724,22.742,63.705,22.704,63.705,22.829,63.685,22.829,63.705,22.852,63.693,22.907,63.705,22.856,63.705,22.925,63.724,22.808,63.744,22.879,63.744,22.896,63.768,22.961,63.777,22.922,63.793,22.929,63.829,22.983,63.819,22.983,63.78,23.008,63.792,22.984,63.83,23.025,63.822,23.043,63.833,23.005,63.853,23.044,63.86,23.042,63.877,23.088,63.88,23.118,63.856,23.134,63.873,23.072,63.917,23.132,63.884,23.127,63.918,23.155,63.904,23.178,63.914,23.209,63.901,23.211,63.921,23.267,63.907,23.267,63.919,23.288,63.909,23.322,63.919,23.307,63.94,23.371,63.912,23.367,63.929,23.41,63.94,23.363,63.969,23.397,63.977,23.373,64.002,23.406,64.089,23.472,64.057,23.569,64.04,23.589,64.056,23.619,64.046,23.634,64.072,23.581,64.118,23.602,64.127,23.643,64.117,23.627,64.143,23.651,64.137,23.72,64.186,23.686,64.22,23.714,64.227,23.73,64.215,23.812,64.238,23.85,64.29,23.906,64.288,23.931,64.265,23.914,64.327,23.986,64.354,24.03,64.415,24.089,64.413,24.079,64.442,24.176,64.458,24.2,64.485,24.222,64.473,24.252,64.507,24.294,64.501,24.249,64.536,24.304,64.524,24.371,64.545,24.358,64.603,24.407,64.624,24.39,64.659,24.41,64.654,24.405,64.669,24.471,64.687,24.437,64.692,24.492,64.697,24.569,64.734,24.556,64.773,24.582,64.785,24.542,64.818,24.649,64.831,24.666,64.802,24.717,64.87,24.793,64.875,24.808,64.891,24.934,64.882,24.957,64.906,25.098,64.922,25.146,64.898,25.185,64.909,25.216,64.873,25.295,64.861,25.284,64.83,25.313,64.829,25.394,64.895,25.224,64.944,25.191,64.98,25.25,65.005,25.43,64.947,25.487,64.96,25.4,64.997,25.476,65.019,25.39,65.058,25.385,65.097,25.227,65.128,25.226,65.17,25.274,65.175,25.26,65.198,25.306,65.197,25.269,65.232,25.353,65.23,25.292,65.244,25.337,65.259,25.264,65.27,25.317,65.288,25.285,65.319,25.252,65.315,25.264,65.326,25.23,65.332,25.273,65.339,25.322,65.321,25.275,65.349,25.299,65.352,25.291,65.367,25.318,65.353,25.334,65.362,25.257,65.369,25.292,65.382,25.259,65.411,25.305,65.4,25.342,65.421,25.318,65.425,25.365,65.426,25.323,65.448,25.35,65.46,25.328,65.483,25.278,65.493,25.315,65.495,25.284,65.495,25.21,65.56,25.175,65.565,25.182,65.591,25.164,65.562,25.115,65.55,25.051,65.62,24.995,65.629,25.006,65.64,24.928,65.634,24.895,65.668,24.839,65.659,24.805,65.67,24.821,65.659,24.791,65.648,24.755,65.667,24.72,65.631,24.659,65.639,24.677,65.66,24.605,65.695,24.653,65.685,24.672,65.694,24.558,65.725,24.538,65.761,24.521,65.74,24.517,65.763,24.506,65.743,24.504,65.76,24.492,65.744,24.473,65.761,24.454,65.753,24.456,65.77,24.521,65.776,24.521,65.762,24.565,65.791,24.421,65.771,24.314,65.806,24.314,65.792,24.302,65.804,24.277,65.793,24.242,65.835,24.221,65.828,24.161,65.834,24.16,65.861,24.151,65.87,24.163,65.881,24.137,65.879,24.126,65.905,24.104,65.902,24.15,65.815,24.07,65.808,24.037,65.821,24.048,65.788,24.009,65.805,23.997,65.789,23.974,65.806,23.968,65.791,23.928,65.798,23.944,65.774,23.917,65.766,23.856,65.803,23.843,65.787,23.767,65.797,23.737,65.831,23.695,65.836,23.644,65.793,23.598,65.809,23.611,65.785,23.552,65.787,23.553,65.815,23.54,65.805,23.486,65.812,23.476,65.785,23.49,65.822,23.46,65.839,23.472,65.817,23.427,65.82,23.41,65.807,23.433,65.782,23.409,65.775,23.441,65.766,23.422,65.767,23.404,65.75,23.384,65.747,23.37,65.764,23.406,65.757,23.409,65.769,23.388,65.759,23.402,65.775,23.367,65.769,23.393,65.785,23.366,65.797,23.348,65.782,23.366,65.824,23.322,65.821,23.284,65.79,23.291,65.806,23.25,65.804,23.115,65.871,23.099,65.861,23.193,65.822,23.188,65.794,23.236,65.771,23.139,65.759,23.153,65.722,23.105,65.717,23.096,65.697,23.093,65.74,23.043,65.77,23.011,65.767,23.041,65.751,23.006,65.751,22.899,65.786,22.902,65.802,22.892,65.785,22.836,65.796,22.837,65.828,22.67,65.904,22.632,65.898,22.677,65.883,22.723,65.815,22.698,65.82,22.716,65.787,22.683,65.783,22.704,65.765,22.675,65.75,22.651,65.758,22.679,65.782,22.617,65.808,22.54,65.775,22.502,65.782,22.529,65.812,22.445,65.853,22.474,65.855,22.397,65.859,22.381,65.874,22.363,65.856,22.346,65.865,22.371,65.84,22.304,65.846,22.372,65.799,22.315,65.81,22.358,65.78,22.294,65.776,22.352,65.742,22.311,65.717,22.36,65.701,22.372,65.668,22.334,65.658,22.277,65.709,22.268,65.695,22.238,65.703,22.27,65.678,22.233,65.675,22.26,65.644,22.23,65.604,22.296,65.629,22.257,65.65,22.272,65.67,22.33,65.651,22.311,65.632,22.336,65.646,22.389,65.621,22.357,65.615,22.32,65.629,22.334,65.605,22.295,65.602,22.324,65.579,22.324,65.593,22.376,65.578,22.403,65.537,22.317,65.563,22.278,65.561,22.296,65.545,22.204,65.554,22.062,65.617,22.093,65.597,22.061,65.595,22.039,65.582,22.079,65.595,22.073,65.586,22.144,65.562,22.143,65.548,22.186,65.544,22.139,65.509,22.076,65.527,22.067,65.503,22.042,65.519,21.999,65.513,21.867,65.535,21.88,65.52,21.83,65.524,21.913,65.49,21.872,65.516,21.895,65.52,21.979,65.469,22.038,65.464,22.003,65.453,21.993,65.41,21.921,65.453,21.931,65.437,21.895,65.435,21.921,65.397,21.848,65.419,21.834,65.392,21.751,65.395,21.829,65.346,21.719,65.391,21.715,65.375,21.66,65.389,21.654,65.398,21.7,65.385,21.704,65.399,21.751,65.395,21.67,65.423,21.656,65.405,21.564,65.426,21.558,65.414,21.684,65.338,21.581,65.354,21.557,65.396,21.496,65.404,21.508,65.385,21.449,65.388,21.47,65.367,21.497,65.371,21.475,65.358,21.438,65.367,21.494,65.316,21.55,65.343,21.593,65.326,21.604,65.339,21.632,65.334,21.623,65.314,21.574,65.323,21.655,65.29,21.683,65.309,21.66,65.325,21.709,65.313,21.634,65.244,21.74,65.216,21.752,65.191,21.613,65.247,21.539,65.225,21.515,65.231,21.594,65.138,21.505,65.144,21.538,65.125,21.508,65.095,21.544,65.057,21.443,65.067,21.469,65.013,21.379,65.021,21.39,64.988,21.367,64.995,21.341,64.982,21.388,64.957,21.337,64.964,21.216,64.942,21.258,64.922,21.223,64.913,21.242,64.891,21.197,64.898,21.222,64.859,21.158,64.862,21.184,64.837,21.151,64.833,21.157,64.815,21.043,64.852,21.071,64.867,20.997,64.843,20.997,64.83,21.116,64.805,21.121,64.789,21.067,64.794,21.077,64.784,21.276,64.768,21.297,64.747,21.213,64.738,21.292,64.689,21.288,64.672,21.238,64.683,21.283,64.662,21.165,64.708,21.152,64.68,21.175,64.694,21.208,64.669,21.129,64.68,21.119,64.696,21.099,64.684,21.227,64.656,21.246,64.632,21.209,64.624,21.295,64.605,21.319,64.581,21.35,64.575,21.322,64.599,21.366,64.605,21.439,64.555,21.45,64.584,21.486,64.571,21.473,64.546,21.547,64.534,21.552,64.514,21.526,64.526,21.511,64.505,21.465,64.516,21.451,64.543,21.405,64.526,21.414,64.51,21.442,64.52,21.475,64.509,21.464,64.464,21.491,64.445,21.532,64.473,21.58,64.457,21.581,64.483,21.614,64.432,21.583,64.437,21.557,64.415,21.51,64.415,21.467,64.353,21.414,64.358,21.398,64.321,21.36,64.333,21.342,64.295,21.313,64.307,21.272,64.285,21.25,64.315,21.253,64.292,21.2,64.272,21.21,64.254,21.174,64.254,21.134,64.203,21.074,64.224,21.025,64.16,20.993,64.149,20.972,64.162,20.942,64.05,20.921,64.04,20.874,64.048,20.918,64.015,20.893,63.975,20.868,63.983,20.845,63.947,20.797,63.945,20.779,63.918,20.804,63.907,20.766,63.867,20.731,63.864,20.748,63.851,20.719,63.856,20.731,63.838,20.714,63.83,20.69,63.857,20.656,63.845,20.667,63.822,20.686,63.834,20.707,63.825,20.663,63.792,20.631,63.811,20.618,63.803,20.61,63.824,20.577,63.793,20.571,63.81,20.556,63.802,20.54,63.763,20.566,63.751,20.573,63.764,20.575,63.727,20.546,63.728,20.564,63.745,20.529,63.738,20.524,63.817,20.486,63.835,20.491,63.802,20.463,63.802,20.492,63.793,20.433,63.744,20.406,63.744,20.435,63.731,20.436,63.74,20.439,63.716,20.41,63.687,20.402,63.706,20.387,63.67,20.358,63.7,20.332,63.688,20.362,63.723,20.391,63.724,20.325,63.767,20.309,63.754,20.287,63.811,20.304,63.753,20.215,63.685,20.23,63.675,20.241,63.69,20.232,63.654,20.17,63.664,20.11,63.651,20.061,63.675,20,63.663,20.009,63.604,19.997,63.617,19.972,63.606,19.924,63.623,19.905,63.601,19.903,63.618,19.883,63.591,19.858,63.6,19.825,63.55,19.794,63.559,19.743,63.521,19.72,63.529,19.767,63.467,19.741,63.449,19.734,63.464,19.649,63.43,19.582,63.526,19.526,63.533,19.455,63.573,19.455,63.527,19.425,63.522,19.513,63.488,19.464,63.473,19.52,63.433,19.492,63.436,19.51,63.406,19.43,63.437,19.453,63.449,19.424,63.476,19.424,63.46,19.388,63.467,19.381,63.457,19.373,63.469,19.361,63.458,19.379,63.479,19.355,63.501,19.315,63.479,19.354,63.483,19.355,63.438,19.336,63.451,19.344,63.461,19.303,63.46,19.303,63.48,19.26,63.455,19.249,63.329,19.212,63.33,19.215,63.357,19.167,63.316,19.127,63.332,19.136,63.299,19.096,63.267,19.131,63.256,19.088,63.236,19.04,63.263,18.982,63.246,19.023,63.243,19.025,63.221,19.039,63.241,19.094,63.231,19.059,63.208,19.016,63.214,19.032,63.188,18.946,63.216,18.962,63.242,18.938,63.236,18.87,63.294,18.846,63.254,18.821,63.271,18.844,63.278,18.817,63.281,18.773,63.256,18.708,63.287,18.71,63.264,18.902,63.231,18.883,63.204,18.825,63.215,18.788,63.194,18.752,63.211,18.781,63.19,18.737,63.178,18.717,63.227,18.808,63.222,18.681,63.25,18.656,63.233,18.695,63.224,18.725,63.161,18.697,63.174,18.663,63.168,18.642,63.187,18.586,63.174,18.501,63.18,18.61,63.162,18.589,63.163,18.589,63.116,18.552,63.133,18.552,63.159,18.514,63.153,18.547,63.109,18.495,63.087,18.521,63.076,18.489,63.063,18.468,63.023,18.426,63.066,18.368,63.066,18.433,63.02,18.37,63.021,18.332,63.054,18.333,63.014,18.244,63.003,18.201,63.014,18.286,62.99,18.303,62.998,18.316,62.98,18.343,62.998,18.418,63.006,18.539,62.988,18.554,62.959,18.515,62.977,18.513,62.956,18.422,62.967,18.417,62.981,18.37,62.943,18.392,62.959,18.445,62.946,18.44,62.926,18.484,62.945,18.508,62.937,18.467,62.9,18.457,62.917,18.454,62.904,18.389,62.916,18.457,62.894,18.446,62.87,18.406,62.873,18.401,62.854,18.346,62.835,18.316,62.856,18.341,62.887,18.312,62.862,18.293,62.91,18.288,62.895,18.234,62.898,18.254,62.881,18.201,62.888,18.217,62.876,18.191,62.875,18.206,62.829,18.238,62.851,18.279,62.854,18.278,62.828,18.182,62.79,18.179,62.827,18.155,62.786,18.109,62.768,18.071,62.8,18.022,62.796,17.981,62.819,17.999,62.827,18.026,62.811,18.054,62.823,18.069,62.808,18.07,62.82,18.162,62.818,18.039,62.847,18.049,62.86,17.972,62.833,17.95,62.799,17.93,62.825,17.908,62.82,17.93,62.835,17.897,62.854,17.859,62.825,17.93,62.795,17.973,62.743,17.946,62.731,17.979,62.72,17.967,62.678,17.989,62.666,17.967,62.654,17.927,62.677,17.845,62.674,17.871,62.66,17.926,62.656,17.938,62.643,17.93,62.652,17.937,62.625,17.9,62.613,17.925,62.61,17.917,62.564,17.897,62.54,17.866,62.553,17.888,62.518,17.85,62.492,17.819,62.493,17.818,62.48,17.786,62.506,17.7,62.501,17.657,62.466,17.715,62.444,17.703,62.429,17.535,62.449,17.49,62.512,17.426,62.503,17.443,62.521,17.319,62.472,17.36,62.463,17.393,62.435,17.399,62.4,17.314,62.393,17.372,62.377,17.377,62.304,17.412,62.337,17.468,62.302,17.447,62.289,17.495,62.271,17.464,62.275,17.459,62.264,17.662,62.233,17.553,62.184,17.519,62.201,17.577,62.224,17.498,62.226,17.506,62.187,17.554,62.17,17.526,62.164,17.502,62.182,17.513,62.142,17.472,62.124,17.463,62.072,17.43,62.064,17.463,62.032,17.414,62.019,17.46,62.002,17.433,61.989,17.393,61.995,17.384,61.951,17.34,61.957,17.351,61.934,17.324,61.929,17.366,61.872,17.307,61.853,17.352,61.838,17.308,61.815,17.347,61.824,17.356,61.813,17.42,61.814,17.387,61.809,17.402,61.792,17.324,61.81,17.386,61.789,17.351,61.782,17.387,61.771,17.384,61.703,17.451,61.734,17.509,61.711,17.489,61.621,17.442,61.619,17.407,61.638,17.313,61.724,17.344,61.665,17.278,61.677,17.306,61.699,17.268,61.72,17.279,61.701,17.249,61.707,17.241,61.728,17.183,61.715,17.108,61.727,17.096,61.71,17.21,61.696,17.257,61.657,17.137,61.649,17.189,61.641,17.145,61.625,17.102,61.637,17.115,61.653,17.09,61.638,17.132,61.623,17.098,61.62,17.182,61.623,17.244,61.604,17.219,61.593,17.179,61.612,17.06,61.614,17.139,61.604,17.152,61.59,17.038,61.575,17.223,61.552,17.048,61.548,17.158,61.517,17.102,61.518,17.176,61.483,17.128,61.466,17.134,61.452,17.166,61.429,17.19,61.436,17.16,61.446,17.205,61.439,17.199,61.449,17.218,61.436,17.197,61.43,17.223,61.424,17.155,61.415,17.125,61.431,17.134,61.417,17.085,61.412,17.104,61.374,17.138,61.373,17.136,61.351,17.205,61.346,17.19,61.327,17.258,61.305,17.162,61.309,17.149,61.328,17.133,61.312,17.281,61.276,17.175,61.276,17.121,61.309,17.077,61.31,17.127,61.299,17.155,61.263,17.214,61.248,17.169,61.249,17.192,61.231,17.219,61.229,17.113,61.208,17.187,61.187,17.169,61.152,17.148,61.157,17.185,61.117,17.154,61.111,17.205,61.084,17.163,61.085,17.19,61.073,17.151,61.049,17.187,61.02,17.136,61,17.188,61.012,17.248,61.006,17.167,60.987,17.187,60.982,17.137,60.956,17.142,60.944,17.17,60.948,17.159,60.94,17.14,60.944,17.145,60.931,17.179,60.941,17.152,60.928,17.21,60.926,17.196,60.906,17.258,60.877,17.331,60.886,17.315,60.868,17.261,60.873,17.297,60.836,17.24,60.813,17.297,60.807,17.276,60.776,17.326,60.775,17.354,60.753,17.226,60.691,17.157,60.691,17.205,60.676,17.283,60.691,17.295,60.677,17.272,60.675,17.301,60.658,17.398,60.646,17.404,60.655,17.436,60.637,17.512,60.661,17.487,60.644,17.615,60.646,17.611,60.626,17.67,60.625,17.589,60.586,17.644,60.555,17.621,60.539,17.674,60.55,17.641,60.529,17.687,60.506,17.675,60.535,17.707,60.542,17.685,60.525,17.719,60.521,17.73,60.501,17.728,60.556,17.741,60.541,17.771,60.569,17.991,60.604,18.021,60.573,18.002,60.574,18.004,60.537,18.031,60.532,17.984,60.507,18.013,60.513,18.018,60.495,18.063,60.503,18.066,60.484,18.076,60.503,18.065,60.466,18.079,60.477,18.104,60.466,18.081,60.464,18.114,60.431,18.168,60.405,18.226,60.411,18.161,60.401,18.211,60.402,18.245,60.382,18.279,60.384,18.285,60.36,18.273,60.374,18.232,60.336,18.255,60.327,18.278,60.354,18.318,60.355,18.313,60.371,18.388,60.333,18.462,60.338,18.475,60.316,18.431,60.324,18.491,60.307,18.498,60.279,18.524,60.289,18.539,60.273,18.461,60.283,18.475,60.277,18.61,60.255,18.596,60.221,18.492,60.227,18.634,60.198,18.6,60.189,18.567,60.206,18.556,60.186,18.311,60.316,18.482,60.207,18.462,60.191,18.435,60.204,18.456,60.186,18.435,60.177,18.5,60.166,18.518,60.146,18.526,60.158,18.569,60.128,18.545,60.126,18.589,60.054,18.587,60.142,18.674,60.136,18.681,60.114,18.707,60.114,18.704,60.126,18.745,60.119,18.812,59.975,18.764,60.078,18.768,60.11,18.805,60.102,18.78,60.112,18.808,60.121,18.838,60.111,18.811,60.099,18.84,60.035,18.926,59.937,18.898,59.93,18.922,59.924,18.934,59.935,18.94,59.908,18.967,59.918,19.033,59.903,19.011,59.893,19.034,59.867,19.04,59.898,19.077,59.883,19.064,59.812,19.031,59.848,19.023,59.832,19,59.839,18.931,59.915,18.875,59.938,18.916,59.899,18.893,59.889,18.92,59.895,18.917,59.87,18.924,59.89,18.945,59.878,18.939,59.843,18.868,59.789,18.867,59.78,18.735,59.766,18.712,59.748,18.876,59.774,18.884,59.749,18.839,59.741,18.875,59.747,18.89,59.735,18.881,59.775,18.953,59.776,19.081,59.762,19.082,59.736,19.025,59.704,18.969,59.704,18.927,59.722,18.914,59.71,18.888,59.718,18.902,59.702,18.765,59.686,18.743,59.677,18.74,59.653,18.716,59.665,18.68,59.637,18.749,59.641,18.749,59.617,18.714,59.631,18.699,59.605,18.704,59.617,18.683,59.609,18.67,59.633,18.637,59.637,18.686,59.604,18.667,59.579,18.478,59.507,18.459,59.502,18.457,59.515,18.426,59.512,18.457,59.512,18.457,59.497,18.43,59.478,18.402,59.482,18.387,59.453,18.261,59.469,18.309,59.444,18.288,59.432,18.226,59.442,18.22,59.431,18.288,59.428,18.259,59.425,18.292,59.41,18.268,59.403,18.329,59.397,18.336,59.386,18.298,59.389,18.327,59.383,18.153,59.398,18.168,59.435,18.193,59.416,18.207,59.423,18.202,59.446,18.156,59.432,18.137,59.453,18.099,59.418,18.08,59.424,18.103,59.396,18.047,59.376,18.094,59.366,18.155,59.322,18.077,59.332,18.074,59.32,18.107,59.315,18.078,59.303,18.139,59.318,18.119,59.309,18.149,59.302,18.171,59.311,18.134,59.311,18.21,59.335,18.221,59.304,18.202,59.3,18.276,59.296,18.227,59.301,18.228,59.343,18.285,59.36,18.325,59.347,18.348,59.364,18.383,59.349,18.371,59.359,18.41,59.357,18.461,59.314,18.483,59.335,18.451,59.392,18.498,59.379,18.417,59.424,18.519,59.407,18.511,59.389,18.535,59.396,18.528,59.382,18.589,59.372,18.555,59.361,18.627,59.369,18.649,59.35,18.52,59.362,18.526,59.352,18.493,59.351,18.605,59.348,18.623,59.327,18.631,59.345,18.648,59.306,18.667,59.314,18.646,59.295,18.579,59.287,18.493,59.294,18.506,59.288,18.445,59.313,18.413,59.298,18.431,59.29,18.364,59.291,18.343,59.316,18.385,59.326,18.334,59.32,18.299,59.335,18.308,59.287,18.289,59.284,18.301,59.274,18.295,59.286,18.313,59.283,18.32,59.259,18.281,59.274,18.253,59.267,18.408,59.204,18.394,59.181,18.401,59.196,18.352,59.206,18.308,59.238,18.32,59.205,18.394,59.194,18.361,59.167,18.404,59.178,18.388,59.158,18.406,59.165,18.429,59.16,18.415,59.138,18.439,59.158,18.431,59.164,18.469,59.172,18.464,59.159,18.399,59.129,18.393,59.14,18.359,59.121,18.344,59.129,18.281,59.113,18.274,59.093,18.325,59.109,18.324,59.093,18.349,59.097,18.227,59.075,18.255,59.073,18.236,59.066,18.193,59.065,18.243,59.086,18.217,59.086,18.24,59.119,18.197,59.087,18.104,59.067,18.109,59.05,18.025,59.047,18.039,59.018,18.002,59.043,18.018,59.003,17.994,58.988,17.992,59.011,17.954,58.96,17.963,58.939,17.98,58.934,17.907,58.854,17.934,58.905,17.915,58.899,17.915,58.917,17.894,58.847,17.887,58.87,17.879,58.842,17.858,58.861,17.882,58.878,17.862,58.917,17.828,58.895,17.774,58.962,17.771,58.934,17.816,58.896,17.798,58.866,17.772,58.916,17.758,58.898,17.733,58.929,17.742,58.983,17.762,58.983,17.744,59.061,17.769,59.067,17.742,59.083,17.786,59.097,17.772,59.117,17.735,59.099,17.74,59.062,17.693,59.052,17.679,59.098,17.707,59.102,17.671,59.169,17.629,59.195,17.687,59.104,17.645,59.108,17.66,59.095,17.616,59.083,17.636,59.062,17.613,59.035,17.621,58.948,17.593,58.963,17.571,58.95,17.612,58.934,17.582,58.917,17.617,58.916,17.629,58.884,17.526,58.895,17.586,58.857,17.557,58.86,17.578,58.832,17.453,58.89,17.511,58.837,17.473,58.839,17.487,58.817,17.461,58.825,17.455,58.806,17.513,58.778,17.386,58.797,17.394,58.742,17.353,58.761,17.331,58.743,17.303,58.76,17.276,58.722,17.198,58.739,17.19,58.722,17.157,58.73,17.161,58.717,17.113,58.731,17.086,58.77,17.092,58.741,17.012,58.743,17.104,58.736,17.118,58.725,17.086,58.716,17.125,58.709,17.034,58.697,17.17,58.69,17.133,58.681,17.139,58.663,17.096,58.664,17.108,58.647,17.071,58.653,17.088,58.662,17.063,58.672,16.953,58.679,16.945,58.666,17.006,58.67,17.046,58.65,17.015,58.625,16.925,58.61,16.351,58.667,16.228,58.666,16.271,58.645,16.258,58.629,16.185,58.639,16.181,58.615,16.212,58.607,16.195,58.594,16.248,58.617,16.319,58.608,16.341,58.633,16.387,58.618,16.406,58.586,16.438,58.599,16.419,58.605,16.441,58.638,16.537,58.615,16.565,58.623,16.55,58.634,16.612,58.626,16.765,58.58,16.716,58.604,16.774,58.605,16.801,58.597,16.752,58.592,16.797,58.578,16.768,58.579,16.783,58.56,16.832,58.557,16.848,58.543,16.819,58.539,16.868,58.527,16.832,58.524,16.876,58.521,16.949,58.48,16.853,58.474,16.849,58.444,16.772,58.442,16.738,58.42,16.736,58.431,16.719,58.421,16.631,58.446,16.581,58.446,16.483,58.485,16.486,58.474,16.426,58.485,16.414,58.476,16.556,58.446,16.566,58.428,16.617,58.44,16.624,58.421,16.719,58.393,16.709,58.356,16.728,58.368,16.737,58.354,16.75,58.374,16.775,58.369,16.777,58.384,16.802,58.335,16.757,58.331,16.738,58.349,16.726,58.331,16.631,58.349,16.733,58.311,16.823,58.312,16.774,58.286,16.799,58.289,16.802,58.276,16.768,58.284,16.775,58.271,16.738,58.279,16.755,58.263,16.704,58.274,16.696,58.265,16.746,58.253,16.751,58.235,16.765,58.247,16.811,58.237,16.797,58.217,16.828,58.216,16.803,58.195,16.856,58.195,16.83,58.162,16.793,58.185,16.81,58.171,16.778,58.172,16.826,58.156,16.829,58.135,16.781,58.117,16.764,58.126,16.774,58.107,16.602,58.202,16.722,58.132,16.688,58.131,16.677,58.15,16.657,58.143,16.714,58.117,16.725,58.126,16.757,58.101,16.739,58.094,16.814,58.063,16.791,58.057,16.802,58.044,16.768,58.051,16.78,58.067,16.756,58.073,16.726,58.064,16.764,58.052,16.683,58.049,16.747,58.046,16.776,58.027,16.782,58.006,16.736,58.026,16.741,58.015,16.691,58.022,16.697,58.001,16.735,58.003,16.716,57.994,16.672,58.008,16.662,58.054,16.65,58.009,16.671,57.988,16.622,57.987,16.682,57.969,16.682,57.987,16.741,57.947,16.727,57.98,16.759,58,16.813,57.996,16.804,57.968,16.755,57.967,16.756,57.939,16.805,57.91,16.749,57.916,16.746,57.932,16.737,57.911,16.783,57.909,16.787,57.897,16.744,57.904,16.793,57.867,16.767,57.871,16.783,57.862,16.764,57.859,16.707,57.907,16.673,57.871,16.634,57.885,16.599,57.928,16.667,57.911,16.508,57.999,16.516,57.97,16.495,57.978,16.522,57.957,16.599,57.932,16.589,57.918,16.561,57.919,16.599,57.879,16.564,57.882,16.553,57.901,16.47,57.912,16.509,57.89,16.469,57.891,16.53,57.87,16.546,57.833,16.567,57.839,16.71,57.761,16.716,57.731,16.674,57.767,16.643,57.761,16.61,57.796,16.536,57.832,16.53,57.85,16.503,57.845,16.441,57.868,16.412,57.9,16.447,57.834,16.47,57.831,16.463,57.851,16.549,57.815,16.679,57.738,16.655,57.719,16.707,57.724,16.732,57.695,16.698,57.701,16.713,57.681,16.691,57.689,16.669,57.679,16.631,57.683,16.591,57.696,16.566,57.73,16.521,57.727,16.57,57.716,16.592,57.683,16.646,57.677,16.625,57.648,16.594,57.649,16.605,57.665,16.578,57.66,16.591,57.646,16.625,57.644,16.661,57.61,16.608,57.598,16.667,57.557,16.604,57.576,16.593,57.629,16.588,57.587,16.561,57.598,16.565,57.625,16.552,57.611,16.498,57.637,16.544,57.612,16.513,57.577,16.559,57.567,16.511,57.563,16.579,57.559,16.585,57.532,16.592,57.555,16.667,57.547,16.674,57.533,16.629,57.536,16.646,57.513,16.669,57.515,16.712,57.488,16.683,57.463,16.651,57.463,16.695,57.45,16.624,57.444,16.644,57.418,16.698,57.431,16.653,57.421,16.684,57.418,16.676,57.409,16.635,57.405,16.635,57.37,16.55,57.374,16.573,57.341,16.548,57.333,16.555,57.311,16.498,57.3,16.481,57.265,16.453,57.267,16.513,57.234,16.49,57.224,16.476,57.236,16.487,57.216,16.459,57.209,16.477,57.2,16.45,57.205,16.464,57.161,16.499,57.145,16.511,57.11,16.534,57.116,16.575,57.089,16.536,57.067,16.586,57.054,16.565,57.039,16.523,57.054,16.494,57.031,16.448,57.041,16.498,57.016,16.466,57.004,16.481,56.964,16.448,56.992,16.457,57.023,16.432,56.987,16.473,56.944,16.468,56.923,16.436,56.926,16.43,56.915,16.474,56.898,16.437,56.907,16.425,56.816,16.399,56.811,16.416,56.8,16.393,56.785,16.439,56.784,16.468,56.804,16.482,56.771,16.445,56.761,16.425,56.779,16.374,56.776,16.394,56.769,16.35,56.744,16.381,56.727,16.349,56.717,16.381,56.712,16.357,56.671,16.378,56.659,16.336,56.654,16.315,56.63,16.325,56.652,16.292,56.661,16.269,56.632,16.235,56.625,16.215,56.526,16.187,56.53,16.173,56.491,16.13,56.465,16.139,56.442,16.125,56.454,16.092,56.418,16.094,56.376,16.044,56.31,16.061,56.308,16.043,56.241,16.034,56.252,16.019,56.245,15.997,56.199,15.967,56.202,15.849,56.074,15.816,56.104,15.785,56.1,15.828,56.17,15.757,56.138,15.738,56.15,15.76,56.161,15.728,56.151,15.725,56.173,15.708,56.159,15.702,56.185,15.665,56.182,15.671,56.159,15.648,56.193,15.586,56.17,15.591,56.195,15.616,56.188,15.592,56.212,15.529,56.167,15.484,56.172,15.478,56.148,15.465,56.169,15.402,56.181,15.349,56.119,15.32,56.13,15.34,56.148,15.31,56.124,15.28,56.141,15.314,56.147,15.316,56.18,15.283,56.168,15.269,56.182,15.211,56.151,15.183,56.163,15.143,56.151,15.148,56.171,15.131,56.159,15.118,56.172,15.123,56.153,15.104,56.15,15.124,56.15,15.103,56.147,15.105,56.161,15.061,56.155,15.075,56.184,15.048,56.195,15.062,56.182,15.034,56.19,15.032,56.174,15.014,56.198,15.037,56.165,14.999,56.174,15.031,56.147,14.985,56.176,14.89,56.151,14.857,56.175,14.858,56.14,14.834,56.134,14.841,56.158,14.789,56.149,14.771,56.167,14.753,56.146,14.74,56.161,14.687,56.167,14.676,56.121,14.728,56.09,14.725,56.062,14.782,56.035,14.721,55.994,14.703,56.013,14.668,55.99,14.634,56.006,14.611,55.996,14.61,56.018,14.583,56.023,14.612,56.058,14.559,56.026,14.538,56.062,14.533,56.042,14.471,56.036,14.412,55.971,14.337,55.957,14.331,55.921,14.229,55.863,14.195,55.73,14.205,55.702,14.27,55.675,14.284,55.618,14.359,55.558,14.356,55.533,14.349,55.511,14.181,55.379,14.056,55.381,13.92,55.434,13.833,55.417,13.716,55.427,13.628,55.414,13.596,55.388,13.491,55.382,13.358,55.337,13.153,55.372,13.076,55.368,12.935,55.412,12.943,55.457,12.969,55.438,12.97,55.459,12.924,55.519,12.885,55.519,12.926,55.529,12.89,55.564,12.977,55.62,12.997,55.609,12.991,55.623,13.037,55.624,12.991,55.628,13.051,55.64,13.069,55.676,12.997,55.729,12.954,55.729,12.957,55.748,12.926,55.741,12.901,55.751,12.935,55.79,12.913,55.837,12.87,55.863,12.831,55.854,12.748,55.998,12.704,56.008,12.677,56.065,12.567,56.146,12.534,56.244,12.446,56.303,12.657,56.255,12.7,56.219,12.747,56.233,12.785,56.218,12.842,56.27,12.759,56.307,12.732,56.364,12.627,56.393,12.619,56.421,12.65,56.452,12.708,56.472,12.85,56.43,12.88,56.437,12.938,56.5,12.937,56.586,12.876,56.656,12.853,56.645,12.859,56.658,12.828,56.664,12.793,56.643,12.728,56.64,12.724,56.671,12.681,56.68,12.681,56.708,12.624,56.741,12.606,56.824,12.478,56.888,12.502,56.902,12.468,56.885,12.348,56.929,12.341,57.017,12.268,57.051,12.275,57.067,12.242,57.064,12.261,57.075,12.236,57.087,12.236,57.123,12.233,57.11,12.19,57.115,12.254,57.133,12.214,57.134,12.228,57.162,12.204,57.19,12.15,57.193,12.217,57.217,12.144,57.213,12.093,57.235,12.131,57.247,12.084,57.256,12.164,57.284,12.168,57.31,12.119,57.346,12.064,57.338,12.085,57.369,12.128,57.379,12.122,57.398,12.08,57.396,12.11,57.407,12.109,57.434,12.06,57.463,12.005,57.341,11.994,57.371,11.959,57.353,11.943,57.361,11.953,57.394,11.909,57.392,11.931,57.407,11.909,57.464,11.938,57.472,11.906,57.486,11.968,57.494,11.915,57.503,11.948,57.51,11.92,57.521,11.935,57.533,11.912,57.53,11.939,57.575,11.93,57.622,11.909,57.636,11.885,57.609,11.845,57.65,11.857,57.668,11.84,57.659,11.85,57.678,11.91,57.692,11.821,57.686,11.808,57.705,11.805,57.683,11.777,57.713,11.768,57.686,11.701,57.706,11.724,57.739,11.8,57.75,11.806,57.764,11.778,57.764,11.835,57.791,11.772,57.798,11.732,57.783,11.745,57.805,11.682,57.839,11.711,57.854,11.673,57.849,11.713,57.874,11.713,57.901,11.785,57.902,11.752,57.921,11.786,57.929,11.749,57.932,11.786,57.95,11.753,57.964,11.814,57.992,11.798,58.014,11.821,58.055,11.798,58.083,11.834,58.095,11.803,58.104,11.85,58.124,11.857,58.195,11.917,58.222,11.873,58.222,11.813,58.315,11.908,58.331,11.912,58.353,11.806,58.321,11.698,58.342,11.74,58.317,11.672,58.308,11.643,58.259,11.562,58.26,11.544,58.273,11.564,58.238,11.499,58.248,11.598,58.361,11.631,58.386,11.66,58.382,11.631,58.402,11.702,58.43,11.684,58.446,11.622,58.401,11.574,58.479,11.572,58.358,11.459,58.272,11.413,58.271,11.472,58.317,11.436,58.303,11.393,58.317,11.416,58.353,11.47,58.345,11.442,58.377,11.463,58.399,11.39,58.344,11.357,58.349,11.396,58.369,11.46,58.459,11.362,58.363,11.317,58.367,11.303,58.39,11.3,58.368,11.279,58.386,11.29,58.36,11.24,58.357,11.28,58.437,11.293,58.425,11.291,58.462,11.328,58.461,11.312,58.474,11.361,58.488,11.309,58.48,11.306,58.505,11.29,58.485,11.307,58.513,11.283,58.505,11.257,58.52,11.281,58.542,11.257,58.564,11.315,58.58,11.275,58.586,11.301,58.619,11.26,58.617,11.29,58.648,11.271,58.646,11.255,58.691,11.244,58.677,11.222,58.688,11.232,58.714,11.19,58.71,11.169,58.724,11.181,58.76,11.262,58.721,11.181,58.782,11.206,58.787,11.214,58.77,11.245,58.764,11.216,58.772,11.214,58.805,11.248,58.811,11.235,58.852,11.216,58.847,11.191,58.879,11.206,58.919,11.172,58.923,11.202,58.931,11.171,58.925,11.173,58.949,11.139,58.945,11.117,58.968,11.145,58.988,11.231,58.998,11.231,59.018,11.155,58.995,11.113,58.997,11.184,59.074,11.338,59.113,11.448,58.991,11.477,58.986,11.418,59.042,11.433,59.065,11.407,59.056,11.375,59.099,11.388,59.119,11.376,59.109,11.37,59.118,11.394,59.124,11.21,59.089,11.221,59.106,11.2,59.092,11.23,59.138,11.195,59.111,11.207,59.126,11.183,59.117,11.175,59.14,11.203,59.145,11.196,59.13,11.215,59.147,11.176,59.154,11.184,59.197,11.177,59.187,11.142,59.197,11.167,59.162,11.12,59.145,11.062,59.217,11.111,59.143,11.074,59.122,11.071,59.14,11.03,59.13,11.044,59.162,11.006,59.146,11.013,59.187,10.949,59.174,10.931,59.136,10.92,59.153,10.899,59.148,10.901,59.186,10.868,59.178,10.858,59.188,10.825,59.153,10.823,59.186,10.807,59.197,10.79,59.189,10.806,59.207,10.762,59.234,10.793,59.264,10.73,59.228,10.732,59.282,10.818,59.327,10.722,59.304,10.72,59.318,10.755,59.323,10.737,59.346,10.686,59.304,10.658,59.337,10.653,59.435,10.691,59.477,10.69,59.527,10.669,59.522,10.648,59.559,10.653,59.617,10.62,59.674,10.644,59.707,10.617,59.682,10.58,59.75,10.658,59.871,10.694,59.841,10.712,59.717,10.729,59.721,10.735,59.802,10.785,59.86,10.745,59.886,10.76,59.906,10.689,59.918,10.702,59.903,10.675,59.894,10.672,59.92,10.606,59.874,10.619,59.886,10.595,59.881,10.614,59.89,10.592,59.893,10.612,59.903,10.568,59.888,10.503,59.889,10.525,59.889,10.505,59.877,10.511,59.86,10.47,59.837,10.511,59.839,10.476,59.821,10.504,59.803,10.52,59.691,10.604,59.658,10.617,59.57,10.511,59.52,10.422,59.525,10.431,59.685,10.395,59.69,10.37,59.716,10.318,59.716,10.283,59.749,10.201,59.734,10.245,59.731,10.3,59.696,10.375,59.677,10.413,59.604,10.39,59.537,10.334,59.532,10.232,59.566,10.383,59.439,10.445,59.454,10.443,59.441,10.499,59.417,10.462,59.37,10.498,59.322,10.529,59.316,10.491,59.275,10.504,59.255,10.488,59.265,10.469,59.245,10.434,59.272,10.427,59.259,10.396,59.278,10.372,59.275,10.376,59.227,10.358,59.212,10.338,59.22,10.307,59.147,10.33,59.13,10.28,59.138,10.308,59.056,10.265,59.126,10.268,59.042,10.223,59.127,10.206,59.077,10.232,59.042,10.208,59.023,10.132,59.004,10.129,59.026,10.177,59.04,10.165,59.053,10.073,59.015,10.066,59.043,10.041,59.037,10.022,59.051,10.04,58.978,9.985,58.97,9.972,58.984,9.963,58.962,9.924,58.98,9.907,58.966,9.87,58.976,9.858,58.958,9.817,58.976,9.859,58.995,9.839,59.044,9.827,59.032,9.801,59.046,9.805,59.092,9.777,59.04,9.74,59.073,9.718,59.07,9.712,59.11,9.693,59.097,9.705,59.055,9.66,59.059,9.651,59.103,9.615,59.122,9.629,59.133,9.644,59.114,9.63,59.134,9.656,59.146,9.609,59.206,9.652,59.143,9.583,59.124,9.591,59.117,9.51,59.126,9.563,59.118,9.557,59.108,9.628,59.082,9.648,59.047,9.699,59.047,9.732,59.028,9.752,58.987,9.72,59.01,9.706,58.987,9.655,58.99,9.703,58.973,9.65,58.973,9.65,58.961,9.589,58.946,9.621,58.939,9.584,58.926,9.459,58.938,9.476,58.924,9.511,58.926,9.468,58.901,9.462,58.911,9.46,58.885,9.423,58.908,9.368,58.893,9.372,58.88,9.42,58.903,9.422,58.88,9.386,58.875,9.419,58.876,9.412,58.864,9.357,58.863,9.347,58.885,9.353,58.866,9.327,58.868,9.303,58.89,9.304,58.848,9.274,58.831,9.444,58.847,9.434,58.836,9.454,58.842,9.468,58.83,9.367,58.796,9.432,58.812,9.435,58.802,9.384,58.788,9.35,58.754,9.256,58.745,9.259,58.756,9.23,58.745,9.245,58.768,9.185,58.787,9.199,58.768,9.229,58.766,9.229,58.745,9.188,58.742,9.183,58.754,9.159,58.739,9.112,58.753,9.08,58.747,9.076,58.762,9.065,58.756,9.087,58.742,9.037,58.745,9.057,58.725,9.097,58.723,9.074,58.723,9.097,58.711,9.097,58.723,9.141,58.711,9.203,58.723,9.114,58.731,9.104,58.743,9.213,58.739,9.205,58.723,9.243,58.729,9.22,58.705,9.068,58.685,9.206,58.695,9.23,58.688,9.203,58.666,9.168,58.656,9.15,58.667,9.074,58.623,8.994,58.613,9.018,58.608,8.991,58.608,9.013,58.596,8.995,58.594,8.989,58.584,8.947,58.609,8.956,58.626,8.932,58.623,8.945,58.592,8.923,58.574,8.968,58.596,8.973,58.564,8.925,58.529,8.979,58.559,8.974,58.586,9.001,58.556,8.975,58.551,8.971,58.53,8.908,58.511,8.92,58.54,8.875,58.495,8.88,58.526,8.858,58.488,8.841,58.496,8.828,58.474,8.798,58.473,8.713,58.437,8.715,58.379,8.686,58.366,8.676,58.375,8.671,58.356,8.604,58.333,8.612,58.363,8.533,58.292,8.536,58.317,8.53,58.29,8.514,58.303,8.524,58.289,8.483,58.273,8.535,58.288,8.517,58.259,8.519,58.269,8.47,58.257,8.474,58.266,8.439,58.264,8.445,58.299,8.41,58.266,8.43,58.245,8.389,58.255,8.325,58.211,8.278,58.216,8.3,58.2,8.253,58.209,8.306,58.194,8.268,58.163,8.201,58.189,8.227,58.172,8.211,58.161,8.227,58.17,8.243,58.15,8.219,58.152,8.259,58.133,8.209,58.125,8.191,58.166,8.174,58.126,8.137,58.133,8.166,58.12,8.146,58.104,8.138,58.124,8.112,58.124,8.13,58.115,8.114,58.11,8.09,58.134,8.061,58.119,8.06,58.161,8.126,58.153,8.077,58.164,8.087,58.188,8.033,58.237,8.055,58.201,8.015,58.194,8.051,58.162,8.035,58.144,7.998,58.142,8.012,58.13,7.986,58.145,7.966,58.135,7.956,58.112,7.99,58.102,7.943,58.078,7.935,58.103,7.911,58.07,7.866,58.087,7.858,58.07,7.817,58.065,7.803,58.08,7.785,58.067,7.784,58.082,7.718,58.052,7.686,58.085,7.712,58.077,7.662,58.104,7.709,58.051,7.684,58.042,7.653,58.051,7.682,58.038,7.674,58.02,7.652,58.025,7.669,58.013,7.624,58.021,7.641,58.044,7.612,58.046,7.618,58.009,7.432,58.014,7.447,58.035,7.415,58.047,7.432,58.031,7.404,58.027,7.429,58.02,7.395,58.021,7.423,58.008,7.338,58.028,7.32,58.047,7.32,58.026,7.297,58.04,7.276,58.027,7.297,58.074,7.225,58.033,7.18,58.059,7.143,58.028,7.146,58.043,7.122,58.026,7.106,58.041,7.112,58.007,7.053,57.98,7.029,57.997,7.044,58.028,7.166,58.078,7.104,58.084,7.105,58.069,6.999,58.028,6.975,58.046,7.011,58.059,7.059,58.121,7.026,58.113,6.959,58.049,6.935,58.059,6.965,58.082,6.931,58.083,6.954,58.107,6.928,58.093,6.921,58.072,6.893,58.072,6.917,58.086,6.813,58.096,6.904,58.127,6.954,58.113,7.036,58.132,7.031,58.149,7.031,58.138,6.954,58.128,6.858,58.152,6.834,58.172,6.877,58.199,6.831,58.178,6.793,58.185,6.804,58.157,6.868,58.134,6.82,58.107,6.782,58.117,6.765,58.111,6.794,58.109,6.79,58.098,6.747,58.111,6.762,58.163,6.756,58.189,6.739,58.184,6.726,58.131,6.749,58.118,6.726,58.102,6.806,58.097,6.772,58.08,6.819,58.082,6.821,58.066,6.787,58.056,6.771,58.071,6.726,58.063,6.659,58.077,6.638,58.067,6.553,58.118,6.598,58.131,6.623,58.179,6.717,58.173,6.68,58.195,6.932,58.289,6.815,58.262,6.719,58.22,6.68,58.275,6.676,58.257,6.661,58.263,6.661,58.321,6.646,58.27,6.668,58.24,6.649,58.233,6.529,58.249,6.518,58.261,6.476,58.256,6.471,58.27,6.393,58.271,6.442,58.291,6.357,58.281,6.323,58.302,6.353,58.328,6.324,58.31,6.29,58.315,6.259,58.326,6.261,58.348,6.24,58.323,6.112,58.356,6.066,58.385,6.04,58.379,6.005,58.41,6.009,58.438,5.995,58.421,6.003,58.458,5.991,58.449,5.977,58.462,5.999,58.462,5.997,58.477,5.876,58.464,5.875,58.48,5.789,58.491,5.772,58.528,5.681,58.543,5.551,58.658,5.55,58.691,5.489,58.752,5.546,58.793,5.553,58.867,5.603,58.882,5.572,58.925,5.606,58.929,5.564,58.942,5.581,58.961,5.627,58.939,5.634,58.896,5.686,58.931,5.671,58.942,5.635,58.935,5.59,58.968,5.607,58.986,5.563,58.982,5.563,59.015,5.592,59.02,5.574,59.032,5.77,58.965,5.752,58.952,5.743,58.961,5.742,58.851,5.786,58.939,5.851,58.93,5.85,58.953,5.894,58.968,5.979,58.937,5.965,58.904,6.055,58.895,6.153,58.841,6.279,58.839,6.174,58.849,6.117,58.875,6.087,58.901,6.133,58.949,6.282,59,6.652,59.054,6.262,59.012,6.1,58.943,6.073,58.904,5.995,58.969,6.054,58.958,6.01,58.977,6.019,58.991,6.056,59,6.091,58.984,6.083,58.993,6.03,59.022,5.95,59.022,5.891,59.086,5.978,59.122,6.026,59.114,6.092,59.14,6.174,59.14,6.095,59.153,6.023,59.143,6.101,59.219,6.177,59.235,6.19,59.258,6.308,59.28,6.331,59.27,6.328,59.288,6.422,59.313,6.557,59.32,6.359,59.32,6.155,59.26,6.119,59.305,6.245,59.314,6.274,59.298,6.267,59.318,6.29,59.318,6.243,59.336,6.219,59.39,6.226,59.323,6.187,59.318,6.202,59.346,6.175,59.316,6.102,59.321,6.12,59.374,6.08,59.346,6.085,59.325,6.021,59.341,6.05,59.38,6.133,59.4,6.133,59.416,6.182,59.432,6.178,59.42,6.214,59.445,6.213,59.411,6.272,59.506,6.464,59.549,6.6,59.559,6.444,59.557,6.269,59.518,6.331,59.584,6.329,59.625,6.369,59.644,6.313,59.641,6.289,59.617,6.306,59.576,6.206,59.5,6.217,59.473,6.156,59.426,6.122,59.42,6.121,59.406,6.081,59.41,6.047,59.396,6.014,59.41,6.02,59.381,5.977,59.352,5.942,59.361,5.914,59.449,6.014,59.445,6.199,59.48,6.169,59.489,6.038,59.479,6.044,59.469,5.909,59.474,5.852,59.544,5.841,59.523,5.808,59.519,5.855,59.464,5.769,59.435,5.733,59.477,5.752,59.432,5.667,59.391,5.843,59.437,5.897,59.381,5.892,59.35,5.875,59.337,5.837,59.343,5.826,59.329,5.803,59.349,5.791,59.324,5.742,59.343,5.749,59.328,5.656,59.287,5.647,59.26,5.645,59.324,5.682,59.324,5.687,59.336,5.658,59.342,5.629,59.394,5.612,59.472,5.631,59.502,5.571,59.496,5.524,59.445,5.466,59.46,5.463,59.434,5.473,59.442,5.514,59.429,5.592,59.475,5.62,59.429,5.62,59.407,5.581,59.408,5.621,59.4,5.614,59.329,5.556,59.274,5.49,59.27,5.455,59.316,5.49,59.328,5.454,59.331,5.475,59.396,5.434,59.311,5.449,59.306,5.449,59.32,5.457,59.295,5.418,59.29,5.391,59.312,5.408,59.339,5.381,59.373,5.407,59.387,5.385,59.423,5.375,59.338,5.344,59.325,5.238,59.433,5.234,59.465,5.258,59.47,5.223,59.48,5.223,59.503,5.279,59.481,5.303,59.481,5.312,59.501,5.26,59.496,5.24,59.507,5.262,59.515,5.228,59.514,5.256,59.52,5.279,59.509,5.277,59.526,5.224,59.528,5.247,59.551,5.287,59.557,5.289,59.589,5.329,59.601,5.316,59.62,5.377,59.634,5.374,59.646,5.413,59.645,5.442,59.584,5.435,59.609,5.478,59.624,5.445,59.641,5.452,59.652,5.433,59.647,5.413,59.663,5.424,59.655,5.464,59.668,5.438,59.688,5.463,59.705,5.474,59.692,5.472,59.706,5.533,59.733,5.531,59.649,5.507,59.635,5.536,59.569,5.513,59.547,5.475,59.562,5.508,59.543,5.5,59.522,5.45,59.543,5.46,59.482,5.467,59.512,5.509,59.512,5.534,59.538,5.55,59.522,5.585,59.593,5.553,59.604,5.554,59.648,5.594,59.686,5.773,59.649,5.787,59.617,5.74,59.6,5.8,59.604,5.821,59.61,5.792,59.643,5.922,59.645,5.895,59.65,5.932,59.664,5.918,59.676,5.795,59.648,5.783,59.684,5.857,59.709,5.864,59.729,5.942,59.734,5.93,59.77,5.983,59.734,5.996,59.745,6.091,59.736,6.141,59.783,6.384,59.874,6.228,59.835,6.121,59.782,6.095,59.788,6.081,59.76,6.023,59.753,5.956,59.79,5.991,59.859,5.967,59.854,5.939,59.796,5.88,59.769,5.757,59.832,5.757,59.845,5.79,59.845,5.757,59.855,5.734,59.845,5.757,59.832,5.715,59.826,5.713,59.843,5.696,59.833,5.674,59.849,5.741,59.863,5.738,59.877,5.76,59.868,5.772,59.913,5.811,59.934,5.855,59.929,5.918,59.956,5.994,59.955,6.01,59.981,5.981,60.002,6.039,60.067,6.115,60.096,6.321,60.127,6.282,60.134,6.279,60.164,6.247,60.13,6.136,60.107,6.167,60.126,6.083,60.192,6.122,60.219,6.162,60.213,6.196,60.226,6.204,60.258,6.252,60.275,6.223,60.294,6.377,60.341,6.353,60.371,6.416,60.367,6.497,60.383,6.562,60.437,6.669,60.407,6.564,60.239,6.528,60.089,6.551,60.07,6.571,60.171,6.686,60.386,6.724,60.377,6.713,60.399,6.837,60.474,6.892,60.468,6.993,60.483,7.06,60.464,7.143,60.494,7.071,60.487,6.998,60.504,6.914,60.494,7.026,60.587,6.924,60.528,6.921,60.562,6.947,60.572,6.91,60.566,6.893,60.491,6.761,60.471,6.701,60.431,6.633,60.449,6.63,60.464,6.715,60.522,6.603,60.459,6.527,60.457,6.298,60.392,6.235,60.422,6.209,60.469,6.234,60.414,6.279,60.383,6.252,60.371,6.206,60.387,6.19,60.366,6.152,60.379,6.135,60.37,6.221,60.335,6.166,60.31,6.181,60.29,6.174,60.285,6.195,60.279,6.153,60.242,6.141,60.259,6.082,60.253,6.006,60.272,6.006,60.231,5.963,60.213,5.949,60.158,5.924,60.15,5.924,60.167,5.899,60.155,5.914,60.031,5.831,59.983,5.811,60.001,5.83,60.018,5.766,59.979,5.761,60.011,5.727,60.003,5.715,60.072,5.758,60.058,5.753,60.069,5.782,60.068,5.794,60.049,5.838,60.091,5.803,60.076,5.793,60.092,5.759,60.069,5.744,60.105,5.72,60.105,5.775,60.131,5.721,60.171,5.77,60.187,5.705,60.18,5.697,60.192,5.687,60.161,5.604,60.142,5.574,60.156,5.606,60.185,5.592,60.206,5.747,60.238,5.661,60.245,5.621,60.232,5.666,60.285,5.598,60.236,5.584,60.253,5.634,60.271,5.654,60.298,5.645,60.274,5.663,60.301,5.656,60.336,5.698,60.369,5.759,60.375,5.763,60.396,5.72,60.403,5.711,60.376,5.647,60.374,5.615,60.287,5.563,60.262,5.575,60.242,5.533,60.197,5.472,60.189,5.442,60.132,5.427,60.162,5.4,60.153,5.399,60.179,5.33,60.193,5.354,60.19,5.336,60.207,5.366,60.201,5.391,60.223,5.357,60.232,5.311,60.218,5.304,60.228,5.281,60.207,5.245,60.21,5.335,60.258,5.329,60.27,5.298,60.256,5.273,60.276,5.236,60.263,5.202,60.288,5.22,60.32,5.265,60.312,5.278,60.323,5.302,60.303,5.327,60.311,5.337,60.345,5.318,60.327,5.258,60.321,5.291,60.327,5.273,60.337,5.251,60.328,5.236,60.361,5.232,60.33,5.218,60.338,5.203,60.327,5.176,60.345,5.201,60.349,5.194,60.37,5.179,60.351,5.171,60.373,5.241,60.4,5.352,60.381,5.309,60.388,5.322,60.412,5.279,60.435,5.279,60.447,5.332,60.436,5.255,60.477,5.273,60.52,5.3,60.527,5.376,60.506,5.463,60.421,5.459,60.455,5.521,60.421,5.622,60.429,5.65,60.46,5.72,60.453,5.744,60.468,5.72,60.538,5.774,60.577,5.726,60.552,5.738,60.66,5.8,60.658,5.834,60.613,5.876,60.634,5.961,60.641,5.871,60.636,5.845,60.621,5.802,60.658,5.74,60.664,5.734,60.689,5.761,60.693,5.796,60.735,5.752,60.698,5.675,60.702,5.706,60.759,5.724,60.756,5.766,60.781,5.798,60.816,5.762,60.805,5.738,60.768,5.699,60.762,5.665,60.727,5.598,60.7,5.549,60.7,5.578,60.658,5.562,60.632,5.491,60.633,5.454,60.603,5.427,60.61,5.427,60.595,5.391,60.61,5.407,60.585,5.361,60.615,5.342,60.609,5.387,60.57,5.278,60.541,5.232,60.565,5.208,60.622,5.114,60.659,5.123,60.679,5.166,60.671,5.269,60.619,5.23,60.643,5.228,60.658,5.282,60.632,5.235,60.664,5.255,60.673,5.229,60.673],[30.906,58.905,30.934,58.882,30.894,58.892,30.87,58.882,30.976,58.859,30.938,58.893,30.981,58.92,30.938,58.922,30.906,58.905],[29.874,58.563,29.856,58.54,29.883,58.523,29.915,58.54,29.874,58.563],[29.948,58.631,29.971,58.556,29.989,58.563,29.971,58.642,29.948,58.631],[29.839,58.601,29.839,58.585,29.883,58.571,29.908,58.585,29.839,58.601],[31.553,58.402,31.573,58.402,31.553,58.412,31.553,58.402,31.509,58.411,31.465,58.402,31.465,58.425,31.421,58.399,31.421,58.412,31.337,58.411,31.333,58.425,31.289,58.417,31.289,58.433,31.333,58.433,31.289,58.487,31.257,58.425,31.179,58.356,30.997,58.309,30.954,58.263,30.916,58.263,30.913,58.217,31.113,58.155,31.113,58.142,31.179,58.148,31.201,58.139,31.179,58.134,31.223,58.128,31.212,58.138,31.245,58.135,31.245,58.152,31.333,58.156,31.377,58.112,31.439,58.124,31.392,58.148,31.399,58.194,31.461,58.205,31.465,58.184,31.487,58.188,31.45,58.217,31.509,58.231,31.553,58.207,31.641,58.208,31.65,58.194,31.598,58.194,31.666,58.171,31.685,58.139,31.729,58.136,31.704,58.217,31.657,58.24,31.616,58.309,31.641,58.309,31.641,58.323,31.597,58.323,31.597,58.356,31.465,58.354,31.531,58.374,31.628,58.379,31.605,58.333,31.641,58.333,31.671,58.356,31.641,58.384,31.488,58.379,31.553,58.389,31.553,58.402],[29.16,58.836,29.153,58.791,29.18,58.78,29.192,58.814,29.16,58.836],[28.991,58.425,28.981,58.402,29.004,58.387,29.034,58.402,29.032,58.425,28.991,58.425],[27.817,58.482,27.902,58.472,27.888,58.494,27.822,58.517,27.861,58.524,27.799,58.631,27.751,58.666,27.751,58.688,27.78,58.7,27.787,58.859,27.773,58.882,27.729,58.877,27.729,58.892,27.773,58.892,27.773,58.905,27.729,58.917,27.707,58.95,27.751,58.99,27.554,59.009,27.29,58.998,27.158,58.978,27.026,58.934,26.958,58.882,26.96,58.791,27.07,58.755,27.171,58.677,27.174,58.631,27.214,58.585,27.165,58.585,27.229,58.563,27.246,58.49,27.236,58.425,27.259,58.425,27.237,58.402,27.281,58.402,27.268,58.379,27.29,58.368,27.29,58.393,27.334,58.411,27.399,58.379,27.447,58.379,27.392,58.356,27.423,58.356,27.408,58.333,27.438,58.309,27.405,58.286,27.473,58.263,27.449,58.24,27.47,58.24,27.536,58.101,27.598,58.089,27.582,58.031,27.62,58.013,27.686,58.021,27.686,58.031,27.625,58.031,27.615,58.055,27.686,58.064,27.642,58.043,27.686,58.045,27.741,58.031,27.755,58.008,27.787,58.008,27.861,57.938,27.844,57.915,27.861,57.901,27.905,57.903,27.929,57.868,27.91,57.853,28.015,57.86,28.075,57.848,28.069,57.873,28.081,57.851,28.136,57.856,28.155,57.845,28.169,57.856,28.136,57.868,28.174,57.915,28.152,58.008,28.125,58.012,28.125,58.031,28.081,58.015,28.081,58.051,28.125,58.051,28.081,58.063,28.081,58.078,28.037,58.066,28.037,58.096,28.081,58.101,27.993,58.124,27.949,58.16,27.829,58.148,27.817,58.188,27.773,58.166,27.649,58.148,27.663,58.124,27.642,58.111,27.587,58.171,27.625,58.171,27.598,58.185,27.61,58.217,27.598,58.226,27.554,58.204,27.512,58.229,27.543,58.252,27.543,58.309,27.608,58.298,27.665,58.309,27.679,58.321,27.625,58.356,27.662,58.356,27.702,58.379,27.669,58.402,27.744,58.448,27.773,58.448,27.773,58.425,27.829,58.448,27.817,58.482],[29.252,58.031,29.235,58.02,29.268,57.998,29.287,58.031,29.252,58.031],[29.038,58.333,29.092,58.321,29.126,58.353,29.038,58.333],[30.861,57.279,30.886,57.255,30.894,57.268,30.938,57.268,30.894,57.297,30.861,57.279],[30.435,56.969,30.422,56.957,30.454,56.94,30.473,56.969,30.454,56.979,30.435,56.969],[30.63,57.221,30.609,57.208,30.63,57.197,30.674,57.208,30.674,57.221,30.63,57.221],[31.564,56.825,31.597,56.809,31.641,56.83,31.597,56.843,31.564,56.825],[31.908,56.866,31.919,56.828,31.963,56.849,31.908,56.866],[29.55,57.469,29.545,57.447,29.622,57.469,29.575,57.478,29.55,57.469],[29.59,57.516,29.614,57.492,29.639,57.492,29.619,57.533,29.59,57.516],[29.457,56.873,29.449,56.849,29.531,56.863,29.531,56.879,29.457,56.873],[29.971,56.985,30.003,56.945,30.103,56.969,29.971,56.985],[30.234,57.08,30.234,57.055,30.332,57.065,30.234,57.08],[29.566,57.136,29.54,57.112,29.619,57.107,29.663,57.129,29.575,57.125,29.566,57.136],[30.41,57.232,30.337,57.196,30.356,57.16,30.414,57.16,30.41,57.232],[27.059,57.469,27.029,57.427,27.114,57.438,27.114,57.48,27.059,57.469],[29.839,56.705,29.839,56.687,29.795,56.689,29.755,56.662,29.853,56.68,29.839,56.705],[31.75,56.535,31.739,56.511,31.772,56.511,31.772,56.548,31.75,56.535],[29.839,56.676,29.839,56.646,29.883,56.656,29.883,56.626,29.927,56.626,29.89,56.632,29.89,56.656,29.839,56.676],[31.917,56.679,31.948,56.648,31.988,56.673,31.917,56.679],[31.618,56.487,31.572,56.487,31.597,56.473,31.597,56.416,31.618,56.487],[29.077,56.656,29.076,56.632,29.127,56.608,29.106,56.656,29.092,56.666,29.077,56.656],[29.531,56.401,29.562,56.414,29.531,56.43,29.531,56.401,29.456,56.412,29.487,56.382,29.531,56.39,29.531,56.401],[29.459,56.438,29.487,56.422,29.513,56.438,29.487,56.452,29.459,56.438],[29.164,56.438,29.145,56.419,29.202,56.435,29.268,56.428,29.224,56.444,29.164,56.438],[27.568,56.559,27.547,56.559,27.62,56.541,27.658,56.559,27.62,56.575,27.568,56.559],[28.935,56.559,28.96,56.524,28.981,56.535,28.96,56.559,28.935,56.559],[27.706,56.559,27.729,56.547,27.786,56.559,27.729,56.571,27.706,56.559],[27.893,56.396,27.862,56.365,27.905,56.376,27.949,56.413,27.893,56.396],[31.227,56.268,31.201,56.243,31.189,56.268,31.19,56.219,31.223,56.207,31.223,56.17,31.273,56.149,31.247,56.182,31.289,56.207,31.275,56.219,31.362,56.243,31.308,56.243,31.319,56.292,31.227,56.268],[31.206,56.093,31.289,56.039,31.324,56.06,31.289,56.085,31.206,56.093],[31.152,56.17,31.097,56.146,31.157,56.134,31.187,56.097,31.232,56.097,31.223,56.146,31.201,56.146,31.201,56.13,31.152,56.17],[30.132,56.121,30.112,56.109,30.146,56.086,30.16,56.121,30.132,56.121],[30.059,56.146,30.032,56.121,30.043,56.097,30.015,56.091,30.059,56.086,30.059,56.101,30.103,56.101,30.103,56.121,30.075,56.121,30.059,56.146],[30.579,56.194,30.586,56.157,30.552,56.123,30.6,56.146,30.591,56.182,30.616,56.211,30.579,56.194],[30.009,56.027,29.974,56.007,30.015,56.007,30.045,56.023,30.045,56.047,30.009,56.027],[29.936,55.949,29.971,55.917,30.019,55.925,30.015,55.938,29.936,55.949],[30.504,56.022,30.542,55.967,30.574,55.958,30.564,55.986,30.613,55.998,30.623,56.022,30.564,56.004,30.504,56.022],[29.888,56.017,29.909,55.974,29.894,55.949,29.933,55.949,29.951,55.986,29.888,56.017],[30.397,55.851,30.348,55.826,30.388,55.81,30.418,55.826,30.41,55.856,30.397,55.851],[29.966,55.851,30.059,55.836,30.059,55.815,30.075,55.826,30.075,55.851,30.015,55.867,29.971,55.866,29.966,55.851],[29.85,55.826,29.883,55.816,29.912,55.826,29.883,55.843,29.85,55.826],[29.818,55.851,29.839,55.839,29.839,55.851,29.919,55.851,29.883,55.867,29.818,55.851],[30.473,55.603,30.498,55.56,30.535,55.617,30.473,55.603],[30.762,55.746,30.762,55.721,30.806,55.697,30.821,55.727,30.762,55.746],[29.976,55.399,30.015,55.365,30.059,55.369,30.059,55.39,29.976,55.399],[29.509,56.317,29.493,56.298,29.575,56.312,29.531,56.326,29.509,56.317],[29.243,56.17,29.241,56.146,29.268,56.138,29.285,56.17,29.243,56.17],[29.594,56.292,29.619,56.247,29.641,56.292,29.619,56.305,29.594,56.292],[29.09,56.194,29.063,56.17,29.092,56.153,29.136,56.153,29.136,56.17,29.162,56.17,29.092,56.179,29.09,56.194],[28.748,56.194,28.784,56.16,28.811,56.194,28.748,56.194],[28.463,56.292,28.437,56.219,28.521,56.235,28.48,56.243,28.551,56.268,28.477,56.268,28.537,56.292,28.463,56.292],[28.433,56.146,28.383,56.121,28.474,56.106,28.464,56.146,28.433,56.146],[28.828,56.17,28.794,56.121,28.872,56.137,28.828,56.17],[28.631,56.17,28.62,56.121,28.663,56.146,28.66,56.17,28.631,56.17],[28.472,56.17,28.423,56.17,28.477,56.159,28.477,56.132,28.52,56.188,28.477,56.185,28.472,56.17],[27.401,56.365,27.422,56.358,27.391,56.341,27.378,56.355,27.352,56.341,27.295,56.341,27.378,56.329,27.505,56.271,27.51,56.354,27.466,56.352,27.422,56.376,27.401,56.365],[27.07,56.18,27.114,56.14,27.128,56.146,27.114,56.181,27.07,56.18],[27.588,56.17,27.545,56.17,27.576,56.155,27.657,56.17,27.62,56.186,27.588,56.17],[26.988,56.213,26.999,56.194,26.97,56.17,27.026,56.16,27.064,56.194,27.113,56.194,26.988,56.213],[26.968,56.146,26.956,56.121,26.997,56.121,26.997,56.146,26.968,56.146],[29.358,55.925,29.399,55.917,29.401,55.925,29.377,55.949,29.317,55.971,29.355,55.937,29.397,55.925,29.358,55.925],[28.106,56.072,28.108,56.048,28.081,56.033,28.037,56.036,28.037,56.023,28.213,56.015,28.224,56.048,28.187,56.072,28.125,56.083,28.106,56.072],[28.403,56.097,28.389,56.06,28.412,56.048,28.389,56.038,28.433,56.038,28.433,56.072,28.448,56.072,28.433,56.097,28.403,56.097],[29.065,55.949,29.064,55.9,29.031,55.875,29.048,55.851,29.106,55.851,29.061,55.875,29.136,55.935,29.092,55.935,29.092,55.963,29.065,55.949],[27.284,55.998,27.255,55.953,27.311,55.974,27.284,55.998],[27.224,56.048,27.171,56.072,27.202,56.016,27.378,56.012,27.41,56.04,27.22,56.023,27.202,56.048,27.224,56.048],[27.07,55.715,27.133,55.727,27.098,55.727,27.084,55.777,27.07,55.763,27.026,55.787,27.003,55.777,27.07,55.715,27.026,55.717,27.002,55.702,27.026,55.661,27.07,55.715],[26.965,55.628,27.007,55.628,26.949,55.627,26.982,55.596,27.004,55.602,27.048,55.58,27.114,55.587,27.114,55.603,27.053,55.628,27.062,55.648,26.965,55.628],[27.378,55.628,27.378,55.617,27.334,55.617,27.334,55.595,27.268,55.578,27.29,55.565,27.353,55.578,27.373,55.603,27.395,55.603,27.378,55.628],[27.076,55.696,27.114,55.639,27.114,55.668,27.158,55.67,27.192,55.696,27.136,55.684,27.076,55.696],[29.07,55.154,29.07,55.129,29.108,55.104,29.092,55.166,29.07,55.154],[28.924,55.153,28.96,55.12,29.004,55.145,28.924,55.153],[29.048,54.718,29.066,54.687,29.037,54.648,29.048,54.617,29.14,54.661,29.118,54.699,29.048,54.718],[29.128,54.572,29.13,54.547,29.174,54.547,29.147,54.521,29.18,54.5,29.18,54.521,29.207,54.521,29.145,54.572,29.18,54.572,29.18,54.585,29.158,54.591,29.128,54.572],[28.809,55.279,28.771,55.279,28.828,55.269,28.872,55.299,28.828,55.298,28.809,55.279],[28.496,55.354,28.477,55.332,28.544,55.354,28.521,55.366,28.496,55.354],[28.851,55.204,28.851,55.179,28.872,55.179,28.908,55.204,28.851,55.204],[28.891,55.254,28.899,55.229,28.828,55.236,28.79,55.209,28.916,55.225,28.916,55.245,28.96,55.245,28.916,55.254,28.916,55.269,28.891,55.254],[28.696,54.954,28.678,54.952,28.696,54.921,28.662,54.902,28.663,54.877,28.712,54.902,28.696,54.954],[28.415,54.521,28.389,54.512,28.463,54.5,28.433,54.531,28.415,54.521],[28.173,55.196,28.213,55.162,28.269,55.179,28.173,55.196],[27.202,54.521,27.202,54.506,27.158,54.505,27.114,54.483,27.158,54.434,27.202,54.426,27.158,54.457,27.158,54.484,27.218,54.496,27.232,54.521,27.202,54.521],[26.966,54.496,27.097,54.47,27.102,54.521,27.048,54.499,26.966,54.496],[26.591,58.54,26.675,58.525,26.702,58.54,26.675,58.55,26.591,58.54],[26.881,56.825,26.796,56.777,26.763,56.706,26.895,56.738,26.937,56.731,26.925,56.753,26.982,56.787,26.938,56.787,26.938,56.801,26.895,56.794,26.895,56.816,26.938,56.825,26.881,56.825],[26.023,58.194,26.06,58.096,26.093,58.136,26.091,58.194,26.141,58.252,26.141,58.333,26.171,58.356,26.147,58.379,26.104,58.373,26.104,58.393,26.147,58.393,26.147,58.405,25.995,58.402,25.96,58.379,25.972,58.343,25.928,58.343,25.898,58.309,25.989,58.24,25.998,58.194,26.023,58.194],[25.168,57.775,25.202,57.728,25.252,57.704,25.313,57.713,25.225,57.781,25.168,57.775],[25.726,57.111,25.738,57.089,25.813,57.089,25.726,57.111],[24.675,56.762,24.733,56.717,24.863,56.692,24.851,56.71,24.763,56.72,24.675,56.762],[23.451,57.017,23.423,56.969,23.488,56.993,23.491,57.017,23.467,57.028,23.451,57.017],[24.302,57.048,24.279,57.041,24.28,57.014,24.302,57.033,24.356,57.041,24.302,57.048],[24.106,57.017,24.126,57.006,24.143,57.036,24.17,56.993,24.269,56.993,24.181,57.017,24.17,57.051,24.126,57.051,24.142,57.038,24.106,57.017],[23.048,57.303,23.088,57.303,23.06,57.255,23.115,57.239,23.115,57.185,23.137,57.208,23.135,57.303,23.071,57.315,23.048,57.303],[24.253,56.849,24.269,56.837,24.22,56.848,24.225,56.837,24.27,56.836,24.302,56.817,24.337,56.837,24.456,56.831,24.51,56.805,24.554,56.813,24.546,56.825,24.543,56.813,24.5,56.817,24.456,56.844,24.368,56.843,24.258,56.863,24.253,56.849],[23.687,56.921,23.643,56.893,23.818,56.921,23.836,56.945,23.808,56.957,23.774,56.928,23.687,56.921],[24.078,57.017,24.082,56.995,24.056,56.993,24.104,56.964,24.082,57.035,24.078,57.017],[26.323,55.851,26.367,55.842,26.367,55.871,26.411,55.875,26.367,55.878,26.323,55.851],[25.796,55.852,25.796,55.826,25.708,55.835,25.664,55.826,25.84,55.816,25.796,55.852],[25.252,56.596,25.247,56.568,25.334,56.584,25.291,56.599,25.252,56.596],[23.291,55.9,23.266,55.851,23.291,55.844,23.338,55.875,23.3,55.875,23.291,55.9],[26.719,55.728,26.699,55.702,26.719,55.671,26.745,55.69,26.719,55.728],[26.563,55.653,26.556,55.628,26.479,55.628,26.521,55.606,26.587,55.613,26.631,55.569,26.662,55.591,26.636,55.616,26.675,55.65,26.631,55.642,26.587,55.662,26.563,55.653],[26.323,55.454,26.367,55.444,26.411,55.475,26.323,55.454],[26.788,55.404,26.887,55.362,26.851,55.387,26.851,55.413,26.788,55.404],[26.367,55.512,26.251,55.479,26.279,55.471,26.279,55.454,26.299,55.454,26.299,55.479,26.367,55.499,26.367,55.479,26.408,55.479,26.367,55.512],[26.455,55.499,26.468,55.479,26.587,55.472,26.455,55.499],[26.169,55.628,26.191,55.616,26.235,55.628,26.235,55.641,26.169,55.628],[26.06,55.789,26.06,55.837,26.039,55.826,26.06,55.789,26.044,55.752,26.072,55.752,26.104,55.716,26.129,55.752,26.104,55.766,26.06,55.757,26.06,55.789],[26.191,55.603,26.191,55.573,26.339,55.578,26.235,55.583,26.191,55.603],[25.972,55.652,26.012,55.616,25.976,55.586,26.016,55.589,26.047,55.628,26.06,55.614,26.086,55.628,26.088,55.651,26.038,55.629,25.972,55.652,25.995,55.653,25.972,55.664,25.952,55.653,25.972,55.635,25.972,55.652],[26.039,55.354,26.06,55.322,26.104,55.329,26.104,55.341,26.06,55.341,26.06,55.367,26.039,55.354],[26.082,55.379,26.084,55.354,26.115,55.354,26.104,55.388,26.082,55.379],[25.664,55.628,25.664,55.575,25.684,55.578,25.692,55.628,25.664,55.628],[25.248,55.504,25.313,55.49,25.313,55.517,25.248,55.504],[16.465,58.905,16.523,58.859,16.565,58.859,16.542,58.905,16.465,58.905],[16.859,58.927,16.836,58.859,16.888,58.882,16.875,58.927,16.909,58.927,16.875,58.937,16.859,58.927],[16.743,58.814,16.699,58.82,16.717,58.859,16.706,58.882,16.754,58.882,16.721,58.892,16.693,58.882,16.664,58.848,16.679,58.791,16.721,58.791,16.699,58.814,16.743,58.814],[17.295,58.791,17.314,58.758,17.339,58.768,17.314,58.803,17.295,58.791],[16.567,58.877,16.589,58.814,16.655,58.804,16.632,58.859,16.567,58.877],[16.283,58.859,16.304,58.833,16.392,58.832,16.348,58.846,16.304,58.84,16.304,58.876,16.283,58.859],[16.15,58.723,16.172,58.693,16.227,58.7,16.216,58.719,16.216,58.7,16.175,58.7,16.184,58.723,16.172,58.732,16.15,58.723],[16.299,58.309,16.304,58.273,16.208,58.263,16.348,58.256,16.364,58.24,16.373,58.286,16.348,58.286,16.348,58.274,16.304,58.29,16.299,58.309],[16.065,58.379,16.084,58.32,16.096,58.356,16.128,58.359,16.084,58.359,16.084,58.389,16.065,58.379],[15.864,58.831,15.864,58.807,15.931,58.814,15.864,58.831],[15.876,58.882,15.908,58.85,15.952,58.85,15.952,58.82,15.989,58.814,15.969,58.859,15.952,58.873,15.952,58.859,15.925,58.859,15.908,58.9,15.876,58.882],[15.908,58.663,15.93,58.654,15.908,58.628,15.864,58.648,15.833,58.631,15.884,58.608,15.884,58.585,15.952,58.594,15.996,58.578,16.018,58.597,16.084,58.599,15.996,58.66,15.908,58.663],[15.938,58.263,15.952,58.233,15.988,58.282,15.938,58.263],[16.369,58.031,16.392,58.02,16.417,58.031,16.453,58.008,16.436,58.043,16.369,58.031],[16.385,58.148,16.367,58.124,16.392,58.11,16.414,58.124,16.385,58.148],[16.285,58.217,16.304,58.215,16.304,58.177,16.335,58.171,16.317,58.217,16.304,58.227,16.285,58.217],[16.059,57.985,16.089,57.938,16.104,57.985,16.084,57.997,16.059,57.985],[16.06,57.681,16.108,57.681,16.108,57.657,16.143,57.681,16.128,57.697,16.06,57.681],[15.776,58.151,15.82,58.148,15.82,58.133,15.852,58.148,15.82,58.164,15.776,58.151],[15.845,57.962,15.837,57.938,15.864,57.918,15.864,57.938,15.887,57.938,15.942,57.917,15.932,57.938,15.845,57.962],[15.82,57.81,15.82,57.785,15.874,57.798,15.82,57.81,15.82,57.832,15.776,57.832,15.82,57.81],[22.104,57.216,22.134,57.184,22.104,57.184,22.104,57.172,22.167,57.184,22.167,57.16,22.142,57.16,22.165,57.136,22.192,57.136,22.211,57.184,22.104,57.216],[22.174,57.232,22.148,57.232,22.148,57.218,22.225,57.21,22.215,57.232,22.174,57.232],[22.317,55.727,22.324,55.673,22.358,55.715,22.317,55.727],[21.352,56.632,21.33,56.608,21.357,56.595,21.378,56.62,21.352,56.632],[21.313,55.398,21.299,55.354,21.368,55.354,21.313,55.398],[21.864,56.072,21.864,56.048,21.811,56.023,21.806,56,21.885,56.047,21.891,56.072,21.864,56.072],[21.031,56.511,21.041,56.414,21.094,56.394,21.065,56.426,21.069,56.511,21.05,56.523,21.031,56.511],[15.844,57.469,15.864,57.434,15.885,57.445,15.874,57.469,15.844,57.469],[16.216,57.389,16.222,57.351,16.277,57.374,16.216,57.389],[15.996,57.414,16.014,57.374,16.048,57.398,15.996,57.414],[15.975,57.041,15.996,57.032,15.996,56.984,16.112,56.993,16.035,56.993,16.017,57.041,15.996,57.053,15.975,57.041],[15.82,58.882,15.791,58.882,15.791,58.905,15.765,58.905,15.776,58.873,15.85,58.882,15.82,58.897,15.82,58.882],[15.658,58.286,15.688,58.286,15.667,58.263,15.723,58.263,15.688,58.294,15.658,58.286],[15.82,58.048,15.82,58.031,15.776,58.014,15.699,58.027,15.802,57.985,15.802,57.962,15.864,57.974,15.864,57.985,15.828,57.985,15.842,58.031,15.82,58.048],[15.636,58.217,15.625,58.171,15.645,58.148,15.688,58.146,15.676,58.055,15.732,58.042,15.732,58.055,15.694,58.055,15.703,58.148,15.667,58.159,15.645,58.239,15.636,58.217],[15.513,58.148,15.513,58.072,15.536,58.148,15.513,58.148],[15.566,58.54,15.573,58.517,15.526,58.482,15.601,58.442,15.645,58.465,15.612,58.494,15.67,58.494,15.688,58.471,15.732,58.502,15.973,58.517,15.894,58.517,15.864,58.533,15.828,58.517,15.82,58.533,15.776,58.517,15.667,58.54,15.566,58.54],[15.315,57.938,15.337,57.883,15.359,57.891,15.365,57.938,15.315,57.938],[15.549,57.938,15.541,57.915,15.586,57.895,15.57,57.938,15.557,57.947,15.549,57.938],[14.953,58.836,14.985,58.821,15.013,58.836,14.985,58.852,14.953,58.836],[15.221,58.882,15.249,58.868,15.293,58.872,15.249,58.895,15.221,58.882],[15.083,58.563,15.086,58.54,15.139,58.56,15.249,58.533,15.284,58.563,15.117,58.579,15.083,58.563],[15.161,58.037,15.191,57.996,15.17,57.95,15.196,57.915,15.236,58.008,15.266,57.985,15.249,57.974,15.293,57.974,15.293,57.946,15.337,57.946,15.316,57.985,15.293,57.985,15.337,58.002,15.368,57.985,15.381,57.942,15.381,58.013,15.337,58.021,15.293,58.008,15.293,58.031,15.249,58.014,15.226,58.031,15.249,58.048,15.161,58.037],[15.052,58.031,15.029,58.141,15.029,58.065,14.985,58.065,14.985,58.055,15.052,58.031,15.054,58.008,15.117,58.019,15.117,58.008,15.094,58.008,15.117,57.979,15.117,58.008,15.15,58.008,15.117,58.04,15.052,58.031],[15.676,57.634,15.648,57.621,15.714,57.613,15.703,57.634,15.676,57.634],[15.319,57.563,15.318,57.539,15.381,57.534,15.337,57.539,15.354,57.563,15.337,57.571,15.319,57.563],[15.117,57.837,15.117,57.808,15.224,57.821,15.205,57.834,15.117,57.837],[15.205,57.563,15.249,57.545,15.282,57.563,15.273,57.587,15.205,57.575,15.205,57.563,15.143,57.563,15.143,57.587,15.067,57.587,15.117,57.549,15.205,57.551,15.205,57.563],[15.381,57.327,15.416,57.371,15.36,57.35,15.381,57.327],[15.117,57.124,15.117,57.102,15.073,57.102,15.073,57.083,15.117,57.074,15.145,57.089,15.13,57.112,15.174,57.112,15.117,57.124],[14.83,57.563,14.857,57.469,14.875,57.539,14.83,57.563],[14.886,57.657,14.874,57.622,14.897,57.598,14.92,57.61,14.886,57.657],[14.985,57.204,14.976,57.136,15.021,57.112,15.005,57.089,15.029,57.089,15.029,57.143,14.985,57.204],[14.854,57.065,14.897,57.047,14.941,57.074,14.81,57.061,14.854,57.065],[14.753,57.255,14.805,57.241,14.801,57.279,14.753,57.255],[14.941,57.208,14.941,57.188,14.881,57.184,14.897,57.153,14.914,57.16,14.897,57.184,14.956,57.184,14.941,57.208],[15.337,56.77,15.337,56.742,15.381,56.753,15.381,56.77,15.337,56.77],[15.521,56.583,15.557,56.529,15.578,56.535,15.557,56.575,15.521,56.583],[14.81,56.964,14.81,56.928,14.854,56.928,14.854,56.945,14.81,56.964],[14.926,57.017,14.901,56.973,14.985,56.986,14.964,57.017,14.926,57.017],[14.926,56.608,14.985,56.592,14.976,56.632,14.926,56.608],[15.05,56.777,15.042,56.735,15.073,56.741,15.117,56.701,15.117,56.717,15.165,56.729,15.143,56.777,15.117,56.787,15.117,56.759,15.073,56.759,15.073,56.79,15.05,56.777],[14.832,56.438,14.834,56.39,14.875,56.39,14.875,56.414,14.913,56.414,14.854,56.448,14.832,56.438],[26.737,55.304,26.774,55.279,26.788,55.304,26.763,55.319,26.737,55.304],[26.104,55.304,26.07,55.229,26.104,55.229,26.104,55.274,26.122,55.279,26.104,55.304],[26.701,54.902,26.675,54.868,26.719,54.86,26.702,54.851,26.785,54.806,26.835,54.826,26.842,54.851,26.851,54.823,26.867,54.826,26.895,54.873,26.895,54.846,26.982,54.839,26.982,54.851,26.938,54.861,26.91,54.851,26.919,54.877,26.895,54.891,26.851,54.877,26.741,54.889,26.719,54.912,26.701,54.902],[26.825,54.952,26.851,54.918,26.905,54.927,26.851,54.951,26.851,54.967,26.825,54.952],[26.543,54.994,26.568,54.952,26.602,54.952,26.587,54.988,26.543,54.994],[25.532,55.258,25.576,55.239,25.62,55.254,25.62,55.237,25.652,55.254,25.652,55.279,25.598,55.259,25.532,55.258],[25.444,55.223,25.444,55.179,25.414,55.179,25.444,55.173,25.471,55.204,25.444,55.204,25.444,55.223,25.488,55.197,25.501,55.204,25.488,55.236,25.444,55.223],[25.664,55.078,25.664,55.058,25.62,55.053,25.65,55.053,25.664,55.035,25.695,55.053,25.664,55.078],[25.532,55.213,25.532,55.194,25.613,55.204,25.602,55.154,25.62,55.143,25.661,55.229,25.532,55.213],[25.693,55.104,25.708,55.055,25.734,55.078,25.723,55.104,25.693,55.104],[25.446,55.078,25.488,55.078,25.488,55.058,25.465,55.053,25.518,55.03,25.496,55.078,25.446,55.078],[24.056,54.902,24.008,54.877,23.975,54.889,23.994,54.86,24.038,54.864,24.082,54.896,24.126,54.882,24.126,54.845,24.17,54.847,24.17,54.826,24.143,54.826,24.214,54.822,24.214,54.793,24.233,54.801,24.239,54.826,24.214,54.846,24.214,54.826,24.193,54.826,24.214,54.861,24.17,54.862,24.141,54.902,24.082,54.918,24.056,54.902],[25.664,54.679,25.639,54.648,25.688,54.648,25.689,54.674,25.664,54.679],[26.543,54.739,26.543,54.711,26.602,54.725,26.543,54.739],[24.653,54.788,24.653,54.736,24.697,54.736,24.697,54.75,24.675,54.75,24.706,54.775,24.653,54.788],[26.436,54.801,26.476,54.801,26.499,54.75,26.535,54.75,26.499,54.808,26.477,54.817,26.436,54.801],[24.915,54.674,24.848,54.674,24.917,54.668,24.917,54.616,24.944,54.661,24.917,54.683,24.915,54.674],[25.085,54.474,25.052,54.45,25.093,54.456,25.125,54.492,25.085,54.474],[23.75,54.317,23.746,54.291,23.789,54.265,23.8,54.291,23.774,54.329,23.75,54.317],[24.346,54.348,24.39,54.311,24.401,54.342,24.346,54.348],[23.609,54.47,23.643,54.444,23.643,54.463,23.672,54.47,23.643,54.489,23.609,54.47],[22.966,54.648,22.923,54.648,23.024,54.628,22.983,54.657,22.966,54.648],[22.743,54.393,22.752,54.432,22.72,54.458,22.698,54.419,22.72,54.393,22.743,54.393],[23.643,54.335,23.687,54.259,23.73,54.268,23.73,54.291,23.687,54.328,23.643,54.335],[23.687,54.137,23.665,54.085,23.713,54.064,23.687,54.137],[23.065,54.111,23.071,54.018,23.027,54.022,22.996,54.008,23.074,54,23.105,54.021,23.081,54.111,23.065,54.111],[21.929,54.137,21.929,54.1,21.973,54.098,21.958,54.137,21.929,54.137],[22.159,54.111,22.17,54.085,22.236,54.082,22.159,54.111],[21.753,54.195,21.753,54.167,21.862,54.188,21.841,54.2,21.817,54.188,21.753,54.195],[21.561,54.24,21.537,54.218,21.648,54.24,21.561,54.24],[21.72,54.008,21.812,54,21.797,54.027,21.753,54.029,21.72,54.008],[21.626,54.214,21.662,54.175,21.665,54.137,21.691,54.137,21.691,54.162,21.709,54.162,21.709,54.123,21.643,54.13,21.568,54.085,21.621,54.068,21.645,54.085,21.681,54.085,21.697,54.034,21.726,54.034,21.709,54.102,21.753,54.093,21.783,54.111,21.734,54.137,21.733,54.188,21.626,54.214],[21.611,54.059,21.592,54.034,21.621,54.015,21.649,54.034,21.621,54.034,21.611,54.059],[19.412,54.111,19.508,54.091,19.494,54.111,19.424,54.123,19.412,54.111],[18.045,54.801,18.039,54.75,18.062,54.744,18.062,54.725,18.029,54.725,18.062,54.719,18.082,54.737,18.062,54.801,18.045,54.801],[17.966,54.244,17.932,54.216,17.997,54.24,18.015,54.265,17.966,54.244],[16.628,54.547,16.567,54.537,16.611,54.539,16.655,54.517,16.655,54.562,16.628,54.547],[17.123,54.674,17.075,54.674,17.075,54.648,17.051,54.644,17.178,54.627,17.123,54.674],[17.49,54.699,17.49,54.69,17.507,54.699,17.49,54.699,17.49,54.718,17.534,54.74,17.534,54.761,17.534,54.75,17.49,54.759,17.446,54.743,17.314,54.733,17.271,54.699,17.336,54.712,17.321,54.678,17.358,54.685,17.402,54.669,17.402,54.686,17.446,54.686,17.426,54.725,17.465,54.725,17.465,54.699,17.49,54.699],[17.618,54.034,17.603,54,17.636,54,17.638,54.034,17.618,54.034],[14.628,58.927,14.606,58.905,14.634,58.905,14.634,58.868,14.659,58.882,14.655,58.927,14.634,58.937,14.628,58.927],[14.695,58.905,14.689,58.882,14.722,58.87,14.735,58.905,14.722,58.914,14.695,58.905],[14.737,58.031,14.766,58.008,14.786,58.031,14.766,58.031,14.766,58.048,14.737,58.031],[14.845,58.379,14.81,58.352,14.766,58.379,14.766,58.363,14.722,58.363,14.701,58.333,14.81,58.328,14.935,58.369,14.845,58.379],[14.505,58.856,14.53,58.814,14.56,58.814,14.546,58.852,14.505,58.856],[14.546,57.828,14.533,57.798,14.59,57.79,14.546,57.828],[14.578,58.008,14.56,57.996,14.59,57.938,14.607,57.985,14.578,58.008],[13.931,58.588,13.897,58.563,13.903,58.54,13.938,58.563,13.931,58.588],[14.317,58.677,14.224,58.631,14.218,58.608,14.194,58.608,14.238,58.573,14.271,58.568,14.254,58.608,14.282,58.646,14.364,58.631,14.344,58.677,14.317,58.677],[14.37,58.649,14.37,58.616,14.326,58.608,14.369,58.608,14.402,58.585,14.37,58.649],[13.953,58.677,13.931,58.645,13.975,58.645,14.019,58.687,13.953,58.677],[14.448,58.836,14.358,58.814,14.355,58.791,14.414,58.751,14.458,58.759,14.458,58.688,14.502,58.719,14.49,58.745,14.546,58.806,14.502,58.806,14.502,58.828,14.448,58.836],[14.473,57.985,14.502,57.977,14.502,57.922,14.513,57.985,14.546,57.986,14.502,58,14.473,57.985],[14.216,58.494,14.238,58.463,14.301,58.471,14.319,58.492,14.26,58.482,14.282,58.51,14.216,58.494],[14.42,58.579,14.458,58.551,14.437,58.517,14.458,58.507,14.502,58.54,14.475,58.54,14.474,58.563,14.42,58.579],[14.482,57.845,14.502,57.82,14.528,57.845,14.502,57.859,14.482,57.845],[14.854,58.806,14.854,58.791,14.896,58.791,14.797,58.768,14.778,58.753,14.81,58.761,14.832,58.745,14.782,58.745,14.788,58.711,14.722,58.709,14.702,58.677,14.634,58.666,14.532,58.608,14.536,58.574,14.502,58.551,14.532,58.528,14.521,58.494,14.444,58.471,14.47,58.448,14.414,58.434,14.353,58.333,14.284,58.298,14.26,58.217,14.194,58.156,14.238,58.153,14.238,58.141,14.211,58.124,14.222,58.101,14.194,58.082,14.172,57.996,14.135,57.985,14.114,57.95,14.106,57.886,14.158,57.845,14.15,57.784,14.172,57.78,14.264,57.798,14.265,57.868,14.318,57.938,14.414,57.992,14.45,57.987,14.474,58.055,14.518,58.078,14.591,58.171,14.569,58.194,14.596,58.194,14.61,58.263,14.646,58.286,14.622,58.333,14.645,58.333,14.678,58.387,14.722,58.392,14.715,58.425,14.749,58.425,14.766,58.402,14.766,58.425,14.789,58.425,14.758,58.448,14.81,58.477,14.854,58.465,14.854,58.44,14.93,58.471,14.973,58.517,14.985,58.502,15.006,58.517,14.999,58.54,14.968,58.54,15.018,58.54,15.005,58.563,14.941,58.563,14.941,58.582,14.897,58.554,14.897,58.585,14.854,58.572,14.897,58.618,14.941,58.618,14.924,58.631,14.946,58.654,14.907,58.654,14.941,58.672,14.923,58.7,14.985,58.745,14.985,58.76,14.897,58.763,14.897,58.773,14.988,58.791,14.854,58.806],[13.572,58.356,13.535,58.346,13.491,58.279,13.555,58.286,13.599,58.333,13.572,58.356],[13.7,58.563,13.755,58.549,13.747,58.585,13.7,58.563],[13.315,57.646,13.34,57.657,13.315,57.691,13.286,57.657,13.315,57.657,13.315,57.646,13.293,57.652,13.258,57.634,13.271,57.623,13.315,57.646],[13.384,57.775,13.377,57.728,13.415,57.728,13.403,57.775,13.384,57.775],[13.228,57.775,13.208,57.751,13.228,57.739,13.247,57.751,13.247,57.775,13.228,57.775],[13.243,57.798,13.228,57.778,13.293,57.798,13.271,57.811,13.243,57.798],[14.744,57.421,14.766,57.392,14.803,57.435,14.744,57.421],[14.326,57.323,14.311,57.279,14.355,57.255,14.326,57.217,14.37,57.217,14.37,57.202,14.39,57.255,14.37,57.279,14.414,57.279,14.414,57.266,14.421,57.279,14.37,57.286,14.326,57.323],[14.546,57.129,14.59,57.111,14.59,57.089,14.558,57.089,14.619,57.065,14.59,57.122,14.546,57.129],[14.595,57.232,14.572,57.208,14.59,57.136,14.61,57.208,14.654,57.232,14.634,57.246,14.595,57.232],[13.701,57.327,13.711,57.284,13.645,57.279,13.722,57.279,13.724,57.327,13.701,57.327],[13.943,57.041,13.975,57.041,13.975,56.958,13.995,57.017,14.062,57.057,13.943,57.041],[14.15,57.069,14.15,57.008,14.174,57.041,14.174,57.065,14.15,57.069],[13.735,57.065,13.68,57.041,13.711,57.041,13.755,57.007,13.843,57.007,13.811,57.017,13.858,57.041,13.815,57.041,13.815,57.065,13.755,57.075,13.735,57.065],[14.019,57.136,14,57.065,14.041,57.065,14.06,57.136,14.019,57.136],[14.114,57.231,14.15,57.14,14.171,57.208,14.114,57.231],[13.35,57.704,13.359,57.634,13.338,57.634,13.359,57.605,13.389,57.645,13.372,57.704,13.403,57.704,13.403,57.719,13.35,57.704],[13.315,56.958,13.315,56.937,13.359,56.937,13.359,56.958,13.315,56.958],[13.491,57.081,13.473,57.017,13.535,57.017,13.535,57.001,13.535,57.021,13.491,57.019,13.515,57.065,13.491,57.081],[13.129,57.232,13.115,57.208,13.14,57.184,13.12,57.184,13.176,57.163,13.152,57.22,13.184,57.251,13.14,57.248,13.129,57.232],[14.733,56.873,14.766,56.855,14.766,56.827,14.79,56.849,14.778,56.873,14.733,56.873],[14.75,57.017,14.766,56.969,14.746,56.969,14.746,56.993,14.678,56.969,14.766,56.953,14.745,56.897,14.766,56.883,14.801,56.981,14.786,57.017,14.75,57.017],[14.458,56.584,14.458,56.572,14.414,56.574,14.406,56.535,14.433,56.535,14.458,56.572,14.458,56.597,14.433,56.584,14.458,56.584],[14.699,56.584,14.699,56.559,14.81,56.549,14.766,56.569,14.722,56.564,14.722,56.584,14.699,56.584],[14.678,56.719,14.722,56.687,14.722,56.659,14.766,56.659,14.722,56.713,14.678,56.719],[14.58,56.753,14.59,56.717,14.634,56.715,14.606,56.753,14.58,56.753],[14.678,56.68,14.678,56.648,14.738,56.632,14.751,56.584,14.766,56.598,14.854,56.594,14.897,56.608,14.854,56.615,14.81,56.68,14.794,56.656,14.705,56.656,14.705,56.68,14.678,56.68],[14.543,56.849,14.528,56.825,14.562,56.777,14.562,56.801,14.597,56.801,14.546,56.865,14.543,56.849],[14.656,56.559,14.656,56.596,14.678,56.603,14.722,56.584,14.722,56.608,14.704,56.632,14.663,56.632,14.634,56.68,14.644,56.705,14.62,56.705,14.634,56.582,14.608,56.559,14.634,56.55,14.656,56.559,14.678,56.524,14.702,56.535,14.656,56.559],[13.755,56.825,13.755,56.792,13.729,56.777,13.755,56.762,13.78,56.777,13.755,56.825],[14.238,56.878,14.282,56.873,14.25,56.849,14.309,56.825,14.29,56.873,14.238,56.878],[13.656,56.993,13.651,56.945,13.579,56.918,13.646,56.897,13.609,56.849,13.607,56.801,13.667,56.781,13.657,56.825,13.667,56.797,13.767,56.873,13.711,56.88,13.793,56.874,13.773,56.993,13.755,56.993,13.755,56.932,13.705,56.921,13.699,56.945,13.728,56.969,13.711,56.986,13.731,56.993,13.667,57.006,13.656,56.993],[13.611,56.341,13.694,56.341,13.7,56.365,13.611,56.341],[14.142,56.705,14.116,56.56,14.158,56.584,14.168,56.656,14.194,56.68,14.194,56.641,14.242,56.656,14.21,56.705,14.178,56.705,14.161,56.68,14.142,56.705],[13.521,56.945,13.535,56.864,13.513,56.849,13.535,56.84,13.552,56.945,13.535,56.954,13.521,56.945],[13.447,56.897,13.425,56.873,13.447,56.873,13.447,56.843,13.471,56.897,13.447,56.897],[12.325,58.836,12.312,58.814,12.371,58.836,12.436,58.82,12.393,58.85,12.393,58.836,12.349,58.846,12.325,58.836],[12.481,58.927,12.51,58.836,12.48,58.836,12.48,58.825,12.524,58.825,12.524,58.867,12.542,58.882,12.543,58.905,12.481,58.927],[12.374,58.905,12.375,58.859,12.393,58.859,12.393,58.905,12.374,58.905],[12.138,58.927,12.173,58.872,12.217,58.867,12.188,58.905,12.232,58.905,12.138,58.927],[12.437,58.95,12.428,58.905,12.468,58.882,12.437,58.95],[11.535,58.859,11.55,58.814,11.589,58.8,11.565,58.859,11.535,58.859],[11.632,58.927,11.628,58.905,11.689,58.882,11.655,58.916,11.689,58.946,11.646,58.944,11.632,58.927],[9.215,58.836,9.229,58.805,9.265,58.851,9.215,58.836],[9.085,58.814,9.084,58.791,9.123,58.773,9.1,58.802,9.128,58.829,9.085,58.814],[11.677,58.814,11.689,58.8,11.689,58.814,11.727,58.814,11.693,58.768,11.754,58.791,11.733,58.82,11.677,58.814],[11.55,58.677,11.558,58.615,11.597,58.7,11.55,58.677],[8.692,58.791,8.701,58.752,8.738,58.748,8.722,58.791,8.692,58.791],[8.772,58.814,8.789,58.78,8.826,58.833,8.772,58.814],[12.477,58.055,12.47,58.008,12.437,58.001,12.495,58.008,12.48,58.031,12.502,58.031,12.502,58.055,12.573,58.055,12.502,58.072,12.477,58.055],[12.581,58.402,12.518,58.379,12.551,58.356,12.588,58.356,12.656,58.397,12.581,58.402],[12.86,57.915,12.876,57.868,12.852,57.868,12.876,57.852,12.905,57.868,12.886,57.891,12.92,57.898,12.876,57.898,12.876,57.932,12.86,57.915],[12.524,57.751,12.502,57.751,12.502,57.728,12.465,57.728,12.459,57.704,12.524,57.715,12.524,57.751],[12.949,57.775,12.92,57.76,12.964,57.76,13.008,57.783,12.949,57.775],[12.48,57.832,12.48,57.755,12.502,57.81,12.48,57.832],[13.579,58.677,13.579,58.689,13.668,58.7,13.682,58.654,13.755,58.705,13.843,58.717,13.907,58.768,13.865,58.787,13.799,58.753,13.755,58.764,13.755,58.737,13.711,58.737,13.738,58.791,13.667,58.81,13.636,58.836,13.667,58.852,13.711,58.851,13.69,58.836,13.743,58.817,13.755,58.851,13.799,58.836,13.777,58.814,13.799,58.807,13.821,58.848,13.887,58.848,13.861,58.791,13.887,58.791,13.887,58.82,13.949,58.814,14.032,58.927,14.033,58.95,13.991,58.973,14.004,58.995,13.975,59.006,14.063,59.006,14.106,59.036,14.15,59.038,14.15,59.053,14.079,59.063,14.153,59.063,14.106,59.069,14.106,59.122,14.07,59.097,14.084,59.074,14.03,59.079,14.043,59.063,14.019,59.05,13.953,59.052,13.944,59.063,13.965,59.131,13.99,59.131,14.019,59.161,14.047,59.153,14.041,59.187,14.07,59.198,14.073,59.266,14.019,59.277,14.036,59.311,14.019,59.317,14.019,59.292,13.991,59.311,14.019,59.344,13.975,59.343,13.975,59.304,13.931,59.294,13.903,59.311,13.921,59.324,13.855,59.333,13.931,59.336,13.843,59.336,13.843,59.363,13.799,59.363,13.799,59.35,13.843,59.328,13.755,59.321,13.735,59.333,13.767,59.333,13.728,59.356,13.755,59.371,13.755,59.356,13.779,59.356,13.755,59.389,13.755,59.378,13.711,59.389,13.623,59.353,13.595,59.356,13.623,59.378,13.597,59.378,13.579,59.4,13.579,59.361,13.535,59.372,13.501,59.356,13.535,59.333,13.579,59.356,13.608,59.333,13.579,59.333,13.579,59.32,13.637,59.311,13.623,59.296,13.568,59.311,13.557,59.255,13.513,59.255,13.477,59.288,13.525,59.291,13.512,59.311,13.447,59.317,13.422,59.333,13.418,59.378,13.391,59.378,13.373,59.356,13.315,59.371,13.259,59.356,13.28,59.333,13.259,59.333,13.301,59.311,13.34,59.311,13.315,59.298,13.228,59.302,13.228,59.258,13.184,59.363,13.15,59.333,13.14,59.353,13.114,59.333,13.148,59.311,13.147,59.266,13.14,59.278,13.121,59.266,13.144,59.221,13.116,59.221,13.161,59.198,13.164,59.153,13.216,59.097,13.241,58.961,13.281,58.905,13.184,58.889,13.184,58.905,13.212,58.905,13.14,58.911,13.114,58.95,13.052,58.964,13.109,58.995,13.031,59.018,13.008,59.052,12.921,59.057,12.927,59.041,12.903,59.041,12.891,59.086,12.832,59.099,12.832,59.086,12.86,59.086,12.788,59.063,12.834,59.063,12.832,59.051,12.744,59.04,12.744,59.053,12.7,59.053,12.729,59.018,12.656,58.976,12.716,58.973,12.645,58.95,12.664,58.927,12.631,58.905,12.656,58.864,12.612,58.863,12.63,58.859,12.589,58.836,12.612,58.836,12.612,58.819,12.59,58.816,12.524,58.835,12.546,58.802,12.48,58.804,12.457,58.791,12.437,58.836,12.437,58.814,12.414,58.814,12.457,58.791,12.524,58.781,12.524,58.763,12.491,58.768,12.509,58.7,12.562,58.654,12.612,58.654,12.612,58.667,12.67,58.654,12.612,58.599,12.568,58.59,12.593,58.585,12.549,58.563,12.548,58.54,12.453,58.494,12.443,58.471,12.431,58.494,12.324,58.425,12.305,58.387,12.349,58.387,12.349,58.371,12.393,58.395,12.437,58.385,12.437,58.409,12.524,58.384,12.557,58.448,12.612,58.478,12.657,58.471,12.633,58.471,12.612,58.425,12.587,58.425,12.612,58.411,12.7,58.413,12.682,58.425,12.7,58.455,12.769,58.451,12.766,58.482,12.832,58.475,12.832,58.5,12.876,58.488,12.958,58.531,12.914,58.54,12.952,58.54,12.939,58.563,12.964,58.581,12.98,58.563,13.008,58.617,13.052,58.617,13.052,58.631,13.025,58.631,13.089,58.632,13.077,58.677,13.14,58.711,13.14,58.691,13.184,58.691,13.184,58.717,13.216,58.7,13.208,58.677,13.242,58.677,13.196,58.631,13.184,58.648,13.152,58.631,13.152,58.608,13.206,58.62,13.206,58.597,13.129,58.54,13.184,58.5,13.25,58.494,13.297,58.517,13.344,58.608,13.403,58.633,13.481,58.633,13.491,58.666,13.563,58.654,13.579,58.677],[12.148,58.448,12.173,58.396,12.173,58.46,12.148,58.448],[12.324,57.962,12.415,57.951,12.45,57.962,12.437,57.971,12.324,57.962],[12.339,57.751,12.305,57.71,12.349,57.713,12.349,57.746,12.48,57.751,12.349,57.751,12.349,57.765,12.339,57.751],[12.217,57.775,12.192,57.751,12.241,57.751,12.241,57.775,12.217,57.775],[12.349,57.845,12.458,57.845,12.437,57.858,12.413,57.845,12.349,57.845,12.349,57.859,12.393,57.859,12.489,57.891,12.457,57.915,12.47,57.938,12.437,57.938,12.437,57.92,12.393,57.938,12.393,57.911,12.332,57.891,12.329,57.845,12.349,57.845],[8.481,58.425,8.508,58.425,8.481,58.439,8.462,58.356,8.515,58.356,8.481,58.425],[8.525,58.379,8.525,58.368,8.569,58.368,8.591,58.402,8.569,58.425,8.525,58.379],[11.931,58.124,11.914,58.081,11.953,58.086,11.953,58.137,11.931,58.124],[12.106,58.263,12.085,58.254,12.189,58.263,12.129,58.276,12.106,58.263],[13.052,57.252,13.052,57.211,13.032,57.208,13.094,57.184,13.052,57.252],[12.994,56.317,13.096,56.305,13.127,56.337,12.994,56.317],[12.595,57.563,12.651,57.546,12.644,57.585,12.595,57.563],[12.393,57.516,12.349,57.492,12.349,57.469,12.407,57.492,12.425,57.516,12.393,57.516],[12.305,57.494,12.305,57.473,12.228,57.492,12.239,57.457,12.175,57.462,12.191,57.445,12.248,57.445,12.248,57.421,12.275,57.421,12.261,57.461,12.329,57.469,12.329,57.492,12.305,57.494],[12.656,57.445,12.625,57.421,12.568,57.421,12.568,57.39,12.612,57.377,12.59,57.409,12.656,57.418,12.683,57.445,12.656,57.445],[9.575,56.341,9.585,56.292,9.617,56.365,9.575,56.341],[7.676,58.927,7.69,58.912,7.69,58.927,7.717,58.927,7.715,58.882,7.734,58.882,7.745,58.927,7.676,58.927],[7.748,58.859,7.778,58.788,7.778,58.805,7.822,58.814,7.748,58.859],[7.478,58.859,7.5,58.814,7.57,58.836,7.52,58.836,7.478,58.859],[7.8,58.791,7.822,58.755,7.778,58.701,7.822,58.713,7.84,58.745,7.828,58.791,7.8,58.791],[7.619,58.723,7.69,58.705,7.69,58.729,7.619,58.723],[7.896,58.768,7.866,58.755,7.944,58.749,7.936,58.768,7.896,58.768],[7.046,58.859,7.075,58.844,7.106,58.859,7.075,58.875,7.046,58.859],[6.619,58.7,6.636,58.673,6.671,58.714,6.619,58.7],[7.006,58.814,7.002,58.77,7.043,58.791,7.031,58.814,7.006,58.814],[5.831,58.882,5.845,58.847,5.845,58.88,5.889,58.868,5.917,58.882,5.889,58.897,5.889,58.882,5.831,58.882],[5.517,58.768,5.544,58.723,5.554,58.768,5.581,58.776,5.517,58.768],[7.277,58.608,7.295,58.595,7.272,58.585,7.31,58.563,7.309,58.608,7.355,58.608,7.277,58.608],[6.68,58.602,6.721,58.563,6.68,58.555,6.724,58.555,6.724,58.596,6.68,58.602],[6.485,58.494,6.477,58.476,6.592,58.491,6.504,58.503,6.485,58.494],[6.223,58.631,6.24,58.602,6.278,58.608,6.24,58.608,6.262,58.631,6.344,58.631,6.24,58.64,6.223,58.631],[8.083,58.425,8.067,58.402,8.086,58.402,8.086,58.372,8.122,58.44,8.083,58.425],[7.188,58.471,7.207,58.471,7.207,58.41,7.242,58.402,7.225,58.471,7.207,58.48,7.188,58.471],[7.339,58.369,7.352,58.333,7.389,58.356,7.339,58.369],[7.119,58.106,7.119,58.096,7.163,58.091,7.189,58.101,7.163,58.12,7.163,58.101,7.119,58.106],[6.218,58.471,6.071,58.471,6.196,58.465,6.181,58.448,6.226,58.429,6.218,58.471],[6.548,58.44,6.548,58.425,6.578,58.425,6.592,58.365,6.531,58.356,6.592,58.347,6.613,58.356,6.619,58.425,6.548,58.44],[14.788,54.034,14.753,54.021,14.766,54.008,14.72,54,14.769,54,14.788,54.016,14.803,54.008,14.788,54.034],[14.392,56.17,14.414,56.13,14.37,56.13,14.37,56.051,14.458,56.062,14.477,56.097,14.458,56.109,14.513,56.121,14.486,56.121,14.458,56.156,14.458,56.131,14.392,56.17],[14.282,56.097,14.326,56.069,14.348,56.072,14.368,56.118,14.282,56.097],[13.681,56.146,13.711,56.114,13.735,56.146,13.711,56.146,13.711,56.163,13.681,56.146],[14.326,56.31,14.326,56.272,14.282,56.272,14.282,56.247,14.253,56.243,14.246,56.222,14.282,56.228,14.304,56.256,14.37,56.25,14.346,56.292,14.407,56.292,14.414,56.221,14.446,56.309,14.37,56.3,14.326,56.31],[13.566,55.702,13.558,55.678,13.596,55.653,13.596,55.678,13.628,55.678,13.623,55.688,13.566,55.702],[14.203,56.013,14.22,55.998,14.151,55.974,14.238,55.964,14.246,55.998,14.203,56.013],[13.28,55.495,13.315,55.47,13.37,55.479,13.28,55.495],[13.427,55.9,13.491,55.869,13.491,55.89,13.535,55.89,13.535,55.875,13.507,55.875,13.508,55.828,13.589,55.851,13.595,55.875,13.535,55.917,13.535,55.9,13.447,55.91,13.427,55.9],[9.914,56.023,9.87,56.023,9.888,56.013,9.98,56.023,9.954,56.032,9.914,56.023],[10.395,54.317,10.371,54.305,10.415,54.305,10.459,54.282,10.522,54.291,10.459,54.326,10.395,54.317],[9.756,54.585,9.756,54.561,9.8,54.561,9.805,54.572,9.756,54.585],[10.459,54.174,10.459,54.142,10.503,54.162,10.503,54.174,10.459,54.174],[9.746,54.393,9.722,54.368,9.8,54.382,9.8,54.4,9.746,54.393],[9.567,54.521,9.58,54.484,9.58,54.509,9.668,54.511,9.668,54.496,9.724,54.496,9.668,54.536,9.668,54.521,9.627,54.534,9.567,54.521],[9.712,56.046,9.822,56.028,9.854,56.048,9.764,56.048,9.756,56.072,9.756,56.058,9.712,56.046],[10.367,54.162,10.415,54.158,10.327,54.143,10.327,54.125,10.371,54.125,10.38,54.137,10.415,54.08,10.448,54.188,10.367,54.162],[8.205,55.702,8.218,55.678,8.227,55.702,8.262,55.674,8.262,55.713,8.205,55.702],[8.187,56.194,8.196,56.158,8.13,56.164,8.147,56.146,8.218,56.133,8.244,56.17,8.187,56.194],[32,63.19,31.948,63.183,31.992,63.154,32,63.162],[31.597,63.219,31.662,63.194,31.66,63.174,31.746,63.174,31.75,63.214,31.685,63.204,31.641,63.223,31.597,63.219],[31.553,63.214,31.509,63.225,31.509,63.243,31.43,63.253,31.509,63.205,31.553,63.214],[31.356,63.234,31.333,63.219,31.401,63.214,31.391,63.234,31.356,63.234],[30.743,63.154,30.718,63.124,30.806,63.135,30.762,63.143,30.784,63.154,30.762,63.163,30.743,63.154],[31.791,63.174,31.773,63.157,31.84,63.154,31.831,63.174,31.791,63.174],[31.767,63.055,31.763,63.035,31.816,63.023,31.816,63.007,31.86,63.015,31.86,62.998,31.879,63.035,31.86,63.022,31.841,63.055,31.809,63.035,31.767,63.055],[31.159,62.971,31.201,62.93,31.218,62.955,31.159,62.971],[31.31,63.055,31.333,63.027,31.377,63.033,31.349,63.035,31.333,63.065,31.31,63.055],[31.013,62.975,31.025,62.935,30.955,62.935,30.948,62.918,31.041,62.935,31.04,62.975,31.013,62.975],[31.886,62.875,31.904,62.851,31.932,62.855,31.929,62.875,31.886,62.875],[31.904,63.004,31.934,62.995,31.93,62.955,31.977,62.935,31.983,62.915,31.948,62.915,31.948,62.935,31.944,62.915,31.992,62.909,31.992,62.942,32,62.942,31.992,62.99,31.948,62.973,31.948,63.004,31.904,63.004],[30.278,62.844,30.322,62.803,30.399,62.795,30.322,62.843,30.278,62.844],[30.586,62.975,30.542,62.98,30.508,62.963,30.62,62.975,30.62,62.955,30.557,62.955,30.569,62.935,30.674,62.939,30.674,62.917,30.592,62.933,30.598,62.915,30.674,62.901,30.674,62.915,30.707,62.915,30.698,62.875,30.806,62.891,30.831,62.935,30.887,62.935,30.868,63.015,30.822,63.035,30.85,63.047,30.872,63.035,30.872,63.055,30.762,63.064,30.675,63.055,30.716,63.005,30.696,62.965,30.63,62.984,30.586,62.975],[30.498,62.795,30.498,62.809,30.606,62.815,30.586,62.835,30.652,62.825,30.717,62.835,30.586,62.845,30.575,62.815,30.481,62.815,30.498,62.795],[31.362,62.835,31.377,62.795,31.448,62.778,31.388,62.815,31.384,62.835,31.362,62.835],[30.915,62.775,30.938,62.762,30.922,62.735,30.938,62.728,30.981,62.755,30.99,62.735,30.994,62.755,30.938,62.783,30.915,62.775],[30.234,62.911,30.21,62.795,30.234,62.765,30.318,62.795,30.278,62.804,30.234,62.795,30.264,62.885,30.234,62.911],[31.258,62.714,31.235,62.714,31.268,62.694,31.245,62.689,31.289,62.689,31.306,62.674,31.306,62.694,31.337,62.694,31.308,62.714,31.333,62.728,31.258,62.714],[31.361,62.634,31.333,62.609,31.377,62.609,31.398,62.553,31.377,62.567,31.311,62.553,31.421,62.542,31.465,62.579,31.421,62.587,31.386,62.634,31.361,62.634],[31.201,62.551,31.201,62.517,31.144,62.512,31.201,62.509,31.113,62.507,31.113,62.492,31.157,62.492,31.157,62.481,31.113,62.472,31.157,62.465,31.095,62.451,31.201,62.433,31.201,62.42,31.239,62.471,31.173,62.472,31.201,62.482,31.245,62.472,31.205,62.502,31.227,62.533,31.245,62.488,31.254,62.512,31.254,62.533,31.201,62.551],[31.18,62.553,31.22,62.573,31.201,62.593,31.18,62.553,31.157,62.553,31.157,62.572,31.142,62.553,31.201,62.533,31.18,62.553],[31.142,62.411,31.157,62.381,31.191,62.425,31.142,62.411],[31.461,62.472,31.416,62.431,31.45,62.431,31.465,62.399,31.465,62.421,31.509,62.438,31.465,62.438,31.461,62.472],[31.026,62.728,31.057,62.694,31.006,62.694,31.069,62.684,31.046,62.654,31.069,62.634,31.113,62.692,31.113,62.664,31.157,62.664,31.192,62.634,31.162,62.599,31.201,62.604,31.201,62.65,31.264,62.654,31.21,62.654,31.21,62.674,31.201,62.657,31.17,62.674,31.195,62.694,31.13,62.694,31.113,62.732,31.113,62.699,31.026,62.728],[30.498,62.473,30.473,62.451,30.498,62.451,30.498,62.44,30.542,62.465,30.542,62.437,30.566,62.472,30.542,62.482,30.498,62.473],[29.092,63.221,29.077,63.194,29.129,63.174,29.092,63.221],[30.015,63.289,30.015,63.273,30.086,63.253,30.077,63.273,30.015,63.289],[28.954,63.174,28.937,63.154,28.96,63.142,29.004,63.189,28.954,63.174],[28.499,63.214,28.512,63.194,28.556,63.194,28.521,63.232,28.499,63.214],[28.511,63.293,28.5,63.253,28.564,63.245,28.58,63.253,28.527,63.293,28.564,63.296,28.511,63.293],[28.916,63.253,28.884,63.253,28.872,63.283,28.828,63.279,28.872,63.249,28.916,63.253],[28.202,63.154,28.213,63.121,28.248,63.116,28.225,63.144,28.248,63.172,28.202,63.154],[28.384,63.253,28.376,63.194,28.426,63.182,28.384,63.253],[28.584,63.015,28.548,63.015,28.564,62.999,28.584,63.015,28.575,62.975,28.608,62.961,28.652,62.975,28.619,62.975,28.633,62.995,28.584,63.015],[28.246,63.035,28.257,63.001,28.301,63.019,28.257,63.045,28.246,63.035],[28.269,63.211,28.285,63.135,28.301,63.116,28.32,63.154,28.345,63.115,28.301,63.095,28.28,63.115,28.247,63.115,28.243,63.095,28.301,63.084,28.272,63.075,28.301,63.071,28.406,63.095,28.355,63.115,28.447,63.135,28.447,63.174,28.395,63.174,28.418,63.154,28.389,63.141,28.389,63.163,28.345,63.163,28.345,63.174,28.301,63.158,28.301,63.19,28.345,63.194,28.269,63.211],[27.163,63.212,27.17,63.194,27.202,63.191,27.202,63.166,27.246,63.195,27.163,63.212],[28.169,63.263,28.192,63.273,28.169,63.293,28.159,63.273,28.125,63.273,28.125,63.301,28.059,63.31,28.008,63.293,28.066,63.293,28.081,63.189,28.125,63.229,28.125,63.214,28.169,63.2,28.213,63.241,28.213,63.201,28.236,63.214,28.234,63.253,28.169,63.263],[27.216,63.392,27.29,63.378,27.29,63.358,27.246,63.372,27.246,63.352,27.27,63.352,27.27,63.332,27.31,63.332,27.307,63.293,27.29,63.281,27.246,63.329,27.232,63.313,27.202,63.34,27.185,63.313,27.246,63.293,27.202,63.286,27.278,63.273,27.325,63.174,27.378,63.158,27.4,63.194,27.378,63.214,27.422,63.22,27.35,63.234,27.366,63.253,27.334,63.253,27.317,63.273,27.378,63.261,27.378,63.281,27.334,63.281,27.334,63.307,27.395,63.293,27.395,63.313,27.361,63.313,27.388,63.332,27.378,63.372,27.334,63.338,27.302,63.382,27.332,63.408,27.268,63.401,27.238,63.411,27.216,63.392],[27.979,63.095,27.92,63.057,27.971,63.071,28.037,63.063,28.008,63.095,27.979,63.095],[29.439,62.895,29.415,62.875,29.443,62.866,29.443,62.835,29.467,62.835,29.454,62.885,29.479,62.909,29.439,62.895],[30.059,62.964,30.059,62.939,30.103,62.949,30.208,62.895,30.229,62.953,30.176,62.955,30.186,62.975,30.059,62.964],[30.037,62.975,30.002,62.975,30.015,62.948,30.037,62.975,30.124,62.975,30.059,62.983,30.078,63.015,29.996,63.075,29.999,63.154,29.952,63.174,30.015,63.194,29.937,63.194,30.003,63.197,29.984,63.234,29.905,63.244,29.905,63.263,29.993,63.273,30.015,63.318,29.883,63.345,29.883,63.332,29.927,63.328,29.875,63.313,29.883,63.293,29.841,63.293,29.839,63.238,29.809,63.253,29.836,63.293,29.773,63.283,29.795,63.308,29.707,63.318,29.672,63.352,29.663,63.321,29.619,63.341,29.601,63.332,29.531,63.404,29.531,63.384,29.487,63.384,29.443,63.36,29.433,63.392,29.507,63.392,29.518,63.431,29.355,63.439,29.322,63.49,29.312,63.465,29.246,63.48,29.246,63.5,29.307,63.49,29.268,63.514,29.18,63.499,29.18,63.519,29.224,63.529,29.17,63.529,29.136,63.575,29.092,63.58,29.067,63.568,29.136,63.568,29.107,63.549,29.092,63.564,29.086,63.549,29.136,63.539,29.155,63.509,29.124,63.509,29.208,63.47,29.202,63.451,29.24,63.451,29.24,63.431,29.268,63.431,29.268,63.446,29.301,63.431,29.224,63.417,29.184,63.431,29.224,63.431,29.224,63.444,29.136,63.459,29.1,63.49,29.004,63.47,29.048,63.47,29.12,63.431,29.11,63.411,29.136,63.411,29.18,63.362,29.269,63.352,29.224,63.332,29.292,63.313,29.312,63.273,29.312,63.295,29.332,63.293,29.337,63.273,29.251,63.253,29.302,63.253,29.312,63.227,29.355,63.227,29.399,63.198,29.418,63.214,29.418,63.194,29.443,63.194,29.443,63.214,29.531,63.206,29.563,63.194,29.549,63.174,29.575,63.174,29.588,63.214,29.604,63.154,29.663,63.126,29.674,63.154,29.795,63.174,29.795,63.185,29.751,63.185,29.751,63.207,29.807,63.194,29.858,63.154,29.822,63.135,29.822,63.095,29.902,63.055,29.892,63.04,29.927,63.043,29.997,63.015,29.971,63.012,30.028,62.995,30.037,62.975],[29.484,63.035,29.516,62.995,29.597,62.965,29.575,62.941,29.663,62.942,29.575,62.995,29.531,62.995,29.575,63.002,29.553,63.035,29.509,63.049,29.484,63.035],[29.224,62.795,29.202,62.795,29.18,62.735,29.246,62.735,29.252,62.714,29.224,62.706,29.268,62.706,29.268,62.683,29.18,62.7,29.127,62.694,29.18,62.686,29.169,62.674,29.224,62.646,29.268,62.664,29.351,62.654,29.327,62.684,29.355,62.742,29.299,62.755,29.312,62.77,29.33,62.755,29.312,62.799,29.268,62.816,29.224,62.795],[30.005,62.694,29.933,62.679,30.081,62.677,30.059,62.7,30.005,62.694],[29.563,62.955,29.575,62.895,29.641,62.865,29.645,62.835,29.619,62.824,29.575,62.846,29.531,62.815,29.487,62.845,29.463,62.815,29.51,62.815,29.531,62.782,29.575,62.784,29.619,62.763,29.656,62.684,29.707,62.679,29.707,62.7,29.806,62.714,29.806,62.755,29.883,62.78,29.839,62.775,29.822,62.815,29.751,62.83,29.799,62.835,29.717,62.895,29.73,62.915,29.663,62.923,29.663,62.902,29.707,62.895,29.663,62.871,29.663,62.887,29.619,62.887,29.651,62.935,29.619,62.935,29.619,62.898,29.575,62.934,29.575,62.955,29.563,62.955],[29.369,62.634,29.365,62.577,29.45,62.614,29.423,62.614,29.423,62.634,29.369,62.634],[29.403,62.734,29.416,62.714,29.367,62.654,29.443,62.642,29.425,62.694,29.443,62.683,29.487,62.714,29.487,62.676,29.51,62.714,29.403,62.734],[28.465,62.975,28.458,62.935,28.545,62.915,28.465,62.975],[28.807,62.855,28.828,62.868,28.746,62.855,28.807,62.855,28.784,62.842,28.71,62.855,28.71,62.875,28.784,62.875,28.754,62.895,28.74,62.881,28.696,62.88,28.662,62.895,28.696,62.901,28.564,62.906,28.543,62.895,28.592,62.895,28.608,62.868,28.608,62.888,28.683,62.875,28.636,62.855,28.696,62.851,28.696,62.835,28.665,62.835,28.73,62.795,28.696,62.764,28.74,62.764,28.74,62.782,28.808,62.795,28.796,62.835,28.828,62.835,28.846,62.855,28.807,62.855],[28.125,62.871,28.125,62.844,28.151,62.855,28.213,62.844,28.27,62.855,28.125,62.871],[28.784,62.895,28.784,62.882,28.828,62.882,28.828,62.866,28.845,62.915,28.784,62.895],[28.913,62.775,28.887,62.755,28.916,62.74,28.948,62.755,28.913,62.775],[28.389,62.621,28.389,62.605,28.433,62.605,28.412,62.593,28.477,62.583,28.433,62.619,28.389,62.621],[28.067,62.815,28.077,62.795,28.081,62.815,28.117,62.815,28.125,62.784,28.222,62.775,28.213,62.806,28.169,62.795,28.125,62.804,28.125,62.819,28.067,62.815],[28.027,62.895,28.071,62.895,28.081,62.855,28.05,62.855,28.115,62.835,28.081,62.875,28.169,62.875,28.169,62.888,28.081,62.88,28.081,62.905,28.027,62.895],[27.949,62.975,27.905,62.967,27.905,62.952,27.949,62.948,27.993,62.971,28.037,62.97,27.949,62.975],[27.773,62.654,27.785,62.694,27.817,62.694,27.773,62.7,27.773,62.729,27.805,62.714,27.817,62.728,27.861,62.726,27.885,62.735,27.831,62.735,27.928,62.755,27.861,62.758,27.949,62.768,28.013,62.795,27.949,62.801,27.905,62.847,27.861,62.818,27.848,62.855,27.897,62.855,27.828,62.895,27.817,62.885,27.773,62.885,27.817,62.867,27.773,62.869,27.763,62.875,27.788,62.915,27.773,62.902,27.751,62.915,27.817,62.927,27.817,62.904,27.838,62.915,27.817,62.944,27.861,62.944,27.875,62.915,27.878,62.975,27.905,62.995,27.905,62.978,27.979,62.975,27.971,63.005,27.993,63.007,28.081,63.005,28.081,62.989,28.125,62.983,28.1,62.935,28.142,62.915,28.169,62.951,28.169,62.921,28.197,62.935,28.169,62.968,28.152,62.955,28.152,62.995,28.275,62.995,28.231,62.995,28.213,63.031,28.213,63.012,28.125,63.003,28,63.035,28.037,63.044,27.993,63.044,27.993,63.015,27.968,63.015,27.958,63.055,27.921,63.055,27.949,63.028,27.905,63.003,27.791,63.035,27.839,63.055,27.773,63.072,27.773,63.088,27.817,63.095,27.845,63.095,27.845,63.075,27.905,63.075,27.861,63.084,27.905,63.099,27.729,63.111,27.773,63.035,27.736,63.035,27.764,63.015,27.727,62.995,27.773,62.988,27.773,63.026,27.802,63.015,27.817,62.964,27.798,62.935,27.747,62.935,27.747,62.955,27.686,62.941,27.654,62.955,27.681,62.975,27.611,62.975,27.598,63.005,27.598,62.982,27.422,63.011,27.422,62.99,27.422,63.015,27.449,63.015,27.401,63.035,27.36,63.095,27.299,63.095,27.323,63.125,27.305,63.154,27.246,63.172,27.29,63.101,27.202,63.104,27.202,63.084,27.246,63.087,27.29,63.055,27.334,63.045,27.334,63.027,27.378,63.025,27.367,62.995,27.378,63.013,27.409,62.935,27.451,62.915,27.449,62.895,27.466,62.889,27.466,62.909,27.515,62.895,27.554,62.846,27.584,62.935,27.543,62.935,27.554,62.962,27.554,62.944,27.598,62.944,27.598,62.892,27.642,62.951,27.642,62.935,27.729,62.921,27.663,62.855,27.686,62.845,27.71,62.855,27.71,62.835,27.769,62.835,27.664,62.816,27.598,62.831,27.642,62.807,27.686,62.809,27.713,62.735,27.686,62.721,27.686,62.749,27.662,62.735,27.642,62.679,27.642,62.701,27.596,62.694,27.62,62.674,27.729,62.674,27.642,62.67,27.608,62.654,27.642,62.64,27.729,62.648,27.764,62.634,27.76,62.614,27.783,62.614,27.783,62.634,27.817,62.634,27.817,62.609,27.834,62.634,27.87,62.634,27.773,62.644,27.773,62.654],[28.784,62.567,28.784,62.545,28.902,62.54,28.872,62.558,28.814,62.553,28.784,62.567],[28.903,62.614,28.828,62.608,28.828,62.587,28.936,62.573,28.936,62.553,28.96,62.553,28.976,62.573,28.929,62.593,28.937,62.614,28.903,62.614],[29.081,62.512,29.092,62.5,29.035,62.492,29.092,62.48,29.092,62.446,29.134,62.462,29.112,62.512,29.081,62.512],[28.817,62.512,28.784,62.477,28.858,62.492,28.906,62.474,28.897,62.492,28.817,62.512],[29.297,62.614,29.268,62.603,29.312,62.603,29.312,62.589,29.268,62.593,29.208,62.573,29.268,62.561,29.298,62.492,29.355,62.479,29.326,62.573,29.355,62.593,29.339,62.614,29.297,62.614],[29.898,62.39,29.927,62.386,29.882,62.37,29.927,62.358,30.015,62.362,29.971,62.379,29.945,62.37,29.927,62.402,29.898,62.39],[28.57,62.533,28.608,62.533,28.608,62.472,28.564,62.514,28.541,62.472,28.594,62.451,28.547,62.451,28.564,62.441,28.652,62.443,28.74,62.419,28.74,62.404,28.828,62.4,28.856,62.411,28.828,62.431,28.879,62.431,28.872,62.456,28.872,62.435,28.784,62.437,28.753,62.451,28.74,62.498,28.74,62.481,28.696,62.481,28.726,62.472,28.696,62.45,28.652,62.53,28.652,62.453,28.612,62.522,28.652,62.546,28.57,62.533],[28.512,62.533,28.521,62.492,28.542,62.492,28.548,62.512,28.512,62.533],[27.905,62.556,27.881,62.533,27.939,62.512,27.905,62.556],[28.433,62.811,28.433,62.766,28.462,62.795,28.51,62.795,28.477,62.77,28.521,62.714,28.484,62.714,28.652,62.694,28.652,62.674,28.608,62.688,28.577,62.674,28.631,62.634,28.696,62.625,28.74,62.585,28.74,62.573,28.652,62.579,28.61,62.553,28.674,62.57,28.74,62.565,28.784,62.588,28.784,62.573,28.81,62.573,28.764,62.614,28.784,62.624,28.872,62.614,28.872,62.625,28.916,62.625,28.916,62.645,28.872,62.645,28.872,62.664,28.828,62.651,28.762,62.664,28.784,62.694,28.718,62.684,28.739,62.706,28.683,62.714,28.652,62.784,28.608,62.762,28.542,62.785,28.558,62.81,28.499,62.801,28.433,62.811],[28.125,62.775,28.081,62.755,28.081,62.735,28.037,62.755,28.037,62.726,28.108,62.714,28.108,62.694,28.136,62.714,28.139,62.674,28.081,62.669,28.081,62.654,28.149,62.614,28.15,62.553,28.213,62.537,28.16,62.512,28.188,62.512,28.188,62.492,28.169,62.504,28.146,62.492,28.213,62.483,28.255,62.492,28.213,62.492,28.236,62.512,28.213,62.519,28.295,62.603,28.276,62.634,28.345,62.621,28.301,62.602,28.345,62.602,28.345,62.586,28.389,62.593,28.366,62.593,28.371,62.634,28.322,62.634,28.301,62.66,28.301,62.647,28.257,62.641,28.227,62.654,28.279,62.674,28.234,62.694,28.306,62.694,28.183,62.714,28.213,62.728,28.228,62.714,28.228,62.735,28.2,62.735,28.184,62.775,28.169,62.74,28.125,62.775],[28.143,62.451,28.169,62.419,28.21,62.414,28.177,62.451,28.143,62.451],[27.798,62.573,27.781,62.517,27.861,62.528,27.817,62.547,27.838,62.573,27.798,62.573],[27.63,62.634,27.669,62.614,27.674,62.573,27.729,62.587,27.729,62.558,27.67,62.553,27.773,62.537,27.729,62.62,27.7,62.634,27.63,62.634],[27.401,62.573,27.407,62.553,27.324,62.533,27.378,62.508,27.334,62.498,27.29,62.533,27.29,62.499,27.246,62.499,27.265,62.472,27.225,62.472,27.246,62.463,27.378,62.469,27.318,62.472,27.447,62.492,27.422,62.505,27.414,62.492,27.391,62.533,27.422,62.533,27.432,62.512,27.431,62.563,27.464,62.589,27.401,62.573],[27.224,62.533,27.272,62.512,27.246,62.544,27.224,62.533,27.225,62.573,27.158,62.562,27.224,62.533],[27.712,62.431,27.729,62.384,27.751,62.431,27.729,62.44,27.712,62.431],[27.554,62.553,27.554,62.535,27.492,62.533,27.487,62.492,27.554,62.479,27.554,62.457,27.482,62.472,27.55,62.411,27.573,62.431,27.566,62.411,27.598,62.396,27.607,62.451,27.642,62.451,27.642,62.431,27.653,62.451,27.598,62.468,27.598,62.444,27.554,62.444,27.591,62.451,27.576,62.482,27.642,62.474,27.554,62.507,27.554,62.553],[31.578,62.35,31.573,62.309,31.597,62.309,31.597,62.234,31.523,62.227,31.553,62.2,31.576,62.227,31.597,62.211,31.611,62.227,31.619,62.309,31.578,62.35],[31.483,62.309,31.495,62.247,31.551,62.233,31.52,62.268,31.553,62.268,31.572,62.247,31.596,62.306,31.553,62.303,31.553,62.278,31.509,62.278,31.509,62.321,31.483,62.309],[31.816,62.166,31.904,62.15,31.86,62.182,31.816,62.166],[30.938,62.327,30.938,62.297,31.043,62.309,30.938,62.327],[30.04,62.37,30.059,62.336,29.947,62.35,29.943,62.329,30.015,62.277,30.068,62.288,30.026,62.329,30.088,62.329,30.088,62.309,30.122,62.329,30.059,62.379,30.04,62.37],[30.874,62.329,30.876,62.309,30.927,62.288,30.909,62.329,30.894,62.34,30.874,62.329],[29.619,62.161,29.619,62.145,29.663,62.134,29.663,62.161,29.619,62.161],[30.405,62.207,30.386,62.186,30.322,62.197,30.29,62.186,30.342,62.186,30.41,62.155,30.429,62.186,30.405,62.207],[31.685,62.042,31.62,62.042,31.685,62.027,31.685,61.997,31.769,61.986,31.762,62.037,31.685,62.042],[30.569,62.063,30.62,62.042,30.674,62.033,30.684,62.042,30.63,62.052,30.63,62.069,30.569,62.063],[30.687,61.96,30.718,61.898,30.745,61.898,30.731,61.918,30.782,61.939,30.762,61.959,30.744,61.939,30.687,61.96],[31.078,61.913,31.157,61.876,31.157,61.892,31.222,61.898,31.078,61.913],[30.844,62.083,30.762,62.069,30.894,62.063,30.85,61.985,30.806,62.004,30.792,61.98,30.894,61.96,30.836,61.939,30.938,61.909,30.944,61.881,30.981,61.884,30.981,61.904,31.069,61.911,31.069,62.012,30.918,62.042,30.918,62.063,30.981,62.049,31.011,62.063,30.981,62.087,30.938,62.071,30.844,62.083],[31.489,61.898,31.597,61.896,31.597,61.872,31.641,61.872,31.641,61.848,31.655,61.856,31.653,61.877,31.641,61.886,31.616,61.877,31.597,61.903,31.489,61.898],[30.743,61.794,30.767,61.752,30.777,61.794,30.762,61.803,30.743,61.794],[29.224,62.166,29.18,62.145,29.215,62.145,29.202,62.063,29.224,62.06,29.26,62.166,29.224,62.166],[30.103,62.106,30.156,62.104,30.19,62.063,30.219,62.063,30.21,62.083,30.251,62.104,30.103,62.106],[29.18,62.001,29.18,62.011,29.158,62.001,29.18,62.001,29.18,61.98,29.129,62.001,29.123,61.98,29.18,61.956,29.203,62.001,29.18,62.001],[29.224,62.042,29.196,62.022,29.239,62.001,29.245,62.042,29.224,62.042],[29.268,62.186,29.18,62.186,29.162,62.207,29.18,62.18,29.268,62.167,29.268,62.186,29.302,62.186,29.268,62.137,29.333,62.135,29.312,62.106,29.378,62.104,29.399,62.045,29.399,62.07,29.459,62.083,29.514,62.124,29.506,62.166,29.487,62.166,29.456,62.186,29.501,62.207,29.502,62.166,29.553,62.182,29.575,62.177,29.575,62.145,29.619,62.173,29.707,62.175,29.663,62.166,29.694,62.145,29.729,62.163,29.795,62.159,29.883,62.083,29.697,62.094,29.734,62.083,29.751,62.054,29.78,62.063,29.751,62.07,29.795,62.07,29.795,62.058,29.839,62.079,29.873,62.063,29.839,62.031,29.883,62.031,29.883,62.083,29.912,62.083,29.905,62.114,29.971,62.104,29.949,62.135,30.015,62.13,29.977,62.166,29.971,62.152,29.927,62.18,29.883,62.169,29.927,62.137,29.883,62.137,29.839,62.186,29.865,62.207,29.819,62.207,29.816,62.186,29.751,62.174,29.707,62.198,29.604,62.207,29.504,62.288,29.555,62.309,29.443,62.32,29.435,62.309,29.487,62.309,29.457,62.288,29.487,62.285,29.443,62.274,29.355,62.308,29.352,62.329,29.399,62.345,29.374,62.35,29.401,62.37,29.383,62.39,29.487,62.36,29.515,62.39,29.559,62.39,29.587,62.35,29.547,62.35,29.531,62.312,29.575,62.312,29.575,62.303,29.619,62.341,29.68,62.309,29.667,62.288,29.751,62.323,29.765,62.35,29.707,62.357,29.707,62.376,29.821,62.35,29.815,62.39,29.86,62.411,29.839,62.431,29.878,62.431,29.795,62.52,29.82,62.533,29.784,62.553,29.82,62.553,29.729,62.583,29.751,62.608,29.686,62.614,29.663,62.634,29.653,62.624,29.608,62.634,29.584,62.593,29.623,62.593,29.596,62.573,29.655,62.573,29.575,62.558,29.551,62.522,29.597,62.492,29.562,62.492,29.575,62.444,29.657,62.431,29.663,62.475,29.663,62.451,29.707,62.46,29.734,62.451,29.707,62.436,29.663,62.446,29.663,62.431,29.691,62.431,29.663,62.422,29.634,62.428,29.641,62.38,29.597,62.38,29.544,62.451,29.511,62.451,29.503,62.472,29.443,62.492,29.443,62.521,29.371,62.526,29.388,62.482,29.365,62.451,29.355,62.472,29.312,62.46,29.312,62.421,29.192,62.431,29.25,62.39,29.236,62.37,29.28,62.35,29.259,62.329,29.298,62.299,29.281,62.268,29.313,62.268,29.312,62.255,29.244,62.247,29.408,62.227,29.377,62.212,29.312,62.226,29.337,62.186,29.268,62.186],[29.902,62.042,29.913,62.001,29.927,62.019,29.945,62.001,29.897,61.98,29.971,61.972,30.024,61.918,29.971,61.913,29.957,61.939,29.957,61.918,29.927,61.906,29.893,61.912,29.909,61.877,29.883,61.872,29.883,61.89,29.844,61.867,29.883,61.855,29.883,61.819,29.787,61.815,29.861,61.804,29.864,61.773,29.927,61.732,29.939,61.773,30.005,61.781,29.989,61.815,30.042,61.815,30.015,61.867,30.059,61.871,30.09,61.856,30.059,61.828,30.103,61.81,30.015,61.8,30.047,61.794,30.025,61.696,30.075,61.711,30.059,61.732,30.103,61.732,30.103,61.714,30.132,61.732,30.071,61.752,30.169,61.773,30.125,61.784,30.169,61.815,30.137,61.835,30.16,61.856,30.108,61.898,30.086,61.877,30.038,61.96,29.985,61.98,30.002,62.001,29.971,62.001,29.971,62.014,30.015,62.014,30.025,62.001,30.015,62.042,29.987,62.042,29.987,62.022,29.942,62.022,29.927,62.051,29.902,62.042],[29.634,61.856,29.679,61.856,29.707,61.827,29.723,61.835,29.722,61.856,29.685,61.871,29.634,61.856],[31.628,61.711,31.641,61.669,31.671,61.7,31.628,61.711],[31.756,61.711,31.772,61.656,31.808,61.649,31.772,61.718,31.756,61.711],[30.674,61.732,30.674,61.69,30.63,61.69,30.66,61.732,30.618,61.711,30.63,61.681,30.74,61.69,30.698,61.69,30.674,61.732],[30.41,61.617,30.41,61.657,30.388,61.648,30.41,61.617,30.38,61.606,30.41,61.592,30.41,61.617],[30.658,61.669,30.674,61.648,30.642,61.648,30.674,61.627,30.71,61.627,30.687,61.669,30.658,61.669],[31.804,61.376,31.804,61.355,31.757,61.355,31.86,61.327,31.852,61.355,31.804,61.376],[29.891,61.606,29.927,61.579,29.927,61.627,29.899,61.627,29.891,61.606],[29.595,61.648,29.586,61.638,29.663,61.608,29.663,61.627,29.595,61.648],[29.575,62.022,29.641,61.97,29.575,61.969,29.473,62.022,29.383,62.022,29.443,62.019,29.433,62.001,29.476,61.96,29.487,61.971,29.554,61.96,29.575,61.931,29.531,61.931,29.531,61.949,29.467,61.939,29.399,61.95,29.424,61.96,29.355,61.969,29.355,61.989,29.257,61.98,29.224,61.996,29.224,61.969,29.312,61.975,29.343,61.96,29.286,61.939,29.334,61.939,29.29,61.918,29.274,61.857,29.333,61.867,29.337,61.835,29.312,61.82,29.268,61.835,29.268,61.819,29.18,61.819,29.252,61.815,29.197,61.794,29.224,61.785,29.193,61.752,29.246,61.763,29.224,61.72,29.286,61.711,29.312,61.723,29.312,61.702,29.443,61.684,29.399,61.699,29.377,61.69,29.376,61.732,29.355,61.732,29.355,61.752,29.268,61.743,29.268,61.78,29.238,61.794,29.292,61.794,29.292,61.815,29.355,61.807,29.355,61.778,29.312,61.794,29.288,61.773,29.302,61.752,29.312,61.769,29.346,61.752,29.399,61.759,29.368,61.752,29.399,61.72,29.432,61.773,29.399,61.773,29.399,61.802,29.487,61.774,29.487,61.794,29.449,61.794,29.575,61.809,29.592,61.794,29.646,61.835,29.575,61.852,29.575,61.864,29.619,61.864,29.586,61.898,29.549,61.898,29.575,61.91,29.641,61.898,29.639,61.877,29.697,61.877,29.663,61.906,29.782,61.877,29.719,61.918,29.781,61.918,29.781,61.939,29.719,61.96,29.711,62.001,29.663,61.994,29.663,62.008,29.724,62.022,29.713,62.042,29.707,62.022,29.684,62.022,29.619,62.057,29.619,62.03,29.575,62.022],[29.729,61.585,29.683,61.565,29.707,61.544,29.733,61.544,29.729,61.585,29.77,61.585,29.751,61.596,29.729,61.585],[29.552,61.606,29.559,61.585,29.619,61.581,29.548,61.565,29.643,61.565,29.644,61.606,29.619,61.593,29.552,61.606],[29.268,61.418,29.156,61.439,29.156,61.418,29.224,61.406,29.268,61.418],[29.487,61.596,29.531,61.594,29.531,61.606,29.487,61.611,29.487,61.596,29.4,61.602,29.386,61.523,29.323,61.502,29.39,61.481,29.355,61.481,29.355,61.466,29.451,61.481,29.487,61.518,29.443,61.515,29.418,61.544,29.514,61.565,29.487,61.596],[28.935,62.35,28.924,62.331,29.036,62.35,28.96,62.359,28.935,62.35],[28.784,62.268,28.758,62.268,28.784,62.256,28.784,62.268,28.806,62.268,28.806,62.227,28.784,62.239,28.765,62.227,28.784,62.186,28.806,62.227,28.828,62.227,28.828,62.211,28.863,62.227,28.828,62.227,28.828,62.247,28.872,62.232,28.872,62.256,28.828,62.256,28.828,62.268,28.806,62.268,28.784,62.297,28.784,62.288,28.696,62.288,28.696,62.307,28.775,62.288,28.747,62.319,28.774,62.339,28.74,62.358,28.696,62.355,28.696,62.37,28.722,62.37,28.696,62.38,28.669,62.36,28.74,62.34,28.74,62.325,28.676,62.309,28.696,62.288,28.784,62.28,28.784,62.268],[28.875,62.24,28.88,62.207,28.93,62.227,28.875,62.24],[29.136,62.268,29.099,62.207,29.2,62.227,29.206,62.243,29.158,62.237,29.136,62.268],[29.048,62.278,29.048,62.231,29.092,62.283,29.048,62.278,29.048,62.305,29.015,62.288,29.048,62.278],[29.114,62.166,29.099,62.145,29.153,62.145,29.153,62.166,29.114,62.166],[28.872,62.202,28.907,62.166,28.974,62.186,28.872,62.202],[27.993,62.37,27.993,62.382,27.949,62.382,27.949,62.37,27.993,62.37,27.92,62.35,28.027,62.329,28.015,62.36,28.053,62.37,28.079,62.406,27.993,62.402,27.993,62.37],[28.037,62.166,27.993,62.145,28.066,62.124,28.015,62.124,28.037,62.099,28.081,62.089,28.102,62.104,28.174,62.083,28.191,62.114,28.257,62.108,28.244,62.124,28.191,62.124,28.206,62.165,28.147,62.154,28.037,62.166],[27.885,62.166,27.885,62.145,27.963,62.124,27.962,62.166,27.885,62.166],[27.926,62.268,27.926,62.247,27.993,62.247,27.993,62.259,27.926,62.268],[27.901,62.309,27.882,62.288,27.949,62.27,27.901,62.309],[27.97,62.001,27.993,61.99,27.978,61.96,27.993,61.95,28.023,61.96,28.037,61.939,28.068,61.939,28.056,61.98,28.037,61.991,28.037,61.964,28.009,62.001,27.97,62.001],[28.193,62.022,28.237,62.001,28.213,61.971,28.257,61.971,28.257,61.993,28.301,62.001,28.193,62.022],[28.374,62.001,28.429,61.985,28.418,62.022,28.374,62.001],[28.037,62.031,28.037,62.009,28.081,62.018,28.169,61.973,28.207,62.001,28.169,62.001,28.103,62.031,28.037,62.031],[28.374,62.063,28.389,62.022,28.433,62.022,28.374,62.063],[27.837,62.472,27.797,62.451,27.844,62.451,27.861,62.413,27.878,62.431,27.878,62.411,27.846,62.411,27.89,62.39,27.905,62.35,27.905,62.37,27.931,62.37,27.905,62.398,27.974,62.39,27.993,62.425,27.949,62.415,27.912,62.451,27.861,62.439,27.861,62.456,27.926,62.472,27.905,62.481,27.837,62.472],[27.554,62.35,27.554,62.313,27.51,62.309,27.554,62.299,27.574,62.309,27.554,62.35],[27.831,62.329,27.949,62.317,27.949,62.307,27.969,62.329,27.831,62.329],[27.408,62.37,27.51,62.352,27.485,62.329,27.551,62.329,27.51,62.378,27.408,62.37],[27.575,62.227,27.629,62.207,27.642,62.181,27.65,62.207,27.686,62.139,27.751,62.128,27.797,62.155,27.775,62.186,27.773,62.145,27.747,62.166,27.742,62.207,27.714,62.166,27.686,62.21,27.598,62.237,27.575,62.227],[27.48,62.227,27.501,62.207,27.422,62.223,27.399,62.186,27.422,62.145,27.453,62.145,27.437,62.186,27.466,62.198,27.51,62.195,27.554,62.174,27.554,62.153,27.586,62.149,27.554,62.207,27.51,62.207,27.554,62.227,27.513,62.227,27.51,62.24,27.48,62.227],[27.138,62.207,27.158,62.16,27.224,62.186,27.18,62.196,27.189,62.219,27.138,62.207],[27.183,62.288,27.202,62.251,27.172,62.23,27.274,62.247,27.277,62.268,27.246,62.256,27.21,62.268,27.21,62.288,27.246,62.288,27.251,62.268,27.246,62.295,27.183,62.288],[27.378,62.066,27.334,61.997,27.397,61.98,27.411,62.022,27.378,62.031,27.378,62.052,27.432,62.063,27.378,62.066],[27.51,62.108,27.554,62.104,27.52,62.083,27.554,62.083,27.561,62.042,27.579,62.104,27.554,62.116,27.51,62.108],[27.319,62.083,27.378,62.067,27.378,62.083,27.402,62.083,27.378,62.093,27.319,62.083],[29.004,61.937,28.985,61.918,29.018,61.898,29.029,61.918,29.004,61.937],[28.916,61.958,28.96,61.928,28.983,61.939,29.033,61.939,28.916,61.958],[28.389,61.711,28.4,61.732,28.433,61.732,28.389,61.745,28.36,61.732,28.389,61.711],[29.069,61.815,29.092,61.802,29.117,61.815,29.092,61.825,29.069,61.815,29.048,61.856,29.048,61.815,29.069,61.815],[29.224,61.711,29.224,61.68,29.136,61.68,29.111,61.669,29.136,61.66,29.092,61.66,29.072,61.69,29.048,61.635,29.136,61.636,29.18,61.614,29.224,61.615,29.236,61.627,29.201,61.648,29.268,61.636,29.268,61.663,29.312,61.663,29.224,61.711],[29.111,61.773,29.026,61.773,29.004,61.743,29.064,61.732,29.048,61.76,29.136,61.764,29.092,61.743,29.136,61.743,29.136,61.695,29.125,61.69,29.166,61.69,29.141,61.721,29.181,61.752,29.151,61.752,29.136,61.785,29.111,61.773],[28.828,62.145,28.812,62.124,28.747,62.124,28.773,62.186,28.718,62.176,28.696,62.198,28.696,62.178,28.608,62.173,28.574,62.186,28.606,62.207,28.652,62.207,28.608,62.186,28.669,62.186,28.679,62.227,28.74,62.217,28.74,62.241,28.674,62.237,28.696,62.262,28.608,62.249,28.608,62.268,28.67,62.268,28.608,62.279,28.652,62.299,28.589,62.288,28.586,62.268,28.592,62.227,28.652,62.242,28.652,62.22,28.529,62.207,28.529,62.227,28.564,62.232,28.521,62.232,28.521,62.258,28.482,62.196,28.492,62.166,28.542,62.176,28.521,62.151,28.652,62.15,28.583,62.145,28.594,62.124,28.564,62.106,28.564,62.135,28.477,62.135,28.477,62.15,28.402,62.166,28.433,62.181,28.477,62.176,28.456,62.207,28.413,62.207,28.413,62.227,28.345,62.219,28.345,62.235,28.389,62.235,28.345,62.282,28.389,62.288,28.238,62.288,28.32,62.268,28.301,62.227,28.257,62.253,28.213,62.253,28.213,62.275,28.169,62.268,28.196,62.268,28.213,62.239,28.257,62.239,28.24,62.207,28.203,62.207,28.169,62.239,28.081,62.236,28.037,62.256,27.993,62.235,27.905,62.244,27.921,62.207,27.949,62.218,27.983,62.207,27.961,62.186,27.922,62.186,28.024,62.166,27.993,62.197,28.125,62.19,28.088,62.227,28.145,62.227,28.125,62.201,28.235,62.186,28.169,62.181,28.257,62.178,28.301,62.15,28.301,62.173,28.389,62.166,28.389,62.155,28.303,62.166,28.334,62.124,28.377,62.124,28.257,62.104,28.301,62.104,28.301,62.083,28.325,62.083,28.325,62.104,28.399,62.104,28.345,62.101,28.345,62.076,28.445,62.083,28.466,62.001,28.586,61.991,28.652,61.962,28.629,61.98,28.652,61.995,28.679,61.98,28.652,61.96,28.628,61.96,28.74,61.954,28.74,61.909,28.674,61.902,28.611,61.914,28.652,61.887,28.723,61.898,28.74,61.885,28.784,61.898,28.784,61.851,28.802,61.898,28.856,61.877,28.923,61.877,28.872,61.918,28.872,61.932,28.842,61.918,28.872,61.918,28.784,61.909,28.784,61.934,28.883,61.939,28.828,61.947,28.784,61.99,28.696,61.994,28.696,62.015,28.74,62.022,28.69,62.022,28.667,62.063,28.691,62.083,28.725,62.083,28.731,62.103,28.652,62.091,28.608,62.103,28.608,62.132,28.696,62.136,28.668,62.104,28.696,62.104,28.696,62.121,28.828,62.114,28.872,62.096,28.96,62.14,29.004,62.14,29.048,62.12,29.092,62.16,29.026,62.155,29.04,62.179,29.004,62.176,28.969,62.145,28.916,62.149,28.828,62.129,28.828,62.145],[28.056,61.898,28.081,61.866,28.123,61.912,28.056,61.898],[28.257,61.95,28.301,61.931,28.345,61.927,28.36,61.939,28.257,61.95],[27.993,61.794,27.993,61.765,27.923,61.771,27.971,61.74,28.008,61.752,28.025,61.794,27.993,61.794],[27.905,61.815,27.885,61.794,27.905,61.786,27.969,61.794,27.949,61.803,27.927,61.794,27.905,61.815],[28.197,61.856,28.184,61.825,28.213,61.808,28.213,61.856,28.364,61.856,28.197,61.856],[28.097,61.669,28.125,61.66,28.125,61.611,28.167,61.684,28.097,61.669],[27.993,61.718,27.993,61.703,28.125,61.709,28.081,61.721,28.059,61.711,27.993,61.718],[27.449,61.794,27.445,61.773,27.495,61.755,27.48,61.794,27.449,61.794],[27.51,61.808,27.554,61.759,27.582,61.773,27.554,61.781,27.571,61.794,27.51,61.808],[27.186,61.918,27.202,61.863,27.18,61.856,27.202,61.847,27.216,61.898,27.186,61.918],[27.598,61.773,27.555,61.671,27.598,61.678,27.636,61.721,27.598,61.773],[28.872,61.617,28.872,61.653,28.828,61.613,28.872,61.617,28.836,61.606,28.872,61.595,28.902,61.606,28.872,61.617],[28.865,61.439,28.872,61.418,28.828,61.426,28.794,61.399,28.85,61.416,28.915,61.4,28.893,61.439,28.872,61.449,28.865,61.439],[29.037,61.46,29.136,61.448,29.136,61.46,29.048,61.47,29.037,61.46],[29.116,61.397,29.18,61.376,29.092,61.372,29.219,61.359,29.183,61.397,29.116,61.397],[27.743,61.565,27.773,61.546,27.773,61.565,27.809,61.565,27.817,61.544,27.817,61.57,27.773,61.578,27.743,61.565],[28.564,61.575,28.564,61.55,28.663,61.565,28.63,61.577,28.564,61.575],[29.092,61.617,29.092,61.606,29.048,61.596,29.048,61.617,29.004,61.617,29.028,61.627,29.026,61.669,29.004,61.669,29.004,61.637,28.96,61.637,28.984,61.648,28.938,61.669,28.96,61.683,29.048,61.674,29.048,61.69,29.004,61.69,29.004,61.711,29.092,61.693,29.092,61.711,29.13,61.711,29.092,61.719,28.983,61.711,28.969,61.784,29.004,61.813,28.938,61.804,28.938,61.856,28.894,61.869,28.828,61.862,28.861,61.856,28.828,61.82,28.792,61.835,28.652,61.824,28.652,61.852,28.608,61.835,28.608,61.847,28.564,61.847,28.564,61.864,28.521,61.864,28.539,61.835,28.608,61.835,28.587,61.794,28.564,61.782,28.564,61.806,28.539,61.794,28.521,61.759,28.477,61.767,28.498,61.794,28.477,61.811,28.564,61.816,28.477,61.815,28.467,61.835,28.45,61.784,28.47,61.732,28.492,61.752,28.489,61.711,28.433,61.72,28.433,61.7,28.389,61.69,28.499,61.7,28.502,61.669,28.548,61.648,28.49,61.648,28.521,61.635,28.564,61.636,28.564,61.662,28.632,61.648,28.632,61.669,28.538,61.69,28.533,61.732,28.564,61.744,28.608,61.718,28.652,61.723,28.608,61.694,28.592,61.711,28.592,61.69,28.682,61.669,28.652,61.661,28.696,61.661,28.696,61.643,28.74,61.648,28.704,61.648,28.706,61.69,28.664,61.711,28.696,61.717,28.666,61.732,28.74,61.747,28.772,61.732,28.74,61.725,28.811,61.711,28.811,61.69,28.828,61.7,28.96,61.7,28.96,61.711,28.976,61.69,28.916,61.678,28.851,61.69,28.851,61.669,28.929,61.648,28.96,61.617,29.004,61.594,29.048,61.596,29.048,61.565,29.092,61.585,29.092,61.561,29.092,61.606,29.123,61.606,29.092,61.617],[28.433,61.585,28.433,61.535,28.35,61.523,28.301,61.534,28.27,61.502,28.301,61.502,28.283,61.481,28.343,61.481,28.323,61.512,28.42,61.523,28.591,61.523,28.582,61.502,28.608,61.489,28.68,61.502,28.655,61.523,28.608,61.514,28.644,61.544,28.459,61.523,28.433,61.585],[27.843,61.585,27.861,61.512,27.861,61.559,27.905,61.565,27.861,61.565,27.886,61.585,27.843,61.585],[28.564,61.596,28.564,61.585,28.608,61.585,28.689,61.606,28.652,61.62,28.592,61.606,28.521,61.627,28.389,61.606,28.389,61.619,28.331,61.606,28.301,61.645,28.301,61.596,28.257,61.723,28.257,61.741,28.301,61.759,28.257,61.765,28.234,61.752,28.257,61.69,28.236,61.648,28.257,61.645,28.23,61.627,28.257,61.606,28.189,61.585,28.234,61.585,28.234,61.565,28.184,61.544,28.213,61.544,28.213,61.523,28.257,61.565,28.338,61.565,28.271,61.585,28.301,61.596,28.389,61.606,28.415,61.585,28.433,61.598,28.521,61.595,28.498,61.585,28.521,61.574,28.564,61.596],[27.848,61.439,27.861,61.428,27.817,61.413,27.861,61.386,27.861,61.408,27.94,61.418,27.874,61.418,27.876,61.439,27.848,61.439],[27.51,61.565,27.51,61.579,27.479,61.565,27.51,61.565,27.51,61.554,27.445,61.544,27.466,61.534,27.492,61.544,27.528,61.523,27.51,61.554,27.592,61.58,27.51,61.565],[27.378,61.606,27.359,61.565,27.378,61.552,27.378,61.606,27.334,61.616,27.334,61.59,27.378,61.606],[27.29,61.617,27.322,61.606,27.29,61.696,27.269,61.648,27.29,61.639,27.266,61.627,27.29,61.617,27.258,61.606,27.29,61.591,27.29,61.55,27.32,61.565,27.29,61.617],[27.773,61.679,27.835,61.69,27.858,61.727,27.787,61.711,27.817,61.705,27.773,61.679,27.773,61.669,27.598,61.648,27.598,61.632,27.748,61.648,27.749,61.606,27.686,61.618,27.657,61.606,27.686,61.596,27.624,61.585,27.632,61.565,27.642,61.585,27.686,61.585,27.686,61.596,27.798,61.585,27.836,61.627,27.835,61.606,27.905,61.595,27.905,61.616,27.949,61.612,27.906,61.648,27.888,61.648,27.949,61.664,27.955,61.648,27.949,61.682,27.949,61.669,27.911,61.669,27.918,61.69,27.861,61.702,27.88,61.669,27.847,61.669,27.817,61.639,27.773,61.669,27.773,61.679],[27.654,61.439,27.656,61.418,27.702,61.418,27.713,61.439,27.686,61.453,27.654,61.439],[27.209,61.499,27.246,61.472,27.29,61.479,27.29,61.46,27.261,61.46,27.29,61.451,27.327,61.498,27.209,61.499],[27.318,61.544,27.318,61.523,27.375,61.523,27.345,61.481,27.4,61.499,27.598,61.493,27.642,61.481,27.564,61.481,27.642,61.469,27.668,61.481,27.67,61.523,27.686,61.509,27.715,61.523,27.686,61.536,27.626,61.502,27.598,61.533,27.598,61.512,27.51,61.502,27.378,61.512,27.378,61.53,27.318,61.544],[27.255,61.334,27.334,61.329,27.368,61.348,27.255,61.334],[27.399,61.355,27.403,61.334,27.422,61.35,27.466,61.35,27.466,61.331,27.488,61.334,27.466,61.363,27.422,61.355,27.422,61.368,27.399,61.355],[29.876,61.27,29.927,61.27,29.896,61.249,29.961,61.228,29.927,61.278,29.876,61.27],[30.103,60.998,30.146,60.981,30.175,60.994,30.146,61.007,30.103,60.998],[30.059,61.044,30.078,61.016,30.103,61.016,30.122,61.037,30.059,61.044],[29.992,61.058,30.025,61.037,30.04,61.058,30.015,61.071,29.992,61.058],[30.237,60.863,30.291,60.823,30.278,60.806,30.146,60.832,30.119,60.823,30.149,60.823,30.118,60.82,30.127,60.802,30.163,60.781,30.234,60.77,30.243,60.781,30.278,60.763,30.278,60.792,30.295,60.759,30.322,60.759,30.359,60.791,30.347,60.823,30.237,60.863],[30.015,60.813,30.076,60.738,30.076,60.759,30.11,60.759,30.077,60.802,30.015,60.813],[29.953,60.845,29.971,60.802,30.001,60.802,29.971,60.854,29.953,60.845],[30.015,60.909,30.048,60.952,30.059,60.94,30.103,60.958,30.075,60.994,30.023,61.016,30.059,61.026,29.971,61.023,29.971,60.994,29.883,60.988,29.883,60.973,29.911,60.973,29.862,60.952,29.971,60.941,29.951,60.93,29.971,60.914,30.015,60.952,30.015,60.909],[30.389,60.609,30.41,60.578,30.454,60.578,30.426,60.609,30.389,60.609],[29.956,60.609,29.936,60.591,30.059,60.607,29.956,60.609],[30.234,60.667,30.234,60.652,30.322,60.646,30.322,60.629,30.343,60.63,30.322,60.657,30.234,60.667],[29.986,60.695,30.144,60.673,30.103,60.703,30.015,60.707,29.986,60.695],[30.146,60.688,30.146,60.673,30.267,60.673,30.146,60.688],[30.322,60.37,30.322,60.387,30.366,60.387,30.366,60.4,30.302,60.392,30.322,60.301,30.342,60.349,30.322,60.364,30.344,60.371,30.322,60.37],[29.961,60.087,29.971,60.058,30.068,60.087,29.993,60.104,29.961,60.087],[30.473,60.196,30.498,60.171,30.542,60.166,30.542,60.188,30.473,60.196],[30.564,60.174,30.586,60.15,30.608,60.174,30.586,60.187,30.564,60.174],[31.717,59.801,31.729,59.737,31.656,59.756,31.668,59.734,31.729,59.724,31.729,59.702,31.746,59.734,31.816,59.738,31.74,59.756,31.717,59.801],[30.63,61.596,30.695,61.565,30.63,61.559,30.63,61.532,30.586,61.555,30.542,61.544,30.542,61.554,30.52,61.544,30.542,61.544,30.542,61.529,30.586,61.529,30.612,61.502,30.542,61.497,30.498,61.532,30.498,61.512,30.454,61.509,30.41,61.467,30.278,61.488,30.278,61.509,30.234,61.509,30.257,61.523,30.222,61.523,30.226,61.481,30.251,61.502,30.251,61.481,30.3,61.481,30.3,61.46,30.344,61.46,30.342,61.439,30.322,61.431,30.322,61.449,30.278,61.406,30.234,61.411,30.271,61.475,30.234,61.471,30.234,61.423,30.177,61.418,30.222,61.397,30.234,61.342,30.26,61.355,30.234,61.364,30.234,61.397,30.263,61.397,30.263,61.376,30.322,61.391,30.353,61.376,30.352,61.355,30.278,61.334,30.234,61.279,30.168,61.281,30.146,61.301,30.076,61.291,30.146,61.291,30.059,61.279,30.116,61.27,30.082,61.228,30.015,61.233,30.015,61.243,30.059,61.243,30.015,61.263,29.986,61.249,30.007,61.228,29.933,61.228,30.058,61.207,29.993,61.207,30.036,61.186,30.034,61.143,29.927,61.157,29.941,61.186,29.883,61.199,29.883,61.228,29.85,61.207,29.873,61.186,29.906,61.186,29.905,61.141,29.971,61.134,30.015,61.11,30.015,61.138,30.027,61.101,30.059,61.101,30.059,61.083,30.103,61.095,30.136,61.08,30.143,61.058,30.168,61.08,30.199,61.037,30.257,61.037,30.218,61.016,30.234,61.004,30.26,61.016,30.278,60.987,30.366,60.964,30.366,60.947,30.411,60.93,30.389,60.909,30.442,60.888,30.426,60.845,30.498,60.834,30.498,60.823,30.545,60.781,30.552,60.738,30.498,60.727,30.514,60.619,30.564,60.594,30.608,60.598,30.63,60.575,30.674,60.572,30.725,60.544,30.715,60.522,30.772,60.501,30.83,60.436,30.81,60.421,30.85,60.421,30.876,60.392,30.957,60.196,31.025,60.161,31.025,60.178,31.048,60.174,31.025,60.135,31.083,60.131,31.063,60.065,31.11,60.032,31.079,59.977,31.032,59.977,31.043,59.944,31.095,59.911,31.157,59.924,31.172,59.914,31.144,59.911,31.216,59.911,31.245,59.943,31.333,59.939,31.333,59.922,31.31,59.93,31.32,59.911,31.399,59.897,31.473,59.9,31.487,59.922,31.553,59.925,31.559,60.021,31.509,60.016,31.509,60.032,31.553,60.032,31.509,60.052,31.509,60.072,31.553,60.083,31.597,60.123,31.651,60.131,31.533,60.152,31.669,60.196,31.685,60.229,31.729,60.229,31.729,60.25,31.745,60.24,31.722,60.218,31.816,60.232,31.904,60.215,31.942,60.218,31.948,60.235,31.965,60.218,32,60.211,32,61.274,31.965,61.291,31.983,61.307,31.86,61.28,31.799,61.312,31.811,61.33,31.685,61.328,31.685,61.346,31.729,61.346,31.685,61.355,31.685,61.376,31.729,61.363,31.772,61.376,31.707,61.392,31.663,61.386,31.668,61.418,31.641,61.418,31.641,61.401,31.597,61.418,31.583,61.439,31.685,61.425,31.641,61.488,31.597,61.494,31.553,61.444,31.518,61.481,31.553,61.481,31.533,61.502,31.596,61.502,31.507,61.523,31.478,61.565,31.421,61.556,31.444,61.585,31.402,61.627,31.377,61.638,31.355,61.627,31.333,61.652,31.304,61.648,31.333,61.648,31.323,61.627,31.355,61.627,31.333,61.606,31.333,61.616,31.313,61.606,31.333,61.606,31.333,61.596,31.265,61.585,31.273,61.638,31.245,61.655,31.245,61.628,31.143,61.627,31.184,61.627,31.189,61.606,31.157,61.596,31.094,61.606,31.069,61.595,31.095,61.627,31.069,61.647,31.081,61.69,31.002,61.669,31.002,61.69,31.056,61.69,31.042,61.711,31.025,61.694,30.981,61.725,30.959,61.711,30.894,61.72,30.923,61.732,30.908,61.752,30.85,61.741,30.806,61.773,30.806,61.747,30.732,61.732,30.8,61.732,30.781,61.711,30.806,61.698,30.872,61.704,30.955,61.69,30.926,61.69,30.938,61.659,30.894,61.659,30.894,61.648,30.938,61.648,30.899,61.609,30.938,61.617,30.938,61.606,30.88,61.606,30.85,61.69,30.821,61.69,30.821,61.669,30.806,61.688,30.788,61.669,30.83,61.648,30.828,61.627,30.762,61.642,30.718,61.623,30.718,61.597,30.795,61.585,30.696,61.575,30.714,61.606,30.63,61.617,30.63,61.632,30.595,61.606,30.63,61.596],[30.956,58.95,30.968,58.927,31,58.927,31,58.95,31.025,58.95,31.025,58.93,31.047,58.95,30.981,58.962,30.956,58.95],[30.19,59.021,30.19,58.982,30.146,58.973,30.234,58.962,30.211,58.973,30.245,58.995,30.234,59.012,30.218,58.995,30.19,59.021],[29.007,61.122,29.107,61.08,29.11,61.101,29.007,61.122],[28.874,61.228,28.828,61.224,28.96,61.191,28.96,61.219,29.004,61.219,28.916,61.242,28.874,61.228],[28.895,61.312,28.913,61.291,28.872,61.285,28.916,61.28,28.941,61.291,28.916,61.334,28.895,61.312],[28.482,61.376,28.499,61.344,28.433,61.334,28.491,61.334,28.532,61.312,28.547,61.344,28.482,61.376],[27.94,61.207,27.906,61.186,27.949,61.186,27.949,61.207,28.081,61.19,28.062,61.164,28.081,61.182,28.144,61.186,28.102,61.186,28.102,61.207,27.971,61.217,27.94,61.207],[27.401,61.27,27.501,61.249,27.436,61.249,27.466,61.235,27.554,61.235,27.51,61.284,27.401,61.27],[27.158,61.289,27.158,61.263,27.246,61.238,27.218,61.27,27.158,61.289],[27.278,61.291,27.334,61.284,27.37,61.312,27.278,61.291],[27.422,61.195,27.422,61.136,27.45,61.175,27.422,61.195],[27.373,61.228,27.357,61.186,27.378,61.173,27.4,61.207,27.378,61.207,27.373,61.228],[28.278,61.376,28.389,61.365,28.389,61.343,28.433,61.368,28.477,61.369,28.477,61.381,28.333,61.376,28.301,61.391,28.301,61.406,28.469,61.403,28.435,61.439,28.415,61.418,28.345,61.434,28.308,61.418,28.301,61.427,28.262,61.386,28.278,61.376,28.257,61.359,28.236,61.397,28.172,61.418,28.23,61.418,28.213,61.428,28.125,61.427,28.125,61.439,28.156,61.439,28.147,61.47,28.235,61.47,28.257,61.448,28.281,61.46,28.257,61.481,28.169,61.488,28.169,61.502,28.199,61.523,28.125,61.538,28.109,61.502,28.054,61.481,28.054,61.502,28.037,61.49,28.014,61.502,28.011,61.565,27.949,61.557,27.969,61.606,27.928,61.606,27.934,61.544,27.968,61.544,27.971,61.523,27.926,61.502,27.986,61.502,27.821,61.481,27.905,61.476,27.94,61.46,27.905,61.439,27.949,61.431,27.927,61.365,27.883,61.376,27.795,61.365,27.798,61.418,27.773,61.434,27.773,61.406,27.708,61.404,27.621,61.418,27.642,61.443,27.51,61.444,27.48,61.481,27.466,61.447,27.422,61.471,27.352,61.46,27.405,61.46,27.422,61.431,27.554,61.432,27.598,61.418,27.535,61.418,27.554,61.388,27.572,61.397,27.598,61.385,27.61,61.397,27.642,61.381,27.72,61.397,27.699,61.376,27.729,61.361,27.773,61.367,27.773,61.355,27.747,61.355,27.729,61.329,27.729,61.34,27.598,61.334,27.665,61.334,27.667,61.291,27.721,61.291,27.686,61.328,27.773,61.301,27.806,61.312,27.773,61.315,27.817,61.327,27.847,61.312,27.817,61.306,27.837,61.27,27.642,61.276,27.633,61.291,27.623,61.249,27.598,61.236,27.598,61.263,27.561,61.228,27.539,61.228,27.686,61.199,27.66,61.228,27.686,61.249,27.686,61.238,27.708,61.249,27.642,61.256,27.642,61.27,27.686,61.27,27.714,61.249,27.729,61.263,27.861,61.262,27.883,61.281,28.037,61.283,28.125,61.201,28.257,61.196,28.29,61.186,28.213,61.183,28.257,61.18,28.301,61.149,28.301,61.176,28.389,61.173,28.402,61.164,28.325,61.164,28.325,61.143,28.257,61.143,28.345,61.124,28.301,61.122,28.301,61.092,28.213,61.091,28.213,61.101,28.169,61.089,28.037,61.104,28.257,61.116,28.276,61.101,28.276,61.122,28.15,61.122,28.125,61.164,28.106,61.143,28.125,61.128,28.037,61.138,28.081,61.143,28.081,61.159,28.037,61.149,27.993,61.169,27.946,61.143,27.905,61.173,27.817,61.174,27.817,61.164,27.883,61.164,27.87,61.124,27.927,61.135,28.024,61.122,28.032,61.101,27.949,61.101,28.037,61.097,28.073,61.058,28.092,61.08,28.125,61.05,28.169,61.072,28.323,61.08,28.323,61.111,28.389,61.103,28.368,61.122,28.389,61.135,28.477,61.132,28.494,61.164,28.564,61.156,28.564,61.167,28.652,61.175,28.682,61.207,28.702,61.186,28.74,61.223,28.705,61.228,28.74,61.24,28.75,61.209,28.851,61.249,28.828,61.303,28.828,61.284,28.8,61.27,28.828,61.27,28.828,61.251,28.748,61.27,28.758,61.334,28.652,61.367,28.626,61.355,28.673,61.355,28.696,61.27,28.74,61.324,28.74,61.259,28.669,61.249,28.696,61.239,28.623,61.249,28.608,61.199,28.545,61.228,28.555,61.246,28.521,61.238,28.493,61.249,28.521,61.262,28.564,61.249,28.564,61.26,28.608,61.232,28.608,61.268,28.64,61.27,28.647,61.288,28.564,61.277,28.564,61.302,28.521,61.302,28.543,61.27,28.511,61.27,28.477,61.329,28.357,61.334,28.345,61.319,28.323,61.323,28.343,61.348,28.286,61.355,28.278,61.376],[29.168,60.802,29.18,60.744,29.2,60.802,29.168,60.802],[29.29,60.823,29.261,60.813,29.273,60.791,29.312,60.795,29.312,60.82,29.333,60.816,29.333,60.775,29.377,60.79,29.388,60.781,29.377,60.802,29.355,60.795,29.377,60.813,29.312,60.856,29.279,60.856,29.268,60.871,29.246,60.848,29.212,60.877,29.205,60.826,29.224,60.841,29.266,60.823,29.268,60.838,29.333,60.834,29.29,60.823],[29.706,60.802,29.728,60.802,29.728,60.781,29.795,60.789,29.795,60.805,29.751,60.813,29.707,60.813,29.706,60.802],[29.087,60.845,29.082,60.823,29.004,60.802,29.105,60.802,29.087,60.845],[29.136,60.93,29.193,60.93,29.144,60.934,29.114,60.956,29.07,60.952,29.086,60.983,29.059,60.978,28.96,61.02,28.938,61.02,28.982,60.989,29.026,60.977,29.048,60.984,29.014,60.961,29.051,60.973,29.07,60.962,29.07,60.949,29.114,60.949,29.107,60.93,29.136,60.93],[28.556,60.973,28.564,60.93,28.593,60.93,28.584,60.973,28.556,60.973],[27.724,60.973,27.691,60.933,27.773,60.952,27.724,60.973],[27.729,60.994,27.817,60.952,27.84,60.973,27.817,61.029,27.686,61.024,27.665,60.973,27.565,60.972,27.575,60.952,27.686,60.943,27.654,60.952,27.686,60.984,27.729,60.984,27.729,60.994],[27.584,60.994,27.598,60.973,27.625,60.973,27.642,61.003,27.584,60.994],[27.861,60.695,27.971,60.681,28.008,60.695,27.993,60.705,27.861,60.695],[29.259,60.587,29.224,60.547,29.268,60.554,29.312,60.534,29.399,60.529,29.312,60.596,29.259,60.587],[29.356,60.645,29.389,60.609,29.443,60.609,29.356,60.645],[29.597,60.72,29.587,60.695,29.608,60.695,29.616,60.662,29.751,60.638,29.773,60.665,29.949,60.649,30.011,60.657,29.993,60.68,29.927,60.668,29.907,60.684,29.905,60.668,29.784,60.68,29.729,60.662,29.663,60.684,29.641,60.678,29.663,60.695,29.638,60.716,29.597,60.72],[29.487,60.538,29.487,60.514,29.552,60.501,29.551,60.522,29.487,60.538],[29.43,60.436,29.487,60.428,29.487,60.407,29.531,60.407,29.531,60.392,29.505,60.392,29.566,60.37,29.545,60.414,29.465,60.446,29.43,60.436],[29.23,60.283,29.268,60.251,29.311,60.246,29.268,60.283,29.23,60.283],[28.981,60.414,28.96,60.383,29.004,60.383,29.004,60.426,28.981,60.414],[28.836,60.431,28.844,60.414,28.872,60.413,28.872,60.389,28.894,60.392,28.897,60.414,28.836,60.431],[29.18,60.283,29.18,60.319,29.153,60.305,29.18,60.283,29.224,60.276,29.224,60.305,29.18,60.283],[28.75,58.995,28.696,58.98,28.696,58.967,28.762,58.94,28.828,58.947,28.828,58.978,28.784,59.001,28.75,58.995],[28.549,59.601,28.521,59.587,28.627,59.601,28.586,59.612,28.549,59.601],[28.444,59.623,28.477,59.592,28.519,59.619,28.444,59.623],[28.098,59.69,28.083,59.673,28.125,59.673,28.146,59.69,28.125,59.701,28.098,59.69],[28.124,59.333,28.131,59.311,28.103,59.297,27.998,59.306,28.037,59.257,28.147,59.248,28.125,59.179,28.147,59.179,28.164,59.253,28.213,59.236,28.257,59.243,28.257,59.256,28.213,59.256,28.257,59.302,28.389,59.302,28.389,59.288,28.416,59.288,28.389,59.324,28.389,59.311,28.246,59.311,28.213,59.346,28.124,59.333],[26.903,63.015,26.938,62.987,27.026,62.989,26.941,63.015,26.982,63.018,26.938,63.03,26.903,63.015],[27.18,62.895,27.202,62.884,27.23,62.895,27.202,62.908,27.18,62.895,27.181,62.915,27.123,62.93,27.18,62.895],[26.895,62.995,26.875,62.955,26.851,62.955,26.851,62.974,26.82,62.955,26.851,62.928,26.895,62.928,26.866,62.935,26.895,62.965,26.938,62.965,26.919,62.995,26.895,62.995],[25.884,63.243,25.955,63.214,25.928,63.182,25.972,63.187,26.016,63.167,26.036,63.194,25.972,63.234,25.884,63.243],[26.232,63.273,26.279,63.223,26.323,63.222,26.301,63.234,26.323,63.258,26.232,63.273],[26.044,63.313,25.989,63.293,26.104,63.287,26.06,63.299,26.06,63.323,26.044,63.313],[26.267,63.174,26.279,63.135,26.326,63.115,26.357,63.153,26.301,63.144,26.301,63.174,26.267,63.174],[26.161,62.915,26.153,62.896,26.253,62.915,26.191,62.928,26.161,62.915],[26.242,62.886,26.285,62.835,26.287,62.875,26.242,62.886],[26.47,62.991,26.543,62.943,26.587,62.943,26.543,62.975,26.47,62.991],[26.653,63.025,26.631,63.055,26.587,63.049,26.587,63.068,26.631,63.075,26.543,63.066,26.543,63.085,26.61,63.095,26.607,63.135,26.665,63.194,26.631,63.194,26.631,63.211,26.675,63.201,26.719,63.246,26.773,63.253,26.719,63.262,26.745,63.273,26.719,63.286,26.683,63.234,26.653,63.234,26.675,63.264,26.631,63.264,26.631,63.284,26.675,63.293,26.649,63.293,26.649,63.313,26.631,63.303,26.6,63.313,26.587,63.339,26.543,63.339,26.562,63.372,26.508,63.39,26.499,63.358,26.455,63.379,26.411,63.348,26.485,63.293,26.534,63.293,26.481,63.273,26.499,63.255,26.499,63.273,26.543,63.267,26.587,63.287,26.615,63.273,26.603,63.253,26.631,63.253,26.609,63.234,26.663,63.214,26.601,63.214,26.616,63.194,26.587,63.174,26.543,63.204,26.499,63.146,26.467,63.154,26.499,63.16,26.411,63.158,26.411,63.174,26.375,63.174,26.46,63.135,26.433,63.115,26.502,63.095,26.473,63.075,26.52,63.075,26.474,63.055,26.575,63.035,26.493,63.035,26.499,63.025,26.61,62.995,26.631,62.959,26.668,62.985,26.653,63.025],[25.469,63.115,25.526,63.055,25.56,63.055,25.576,63.082,25.532,63.092,25.557,63.095,25.524,63.132,25.469,63.115],[25.65,63.253,25.62,63.222,25.664,63.222,25.677,63.253,25.65,63.253],[25.708,63.372,25.708,63.347,25.664,63.322,25.62,63.362,25.577,63.367,25.62,63.345,25.6,63.332,25.717,63.293,25.678,63.273,25.708,63.27,25.708,63.249,25.796,63.266,25.855,63.234,25.84,63.282,25.884,63.282,25.884,63.293,25.778,63.313,25.778,63.332,25.708,63.372],[25.511,63.035,25.488,63.007,25.444,63.011,25.488,63.018,25.4,63.027,25.368,62.995,25.422,63.005,25.444,62.981,25.446,62.995,25.532,62.964,25.573,62.992,25.488,62.992,25.558,62.995,25.532,63.007,25.555,63.035,25.511,63.035],[25.211,63.015,25.181,62.985,25.225,62.945,25.243,62.995,25.211,63.015],[25.274,62.975,25.269,62.965,25.362,62.975,25.313,62.988,25.274,62.975],[25.116,63.313,25.118,63.194,25.086,63.174,25.137,63.163,25.149,63.115,25.072,63.115,25.049,63.163,25.049,63.13,25.015,63.115,25.175,63.095,25.073,63.075,25.114,63.075,25.114,63.055,25.181,63.055,25.137,63.051,25.137,63.035,25.162,63.035,25.181,62.998,25.205,63.055,25.167,63.075,25.225,63.075,25.225,63.058,25.251,63.085,25.233,63.105,25.258,63.15,25.201,63.154,25.203,63.174,25.264,63.174,25.249,63.194,25.181,63.206,25.153,63.293,25.116,63.313],[25.116,62.935,25.181,62.923,25.181,62.902,25.21,62.915,25.181,62.945,25.116,62.935],[25.225,62.915,25.225,62.895,25.306,62.858,25.285,62.895,25.225,62.915],[26.982,62.691,26.982,62.674,27.026,62.663,27.047,62.674,26.982,62.691],[26.763,62.955,26.789,63.015,26.719,63.015,26.716,63.035,26.715,63.005,26.675,62.982,26.763,62.99,26.763,62.941,26.707,62.935,26.752,62.915,26.737,62.895,26.763,62.895,26.763,62.915,26.778,62.895,26.841,62.895,26.742,62.875,26.791,62.855,26.763,62.835,26.675,62.847,26.675,62.835,26.713,62.835,26.704,62.795,26.741,62.785,26.763,62.743,26.827,62.735,26.827,62.714,26.851,62.714,26.851,62.735,26.869,62.714,26.895,62.728,26.938,62.714,26.982,62.735,26.938,62.735,26.895,62.775,26.867,62.775,26.867,62.755,26.895,62.755,26.895,62.742,26.807,62.775,26.763,62.767,26.763,62.781,26.807,62.781,26.782,62.815,26.807,62.832,26.829,62.775,26.895,62.781,26.875,62.815,26.825,62.815,26.851,62.826,27.065,62.775,27.028,62.825,27.069,62.848,26.982,62.855,26.982,62.839,26.938,62.855,26.938,62.868,27.026,62.864,27.046,62.875,26.982,62.89,26.914,62.875,26.895,62.849,26.895,62.871,26.827,62.835,26.824,62.875,26.882,62.875,26.872,62.915,26.835,62.915,26.835,62.935,26.785,62.935,26.763,62.955],[27.07,62.864,27.07,62.843,27.114,62.843,27.114,62.829,27.202,62.835,27.144,62.835,27.114,62.865,27.07,62.864],[26.543,62.935,26.587,62.926,26.587,62.895,26.631,62.882,26.65,62.835,26.65,62.855,26.693,62.855,26.642,62.875,26.706,62.895,26.631,62.901,26.6,62.915,26.613,62.935,26.543,62.935],[26.746,62.512,26.721,62.495,26.785,62.51,26.85,62.494,26.807,62.518,26.746,62.512],[27.114,62.595,27.192,62.573,27.158,62.604,27.114,62.595],[26.961,62.614,26.938,62.694,27.006,62.694,26.982,62.714,26.917,62.702,26.859,62.714,26.873,62.684,26.821,62.674,26.87,62.674,26.87,62.654,26.938,62.646,26.938,62.614,26.961,62.614,26.982,62.589,26.982,62.633,26.961,62.614],[26.719,62.616,26.763,62.607,26.719,62.607,26.719,62.583,26.87,62.593,26.851,62.604,26.775,62.593,26.787,62.614,26.763,62.625,26.719,62.616],[26.712,62.472,26.691,62.451,26.719,62.438,26.747,62.472,26.712,62.472],[26.938,62.472,26.968,62.472,26.938,62.485,26.938,62.472,26.895,62.472,26.915,62.492,26.895,62.502,26.879,62.472,26.938,62.459,26.938,62.472],[26.653,62.472,26.631,62.501,26.656,62.512,26.604,62.512,26.619,62.472,26.653,62.472],[26.346,62.654,26.411,62.634,26.367,62.62,26.355,62.634,26.355,62.614,26.282,62.614,26.367,62.61,26.378,62.593,26.378,62.614,26.455,62.624,26.417,62.634,26.469,62.654,26.455,62.667,26.455,62.654,26.411,62.666,26.346,62.654],[26.06,62.634,26.06,62.619,26.104,62.625,26.104,62.65,26.191,62.654,26.075,62.654,26.06,62.634],[26.381,62.855,26.398,62.775,26.434,62.755,26.473,62.755,26.543,62.674,26.587,62.66,26.587,62.674,26.631,62.677,26.562,62.694,26.514,62.755,26.543,62.769,26.587,62.75,26.631,62.751,26.67,62.767,26.587,62.764,26.624,62.805,26.62,62.855,26.565,62.838,26.455,62.838,26.523,62.835,26.523,62.815,26.575,62.795,26.566,62.775,26.543,62.789,26.499,62.775,26.473,62.815,26.411,62.855,26.381,62.855],[25.653,62.553,25.708,62.529,25.744,62.568,25.653,62.553],[26.181,62.573,26.174,62.512,26.217,62.512,26.191,62.565,26.258,62.573,26.279,62.544,26.312,62.573,26.181,62.573],[26.092,62.553,26.104,62.473,26.167,62.492,26.115,62.512,26.113,62.553,26.092,62.553],[26.499,62.634,26.46,62.634,26.463,62.614,26.411,62.602,26.455,62.577,26.455,62.593,26.47,62.573,26.543,62.585,26.609,62.538,26.735,62.553,26.719,62.566,26.719,62.553,26.689,62.553,26.691,62.573,26.617,62.593,26.647,62.593,26.675,62.622,26.675,62.608,26.692,62.614,26.675,62.664,26.631,62.637,26.631,62.671,26.587,62.627,26.499,62.634],[26.567,62.472,26.572,62.451,26.543,62.451,26.543,62.465,26.511,62.451,26.543,62.434,26.515,62.411,26.543,62.394,26.587,62.442,26.587,62.423,26.651,62.431,26.595,62.451,26.631,62.461,26.587,62.461,26.587,62.484,26.567,62.472],[25.928,62.434,25.972,62.431,25.972,62.416,25.928,62.411,25.972,62.396,26.001,62.431,25.972,62.444,25.928,62.434],[25.822,62.472,25.84,62.429,25.862,62.431,25.857,62.472,25.84,62.482,25.822,62.472],[26.191,62.511,26.191,62.492,26.217,62.492,26.201,62.451,26.251,62.472,26.253,62.492,26.191,62.511],[25.4,62.781,25.421,62.735,25.366,62.714,25.313,62.729,25.313,62.706,25.4,62.701,25.4,62.692,25.444,62.72,25.488,62.684,25.576,62.685,25.506,62.714,25.495,62.755,25.532,62.762,25.444,62.786,25.4,62.781],[25.205,62.694,25.269,62.689,25.296,62.714,25.205,62.694,25.218,62.73,25.112,62.714,25.112,62.694,25.181,62.704,25.205,62.694],[25.005,62.804,25.005,62.782,24.961,62.782,24.984,62.755,25.016,62.755,25.005,62.804],[25.4,62.581,25.444,62.528,25.456,62.573,25.4,62.581],[25.4,62.614,25.4,62.641,25.444,62.641,25.444,62.654,25.313,62.669,25.343,62.634,25.377,62.634,25.377,62.614,25.4,62.614,25.39,62.593,25.412,62.593,25.4,62.614],[27.147,62.37,27.114,62.37,27.114,62.358,27.158,62.358,27.158,62.339,27.114,62.35,27.092,62.329,27.114,62.329,27.114,62.289,27.195,62.36,27.158,62.381,27.147,62.37],[26.988,62.309,27.07,62.309,27.07,62.291,27.102,62.329,26.988,62.309],[27.035,62.288,27.07,62.239,27.114,62.234,27.07,62.281,27.035,62.288],[26.763,62.312,26.733,62.288,26.763,62.288,26.763,62.262,26.807,62.26,26.771,62.268,26.834,62.288,26.763,62.312],[26.851,62.114,26.938,62.112,26.938,62.124,26.895,62.137,26.895,62.124,26.851,62.132,26.851,62.114,26.79,62.104,26.807,62.093,26.851,62.114],[27.026,62.107,27.07,62.099,27.07,62.063,27.099,62.063,27.094,62.104,27.07,62.114,27.026,62.107],[27.114,62.093,27.114,62.079,27.158,62.072,27.182,62.083,27.114,62.093],[26.735,62.166,26.763,62.136,26.798,62.132,26.763,62.166,26.735,62.166],[26.235,62.39,26.235,62.377,26.279,62.384,26.309,62.37,26.279,62.32,26.323,62.32,26.329,62.39,26.257,62.421,26.279,62.447,26.211,62.431,26.204,62.39,26.235,62.39],[26.06,62.472,26.094,62.512,26.045,62.492,26.06,62.472,26.031,62.472,26.06,62.37,26.06,62.398,26.12,62.411,26.06,62.431,26.085,62.451,26.06,62.472],[26.499,62.186,26.527,62.207,26.499,62.219,26.476,62.207,26.499,62.186],[26.104,62.395,26.147,62.37,26.104,62.37,26.104,62.386,26.082,62.35,26.123,62.329,26.066,62.324,26.104,62.296,26.147,62.303,26.147,62.288,26.119,62.288,26.163,62.268,26.16,62.247,26.221,62.278,26.161,62.309,26.212,62.329,26.104,62.35,26.163,62.37,26.171,62.39,26.147,62.402,26.104,62.395],[26.41,62.083,26.439,62.083,26.404,62.063,26.429,62.063,26.435,62.042,26.47,62.042,26.455,62.083,26.499,62.046,26.499,62.091,26.477,62.099,26.41,62.083],[25.974,62.139,26.016,62.095,26.06,62.098,26.027,62.104,26.016,62.133,25.974,62.139],[25.884,62.342,25.884,62.321,25.928,62.31,25.928,62.329,25.884,62.342],[25.335,62.309,25.337,62.326,25.313,62.3,25.335,62.309,25.347,62.268,25.372,62.268,25.4,62.297,25.335,62.309],[25.823,62.227,25.812,62.207,25.84,62.207,25.861,62.227,25.84,62.236,25.823,62.227],[25.202,62.227,25.181,62.252,25.129,62.247,25.202,62.227,25.181,62.207,25.269,62.22,25.225,62.239,25.202,62.227],[25.049,62.091,25.093,62.049,25.117,62.083,25.049,62.091],[25.175,62.166,25.181,62.136,25.117,62.124,25.097,62.089,25.175,62.104,25.137,62.104,25.137,62.124,25.215,62.105,25.175,62.166],[25.532,62.183,25.532,62.155,25.488,62.155,25.505,62.124,25.62,62.098,25.62,62.117,25.664,62.124,25.554,62.135,25.532,62.183],[25.962,62.35,25.951,62.309,25.908,62.288,25.928,62.124,25.952,62.124,25.95,62.247,25.972,62.277,26.016,62.274,26.047,62.288,26.016,62.3,25.998,62.288,25.998,62.309,25.972,62.309,25.994,62.329,25.962,62.35],[23.952,63.31,24.012,63.253,24.026,63.283,23.952,63.31],[24.535,63.113,24.565,63.046,24.637,63.035,24.639,63.073,24.609,63.063,24.565,63.077,24.565,63.109,24.535,63.113],[24.678,62.895,24.719,62.855,24.703,62.84,24.741,62.843,24.741,62.873,24.829,62.867,24.829,62.883,24.785,62.882,24.741,62.903,24.678,62.895],[24.478,62.912,24.521,62.856,24.521,62.875,24.558,62.875,24.478,62.912],[23.624,63.253,23.66,63.154,23.599,63.147,23.599,63.165,23.643,63.174,23.599,63.174,23.625,63.194,23.564,63.214,23.548,63.135,23.613,63.095,23.643,63.046,23.687,63.088,23.793,63.115,23.763,63.154,23.774,63.205,23.73,63.205,23.73,63.225,23.687,63.224,23.643,63.26,23.624,63.253],[18.128,63.214,18.193,63.202,18.215,63.214,18.171,63.229,18.128,63.214],[23.396,62.872,23.407,62.835,23.467,62.805,23.511,62.803,23.511,62.829,23.467,62.829,23.396,62.872],[23.9,62.919,23.906,62.902,23.949,62.899,23.936,62.935,23.9,62.919],[23.839,63.015,23.843,62.995,23.906,62.988,23.883,63.015,23.903,63.031,23.839,63.015],[18.023,63.193,18.037,63.174,18.127,63.154,18.105,63.185,18.023,63.193],[17.105,62.995,17.183,62.966,17.139,63.012,17.105,62.995],[17.974,63.055,17.965,62.995,18.018,62.98,17.974,63.055],[17.744,62.995,17.761,62.985,17.732,62.981,17.706,63.005,17.691,62.975,17.743,62.974,17.785,62.955,17.776,62.941,17.846,62.925,17.842,62.895,17.886,62.903,17.869,62.87,17.911,62.855,17.886,62.885,17.915,62.895,17.917,62.925,17.886,62.91,17.842,62.962,17.82,62.947,17.79,62.975,17.788,62.995,17.829,63.005,17.785,63.015,17.776,63.095,17.776,63.017,17.768,62.995,17.744,62.995],[18.04,62.915,18.033,62.901,18.149,62.911,18.062,62.924,18.04,62.915],[24.82,62.795,24.829,62.755,24.794,62.755,24.829,62.739,24.808,62.694,24.829,62.684,24.844,62.735,24.82,62.795],[24.522,62.471,24.55,62.444,24.6,62.435,24.581,62.458,24.522,62.471],[24.425,62.492,24.434,62.48,24.39,62.472,24.434,62.448,24.464,62.482,24.425,62.492],[24.256,62.614,24.214,62.583,24.258,62.586,24.302,62.569,24.346,62.605,24.279,62.593,24.258,62.626,24.256,62.614],[23.994,62.781,24.038,62.739,24.027,62.674,24.115,62.634,24.126,62.593,24.153,62.593,24.126,62.654,24.082,62.654,24.126,62.674,24.066,62.674,24.038,62.781,23.994,62.781],[24.126,62.542,24.17,62.504,24.196,62.512,24.194,62.533,24.126,62.542],[24.141,62.573,24.148,62.553,24.183,62.553,24.17,62.573,24.203,62.573,24.17,62.587,24.141,62.573],[23.643,62.362,23.687,62.317,23.788,62.329,23.694,62.329,23.687,62.362,23.643,62.362],[24.17,62.329,24.17,62.347,24.242,62.35,24.242,62.329,24.273,62.329,24.258,62.362,24.346,62.344,24.346,62.366,24.39,62.37,24.336,62.37,24.302,62.354,24.302,62.387,24.346,62.387,24.302,62.399,24.278,62.37,24.258,62.385,24.204,62.35,24.17,62.359,24.17,62.329],[22.852,62.755,22.792,62.755,22.808,62.723,22.847,62.719,22.808,62.755,22.852,62.755],[17.174,62.795,17.227,62.743,17.227,62.795,17.271,62.799,17.174,62.795],[21.992,62.775,22.017,62.755,22.052,62.792,21.992,62.775],[23.038,62.815,23.071,62.78,23.137,62.793,23.188,62.782,23.159,62.801,23.038,62.815],[17.659,62.614,17.645,62.593,17.672,62.573,17.679,62.614,17.659,62.614],[23.203,62.722,23.247,62.659,23.278,62.654,23.269,62.684,23.311,62.694,23.291,62.704,23.268,62.694,23.247,62.722,23.203,62.722],[21.313,62.735,21.303,62.694,21.357,62.684,21.37,62.694,21.313,62.735],[23.107,62.573,23.079,62.54,23.168,62.553,23.142,62.592,23.107,62.573],[24.678,62.268,24.697,62.243,24.675,62.207,24.653,62.194,24.653,62.218,24.598,62.166,24.741,62.111,24.771,62.124,24.731,62.124,24.707,62.145,24.752,62.166,24.758,62.207,24.741,62.218,24.731,62.166,24.697,62.207,24.697,62.281,24.678,62.268],[24.455,62.145,24.41,62.124,24.434,62.113,24.565,62.124,24.478,62.138,24.478,62.156,24.455,62.145],[24.324,62.166,24.369,62.166,24.39,62.136,24.412,62.145,24.39,62.175,24.324,62.166],[24.609,62.007,24.565,62.032,24.49,62.022,24.609,62.007],[24.697,62.042,24.678,62.042,24.681,62.124,24.642,62.124,24.631,62.052,24.6,62.042,24.697,62.042],[24.329,62.124,24.307,62.083,24.399,62.104,24.329,62.124],[23.95,62.238,23.95,62.22,24.046,62.227,24.038,62.238,23.994,62.238,23.994,62.227,23.95,62.238],[24.068,62.309,24.055,62.272,24.126,62.292,24.068,62.309],[23.7,62.309,23.73,62.276,23.774,62.275,23.762,62.309,23.7,62.309],[24.057,62.042,24.103,62.022,24.103,62.042,24.14,62.042,24.17,62.022,24.214,62.042,24.235,62.022,24.214,62.052,24.082,62.055,24.057,62.042],[23.664,62.186,23.704,62.186,23.704,62.145,23.774,62.145,23.687,62.124,23.687,62.16,23.687,62.119,23.774,62.124,23.862,62.114,23.906,62.093,23.95,62.104,23.95,62.092,23.994,62.136,24.008,62.11,24.063,62.104,24.082,62.073,24.143,62.083,24.126,62.152,24.082,62.112,24.044,62.166,24.012,62.166,24.012,62.145,23.971,62.145,23.95,62.174,23.928,62.145,23.95,62.112,23.906,62.112,23.906,62.134,23.803,62.124,23.79,62.166,23.73,62.153,23.73,62.194,23.664,62.186],[21.401,62.193,21.401,62.178,21.533,62.186,21.401,62.193],[22.612,62.227,22.632,62.222,22.588,62.193,22.646,62.207,22.656,62.227,22.632,62.24,22.612,62.227],[17.252,62.247,17.241,62.227,17.314,62.215,17.334,62.227,17.252,62.247],[17.358,62.186,17.358,62.131,17.397,62.128,17.417,62.166,17.358,62.186],[22.983,62.173,22.983,62.133,23.027,62.133,22.983,62.173],[23.176,62.166,23.159,62.157,23.203,62.157,23.203,62.135,23.225,62.155,23.291,62.147,23.247,62.174,23.176,62.166],[23.095,62.207,23.08,62.147,23.127,62.166,23.115,62.218,23.095,62.207],[17.03,63.055,17.04,63.015,17.095,63.026,17.051,63.064,17.03,63.055],[16.073,62.975,16.072,62.935,16.128,62.918,16.073,62.975],[15.937,63.174,15.776,63.154,15.952,63.143,15.961,63.118,16.04,63.127,15.952,63.181,15.937,63.174],[15.628,63.154,15.727,63.154,15.732,63.145,15.76,63.172,15.628,63.154],[16.084,63.049,16.064,63.015,16.084,63.005,16.084,63.02,16.14,63.035,16.084,63.049],[15.601,62.875,15.601,62.846,15.726,62.855,15.661,62.855,15.601,62.875],[15.513,62.937,15.59,62.915,15.605,62.895,15.601,62.935,15.513,62.937],[15.205,63.154,15.205,63.178,15.161,63.178,15.205,63.174,15.205,63.154,15.121,63.169,15.205,63.12,15.172,63.154,15.205,63.154],[14.897,63.323,14.81,63.312,14.941,63.307,14.985,63.299,14.985,63.285,14.994,63.303,14.977,63.313,14.897,63.323],[15.029,63.284,15.114,63.263,15.095,63.29,15.029,63.284],[14.81,63.043,14.827,63.015,14.81,63.027,14.784,63.015,14.82,62.985,14.897,62.941,14.937,62.938,14.863,62.995,14.854,63.026,14.878,63.035,14.81,63.043],[15.087,63.015,15.117,62.987,15.161,62.987,15.117,63.006,15.117,63.029,15.087,63.015],[15.139,62.895,15.161,62.875,15.201,62.914,15.139,62.895],[15.109,62.875,15.109,62.855,15.039,62.855,15.205,62.846,15.161,62.861,15.117,62.855,15.109,62.875],[15.231,62.955,15.205,62.884,15.249,62.884,15.219,62.875,15.249,62.866,15.308,62.875,15.268,62.875,15.249,62.915,15.267,62.935,15.231,62.955],[15.009,62.935,15.117,62.922,15.073,62.946,15.009,62.935],[16.755,62.795,16.748,62.776,16.809,62.795,16.787,62.806,16.755,62.795],[16.415,62.714,16.392,62.667,16.436,62.667,16.436,62.654,16.464,62.654,16.464,62.674,16.523,62.665,16.523,62.686,16.479,62.681,16.448,62.714,16.415,62.714],[16.543,62.694,16.567,62.664,16.567,62.682,16.611,62.682,16.567,62.705,16.543,62.694],[16.621,62.547,16.655,62.524,16.699,62.523,16.699,62.539,16.621,62.547],[16.699,62.59,16.699,62.573,16.787,62.562,16.794,62.573,16.699,62.59],[16.418,62.553,16.4,62.517,16.455,62.533,16.45,62.553,16.418,62.553],[16.392,62.654,16.392,62.64,16.348,62.647,16.321,62.634,16.361,62.634,16.436,62.573,16.436,62.614,16.466,62.614,16.412,62.634,16.424,62.654,16.392,62.654],[16.787,62.616,16.831,62.601,16.858,62.614,16.831,62.625,16.787,62.616],[15.676,62.835,15.645,62.805,15.713,62.815,15.676,62.835],[16.212,62.875,16.216,62.821,16.251,62.895,16.212,62.875],[15.582,62.714,15.667,62.699,15.7,62.714,15.601,62.714,15.601,62.724,15.582,62.714],[14.985,62.815,14.941,62.85,14.941,62.817,14.88,62.815,14.975,62.795,14.981,62.775,14.941,62.77,14.999,62.775,14.985,62.815],[15.269,62.855,15.293,62.775,15.293,62.809,15.337,62.795,15.337,62.808,15.381,62.815,15.31,62.815,15.303,62.855,15.269,62.855],[14.784,62.835,14.784,62.815,14.85,62.797,14.84,62.815,14.81,62.816,14.81,62.853,14.784,62.835],[15.117,62.745,15.044,62.752,15.073,62.64,15.117,62.64,15.086,62.674,15.117,62.745],[14.614,62.895,14.634,62.835,14.609,62.775,14.587,62.775,14.678,62.693,14.722,62.714,14.679,62.714,14.654,62.735,14.678,62.795,14.634,62.782,14.634,62.802,14.678,62.802,14.678,62.815,14.655,62.815,14.65,62.895,14.614,62.895],[15.352,62.795,15.352,62.775,15.337,62.79,15.305,62.775,15.306,62.755,15.359,62.765,15.435,62.714,15.381,62.795,15.352,62.795],[16.655,62.41,16.655,62.39,16.766,62.37,16.766,62.39,16.655,62.41],[17.069,62.329,17.051,62.293,17.147,62.309,17.069,62.329],[16.743,62.099,16.784,62.063,16.831,62.063,16.743,62.099],[16.921,62.18,16.963,62.136,16.972,62.166,16.921,62.18],[15.319,62.492,15.312,62.451,15.364,62.451,15.319,62.492],[15.222,62.492,15.244,62.472,15.188,62.472,15.249,62.468,15.264,62.451,15.26,62.393,15.315,62.406,15.425,62.399,15.435,62.411,15.381,62.411,15.381,62.422,15.477,62.431,15.293,62.437,15.293,62.456,15.249,62.472,15.249,62.485,15.293,62.492,15.249,62.506,15.222,62.492],[16.084,62.166,16.128,62.166,16.128,62.155,16.26,62.16,16.128,62.174,16.084,62.166],[15.148,62.39,15.161,62.379,15.227,62.384,15.205,62.398,15.148,62.39],[14.762,62.411,14.697,62.411,14.706,62.39,14.722,62.384,14.762,62.411],[14.971,62.451,14.963,62.411,15.003,62.411,14.995,62.451,14.971,62.451],[14.998,62.247,15.015,62.207,15.064,62.193,15.029,62.212,15.029,62.242,14.998,62.247],[15.105,62.329,15.073,62.281,15.117,62.281,15.117,62.268,15.089,62.268,15.161,62.253,15.117,62.3,15.144,62.346,15.105,62.329],[15.073,62.38,15.097,62.35,15.133,62.35,15.117,62.38,15.073,62.38],[26.851,61.921,26.851,61.907,26.807,61.907,26.807,61.884,26.851,61.884,26.851,61.856,26.835,61.877,26.807,61.877,26.807,61.845,26.879,61.84,26.878,61.908,26.851,61.921],[26.982,61.918,26.982,61.905,26.938,61.898,27.026,61.887,27.044,61.898,27.005,61.898,27.005,61.918,26.982,61.918],[26.982,62.051,27.055,61.98,27.099,61.98,26.982,61.965,27.008,61.96,27.026,61.911,27.07,61.911,27.039,61.939,27.101,61.939,27.114,61.907,27.114,61.927,27.202,61.929,27.158,61.948,27.202,62.032,27.158,62.032,27.158,62.05,27.114,62.056,27.086,62.042,27.141,62.042,27.158,62.007,27.07,62.016,27.07,62.034,26.982,62.051],[27.114,61.711,27.141,61.711,27.125,61.752,26.989,61.77,27.005,61.752,27.105,61.732,27.059,61.732,27.114,61.711],[26.786,61.96,26.786,61.939,26.745,61.939,26.763,61.906,26.787,61.918,26.763,61.927,26.839,61.918,26.786,61.96],[26.652,62.001,26.631,62.023,26.611,62.001,26.652,62.001,26.675,61.967,26.719,61.974,26.652,62.001],[26.675,62.032,26.697,62.001,26.763,62.014,26.719,62.033,26.675,62.032],[26.455,61.732,26.455,61.743,26.431,61.732,26.455,61.732,26.455,61.711,26.499,61.727,26.533,61.711,26.521,61.7,26.455,61.71,26.477,61.679,26.389,61.669,26.43,61.669,26.445,61.648,26.373,61.627,26.455,61.606,26.508,61.606,26.543,61.623,26.543,61.606,26.518,61.606,26.543,61.597,26.577,61.659,26.553,61.732,26.505,61.732,26.499,61.761,26.455,61.732],[26.613,61.648,26.675,61.612,26.708,61.627,26.675,61.666,26.613,61.648],[26.697,61.669,26.683,61.711,26.659,61.711,26.675,61.669,26.697,61.669,26.763,61.632,26.763,61.669,26.719,61.682,26.697,61.669],[26.543,61.942,26.587,61.939,26.55,61.877,26.499,61.887,26.478,61.877,26.527,61.856,26.524,61.815,26.484,61.815,26.435,61.856,26.455,61.806,26.565,61.804,26.604,61.752,26.654,61.752,26.587,61.732,26.763,61.721,26.794,61.684,26.849,61.672,26.807,61.725,26.873,61.732,26.876,61.69,26.938,61.699,26.907,61.69,26.938,61.662,26.98,61.727,26.895,61.712,26.917,61.752,26.851,61.736,26.782,61.773,26.799,61.815,26.895,61.807,26.933,61.834,26.785,61.825,26.789,61.856,26.763,61.865,26.763,61.837,26.732,61.856,26.74,61.898,26.719,61.881,26.657,61.877,26.719,61.877,26.675,61.852,26.675,61.864,26.631,61.862,26.587,61.877,26.587,61.888,26.631,61.888,26.587,61.898,26.587,61.909,26.631,61.909,26.588,61.918,26.617,61.955,26.543,61.942],[26.191,61.815,26.191,61.825,26.17,61.815,26.307,61.794,26.279,61.807,26.279,61.843,26.198,61.823,26.257,61.815,26.191,61.815],[25.752,61.972,25.752,61.952,25.796,61.936,25.814,61.96,25.752,61.972],[26.027,61.96,26.06,61.96,26.06,61.926,25.972,61.926,25.972,61.91,26.06,61.911,26.104,61.93,26.06,61.971,26.027,61.96],[25.932,61.81,25.972,61.763,25.995,61.794,25.932,61.81],[26.13,61.815,26.147,61.782,26.178,61.794,26.147,61.822,26.13,61.815],[25.957,61.69,25.961,61.627,26.016,61.615,25.979,61.69,26.016,61.697,25.957,61.69],[26.235,61.785,26.279,61.674,26.307,61.69,26.279,61.744,26.323,61.752,26.292,61.752,26.309,61.773,26.279,61.789,26.235,61.785],[25.827,61.669,25.84,61.621,25.849,61.648,25.884,61.653,25.827,61.669],[26.036,61.711,26.103,61.693,26.096,61.73,26.036,61.711],[26.781,61.606,26.807,61.594,26.826,61.606,26.851,61.555,26.895,61.565,26.851,61.598,26.938,61.606,26.938,61.617,26.851,61.606,26.895,61.614,26.895,61.636,26.851,61.636,26.851,61.648,26.88,61.648,26.807,61.652,26.798,61.669,26.776,61.638,26.803,61.606,26.781,61.606],[26.919,61.418,26.938,61.368,26.955,61.418,26.938,61.427,26.919,61.418],[27.026,61.351,27.07,61.312,27.089,61.334,27.026,61.351],[26.631,61.49,26.675,61.465,26.719,61.481,26.719,61.49,26.631,61.49],[26.695,61.544,26.719,61.511,26.757,61.559,26.695,61.544],[26.719,61.439,26.719,61.426,26.807,61.424,26.807,61.406,26.832,61.418,26.807,61.45,26.807,61.439,26.763,61.439,26.786,61.46,26.763,61.47,26.746,61.439,26.697,61.439,26.601,61.418,26.631,61.418,26.631,61.389,26.708,61.376,26.683,61.337,26.738,61.355,26.719,61.384,26.657,61.397,26.697,61.439,26.719,61.439],[26.442,61.418,26.439,61.397,26.506,61.376,26.529,61.397,26.499,61.411,26.455,61.401,26.442,61.418],[26.387,61.27,26.455,61.262,26.499,61.29,26.387,61.27],[25.796,61.537,25.833,61.502,25.911,61.523,25.913,61.544,25.862,61.523,25.796,61.537],[26.191,61.596,26.193,61.648,26.235,61.654,26.191,61.654,26.206,61.669,26.147,61.679,26.173,61.648,26.147,61.628,26.147,61.648,26.104,61.669,26.076,61.669,26.076,61.648,26.054,61.669,26.025,61.606,26.06,61.596,26.035,61.585,26.104,61.572,26.104,61.596,26.06,61.596,26.06,61.606,26.104,61.606,26.06,61.627,26.104,61.641,26.133,61.627,26.119,61.565,26.047,61.565,26.091,61.544,26.06,61.54,26.104,61.54,26.104,61.554,26.147,61.523,26.172,61.523,26.159,61.565,26.191,61.596],[25.84,61.596,25.844,61.544,25.884,61.601,25.84,61.596],[25.784,61.46,25.752,61.424,25.796,61.424,25.796,61.395,25.831,61.428,25.784,61.46],[25.869,61.487,25.841,61.463,25.884,61.467,25.916,61.499,25.869,61.487],[26.087,61.27,26.063,61.257,26.162,61.27,26.125,61.281,26.087,61.27],[26.235,61.312,26.235,61.298,26.191,61.291,26.235,61.291,26.213,61.249,26.275,61.228,26.247,61.26,26.258,61.312,26.235,61.312],[27.114,61.28,27.114,61.253,27.044,61.249,27.114,61.234,27.114,61.187,27.036,61.186,27.07,61.178,27.158,61.186,27.114,61.28],[26.631,61.164,26.631,61.099,26.675,61.122,26.675,61.135,26.631,61.135,26.631,61.164],[27.158,61.174,27.114,61.139,27.189,61.122,27.158,61.174],[26.807,61.154,26.851,61.116,26.895,61.116,26.877,61.143,26.938,61.131,26.963,61.143,26.807,61.154],[26.807,61.242,26.807,61.164,26.835,61.164,26.807,61.242],[26.832,60.909,26.807,60.909,26.895,60.901,26.934,60.927,26.832,60.909],[26.703,60.952,26.734,60.909,26.775,60.952,26.703,60.952],[26.851,60.962,26.873,60.936,26.938,60.952,26.851,60.962],[26.323,61.209,26.367,61.196,26.404,61.224,26.323,61.209],[26.48,61.08,26.476,61.058,26.499,61.058,26.524,61.08,26.499,61.09,26.48,61.08],[26.303,61.164,26.384,61.164,26.455,61.116,26.491,61.143,26.438,61.143,26.411,61.176,26.323,61.176,26.303,61.164],[26.619,61.249,26.588,61.212,26.631,61.213,26.631,61.194,26.675,61.194,26.642,61.186,26.675,61.172,26.749,61.164,26.675,61.164,26.675,61.153,26.719,61.153,26.719,61.11,26.763,61.11,26.763,61.085,26.796,61.101,26.773,61.175,26.791,61.207,26.702,61.228,26.687,61.249,26.719,61.249,26.719,61.228,26.742,61.228,26.719,61.256,26.697,61.264,26.619,61.249],[26.395,60.93,26.411,60.897,26.478,60.909,26.489,60.924,26.455,60.921,26.433,60.943,26.395,60.93],[26.391,60.973,26.391,60.952,26.429,60.952,26.455,60.984,26.391,60.973],[26.48,61.037,26.455,61.024,26.464,60.973,26.587,60.987,26.565,61.016,26.499,61.045,26.48,61.037],[26.389,61.037,26.411,61.008,26.382,60.994,26.432,60.994,26.44,61.016,26.389,61.037],[25.757,61.186,25.796,61.136,25.811,61.164,25.757,61.186],[25.708,61.164,25.708,61.201,25.752,61.201,25.718,61.207,25.708,61.237,25.686,61.186,25.708,61.164],[26.147,61.249,26.125,61.249,26.13,61.228,26.167,61.228,26.167,61.207,26.191,61.207,26.204,61.228,26.147,61.232,26.147,61.249],[25.818,61.207,25.84,61.196,25.84,61.207,25.818,61.207,25.84,61.239,25.903,61.228,25.91,61.207,25.972,61.223,25.972,61.207,25.999,61.207,25.996,61.228,26.048,61.228,26.016,61.26,26.06,61.285,26.016,61.286,25.994,61.27,26.016,61.264,25.972,61.249,25.972,61.261,25.928,61.255,25.889,61.291,25.861,61.291,25.86,61.249,25.752,61.254,25.796,61.249,25.796,61.207,25.818,61.207],[26.119,61.186,26.118,61.164,26.075,61.143,26.132,61.143,26.153,61.08,26.16,61.164,26.223,61.164,26.147,61.183,26.191,61.186,26.191,61.199,26.119,61.186],[25.764,60.992,25.818,60.958,25.863,60.973,25.84,60.994,25.84,60.973,25.764,60.992],[26.088,60.994,26.061,60.952,26.147,60.997,26.088,60.994],[25.946,61.037,25.95,60.994,25.972,60.994,25.972,61.038,25.946,61.037],[26.001,61.037,26.016,61.002,26.042,61.055,26.001,61.037],[25.105,61.98,25.137,61.98,25.11,61.96,25.137,61.924,25.159,61.98,25.137,61.993,25.105,61.98],[24.888,61.732,24.917,61.702,24.943,61.732,24.917,61.745,24.888,61.732],[25.244,61.69,25.238,61.673,25.291,61.686,25.343,61.674,25.313,61.694,25.244,61.69],[24.609,61.962,24.741,61.945,24.741,61.967,24.609,61.962],[24.273,62.042,24.302,62.007,24.346,62.022,24.358,62.001,24.377,62.04,24.324,62.032,24.302,62.053,24.273,62.042],[23.994,61.898,23.994,61.908,23.867,61.916,23.874,61.898,23.917,61.898,23.941,61.877,23.94,61.856,23.906,61.851,23.95,61.835,23.95,61.872,23.967,61.839,24.005,61.856,23.994,61.898],[24.038,61.949,24.126,61.953,24.17,61.974,24.17,61.951,24.196,61.98,24.17,61.991,24.17,61.98,24.132,61.98,24.146,62.001,24.082,62.012,24.048,61.983,24.082,61.991,24.116,61.96,24.038,61.966,24.038,61.949,23.986,61.939,24.038,61.898,24.038,61.926,24.082,61.926,24.038,61.949],[24.697,61.732,24.697,61.69,24.661,61.69,24.683,61.732,24.609,61.673,24.709,61.69,24.697,61.732],[23.357,62.022,23.379,62.022,23.389,62.063,23.435,62.063,23.379,62.067,23.379,62.104,23.357,62.022,23.32,62.022,23.335,61.98,23.291,61.978,23.335,61.977,23.379,62.001,23.357,62.022],[23.203,61.669,23.234,61.669,23.247,61.69,23.227,61.732,23.291,61.762,23.229,61.752,23.229,61.773,23.203,61.773,23.203,61.754,23.185,61.811,23.11,61.752,23.115,61.743,23.159,61.756,23.203,61.711,23.121,61.675,23.203,61.689,23.203,61.669],[23.72,61.835,23.73,61.818,23.662,61.815,23.687,61.815,23.687,61.8,23.651,61.776,23.707,61.794,23.688,61.815,23.73,61.815,23.73,61.803,23.758,61.815,23.749,61.835,23.72,61.835],[23.002,61.835,23,61.815,23.071,61.794,23.015,61.773,23.027,61.721,23.043,61.773,23.071,61.773,23.071,61.755,23.115,61.806,23.071,61.806,23.071,61.822,23.027,61.817,23.027,61.835,23.002,61.835],[24.938,61.669,24.961,61.648,24.893,61.648,24.997,61.633,24.961,61.686,24.938,61.669],[24.851,61.502,24.82,61.46,24.904,61.439,24.895,61.47,24.961,61.465,24.878,61.502,24.917,61.509,24.851,61.502],[24.986,61.606,24.961,61.578,25.049,61.58,24.986,61.606],[24.944,61.502,25.005,61.495,25.049,61.472,25.137,61.481,25.049,61.494,25.073,61.502,25.049,61.508,24.944,61.502],[24.873,61.585,24.873,61.617,24.916,61.627,24.873,61.627,24.873,61.596,24.829,61.596,24.829,61.619,24.803,61.606,24.829,61.596,24.804,61.523,24.829,61.523,24.838,61.565,24.873,61.585],[25.137,61.569,25.181,61.565,25.157,61.544,25.181,61.514,25.205,61.533,25.187,61.565,25.137,61.569],[25.049,61.376,24.961,61.39,25.005,61.35,25.049,61.376],[24.943,61.418,24.954,61.397,25.002,61.397,24.961,61.429,24.943,61.418],[24.558,61.565,24.609,61.555,24.664,61.565,24.609,61.577,24.558,61.565],[24.741,61.606,24.741,61.622,24.708,61.606,24.741,61.58,24.808,61.585,24.741,61.595,24.741,61.606],[24.565,61.692,24.565,61.665,24.506,61.648,24.541,61.606,24.565,61.606,24.565,61.627,24.638,61.669,24.609,61.658,24.565,61.692],[24.116,61.544,24.103,61.523,24.064,61.523,24.061,61.502,24.108,61.502,24.059,61.481,24.126,61.455,24.161,61.564,24.116,61.544],[24.697,61.514,24.697,61.502,24.661,61.502,24.741,61.495,24.741,61.514,24.697,61.514],[24.23,61.585,24.258,61.551,24.302,61.565,24.258,61.573,24.258,61.598,24.23,61.585],[24.346,61.606,24.412,61.596,24.406,61.565,24.307,61.563,24.302,61.533,24.258,61.532,24.224,61.502,24.187,61.502,24.17,61.476,24.205,61.46,24.148,61.46,24.16,61.439,24.126,61.423,24.082,61.423,24.065,61.439,24.038,61.415,24.038,61.432,23.994,61.432,24.005,61.376,24.038,61.386,24.07,61.376,24.065,61.355,24.113,61.334,24.178,61.355,24.178,61.376,24.106,61.355,24.101,61.397,24.126,61.404,24.126,61.376,24.148,61.376,24.17,61.445,24.214,61.45,24.258,61.496,24.346,61.498,24.302,61.502,24.302,61.519,24.434,61.504,24.412,61.544,24.438,61.544,24.478,61.514,24.478,61.537,24.521,61.529,24.54,61.502,24.587,61.523,24.653,61.505,24.565,61.548,24.434,61.583,24.434,61.601,24.478,61.585,24.496,61.627,24.434,61.606,24.39,61.614,24.368,61.644,24.329,61.627,24.346,61.597,24.346,61.606],[24.286,61.397,24.266,61.338,24.39,61.346,24.414,61.376,24.434,61.352,24.468,61.376,24.494,61.376,24.478,61.388,24.39,61.389,24.39,61.367,24.346,61.391,24.302,61.393,24.367,61.397,24.346,61.407,24.286,61.397],[23.269,61.565,23.277,61.523,23.318,61.523,23.335,61.555,23.269,61.565],[23.935,61.648,23.898,61.648,23.883,61.627,23.906,61.615,23.906,61.639,23.989,61.648,23.95,61.66,23.935,61.648],[23.027,61.429,23.027,61.397,23.052,61.397,23.071,61.429,23.027,61.429],[23.511,61.46,23.482,61.439,23.538,61.439,23.555,61.418,23.555,61.445,23.511,61.46],[23.183,61.46,23.127,61.418,23.159,61.418,23.159,61.431,23.247,61.428,23.217,61.46,23.291,61.45,23.384,61.46,23.313,61.474,23.183,61.46],[23.818,61.596,23.862,61.618,23.818,61.619,23.787,61.606,23.818,61.596,23.774,61.606,23.75,61.627,23.854,61.627,23.746,61.648,23.752,61.659,23.818,61.654,23.798,61.69,23.831,61.69,23.788,61.711,23.818,61.728,23.825,61.711,23.846,61.732,23.774,61.752,23.797,61.752,23.796,61.794,23.833,61.815,23.936,61.835,23.818,61.869,23.84,61.835,23.774,61.819,23.76,61.773,23.703,61.738,23.752,61.742,23.741,61.711,23.621,61.721,23.546,61.711,23.664,61.69,23.679,61.669,23.643,61.664,23.7,61.648,23.643,61.637,23.567,61.667,23.576,61.648,23.687,61.627,23.623,61.606,23.687,61.596,23.666,61.565,23.73,61.544,23.648,61.544,23.73,61.533,23.687,61.509,23.73,61.502,23.687,61.487,23.643,61.517,23.643,61.492,23.511,61.475,23.577,61.467,23.709,61.481,23.76,61.463,23.74,61.491,23.774,61.516,23.906,61.515,23.922,61.544,23.862,61.527,23.786,61.565,23.818,61.596],[22.983,61.388,22.983,61.376,22.953,61.376,23.005,61.36,23.067,61.388,22.983,61.388],[23.071,61.406,23.115,61.374,23.146,61.397,23.115,61.412,23.071,61.406],[24.767,61.186,24.785,61.174,24.856,61.186,24.862,61.207,24.767,61.186],[24.88,61.288,24.917,61.262,24.961,61.262,25.001,61.288,24.939,61.279,24.88,61.288],[25.4,61.596,25.4,61.611,25.364,61.606,25.4,61.596,25.421,61.565,25.4,61.557,25.356,61.559,25.313,61.596,25.338,61.606,25.313,61.612,25.289,61.544,25.339,61.544,25.313,61.533,25.225,61.541,25.247,61.502,25.181,61.499,25.247,61.481,25.23,61.442,25.338,61.46,25.422,61.439,25.428,61.397,25.4,61.379,25.4,61.397,25.313,61.406,25.293,61.355,25.327,61.355,25.333,61.312,25.356,61.31,25.378,61.344,25.466,61.344,25.477,61.334,25.444,61.323,25.413,61.334,25.383,61.27,25.4,61.249,25.444,61.24,25.463,61.249,25.411,61.27,25.444,61.307,25.509,61.27,25.51,61.186,25.444,61.175,25.4,61.09,25.315,61.098,25.356,61.069,25.444,61.066,25.444,61.044,25.474,61.058,25.444,61.08,25.467,61.101,25.532,61.087,25.547,61.058,25.532,61.112,25.444,61.114,25.444,61.128,25.497,61.122,25.561,61.143,25.51,61.186,25.586,61.164,25.576,61.217,25.642,61.217,25.664,61.186,25.64,61.186,25.664,61.174,25.664,61.228,25.59,61.228,25.65,61.228,25.64,61.249,25.558,61.27,25.585,61.27,25.598,61.291,25.576,61.31,25.558,61.291,25.558,61.312,25.623,61.312,25.548,61.334,25.576,61.361,25.532,61.361,25.519,61.397,25.542,61.397,25.542,61.376,25.576,61.376,25.597,61.397,25.498,61.418,25.539,61.418,25.499,61.439,25.519,61.46,25.62,61.454,25.643,61.47,25.62,61.482,25.62,61.468,25.576,61.471,25.565,61.502,25.532,61.502,25.532,61.517,25.608,61.502,25.552,61.606,25.62,61.62,25.62,61.606,25.653,61.606,25.642,61.627,25.689,61.606,25.664,61.637,25.686,61.669,25.62,61.669,25.642,61.627,25.576,61.648,25.62,61.679,25.693,61.69,25.696,61.71,25.642,61.693,25.576,61.69,25.576,61.701,25.532,61.678,25.522,61.732,25.576,61.72,25.685,61.732,25.685,61.711,25.708,61.711,25.758,61.773,25.735,61.773,25.735,61.794,25.752,61.815,25.796,61.82,25.695,61.815,25.742,61.815,25.664,61.773,25.708,61.768,25.708,61.742,25.664,61.739,25.62,61.784,25.62,61.761,25.576,61.761,25.576,61.742,25.519,61.752,25.55,61.752,25.629,61.835,25.598,61.835,25.654,61.856,25.606,61.856,25.599,61.877,25.62,61.89,25.62,61.868,25.638,61.877,25.662,61.914,25.587,61.918,25.647,61.918,25.664,61.96,25.635,61.98,25.664,61.992,25.772,61.98,25.772,62.001,25.84,61.993,25.811,62.001,25.84,62.035,25.906,62.001,25.884,62.028,25.981,62.042,25.873,62.042,25.809,62.063,25.831,62.166,25.879,62.204,25.796,62.186,25.796,62.218,25.725,62.207,25.718,62.186,25.752,62.197,25.778,62.186,25.775,62.083,25.734,62.083,25.722,62.104,25.752,62.137,25.708,62.136,25.679,62.124,25.708,62.111,25.68,62.073,25.752,62.049,25.769,62.022,25.67,62.001,25.576,62.014,25.553,62.001,25.62,61.992,25.62,61.98,25.532,61.987,25.532,61.967,25.576,61.972,25.613,61.96,25.563,61.96,25.524,61.939,25.553,61.939,25.532,61.908,25.488,61.926,25.4,61.931,25.424,61.898,25.372,61.898,25.488,61.885,25.506,61.856,25.536,61.856,25.477,61.835,25.466,61.784,25.4,61.787,25.422,61.773,25.291,61.763,25.313,61.801,25.269,61.801,25.269,61.819,25.181,61.815,25.181,61.826,25.181,61.809,25.247,61.804,25.229,61.784,25.269,61.744,25.356,61.745,25.388,61.732,25.356,61.701,25.4,61.701,25.4,61.69,25.363,61.69,25.46,61.669,25.467,61.638,25.4,61.596],[24.96,61.122,24.929,61.083,25.005,61.091,24.96,61.122],[24.917,61.249,24.901,61.228,24.873,61.27,24.829,61.281,24.794,61.251,24.851,61.26,24.848,61.228,24.917,61.162,24.948,61.217,24.942,61.249,24.917,61.249],[25.576,61.066,25.532,61.019,25.576,61.028,25.62,60.986,25.65,61.005,25.631,61.048,25.664,61.075,25.576,61.066],[25.122,61.08,25.109,61.058,25.167,61.037,25.159,61.069,25.225,61.075,25.122,61.08],[24.241,61.207,24.258,61.186,24.214,61.195,24.17,61.186,24.214,61.178,24.082,61.183,24.082,61.157,24.192,61.133,24.173,61.107,24.214,61.107,24.258,61.08,24.268,61.122,24.302,61.138,24.346,61.136,24.302,61.153,24.368,61.154,24.346,61.123,24.401,61.143,24.39,61.164,24.302,61.175,24.296,61.186,24.346,61.188,24.258,61.215,24.241,61.207],[24.544,61.186,24.609,61.186,24.565,61.207,24.609,61.207,24.636,61.26,24.626,61.27,24.565,61.284,24.565,61.27,24.609,61.27,24.584,61.249,24.586,61.228,24.565,61.209,24.565,61.233,24.504,61.228,24.548,61.207,24.544,61.186,24.478,61.195,24.478,61.164,24.565,61.125,24.544,61.186],[24.362,61.249,24.434,61.201,24.478,61.207,24.405,61.228,24.451,61.249,24.39,61.261,24.362,61.249],[24.258,61.337,24.214,61.341,24.17,61.316,24.082,61.323,24.038,61.282,24.17,61.262,24.193,61.312,24.241,61.291,24.258,61.337],[24.434,60.994,24.562,60.973,24.521,60.997,24.434,60.994],[24.126,60.999,24.17,60.98,24.199,60.994,24.17,61.008,24.126,60.999],[24.267,61.056,24.312,61.016,24.346,61.052,24.267,61.056],[24.138,61.058,24.155,61.037,24.194,61.037,24.17,61.075,24.138,61.058],[23.96,61.249,23.985,61.207,24.008,61.207,24.001,61.239,24.038,61.264,23.994,61.266,23.96,61.249],[23.555,61.334,23.538,61.355,23.589,61.355,23.538,61.376,23.548,61.392,23.467,61.388,23.511,61.397,23.484,61.418,23.511,61.418,23.511,61.435,23.456,61.418,23.379,61.425,23.379,61.401,23.423,61.408,23.502,61.355,23.445,61.334,23.555,61.317,23.555,61.334,23.599,61.288,23.618,61.291,23.599,61.312,23.73,61.298,23.701,61.334,23.643,61.324,23.599,61.334,23.673,61.334,23.555,61.347,23.555,61.334],[23.709,61.164,23.745,61.143,23.759,61.164,23.73,61.177,23.709,61.164],[23.862,61.211,23.862,61.193,23.906,61.197,24.038,61.161,24.082,61.186,24.016,61.207,23.95,61.191,23.95,61.207,23.862,61.211],[23.445,61.08,23.403,61.058,23.467,61.058,23.447,61.037,23.467,61.026,23.489,61.037,23.467,61.037,23.467,61.058,23.504,61.069,23.467,61.086,23.445,61.08],[17.114,61.96,17.068,61.96,17.095,61.935,17.139,61.933,17.095,61.943,17.21,61.96,17.183,61.974,17.114,61.96],[22.653,61.815,22.616,61.815,22.717,61.794,22.698,61.815,22.653,61.815],[21.727,61.773,21.722,61.756,21.775,61.763,21.77,61.732,21.841,61.702,21.868,61.732,21.909,61.711,21.885,61.74,21.841,61.744,21.797,61.777,21.727,61.773],[15.866,61.934,15.908,61.898,15.947,61.898,15.908,61.928,15.866,61.934],[15.776,62.074,15.864,62.022,15.842,62.001,15.864,61.989,15.974,61.991,15.957,61.966,16.04,61.973,15.952,62.022,15.933,62.001,15.878,62.001,15.908,62.031,15.864,62.031,15.82,62.075,15.776,62.074],[16.591,61.98,16.571,61.962,16.703,61.98,16.591,61.98],[16.829,61.98,16.831,61.954,16.875,61.995,16.831,61.993,16.829,61.98],[16.611,61.93,16.626,61.918,16.557,61.898,16.552,61.856,16.567,61.877,16.633,61.846,16.616,61.821,16.683,61.815,16.655,61.799,16.595,61.815,16.595,61.794,16.743,61.784,16.831,61.756,16.787,61.777,16.758,61.835,16.699,61.823,16.699,61.843,16.611,61.856,16.721,61.867,16.743,61.85,16.831,61.843,16.831,61.856,16.798,61.856,16.808,61.877,16.719,61.918,16.611,61.93],[16.963,61.714,16.935,61.648,16.963,61.635,16.963,61.714],[14.979,61.939,14.958,61.918,15.024,61.9,14.979,61.939],[14.609,61.794,14.634,61.769,14.708,61.786,14.678,61.781,14.634,61.804,14.609,61.794],[15.249,61.769,15.274,61.742,15.261,61.714,15.305,61.732,15.303,61.752,15.249,61.769],[22.337,61.585,22.5,61.553,22.555,61.565,22.58,61.606,22.522,61.606,22.456,61.578,22.456,61.59,22.394,61.585,22.368,61.599,22.337,61.585],[22.122,61.627,22.107,61.611,22.176,61.606,22.168,61.627,22.122,61.627],[22.139,61.523,22.128,61.502,22.148,61.519,22.192,61.495,22.214,61.502,22.192,61.535,22.139,61.523],[22.896,61.344,22.961,61.336,23.013,61.355,22.896,61.355,22.896,61.344,22.84,61.334,22.896,61.334,22.896,61.344],[22.309,61.418,22.289,61.379,22.412,61.39,22.428,61.376,22.428,61.397,22.456,61.397,22.433,61.418,22.456,61.433,22.309,61.418],[16.344,61.606,16.326,61.666,16.304,61.644,16.216,61.656,16.15,61.688,16.172,61.655,16.309,61.638,16.326,61.592,16.304,61.585,16.37,61.542,16.392,61.579,16.344,61.606],[16.172,61.461,16.152,61.46,16.164,61.439,16.231,61.439,16.231,61.46,16.172,61.461],[16.354,61.521,16.38,61.491,16.416,61.502,16.392,61.523,16.354,61.521],[15.931,61.334,15.952,61.312,15.989,61.353,15.931,61.334],[16.348,61.301,16.348,61.312,16.382,61.312,16.348,61.329,16.319,61.312,16.348,61.301,16.348,61.291,16.436,61.284,16.348,61.301],[16.625,61.397,16.616,61.378,16.699,61.396,16.657,61.397,16.655,61.408,16.625,61.397],[15.398,61.585,15.407,61.565,15.451,61.565,15.425,61.604,15.398,61.585],[15.531,61.585,15.571,61.565,15.615,61.585,15.557,61.598,15.531,61.585],[15.732,61.617,15.732,61.632,15.71,61.627,15.776,61.584,15.792,61.606,15.732,61.617],[14.642,61.502,14.662,61.481,14.694,61.481,14.694,61.502,14.642,61.502],[15.029,61.589,14.976,61.565,15.029,61.542,15.08,61.565,15.029,61.589],[15.184,61.439,15.205,61.387,15.229,61.418,15.205,61.418,15.205,61.433,15.231,61.439,15.205,61.451,15.184,61.439],[16.922,61.204,16.963,61.181,17.046,61.186,16.922,61.204],[16.966,61.164,16.963,61.152,17.044,61.143,17.007,61.173,16.966,61.164],[22.347,61.122,22.342,61.09,22.368,61.076,22.374,61.122,22.347,61.122],[22.264,60.888,22.28,60.857,22.313,60.877,22.28,60.894,22.264,60.888],[22.178,61.101,22.148,61.069,22.168,61.058,22.139,61.037,22.144,61.016,22.148,61.037,22.176,61.037,22.176,61.016,22.258,60.984,22.268,60.952,22.331,60.93,22.297,60.909,22.368,60.897,22.417,60.93,22.356,61.058,22.324,61.048,22.236,61.08,22.192,61.078,22.236,61.101,22.178,61.101],[17.08,60.909,17.095,60.882,17.139,60.904,17.139,60.877,17.179,60.927,17.08,60.909],[16.787,61.27,16.787,61.249,16.743,61.26,16.699,61.242,16.699,61.266,16.655,61.245,16.655,61.262,16.611,61.231,16.605,61.249,16.579,61.209,16.633,61.222,16.743,61.221,16.786,61.207,16.743,61.198,16.787,61.198,16.787,61.178,16.831,61.178,16.803,61.186,16.787,61.228,16.743,61.228,16.809,61.249,16.787,61.27],[16.865,61.27,16.875,61.241,16.919,61.241,16.919,61.219,16.985,61.207,16.977,61.249,16.963,61.232,16.865,61.27],[16.8,61.101,16.831,61.101,16.816,61.08,16.871,61.062,16.847,61.09,16.872,61.118,16.8,61.101],[16.933,61.012,16.919,60.959,16.831,60.961,16.875,60.942,16.919,60.952,16.919,60.927,16.94,60.973,16.979,60.973,16.979,60.994,17.023,60.994,16.933,61.012],[15.82,61.207,15.82,61.192,15.776,61.197,15.752,61.186,15.757,61.164,15.776,61.186,15.82,61.174,15.845,61.186,15.848,61.207,15.82,61.207],[15.688,61.232,15.753,61.228,15.753,61.207,15.781,61.207,15.776,61.235,15.688,61.232],[15.855,61.249,15.82,61.219,15.864,61.22,15.9,61.263,15.855,61.249],[15.014,61.207,14.985,61.19,14.926,61.207,14.926,61.186,15.113,61.167,15.055,61.207,15.063,61.223,15.014,61.207],[15.482,61.266,15.513,61.218,15.553,61.262,15.482,61.266],[15.37,60.994,15.337,60.994,15.337,60.982,15.453,60.973,15.453,60.994,15.37,60.994],[15.557,61.214,15.557,61.201,15.469,61.186,15.582,61.164,15.645,61.106,15.645,61.131,15.661,61.122,15.688,61.058,15.765,61.037,15.688,61.104,15.707,61.164,15.601,61.193,15.577,61.186,15.577,61.207,15.619,61.207,15.557,61.214],[15.161,61.122,15.188,61.164,15.161,61.179,15.138,61.164,15.161,61.122],[15.984,60.909,15.919,60.903,15.931,60.888,16.02,60.888,15.984,60.909],[15.331,60.973,15.293,60.946,15.362,60.952,15.331,60.973],[26.003,60.759,26.105,60.759,26.038,60.779,26.003,60.759],[25.999,60.738,25.962,60.716,25.994,60.701,26.048,60.738,25.999,60.738],[26.538,60.544,26.543,60.535,26.567,60.565,26.552,60.609,26.522,60.587,26.538,60.544],[26.081,60.565,26.072,60.544,26.104,60.534,26.129,60.544,26.104,60.573,26.081,60.565],[27.094,60.673,27.114,60.65,27.154,60.688,27.094,60.673],[24.126,60.779,24.126,60.75,24.17,60.75,24.178,60.738,24.183,60.759,24.126,60.779],[24.376,60.695,24.478,60.681,24.434,60.709,24.376,60.695],[24.188,60.716,24.214,60.716,24.197,60.673,24.249,60.673,24.231,60.716,24.214,60.727,24.188,60.716],[23.745,60.802,23.699,60.802,23.703,60.781,23.774,60.765,23.817,60.791,23.774,60.814,23.745,60.802],[21.254,60.888,21.259,60.866,21.208,60.866,21.297,60.845,21.27,60.838,21.357,60.832,21.357,60.845,21.323,60.845,21.365,60.866,21.328,60.866,21.328,60.888,21.401,60.88,21.434,60.888,21.439,60.909,21.254,60.888],[23.944,60.609,23.862,60.609,23.895,60.587,23.928,60.605,23.986,60.59,23.944,60.609],[23.851,60.695,23.849,60.673,23.906,60.665,23.906,60.65,23.926,60.673,23.95,60.673,23.95,60.659,23.95,60.679,23.862,60.673,23.88,60.695,23.851,60.695],[24.108,60.695,24.098,60.673,24.126,60.66,24.135,60.695,24.108,60.695],[23.994,60.555,23.994,60.534,24.015,60.544,23.994,60.555,23.994,60.565,24.038,60.565,24.038,60.576,24.094,60.587,24.038,60.595,24.038,60.576,23.951,60.565,23.994,60.555],[24.653,60.501,24.672,60.522,24.565,60.528,24.565,60.518,24.653,60.518,24.653,60.501],[24.558,60.305,24.565,60.273,24.602,60.283,24.565,60.283,24.565,60.305,24.612,60.283,24.625,60.305,24.558,60.305],[24.17,60.384,24.17,60.365,24.214,60.365,24.22,60.349,24.24,60.37,24.17,60.384],[23.711,60.349,23.695,60.31,23.774,60.319,23.739,60.327,23.753,60.349,23.73,60.36,23.711,60.349],[24.095,60.392,24.126,60.389,24.126,60.341,24.17,60.341,24.14,60.349,24.151,60.392,24.126,60.407,24.095,60.392],[23.862,60.177,23.827,60.174,23.906,60.166,23.95,60.192,23.862,60.177],[23.922,60.283,23.95,60.27,23.994,60.283,23.994,60.253,23.862,60.254,23.862,60.24,23.918,60.24,23.935,60.196,23.95,60.196,23.95,60.176,23.98,60.196,23.95,60.226,24.024,60.221,24.038,60.256,24.095,60.262,24.01,60.262,24.01,60.283,24.082,60.288,23.922,60.283],[23.818,60.273,23.862,60.269,23.906,60.289,23.862,60.292,23.818,60.273,23.758,60.262,23.774,60.196,23.75,60.196,23.774,60.184,23.875,60.196,23.862,60.234,23.862,60.205,23.782,60.196,23.818,60.257,23.818,60.229,23.844,60.24,23.85,60.262,23.818,60.273],[23.643,60.368,23.628,60.305,23.655,60.283,23.643,60.368],[23.423,60.262,23.402,60.218,23.439,60.218,23.423,60.262],[23.439,60.196,23.467,60.166,23.489,60.174,23.467,60.209,23.439,60.196],[23.555,60.199,23.607,60.174,23.626,60.196,23.599,60.21,23.555,60.199],[23.599,60.162,23.599,60.14,23.555,60.131,23.599,60.12,23.619,60.131,23.599,60.162],[25.513,59.49,25.488,59.474,25.562,59.467,25.551,59.49,25.513,59.49],[24.741,59.423,24.741,59.385,24.785,59.385,24.792,59.4,24.763,59.4,24.763,59.423,24.741,59.423],[18.462,59.867,18.501,59.839,18.611,59.83,18.657,59.845,18.462,59.867],[18.649,59.774,18.666,59.734,18.721,59.727,18.721,59.706,18.747,59.723,18.721,59.739,18.677,59.734,18.677,59.767,18.649,59.774],[18.262,59.779,18.259,59.756,18.304,59.756,18.306,59.779,18.281,59.789,18.262,59.779],[18.17,59.198,18.193,59.198,18.199,59.221,18.149,59.239,18.17,59.198],[17.351,60.522,17.346,60.501,17.391,60.479,17.424,60.485,17.394,60.501,17.402,60.527,17.351,60.522],[17.867,60.349,17.886,60.305,17.842,60.301,17.892,60.305,17.904,60.349,17.886,60.359,17.867,60.349],[17.279,60.436,17.249,60.42,17.249,60.395,17.271,60.392,17.302,60.403,17.279,60.436],[17.3,60.174,17.254,60.152,17.336,60.136,17.406,60.174,17.402,60.183,17.3,60.174],[17.051,60.316,17.04,60.343,17.073,60.347,17.042,60.349,17.051,60.363,17.095,60.348,17.115,60.36,17.134,60.349,17.139,60.367,17.161,60.36,17.123,60.332,17.161,60.309,17.161,60.341,17.183,60.328,17.235,60.36,17.205,60.378,17.247,60.381,17.211,60.381,17.227,60.395,17.183,60.419,17.123,60.403,17.15,60.403,17.139,60.385,17.086,60.381,17.073,60.36,17.073,60.378,17.007,60.37,17.029,60.344,17.007,60.36,16.951,60.316,16.974,60.3,16.941,60.294,16.985,60.269,17.051,60.316],[17.66,60.327,17.666,60.3,17.7,60.293,17.683,60.327,17.66,60.327],[16.855,60.759,16.855,60.738,16.818,60.738,16.852,60.716,16.803,60.695,16.831,60.684,16.875,60.687,16.844,60.695,16.893,60.716,16.892,60.759,16.855,60.759],[16.864,60.823,16.813,60.845,16.831,60.771,16.864,60.823,16.875,60.811,16.9,60.823,16.864,60.823],[16.787,60.866,16.787,60.893,16.743,60.849,16.787,60.852,16.787,60.866],[16.567,60.503,16.595,60.501,16.611,60.474,16.669,60.479,16.633,60.49,16.652,60.516,16.567,60.503],[16.799,60.624,16.787,60.597,16.699,60.58,16.655,60.6,16.598,60.587,16.597,60.565,16.611,60.558,16.655,60.587,16.699,60.522,16.765,60.544,16.787,60.587,16.831,60.557,16.875,60.559,16.856,60.587,16.909,60.591,16.897,60.611,16.799,60.624],[16.798,60.251,16.875,60.288,16.809,60.288,16.798,60.251,16.755,60.251,16.787,60.243,16.75,60.24,16.77,60.196,16.721,60.205,16.713,60.185,16.765,60.182,16.756,60.163,16.787,60.142,16.809,60.163,16.787,60.182,16.853,60.167,16.82,60.18,16.821,60.207,16.867,60.218,16.798,60.251],[16.523,60.186,16.523,60.171,16.629,60.174,16.567,60.187,16.548,60.174,16.523,60.186],[16.396,60.349,16.436,60.296,16.453,60.327,16.396,60.349],[16.069,60.695,16.084,60.663,16.024,60.652,16.04,60.64,16.064,60.652,16.128,60.642,16.148,60.652,16.128,60.662,16.114,60.652,16.084,60.68,16.084,60.695,16.108,60.695,16.069,60.695],[15.973,60.63,15.965,60.609,16.047,60.609,15.996,60.619,15.996,60.64,15.973,60.63],[16.178,60.497,16.216,60.428,16.249,60.446,16.216,60.491,16.178,60.497],[16.172,60.6,16.172,60.585,16.295,60.571,16.26,60.592,16.172,60.6],[16.13,60.541,16.172,60.484,16.18,60.522,16.258,60.522,16.13,60.541],[16.303,60.152,16.26,60.152,16.32,60.152,16.328,60.131,16.304,60.138,16.287,60.12,16.348,60.122,16.371,60.152,16.436,60.152,16.392,60.163,16.303,60.152],[16.015,60.283,16.084,60.272,16.084,60.295,16.04,60.284,16.045,60.305,16.015,60.283],[17.683,59.623,17.693,59.601,17.754,59.587,17.754,59.608,17.683,59.623],[17.622,59.712,17.622,59.683,17.554,59.668,17.657,59.651,17.622,59.712],[17.733,59.467,17.754,59.457,17.719,59.434,17.732,59.412,17.666,59.42,17.71,59.392,17.798,59.389,17.754,59.423,17.777,59.423,17.803,59.467,17.754,59.481,17.733,59.467],[17.781,59.601,17.798,59.506,17.765,59.49,17.798,59.488,17.829,59.568,17.809,59.601,17.781,59.601],[17.736,59.311,17.727,59.288,17.754,59.288,17.754,59.27,17.679,59.284,17.71,59.257,17.82,59.26,17.886,59.246,17.852,59.311,17.842,59.266,17.764,59.266,17.764,59.288,17.798,59.28,17.822,59.311,17.798,59.326,17.758,59.311,17.798,59.311,17.798,59.3,17.736,59.311],[17.842,59.351,17.886,59.33,17.886,59.3,18.018,59.311,18.018,59.321,17.905,59.311,17.886,59.345,17.842,59.351],[17.774,59.378,17.778,59.333,17.798,59.333,17.798,59.348,17.842,59.356,17.813,59.356,17.813,59.378,17.774,59.378],[17.49,59.69,17.471,59.668,17.534,59.649,17.49,59.69],[17.557,59.734,17.666,59.725,17.688,59.734,17.64,59.734,17.622,59.792,17.557,59.734,17.534,59.745,17.49,59.699,17.556,59.712,17.557,59.734],[16.787,59.378,16.92,59.378,16.751,59.445,16.762,59.423,16.82,59.4,16.787,59.378],[17.02,59.443,17.073,59.408,17.123,59.423,17.02,59.443],[17.014,59.599,17.051,59.565,17.095,59.565,17.095,59.579,17.014,59.599],[17.183,59.247,17.271,59.24,17.271,59.261,17.183,59.247],[17.197,59.378,17.227,59.351,17.27,59.371,17.197,59.378],[17.356,59.601,17.39,59.557,17.432,59.534,17.43,59.467,17.402,59.453,17.402,59.48,17.358,59.48,17.381,59.445,17.345,59.445,17.314,59.481,17.271,59.485,17.227,59.445,17.227,59.479,17.17,59.49,17.139,59.474,17.139,59.49,17.113,59.49,17.095,59.449,17.183,59.459,17.227,59.415,17.27,59.408,17.227,59.445,17.271,59.451,17.29,59.445,17.281,59.4,17.314,59.412,17.35,59.4,17.289,59.378,17.314,59.371,17.271,59.37,17.271,59.351,17.332,59.333,17.314,59.301,17.271,59.321,17.255,59.311,17.271,59.276,17.271,59.288,17.298,59.288,17.285,59.243,17.391,59.243,17.402,59.233,17.436,59.243,17.314,59.266,17.363,59.266,17.358,59.324,17.402,59.333,17.418,59.311,17.595,59.243,17.578,59.278,17.666,59.288,17.613,59.311,17.622,59.337,17.56,59.378,17.571,59.395,17.509,59.378,17.534,59.378,17.534,59.345,17.578,59.333,17.578,59.321,17.534,59.321,17.478,59.356,17.446,59.41,17.49,59.416,17.534,59.4,17.534,59.438,17.622,59.423,17.578,59.432,17.578,59.467,17.534,59.457,17.534,59.476,17.622,59.477,17.598,59.445,17.649,59.445,17.649,59.423,17.71,59.426,17.71,59.445,17.687,59.445,17.69,59.467,17.622,59.501,17.587,59.49,17.512,59.501,17.516,59.534,17.49,59.536,17.49,59.525,17.446,59.557,17.402,59.557,17.402,59.568,17.446,59.568,17.446,59.579,17.402,59.581,17.402,59.61,17.356,59.601],[17.079,59.4,17.079,59.378,17.016,59.378,17.051,59.365,17.095,59.369,17.095,59.385,17.139,59.385,17.139,59.4,17.079,59.4],[16.194,59.467,16.216,59.472,16.172,59.472,16.194,59.467,16.172,59.465,16.128,59.483,16.061,59.445,16.172,59.434,16.304,59.456,16.282,59.49,16.22,59.509,16.237,59.467,16.194,59.467],[16.287,59.288,16.26,59.273,16.216,59.278,16.228,59.243,16.312,59.266,16.304,59.294,16.287,59.288],[17.051,59.512,17.051,59.502,17.139,59.512,17.139,59.5,17.204,59.512,17.204,59.49,17.26,59.49,17.227,59.525,17.117,59.523,17.127,59.557,17.084,59.557,17.084,59.534,16.945,59.534,16.919,59.568,16.893,59.557,16.95,59.512,16.919,59.512,16.919,59.49,16.898,59.49,16.894,59.534,16.875,59.534,16.875,59.501,16.852,59.512,16.844,59.579,16.804,59.579,16.815,59.557,16.743,59.512,16.699,59.522,16.699,59.539,16.655,59.541,16.567,59.607,16.518,59.579,16.554,59.557,16.546,59.512,16.523,59.504,16.523,59.522,16.479,59.524,16.457,59.512,16.503,59.512,16.493,59.49,16.436,59.481,16.436,59.499,16.404,59.467,16.392,59.482,16.348,59.478,16.329,59.445,16.348,59.456,16.479,59.457,16.507,59.445,16.567,59.457,16.636,59.445,16.63,59.49,16.655,59.49,16.655,59.469,16.699,59.478,16.743,59.457,16.787,59.467,16.787,59.453,16.831,59.485,16.897,59.479,16.875,59.449,16.963,59.458,16.986,59.49,16.931,59.49,16.963,59.506,17.051,59.512],[17.376,59.131,17.373,59.109,17.424,59.129,17.548,59.131,17.402,59.141,17.376,59.131],[17.314,59.172,17.357,59.131,17.358,59.153,17.415,59.153,17.314,59.172],[17.188,59.175,17.227,59.145,17.314,59.152,17.23,59.153,17.227,59.169,17.188,59.175],[17.348,59.018,17.303,59.018,17.314,59.008,17.348,59.018,17.368,59.041,17.358,59.063,17.358,59.041,17.314,59.041,17.348,59.018],[17.283,59.108,17.314,59.051,17.351,59.047,17.314,59.076,17.314,59.108,17.283,59.108],[17.183,59.012,17.183,58.957,17.162,58.95,17.183,58.94,17.223,58.961,17.183,59.012],[16.836,59.176,16.85,59.153,16.916,59.135,16.895,59.163,16.836,59.176],[16.852,58.995,16.834,58.955,16.875,58.958,16.9,58.973,16.886,58.995,16.919,59.002,16.875,59.008,16.852,58.995],[16.836,59.063,16.875,59.038,16.919,59.041,16.937,58.995,16.963,58.995,16.963,59.012,17.051,59.007,17.051,58.982,17.072,58.995,17.07,59.018,17.051,59.018,17.051,59.032,16.963,59.026,16.941,59.041,16.963,59.057,16.875,59.045,16.875,59.063,16.836,59.063],[17.095,59.074,17.057,59.02,17.095,59.025,17.113,59.041,17.095,59.074],[16.275,59.198,16.304,59.172,16.347,59.19,16.275,59.198],[15.962,59.173,16.04,59.099,16.049,59.153,15.962,59.173],[15.96,59.041,15.952,59.03,16.084,59.031,15.996,59.053,15.96,59.041],[16.69,58.95,16.699,58.924,16.765,58.915,16.799,58.927,16.699,58.937,16.69,58.95],[16.48,58.971,16.523,58.944,16.655,58.942,16.48,58.971],[16.005,59.018,16.04,58.992,16.128,58.973,16.105,58.995,16.005,59.018],[15.776,60.711,15.776,60.684,15.727,60.673,15.82,60.657,15.776,60.711],[15.829,60.738,15.841,60.716,15.908,60.707,15.918,60.716,15.829,60.738],[15.92,60.759,15.913,60.74,15.952,60.743,15.952,60.774,15.92,60.759],[15.688,60.509,15.718,60.501,15.718,60.479,15.755,60.479,15.732,60.509,15.688,60.509],[15.854,60.565,15.864,60.544,15.952,60.544,15.962,60.522,15.984,60.559,15.864,60.551,15.854,60.565],[15.64,60.283,15.601,60.279,15.645,60.279,15.645,60.248,15.685,60.3,15.64,60.283],[15.596,60.759,15.645,60.753,15.613,60.738,15.601,60.748,15.579,60.738,15.513,60.746,15.477,60.722,15.675,60.716,15.645,60.766,15.596,60.759],[15.569,60.652,15.619,60.63,15.644,60.669,15.569,60.652],[15.445,60.349,15.446,60.327,15.469,60.327,15.486,60.349,15.469,60.359,15.445,60.349],[15.713,60.587,15.645,60.576,15.619,60.544,15.581,60.544,15.634,60.522,15.535,60.501,15.579,60.486,15.623,60.49,15.601,60.461,15.664,60.479,15.666,60.522,15.756,60.544,15.758,60.587,15.732,60.597,15.713,60.587],[15.068,60.695,15.151,60.673,15.117,60.706,15.068,60.695],[15.161,60.307,15.15,60.283,15.231,60.305,15.205,60.318,15.161,60.307],[15.645,60.229,15.645,60.206,15.669,60.218,15.776,60.218,15.645,60.229],[15.952,59.955,15.82,59.964,15.864,59.955,15.864,59.941,15.893,59.955,15.952,59.955,15.908,59.946,15.908,59.933,15.996,59.896,15.996,59.877,16.014,59.911,15.974,59.944,16.058,59.955,15.996,59.967,15.952,59.955],[15.661,60.021,15.666,59.999,15.732,59.987,15.732,60.008,15.661,60.021],[15.842,59.845,15.864,59.845,15.864,59.81,15.908,59.861,15.864,59.861,15.842,59.845],[15.579,60.065,15.601,60.033,15.601,60.065,15.579,60.065,15.557,60.109,15.533,60.109,15.557,60.072,15.469,60.05,15.579,60.065],[15.445,60.152,15.444,60.131,15.474,60.131,15.496,60.109,15.578,60.131,15.469,60.142,15.469,60.162,15.445,60.152],[15.205,59.96,15.249,59.944,15.274,59.955,15.249,59.968,15.205,59.96],[15.627,60.043,15.645,60.015,15.669,60.043,15.645,60.054,15.627,60.043],[14.985,60.043,14.958,60.043,15.073,60.025,15.073,60.043,15.029,60.054,14.985,60.043,14.985,60.065,15.006,60.065,14.985,60.071,14.985,60.043],[14.876,60.065,14.897,60.036,14.921,60.043,14.934,60.065,14.876,60.065],[14.801,60.087,14.875,60.069,14.956,60.087,14.801,60.087],[14.965,60.262,14.985,60.184,15.073,60.187,15.117,60.148,15.195,60.135,15.172,60.174,15.161,60.161,15.117,60.205,15.059,60.196,15.029,60.226,15.029,60.199,14.997,60.218,14.985,60.251,15.029,60.251,15.029,60.262,14.985,60.262,14.985,60.275,14.965,60.262],[14.795,59.756,14.81,59.725,14.83,59.734,14.81,59.779,14.795,59.756],[14.92,59.845,14.998,59.845,14.957,59.845,14.941,59.889,14.92,59.845,14.897,59.854,14.879,59.845,14.897,59.81,14.92,59.845],[14.678,59.92,14.665,59.889,14.718,59.869,14.678,59.92],[15.601,59.601,15.577,59.579,15.601,59.565,15.621,59.579,15.621,59.601,15.601,59.601],[15.776,59.686,15.82,59.658,15.873,59.668,15.776,59.686],[15.411,59.734,15.425,59.704,15.469,59.742,15.411,59.734],[15.774,59.557,15.704,59.534,15.776,59.53,15.774,59.557],[15.908,58.995,15.933,58.995,15.908,59.008,15.864,58.909,15.937,58.927,15.908,58.927,15.908,58.94,16.04,58.91,16.07,58.927,16.066,58.949,16.04,58.937,15.908,58.97,15.908,58.995],[14.936,59.623,14.941,59.592,14.985,59.592,14.985,59.562,15.008,59.601,14.962,59.601,14.936,59.623],[14.992,59.663,15.017,59.634,14.995,59.603,15.045,59.646,15.076,59.646,14.992,59.663],[15.117,59.712,15.117,59.667,15.139,59.668,15.146,59.712,15.117,59.712],[15.348,59.465,15.359,59.434,15.303,59.444,15.319,59.423,15.381,59.409,15.381,59.389,15.402,59.4,15.383,59.423,15.43,59.423,15.381,59.435,15.4,59.445,15.348,59.465],[14.985,59.512,14.941,59.515,14.854,59.49,14.897,59.49,14.915,59.467,14.941,59.505,14.994,59.512,14.991,59.534,14.985,59.512],[15.047,59.534,15.073,59.499,15.095,59.533,15.073,59.534,15.073,59.556,15.047,59.534],[15.463,59.311,15.447,59.277,15.403,59.277,15.422,59.307,15.337,59.286,15.293,59.301,15.271,59.277,15.282,59.266,15.293,59.281,15.447,59.247,15.513,59.249,15.571,59.288,15.571,59.266,15.601,59.255,15.557,59.255,15.557,59.233,15.658,59.221,15.591,59.176,15.622,59.176,15.622,59.153,15.776,59.143,15.82,59.126,15.864,59.149,15.95,59.153,15.864,59.179,15.952,59.206,16.04,59.202,16.04,59.228,16.149,59.243,16.216,59.236,16.216,59.265,16.172,59.281,16.084,59.255,16.032,59.266,16.016,59.288,15.952,59.275,15.908,59.3,15.908,59.284,15.82,59.279,15.776,59.257,15.76,59.311,15.645,59.299,15.557,59.324,15.557,59.293,15.529,59.311,15.547,59.331,15.469,59.301,15.463,59.311],[15.513,59.066,15.469,59.032,15.469,59.063,15.447,59.029,15.384,59.034,15.425,59.005,15.449,59.018,15.513,59.006,15.55,59.052,15.513,59.066],[15.062,58.995,15.198,58.995,15.095,59.014,15.062,58.995],[14.722,59.61,14.722,59.584,14.678,59.579,14.766,59.572,14.722,59.61],[14.678,59.668,14.654,59.646,14.67,59.601,14.709,59.634,14.678,59.668],[14.61,59.579,14.6,59.601,14.634,59.636,14.59,59.638,14.556,59.623,14.59,59.623,14.59,59.595,14.565,59.579,14.59,59.569,14.61,59.579,14.592,59.534,14.652,59.557,14.61,59.579],[14.66,59.131,14.634,59.097,14.69,59.108,14.66,59.131],[13.72,63.273,13.843,63.268,13.876,63.287,13.72,63.273],[13.696,63.234,13.698,63.194,13.748,63.181,13.696,63.234],[14.399,62.694,14.37,62.667,14.414,62.667,14.424,62.694,14.399,62.694],[13.623,62.802,13.643,62.795,13.579,62.789,13.579,62.775,13.667,62.773,13.667,62.755,13.69,62.755,13.684,62.795,13.623,62.802],[14.086,63.313,14.063,63.267,14.106,63.287,14.119,63.234,14.172,63.214,14.15,63.188,14.08,63.214,14.063,63.243,14.019,63.248,14.063,63.183,14.15,63.167,14.194,63.135,14.238,63.163,14.282,63.154,14.37,63.168,14.39,63.135,14.284,63.154,14.248,63.135,14.326,63.126,14.383,63.095,14.458,62.948,14.414,62.935,14.437,62.895,14.414,62.881,14.37,62.915,14.396,62.935,14.37,62.946,14.37,62.99,14.338,62.995,14.353,62.895,14.414,62.827,14.414,62.846,14.489,62.835,14.458,62.815,14.502,62.795,14.516,62.815,14.476,62.855,14.546,62.889,14.499,62.895,14.515,62.915,14.485,62.935,14.475,63.015,14.426,63.055,14.429,63.135,14.495,63.154,14.656,63.144,14.748,63.115,14.795,63.075,14.78,63.062,14.82,63.075,14.766,63.107,14.81,63.115,14.634,63.169,14.502,63.165,14.458,63.194,14.439,63.154,14.436,63.224,14.561,63.214,14.634,63.179,14.642,63.194,14.54,63.234,14.502,63.28,14.458,63.283,14.502,63.258,14.474,63.234,14.394,63.234,14.394,63.253,14.326,63.281,14.282,63.269,14.261,63.293,14.194,63.307,14.106,63.293,14.086,63.313],[14.583,62.975,14.532,62.955,14.58,62.935,14.546,62.925,14.59,62.925,14.556,62.915,14.59,62.902,14.634,62.903,14.634,62.915,14.599,62.915,14.659,62.935,14.634,62.947,14.648,62.975,14.583,62.975],[13.228,63.214,13.184,63.209,13.184,63.194,13.228,63.184,13.256,63.214,13.228,63.214],[13.013,63.214,13.036,63.194,13.096,63.191,13.138,63.214,13.013,63.214],[13.429,63.332,13.615,63.293,13.491,63.341,13.429,63.332],[13.432,63.115,13.534,63.099,13.491,63.126,13.491,63.115,13.447,63.124,13.432,63.115],[13.315,63.225,13.359,63.202,13.425,63.204,13.491,63.17,13.535,63.187,13.579,63.17,13.626,63.194,13.467,63.194,13.403,63.224,13.315,63.225],[13.08,62.654,13.079,62.634,13.184,62.634,13.096,62.661,13.08,62.654],[13.13,62.835,13.108,62.815,13.14,62.811,12.996,62.795,13.222,62.775,13.165,62.815,13.184,62.828,13.13,62.835],[11.908,63.115,11.898,63.095,11.997,63.081,12.015,63.035,12.041,63.035,12.067,63.075,12.041,63.118,11.997,63.102,11.908,63.115],[12.548,63.313,12.535,63.293,12.611,63.293,12.568,63.282,12.524,63.29,12.524,63.302,12.425,63.263,12.473,63.271,12.473,63.253,12.48,63.264,12.568,63.225,12.612,63.225,12.656,63.283,12.568,63.321,12.548,63.313],[12.744,63.313,12.72,63.273,12.744,63.264,12.832,63.273,12.788,63.273,12.754,63.293,12.767,63.313,12.744,63.313],[12.152,62.935,12.173,62.903,12.198,62.915,12.231,62.895,12.241,62.915,12.173,62.945,12.152,62.935],[11.911,62.915,11.821,62.931,11.821,62.915,11.865,62.905,11.911,62.915],[11.986,63.035,11.997,63.008,11.97,62.995,11.909,63.009,11.833,62.995,11.827,62.975,11.953,62.99,11.987,62.975,11.953,62.975,11.953,62.961,12.085,62.967,12.013,63.015,12.041,63.025,11.986,63.035],[11.843,62.775,11.851,62.735,11.909,62.727,11.931,62.755,11.865,62.773,11.865,62.794,11.843,62.775],[11.866,62.828,11.877,62.795,11.92,62.815,11.866,62.828],[13.037,62.553,13.003,62.533,13.052,62.519,13.119,62.533,13.071,62.533,13.037,62.553],[14.428,62.612,14.458,62.55,14.478,62.573,14.458,62.607,14.428,62.612],[14.106,62.625,14.106,62.601,14.063,62.593,14.15,62.584,14.106,62.625],[12.979,62.593,12.989,62.573,13.052,62.566,13.008,62.583,13.008,62.608,12.979,62.593],[13.676,62.411,13.711,62.387,13.799,62.39,13.676,62.411],[12.741,62.492,12.707,62.452,12.788,62.462,12.741,62.492],[12.682,62.512,12.7,62.484,12.725,62.512,12.7,62.522,12.682,62.512],[12.568,62.35,12.646,62.329,12.612,62.375,12.612,62.356,12.568,62.35],[12.857,62.431,12.841,62.421,12.876,62.4,12.951,62.411,12.893,62.411,12.876,62.437,12.857,62.431],[12.713,62.451,12.722,62.431,12.797,62.431,12.832,62.415,12.832,62.44,12.713,62.451],[12.339,62.309,12.349,62.268,12.326,62.268,12.359,62.227,12.359,62.268,12.437,62.268,12.357,62.288,12.393,62.297,12.349,62.297,12.339,62.309],[12.152,62.451,12.248,62.438,12.217,62.459,12.152,62.451],[11.848,62.553,11.865,62.533,11.898,62.533,11.865,62.499,11.909,62.503,11.909,62.537,11.865,62.561,11.848,62.553],[11.777,62.628,11.777,62.607,11.865,62.61,11.777,62.628],[12.018,62.329,12.012,62.311,12.063,62.329,12.129,62.313,12.085,62.338,12.018,62.329],[12.393,62.37,12.393,62.346,12.305,62.338,12.261,62.344,12.261,62.356,12.241,62.329,12.42,62.309,12.42,62.288,12.523,62.256,12.446,62.309,12.457,62.329,12.41,62.329,12.393,62.37],[14.486,61.918,14.509,61.877,14.522,61.918,14.502,61.927,14.486,61.918],[14.043,62.104,14.082,62.104,14.095,62.073,14.063,62.046,14.15,62.055,14.15,62.028,14.194,62.038,14.229,62.022,14.194,62.001,14.152,62.001,14.123,62.019,14.137,62.001,14.264,62.001,14.289,62.042,14.238,62.068,14.15,62.083,14.106,62.072,14.106,62.097,14.15,62.106,14.043,62.104],[14.496,61.122,14.513,61.08,14.487,61.058,14.546,61.029,14.59,61.029,14.59,61.085,14.624,61.08,14.603,61.122,14.546,61.13,14.546,61.106,14.517,61.122,14.531,61.138,14.496,61.122],[13.711,61.452,13.711,61.41,13.755,61.41,13.711,61.452],[13.645,61.502,13.579,61.501,13.579,61.487,13.645,61.489,13.689,61.453,13.703,61.47,13.645,61.502],[13.359,61.573,13.403,61.539,13.48,61.528,13.469,61.515,13.567,61.491,13.557,61.521,13.513,61.514,13.491,61.533,13.403,61.548,13.359,61.573],[13.184,61.363,13.15,61.314,13.228,61.326,13.207,61.334,13.228,61.363,13.184,61.363],[12.041,61.889,12.041,61.873,12.17,61.861,12.156,61.877,12.041,61.889],[11.737,62.06,11.762,62.022,11.733,62.022,11.733,62.034,11.723,62.022,11.767,62.001,11.733,61.98,11.777,61.98,11.777,61.968,11.733,61.968,11.777,61.96,11.75,61.918,11.808,61.899,11.799,61.929,11.845,61.939,11.801,61.939,11.777,62.028,11.802,62.042,11.737,62.06],[11.909,62.429,11.931,62.411,11.865,62.398,11.909,62.39,11.929,62.329,11.871,62.186,11.821,62.178,11.821,62.138,11.755,62.145,11.733,62.166,11.711,62.104,11.777,62.076,11.843,62.073,11.909,61.96,11.879,61.939,11.941,61.918,11.909,62.037,11.931,62.042,11.909,62.063,11.865,62.052,11.865,62.076,11.909,62.076,11.88,62.083,11.883,62.145,11.944,62.176,11.941,62.288,11.986,62.36,11.969,62.411,11.909,62.429],[12.041,61.596,12.041,61.633,11.997,61.633,12.026,61.627,12.026,61.606,11.997,61.606,12.033,61.585,12.041,61.558,12.085,61.558,12.053,61.565,12.041,61.596],[12.509,60.994,12.524,60.96,12.568,60.973,12.509,60.994],[11.881,61.186,11.909,61.137,11.925,61.164,11.909,61.186,11.881,61.186],[12.544,61.016,12.555,60.994,12.593,60.994,12.568,61.016,12.612,61.016,12.612,61.027,12.544,61.016],[11.76,61.312,11.76,61.27,11.8,61.27,11.796,61.249,11.865,61.198,11.909,61.198,11.865,61.249,11.821,61.249,11.865,61.27,11.824,61.27,11.784,61.312,11.76,61.312],[11.03,63.275,10.942,63.244,10.811,63.263,10.811,63.243,10.942,63.221,10.942,63.208,10.986,63.228,11.069,63.234,11,63.253,11.043,63.253,11.083,63.273,11.03,63.275],[10.769,63.253,10.801,63.253,10.768,63.293,10.811,63.295,10.767,63.301,10.705,63.293,10.761,63.293,10.767,63.273,10.635,63.282,10.504,63.273,10.769,63.253],[10.752,63.095,10.789,63.085,10.767,63.061,10.841,63.075,10.811,63.095,10.752,63.095],[10.656,63.095,10.635,63.122,10.635,63.095,10.723,63.079,10.723,63.095,10.656,63.095],[10.898,63.144,10.942,63.11,10.988,63.115,10.942,63.128,10.942,63.144,10.898,63.144],[11.524,62.593,11.558,62.578,11.579,62.593,11.558,62.609,11.524,62.593],[11.58,62.694,11.58,62.674,11.629,62.674,11.629,62.654,11.675,62.654,11.642,62.634,11.733,62.63,11.745,62.614,11.745,62.634,11.689,62.644,11.666,62.674,11.753,62.674,11.777,62.648,11.81,62.664,11.797,62.674,11.58,62.694],[11.485,62.694,11.514,62.664,11.558,62.674,11.485,62.694],[10.134,63.234,10.151,63.156,10.101,63.154,10.107,63.139,10.107,63.154,10.147,63.154,10.151,63.13,10.171,63.234,10.134,63.234],[9.141,62.985,9.089,62.975,9.097,62.948,9.141,62.948,9.141,62.985],[9.316,62.702,9.492,62.66,9.448,62.694,9.316,62.702],[9.272,62.694,9.296,62.694,9.296,62.714,9.193,62.714,9.272,62.705,9.272,62.694],[11.535,62.451,11.558,62.404,11.578,62.411,11.558,62.451,11.535,62.451,11.514,62.473,11.502,62.451,11.535,62.451],[11.602,61.94,11.558,61.918,11.689,61.884,11.602,61.94],[11.539,61.98,11.558,61.939,11.593,61.939,11.594,61.997,11.539,61.98],[11.227,61.523,11.231,61.627,11.193,61.648,11.206,61.577,11.181,61.565,11.206,61.559,11.179,61.544,11.227,61.523,11.223,61.502,11.272,61.481,11.272,61.46,11.25,61.475,11.238,61.46,11.338,61.447,11.272,61.481,11.273,61.502,11.227,61.523],[11.173,61.669,11.206,61.653,11.236,61.669,11.206,61.683,11.173,61.669],[10.476,62.268,10.442,62.268,10.459,62.227,10.483,62.227,10.459,62.254,10.547,62.277,10.476,62.268],[9.884,62.411,9.888,62.333,9.831,62.329,9.888,62.329,9.888,62.314,9.913,62.425,9.884,62.411],[10.151,61.502,10.173,61.457,10.195,61.457,10.179,61.491,10.129,61.52,10.151,61.502],[8.717,62.288,8.716,62.268,8.768,62.247,8.745,62.288,8.717,62.288],[8.611,62.37,8.657,62.329,8.696,62.329,8.663,62.29,8.701,62.295,8.717,62.329,8.668,62.35,8.701,62.353,8.611,62.37],[8.569,62.411,8.597,62.411,8.569,62.505,8.569,62.411,8.548,62.411,8.569,62.381,8.657,62.388,8.605,62.39,8.569,62.411],[8.921,61.803,8.946,61.752,9.009,61.732,8.965,61.804,8.921,61.803],[8.811,61.856,9.009,61.849,9.053,61.874,9.009,61.871,8.997,61.856,8.833,61.856,8.833,61.867,8.811,61.856],[8.604,61.481,8.588,61.46,8.644,61.481,8.644,61.502,8.604,61.481],[8.751,61.523,8.73,61.523,8.701,61.488,8.815,61.502,8.745,61.502,8.745,61.52,8.805,61.523,8.751,61.523],[10.211,61.428,10.217,61.386,10.261,61.371,10.277,61.323,10.303,61.316,10.287,61.365,10.226,61.397,10.211,61.428],[10.647,61.016,10.691,61.016,10.723,60.987,10.738,60.994,10.701,61.029,10.647,61.016],[10.415,61.113,10.459,61.009,10.503,61.01,10.566,60.973,10.591,61,10.471,61.037,10.468,61.101,10.415,61.113],[10.591,60.988,10.591,60.973,10.679,60.96,10.679,60.973,10.591,60.988],[9.416,61.2,9.448,61.176,9.492,61.175,9.492,61.193,9.416,61.2],[8.745,61.312,9.003,61.293,8.994,61.312,9.048,61.334,8.965,61.334,8.944,61.312,8.892,61.312,8.877,61.336,8.811,61.315,8.745,61.326,8.745,61.312],[8.613,61.353,8.647,61.312,8.613,61.321,8.597,61.291,8.695,61.312,8.657,61.312,8.657,61.334,8.701,61.32,8.734,61.334,8.738,61.353,8.613,61.353],[9.097,61.355,9.185,61.344,9.185,61.334,9.207,61.334,9.207,61.355,9.292,61.355,9.229,61.36,9.185,61.386,9.141,61.366,9.097,61.371,9.097,61.355],[8.525,61.151,8.525,61.128,8.642,61.143,8.613,61.155,8.593,61.143,8.525,61.151],[9.053,61.115,9.053,61.101,9.123,61.08,9.11,61.101,9.053,61.115],[8.861,61.228,8.877,61.199,8.921,61.199,8.877,61.235,8.861,61.228],[8.161,62.634,8.143,62.472,8.174,62.484,8.174,62.54,8.202,62.553,8.174,62.553,8.161,62.634],[7.635,62.288,7.686,62.275,7.676,62.309,7.635,62.288],[7.803,62.37,7.822,62.36,7.787,62.329,7.866,62.341,7.83,62.35,7.822,62.376,7.803,62.37],[7.515,62.124,7.559,62.079,7.603,62.078,7.515,62.124],[5.698,62.001,5.801,61.985,5.757,62.01,5.698,62.001],[8.481,61.874,8.525,61.846,8.591,61.853,8.536,61.851,8.547,61.866,8.481,61.874],[7.89,61.544,7.954,61.533,7.994,61.565,7.89,61.544],[7.954,61.606,7.981,61.627,7.954,61.647,7.925,61.606,7.954,61.594,7.954,61.606],[7.383,61.802,7.406,61.773,7.471,61.763,7.487,61.773,7.427,61.783,7.427,61.802,7.383,61.802],[6.92,61.815,6.987,61.8,7.011,61.815,6.987,61.826,6.92,61.815],[6.453,61.98,6.372,61.973,6.372,61.951,6.24,61.931,6.236,61.918,6.196,61.927,6.108,61.912,6.284,61.906,6.529,61.96,6.453,61.98],[6.87,61.939,6.865,61.918,6.987,61.939,7.031,61.93,7.031,61.91,7.075,61.91,7.075,61.895,7.114,61.908,7.031,61.947,6.87,61.939],[6.341,61.752,6.372,61.677,6.416,61.677,6.402,61.732,6.341,61.752],[6.284,61.418,6.237,61.397,6.24,61.369,6.269,61.397,6.301,61.397,6.284,61.418],[6.127,61.502,6.112,61.484,6.196,61.502,6.196,61.518,6.127,61.502],[6.455,61.565,6.416,61.552,6.342,61.565,6.35,61.533,6.272,61.523,6.24,61.535,6.218,61.502,6.372,61.523,6.386,61.544,6.46,61.544,6.46,61.565,6.504,61.567,6.455,61.565],[5.785,61.669,5.77,61.627,5.801,61.627,5.801,61.678,5.785,61.669],[5.625,61.617,5.625,61.627,5.581,61.627,5.581,61.617,5.556,61.606,5.581,61.584,5.581,61.617,5.669,61.606,5.647,61.627,5.625,61.617],[8.394,61.371,8.394,61.345,8.606,61.334,8.569,61.36,8.428,61.355,8.394,61.371],[8.233,61.355,8.233,61.334,8.198,61.334,8.262,61.312,8.149,61.291,8.165,61.27,8.218,61.278,8.199,61.249,8.218,61.226,8.243,61.239,8.24,61.302,8.274,61.312,8.262,61.355,8.233,61.355],[8.414,61.164,8.514,61.143,8.497,61.164,8.438,61.177,8.414,61.164],[8.306,61.273,8.35,61.264,8.284,61.249,8.35,61.236,8.369,61.27,8.398,61.27,8.306,61.273],[8.107,61.014,8.13,60.988,8.157,60.994,8.171,61.013,8.107,61.014],[7.105,61.312,7.185,61.296,7.218,61.312,7.105,61.312],[7.031,61.44,7.075,61.439,7.056,61.376,7.075,61.346,7.119,61.344,7.089,61.376,7.114,61.455,7.031,61.44],[7.728,61.312,7.724,61.27,7.769,61.25,7.759,61.312,7.728,61.312],[14.134,60.845,14.111,60.831,14.194,60.839,14.194,60.818,14.21,60.823,14.194,60.866,14.194,60.845,14.134,60.845],[14.575,61.016,14.546,60.93,14.469,60.952,14.541,60.888,14.59,60.866,14.638,60.866,14.704,60.823,14.722,60.772,14.784,60.781,14.801,60.823,14.917,60.823,14.941,60.763,14.897,60.772,14.868,60.738,14.919,60.757,14.985,60.741,14.956,60.802,14.985,60.834,14.964,60.845,15.018,60.845,15.029,60.823,15.029,60.838,15.073,60.838,15.034,60.845,15.117,60.89,15.073,60.892,15.029,60.915,15.029,60.898,14.985,60.903,14.954,60.888,14.967,60.866,14.897,60.857,14.854,60.888,14.81,60.884,14.854,60.909,14.634,60.946,14.614,60.994,14.575,61.016],[14.063,60.528,14.063,60.518,14.148,60.503,14.106,60.528,14.063,60.528],[12.92,60.952,12.953,60.909,13.044,60.888,13.043,60.866,13.084,60.853,13.032,60.909,13.045,60.929,13.008,60.919,12.92,60.952],[13.926,60.93,13.997,60.909,13.975,60.877,14.106,60.855,14.063,60.888,14.019,60.888,14.063,60.895,14.063,60.909,13.975,60.942,13.931,60.943,13.926,60.93],[13.288,60.63,13.315,60.599,13.335,60.609,13.315,60.645,13.288,60.63],[13.277,60.731,13.315,60.705,13.374,60.716,13.277,60.731],[13.865,60.802,13.877,60.781,13.843,60.77,13.887,60.77,13.887,60.759,13.843,60.759,13.82,60.738,13.843,60.727,13.904,60.759,13.902,60.802,13.887,60.811,13.865,60.802],[13.311,60.522,13.288,60.501,13.315,60.487,13.339,60.501,13.311,60.522],[12.612,60.722,12.7,60.695,12.7,60.727,12.612,60.722],[12.766,60.93,12.788,60.909,12.821,60.909,12.788,60.941,12.766,60.93],[12.533,60.563,12.568,60.534,12.612,60.544,12.533,60.563],[12.459,60.436,12.464,60.414,12.556,60.392,12.539,60.436,12.48,60.427,12.48,60.449,12.459,60.436],[14.075,60.392,14.074,60.37,14.15,60.387,14.15,60.405,14.075,60.392],[14.48,60.414,14.502,60.414,14.483,60.392,14.502,60.37,14.534,60.37,14.518,60.414,14.48,60.414],[13.907,60.24,13.903,60.218,13.944,60.196,13.931,60.24,13.907,60.24],[13.87,60.283,13.843,60.27,13.915,60.262,13.906,60.283,13.87,60.283],[14.4,60.305,14.414,60.297,14.37,60.297,14.364,60.283,14.414,60.271,14.414,60.283,14.441,60.283,14.4,60.305],[14.238,60.149,14.267,60.102,14.324,60.087,14.282,60.142,14.238,60.149],[13.908,60.109,13.931,60.098,13.95,60.109,13.908,60.109,13.887,60.141,13.843,60.135,13.908,60.109],[14.347,60.218,14.37,60.188,14.392,60.218,14.37,60.23,14.347,60.218],[13.817,60.262,13.843,60.208,13.86,60.24,13.843,60.262,13.817,60.262],[13.196,60.166,13.301,60.131,13.287,60.152,13.196,60.166],[12.305,60.414,12.305,60.398,12.261,60.392,12.3,60.392,12.349,60.349,12.349,60.37,12.37,60.37,12.305,60.414],[12.315,60.174,12.349,60.158,12.393,60.164,12.393,60.185,12.349,60.19,12.315,60.174],[14.572,59.977,14.549,59.958,14.668,59.977,14.572,59.977],[13.447,60.106,13.447,60.087,13.491,60.073,13.51,60.087,13.447,60.106],[13.435,59.999,13.42,59.962,13.491,59.972,13.465,59.999,13.488,60.017,13.435,59.999],[13.755,60.01,13.755,59.988,13.843,59.991,13.755,60.01],[13.603,60.021,13.606,59.999,13.579,60.002,13.568,59.988,13.606,59.999,13.623,59.969,13.667,59.969,13.635,59.977,13.623,60.033,13.603,60.021],[13.127,60.021,13.096,59.999,13.14,59.86,13.167,59.9,13.127,60.021],[13.02,60.131,13.042,60.098,13.015,60.07,13.096,60.076,13.052,60.098,13.052,60.126,13.02,60.131],[12.693,59.999,12.728,59.977,12.708,59.964,12.828,59.955,12.788,59.985,12.693,59.999],[12.992,59.889,13.008,59.867,12.972,59.867,12.948,59.889,12.964,59.858,13.019,59.867,13.021,59.889,12.992,59.889],[10.635,60.952,10.664,60.93,10.638,60.89,10.679,60.897,10.703,60.888,10.679,60.858,10.758,60.845,10.723,60.909,10.679,60.909,10.679,60.924,10.723,60.93,10.691,60.93,10.679,60.952,10.635,60.952],[10.349,60.652,10.327,60.619,10.371,60.619,10.371,60.652,10.349,60.652],[10.239,60.733,10.239,60.716,10.311,60.695,10.312,60.673,10.371,60.653,10.327,60.716,10.239,60.733],[8.835,60.888,8.859,60.866,8.959,60.845,8.921,60.874,8.835,60.888],[8.855,60.93,8.877,60.901,8.877,60.93,8.855,60.93,8.811,60.95,8.702,60.93,8.833,60.921,8.855,60.93],[10.195,60.804,10.151,60.802,10.151,60.789,10.217,60.791,10.195,60.759,10.246,60.781,10.239,60.802,10.195,60.804],[8.256,60.845,8.174,60.823,8.306,60.821,8.338,60.834,8.329,60.845,8.306,60.847,8.306,60.832,8.256,60.845],[8.07,60.973,8.07,60.952,8.027,60.952,8.086,60.946,8.086,60.918,8.135,60.952,8.07,60.973],[7.822,60.711,7.822,60.695,7.859,60.695,7.836,60.673,7.866,60.659,7.947,60.652,7.934,60.673,7.822,60.711],[8.192,60.716,8.246,60.695,8.246,60.716,8.218,60.726,8.192,60.716],[7.918,60.818,7.929,60.802,7.987,60.802,7.972,60.759,7.998,60.72,8.042,60.755,8.076,60.738,8.059,60.716,8.13,60.705,8.154,60.716,8.086,60.729,8.118,60.738,8.086,60.763,7.998,60.771,8.031,60.82,7.976,60.808,7.918,60.818],[7.954,60.501,7.91,60.51,7.866,60.492,8.086,60.479,7.998,60.505,7.954,60.501,7.954,60.526,7.91,60.522,7.954,60.522,7.954,60.501],[8.478,60.522,8.525,60.501,8.545,60.522,8.574,60.522,8.547,60.537,8.478,60.522],[7.809,60.522,7.809,60.501,7.857,60.501,7.822,60.529,7.809,60.522],[11.271,60.587,11.294,60.587,11.294,60.609,11.272,60.609,11.271,60.587,11.25,60.597,11.206,60.58,11.162,60.618,11.074,60.754,11.091,60.802,10.986,60.797,11.03,60.823,10.952,60.845,10.942,60.874,10.886,60.866,10.934,60.845,10.91,60.823,10.956,60.823,10.962,60.759,11.004,60.759,11.017,60.716,10.986,60.712,10.898,60.766,10.752,60.781,10.723,60.828,10.672,60.845,10.723,60.769,10.963,60.695,10.954,60.673,11.074,60.641,11.14,60.587,11.184,60.576,11.162,60.49,11.206,60.439,11.198,60.414,11.25,60.397,11.217,60.436,11.25,60.436,11.219,60.457,11.25,60.457,11.225,60.479,11.25,60.507,11.22,60.522,11.25,60.522,11.224,60.544,11.25,60.544,11.236,60.565,11.263,60.565,11.271,60.587],[11.03,60.392,11.03,60.327,11.074,60.319,11.074,60.299,11.118,60.276,11.118,60.342,11.052,60.338,11.057,60.392,11.03,60.392],[11.646,60.327,11.725,60.305,11.689,60.303,11.733,60.303,11.733,60.327,11.646,60.327],[11.661,60.37,11.56,60.349,11.602,60.349,11.602,60.336,11.646,60.349,11.646,60.333,11.733,60.335,11.689,60.382,11.661,60.37],[11.594,60.414,11.633,60.392,11.602,60.378,11.592,60.392,11.592,60.37,11.646,60.37,11.646,60.427,11.594,60.414],[10.03,60.436,10.063,60.436,10.04,60.392,10.063,60.355,10.093,60.436,10.063,60.452,10.03,60.436],[10.226,60.457,10.239,60.424,10.283,60.418,10.239,60.476,10.226,60.457],[9.976,60.554,10.02,60.53,10.063,60.53,10.029,60.49,10.038,60.457,10.063,60.457,10.087,60.544,9.976,60.554],[10.314,60.609,10.278,60.565,10.309,60.544,10.288,60.504,10.371,60.515,10.385,60.501,10.388,60.414,10.371,60.386,10.342,60.392,10.366,60.36,10.342,60.316,10.356,60.283,10.401,60.262,10.371,60.262,10.371,60.249,10.415,60.249,10.379,60.316,10.431,60.414,10.484,60.436,10.442,60.436,10.442,60.457,10.459,60.444,10.47,60.457,10.371,60.531,10.327,60.522,10.345,60.587,10.341,60.609,10.314,60.609],[9.624,60.392,9.605,60.392,9.607,60.349,9.668,60.338,9.624,60.392],[9.605,60.24,9.624,60.152,9.652,60.152,9.624,60.177,9.645,60.218,9.624,60.231,9.668,60.249,9.605,60.24],[7.939,60.414,7.954,60.393,7.954,60.414,7.998,60.414,7.97,60.436,7.939,60.414],[8.569,60.44,8.701,60.431,8.733,60.436,8.74,60.456,8.569,60.44],[8.481,60.219,8.569,60.21,8.61,60.233,8.547,60.237,8.481,60.219],[8.191,60.305,8.184,60.283,8.282,60.327,8.262,60.338,8.262,60.318,8.191,60.305],[8.833,60.436,8.877,60.358,8.892,60.414,8.833,60.436],[7.844,60.392,7.866,60.364,7.919,60.37,7.844,60.392],[10.695,60.087,10.685,60.065,10.743,60.087,10.723,60.099,10.695,60.087],[9.58,60.065,9.539,60.065,9.536,60.08,9.499,60.086,9.536,60.055,9.58,60.054,9.58,60.065],[10.006,60.131,10.02,60.087,10.041,60.087,10.033,60.131,10.006,60.131],[10.327,60.131,10.283,60.07,10.345,60.087,10.354,60.131,10.327,60.131],[9.668,60.163,9.712,60.137,9.745,60.152,9.712,60.168,9.668,60.163],[10.239,60.054,10.306,60.065,10.239,60.079,10.239,60.054,10.207,60.087,10.195,60.065,10.163,60.065,10.204,60.109,10.195,60.132,10.134,60.109,10.02,60.004,10.129,60.021,10.327,59.957,10.295,59.999,10.283,59.986,10.262,59.999,10.239,60.054],[8.747,59.996,8.76,59.977,8.811,59.977,8.811,59.955,8.833,59.955,8.807,59.933,8.921,59.923,8.852,59.955,8.833,59.985,8.747,59.996],[8.894,59.911,8.921,59.878,8.965,59.878,8.921,59.911,8.894,59.911],[10.294,59.955,10.286,59.891,10.327,59.895,10.349,59.933,10.327,59.955,10.294,59.955],[8.152,60.152,8.218,60.152,8.186,60.131,8.262,60.097,8.292,60.109,8.238,60.131,8.218,60.163,8.152,60.152],[8.35,60.043,8.368,60.065,8.314,60.083,8.327,60.043,8.218,60.065,8.19,60.054,8.218,60.03,8.228,60.043,8.306,60.036,8.271,59.999,8.306,59.982,8.335,59.999,8.327,60.043,8.35,60.043],[8.018,60.043,8.042,60.009,8.071,60.004,8.053,60.043,8.018,60.043],[8.306,59.975,8.306,59.955,8.272,59.955,8.306,59.905,8.334,59.911,8.306,59.975],[7.619,60.866,7.646,60.836,7.659,60.866,7.646,60.877,7.619,60.866],[7.691,60.902,7.734,60.847,7.744,60.888,7.691,60.902],[7.742,60.732,7.778,60.695,7.808,60.695,7.778,60.728,7.742,60.732],[7.399,60.759,7.427,60.747,7.471,60.759,7.427,60.772,7.399,60.759],[7.719,60.823,7.632,60.802,7.763,60.802,7.778,60.773,7.778,60.802,7.822,60.808,7.755,60.823,7.774,60.84,7.719,60.823],[6.102,60.888,6.085,60.866,6.108,60.858,6.152,60.898,6.102,60.888],[6.159,60.906,6.172,60.868,6.213,60.888,6.159,60.906],[6.284,60.76,6.284,60.73,6.365,60.722,6.354,60.738,6.295,60.738,6.284,60.76],[6.341,60.627,6.372,60.6,6.418,60.609,6.416,60.621,6.341,60.627],[7.734,60.489,7.734,60.421,7.753,60.479,7.778,60.479,7.787,60.457,7.833,60.479,7.734,60.489],[7.383,60.207,7.383,60.186,7.454,60.174,7.427,60.206,7.383,60.207],[7.798,60.262,7.778,60.241,7.892,60.262,7.798,60.262],[7.559,60.272,7.559,60.258,7.679,60.249,7.646,60.269,7.559,60.272],[7.413,60.436,7.368,60.414,7.427,60.406,7.427,60.426,7.471,60.426,7.413,60.436],[6.328,60.465,6.328,60.444,6.42,60.457,6.328,60.465],[6.66,60.174,6.65,60.156,6.702,60.174,6.759,60.162,6.724,60.183,6.66,60.174],[6.692,60.218,6.692,60.197,6.746,60.218,6.724,60.233,6.692,60.218],[6.349,60.218,6.333,60.198,6.416,60.21,6.372,60.226,6.349,60.218],[6.147,60.544,6.176,60.544,6.176,60.565,6.12,60.544,6.147,60.544,6.097,60.522,6.108,60.495,6.147,60.544],[6.328,60.544,6.284,60.544,6.284,60.573,6.249,60.555,6.284,60.533,6.328,60.544],[7.563,60.196,7.597,60.196,7.603,60.146,7.64,60.152,7.603,60.152,7.603,60.168,7.699,60.152,7.722,60.174,7.727,60.194,7.603,60.174,7.619,60.196,7.563,60.196],[7.69,59.911,7.734,59.909,7.752,59.955,7.704,59.977,7.73,59.911,7.69,59.911],[7.127,60.082,7.163,60.056,7.251,60.065,7.127,60.082],[6.923,60.109,6.943,60.084,6.987,60.114,6.923,60.109],[7.055,59.911,7.075,59.889,7.042,59.889,7.075,59.883,7.112,59.924,7.055,59.911],[7.063,59.955,7.117,59.955,7.119,59.944,7.151,59.977,7.063,59.955],[6.752,60.087,6.724,60.054,6.768,60.054,6.768,60.087,6.791,60.087,6.752,60.087],[6.636,60.131,6.724,60.125,6.724,60.109,6.746,60.109,6.724,60.137,6.636,60.131],[6.855,60.152,6.835,60.152,6.855,60.14,6.855,60.152,6.876,60.152,6.855,60.229,6.837,60.196,6.855,60.187,6.829,60.174,6.855,60.152],[6.531,60.043,6.548,60.004,6.565,60.043,6.552,60.054,6.531,60.043],[6.169,59.933,6.196,59.904,6.255,59.911,6.169,59.933],[14.589,59.845,14.531,59.823,14.59,59.811,14.589,59.845],[14.246,59.756,14.3,59.756,14.235,59.734,14.309,59.712,14.297,59.69,14.37,59.683,14.37,59.696,14.326,59.704,14.342,59.756,14.326,59.765,14.246,59.756],[14.52,59.69,14.546,59.623,14.563,59.69,14.52,59.69],[14.216,59.646,14.238,59.63,14.238,59.646,14.216,59.646,14.194,59.677,14.167,59.646,14.216,59.646],[14.502,59.742,14.486,59.712,14.458,59.712,14.458,59.733,14.441,59.712,14.486,59.69,14.485,59.668,14.502,59.662,14.502,59.7,14.59,59.704,14.59,59.655,14.634,59.712,14.634,59.668,14.634,59.721,14.521,59.712,14.502,59.742],[12.97,59.845,13.008,59.815,13.029,59.823,13.008,59.845,12.97,59.845],[13.14,59.831,13.118,59.823,13.14,59.812,13.125,59.756,13.184,59.706,13.184,59.677,13.215,59.701,13.162,59.756,13.14,59.831],[13.931,59.725,13.931,59.708,14.006,59.69,13.992,59.712,13.931,59.725],[13.881,59.734,13.887,59.682,13.931,59.682,13.901,59.69,13.91,59.734,13.881,59.734],[13.359,59.661,13.403,59.611,13.423,59.646,13.359,59.661],[13.315,59.646,13.337,59.646,13.333,59.668,13.282,59.668,13.228,59.708,13.228,59.668,13.271,59.655,13.315,59.66,13.315,59.646,13.289,59.646,13.315,59.613,13.315,59.646],[13.343,59.734,13.393,59.69,13.359,59.69,13.359,59.675,13.403,59.675,13.382,59.734,13.359,59.744,13.343,59.734],[12.333,59.823,12.332,59.801,12.389,59.779,12.362,59.823,12.333,59.823],[12.457,59.712,12.466,59.756,12.414,59.756,12.412,59.734,12.48,59.7,12.541,59.712,12.457,59.712],[12.261,59.763,12.305,59.724,12.329,59.756,12.261,59.763],[12.568,59.791,12.612,59.751,12.628,59.756,12.612,59.779,12.631,59.779,12.568,59.791],[14.37,59.568,14.358,59.557,14.408,59.534,14.37,59.568,14.409,59.592,14.341,59.579,14.37,59.568],[14.27,59.623,14.282,59.55,14.307,59.601,14.296,59.623,14.27,59.623],[13.74,59.512,13.677,59.49,13.755,59.473,13.755,59.523,13.74,59.512],[14.351,59.512,14.343,59.495,14.466,59.512,14.351,59.512],[13.667,59.512,13.711,59.512,13.711,59.524,13.667,59.524,13.667,59.512,13.644,59.512,13.644,59.534,13.683,59.534,13.683,59.557,13.667,59.542,13.623,59.542,13.611,59.512,13.667,59.503,13.667,59.512],[14.194,59.582,14.172,59.579,14.194,59.501,14.238,59.501,14.194,59.582],[14.282,59.411,14.326,59.386,14.326,59.4,14.352,59.4,14.352,59.378,14.326,59.367,14.476,59.378,14.37,59.394,14.37,59.404,14.282,59.411],[13.667,59.409,13.623,59.394,13.667,59.388,13.711,59.4,13.667,59.409],[14.326,59.445,14.301,59.49,14.322,59.505,14.282,59.503,14.267,59.445,14.212,59.423,14.238,59.423,14.238,59.4,14.258,59.4,14.258,59.423,14.308,59.423,14.282,59.467,14.326,59.445],[13.547,59.445,13.579,59.429,13.605,59.445,13.579,59.459,13.547,59.445],[13.315,59.601,13.293,59.557,13.315,59.521,13.339,59.534,13.334,59.601,13.315,59.601],[12.89,59.646,12.92,59.637,12.92,59.623,12.895,59.623,12.92,59.601,12.895,59.601,12.964,59.588,12.964,59.601,12.928,59.601,12.941,59.646,12.92,59.659,12.89,59.646],[12.781,59.445,12.765,59.423,12.832,59.414,12.781,59.445],[12.788,59.603,12.832,59.594,12.832,59.56,12.876,59.57,12.911,59.534,12.952,59.534,12.859,59.512,12.935,59.512,12.92,59.477,12.964,59.477,12.964,59.451,12.984,59.467,12.95,59.579,12.858,59.579,12.863,59.601,12.832,59.616,12.788,59.603],[13.374,59.49,13.368,59.467,13.429,59.49,13.429,59.501,13.425,59.49,13.403,59.502,13.374,59.49],[13.032,59.356,13.026,59.333,13.096,59.321,13.096,59.333,13.065,59.333,13.077,59.356,13.052,59.366,13.032,59.356],[12.805,59.4,12.832,59.365,12.876,59.36,12.832,59.4,12.805,59.4],[12.284,59.557,12.305,59.512,12.327,59.512,12.349,59.568,12.284,59.557],[12.42,59.601,12.411,59.579,12.437,59.571,12.475,59.621,12.42,59.601],[12.437,59.512,12.417,59.512,12.417,59.534,12.393,59.534,12.393,59.518,12.349,59.518,12.437,59.484,12.455,59.49,12.48,59.437,12.524,59.493,12.48,59.527,12.437,59.512],[12.788,59.579,12.7,59.583,12.656,59.566,12.59,59.623,12.524,59.623,12.524,59.638,12.612,59.634,12.612,59.651,12.519,59.646,12.48,59.67,12.437,59.668,12.48,59.668,12.451,59.646,12.584,59.601,12.533,59.598,12.539,59.579,12.582,59.579,12.584,59.557,12.7,59.512,12.7,59.467,12.726,59.545,12.7,59.579,12.788,59.579],[14.51,59.33,14.523,59.288,14.564,59.288,14.564,59.311,14.59,59.316,14.51,59.33],[12.813,59.243,12.832,59.176,12.862,59.176,12.832,59.256,12.813,59.243],[14.458,59.291,14.437,59.266,14.458,59.253,14.486,59.266,14.483,59.288,14.458,59.291],[14.302,59.063,14.304,59.052,14.194,59.053,14.169,59.041,14.194,59.027,14.198,59.041,14.25,58.995,14.194,58.982,14.194,59.002,14.162,58.973,14.206,58.973,14.238,58.897,14.282,58.92,14.326,58.918,14.326,58.936,14.37,58.936,14.398,58.973,14.37,58.973,14.347,58.995,14.333,59.052,14.36,59.078,14.302,59.063],[14.612,59.041,14.656,59.041,14.634,59.063,14.513,59.084,14.59,59.028,14.612,59.041],[12.801,59.153,12.832,59.14,12.858,59.153,12.832,59.17,12.801,59.153],[12.318,59.221,12.369,59.221,12.369,59.198,12.396,59.198,12.393,59.231,12.318,59.221],[12.591,59.243,12.612,59.221,12.589,59.221,12.642,59.2,12.615,59.232,12.653,59.26,12.591,59.243],[12.437,59.347,12.48,59.288,12.498,59.311,12.48,59.347,12.437,59.347],[12.201,59.356,12.217,59.303,12.282,59.356,12.239,59.376,12.201,59.356],[12.445,59.146,12.48,59.12,12.552,59.112,12.524,59.136,12.445,59.146],[12.512,59.198,12.513,59.176,12.556,59.16,12.543,59.198,12.524,59.207,12.512,59.198],[12.274,59.037,12.291,58.995,12.24,58.973,12.305,58.961,12.367,58.973,12.305,58.977,12.305,58.995,12.326,58.995,12.305,59.018,12.328,59.018,12.274,59.037],[12.041,59.211,12.041,59.176,12.129,59.176,12.085,59.18,12.041,59.211],[12.129,59.378,12.129,59.34,12.085,59.34,12.12,59.333,12.1,59.277,12.121,59.243,12.173,59.254,12.129,59.378],[11.886,59.311,11.909,59.298,11.893,59.266,11.931,59.243,11.919,59.223,11.975,59.232,11.997,59.182,12.034,59.179,11.997,59.243,11.953,59.266,11.909,59.266,11.909,59.282,11.978,59.288,11.911,59.288,11.929,59.311,11.909,59.322,11.886,59.311],[12.152,59.243,12.129,59.198,12.151,59.198,12.151,59.221,12.217,59.221,12.152,59.243],[12.193,59.108,12.173,59.05,12.226,59.063,12.233,59.086,12.193,59.108],[12.154,59.153,12.155,59.131,12.217,59.117,12.173,59.163,12.154,59.153],[12.286,59.221,12.286,59.198,12.261,59.209,12.24,59.198,12.173,59.208,12.173,59.198,12.196,59.198,12.217,59.142,12.235,59.153,12.217,59.188,12.305,59.191,12.349,59.134,12.349,59.21,12.286,59.221],[11.877,58.995,11.906,58.961,11.909,58.927,11.889,58.927,11.909,58.895,11.931,58.973,11.877,58.995],[12.069,58.95,12.129,58.939,12.151,58.95,12.129,58.959,12.069,58.95],[11.844,59.131,11.879,59.131,11.821,59.109,11.865,59.092,11.845,59.041,11.909,59.03,11.926,59.041,11.888,59.041,11.895,59.086,11.922,59.086,11.884,59.108,11.931,59.108,11.909,59.139,11.844,59.131],[11.68,59.845,11.628,59.823,11.646,59.812,11.689,59.823,11.689,59.805,11.71,59.823,11.68,59.845],[11.162,59.911,11.162,59.88,11.138,59.889,11.15,59.922,11.131,59.913,11.118,59.942,11.094,59.933,11.118,59.9,11.096,59.867,11.189,59.823,11.206,59.79,11.183,59.779,11.245,59.779,11.177,59.756,11.221,59.756,11.199,59.734,11.25,59.646,11.268,59.668,11.25,59.728,11.272,59.734,11.25,59.786,11.221,59.801,11.25,59.809,11.228,59.845,11.206,59.845,11.232,59.867,11.171,59.889,11.162,59.911],[11.821,59.726,11.821,59.696,11.777,59.69,11.821,59.667,11.854,59.701,11.821,59.726],[11.567,59.557,11.602,59.557,11.595,59.534,11.631,59.557,11.602,59.573,11.567,59.557],[10.05,59.873,10.02,59.847,10.063,59.853,10.098,59.886,10.05,59.873],[11.115,59.712,11.086,59.69,11.118,59.676,11.141,59.69,11.115,59.712],[9.832,59.712,9.818,59.69,9.859,59.69,9.976,59.613,10.02,59.604,9.991,59.646,9.954,59.646,9.954,59.668,9.888,59.68,9.888,59.697,9.844,59.697,9.861,59.712,9.832,59.712],[9.905,59.598,9.932,59.551,9.972,59.539,9.932,59.568,9.968,59.591,9.905,59.598],[8.809,59.823,8.833,59.823,8.833,59.797,8.908,59.785,8.833,59.832,8.809,59.823],[8.943,59.867,8.965,59.823,8.99,59.823,8.989,59.845,8.943,59.867],[8.209,59.867,8.184,59.805,8.322,59.823,8.218,59.832,8.218,59.867,8.239,59.867,8.209,59.867],[9.229,59.668,9.272,59.676,9.272,59.703,9.185,59.703,9.229,59.668],[9.009,59.845,8.986,59.801,9.009,59.79,9.009,59.72,9.03,59.812,9.009,59.845],[11.074,59.3,11.096,59.33,11.052,59.329,11.083,59.333,11.052,59.336,11.052,59.36,11.04,59.328,11.074,59.3],[11.646,59.4,11.626,59.333,11.646,59.321,11.671,59.333,11.646,59.4],[11.849,59.49,11.847,59.423,11.808,59.4,11.834,59.4,11.851,59.367,11.821,59.335,11.939,59.338,11.919,59.367,11.948,59.4,11.887,59.389,11.865,59.478,11.889,59.49,11.865,59.49,11.865,59.51,11.849,59.49],[11.239,59.501,11.162,59.391,11.196,59.4,11.259,59.501,11.239,59.501],[11.228,59.288,11.25,59.279,11.266,59.288,11.25,59.298,11.206,59.288,11.187,59.266,11.206,59.255,11.228,59.288],[10.75,59.445,10.756,59.423,10.696,59.423,10.723,59.41,10.795,59.423,10.767,59.445,10.801,59.445,10.767,59.454,10.75,59.445],[9.404,59.27,9.404,59.249,9.351,59.243,9.39,59.243,9.404,59.221,9.448,59.215,9.448,59.195,9.468,59.198,9.477,59.24,9.426,59.232,9.432,59.255,9.404,59.27],[10.854,59.423,10.799,59.4,10.841,59.378,10.839,59.356,10.919,59.378,10.854,59.395,10.878,59.4,10.878,59.423,10.854,59.423],[8.789,59.447,8.722,59.423,8.816,59.423,8.789,59.447],[8.732,59.311,8.722,59.288,8.745,59.288,8.745,59.307,8.921,59.301,8.945,59.311,8.921,59.321,8.92,59.311,8.789,59.321,8.732,59.311],[8.332,59.356,8.35,59.32,8.424,59.333,8.35,59.333,8.365,59.356,8.332,59.356],[8.555,59.378,8.538,59.356,8.569,59.34,8.613,59.345,8.628,59.311,8.631,59.356,8.582,59.356,8.555,59.378],[9.208,59.378,9.201,59.356,9.251,59.333,9.251,59.311,9.272,59.326,9.316,59.326,9.249,59.356,9.272,59.369,9.208,59.378],[8.218,59.42,8.218,59.4,8.394,59.394,8.409,59.378,8.409,59.4,8.218,59.42],[9.301,59.311,9.272,59.282,9.395,59.266,9.36,59.297,9.301,59.311],[11.683,59.153,11.664,59.131,11.746,59.153,11.711,59.17,11.683,59.153],[11.733,59.349,11.777,59.326,11.777,59.311,11.751,59.311,11.806,59.288,11.821,59.26,11.821,59.198,11.801,59.198,11.865,59.186,11.84,59.198,11.837,59.333,11.806,59.311,11.777,59.343,11.733,59.349],[9.959,59.131,9.94,59.091,10.02,59.098,10.02,59.108,9.986,59.108,9.976,59.137,9.959,59.131],[11.893,59.018,11.809,58.995,11.909,58.995,11.893,59.018],[11.655,59.041,11.689,59.041,11.684,59.018,11.733,59,11.689,59.054,11.655,59.041],[9.382,59.153,9.433,59.113,9.422,59.153,9.404,59.165,9.382,59.153],[9.34,58.995,9.379,58.995,9.36,59.005,9.34,58.995,9.316,59.048,9.299,59.018,9.34,58.995],[9.463,59.063,9.452,59.044,9.492,59.047,9.501,59.063,9.545,59.063,9.492,59.073,9.463,59.063],[9.37,58.947,9.404,58.919,9.444,58.94,9.37,58.947],[9.142,59.059,9.213,59.018,9.229,58.973,9.236,59.041,9.142,59.059],[8.638,59.153,8.621,59.112,8.672,59.131,8.657,59.164,8.638,59.153],[8.213,59.155,8.174,59.139,8.332,59.153,8.24,59.168,8.213,59.155],[8.13,59.131,8.13,59.094,8.114,59.086,8.211,59.063,8.211,59.041,8.218,59.057,8.262,59.007,8.286,59.018,8.262,59.076,8.218,59.076,8.211,59.108,8.174,59.098,8.13,59.131],[8.525,59.278,8.525,59.325,8.497,59.288,8.525,59.278,8.481,59.28,8.451,59.266,8.481,59.266,8.452,59.243,8.481,59.171,8.448,59.153,8.481,59.153,8.454,59.131,8.497,59.108,8.453,59.041,8.481,59.028,8.525,59.029,8.491,59.063,8.549,59.086,8.525,59.107,8.549,59.108,8.502,59.131,8.492,59.21,8.525,59.278],[8.35,59.018,8.383,59.076,8.331,59.063,8.35,59.018],[7.427,59.889,7.471,59.889,7.471,59.836,7.515,59.857,7.559,59.814,7.603,59.834,7.639,59.827,7.559,59.877,7.496,59.867,7.471,59.897,7.427,59.889],[7.998,59.878,8.042,59.845,8.086,59.854,8.174,59.838,8.13,59.883,8.063,59.867,8.063,59.889,8.042,59.889,8.086,59.95,8.042,59.95,8.019,59.933,8.042,59.92,7.979,59.867,7.998,59.862,7.998,59.878],[8.016,59.845,8.028,59.823,8.105,59.823,8.105,59.801,8.152,59.801,8.13,59.831,8.016,59.845],[7.761,59.779,7.759,59.756,7.822,59.747,7.822,59.71,7.841,59.712,7.835,59.756,7.778,59.765,7.778,59.788,7.761,59.779],[7.515,59.712,7.559,59.712,7.539,59.69,7.559,59.69,7.559,59.66,7.579,59.701,7.559,59.716,7.515,59.712],[7.866,59.722,7.866,59.703,7.978,59.69,7.998,59.655,8.027,59.668,8.042,59.694,7.998,59.721,7.886,59.712,7.866,59.722],[7.177,59.801,7.207,59.788,7.266,59.801,7.207,59.815,7.177,59.801],[7.119,59.709,7.119,59.69,7.191,59.668,7.184,59.69,7.119,59.709],[7.365,59.734,7.383,59.701,7.418,59.751,7.365,59.734],[7.261,59.712,7.217,59.712,7.251,59.701,7.311,59.712,7.295,59.724,7.261,59.712],[7.302,59.569,7.345,59.512,7.356,59.545,7.302,59.569],[7.163,59.661,7.144,59.623,7.163,59.615,7.26,59.623,7.169,59.623,7.163,59.661],[6.152,59.712,6.152,59.668,6.1,59.668,6.182,59.647,6.152,59.712,6.021,59.709,6.108,59.702,6.152,59.712],[6.768,59.623,6.73,59.579,6.768,59.579,6.795,59.601,6.768,59.623],[6.67,59.579,6.66,59.557,6.724,59.571,6.724,59.593,6.67,59.579],[6.621,59.534,6.587,59.534,6.592,59.522,6.636,59.522,6.68,59.545,6.621,59.534],[7.751,59.4,7.734,59.387,7.778,59.384,7.817,59.4,7.778,59.4,7.778,59.414,7.751,59.4],[8.097,59.445,8.11,59.423,8.217,59.4,8.192,59.423,8.144,59.423,8.097,59.445],[7.163,59.426,7.144,59.423,7.251,59.402,7.207,59.428,7.163,59.426],[7.099,59.467,7.119,59.43,7.159,59.445,7.119,59.445,7.119,59.459,7.189,59.467,7.377,59.45,7.365,59.467,7.295,59.477,7.099,59.467],[6.66,59.266,6.68,59.252,6.68,59.266,6.768,59.254,6.802,59.288,6.746,59.27,6.66,59.266],[6.768,59.356,6.768,59.325,6.739,59.311,6.807,59.289,6.795,59.356,6.768,59.356],[6.834,59.378,6.855,59.39,6.874,59.378,6.943,59.301,6.975,59.322,6.987,59.374,6.921,59.367,6.935,59.389,6.899,59.445,6.899,59.406,6.819,59.422,6.834,59.378,6.737,59.378,6.768,59.362,6.812,59.366,6.812,59.343,6.834,59.378],[6.618,59.185,6.597,59.157,6.663,59.176,6.676,59.197,6.618,59.185],[6.094,59.176,6.066,59.163,6.135,59.156,6.125,59.176,6.094,59.176],[7.207,59.198,7.207,59.132,7.238,59.198,7.207,59.198],[8.074,59.198,8.042,59.176,8.059,59.131,8.086,59.108,8.123,59.108,8.119,59.131,8.086,59.146,8.086,59.204,8.074,59.198],[7.145,59.131,7.136,59.041,7.178,59.041,7.185,59.074,7.228,59.086,7.188,59.086,7.188,59.108,7.226,59.108,7.163,59.142,7.145,59.131],[7.054,58.995,7.119,58.986,7.133,58.995,7.097,59.011,7.054,58.995],[7.765,58.995,7.778,58.963,7.822,58.958,7.778,59.002,7.765,58.995],[8.024,59.063,8.042,58.983,8.086,58.983,8.086,58.995,8.055,58.995,8.065,59.063,8.042,59.074,8.024,59.063],[6.812,59.131,6.855,59.123,6.899,59.165,6.969,59.176,6.967,59.198,6.943,59.209,6.925,59.176,6.883,59.176,6.883,59.153,6.812,59.131],[6.609,58.995,6.68,58.984,6.703,58.995,6.68,59.006,6.609,58.995],[6.614,58.95,6.636,58.927,6.598,58.927,6.636,58.917,6.68,58.967,6.614,58.95],[6.392,59.108,6.46,59.108,6.46,59.093,6.372,59.097,6.342,59.063,6.394,59.084,6.479,59.086,6.493,59.129,6.392,59.108],[6.1,59.09,6.065,59.065,6.121,59.079,6.149,59.108,6.1,59.09],[31.641,69.604,31.641,69.589,31.668,69.596,31.641,69.604,31.756,69.611,31.685,69.62,31.641,69.604],[31.057,69.596,30.986,69.593,31.069,69.555,31.057,69.596],[31.232,69.642,31.245,69.607,31.283,69.634,31.232,69.642],[31.509,69.368,31.509,69.344,31.576,69.349,31.509,69.368],[31.465,69.468,31.437,69.419,31.465,69.409,31.518,69.442,31.509,69.458,31.509,69.442,31.47,69.442,31.465,69.468],[31.245,69.488,31.182,69.473,31.245,69.469,31.278,69.488,31.245,69.488],[31.245,69.15,31.333,69.137,31.361,69.161,31.245,69.15],[31.245,69.216,31.266,69.178,31.304,69.209,31.245,69.216],[31.923,68.864,31.948,68.824,31.992,68.876,31.923,68.864],[31.816,68.993,31.844,68.99,31.788,68.943,31.816,68.932,31.874,68.958,31.876,68.99,31.924,68.99,31.816,68.993],[31.113,68.958,31.093,68.927,31.139,68.911,31.113,68.958],[31.556,68.958,31.597,68.938,31.685,68.939,31.718,68.953,31.607,68.943,31.556,68.958],[31.058,69.037,31.038,69.006,31.117,69.021,31.058,69.037],[31.142,68.864,31.126,68.848,31.173,68.848,31.201,68.873,31.142,68.864],[31.161,68.782,31.201,68.745,31.22,68.768,31.161,68.782],[31.421,68.348,31.397,68.318,31.465,68.311,31.502,68.334,31.443,68.326,31.421,68.348],[31.354,68.415,31.377,68.391,31.421,68.424,31.354,68.415],[31.491,68.704,31.481,68.689,31.444,68.689,31.534,68.673,31.548,68.718,31.491,68.704],[31.729,67.522,31.745,67.493,31.831,67.509,31.729,67.522],[31.641,67.603,31.641,67.588,31.705,67.592,31.705,67.576,31.772,67.588,31.641,67.603],[31.816,67.333,31.816,67.317,31.729,67.319,31.729,67.306,31.948,67.282,31.904,67.289,31.948,67.312,31.816,67.333],[31.228,67.793,31.228,67.776,31.271,67.776,31.271,67.793,31.207,67.809,31.197,67.793,31.228,67.793],[31.069,67.626,31.083,67.659,31.113,67.659,31.113,67.626,31.139,67.659,31.025,67.682,31.069,67.715,30.981,67.726,30.915,67.693,30.981,67.681,30.986,67.693,31.012,67.676,30.938,67.643,30.894,67.67,30.894,67.643,30.85,67.64,30.938,67.619,30.995,67.626,31,67.659,31.025,67.659,31.069,67.626],[31.442,67.693,31.482,67.659,31.421,67.67,31.421,67.655,31.465,67.653,31.465,67.634,31.597,67.639,31.553,67.659,31.509,67.653,31.509,67.671,31.553,67.676,31.442,67.693],[31.377,67.693,31.346,67.693,31.377,67.659,31.333,67.659,31.377,67.655,31.407,67.668,31.377,67.693,31.377,67.717,31.269,67.709,31.342,67.709,31.377,67.693],[31.028,67.772,31.069,67.735,31.113,67.735,31.074,67.726,31.113,67.716,31.201,67.726,31.206,67.709,31.201,67.734,31.028,67.772],[32,67.589,31.97,67.584,31.878,67.609,31.86,67.636,31.86,67.62,31.772,67.626,31.843,67.643,31.838,67.668,31.914,67.676,31.992,67.653,31.876,67.659,31.904,67.615,31.93,67.643,31.948,67.626,32,67.626,32,67.677,31.816,67.693,31.86,67.688,31.749,67.676,31.816,67.664,31.816,67.65,31.772,67.672,31.729,67.643,31.685,67.687,31.641,67.666,31.597,67.693,31.567,67.676,31.561,67.662,31.656,67.659,31.656,67.643,31.685,67.643,31.62,67.634,31.641,67.622,31.992,67.57,32,67.524,31.948,67.545,31.904,67.532,31.849,67.542,31.86,67.499,31.948,67.498,32,67.484,32,67.46,31.972,67.458,32,67.451],[31.553,67.609,31.571,67.626,31.524,67.626,31.553,67.609,31.526,67.592,31.617,67.559,31.597,67.624,31.597,67.6,31.553,67.609],[31.166,67.609,31.201,67.599,31.216,67.609,31.245,67.576,31.275,67.576,31.281,67.624,31.166,67.609],[31.177,67.592,31.187,67.559,31.157,67.559,31.201,67.548,31.231,67.559,31.177,67.592],[31.576,66.982,31.576,66.964,31.682,66.964,31.685,66.935,31.685,66.964,31.729,66.954,31.753,66.964,31.576,66.982],[31.948,66.913,31.873,66.896,31.866,66.913,31.838,66.922,31.75,66.913,31.685,66.887,31.729,66.878,31.641,66.884,31.641,66.873,31.685,66.873,31.649,66.861,31.685,66.838,31.778,66.844,31.698,66.861,31.729,66.87,31.86,66.861,31.83,66.844,31.86,66.833,31.948,66.844,31.836,66.878,31.816,66.902,31.816,66.883,31.729,66.878,31.75,66.913,31.86,66.913,31.86,66.888,31.992,66.879,31.97,66.904,32,66.904,32,66.933,31.975,66.93,32,66.923,32,66.913,31.948,66.913],[31.729,66.601,31.729,66.577,31.772,66.577,31.743,66.566,31.813,66.536,31.782,66.557,31.816,66.583,31.904,66.578,31.934,66.597,31.882,66.586,31.729,66.601],[31.658,66.601,31.685,66.592,31.622,66.583,31.729,66.56,31.707,66.601,31.658,66.601],[31.245,66.99,31.228,66.947,31.353,66.947,31.371,66.964,31.311,66.95,31.245,66.962,31.245,66.99],[31.069,67.052,31.165,67.033,31.157,67.055,31.069,67.052],[30.834,66.999,30.833,66.964,30.895,66.964,30.834,66.999],[31.025,66.667,31.025,66.647,31.112,66.664,31.025,66.667],[31.046,66.723,30.966,66.723,30.954,66.688,31.069,66.699,31.113,66.73,31.046,66.723],[31.509,66.723,31.421,66.697,31.509,66.699,31.509,66.723],[30.828,66.809,30.827,66.775,30.894,66.77,30.894,66.757,30.919,66.775,30.969,66.775,30.981,66.747,30.981,66.768,31.025,66.782,30.938,66.779,30.894,66.797,30.85,66.784,30.828,66.809],[31.179,66.809,31.16,66.792,31.284,66.809,31.179,66.809],[32,66.823,31.948,66.815,31.891,66.827,31.86,66.784,31.816,66.817,31.729,66.824,31.74,66.792,31.62,66.809,31.62,66.792,31.67,66.792,31.641,66.78,31.511,66.789,31.575,66.757,31.511,66.754,31.521,66.74,31.713,66.723,31.772,66.732,31.772,66.691,31.713,66.688,31.806,66.688,31.783,66.723,31.816,66.74,31.86,66.715,31.904,66.729,31.978,66.705,31.975,66.653,31.931,66.636,32,66.631],[32,66.5,31.825,66.512,31.838,66.487,31.774,66.478,31.845,66.478,31.948,66.453,32,66.455],[31.904,66.125,31.834,66.107,31.874,66.107,31.904,66.081,32,66.075,32,66.093,31.911,66.089,31.927,66.125,31.904,66.125],[31.367,66.461,31.299,66.426,31.362,66.443,31.421,66.435,31.465,66.461,31.509,66.426,31.542,66.452,31.509,66.471,31.367,66.461],[30.981,66.449,30.953,66.426,31.113,66.426,31.033,66.443,31.025,66.431,30.981,66.449],[31.157,66.481,31.157,66.466,31.289,66.491,31.157,66.481],[31.705,66.443,31.691,66.428,31.816,66.436,31.705,66.443],[32,66.302,31.992,66.29,31.904,66.316,31.904,66.302,31.816,66.292,31.797,66.32,31.729,66.311,31.707,66.329,31.816,66.328,31.86,66.302,31.882,66.32,31.921,66.32,31.733,66.371,31.729,66.344,31.663,66.346,31.641,66.363,31.641,66.293,31.685,66.318,31.701,66.285,31.745,66.285,31.707,66.269,31.641,66.281,31.658,66.267,31.597,66.244,31.729,66.226,31.794,66.24,31.948,66.201,31.992,66.204,31.992,66.193,32,66.193],[31.23,66.426,31.233,66.364,31.157,66.351,31.136,66.32,31.18,66.302,31.224,66.302,31.245,66.333,31.317,66.32,31.356,66.355,31.39,66.355,31.39,66.373,31.377,66.359,31.289,66.399,31.245,66.389,31.289,66.44,31.23,66.426],[31.658,66.089,31.794,66.08,31.794,66.063,31.697,66.068,31.772,66.036,31.788,66.054,31.816,66.041,31.892,66.054,31.892,66.072,31.816,66.064,31.86,66.098,31.658,66.089],[31.665,66.143,31.641,66.127,31.729,66.137,31.745,66.112,31.816,66.133,31.849,66.125,31.794,66.151,31.665,66.143],[31.665,65.586,31.729,65.577,31.768,65.601,31.665,65.586],[31.569,65.257,31.597,65.238,31.529,65.238,31.635,65.221,31.597,65.267,31.569,65.257],[31.729,65.22,31.788,65.22,31.729,65.23,31.729,65.22,31.692,65.22,31.71,65.238,31.685,65.249,31.685,65.228,31.641,65.228,31.685,65.212,31.729,65.22],[31.236,65.767,31.209,65.733,31.301,65.749,31.257,65.749,31.236,65.767],[31.377,65.803,31.333,65.806,31.289,65.843,31.219,65.857,31.201,65.845,31.157,65.845,31.157,65.859,31.032,65.839,31.131,65.839,31.157,65.816,31.223,65.805,31.377,65.803],[31.365,65.622,31.367,65.586,31.421,65.572,31.365,65.622],[30.85,65.676,30.82,65.649,30.85,65.633,30.876,65.649,30.85,65.676],[31.3,65.477,31.264,65.477,31.289,65.433,31.289,65.453,31.333,65.436,31.371,65.458,31.294,65.458,31.351,65.477,31.3,65.477],[31.86,65.897,31.772,65.88,31.75,65.848,31.685,65.844,31.729,65.834,31.685,65.834,31.641,65.805,31.641,65.826,31.597,65.809,31.509,65.815,31.444,65.803,31.444,65.785,31.483,65.785,31.478,65.749,31.619,65.722,31.576,65.676,31.666,65.676,31.685,65.649,31.772,65.629,31.926,65.631,31.913,65.61,31.992,65.604,31.928,65.604,31.932,65.568,31.992,65.556,31.948,65.538,32,65.538,32,65.806,31.963,65.821,31.97,65.83,32,65.828,32,65.866,31.904,65.864,31.877,65.875,31.921,65.875,31.921,65.893,31.86,65.897],[31.729,64.793,31.816,64.77,31.918,64.774,31.729,64.793],[31.27,64.979,31.333,64.969,31.36,64.979,31.333,64.99,31.27,64.979],[31.157,65.068,31.157,65.054,31.187,65.054,31.157,65.027,31.201,65.024,31.222,65.054,31.157,65.068],[31.025,64.774,30.994,64.774,31.025,64.761,31.025,64.774,31.077,64.774,31.041,64.793,31.069,64.817,30.997,64.812,30.997,64.83,30.959,64.83,30.949,64.812,31.025,64.796,30.977,64.793,31.025,64.774],[31.146,64.905,31.092,64.905,31.092,64.886,31.152,64.886,31.069,64.874,31.095,64.849,31.069,64.859,31.051,64.849,31.054,64.83,31.069,64.847,31.15,64.812,31.133,64.868,31.215,64.868,31.157,64.886,31.157,64.905,31.189,64.905,31.146,64.905],[31.413,64.942,31.465,64.915,31.484,64.924,31.477,64.942,31.413,64.942],[30.894,64.53,30.938,64.504,31.019,64.498,30.981,64.519,30.894,64.53],[31.553,64.643,31.518,64.643,31.553,64.628,31.553,64.643,31.641,64.611,31.608,64.643,31.553,64.643],[31.882,64.321,32,64.303,31.992,64.327,31.882,64.321],[31.709,64.149,31.751,64.091,31.86,64.08,31.709,64.149],[31.201,64.391,31.245,64.367,31.289,64.378,31.289,64.39,31.201,64.391],[31.311,64.397,31.333,64.37,31.355,64.397,31.333,64.408,31.311,64.397],[31.722,64.567,31.765,64.567,31.772,64.518,31.822,64.511,31.781,64.511,31.842,64.473,31.772,64.447,31.707,64.473,31.597,64.459,31.553,64.494,31.553,64.457,31.509,64.479,31.465,64.449,31.377,64.497,31.289,64.509,31.395,64.473,31.395,64.454,31.333,64.454,31.328,64.473,31.333,64.445,31.547,64.416,31.527,64.435,31.553,64.45,31.553,64.434,31.597,64.423,31.685,64.435,31.729,64.407,31.772,64.408,31.749,64.397,31.772,64.387,31.86,64.414,31.864,64.435,31.904,64.411,32,64.397,32,64.437,31.948,64.442,31.992,64.442,31.965,64.454,32,64.464,32,64.484,31.928,64.473,31.948,64.501,31.86,64.504,31.904,64.53,31.816,64.563,31.8,64.548,31.772,64.577,31.722,64.567],[31.245,64.397,31.135,64.406,31.113,64.426,31.025,64.435,31.025,64.45,30.993,64.435,31.069,64.405,31.113,64.409,31.157,64.378,31.179,64.397,31.245,64.397],[31.127,64.091,31.157,64.067,31.241,64.057,31.201,64.084,31.157,64.072,31.157,64.091,31.127,64.091],[31.577,63.976,31.557,63.957,31.641,63.948,31.597,63.984,31.577,63.976],[31.664,63.937,31.642,63.918,31.685,63.918,31.708,63.937,31.685,63.947,31.664,63.937],[30.807,63.991,30.85,63.96,30.85,63.976,30.894,63.964,30.938,63.976,30.807,63.991],[31.161,63.816,31.201,63.782,31.113,63.78,31.201,63.772,31.227,63.792,31.161,63.816],[31.28,63.841,31.218,63.841,31.289,63.838,31.289,63.808,31.327,63.805,31.32,63.821,31.289,63.844,31.28,63.841],[31.51,63.875,31.553,63.855,31.553,63.828,31.59,63.822,31.568,63.86,31.51,63.875],[31.134,63.392,31.069,63.403,31.109,63.411,31.025,63.401,30.981,63.422,30.955,63.411,30.959,63.398,31.025,63.401,30.955,63.392,31.025,63.378,31.089,63.392,31.113,63.368,31.134,63.392,31.232,63.411,31.177,63.411,31.177,63.431,31.143,63.431,31.134,63.392],[31.393,63.411,31.421,63.399,31.535,63.411,31.421,63.411,31.421,63.421,31.393,63.411],[31.201,63.485,31.245,63.459,31.262,63.47,31.289,63.42,31.315,63.431,31.32,63.487,31.267,63.477,31.201,63.485],[31.113,63.509,31.157,63.47,31.183,63.47,31.186,63.49,31.157,63.509,31.28,63.49,31.222,63.509,31.222,63.529,31.201,63.52,31.157,63.539,31.113,63.509],[30.191,69.763,30.234,69.697,30.278,69.689,30.253,69.749,30.191,69.763],[30.639,69.717,30.634,69.676,30.674,69.676,30.69,69.703,30.639,69.717],[30.715,69.749,30.694,69.718,30.762,69.729,30.718,69.733,30.755,69.761,30.715,69.749],[30.146,69.603,30.18,69.565,30.103,69.555,30.084,69.565,30.079,69.55,30.103,69.541,30.146,69.558,30.146,69.527,30.19,69.527,30.19,69.585,30.221,69.596,30.146,69.603],[29.359,69.96,29.443,69.952,29.476,69.973,29.359,69.96],[29.474,69.84,29.438,69.84,29.487,69.802,29.555,69.809,29.5,69.809,29.474,69.84],[29.618,69.504,29.598,69.488,29.663,69.479,29.663,69.513,29.618,69.504],[29.575,69.888,29.575,69.873,29.466,69.87,29.575,69.87,29.575,69.837,29.609,69.847,29.575,69.888],[28.916,69.915,28.848,69.9,28.941,69.885,28.97,69.93,29.004,69.919,29.014,69.93,28.96,69.938,28.916,69.915],[29.004,70.603,28.97,70.561,29.004,70.537,29.004,70.603],[28.891,69.596,28.886,69.581,28.96,69.59,28.916,69.603,28.891,69.596],[28.828,69.859,28.828,69.843,28.756,69.84,28.828,69.831,28.872,69.855,28.828,69.859],[28.891,69.535,28.916,69.504,28.96,69.519,28.929,69.535,28.981,69.535,28.891,69.535],[28.74,69.581,28.652,69.557,28.74,69.555,28.74,69.543,28.74,69.581],[30.117,69.442,30.146,69.417,30.103,69.379,30.162,69.396,30.19,69.442,30.117,69.442],[30.234,69.488,30.234,69.477,30.146,69.475,30.19,69.469,30.146,69.448,30.254,69.473,30.234,69.488],[30.06,69.175,30.075,69.147,30.034,69.147,30.103,69.145,30.119,69.163,30.06,69.175],[30.63,69.237,30.589,69.178,30.642,69.194,30.63,69.237],[30.116,69.209,30.125,69.194,30.19,69.189,30.19,69.205,30.116,69.209],[30.435,68.943,30.443,68.911,30.498,68.901,30.542,68.927,30.529,68.955,30.435,68.943],[30.18,69.006,30.086,68.99,30.086,68.974,29.971,68.952,29.971,68.938,30.015,68.935,30.103,68.974,30.103,68.958,30.134,68.958,30.112,68.974,30.204,68.99,30.208,69.006,30.296,69.006,30.212,69.015,30.18,69.006],[30.803,69.1,30.779,69.084,30.85,69.08,30.838,69.111,30.803,69.1],[29.531,69.334,29.531,69.31,29.477,69.303,29.575,69.299,29.619,69.327,29.647,69.321,29.684,69.357,29.663,69.377,29.663,69.359,29.575,69.341,29.575,69.326,29.531,69.334],[29.431,69.334,29.377,69.322,29.389,69.311,29.481,69.322,29.465,69.337,29.431,69.334],[29.999,69.442,29.94,69.396,30.103,69.432,30.103,69.45,29.999,69.442],[29.612,69.458,29.591,69.442,29.619,69.437,29.662,69.473,29.612,69.458],[29.929,69.1,29.971,69.1,29.971,69.072,29.927,69.091,29.927,69.069,29.978,69.069,30.059,69.099,30.015,69.111,29.929,69.1],[29.883,69.173,29.859,69.147,29.927,69.137,29.958,69.147,29.892,69.147,29.951,69.163,29.883,69.173],[30.015,69.256,29.951,69.241,29.963,69.209,30.033,69.225,30.046,69.256,30.015,69.256],[29.29,69.209,29.246,69.142,29.312,69.169,29.29,69.209],[29.553,68.958,29.548,68.946,29.597,68.951,29.6,68.927,29.663,68.951,29.699,68.945,29.641,68.969,29.553,68.958],[29.691,69.006,29.663,68.985,29.822,68.99,29.825,69.003,29.691,69.006],[30.002,69.021,29.986,69.006,29.929,69.006,30.084,69.006,30.059,69.027,30.002,69.021],[28.74,69.396,28.74,69.381,28.753,69.411,28.836,69.427,28.762,69.438,28.631,69.427,28.611,69.411,28.674,69.424,28.74,69.415,28.666,69.411,28.676,69.396,28.608,69.38,28.652,69.365,28.652,69.334,28.684,69.38,28.696,69.371,28.74,69.396],[29.092,69.411,28.987,69.396,29.048,69.38,28.935,69.365,28.931,69.353,29.037,69.354,29.083,69.396,29.111,69.38,29.105,69.396,29.18,69.409,29.092,69.411],[28.718,69.473,28.805,69.488,28.74,69.493,28.718,69.473,28.696,69.48,28.67,69.473,28.696,69.458,28.652,69.458,28.652,69.485,28.646,69.458,28.729,69.448,28.718,69.473],[29.18,69.254,29.166,69.194,29.18,69.225,29.224,69.194,29.268,69.203,29.25,69.241,29.312,69.236,29.29,69.211,29.342,69.248,29.301,69.252,29.285,69.279,29.347,69.307,29.312,69.306,29.333,69.328,29.259,69.303,29.224,69.229,29.18,69.254],[28.743,69.334,28.828,69.334,28.828,69.322,28.872,69.334,28.872,69.318,28.835,69.318,28.872,69.312,28.971,69.318,28.882,69.318,28.905,69.347,28.743,69.334],[28.718,68.974,28.652,68.963,28.762,68.963,28.778,68.974,28.718,68.974],[28.946,69.029,28.906,68.998,29.001,69.021,28.946,69.029],[29.246,69.116,29.169,69.108,29.158,69.079,29.217,69.069,29.213,69.08,29.246,69.089,29.221,69.092,29.246,69.116],[28.86,69.131,28.916,69.079,28.937,69.131,28.86,69.131],[28.68,69.147,28.598,69.131,28.674,69.123,28.652,69.1,28.74,69.135,28.774,69.131,28.74,69.151,28.68,69.147],[30.386,68.673,30.498,68.665,30.498,68.68,30.403,68.676,30.4,68.697,30.366,68.692,30.386,68.673],[30.674,68.351,30.674,68.33,30.622,68.318,30.63,68.315,30.63,68.276,30.674,68.276,30.652,68.31,30.715,68.303,30.696,68.326,30.732,68.334,30.695,68.334,30.674,68.351],[30.938,68.576,30.999,68.576,31.006,68.512,31.065,68.464,30.922,68.48,30.938,68.456,31.009,68.448,30.762,68.371,30.806,68.351,30.868,68.367,30.894,68.395,30.96,68.399,30.981,68.425,31.113,68.4,31.113,68.432,31.157,68.411,31.157,68.437,31.204,68.448,31.174,68.448,31.177,68.48,31.209,68.48,31.179,68.504,31.299,68.512,31.245,68.551,31.31,68.56,31.265,68.576,31.28,68.592,31.333,68.572,31.465,68.569,31.421,68.581,31.509,68.584,31.509,68.603,31.553,68.591,31.597,68.604,31.729,68.601,31.77,68.617,31.729,68.649,31.641,68.635,31.641,68.651,31.696,68.657,31.663,68.664,31.553,68.622,31.465,68.614,31.421,68.633,31.377,68.616,31.333,68.641,31.289,68.633,31.342,68.657,31.289,68.707,31.245,68.649,31.271,68.625,31.201,68.619,31.224,68.641,31.157,68.641,31.069,68.619,31.069,68.634,31.113,68.634,31.069,68.662,30.981,68.649,31.025,68.657,31.048,68.689,30.981,68.676,31.007,68.673,30.981,68.661,30.85,68.67,30.894,68.704,30.85,68.725,30.779,68.704,30.806,68.673,30.843,68.673,30.806,68.662,30.762,68.68,30.718,68.661,30.762,68.697,30.586,68.693,30.586,68.71,30.542,68.71,30.586,68.657,30.608,68.681,30.696,68.681,30.748,68.609,30.674,68.588,30.762,68.58,30.806,68.628,30.894,68.636,30.942,68.625,30.914,68.609,30.938,68.576],[30.498,68.537,30.498,68.496,30.542,68.525,30.637,68.528,30.498,68.537],[30.454,68.139,30.395,68.122,30.477,68.122,30.454,68.106,30.41,68.106,30.41,68.09,30.366,68.106,30.366,68.084,30.296,68.073,30.366,68.073,30.366,68.04,30.41,68.083,30.418,68.057,30.432,68.098,30.476,68.092,30.508,68.106,30.483,68.139,30.454,68.139],[30.573,68.237,30.542,68.196,30.608,68.18,30.454,68.146,30.586,68.144,30.63,68.116,30.697,68.106,30.695,68.122,30.602,68.155,30.622,68.172,30.695,68.172,30.68,68.188,30.63,68.182,30.674,68.204,30.6,68.221,30.622,68.253,30.573,68.237],[30.658,68.269,30.644,68.221,30.719,68.253,30.658,68.269],[30.498,68.34,30.454,68.309,30.41,68.331,30.386,68.302,30.454,68.299,30.444,68.269,30.498,68.262,30.53,68.3,30.476,68.294,30.518,68.318,30.498,68.34],[29.399,68.849,29.487,68.848,29.399,68.816,29.443,68.809,29.507,68.848,29.399,68.849],[29.724,68.879,29.751,68.874,29.663,68.86,29.729,68.853,29.816,68.864,29.783,68.864,29.795,68.887,29.724,68.879],[30.015,68.891,30.059,68.872,30.18,68.87,30.015,68.891],[29.531,68.784,29.428,68.8,29.443,68.776,29.465,68.784,29.456,68.754,29.531,68.764,29.531,68.784],[29.575,68.399,29.511,68.415,29.555,68.432,29.531,68.44,29.458,68.432,29.487,68.409,29.443,68.409,29.443,68.398,29.575,68.399],[30.015,68.52,30.037,68.496,30.103,68.508,30.103,68.522,30.074,68.512,30.015,68.52],[29.145,68.816,29.18,68.804,29.136,68.804,29.12,68.784,29.058,68.784,29.155,68.784,29.197,68.816,29.145,68.816],[29.244,68.657,29.252,68.641,29.355,68.629,29.268,68.665,29.244,68.657],[29.205,68.689,29.173,68.673,29.224,68.662,29.246,68.689,29.205,68.689],[29.388,68.464,29.348,68.448,29.441,68.436,29.388,68.464],[27.993,70.027,27.979,69.975,28.037,69.961,28.01,70.006,28.043,70.021,27.993,70.027],[28.366,69.84,28.301,69.819,28.389,69.819,28.389,69.848,28.366,69.84],[28.615,69.87,28.652,69.87,28.652,69.855,28.608,69.86,28.582,69.844,28.63,69.854,28.685,69.845,28.652,69.877,28.615,69.87],[27.446,70.729,27.43,70.686,27.494,70.714,27.446,70.729],[27.246,70.474,27.202,70.455,27.246,70.457,27.246,70.474,27.281,70.481,27.219,70.495,27.246,70.474],[27.905,69.684,27.879,69.657,27.905,69.611,27.905,69.684],[27.51,69.733,27.478,69.718,27.411,69.718,27.466,69.712,27.466,69.695,27.595,69.733,27.51,69.733],[27.442,69.764,27.466,69.74,27.51,69.774,27.442,69.764],[24.858,70.685,24.785,70.685,24.829,70.668,24.879,70.671,24.858,70.685],[25.137,69.878,25.198,69.824,25.181,69.878,25.137,69.878],[24.591,70.274,24.565,70.264,24.653,70.263,24.653,70.253,24.741,70.259,24.653,70.287,24.653,70.274,24.591,70.274],[25.032,69.855,25.005,69.826,25.093,69.834,25.049,69.863,25.032,69.855],[24.53,69.855,24.653,69.834,24.609,69.855,24.53,69.855],[25.225,69.649,25.269,69.621,25.356,69.618,25.313,69.652,25.313,69.636,25.225,69.649],[25.444,69.694,25.543,69.672,25.532,69.696,25.444,69.694],[28.564,69.504,28.599,69.488,28.629,69.519,28.66,69.519,28.623,69.535,28.574,69.519,28.608,69.504,28.564,69.504],[28.401,69.318,28.33,69.303,28.33,69.287,28.345,69.3,28.417,69.287,28.477,69.329,28.401,69.318],[28.608,69.303,28.645,69.348,28.588,69.334,28.608,69.303],[28.521,69.349,28.477,69.334,28.521,69.312,28.521,69.349],[28.037,69.178,28.081,69.168,28.153,69.194,28.125,69.232,28.097,69.194,28.037,69.178],[28.169,69.295,28.125,69.287,28.081,69.294,28.052,69.272,28.125,69.287,28.169,69.277,28.169,69.295,28.2,69.303,28.169,69.31,28.169,69.295],[27.405,69.442,27.364,69.427,27.4,69.412,27.444,69.427,27.444,69.442,27.405,69.442],[27.466,69.533,27.466,69.514,27.406,69.504,27.422,69.484,27.478,69.504,27.466,69.533],[27.922,69.442,27.837,69.411,27.861,69.38,27.927,69.406,27.989,69.399,27.968,69.427,28.058,69.427,27.993,69.435,27.993,69.452,27.922,69.442],[27.794,69.442,27.773,69.458,27.764,69.442,27.794,69.442,27.708,69.419,27.649,69.421,27.686,69.389,27.729,69.396,27.686,69.406,27.761,69.396,27.751,69.419,27.817,69.418,27.817,69.434,27.861,69.434,27.905,69.465,28.037,69.495,27.949,69.509,27.828,69.442,27.794,69.442],[27.972,69.272,27.949,69.243,28.032,69.241,27.978,69.241,27.949,69.219,27.993,69.219,27.993,69.239,28.023,69.194,28.059,69.194,28.081,69.225,28.116,69.225,28.048,69.241,28.105,69.256,28.037,69.269,28.037,69.279,27.972,69.272],[26.55,69.144,26.543,69.1,26.633,69.131,26.55,69.144],[26.884,69.241,26.851,69.219,26.938,69.234,26.938,69.245,26.884,69.241],[27.234,69.287,27.184,69.272,27.246,69.261,27.268,69.287,27.315,69.287,27.234,69.287],[26.212,69.442,26.191,69.436,26.235,69.426,26.31,69.442,26.212,69.442],[27.225,69.396,27.246,69.334,27.246,69.359,27.315,69.365,27.271,69.365,27.256,69.396,27.225,69.396],[27.114,69.069,27.082,69.053,27.114,69.053,27.086,69.021,27.114,69.01,27.149,69.021,27.114,69.033,27.158,69.08,27.114,69.069],[27.07,69.069,26.938,69.066,26.961,69.037,27.07,69.069],[28.301,68.903,28.301,68.882,28.389,68.889,28.427,68.907,28.372,68.895,28.301,68.903],[27.815,68.752,27.769,68.752,27.833,68.736,27.861,68.762,27.815,68.752],[27.967,68.8,27.993,68.774,27.993,68.797,28.037,68.797,28.037,68.81,27.967,68.8],[28.235,68.768,28.213,68.784,28.248,68.784,28.169,68.795,28.197,68.768,28.235,68.768],[28.564,68.592,28.617,68.56,28.623,68.592,28.573,68.609,28.67,68.625,28.564,68.627,28.544,68.609,28.516,68.625,28.564,68.592],[27.97,68.657,27.935,68.657,27.993,68.652,27.993,68.641,27.949,68.641,27.993,68.634,28.046,68.657,28.015,68.669,27.97,68.657],[26.895,69.021,26.938,69.03,26.895,69.057,26.879,69.037,26.763,69.006,26.807,68.985,26.763,68.99,26.738,68.958,26.79,68.958,26.79,68.943,26.95,68.958,26.973,68.99,26.895,68.963,26.786,68.974,26.822,68.974,26.895,69.021],[26.857,68.689,26.826,68.673,26.917,68.655,26.895,68.689,26.857,68.689],[28.389,69.147,28.433,69.171,28.477,69.14,28.487,69.163,28.564,69.178,28.505,69.194,28.521,69.202,28.608,69.194,28.587,69.194,28.58,69.209,28.652,69.232,28.433,69.216,28.389,69.202,28.389,69.222,28.433,69.225,28.389,69.23,28.456,69.272,28.51,69.272,28.4,69.287,28.389,69.26,28.345,69.266,28.389,69.283,28.345,69.281,28.308,69.256,28.354,69.256,28.345,69.233,28.303,69.241,28.345,69.241,28.345,69.252,28.186,69.252,28.213,69.202,28.255,69.198,28.245,69.225,28.272,69.225,28.278,69.178,28.257,69.169,28.182,69.194,28.213,69.17,28.191,69.155,28.125,69.136,28.125,69.154,28.081,69.154,28.081,69.123,27.976,69.131,28.01,69.131,27.993,69.171,27.962,69.147,27.993,69.141,27.905,69.144,27.923,69.178,27.839,69.155,27.776,69.158,27.793,69.131,27.756,69.1,27.697,69.116,27.709,69.1,27.642,69.077,27.554,69.073,27.536,69.084,27.541,69.037,27.51,69.024,27.569,69.021,27.569,69.006,27.598,69.006,27.598,69.029,27.686,69.029,27.686,69.013,27.642,69.014,27.62,68.998,27.554,68.999,27.536,69.021,27.29,68.951,27.246,68.967,27.187,68.927,27.158,68.924,27.146,68.943,27.114,68.916,27.015,68.911,27.114,68.895,27.114,68.904,27.158,68.876,27.18,68.903,27.312,68.927,27.334,68.879,27.363,68.879,27.343,68.895,27.378,68.907,27.378,68.89,27.422,68.89,27.422,68.905,27.445,68.879,27.422,68.869,27.378,68.879,27.344,68.864,27.378,68.864,27.378,68.84,27.422,68.864,27.466,68.844,27.51,68.848,27.466,68.853,27.466,68.873,27.598,68.832,27.598,68.802,27.52,68.813,27.532,68.776,27.422,68.779,27.422,68.768,27.29,68.793,27.322,68.768,27.268,68.752,27.286,68.704,27.29,68.746,27.422,68.768,27.481,68.768,27.453,68.736,27.48,68.752,27.51,68.73,27.532,68.768,27.613,68.752,27.613,68.768,27.667,68.768,27.62,68.784,27.667,68.8,27.62,68.8,27.626,68.832,27.642,68.807,27.686,68.807,27.659,68.848,27.729,68.811,27.773,68.816,27.729,68.82,27.705,68.848,27.729,68.856,27.741,68.832,27.839,68.816,27.895,68.784,27.855,68.768,27.939,68.742,27.905,68.758,27.905,68.775,27.949,68.775,27.935,68.815,27.883,68.808,27.861,68.832,27.839,68.816,27.834,68.848,27.889,68.879,27.833,68.895,27.883,68.895,27.905,68.869,27.918,68.895,27.883,68.895,27.884,68.911,27.824,68.927,27.949,68.918,27.96,68.943,27.993,68.918,28.081,68.911,28.024,68.911,28.091,68.895,28.037,68.879,27.949,68.888,27.993,68.873,28.037,68.879,28.081,68.85,28.081,68.868,28.125,68.852,28.21,68.864,28.213,68.832,28.225,68.848,28.281,68.848,28.268,68.911,28.301,68.935,28.235,68.935,28.213,68.948,28.169,68.931,28.154,68.943,28.081,68.939,28.081,68.957,28.154,68.958,28.125,68.969,28.098,68.958,28.051,68.99,28.103,69.021,28.067,69.037,28.125,69.045,28.109,69.069,28.191,69.076,28.129,69.067,28.169,69.015,28.257,69.089,28.309,69.054,28.433,69.045,28.433,69.069,28.477,69.106,28.433,69.106,28.389,69.073,28.361,69.084,28.408,69.131,28.372,69.131,28.389,69.186,28.389,69.147],[27.442,68.106,27.378,68.076,27.489,68.073,27.497,68.098,27.442,68.106],[27.164,68.655,27.202,68.636,27.29,68.628,27.29,68.641,27.164,68.655],[24.597,68.752,24.578,68.722,24.673,68.736,24.597,68.752],[26.367,68.723,26.367,68.758,26.535,68.768,26.323,68.782,26.367,68.723],[26.587,68.896,26.587,68.874,26.455,68.848,26.499,68.836,26.631,68.864,26.587,68.896],[24.31,70.195,24.346,70.178,24.434,70.185,24.31,70.195],[24.133,69.562,24.17,69.508,24.189,69.55,24.133,69.562],[24.126,69.728,24.104,69.657,24.148,69.634,24.103,69.627,24.143,69.627,24.17,69.606,24.302,69.608,24.31,69.565,24.316,69.611,24.206,69.611,24.38,69.627,24.258,69.642,24.286,69.627,24.236,69.627,24.258,69.645,24.332,69.643,24.302,69.684,24.295,69.657,24.266,69.688,24.302,69.688,24.302,69.702,24.214,69.694,24.17,69.715,24.17,69.699,24.139,69.703,24.126,69.728],[23.887,69.488,23.963,69.473,23.95,69.498,23.887,69.488],[23.329,69.55,23.364,69.55,23.335,69.527,23.379,69.527,23.391,69.55,23.329,69.55],[23.774,69.671,23.75,69.642,23.804,69.629,23.774,69.671],[22.842,69.442,22.89,69.442,22.852,69.405,22.896,69.408,22.901,69.442,22.842,69.442],[23.532,69.535,23.563,69.488,23.575,69.535,23.532,69.535],[22.351,69.581,22.338,69.539,22.412,69.545,22.368,69.556,22.412,69.568,22.351,69.581],[22.165,69.642,22.192,69.603,22.236,69.607,22.165,69.642],[21.963,69.627,22.026,69.611,22.045,69.64,21.963,69.627],[22.698,69.565,22.764,69.565,22.764,69.535,22.808,69.562,22.873,69.565,22.698,69.565],[24.285,69.287,24.27,69.241,24.311,69.256,24.285,69.287],[23.782,69.303,23.809,69.279,23.774,69.258,23.842,69.272,23.822,69.287,23.862,69.287,23.782,69.303],[24.17,69.037,24.189,69.069,24.105,69.069,24.126,69.062,24.073,69.053,24.161,69.044,24.136,69.069,24.17,69.069,24.17,69.037],[24.082,69.19,24.11,69.163,24.082,69.157,24.126,69.157,24.126,69.144,24.163,69.17,24.082,69.19],[24.39,68.943,24.356,68.899,24.412,68.91,24.39,68.929,24.421,68.943,24.39,68.952,24.39,68.943],[23.071,69.276,23.071,69.256,22.983,69.256,22.983,69.225,23.027,69.252,23.11,69.243,23.071,69.276],[23.247,69.31,23.247,69.267,23.335,69.249,23.269,69.272,23.247,69.31],[23.203,69.318,23.203,69.297,23.144,69.287,23.24,69.272,23.203,69.318],[23.467,69.355,23.449,69.334,23.413,69.334,23.464,69.303,23.467,69.355],[23.203,69.008,23.172,68.958,23.214,68.974,23.203,69.008],[23.291,69.131,23.247,69.126,23.247,69.092,23.283,69.123,23.34,69.131,23.291,69.131],[22.661,69.225,22.632,69.206,22.732,69.209,22.661,69.225],[22.852,69.069,22.864,69.131,22.764,69.139,22.764,69.117,22.83,69.123,22.79,69.1,22.852,69.069],[22.72,69.169,22.72,69.155,22.777,69.147,22.796,69.163,22.72,69.169],[22.433,69.209,22.426,69.178,22.5,69.197,22.456,69.216,22.433,69.209],[23.643,68.777,23.678,68.784,23.643,68.788,23.643,68.777,23.687,68.745,23.728,68.784,23.643,68.777],[23.76,68.736,23.816,68.689,23.818,68.702,23.89,68.691,23.913,68.72,23.862,68.738,23.818,68.726,23.818,68.745,23.76,68.736],[23.73,68.057,23.713,68.024,23.774,68.017,23.73,68.057],[24.28,68.383,24.275,68.351,24.302,68.351,24.313,68.383,24.28,68.383],[23.132,68.768,23.159,68.746,23.202,68.78,23.132,68.768],[23.335,68.843,23.335,68.816,23.276,68.816,23.335,68.809,23.335,68.76,23.369,68.808,23.335,68.843],[23.379,68.819,23.379,68.794,23.448,68.771,23.379,68.819],[23.359,68.592,23.335,68.573,23.379,68.567,23.379,68.6,23.359,68.592],[23.278,68.689,23.291,68.667,23.335,68.667,23.335,68.694,23.278,68.689],[23.555,68.057,23.52,68.024,23.606,68.04,23.567,68.04,23.555,68.057],[22.88,68.269,22.881,68.237,22.938,68.222,22.88,68.269],[21.577,68.696,21.553,68.673,21.617,68.657,21.577,68.696],[22.213,68.496,22.236,68.489,22.306,68.512,22.28,68.521,22.213,68.496],[21.956,68.544,21.943,68.515,21.995,68.52,22.017,68.494,22.017,68.528,21.956,68.544],[30.708,66.443,30.63,66.426,30.695,66.408,30.63,66.401,30.85,66.365,30.819,66.426,30.762,66.443,30.762,66.45,30.708,66.443],[31.069,66.513,31.113,66.557,31.069,66.557,31.069,66.546,30.851,66.562,30.882,66.531,30.85,66.524,30.915,66.513,30.782,66.496,30.806,66.494,30.762,66.444,30.85,66.453,30.888,66.478,30.894,66.465,30.938,66.471,30.981,66.505,31.069,66.513],[30.85,66.67,30.85,66.657,30.806,66.657,30.806,66.639,30.705,66.67,30.737,66.618,30.796,66.618,30.762,66.609,30.703,66.618,30.737,66.583,31.007,66.601,31.008,66.566,31.113,66.579,31.157,66.567,31.137,66.548,31.201,66.574,31.229,66.566,31.229,66.583,31.245,66.574,31.307,66.583,31.224,66.601,31.333,66.631,31.333,66.672,31.326,66.653,31.217,66.636,31.268,66.636,31.201,66.626,31.201,66.614,31.135,66.609,31.142,66.63,31.069,66.594,31.025,66.592,31.048,66.601,31.025,66.626,30.938,66.613,30.858,66.636,30.872,66.609,30.806,66.612,30.85,66.618,30.77,66.636,30.816,66.636,30.816,66.653,30.85,66.644,30.981,66.678,30.85,66.67,30.85,66.682,30.819,66.67,30.85,66.67],[31.289,66.904,31.289,66.921,31.262,66.913,31.289,66.904,31.289,66.888,31.245,66.906,30.981,66.901,30.905,66.924,30.917,66.896,30.894,66.895,30.806,66.903,30.762,66.922,30.718,66.918,30.867,66.861,30.791,66.844,30.828,66.844,30.85,66.817,30.889,66.827,30.85,66.827,30.85,66.852,31.077,66.878,31.201,66.872,31.278,66.844,31.333,66.846,31.289,66.904],[30.307,67.809,30.234,67.793,30.317,67.793,30.291,67.776,30.352,67.759,30.344,67.784,30.46,67.793,30.307,67.809],[30.013,66.653,30.015,66.627,30.088,66.636,30.087,66.652,30.059,66.643,30.013,66.653],[29.855,66.636,29.883,66.614,29.853,66.601,29.883,66.591,29.903,66.636,29.883,66.646,29.855,66.636],[29.707,66.723,29.663,66.734,29.604,66.723,29.619,66.7,29.661,66.693,29.64,66.705,29.736,66.723,29.707,66.723],[29.042,66.792,29.071,66.775,29.021,66.757,29.028,66.74,29.109,66.757,29.125,66.808,29.042,66.792],[29.538,66.976,29.594,66.93,29.588,66.964,29.538,66.976],[29.663,67.224,29.635,67.187,29.663,67.17,29.635,67.17,29.663,67.166,29.689,67.196,29.663,67.224],[29.751,66.528,29.826,66.513,29.814,66.531,29.707,66.542,29.751,66.528],[29.66,66.67,29.663,66.653,29.619,66.665,29.582,66.636,29.663,66.645,29.675,66.653,29.66,66.67],[29.759,66.508,29.795,66.45,29.821,66.487,29.759,66.508],[30.781,66.32,30.693,66.302,30.894,66.289,30.894,66.302,30.781,66.32],[29.951,66.125,30.059,66.107,29.959,66.107,30.015,66.101,30.018,66.073,30.103,66.083,30.146,66.066,30.234,66.082,30.267,66.107,30.179,66.089,30.146,66.129,30.146,66.093,30.071,66.107,30.103,66.133,29.951,66.125],[30.028,66.214,30.022,66.197,30.161,66.214,30.028,66.214],[30.103,66.285,29.985,66.267,29.819,66.267,30.015,66.257,30.125,66.267,30.103,66.285],[29.566,66,29.531,65.97,29.831,65.983,29.795,66.008,29.619,66,29.619,65.987,29.705,65.982,29.601,65.982,29.566,66],[29.464,66.072,29.531,66.066,29.575,66.036,29.619,66.054,29.589,66.072,29.646,66.072,29.646,66.054,29.687,66.072,29.735,66.054,29.707,66.078,29.509,66.082,29.464,66.072],[28.8,66.231,28.916,66.222,28.916,66.238,28.8,66.231],[29.224,66.357,29.165,66.338,29.143,66.305,29.243,66.32,29.224,66.357],[28.807,66.338,28.828,66.31,28.902,66.302,28.916,66.328,28.828,66.347,28.807,66.338],[29.004,66.143,29.004,66.13,28.938,66.136,28.91,66.125,29.004,66.125,29.004,66.089,29.031,66.143,29.004,66.143],[28.763,65.964,28.784,65.937,28.794,65.946,28.916,65.938,28.763,65.964],[28.799,65.982,28.835,65.964,28.857,65.982,28.828,65.995,28.799,65.982],[29.239,66.014,29.268,65.973,29.268,65.998,29.327,66,29.239,66.014],[30.83,66.267,30.833,66.249,30.783,66.249,30.806,66.225,30.863,66.231,30.85,66.206,30.818,66.214,30.816,66.196,30.74,66.184,30.586,66.18,30.656,66.161,30.654,66.143,30.699,66.143,30.699,66.125,30.806,66.116,30.674,66.095,30.674,66.077,30.586,66.074,30.663,66.072,30.601,66.054,30.63,66.048,30.599,66.054,30.61,66.036,30.778,66,30.806,65.972,30.876,65.964,30.815,65.964,31.025,65.911,31.053,65.911,31.069,65.949,31.103,65.929,31.157,65.935,31.069,65.923,31.069,65.911,31.201,65.886,31.201,65.865,31.245,65.865,31.245,65.881,31.289,65.862,31.333,65.863,31.399,65.893,31.333,65.903,31.304,65.946,31.201,65.944,31.285,65.978,31.201,65.982,31.245,65.982,31.217,66,31.233,66.018,31.341,66.018,31.289,66.027,31.289,66.045,31.113,66.066,31.18,66.072,31.228,66.055,31.138,66.143,31.185,66.143,31.201,66.125,31.204,66.161,31.069,66.185,31.137,66.231,31.092,66.267,30.958,66.267,30.938,66.24,30.914,66.249,30.938,66.274,30.872,66.281,30.83,66.267],[30.85,65.839,30.762,65.845,30.746,65.821,30.697,65.821,30.806,65.812,30.832,65.821,30.762,65.825,30.762,65.839,30.85,65.839],[30.762,65.609,30.85,65.586,30.897,65.604,30.872,65.615,30.762,65.609],[30.728,65.656,30.762,65.633,30.806,65.634,30.806,65.653,30.728,65.656],[30.762,65.713,30.751,65.676,30.806,65.687,30.762,65.713],[29.312,65.846,29.383,65.839,29.399,65.812,29.531,65.809,29.487,65.803,29.531,65.795,29.551,65.803,29.556,65.821,29.487,65.831,29.471,65.821,29.443,65.849,29.438,65.839,29.312,65.846],[29.575,65.858,29.545,65.839,29.604,65.821,29.575,65.858],[29.312,65.792,29.312,65.767,29.277,65.767,29.355,65.749,29.363,65.713,29.365,65.749,29.459,65.767,29.321,65.767,29.321,65.785,29.355,65.792,29.312,65.792],[30.059,65.694,30.05,65.658,30.095,65.645,30.059,65.694],[28.884,65.767,28.898,65.749,28.98,65.749,28.96,65.758,28.916,65.749,28.916,65.779,28.884,65.767],[29.905,65.893,29.903,65.911,29.839,65.913,29.867,65.875,29.795,65.863,29.814,65.929,29.723,65.929,29.751,65.946,29.602,65.964,29.531,65.954,29.565,65.929,29.531,65.915,29.474,65.929,29.474,65.911,29.575,65.916,29.612,65.893,29.487,65.903,29.396,65.893,29.355,65.917,29.296,65.911,29.297,65.946,29.333,65.946,29.312,65.955,29.246,65.964,29.268,65.936,29.224,65.936,29.224,65.974,29.198,65.964,29.204,65.929,29.246,65.92,29.224,65.897,29.333,65.902,29.312,65.875,29.487,65.886,29.487,65.875,29.449,65.875,29.487,65.867,29.508,65.893,29.597,65.884,29.72,65.893,29.619,65.896,29.619,65.918,29.795,65.912,29.751,65.902,29.795,65.902,29.795,65.85,29.927,65.852,30.046,65.809,30.046,65.873,29.971,65.861,29.927,65.888,29.971,65.88,30.002,65.893,29.927,65.903,29.905,65.893],[28.74,65.829,28.74,65.809,28.847,65.821,28.74,65.829],[29.01,65.886,29.092,65.851,29.103,65.875,29.01,65.886],[28.762,65.622,28.784,65.599,28.828,65.593,28.849,65.604,28.762,65.622],[29.159,65.676,29.268,65.674,29.283,65.694,29.18,65.699,29.159,65.676,29.092,65.678,29.136,65.669,29.095,65.658,29.158,65.649,29.224,65.669,29.159,65.676],[28.987,65.568,28.925,65.568,29.023,65.549,29.048,65.579,28.987,65.568],[29.154,65.64,29.154,65.622,29.136,65.63,29.022,65.604,29.065,65.568,29.109,65.604,29.206,65.604,29.18,65.64,29.154,65.64],[28.953,65.622,28.883,65.604,28.916,65.604,28.916,65.589,29,65.622,28.953,65.622],[27.793,67.559,27.817,67.527,27.861,67.564,27.793,67.559],[27.392,68.057,27.378,68.016,27.321,68.008,27.378,68.001,27.398,67.958,27.334,67.948,27.334,67.927,27.29,67.917,27.356,67.9,27.259,67.892,27.378,67.888,27.388,67.864,27.51,67.85,27.574,67.826,27.562,67.813,27.701,67.826,27.755,67.812,27.78,67.842,27.729,67.847,27.708,67.884,27.795,67.933,27.895,67.958,27.834,67.958,27.834,67.975,27.773,67.965,27.809,67.975,27.8,67.991,27.743,68.006,27.729,67.98,27.686,67.995,27.466,67.985,27.388,68.024,27.438,68.04,27.422,68.068,27.392,68.057],[28.008,67.991,27.962,67.991,27.977,67.975,27.993,67.983,28.12,67.962,28.037,67.998,28.008,67.991],[27.312,67.227,27.312,67.143,27.357,67.196,27.312,67.227],[27.61,66.74,27.598,66.732,27.642,66.73,27.673,66.74,27.642,66.752,27.61,66.74],[27.495,66.723,27.519,66.723,27.466,66.753,27.392,66.766,27.457,66.809,27.444,66.831,27.444,66.809,27.4,66.797,27.352,66.809,27.4,66.788,27.371,66.775,27.408,66.723,27.495,66.723],[27.466,66.893,27.48,66.827,27.554,66.83,27.51,66.839,27.466,66.893],[27.026,67.458,27.07,67.449,27.098,67.458,27.07,67.462,27.13,67.475,27.07,67.488,27.037,67.475,27.057,67.458,27.026,67.458],[26.763,67.741,26.763,67.705,26.851,67.704,26.772,67.726,26.775,67.751,26.735,67.734,26.763,67.741],[26.785,67.826,26.763,67.753,26.807,67.765,26.785,67.826],[26.653,68.073,26.679,68.106,26.719,68.112,26.631,68.11,26.631,68.098,26.587,68.132,26.543,68.113,26.499,68.121,26.543,68.139,26.513,68.139,26.493,68.169,26.345,68.163,26.323,68.174,26.323,68.162,26.269,68.155,26.389,68.131,26.279,68.129,26.279,68.142,26.259,68.122,26.455,68.098,26.455,68.086,26.499,68.099,26.537,68.073,26.543,68.09,26.611,68.09,26.552,68.089,26.562,68.073,26.657,68.04,26.656,68.008,26.7,68.008,26.719,67.963,26.803,67.991,26.866,67.975,26.888,68.003,26.763,68.002,26.763,68.015,26.851,68.015,26.848,68.04,26.783,68.04,26.833,68.082,26.785,68.073,26.763,68.095,26.653,68.073],[26.962,66.913,26.982,66.907,26.938,66.891,26.982,66.871,27.022,66.925,26.962,66.913],[26.831,67.374,26.763,67.346,26.866,67.34,26.881,67.374,26.831,67.374],[26.646,66.757,26.675,66.756,26.679,66.705,26.692,66.757,26.719,66.758,26.675,66.769,26.646,66.757],[26.745,66.861,26.728,66.85,26.79,66.844,26.763,66.836,26.807,66.836,26.807,66.82,26.824,66.844,26.874,66.844,26.807,66.852,26.807,66.863,26.745,66.861],[25.84,67.278,25.84,67.255,25.911,67.255,25.922,67.27,25.884,67.265,25.84,67.278],[26.104,67.445,26.123,67.407,26.191,67.403,26.147,67.459,26.104,67.445],[25.908,67.289,25.913,67.272,25.928,67.272,25.928,67.262,25.953,67.272,25.928,67.299,25.908,67.289],[25.488,67.543,25.532,67.505,25.62,67.502,25.559,67.542,25.572,67.556,25.488,67.543],[25.642,67.187,25.62,67.195,25.576,67.18,25.664,67.16,25.642,67.187,25.691,67.187,25.677,67.14,25.784,67.141,25.809,67.17,25.766,67.187,25.708,67.181,25.664,67.21,25.642,67.187],[28.345,66.522,28.284,66.531,28.345,66.505,28.345,66.484,28.389,66.49,28.433,66.468,28.483,66.496,28.433,66.496,28.407,66.513,28.345,66.505,28.345,66.522],[28.019,66.373,28.106,66.355,28.081,66.38,28.019,66.373],[28.115,66.461,28.125,66.438,28.183,66.426,28.189,66.461,28.115,66.461],[27.949,66.267,27.882,66.249,27.905,66.24,27.966,66.249,27.949,66.267],[27.785,66.373,27.861,66.333,27.905,66.355,27.905,66.338,28.033,66.32,28.03,66.285,28.081,66.267,28.103,66.285,28.125,66.273,28.213,66.279,28.169,66.293,28.05,66.285,28.081,66.307,28.037,66.307,28.053,66.32,27.993,66.326,27.993,66.344,27.785,66.373],[28.144,66.373,28.161,66.355,28.125,66.343,28.037,66.34,28.109,66.338,28.107,66.302,28.148,66.302,28.147,66.329,28.248,66.338,28.194,66.338,28.144,66.373],[26.763,66.601,26.807,66.577,26.827,66.583,26.822,66.601,26.763,66.601],[26.609,66.636,26.602,66.602,26.675,66.642,26.609,66.636],[26.831,66.461,26.851,66.439,26.818,66.409,26.895,66.418,26.858,66.461,26.895,66.467,26.831,66.461],[26.631,66.496,26.587,66.489,26.621,66.478,26.561,66.461,26.631,66.451,26.652,66.461,26.631,66.496],[27.861,66.583,27.817,66.575,27.817,66.598,27.773,66.559,27.771,66.581,27.686,66.572,27.642,66.614,27.714,66.618,27.67,66.618,27.642,66.636,27.598,66.625,27.642,66.653,27.686,66.625,27.686,66.66,27.586,66.67,27.554,66.658,27.554,66.681,27.598,66.681,27.554,66.688,27.583,66.705,27.378,66.711,27.378,66.699,27.488,66.696,27.5,66.653,27.527,66.67,27.516,66.601,27.439,66.618,27.449,66.667,27.412,66.653,27.422,66.625,27.378,66.611,27.378,66.625,27.315,66.618,27.355,66.592,27.334,66.578,27.304,66.583,27.328,66.557,27.291,66.531,27.344,66.531,27.334,66.522,27.29,66.518,27.29,66.54,27.241,66.513,27.202,66.566,27.188,66.548,27.121,66.548,27.202,66.545,27.192,66.513,27.313,66.496,27.334,66.496,27.313,66.496,27.334,66.504,27.351,66.481,27.29,66.484,27.258,66.461,27.378,66.475,27.356,66.482,27.422,66.522,27.429,66.548,27.378,66.542,27.378,66.557,27.422,66.556,27.458,66.583,27.466,66.561,27.523,66.566,27.488,66.574,27.51,66.595,27.642,66.575,27.669,66.583,27.669,66.566,27.714,66.566,27.708,66.548,27.773,66.525,27.817,66.539,27.883,66.513,27.817,66.552,27.905,66.583,27.993,66.578,28.032,66.595,27.941,66.583,27.918,66.609,27.948,66.632,27.905,66.63,27.878,66.601,27.905,66.583,27.861,66.583],[26.938,66.321,26.909,66.302,26.965,66.27,26.938,66.321],[25.699,66.636,25.776,66.601,25.796,66.623,25.752,66.65,25.699,66.636],[26.191,66.649,26.235,66.614,26.258,66.618,26.257,66.636,26.191,66.649],[25.719,66.522,25.725,66.537,25.675,66.531,25.752,66.505,25.769,66.513,25.719,66.522],[26.06,66.566,26.016,66.588,26.016,66.566,25.972,66.562,26.016,66.562,26.06,66.523,26.117,66.513,26.104,66.548,26.06,66.535,26.06,66.559,26.104,66.566,26.06,66.566],[25.704,66.496,25.73,66.477,25.745,66.487,25.752,66.471,25.771,66.478,25.752,66.498,25.704,66.496],[25.601,66.478,25.579,66.467,25.642,66.455,25.625,66.469,25.664,66.482,25.601,66.478],[25.414,66.417,25.356,66.311,25.4,66.298,25.389,66.342,25.431,66.364,25.407,66.399,25.437,66.417,25.414,66.417],[25.488,66.429,25.554,66.417,25.645,66.417,25.576,66.434,25.576,66.42,25.488,66.429],[28.84,66.285,28.872,66.285,28.872,66.259,28.937,66.249,28.93,66.214,28.784,66.203,28.74,66.219,28.652,66.204,28.619,66.178,28.581,66.178,28.577,66.162,28.63,66.169,28.634,66.143,28.608,66.152,28.477,66.129,28.433,66.1,28.564,66.1,28.608,66.113,28.696,66.108,28.696,66.094,28.766,66.143,28.821,66.143,28.794,66.161,28.894,66.205,29.004,66.211,28.96,66.214,28.96,66.237,29.178,66.249,29.031,66.249,29.004,66.273,29.092,66.288,29.004,66.291,28.96,66.273,28.956,66.297,28.84,66.285],[28.235,66.249,28.234,66.231,28.283,66.216,28.257,66.256,28.235,66.249],[28.081,66.231,28.058,66.249,28.117,66.249,28.037,66.26,28.037,66.225,28.081,66.231,28.169,66.205,28.213,66.243,28.081,66.244,28.081,66.231],[28.058,66,28.101,66,27.993,65.982,28.125,65.972,28.213,65.992,28.301,65.991,28.345,66.009,28.058,66],[28.011,65.946,28.003,65.929,28.146,65.946,28.011,65.946],[28.365,66.018,28.389,65.989,28.397,66,28.472,66,28.365,66.018],[28.389,66.072,28.42,66.107,28.345,66.082,28.228,66.072,28.213,66.043,28.213,66.056,28.125,66.063,28.125,66.091,28.038,66.038,28.169,66.046,28.17,66.021,28.257,66.042,28.409,66.036,28.42,66.072,28.389,66.072],[28.608,66.096,28.631,66.072,28.587,66.072,28.587,66.089,28.564,66.072,28.433,66.072,28.521,66.054,28.433,66.039,28.477,66.008,28.49,66.036,28.549,66.036,28.564,66.066,28.564,66.04,28.63,66.063,28.617,66.04,28.752,66.072,28.652,66.074,28.764,66.089,28.608,66.096],[28.103,66.143,28.11,66.125,28.037,66.107,28.164,66.093,28.125,66.152,28.103,66.143],[28.345,65.893,28.345,65.883,28.397,65.893,28.169,65.885,28.169,65.875,28.301,65.868,28.345,65.893],[28.389,65.868,28.433,65.848,28.433,65.814,28.389,65.814,28.36,65.785,28.5,65.749,28.491,65.785,28.556,65.812,28.521,65.828,28.458,65.821,28.433,65.863,28.389,65.868],[28.231,65.929,28.257,65.911,28.4,65.929,28.323,65.942,28.257,65.929,28.257,65.944,28.231,65.929],[28.125,65.893,28.125,65.92,28.095,65.911,28.125,65.893,28.125,65.875,28.073,65.875,28.081,65.848,28.129,65.875,28.125,65.893],[27.642,66.213,27.616,66.178,27.642,66.174,27.608,66.161,27.662,66.161,27.642,66.213],[27.993,66.267,27.993,66.239,27.922,66.231,27.993,66.231,28.004,66.214,28.031,66.267,27.993,66.267],[27.216,65.982,27.246,65.964,27.246,65.978,27.298,65.982,27.246,65.995,27.216,65.982],[27.191,66.107,27.17,66.089,27.114,66.094,27.114,66.076,27.207,66.072,27.158,66.059,27.139,66.072,27.154,66.036,27.162,66.036,27.128,66.018,27.158,65.993,27.114,65.993,27.114,65.978,27.158,65.975,27.246,66.012,27.237,66.054,27.273,66.054,27.29,66.072,27.226,66.089,27.227,66.107,27.191,66.107],[27.277,66.018,27.29,65.991,27.378,66,27.277,66.018],[26.927,66.089,26.925,66.072,26.871,66.072,26.982,66.059,27.026,66.072,26.96,66.08,26.982,66.107,26.927,66.089],[26.964,66.161,26.947,66.127,26.982,66.133,27.026,66.098,27.07,66.101,27.07,66.072,27.088,66.107,27.059,66.125,27.065,66.158,26.982,66.144,26.982,66.166,26.964,66.161],[26.697,66.214,26.675,66.198,26.782,66.196,26.763,66.214,26.697,66.214],[26.87,66.214,26.812,66.181,26.895,66.167,26.895,66.144,26.912,66.214,26.895,66.225,26.87,66.214],[26.517,65.929,26.587,65.921,26.587,65.909,26.615,65.929,26.543,65.941,26.517,65.929],[25.84,65.661,25.878,65.658,25.865,65.622,25.928,65.617,25.98,65.586,25.992,65.604,25.944,65.622,25.921,65.673,25.84,65.661],[24.082,67.793,24.17,67.826,24.17,67.837,24.126,67.837,24.146,67.859,24.103,67.859,24.082,67.793],[24,67.956,24.004,67.909,24.06,67.917,24.065,67.876,24.126,67.885,24.17,67.871,24.17,67.886,24.214,67.886,24.17,67.918,24.104,67.917,24.118,67.937,24.038,67.934,24.038,67.953,24,67.956],[24.148,68.057,24.154,68.024,24.214,68,24.301,68.036,24.214,68.036,24.148,68.057],[24.341,67.136,24.302,67.133,24.346,67.133,24.37,67.102,24.434,67.109,24.341,67.136],[25.285,67.289,25.269,67.267,25.328,67.272,25.313,67.301,25.285,67.289],[23.86,68.04,23.862,67.993,23.901,68.055,23.86,68.04],[22.412,67.735,22.412,67.703,22.412,67.748,22.412,67.735,22.368,67.743,22.34,67.726,22.368,67.718,22.412,67.735],[21.594,67.701,21.599,67.677,21.698,67.676,21.594,67.701],[22.214,67.759,22.236,67.727,22.26,67.759,22.236,67.769,22.214,67.759],[21.651,67.441,21.652,67.407,21.621,67.401,21.69,67.391,21.678,67.441,21.651,67.441],[22.404,67.458,22.434,67.429,22.478,67.44,22.404,67.458],[21.929,67.552,21.973,67.521,22.017,67.549,21.929,67.552],[21.759,67.374,21.762,67.34,21.87,67.357,21.841,67.368,21.797,67.357,21.797,67.374,21.759,67.374],[22.266,67.357,22.22,67.34,22.236,67.316,22.236,67.337,22.28,67.337,22.294,67.357,22.266,67.357],[24.61,66.705,24.653,66.705,24.671,66.67,24.785,66.641,24.719,66.696,24.741,66.719,24.61,66.705],[24.346,66.725,24.39,66.723,24.39,66.705,24.346,66.712,24.346,66.701,24.478,66.692,24.434,66.71,24.395,66.705,24.39,66.729,24.346,66.725],[24.374,66.688,24.327,66.636,24.368,66.557,24.302,66.565,24.39,66.513,24.398,66.548,24.46,66.548,24.401,66.601,24.346,66.601,24.434,66.606,24.434,66.636,24.41,66.618,24.348,66.618,24.377,66.653,24.434,66.642,24.374,66.688],[24.555,66.636,24.584,66.636,24.521,66.618,24.586,66.618,24.609,66.571,24.653,66.594,24.697,66.595,24.68,66.653,24.631,66.636,24.587,66.647,24.555,66.636],[24.333,66.461,24.316,66.434,24.368,66.41,24.4,66.426,24.333,66.461],[24.043,66.615,24.102,66.583,24.093,66.566,24.131,66.601,24.043,66.615],[24.214,66.39,24.17,66.411,24.117,66.39,24.214,66.39],[23.651,66.302,23.659,66.267,23.707,66.26,23.651,66.302],[23.351,66.373,23.39,66.302,23.415,66.329,23.379,66.373,23.351,66.373],[23.655,66.417,23.687,66.382,23.643,66.357,23.687,66.36,23.7,66.397,23.655,66.417],[22.588,66.677,22.588,66.631,22.632,66.67,22.588,66.677],[22.144,66.67,22.21,66.67,22.172,66.653,22.215,66.653,22.236,66.631,22.28,66.636,22.236,66.636,22.236,66.677,22.144,66.67],[22.879,66.426,22.896,66.385,22.915,66.408,22.896,66.432,22.879,66.426],[22.808,66.329,22.83,66.26,22.844,66.329,22.808,66.329],[23.115,66.387,23.148,66.355,23.097,66.338,23.139,66.338,23.159,66.272,23.159,66.326,23.21,66.338,23.115,66.387],[22.886,66.338,22.896,66.278,22.939,66.278,22.896,66.32,22.939,66.346,22.886,66.338],[25.259,66.178,25.115,66.153,25.291,66.169,25.259,66.178],[24.002,66.036,23.977,66.027,24.032,66.009,24.045,65.964,24.064,66.018,24.038,66.013,24.002,66.036],[23.95,66.087,23.928,66.06,23.972,66.039,24.016,66.039,23.95,66.087],[24.587,65.864,24.543,65.795,24.587,65.808,24.587,65.864],[22.754,66.125,22.742,66.093,22.83,66.105,22.768,66.125,22.786,66.131,22.754,66.125],[23.395,66.125,23.423,66.114,23.379,66.107,23.423,66.096,23.456,66.125,23.423,66.138,23.395,66.125],[22.259,66.161,22.304,66.107,22.368,66.107,22.324,66.113,22.296,66.143,22.324,66.149,22.259,66.161],[22.808,66.256,22.808,66.174,22.852,66.12,22.857,66.214,22.808,66.256],[22.676,66.24,22.76,66.196,22.731,66.231,22.676,66.24],[22.939,65.992,22.939,65.974,23.043,65.982,22.939,65.992],[22.819,66.027,22.818,66.045,22.726,66.08,22.706,66.063,22.819,66.027],[21.918,66.036,21.885,66.029,21.819,66.064,21.819,66.033,21.755,66.053,21.819,66.025,21.95,66.012,21.918,66.036],[21.748,66.231,21.746,66.178,21.797,66.171,21.748,66.231],[21.621,66.175,21.615,66.152,21.665,66.137,21.681,66.152,21.627,66.161,21.621,66.175],[21.65,65.875,21.665,65.82,21.686,65.866,21.65,65.875],[22.017,65.604,21.995,65.644,21.841,65.672,21.775,65.716,21.819,65.667,21.94,65.64,22.028,65.586,22.017,65.604],[22.014,65.785,22.104,65.773,22.104,65.749,22.138,65.749,22.16,65.785,22.014,65.785],[30.709,65.531,30.695,65.513,30.762,65.486,30.705,65.495,30.691,65.477,30.762,65.466,30.806,65.519,30.709,65.531],[30.818,65.513,30.806,65.473,30.828,65.486,30.893,65.481,30.85,65.513,30.818,65.513],[30.718,65.395,30.718,65.379,30.653,65.367,30.718,65.367,30.689,65.349,30.718,65.344,30.752,65.376,30.718,65.395],[30.498,65.394,30.542,65.36,30.584,65.354,30.562,65.385,30.498,65.394],[30.879,65.201,30.806,65.173,30.88,65.165,30.85,65.151,30.794,65.165,30.789,65.146,30.959,65.137,31.025,65.154,31.113,65.109,31.113,65.091,31.201,65.099,31.289,65.085,31.305,65.109,31.345,65.109,31.387,65.074,31.465,65.109,31.465,65.098,31.528,65.091,31.582,65.054,31.528,65.017,31.664,64.942,31.648,64.925,31.707,64.933,31.729,64.916,31.904,64.892,31.948,64.86,31.992,64.857,31.992,64.837,32,64.84,32,64.856,31.967,64.868,31.967,64.886,32,64.882,31.992,64.912,31.948,64.888,31.948,64.916,31.86,64.951,31.816,64.951,31.845,64.961,31.729,64.996,31.772,65.006,31.685,65.008,31.68,65.032,31.641,65.03,31.597,65.047,31.597,65.063,31.646,65.054,31.682,65.1,31.597,65.137,31.553,65.141,31.553,65.126,31.553,65.146,31.509,65.143,31.553,65.165,31.399,65.178,31.355,65.149,31.245,65.18,31.223,65.151,31.183,65.165,31.226,65.165,31.245,65.194,31.201,65.187,31.157,65.206,31.113,65.172,30.938,65.189,30.961,65.183,30.938,65.16,30.938,65.174,30.894,65.174,30.916,65.201,30.894,65.212,30.879,65.201],[30.525,65.568,30.508,65.549,30.491,65.568,30.487,65.531,30.454,65.538,30.432,65.526,30.504,65.513,30.454,65.495,30.542,65.486,30.542,65.47,30.609,65.531,30.586,65.54,30.586,65.525,30.498,65.531,30.561,65.531,30.576,65.583,30.525,65.568],[30.275,64.998,30.278,64.981,30.212,64.991,30.18,64.979,30.234,64.979,30.19,64.961,30.234,64.947,30.265,64.961,30.24,64.979,30.322,64.973,30.278,65.008,30.275,64.998],[30.322,65.155,30.423,65.109,30.444,65.146,30.388,65.137,30.366,65.155,30.322,65.155],[30.351,64.979,30.366,64.934,30.463,64.942,30.467,64.961,30.454,64.942,30.366,64.942,30.432,64.961,30.41,64.973,30.382,64.961,30.351,64.979],[29.839,64.843,29.883,64.8,29.895,64.83,29.839,64.843],[30.015,64.818,30.015,64.803,30.059,64.803,30.029,64.774,30.062,64.774,30.073,64.812,30.015,64.818],[30.981,65.109,30.954,65.109,30.954,65.091,30.877,65.091,30.877,65.109,30.85,65.1,30.705,65.109,30.718,65.072,30.63,65.062,30.586,65.072,30.586,65.054,30.478,65.091,30.459,65.128,30.454,65.099,30.366,65.091,30.454,65.064,30.586,65.054,30.718,65.017,30.674,65.004,30.674,64.958,30.63,64.986,30.549,64.992,30.56,64.942,30.586,64.955,30.63,64.929,30.63,64.952,30.657,64.924,30.674,64.932,30.718,64.918,30.734,64.942,30.78,64.942,30.784,64.989,30.82,64.998,30.828,65.035,30.775,65.054,30.85,65.064,30.85,65.086,30.937,65.059,30.916,65.081,31.054,65.091,31.095,65.076,31.047,65.102,30.981,65.095,30.981,65.109],[29.531,65.531,29.514,65.513,29.474,65.513,29.558,65.495,29.556,65.531,29.531,65.531],[29.473,65.477,29.487,65.45,29.531,65.442,29.493,65.467,29.526,65.491,29.473,65.477],[29.427,65.201,29.443,65.183,29.443,65.201,29.531,65.201,29.531,65.189,29.547,65.201,29.509,65.22,29.427,65.201],[29.687,64.979,29.707,64.951,29.654,64.942,29.663,64.913,29.738,64.906,29.727,64.979,29.687,64.979],[30.823,64.699,30.762,64.693,30.762,64.68,30.791,64.68,30.774,64.628,30.817,64.643,30.806,64.667,30.904,64.68,30.85,64.713,30.823,64.699],[30.366,64.399,30.341,64.378,30.366,64.359,30.301,64.359,30.301,64.378,30.27,64.378,30.261,64.34,30.386,64.359,30.366,64.399],[30.695,64.473,30.689,64.457,30.74,64.463,30.762,64.437,30.718,64.435,30.762,64.433,30.806,64.454,30.718,64.481,30.695,64.473],[30.806,64.126,30.785,64.091,30.806,64.072,30.849,64.072,30.819,64.091,30.859,64.111,30.85,64.122,30.841,64.111,30.806,64.126],[30.322,64.293,30.305,64.264,30.359,64.245,30.322,64.293],[29.795,64.359,29.809,64.416,29.839,64.416,29.839,64.392,29.865,64.435,29.883,64.442,29.883,64.42,29.901,64.454,29.927,64.454,29.927,64.464,29.839,64.464,29.817,64.482,29.795,64.468,29.839,64.42,29.768,64.435,29.795,64.359],[30.059,64.727,29.951,64.718,30.059,64.708,30.059,64.727],[29.898,64.264,29.927,64.231,29.957,64.245,29.927,64.264,29.927,64.279,29.898,64.264],[29.943,64.283,29.932,64.264,29.993,64.278,30.059,64.276,29.971,64.293,29.943,64.283],[30.101,64.548,30.103,64.504,30.165,64.492,30.146,64.445,30.146,64.473,30.114,64.473,30.131,64.435,30.156,64.435,30.126,64.406,30.137,64.349,30.111,64.327,30.171,64.34,30.146,64.359,30.19,64.387,30.322,64.395,30.262,64.397,30.234,64.43,30.234,64.405,30.182,64.416,30.221,64.416,30.201,64.435,30.246,64.454,30.248,64.473,30.333,64.492,30.249,64.492,30.203,64.511,30.258,64.548,30.212,64.53,30.19,64.553,30.146,64.548,30.19,64.541,30.19,64.518,30.146,64.53,30.146,64.511,30.101,64.548],[30.059,64.387,30.037,64.378,30.088,64.359,30.059,64.387,30.091,64.435,30.05,64.416,30.059,64.387],[30.015,63.969,30.015,63.957,30.134,63.944,30.103,63.962,30.015,63.969],[29.717,64.469,29.731,64.435,29.795,64.444,29.717,64.469],[29.399,64.748,29.399,64.737,29.462,64.737,29.516,64.718,29.487,64.743,29.399,64.748],[29.488,64.298,29.502,64.283,29.557,64.283,29.557,64.264,29.663,64.278,29.663,64.264,29.531,64.253,29.531,64.239,29.448,64.245,29.487,64.22,29.575,64.204,29.575,64.179,29.478,64.168,29.531,64.159,29.454,64.149,29.531,64.14,29.452,64.147,29.487,64.121,29.531,64.13,29.531,64.114,29.544,64.168,29.592,64.168,29.591,64.206,29.686,64.206,29.641,64.235,29.707,64.239,29.751,64.218,29.795,64.225,29.795,64.245,29.751,64.23,29.751,64.257,29.795,64.264,29.722,64.283,29.737,64.245,29.642,64.245,29.707,64.252,29.685,64.283,29.488,64.298],[29.467,64.397,29.516,64.397,29.48,64.378,29.517,64.378,29.506,64.34,29.531,64.34,29.543,64.302,29.575,64.366,29.531,64.366,29.531,64.405,29.467,64.397],[29.631,64.34,29.663,64.31,29.707,64.311,29.721,64.34,29.689,64.321,29.663,64.354,29.631,64.34],[29.816,64.053,29.806,64.038,29.902,64.053,29.839,64.067,29.816,64.053,29.818,64.072,29.751,64.082,29.751,64.064,29.816,64.053],[29.663,64.106,29.663,64.091,29.732,64.072,29.731,64.091,29.663,64.106],[29.619,64.13,29.592,64.111,29.653,64.091,29.619,64.13],[30.871,64.034,30.85,64.079,30.85,64.058,30.806,64.053,30.871,64.034,30.873,64.014,30.921,64.014,30.935,63.995,30.938,64.014,31.025,64.005,31.025,63.987,30.94,63.976,31.069,63.943,31.069,63.931,31.103,63.947,31.048,63.995,31.113,63.967,31.168,63.976,31.113,63.988,31.157,63.995,31.133,64.014,31.156,64.027,31.025,64.014,30.938,64.062,30.894,64.043,30.938,64.034,30.871,64.034],[30.762,63.96,30.806,63.945,30.792,63.899,30.828,63.889,30.832,63.86,30.806,63.845,30.806,63.872,30.794,63.841,30.762,63.832,30.894,63.821,30.822,63.802,30.915,63.782,30.878,63.763,30.949,63.744,30.953,63.705,30.894,63.713,30.85,63.694,30.894,63.697,30.938,63.676,30.981,63.69,30.981,63.678,31.025,63.678,31.025,63.646,31.188,63.612,31.173,63.646,31.152,63.627,31.113,63.658,31.041,63.666,31.039,63.685,31.146,63.685,31.113,63.714,31.14,63.744,31.113,63.763,31.069,63.754,30.991,63.782,31.062,63.791,31.06,63.821,31.113,63.821,31.113,63.785,31.127,63.821,31.025,63.828,31.025,63.851,30.996,63.856,31.018,63.831,30.981,63.814,30.962,63.841,30.938,63.826,30.91,63.841,30.917,63.86,30.85,63.85,30.866,63.879,30.933,63.884,30.894,63.918,30.85,63.905,30.817,63.918,30.827,63.957,30.762,63.96],[30.647,63.646,30.647,63.627,30.696,63.607,30.696,63.627,30.721,63.627,30.674,63.631,30.674,63.653,30.647,63.646],[30.674,63.48,30.606,63.46,30.63,63.442,30.674,63.437,30.63,63.465,30.718,63.485,30.718,63.47,30.692,63.47,30.718,63.425,30.721,63.49,30.674,63.49,30.674,63.48],[30.481,63.879,30.479,63.821,30.522,63.821,30.528,63.802,30.498,63.787,30.498,63.806,30.479,63.802,30.47,63.773,30.486,63.763,30.542,63.761,30.498,63.766,30.586,63.778,30.547,63.782,30.581,63.839,30.52,63.831,30.511,63.879,30.481,63.879],[30.41,63.588,30.454,63.568,30.41,63.566,30.488,63.549,30.498,63.525,30.542,63.54,30.57,63.509,30.586,63.519,30.63,63.49,30.661,63.49,30.674,63.518,30.729,63.529,30.652,63.549,30.655,63.568,30.612,63.568,30.615,63.588,30.63,63.577,30.689,63.588,30.498,63.601,30.531,63.627,30.498,63.641,30.454,63.627,30.41,63.634,30.431,63.646,30.41,63.651,30.335,63.646,30.406,63.646,30.387,63.627,30.41,63.616,30.483,63.627,30.48,63.607,30.434,63.607,30.434,63.588,30.41,63.588],[30.234,63.332,30.257,63.352,30.234,63.372,30.158,63.372,30.175,63.332,30.234,63.345,30.234,63.332],[30.114,63.41,30.146,63.381,30.223,63.392,30.114,63.41],[29.883,63.881,29.831,63.86,29.883,63.851,29.883,63.827,29.92,63.821,29.883,63.881],[29.883,63.944,29.95,63.899,29.959,63.937,29.883,63.944],[29.487,63.794,29.497,63.763,29.575,63.775,29.603,63.799,29.553,63.782,29.487,63.794],[29.621,63.466,29.688,63.431,29.682,63.392,29.787,63.358,29.707,63.457,29.621,63.466],[29.419,63.646,29.443,63.618,29.531,63.599,29.531,63.614,29.419,63.646],[29.387,65.513,29.355,65.469,29.399,65.458,29.425,65.495,29.387,65.513],[29.33,65.146,29.332,65.109,29.355,65.109,29.368,65.128,29.33,65.146],[29.157,65.22,29.157,65.201,29.112,65.201,29.158,65.187,29.199,65.201,29.188,65.22,29.157,65.22],[28.915,65.312,28.908,65.293,28.942,65.293,28.96,65.268,28.96,65.284,29.019,65.275,29.019,65.293,29.092,65.293,29.092,65.28,29.119,65.293,28.982,65.293,28.923,65.312,28.96,65.312,28.96,65.326,28.915,65.312],[28.857,65.385,28.828,65.372,28.96,65.381,29.004,65.398,28.857,65.385],[28.656,65.477,28.591,65.458,28.696,65.449,28.74,65.467,28.938,65.477,28.872,65.489,28.846,65.477,28.696,65.486,28.656,65.477],[28.521,65.525,28.53,65.495,28.652,65.504,28.521,65.525],[28.811,65.035,28.807,64.998,28.872,64.991,28.843,65.035,28.811,65.035],[28.667,65.33,28.696,65.306,28.74,65.334,28.696,65.341,28.667,65.33],[28.652,65.404,28.624,65.403,28.624,65.358,28.652,65.343,28.696,65.376,28.652,65.404],[29.136,65.072,29.178,65.128,29.218,65.128,29.145,65.146,29.136,65.166,29.181,65.183,29.124,65.183,29.106,65.146,29.07,65.146,29.114,65.118,29.028,65.109,29.067,65.109,29.064,65.091,29.136,65.072,29.085,65.072,29.106,65.054,29.048,65.035,29.114,65.017,29.034,64.998,29.026,64.961,28.944,64.942,28.978,64.924,28.935,64.924,28.96,64.905,28.877,64.905,28.898,64.942,28.872,64.953,28.872,64.917,28.797,64.905,28.96,64.888,28.916,64.879,28.96,64.879,28.96,64.868,28.984,64.868,28.978,64.905,29.048,64.951,29.092,64.951,29.069,64.961,29.092,64.991,29.171,64.985,29.136,65.032,29.224,65.026,29.224,65.045,29.149,65.054,29.355,65.091,29.355,65.109,29.224,65.077,29.18,65.09,29.18,65.064,29.136,65.072],[28.652,64.924,28.696,64.942,28.696,64.918,28.711,64.942,28.608,64.965,28.595,64.942,28.652,64.924],[28.803,64.979,28.828,64.958,28.794,64.942,28.828,64.928,28.853,64.961,28.803,64.979],[27.854,65.33,27.894,65.312,27.851,65.312,27.851,65.293,27.817,65.288,27.861,65.283,28.009,65.33,27.854,65.33],[28.345,65.066,28.389,65.041,28.397,65.054,28.477,65.054,28.345,65.066],[28.225,65.091,28.257,65.077,28.33,65.091,28.257,65.103,28.225,65.091],[28.066,65.146,28.059,65.109,28.149,65.128,28.066,65.146],[29.218,64.737,29.2,64.718,29.291,64.737,29.301,64.755,29.218,64.737],[29.268,64.812,29.268,64.801,29.116,64.793,29.223,64.774,29.268,64.784,29.277,64.755,29.333,64.765,29.346,64.737,29.383,64.737,29.355,64.763,29.429,64.774,29.312,64.781,29.268,64.812],[29.149,64.868,29.18,64.812,29.18,64.845,29.224,64.849,29.149,64.868],[29.18,64.387,29.276,64.397,29.224,64.407,29.18,64.387,29.118,64.378,29.136,64.347,29.217,64.378,29.18,64.387],[29.101,64.567,29.112,64.548,29.224,64.519,29.263,64.53,29.101,64.567],[29.423,64.13,29.371,64.13,29.399,64.104,29.474,64.111,29.399,64.111,29.443,64.139,29.423,64.13],[29.369,64.277,29.399,64.257,29.487,64.251,29.487,64.264,29.369,64.277],[28.784,64.586,28.931,64.567,28.872,64.596,28.784,64.586],[28.99,64.586,28.965,64.573,29.048,64.579,29.048,64.593,28.99,64.586],[29.004,64.187,28.972,64.15,29.019,64.168,29.004,64.187,29.017,64.225,29.089,64.245,29.004,64.245,29.004,64.22,28.98,64.206,29.004,64.187],[28.767,64.264,28.766,64.245,28.817,64.231,28.784,64.27,28.767,64.264],[28.916,64.26,28.96,64.225,28.998,64.225,28.96,64.255,28.916,64.26],[28.988,64.283,29.004,64.25,29.07,64.264,29.015,64.264,29.04,64.301,28.988,64.283],[28.565,64.755,28.586,64.727,28.478,64.732,28.477,64.694,28.623,64.718,28.625,64.746,28.565,64.755],[28.315,64.473,28.351,64.473,28.389,64.447,28.439,64.454,28.389,64.454,28.406,64.473,28.367,64.486,28.315,64.473],[27.892,64.492,27.87,64.457,27.915,64.473,27.914,64.501,27.892,64.492],[28.03,64.548,28.008,64.492,28.058,64.511,28.081,64.484,28.169,64.485,28.186,64.511,28.169,64.495,28.106,64.492,28.106,64.511,28.152,64.511,28.037,64.525,28.03,64.548],[27.933,64.53,27.935,64.511,27.993,64.5,27.993,64.518,27.949,64.518,27.949,64.537,27.933,64.53],[27.84,64.264,27.861,64.232,27.817,64.234,27.774,64.209,27.861,64.218,27.846,64.187,27.817,64.187,27.817,64.202,27.798,64.187,27.861,64.162,27.867,64.187,27.939,64.187,27.993,64.179,28.07,64.13,28.125,64.143,28.226,64.13,28.252,64.167,28.213,64.161,28.105,64.187,28.105,64.206,28.014,64.187,27.993,64.203,27.949,64.194,27.874,64.245,27.905,64.275,27.84,64.264],[27.887,64.321,27.887,64.302,28.008,64.302,27.887,64.321],[28.498,64.168,28.485,64.132,28.603,64.16,28.521,64.153,28.498,64.168],[29.004,63.972,29.048,63.949,29.092,63.956,29.12,63.918,29.154,63.918,29.153,63.937,29.092,63.962,29.004,63.972],[29.073,64.072,29.18,64.043,29.201,64.053,29.136,64.066,29.161,64.072,29.136,64.084,29.073,64.072],[29.202,64.111,29.224,64.118,29.268,64.1,29.312,64.138,29.325,64.111,29.326,64.149,29.268,64.158,29.224,64.141,29.195,64.168,29.232,64.168,29.188,64.187,29.136,64.18,29.136,64.143,29.123,64.168,29.076,64.13,29.048,64.14,29.024,64.13,29.022,64.111,29.004,64.138,28.939,64.13,28.991,64.13,28.96,64.103,29.092,64.107,29.114,64.091,29.19,64.091,29.224,64.106,29.202,64.111],[28.982,63.529,28.984,63.509,29.044,63.494,29.004,63.537,28.982,63.529],[28.648,64.13,28.593,64.13,28.564,64.117,28.538,64.13,28.538,64.111,28.477,64.111,28.721,64.091,28.724,64.111,28.696,64.125,28.696,64.111,28.669,64.111,28.648,64.13],[28.149,64.091,28.169,64.084,28.111,64.072,28.169,64.014,28.199,64.091,28.169,64.104,28.149,64.091],[28.433,64.102,28.433,64.083,28.521,64.083,28.433,64.102],[28.382,64.187,28.367,64.149,28.345,64.163,28.316,64.149,28.316,64.131,28.345,64.141,28.378,64.13,28.328,64.13,28.328,64.111,28.389,64.111,28.319,64.063,28.389,64.024,28.433,64.023,28.389,64.091,28.411,64.091,28.419,64.13,28.433,64.116,28.453,64.13,28.389,64.131,28.405,64.187,28.382,64.187],[28.544,63.588,28.521,63.574,28.593,63.568,28.583,63.588,28.544,63.588],[28.278,63.666,28.288,63.646,28.323,63.646,28.301,63.676,28.278,63.666],[28.634,63.705,28.641,63.685,28.696,63.685,28.696,63.675,28.702,63.685,28.652,63.714,28.634,63.705],[28.239,63.49,28.277,63.451,28.345,63.439,28.279,63.492,28.239,63.49],[28.125,63.499,28.125,63.474,28.081,63.47,28.125,63.459,28.153,63.47,28.142,63.49,28.176,63.49,28.125,63.499],[28.169,63.411,28.144,63.372,28.213,63.363,28.229,63.372,28.169,63.411],[27.949,63.782,27.942,63.724,27.993,63.718,27.949,63.782],[27.735,63.794,27.773,63.764,27.759,63.744,27.801,63.729,27.776,63.753,27.807,63.773,27.735,63.794],[27.803,63.821,27.847,63.802,27.861,63.766,27.889,63.782,27.861,63.792,27.861,63.824,27.803,63.821],[28.081,63.782,28.053,63.782,28.081,63.77,28.081,63.782,28.103,63.802,28.081,63.814,28.081,63.802,27.993,63.808,28.081,63.782],[27.905,63.918,27.861,63.899,27.905,63.892,27.876,63.824,27.905,63.833,27.949,63.817,27.949,63.799,27.993,63.821,27.966,63.841,27.985,63.854,27.926,63.86,27.905,63.918],[27.773,63.467,27.817,63.444,27.876,63.451,27.773,63.467],[27.832,63.529,27.861,63.526,27.861,63.492,27.905,63.518,27.948,63.514,27.905,63.544,27.832,63.529],[27.861,63.568,27.861,63.584,27.949,63.588,27.861,63.598,27.84,63.588,27.861,63.568,27.861,63.554,27.893,63.568,27.861,63.568],[27.861,63.395,27.905,63.383,27.845,63.372,27.925,63.372,27.905,63.403,27.861,63.395],[27.949,63.37,27.993,63.313,28.018,63.313,28.022,63.342,27.949,63.37],[27.434,65.495,27.466,65.471,27.51,65.489,27.434,65.495],[27.348,65.033,27.366,64.998,27.399,64.998,27.409,65.017,27.348,65.033],[27.642,65.174,27.642,65.207,27.598,65.17,27.642,65.174,27.686,65.155,27.729,65.155,27.642,65.174],[27.202,65.344,27.227,65.312,27.202,65.327,27.182,65.312,27.224,65.303,27.202,65.277,27.271,65.275,27.26,65.248,27.29,65.233,27.311,65.293,27.257,65.312,27.246,65.343,27.202,65.344],[27.642,64.87,27.603,64.868,27.729,64.862,27.729,64.876,27.642,64.87],[27.261,64.737,27.28,64.718,27.225,64.718,27.29,64.709,27.314,64.718,27.29,64.75,27.261,64.737],[26.915,65.385,26.863,65.385,26.938,65.374,26.964,65.385,26.938,65.395,26.915,65.385],[27.043,65.054,27.03,65.038,27.095,65.035,27.07,65.059,27.043,65.054],[27.007,65.109,27.026,65.083,27.07,65.076,27.045,65.109,27.007,65.109],[27.057,64.718,27.083,64.68,27.114,64.726,27.057,64.718],[26.169,65.403,26.15,65.389,26.218,65.386,26.208,65.403,26.169,65.403],[26.389,65.257,26.367,65.233,26.423,65.238,26.435,65.257,26.389,65.257],[21.489,65.268,21.489,65.246,21.533,65.246,21.533,65.268,21.489,65.268],[27.568,64.283,27.613,64.225,27.642,64.276,27.568,64.283],[27.359,64.473,27.378,64.435,27.346,64.435,27.422,64.43,27.422,64.412,27.51,64.406,27.51,64.42,27.44,64.435,27.494,64.454,27.466,64.467,27.422,64.47,27.401,64.435,27.401,64.473,27.378,64.483,27.359,64.473],[27.487,64.548,27.541,64.53,27.539,64.511,27.569,64.511,27.587,64.548,27.487,64.548],[27.469,63.724,27.437,63.691,27.53,63.705,27.466,63.709,27.469,63.724],[27.686,63.937,27.686,63.926,27.616,63.918,27.729,63.894,27.746,63.918,27.703,63.918,27.686,63.937],[26.017,64.187,26.06,64.164,26.123,64.168,26.017,64.187],[26.951,64.662,26.982,64.648,27.055,64.662,27.07,64.63,27.07,64.649,27.134,64.643,27.146,64.68,27.092,64.662,27.048,64.678,26.951,64.662],[26.863,63.879,26.895,63.836,26.932,63.829,26.916,63.86,26.863,63.879],[26.895,63.986,26.867,63.957,26.84,63.976,26.873,63.946,26.916,63.957,26.895,63.986],[26.235,64.058,26.21,64.014,26.301,63.98,26.341,63.995,26.235,64.058],[27.686,64.378,27.642,64.404,27.642,64.39,27.554,64.384,27.617,64.359,27.554,64.335,27.51,64.332,27.466,64.351,27.436,64.302,27.378,64.311,27.408,64.321,27.37,64.34,27.399,64.34,27.322,64.34,27.334,64.365,27.29,64.365,27.29,64.341,27.263,64.359,27.297,64.378,27.246,64.402,27.246,64.383,27.158,64.397,27.171,64.435,27.202,64.435,27.235,64.463,27.158,64.486,27.202,64.492,27.158,64.511,27.218,64.511,27.218,64.53,27.158,64.539,27.158,64.553,27.116,64.53,27.191,64.53,27.07,64.509,27.026,64.559,27,64.511,26.938,64.503,26.938,64.514,26.982,64.514,26.982,64.537,26.895,64.515,26.895,64.541,26.851,64.541,26.851,64.556,26.807,64.549,26.827,64.511,26.807,64.498,26.796,64.511,26.773,64.473,26.807,64.448,26.895,64.426,26.785,64.425,26.803,64.448,26.719,64.44,26.719,64.425,26.786,64.416,26.739,64.378,26.756,64.359,26.807,64.349,26.863,64.359,26.926,64.321,26.851,64.304,26.915,64.302,26.919,64.283,26.878,64.264,27.02,64.249,27.026,64.275,27.094,64.264,27.093,64.245,26.993,64.225,26.958,64.245,26.972,64.225,27.026,64.201,27.026,64.213,27.114,64.201,27.158,64.233,27.175,64.187,27.119,64.187,27.131,64.168,27.202,64.157,27.246,64.124,27.298,64.13,27.224,64.197,27.351,64.206,27.334,64.233,27.422,64.242,27.422,64.225,27.447,64.225,27.452,64.264,27.488,64.264,27.51,64.245,27.533,64.264,27.466,64.271,27.495,64.302,27.51,64.287,27.598,64.283,27.773,64.331,27.905,64.332,27.817,64.354,27.817,64.384,27.861,64.369,27.861,64.378,27.949,64.371,27.993,64.348,28.01,64.359,27.993,64.382,27.861,64.396,27.861,64.411,27.795,64.387,27.729,64.407,27.729,64.39,27.686,64.39,27.686,64.378],[26.718,63.724,26.719,63.702,26.78,63.705,26.741,63.714,26.763,63.739,26.719,63.737,26.718,63.724],[26.41,63.821,26.499,63.789,26.543,63.789,26.499,63.821,26.41,63.821],[25.882,64.34,25.854,64.321,25.889,64.321,25.928,64.295,25.972,64.292,25.972,64.313,26.016,64.313,25.882,64.34],[25.348,64.225,25.356,64.183,25.367,64.206,25.444,64.206,25.374,64.225,25.383,64.239,25.348,64.225],[25.4,64.272,25.4,64.245,25.444,64.234,25.474,64.261,25.422,64.254,25.4,64.272],[25.241,64.264,25.233,64.246,25.313,64.256,25.269,64.275,25.241,64.264],[25.752,63.777,25.777,63.744,25.84,63.733,25.858,63.744,25.752,63.777],[25.313,63.718,25.334,63.685,25.386,63.671,25.36,63.714,25.313,63.718],[27.202,63.627,27.158,63.666,27.13,63.666,27.145,63.627,27.202,63.613,27.202,63.627],[26.895,63.598,26.895,63.562,26.924,63.588,26.957,63.588,26.938,63.568,26.982,63.559,26.969,63.529,27.005,63.509,27.011,63.568,26.982,63.594,26.895,63.598],[27.158,63.582,27.126,63.549,27.07,63.559,27.07,63.545,27.239,63.513,27.158,63.582],[27.225,63.568,27.202,63.563,27.266,63.549,27.29,63.575,27.225,63.568],[26.982,63.352,26.962,63.352,26.964,63.411,26.938,63.422,26.917,63.352,26.982,63.352],[27.225,63.49,27.29,63.418,27.334,63.424,27.308,63.49,27.29,63.498,27.26,63.47,27.246,63.506,27.225,63.49],[26.675,63.468,26.675,63.451,26.719,63.437,26.719,63.462,26.675,63.468],[26.471,63.646,26.472,63.629,26.556,63.646,26.499,63.658,26.471,63.646],[25.796,63.568,25.77,63.549,25.796,63.535,25.827,63.549,25.796,63.568],[26.208,63.523,26.235,63.433,26.235,63.466,26.323,63.435,26.299,63.48,26.317,63.508,26.279,63.5,26.208,63.523],[25.313,63.558,25.284,63.549,25.339,63.509,25.322,63.453,25.372,63.47,25.383,63.5,25.365,63.529,25.313,63.529,25.313,63.544,25.356,63.544,25.313,63.558],[25.674,63.49,25.708,63.46,25.77,63.47,25.674,63.49],[25.972,63.673,25.989,63.646,25.933,63.646,26.009,63.627,25.972,63.627,25.972,63.612,25.906,63.617,25.928,63.637,25.89,63.666,25.884,63.627,25.813,63.617,25.859,63.588,25.844,63.573,25.892,63.568,25.853,63.549,25.884,63.509,25.908,63.509,25.908,63.529,26.06,63.515,25.948,63.588,25.998,63.588,25.998,63.568,26.016,63.588,26.056,63.588,25.999,63.607,26.043,63.607,26.016,63.649,26.04,63.666,25.972,63.673],[26.587,63.575,26.567,63.549,26.613,63.513,26.587,63.575],[26.631,63.334,26.631,63.318,26.675,63.326,26.719,63.306,26.719,63.339,26.631,63.334],[25.576,63.372,25.508,63.372,25.556,63.392,25.4,63.419,25.356,63.443,25.331,63.431,25.459,63.372,25.488,63.325,25.532,63.325,25.532,63.313,25.549,63.332,25.504,63.352,25.576,63.372],[25.576,63.434,25.558,63.411,25.62,63.383,25.653,63.392,25.62,63.425,25.576,63.434],[24.235,63.549,24.236,63.539,24.175,63.544,24.185,63.529,24.214,63.518,24.258,63.524,24.275,63.509,24.278,63.549,24.258,63.561,24.235,63.549],[24.9,63.627,24.882,63.597,24.917,63.578,24.942,63.607,24.917,63.636,24.9,63.627],[24.02,63.646,24.038,63.618,24.116,63.646,24.082,63.66,24.02,63.646],[24.697,63.573,24.741,63.568,24.741,63.547,24.697,63.562,24.671,63.549,24.688,63.509,24.785,63.478,24.785,63.493,24.871,63.476,24.852,63.49,24.902,63.509,24.869,63.539,24.785,63.564,24.805,63.549,24.785,63.527,24.765,63.568,24.803,63.568,24.697,63.573],[24.085,63.451,24.17,63.44,24.17,63.46,24.085,63.451],[24.609,63.328,24.609,63.313,24.653,63.303,24.674,63.313,24.609,63.328],[23.753,63.392,23.78,63.372,23.803,63.392,23.774,63.405,23.753,63.392],[23.494,63.431,23.467,63.417,23.379,63.424,23.379,63.407,23.443,63.411,23.467,63.367,23.467,63.392,23.511,63.367,23.527,63.392,23.555,63.392,23.467,63.408,23.537,63.411,23.555,63.436,23.494,63.431],[21.342,69.9,21.339,69.885,21.445,69.879,21.445,69.891,21.342,69.9],[21.138,69.373,21.138,69.349,21.077,69.365,21.082,69.318,21.226,69.349,21.138,69.373],[20.874,69.008,20.83,68.99,20.91,68.958,20.853,68.943,20.918,68.934,20.935,68.974,20.874,69.008],[20.765,69.053,20.654,69.037,20.742,69.028,20.83,68.994,20.855,69.021,20.786,69.063,20.765,69.053],[20.259,69.178,20.303,69.184,20.303,69.165,20.303,69.2,20.215,69.194,20.259,69.178],[20.586,69.225,20.586,69.209,20.654,69.2,20.61,69.232,20.586,69.225],[20.391,68.795,20.366,68.768,20.435,68.759,20.435,68.743,20.522,68.743,20.491,68.736,20.522,68.73,20.592,68.736,20.522,68.773,20.501,68.752,20.453,68.784,20.479,68.79,20.391,68.795],[20.274,68.813,20.37,68.784,20.347,68.809,20.274,68.813],[20.856,68.895,20.918,68.884,20.944,68.895,20.874,68.905,20.856,68.895],[19.664,68.895,19.696,68.864,19.74,68.879,19.664,68.895],[19.526,69.021,19.661,68.974,19.665,69.006,19.556,69.03,19.526,69.021],[19.317,69.1,19.336,69.065,19.378,69.076,19.317,69.1],[19.879,69.733,19.886,69.703,19.939,69.688,19.927,69.733,19.879,69.733],[19.468,68.561,19.424,68.544,19.6,68.494,19.666,68.504,19.709,68.486,19.757,68.496,19.731,68.502,19.824,68.512,19.6,68.522,19.468,68.561],[20.083,68.535,20.049,68.528,20.259,68.506,20.301,68.526,20.215,68.519,20.083,68.535],[19.951,68.399,19.878,68.415,19.863,68.437,19.802,68.432,19.802,68.415,19.898,68.383,19.951,68.399],[19.612,68.351,19.644,68.334,19.676,68.351,19.644,68.363,19.612,68.351],[19.693,68.48,19.775,68.436,19.819,68.441,19.807,68.48,19.731,68.47,19.693,68.48],[19.318,68.512,19.318,68.496,19.424,68.492,19.442,68.48,19.424,68.505,19.318,68.512],[19.468,68.496,19.468,68.48,19.57,68.448,19.556,68.485,19.468,68.496],[20.147,68.48,20.083,68.48,20.109,68.464,20.215,68.473,20.147,68.48],[20.678,68.106,20.698,68.096,20.654,68.086,20.742,68.097,20.786,68.081,20.83,68.09,20.759,68.106,20.83,68.11,20.678,68.106],[21.006,67.379,21.12,67.357,21.094,67.377,21.006,67.379],[20.371,68.122,20.351,68.061,20.391,68.061,20.371,68.122],[20.391,67.942,20.435,67.942,20.441,67.925,20.435,67.947,20.391,67.942,20.391,67.951,20.335,67.942,20.42,67.925,20.391,67.942],[20.303,67.985,20.289,67.975,20.362,67.958,20.361,67.975,20.303,67.985],[20.158,68.073,20.215,68.016,20.232,68.04,20.158,68.073],[20.644,67.892,20.644,67.876,20.725,67.876,20.654,67.859,20.719,67.859,20.626,67.842,20.61,67.866,20.61,67.849,20.566,67.842,20.742,67.814,20.707,67.842,20.806,67.842,20.786,67.885,20.654,67.88,20.644,67.892],[20.435,67.907,20.479,67.854,20.495,67.892,20.435,67.907],[19.662,68.2,19.666,68.18,19.607,68.182,19.688,68.149,19.698,68.188,19.662,68.2],[19.819,67.776,19.927,67.776,19.96,67.743,19.967,67.776,19.907,67.793,19.819,67.796,19.819,67.776],[19.646,67.809,19.809,67.797,19.775,67.818,19.646,67.809],[20.102,67.842,20.098,67.826,20.155,67.809,20.127,67.848,20.102,67.842],[19.79,67.306,19.789,67.272,19.863,67.285,19.79,67.306],[19.405,67.509,19.396,67.495,19.481,67.492,19.468,67.518,19.405,67.509],[20.538,66.93,20.566,66.909,20.647,66.913,20.538,66.93],[20.765,67.085,20.755,67.071,20.808,67.076,20.9,67.05,20.874,67.08,20.765,67.085],[20.845,66.32,20.951,66.302,20.896,66.332,20.845,66.32],[20.588,66.472,20.632,66.46,20.635,66.426,20.658,66.452,20.632,66.472,20.588,66.472],[20.546,66.74,20.566,66.723,20.531,66.723,20.566,66.716,20.605,66.752,20.546,66.74],[21.058,66.263,21.146,66.231,21.138,66.255,21.058,66.263],[20.337,67.119,20.259,67.102,20.391,67.097,20.347,67.109,20.391,67.119,20.337,67.119],[20.083,66.669,20.118,66.618,20.156,66.618,20.138,66.653,20.083,66.669],[20.105,66.766,20.34,66.68,20.347,66.696,20.105,66.766],[20.281,66.518,20.303,66.513,20.285,66.496,20.383,66.505,20.303,66.524,20.281,66.518],[19.637,66.723,19.609,66.691,19.688,66.696,19.637,66.723],[19.799,66.999,19.792,66.953,19.829,66.964,19.799,66.999],[19.446,66.513,19.424,66.522,19.468,66.494,19.512,66.494,19.468,66.496,19.512,66.52,19.446,66.513],[19.468,66.653,19.446,66.618,19.556,66.612,19.567,66.636,19.512,66.65,19.512,66.623,19.479,66.636,19.505,66.653,19.468,66.653],[19.67,66.688,19.67,66.653,19.731,66.64,19.731,66.629,19.752,66.653,19.831,66.636,19.819,66.663,19.731,66.681,19.731,66.667,19.688,66.667,19.721,66.688,19.67,66.688],[19.852,66.338,19.863,66.314,19.907,66.313,19.863,66.351,19.852,66.338],[19.509,66.302,19.507,66.285,19.556,66.261,19.578,66.285,19.512,66.285,19.509,66.302],[19.028,69.147,19.012,69.116,19.16,69.087,19.16,69.108,19.072,69.12,19.028,69.147],[19.116,69.209,19.031,69.178,19.116,69.178,19.116,69.209],[18.877,69.256,18.88,69.241,18.965,69.225,18.929,69.266,18.877,69.256],[19.134,69.272,19.16,69.252,19.232,69.272,19.134,69.272],[18.962,68.673,18.884,68.657,19.028,68.651,19.099,68.625,19.072,68.657,18.984,68.683,18.962,68.673],[19.204,68.618,19.216,68.609,19.185,68.592,19.38,68.585,19.41,68.56,19.458,68.56,19.424,68.592,19.204,68.618],[18.325,69.069,18.435,69.059,18.461,69.069,18.325,69.078,18.325,69.069],[18.142,69.241,18.149,69.204,18.187,69.225,18.193,69.209,18.287,69.209,18.171,69.233,18.187,69.251,18.142,69.241],[18.205,68.459,18.193,68.437,18.116,68.443,18.149,68.424,18.281,68.444,18.205,68.459],[18.254,68.525,18.259,68.504,18.193,68.502,18.175,68.48,18.325,68.504,18.254,68.525],[17.983,68.799,18.018,68.778,18.086,68.784,17.983,68.799],[18.651,68.48,18.596,68.48,18.607,68.464,18.694,68.448,18.654,68.448,18.654,68.432,18.69,68.432,18.669,68.415,18.809,68.358,19.112,68.367,19.084,68.336,19.16,68.346,19.17,68.308,19.336,68.28,19.468,68.302,19.506,68.278,19.468,68.258,19.512,68.257,19.538,68.237,19.775,68.226,19.907,68.213,19.907,68.202,19.951,68.217,19.972,68.204,20.012,68.221,20.083,68.213,20.083,68.228,19.995,68.247,19.958,68.249,19.951,68.231,19.951,68.248,19.863,68.233,19.801,68.267,19.688,68.247,19.684,68.269,19.556,68.265,19.547,68.286,19.582,68.286,19.582,68.269,19.644,68.292,19.688,68.279,19.775,68.293,19.809,68.318,19.74,68.302,19.537,68.302,19.486,68.334,19.468,68.326,19.424,68.342,19.248,68.348,19.204,68.367,19.16,68.364,19.16,68.376,19.204,68.376,19.16,68.395,19.116,68.383,19.028,68.41,18.984,68.407,18.984,68.421,18.918,68.423,18.853,68.453,18.809,68.443,18.677,68.464,18.677,68.476,18.736,68.48,18.651,68.48],[18.545,68.196,18.665,68.177,18.589,68.216,18.545,68.196],[17.199,68.609,17.227,68.57,17.271,68.617,17.199,68.609],[19.047,67.859,19.047,67.842,19.116,67.834,19.292,67.851,19.468,67.842,19.38,67.862,19.248,67.868,19.047,67.859],[19.248,68.118,19.348,68.073,19.336,68.106,19.248,68.118],[18.739,67.643,18.787,67.626,18.853,67.636,18.94,67.624,18.853,67.649,18.739,67.643],[18.589,67.698,18.667,67.643,18.697,67.643,18.692,67.676,18.633,67.7,18.589,67.698],[18.843,67.726,18.822,67.709,18.853,67.701,18.759,67.693,18.853,67.669,18.861,67.726,18.918,67.726,18.924,67.739,18.843,67.726],[18.984,67.305,18.984,67.289,19.098,67.272,19.083,67.238,19.16,67.198,19.241,67.187,19.2,67.187,19.279,67.153,19.235,67.153,19.248,67.143,19.336,67.13,19.336,67.115,19.38,67.112,19.363,67.136,19.424,67.125,19.424,67.143,19.468,67.113,19.468,67.134,19.512,67.127,19.568,67.102,19.531,67.085,19.688,67.061,19.765,67.033,19.775,67.009,19.819,67.006,19.784,67.067,19.688,67.111,19.6,67.116,19.644,67.136,19.574,67.136,19.556,67.163,19.512,67.152,19.512,67.165,19.336,67.165,19.267,67.221,19.16,67.255,19.116,67.249,19.16,67.272,19.072,67.295,18.984,67.305],[18.648,67.42,18.658,67.407,18.633,67.396,18.589,67.405,18.589,67.391,18.677,67.391,18.677,67.401,18.721,67.389,18.765,67.394,18.765,67.407,18.648,67.42],[18.896,67.374,18.842,67.374,18.809,67.403,18.776,67.391,18.73,67.391,18.841,67.357,18.94,67.295,18.99,67.306,18.918,67.314,18.896,67.357,18.853,67.357,18.896,67.374],[17.93,68.024,17.986,68.024,17.974,68.048,17.974,68.03,17.93,68.024,17.917,68.008,17.866,68.008,17.87,67.975,17.903,67.975,17.886,68.001,17.93,68.001,17.93,67.983,17.948,67.991,17.93,68.024],[18.306,67.743,18.294,67.729,18.347,67.741,18.429,67.726,18.429,67.743,18.306,67.743],[18.477,67.525,18.438,67.509,18.677,67.471,18.809,67.43,19.05,67.415,19.16,67.422,19.176,67.407,19.176,67.424,18.984,67.43,18.94,67.449,18.809,67.458,18.721,67.497,18.677,67.481,18.477,67.525],[18.435,67.424,18.435,67.407,18.501,67.397,18.615,67.407,18.487,67.407,18.435,67.424],[18.341,67.475,18.369,67.435,18.457,67.435,18.397,67.441,18.369,67.484,18.341,67.475],[18.545,67.542,18.494,67.559,18.462,67.527,18.545,67.542],[18.149,67.293,18.281,67.281,18.237,67.298,18.149,67.293],[18.311,67.289,18.301,67.272,18.391,67.221,18.387,67.255,18.311,67.289],[18.422,67.085,18.457,67.085,18.457,67.069,18.259,67.084,18.135,67.067,18.149,67.067,18.149,67.055,18.413,67.054,18.519,67.016,18.545,66.971,18.581,66.968,18.589,66.989,18.621,66.982,18.597,67.033,18.633,67.04,18.564,67.033,18.535,67.067,18.582,67.067,18.457,67.09,18.422,67.085],[18.413,67.228,18.487,67.187,18.47,67.221,18.413,67.228],[18.237,67.134,18.281,67.115,18.429,67.119,18.325,67.127,18.318,67.15,18.242,67.137,18.237,67.144,18.193,67.145,18.223,67.153,18.193,67.16,18.193,67.144,18.237,67.143,18.237,67.134],[18.05,67.05,18.132,67.05,18.141,67.063,18.083,67.061,18.05,67.05],[17.227,68.101,17.271,68.03,17.28,68.04,17.339,68.024,17.446,67.977,17.418,68.024,17.466,68.024,17.469,68.04,17.446,68.05,17.425,68.04,17.402,68.057,17.358,68.03,17.328,68.073,17.227,68.101],[17.779,68.073,17.782,68.024,17.886,68.013,17.798,68.04,17.82,68.057,17.779,68.073],[17.622,67.826,17.622,67.801,17.573,67.793,17.666,67.781,17.666,67.766,17.696,67.784,17.622,67.826],[17.314,67.867,17.358,67.849,17.342,67.826,17.159,67.826,17.271,67.801,17.314,67.819,17.39,67.809,17.378,67.859,17.314,67.867],[17.468,67.991,17.49,67.967,17.558,67.958,17.556,67.909,17.631,67.859,17.578,67.975,17.49,67.987,17.49,67.998,17.468,67.991],[17.095,67.793,17.139,67.797,17.183,67.783,17.202,67.759,17.245,67.759,17.249,67.726,17.341,67.709,17.314,67.698,17.238,67.709,17.238,67.693,17.272,67.693,17.243,67.676,17.379,67.659,17.358,67.632,17.418,67.643,17.446,67.624,17.427,67.659,17.476,67.659,17.49,67.643,17.514,67.659,17.613,67.659,17.548,67.643,17.578,67.626,17.517,67.626,17.534,67.619,17.688,67.62,17.718,67.595,17.798,67.602,17.93,67.573,18.062,67.57,18.078,67.542,18.149,67.536,18.186,67.509,18.237,67.509,18.237,67.497,18.163,67.509,18.176,67.492,18.264,67.492,18.303,67.475,18.237,67.515,18.193,67.513,18.202,67.542,18.105,67.583,18.018,67.601,18.018,67.581,17.992,67.609,17.908,67.614,17.71,67.669,17.666,67.658,17.49,67.717,17.402,67.718,17.314,67.759,17.271,67.755,17.271,67.77,17.314,67.776,17.227,67.77,17.271,67.793,17.095,67.818,17.095,67.793],[17.688,67.525,17.666,67.55,17.648,67.525,17.754,67.513,17.71,67.537,17.688,67.525],[19.072,66.809,19.092,66.827,18.984,66.851,18.94,66.848,18.984,66.841,18.94,66.831,18.809,66.868,18.785,66.861,18.809,66.855,18.765,66.855,18.809,66.818,18.851,66.827,18.809,66.837,18.984,66.827,19.05,66.801,19.072,66.809],[18.573,66.93,18.552,66.883,18.655,66.887,18.739,66.844,18.765,66.87,18.677,66.884,18.677,66.899,18.589,66.896,18.573,66.93],[19.264,66.669,19.306,66.618,19.317,66.653,19.264,66.669],[19.017,66.67,19.002,66.636,19.116,66.629,19.017,66.67],[18.589,66.747,18.577,66.723,18.633,66.702,18.809,66.693,18.716,66.688,18.721,66.641,18.833,66.653,18.809,66.67,18.765,66.666,18.765,66.682,18.866,66.67,18.882,66.704,18.831,66.696,18.827,66.723,18.765,66.731,18.8,66.705,18.75,66.705,18.75,66.723,18.677,66.711,18.633,66.726,18.633,66.747,18.589,66.747],[19.048,66.792,19.116,66.723,19.232,66.74,19.235,66.705,19.38,66.67,19.38,66.653,19.445,66.696,19.424,66.712,19.38,66.716,19.38,66.702,19.336,66.714,19.292,66.792,19.292,66.761,19.248,66.761,19.248,66.747,19.16,66.751,19.09,66.775,19.094,66.792,19.048,66.792],[19.266,66.355,19.31,66.338,19.336,66.365,19.266,66.355],[18.356,66.757,18.351,66.74,18.501,66.753,18.578,66.74,18.545,66.763,18.356,66.757],[18.018,66.792,18.018,66.775,18.105,66.775,18.105,66.76,18.105,66.782,18.018,66.792],[17.974,66.891,18.018,66.852,18.062,66.873,18.229,66.878,17.974,66.891],[18.128,66.827,18.128,66.792,18.167,66.792,18.149,66.833,18.128,66.827],[18.457,66.914,18.457,66.904,18.369,66.907,18.369,66.896,18.413,66.883,18.483,66.896,18.457,66.914],[18.086,66.443,18.137,66.408,18.202,66.408,18.174,66.399,18.193,66.371,18.402,66.421,18.457,66.419,18.537,66.39,18.523,66.378,18.545,66.39,18.589,66.368,18.589,66.35,18.525,66.341,18.611,66.332,18.594,66.399,18.567,66.396,18.589,66.408,18.523,66.43,18.274,66.434,18.259,66.423,18.347,66.417,18.303,66.406,18.237,66.411,18.21,66.434,18.086,66.443],[17.996,66.452,17.918,66.434,17.952,66.426,18.005,66.434,17.996,66.452],[18.501,66.258,18.501,66.242,18.566,66.231,18.551,66.214,18.603,66.231,18.566,66.231,18.572,66.249,18.501,66.258,18.501,66.277,18.46,66.25,18.501,66.258],[17.937,66.337,17.974,66.315,18.044,66.32,17.937,66.337],[18.062,66.376,18.062,66.362,17.999,66.355,18.018,66.346,18.079,66.355,18.105,66.32,18.143,66.32,18.062,66.376],[18.105,66.317,18.096,66.285,18.149,66.281,18.12,66.285,18.167,66.302,18.105,66.317],[17.789,66.809,18.005,66.775,17.974,66.8,17.886,66.814,17.789,66.809],[17.677,66.93,17.736,66.93,17.754,66.881,17.842,66.885,17.93,66.868,17.974,66.878,17.886,66.903,17.831,66.896,17.754,66.913,17.798,66.93,17.677,66.93],[17.43,66.426,17.524,66.408,17.49,66.435,17.43,66.426],[17.694,66.478,17.71,66.443,17.798,66.416,17.694,66.478],[17.844,66.513,17.754,66.513,17.798,66.513,17.823,66.478,17.886,66.468,17.886,66.446,17.902,66.478,17.842,66.49,17.844,66.513],[17.513,66.636,17.513,66.618,17.581,66.601,17.57,66.583,17.707,66.534,17.693,66.566,17.754,66.553,17.71,66.583,17.666,66.58,17.71,66.601,17.513,66.636],[17.336,66.705,17.402,66.664,17.534,66.647,17.49,66.694,17.402,66.694,17.402,66.714,17.358,66.705,17.358,66.717,17.336,66.705],[17.774,66.408,17.783,66.373,17.886,66.348,17.774,66.408],[17.534,66.422,17.578,66.399,17.754,66.38,17.666,66.408,17.534,66.422],[17.095,68.155,17.051,68.162,17.018,68.131,17.076,68.122,17.076,68.106,17.139,68.122,17.227,68.117,17.095,68.13,17.051,68.15,17.095,68.155],[17.007,68.334,17.051,68.261,17.062,68.318,17.007,68.334],[17.019,68.204,16.989,68.188,17.08,68.172,17.051,68.218,17.019,68.204],[17.095,67.878,17.139,67.851,17.255,67.842,17.227,67.865,17.163,67.876,17.174,67.888,17.095,67.878],[16.851,67.909,16.875,67.882,16.939,67.892,16.875,67.916,16.851,67.909],[17.095,68.019,17.095,67.999,17.051,67.991,17.24,67.975,17.183,68.015,17.125,68.008,17.095,68.019],[16.937,68.04,16.922,68.027,16.98,68.04,17.051,68.034,17.07,68.008,17.051,68.046,16.937,68.04],[16.567,67.931,16.687,67.909,16.655,67.932,16.567,67.931],[16.084,67.844,16.084,67.826,16.045,67.826,16.084,67.779,16.084,67.844],[17.077,67.592,17.079,67.567,17.141,67.559,17.166,67.576,17.077,67.592],[16.611,67.651,16.583,67.643,16.759,67.626,16.611,67.651],[16.831,67.693,16.787,67.693,16.814,67.709,16.743,67.721,16.787,67.683,16.831,67.693],[16.676,67.576,16.743,67.538,16.749,67.559,16.787,67.564,16.957,67.542,16.942,67.559,16.831,67.569,16.831,67.581,16.699,67.571,16.699,67.592,16.676,67.576],[16.547,66.982,16.547,66.964,16.479,66.976,16.452,66.964,16.479,66.952,16.567,66.955,16.655,66.921,16.743,66.925,16.765,66.913,16.743,66.936,16.611,66.947,16.655,66.964,16.611,66.974,16.567,66.964,16.547,66.982],[16.452,66.911,16.501,66.883,16.655,66.878,16.452,66.911],[16.729,66.999,16.724,66.982,16.772,66.967,16.756,66.999,16.729,66.999],[16.875,67.043,16.919,67.009,16.945,67.033,16.875,67.043],[16.758,67.153,16.875,67.144,16.919,67.153,16.787,67.163,16.758,67.153],[16.479,67.424,16.491,67.458,16.567,67.454,16.589,67.467,16.831,67.481,16.855,67.492,16.831,67.509,16.875,67.514,16.743,67.512,16.611,67.484,16.483,67.492,16.479,67.522,16.479,67.504,16.318,67.506,16.411,67.475,16.342,67.458,16.414,67.45,16.402,67.431,16.479,67.441,16.479,67.424,16.436,67.404,16.436,67.415,16.275,67.424,16.291,67.391,16.348,67.391,16.304,67.391,16.326,67.407,16.394,67.391,16.325,67.374,16.479,67.362,16.479,67.346,16.523,67.385,16.567,67.323,16.699,67.334,16.628,67.374,16.655,67.385,16.743,67.367,16.801,67.374,16.719,67.391,16.719,67.407,16.589,67.424,16.479,67.414,16.479,67.424],[15.837,67.424,15.908,67.414,15.936,67.424,15.908,67.434,15.837,67.424],[15.933,67.626,15.952,67.606,16.001,67.609,15.972,67.626,15.996,67.64,15.933,67.626],[16.291,67.676,16.348,67.666,16.37,67.676,16.479,67.673,16.414,67.689,16.291,67.676],[15.645,67.238,15.645,67.223,15.557,67.221,15.667,67.208,15.726,67.221,15.662,67.221,15.645,67.238],[16.428,67.238,16.332,67.221,16.451,67.221,16.428,67.238],[15.849,67.34,15.9,67.306,15.864,67.3,16.009,67.323,15.849,67.34],[16.392,67.04,16.367,67.033,16.392,66.987,16.567,66.99,16.489,67.016,16.529,67.033,16.392,67.04],[16.012,67.067,16.017,67.05,16.098,67.05,16.04,67.053,16.063,67.067,16.04,67.079,16.012,67.067],[16.264,67.067,16.392,67.061,16.348,67.077,16.264,67.067],[15.952,66.982,15.864,66.951,15.82,66.966,15.776,66.96,15.864,66.921,15.887,66.93,15.996,66.922,16.018,66.93,15.952,66.982],[16.206,67.119,16.26,67.085,16.343,67.085,16.206,67.119],[14.854,67.097,14.822,67.067,14.877,67.067,14.877,67.05,14.941,67.059,14.854,67.097],[15.425,67.247,15.425,67.232,15.513,67.237,15.535,67.221,15.513,67.242,15.425,67.247],[14.792,67.357,14.785,67.323,14.81,67.323,14.81,67.34,14.86,67.34,14.81,67.357,14.854,67.359,14.792,67.357],[17.028,66.653,17.039,66.618,17.139,66.593,17.139,66.618,17.051,66.628,17.028,66.653],[16.722,66.878,16.765,66.848,16.839,66.861,16.743,66.874,16.743,66.886,16.722,66.878],[16.95,66.426,16.927,66.396,16.984,66.408,16.999,66.442,16.95,66.426],[16.743,66.448,16.743,66.435,16.814,66.426,16.804,66.443,16.743,66.448],[17.095,66.505,17.253,66.426,17.257,66.461,17.304,66.461,17.284,66.478,17.051,66.548,16.999,66.548,17.095,66.505],[16.537,66.496,16.545,66.469,16.479,66.478,16.479,66.456,16.718,66.426,16.718,66.443,16.699,66.432,16.567,66.464,16.595,66.478,16.537,66.496],[16.837,66.618,16.945,66.583,16.963,66.556,17.051,66.555,16.963,66.601,16.837,66.618],[16.762,66.249,16.752,66.234,16.872,66.249,16.762,66.249],[16.631,66.373,16.655,66.351,16.711,66.355,16.655,66.379,16.631,66.373],[16.04,66.87,16.128,66.844,16.128,66.817,16.202,66.827,16.128,66.861,16.04,66.87],[15.016,66.827,15.002,66.801,15.029,66.789,15.073,66.841,15.016,66.827],[16.128,66.925,16.172,66.9,16.304,66.886,16.304,66.87,16.392,66.885,16.429,66.911,16.26,66.91,16.128,66.925],[16.4,66.513,16.348,66.522,16.375,66.566,16.329,66.566,16.336,66.531,16.304,66.513,16.382,66.496,16.392,66.464,16.418,66.478,16.4,66.513],[16.303,66.601,16.286,66.583,16.348,66.576,16.348,66.607,16.303,66.601],[15.271,66.196,15.279,66.178,15.337,66.188,15.293,66.205,15.271,66.196],[14.925,66.267,14.941,66.249,14.854,66.241,14.81,66.252,14.81,66.238,14.766,66.231,14.912,66.231,14.941,66.205,14.985,66.205,14.985,66.184,15.023,66.182,14.956,66.231,14.954,66.267,14.925,66.267],[14.238,66.839,14.238,66.821,14.282,66.814,14.314,66.827,14.238,66.839],[14.063,66.896,14.106,66.874,14.15,66.882,14.106,66.9,14.063,66.896],[14.109,66.774,14.172,66.766,14.15,66.746,14.2,66.74,14.16,66.74,14.15,66.712,14.106,66.723,14.106,66.749,14.063,66.754,14.063,66.701,14.15,66.683,14.244,66.688,14.223,66.705,14.268,66.757,14.222,66.757,14.194,66.775,14.109,66.774],[13.403,66.417,13.403,66.368,13.427,66.373,13.403,66.384,13.447,66.384,13.403,66.417],[13.975,66.404,13.975,66.39,14.01,66.39,14.019,66.349,14.063,66.367,14.269,66.373,14.019,66.384,14.019,66.4,13.975,66.404],[21.325,66.175,21.341,66.125,21.401,66.101,21.401,66.125,21.432,66.125,21.401,66.143,21.357,66.139,21.401,66.161,21.325,66.175],[21.423,65.929,21.402,65.911,21.5,65.929,21.467,65.94,21.423,65.929],[21.427,65.676,21.445,65.646,21.489,65.691,21.427,65.676],[20.937,65.875,21.006,65.868,21.035,65.889,20.937,65.875],[20.582,65.713,20.566,65.7,20.654,65.71,20.654,65.689,20.698,65.718,20.61,65.713,20.61,65.724,20.582,65.713],[20.541,65.767,20.654,65.737,20.61,65.754,20.61,65.778,20.541,65.767],[19.772,65.658,19.737,65.624,19.819,65.64,19.819,65.62,19.863,65.612,19.885,65.622,19.772,65.658],[20.541,65.694,20.575,65.676,20.642,65.694,20.541,65.694],[18.831,66.018,18.796,66,18.849,66,18.818,65.966,18.94,65.974,18.896,66,18.853,65.991,18.853,66.011,18.896,66.018,18.831,66.018],[19.072,66.065,19.234,66.036,19.221,66.061,19.072,66.065],[18.843,66.098,18.946,66.064,19.015,66.063,18.999,66.08,18.843,66.098],[19.424,65.832,19.468,65.792,19.496,65.803,19.424,65.832],[18.853,65.731,18.896,65.756,18.809,65.754,18.853,65.731],[19.424,65.911,19.424,65.893,19.248,65.909,19.248,65.893,19.424,65.891,19.424,65.867,19.424,65.911],[19.098,65.929,19.147,65.929,19.148,65.911,19.193,65.911,19.22,65.893,19.235,65.929,19.182,65.92,19.204,65.945,19.098,65.929],[19.151,65.64,19.16,65.595,19.192,65.613,19.151,65.64],[18.94,65.709,18.984,65.676,19.021,65.676,18.984,65.704,18.94,65.709],[18.896,65.74,18.868,65.713,18.911,65.694,18.94,65.74,18.896,65.74],[20.849,65.513,20.836,65.499,20.901,65.496,20.874,65.519,20.849,65.513],[21.425,65.312,21.445,65.261,21.489,65.305,21.445,65.305,21.445,65.324,21.425,65.312],[21.279,65.349,21.313,65.342,21.237,65.348,21.27,65.324,21.401,65.31,21.401,65.321,21.357,65.321,21.391,65.33,21.357,65.353,21.279,65.349],[21.401,65.235,21.413,65.201,21.463,65.22,21.401,65.235],[19.845,65.586,19.775,65.568,19.907,65.56,19.951,65.539,19.951,65.572,19.845,65.586],[19.644,65.522,19.619,65.513,19.724,65.495,19.731,65.519,19.644,65.522],[20.406,65.549,20.391,65.542,20.479,65.542,20.435,65.561,20.406,65.549],[19.808,65.495,19.819,65.479,19.745,65.477,19.819,65.477,19.775,65.458,19.9,65.446,19.808,65.495],[20.236,65.403,20.273,65.367,20.273,65.403,20.259,65.413,20.236,65.403],[19.336,65.096,19.336,65.058,19.424,65.065,19.36,65.072,19.336,65.096],[18.782,65.22,18.809,65.195,18.853,65.201,18.844,65.236,18.782,65.22],[20.686,64.83,20.654,64.802,20.71,64.812,20.714,64.83,20.686,64.83],[19.863,64.851,19.907,64.843,19.907,64.82,19.95,64.863,19.863,64.851],[19.936,64.868,20.026,64.851,19.995,64.875,19.936,64.868],[19.866,64.755,19.907,64.755,19.876,64.737,19.944,64.718,19.911,64.755,19.951,64.755,19.951,64.768,19.866,64.755],[19.79,64.83,19.747,64.83,19.747,64.812,19.863,64.824,19.876,64.812,19.889,64.83,19.79,64.83],[19.645,64.868,19.671,64.849,19.775,64.834,19.775,64.849,19.645,64.868],[19.346,64.942,19.409,64.905,19.424,64.868,19.424,64.892,19.468,64.892,19.468,64.905,19.424,64.93,19.346,64.942],[19.775,64.764,19.807,64.755,19.797,64.737,19.857,64.721,19.819,64.764,19.775,64.764],[19.556,64.791,19.6,64.767,19.669,64.774,19.556,64.791],[19.775,64.774,19.731,64.783,19.731,64.773,19.775,64.774,19.797,64.793,19.737,64.808,19.775,64.774],[19.05,64.942,19.032,64.924,19.085,64.942,19.072,64.961,19.05,64.942,19.028,64.969,18.952,64.976,19.05,64.942],[19.12,64.996,19.16,64.977,19.16,64.95,19.23,64.942,19.23,64.961,19.18,64.961,19.185,64.979,19.12,64.996],[19.127,64.83,19.16,64.786,19.182,64.812,19.127,64.83],[18.275,66.054,18.255,66.036,18.281,66.049,18.325,66.034,18.465,66.036,18.325,66.061,18.275,66.054],[18.369,66.089,18.48,66.075,18.435,66.096,18.369,66.089],[17.93,65.909,17.93,65.893,18.018,65.865,17.974,65.865,17.96,65.839,17.974,65.853,18.062,65.826,18.026,65.875,17.93,65.909],[18.707,66,18.692,65.982,18.733,65.964,18.73,66,18.707,66],[18.149,65.586,18.237,65.622,18.149,65.631,18.139,65.656,18.087,65.622,18.149,65.61,18.149,65.586],[18.531,65.658,18.531,65.64,18.633,65.636,18.531,65.658],[18.193,65.776,18.193,65.791,18.159,65.771,18.193,65.776,18.193,65.754,18.149,65.767,18.149,65.783,18.105,65.758,18.105,65.785,18.075,65.785,18.109,65.803,18.062,65.821,17.996,65.821,18.04,65.812,18.039,65.767,18.087,65.749,18.049,65.749,18.1,65.704,18.062,65.68,18.237,65.664,18.237,65.676,18.156,65.676,18.237,65.685,18.325,65.646,18.501,65.648,18.369,65.714,18.369,65.731,18.4,65.731,18.369,65.773,18.281,65.78,18.281,65.762,18.193,65.776],[18.738,65.676,18.839,65.658,18.809,65.682,18.738,65.676],[18.018,66.063,18.018,66.036,18.027,66.054,18.232,66.036,18.214,66.054,18.105,66.061,18.062,66.098,17.93,66.081,17.93,66.096,17.872,66.107,17.886,66.129,17.842,66.113,17.842,66.125,17.754,66.115,17.842,66.082,17.842,66.072,17.77,66.072,17.765,66.057,17.864,66.063,17.842,66.04,17.93,66.065,18.018,66.063],[17.358,66.107,17.278,66.107,17.34,66.089,17.296,66.072,17.358,66.03,17.402,66.029,17.367,66.036,17.358,66.063,17.446,66.083,17.534,66.078,17.49,66.115,17.446,66.101,17.446,66.12,17.402,66.096,17.358,66.107],[17.539,66.107,17.578,66.078,17.666,66.088,17.677,66.072,17.666,66.094,17.611,66.089,17.539,66.107],[17.639,65.803,17.666,65.776,17.684,65.803,17.666,65.813,17.639,65.803],[17.783,65.821,17.798,65.764,17.821,65.803,17.783,65.821],[17.71,66.084,17.71,66.059,17.666,66.059,17.693,66.054,17.666,66.041,17.643,66.054,17.666,66.068,17.622,66.065,17.622,66.042,17.534,66.048,17.534,66.036,17.578,65.995,17.604,66.018,17.578,66.036,17.634,66.036,17.666,66.008,17.719,66,17.676,65.982,17.768,65.964,17.776,65.938,17.713,65.942,17.728,65.857,17.798,65.83,17.798,65.845,17.842,65.845,17.869,65.911,17.908,65.893,17.908,65.911,17.937,65.911,17.908,65.938,17.989,65.946,17.944,65.964,17.947,66.018,17.889,66.031,17.93,65.99,17.886,65.997,17.842,66.036,17.824,66.018,17.805,66.054,17.73,66.054,17.71,66.084],[17.446,65.642,17.412,65.592,17.472,65.586,17.481,65.549,17.534,65.541,17.498,65.549,17.498,65.604,17.446,65.61,17.446,65.642],[17.666,65.74,17.71,65.708,17.731,65.713,17.71,65.74,17.666,65.74],[17.183,65.69,17.227,65.666,17.283,65.676,17.314,65.658,17.36,65.676,17.183,65.69],[17.115,66.196,17.139,66.098,17.183,66.098,17.139,66.204,17.115,66.196],[17.154,66.089,17.202,66.018,17.183,66.089,17.154,66.089],[17.07,66.426,17.073,66.399,17.012,66.404,17.024,66.39,17.157,66.39,17.11,66.373,17.328,66.338,17.271,66.303,17.336,66.311,17.315,66.29,17.402,66.29,17.502,66.249,17.446,66.231,17.446,66.249,17.402,66.231,17.382,66.249,17.382,66.231,17.446,66.222,17.446,66.206,17.638,66.196,17.666,66.17,17.578,66.173,17.578,66.161,17.645,66.161,17.71,66.121,17.842,66.131,17.798,66.178,17.747,66.178,17.798,66.196,17.754,66.206,17.71,66.196,17.666,66.219,17.622,66.207,17.578,66.256,17.534,66.257,17.49,66.292,17.446,66.292,17.32,66.373,17.271,66.366,17.227,66.385,17.183,66.382,17.139,66.414,17.095,66.404,17.095,66.435,17.07,66.426],[17.007,65.778,17.007,65.756,17.051,65.756,17.051,65.731,17.079,65.731,17.07,65.767,17.007,65.778],[16.865,65.821,16.861,65.803,16.919,65.8,16.919,65.785,16.988,65.767,16.995,65.803,16.963,65.793,16.919,65.81,16.875,65.803,16.865,65.821],[17.095,65.749,17.095,65.725,17.02,65.731,17.031,65.713,17.139,65.691,17.15,65.676,17.162,65.694,17.095,65.749],[18.073,65.402,18.092,65.367,18.149,65.375,18.073,65.402],[18.498,65.458,18.501,65.449,18.43,65.458,18.457,65.438,18.589,65.437,18.606,65.422,18.589,65.445,18.501,65.467,18.498,65.458],[18.332,65.511,18.369,65.452,18.375,65.495,18.494,65.477,18.457,65.502,18.332,65.511],[18.413,65.094,18.457,65.08,18.495,65.106,18.413,65.094],[18.49,65.183,18.49,65.165,18.545,65.165,18.501,65.146,18.564,65.146,18.568,65.165,18.49,65.183],[18.262,65.201,18.325,65.192,18.356,65.218,18.262,65.201],[17.63,65.458,17.679,65.422,17.692,65.458,17.63,65.458],[17.666,65.233,17.666,65.22,17.754,65.212,17.71,65.234,17.666,65.233],[17.314,65.35,17.271,65.33,17.345,65.312,17.314,65.35],[16.888,65.489,16.908,65.458,16.963,65.44,17.073,65.431,17.044,65.403,17.12,65.385,17.095,65.458,16.985,65.449,17.006,65.471,16.888,65.489],[16.425,65.44,16.479,65.415,16.518,65.431,16.458,65.453,16.425,65.44],[16.492,65.312,16.523,65.299,16.523,65.262,16.562,65.257,16.547,65.312,16.492,65.312],[16.479,65.359,16.523,65.335,16.501,65.33,16.557,65.314,16.545,65.349,16.479,65.359],[17.222,65.312,17.173,65.312,17.227,65.289,17.247,65.303,17.222,65.312],[17.183,65.378,17.227,65.356,17.301,65.349,17.271,65.374,17.183,65.378],[16.348,65.403,16.348,65.367,16.465,65.349,16.348,65.403],[16.26,65.139,16.304,65.109,16.392,65.099,16.326,65.118,16.348,65.14,16.26,65.139],[16.611,65.325,16.639,65.293,16.724,65.275,16.699,65.265,16.611,65.272,16.64,65.238,16.682,65.238,16.699,65.201,16.727,65.201,16.708,65.22,16.743,65.235,16.787,65.22,16.743,65.201,16.787,65.194,16.787,65.176,16.831,65.22,16.963,65.156,17.051,65.146,16.963,65.135,16.963,65.121,17.007,65.105,17.051,65.12,17.095,65.097,17.126,65.109,17.127,65.128,17.073,65.118,17.079,65.146,17.027,65.165,17.007,65.201,16.963,65.196,16.963,65.213,17.007,65.22,16.919,65.22,16.919,65.235,16.875,65.227,16.831,65.265,16.743,65.269,16.611,65.325],[16.596,65.109,16.596,65.091,16.743,65.088,16.596,65.109],[16.509,65.183,16.523,65.139,16.567,65.134,16.539,65.183,16.509,65.183],[17.109,65.181,17.139,65.159,17.271,65.149,17.227,65.172,17.183,65.165,17.183,65.176,17.109,65.181],[16.567,65.29,16.567,65.257,16.599,65.257,16.611,65.283,16.567,65.29],[17.964,64.961,17.964,64.942,18.052,64.924,18.062,64.898,18.105,64.898,18.075,64.905,18.105,64.929,17.964,64.961],[18.049,64.849,18.062,64.832,18.018,64.83,18.127,64.796,18.079,64.83,18.088,64.849,18.049,64.849],[18.472,64.812,18.52,64.793,18.545,64.821,18.472,64.812],[18.721,64.849,18.677,64.828,18.721,64.818,18.748,64.83,18.721,64.831,18.721,64.849],[18.083,64.755,18.083,64.737,18.149,64.726,18.131,64.755,18.083,64.755,18.062,64.772,18.062,64.755,18.083,64.755],[17.417,65.054,17.413,65.035,17.534,64.991,17.417,65.054],[17.534,64.624,17.486,64.624,17.578,64.598,17.609,64.605,17.611,64.624,17.556,64.614,17.534,64.624],[17.44,64.83,17.428,64.812,17.519,64.793,17.49,64.817,17.446,64.812,17.44,64.83],[17.866,64.924,17.868,64.905,17.93,64.894,17.886,64.932,17.866,64.924],[17.072,64.961,17.049,64.961,17.095,64.953,17.067,64.942,17.095,64.936,17.139,64.957,17.153,64.942,17.139,64.967,17.072,64.961],[16.33,64.755,16.329,64.737,16.392,64.725,16.348,64.762,16.33,64.755],[16.643,64.905,16.523,64.886,16.676,64.868,16.676,64.886,16.708,64.886,16.643,64.905],[16.372,65.091,16.371,65.054,16.26,65.054,16.348,65.047,16.516,64.905,16.558,64.905,16.523,64.942,16.479,64.942,16.523,64.961,16.436,64.979,16.479,64.998,16.422,64.998,16.392,65.025,16.417,65.072,16.372,65.091],[16.374,64.718,16.367,64.699,16.411,64.68,16.417,64.699,16.374,64.718],[16.436,64.665,16.479,64.643,16.494,64.662,16.523,64.65,16.542,64.662,16.501,64.673,16.436,64.665],[16.492,64.793,16.522,64.765,16.501,64.737,16.554,64.719,16.525,64.746,16.562,64.765,16.492,64.793],[15.425,66.032,15.469,65.982,15.456,65.946,15.503,65.931,15.48,66.018,15.425,66.032],[16.244,65.964,16.237,65.946,16.342,65.946,16.244,65.964],[16.183,65.767,16.21,65.731,16.3,65.698,16.26,65.731,16.216,65.731,16.26,65.749,16.183,65.767],[15.669,65.803,15.608,65.799,15.634,65.767,15.722,65.803,15.669,65.803],[16.114,65.803,16.084,65.79,16.128,65.796,16.134,65.771,16.216,65.774,16.172,65.803,16.114,65.803],[15.407,65.676,15.414,65.64,15.469,65.634,15.528,65.604,15.513,65.661,15.469,65.646,15.407,65.676],[15.285,65.549,15.32,65.549,15.337,65.531,15.351,65.549,15.437,65.549,15.315,65.563,15.285,65.549],[15.962,65.614,15.977,65.586,16.128,65.555,16.058,65.586,16.058,65.604,15.962,65.614],[15.489,65.586,15.513,65.53,15.537,65.531,15.529,65.586,15.489,65.586],[15.557,65.545,15.557,65.523,15.645,65.52,15.557,65.545],[15.756,65.676,15.842,65.646,15.908,65.651,15.82,65.665,15.82,65.676,15.756,65.676],[14.835,65.839,14.81,65.819,14.897,65.817,14.941,65.834,14.835,65.839],[14.704,65.839,14.789,65.821,14.766,65.847,14.704,65.839],[14.897,66.051,14.897,66.026,14.941,66.031,15.051,66.009,15.016,65.982,15.029,65.96,15.091,66.018,14.897,66.051],[14.634,65.731,14.634,65.711,14.722,65.726,14.634,65.731],[15.18,65.749,15.205,65.72,15.249,65.742,15.346,65.749,15.18,65.749],[15.095,65.749,15.074,65.735,15.161,65.74,15.161,65.751,15.095,65.749],[14.897,65.539,14.897,65.517,15.044,65.531,14.897,65.539],[15.144,65.658,15.144,65.64,15.181,65.64,15.158,65.622,15.205,65.561,15.235,65.586,15.249,65.574,15.271,65.586,15.268,65.604,15.205,65.647,15.144,65.658],[14.678,65.545,14.722,65.507,14.871,65.513,14.854,65.536,14.854,65.521,14.678,65.545],[15.278,65.713,15.249,65.701,15.318,65.694,15.273,65.676,15.355,65.676,15.392,65.694,15.337,65.715,15.278,65.713],[14.546,66.155,14.568,66.125,14.546,66.134,14.52,66.125,14.583,66.089,14.546,66.089,14.546,66.101,14.502,66.075,14.342,66.072,14.337,66.054,14.392,66.063,14.458,66.032,14.546,66.078,14.59,66.078,14.59,66.107,14.722,66.072,14.766,66.107,14.82,66.089,14.81,66.064,14.854,66.064,14.854,66.028,14.877,66.036,14.861,66.089,14.8,66.107,14.8,66.125,14.722,66.119,14.722,66.096,14.694,66.125,14.634,66.132,14.59,66.109,14.597,66.143,14.546,66.155],[14.034,66.125,14.102,66.089,14.137,66.089,14.122,66.107,14.079,66.107,14.079,66.125,14.034,66.125],[14.295,66.214,14.354,66.161,14.282,66.137,14.37,66.125,14.404,66.125,14.404,66.143,14.502,66.134,14.502,66.149,14.458,66.149,14.502,66.167,14.432,66.178,14.475,66.178,14.458,66.186,14.295,66.214],[14.238,66.09,14.216,66.089,14.238,66.065,14.321,66.072,14.268,66.072,14.238,66.09],[13.843,65.845,13.843,65.785,13.865,65.812,13.93,65.805,13.843,65.845],[12.898,65.839,12.942,65.812,12.92,65.791,12.964,65.788,12.964,65.821,12.929,65.821,12.92,65.848,12.898,65.839],[13.799,65.986,13.78,65.946,13.843,65.958,13.799,65.986],[14.358,65.911,14.194,65.903,14.194,65.884,14.09,65.893,14.106,65.871,14.186,65.875,14.12,65.839,14.127,65.821,13.975,65.795,13.905,65.803,13.933,65.767,13.909,65.749,13.955,65.749,13.931,65.728,13.975,65.721,13.975,65.706,14.028,65.713,14.096,65.676,14.063,65.662,14.063,65.676,14,65.676,13.931,65.713,13.843,65.676,14.041,65.667,14.03,65.644,14.159,65.676,14.167,65.694,14.106,65.693,14.15,65.713,14.109,65.713,14.063,65.736,14.084,65.758,14.176,65.774,14.194,65.794,14.159,65.812,14.2,65.839,14.172,65.857,14.351,65.877,14.37,65.907,14.436,65.893,14.414,65.918,14.358,65.911],[14.326,65.695,14.497,65.676,14.392,65.71,14.326,65.695],[15.667,65.495,15.469,65.495,15.469,65.509,15.435,65.495,15.337,65.502,15.381,65.482,15.491,65.486,15.482,65.462,15.601,65.487,15.645,65.477,15.732,65.487,15.864,65.463,15.776,65.498,15.667,65.495],[16.04,65.44,16.078,65.44,16.052,65.477,15.996,65.469,16.04,65.44,16.018,65.422,16.04,65.407,16.04,65.44],[15.852,65.238,15.852,65.22,15.99,65.22,16.028,65.203,15.996,65.224,15.908,65.224,15.852,65.238],[15.469,65.035,15.331,65.017,15.425,65.013,15.43,64.998,15.43,65.017,15.492,65.017,15.469,65.035],[16.149,65.146,16.206,65.146,16.216,65.128,16.246,65.146,16.216,65.159,16.149,65.146],[13.558,65.367,13.579,65.349,13.557,65.33,13.579,65.33,13.618,65.384,13.558,65.367],[14.173,65.531,14.173,65.513,14.138,65.513,14.216,65.495,14.194,65.54,14.173,65.531],[15.17,65.44,15.183,65.413,14.985,65.403,15.161,65.397,15.249,65.413,15.323,65.385,15.249,65.429,15.17,65.44],[15.004,65.293,15.007,65.266,14.898,65.244,14.941,65.246,15.029,65.21,15.073,65.209,15.029,65.245,15.029,65.303,15.004,65.293],[13.491,65.293,13.43,65.257,13.447,65.231,13.516,65.275,13.491,65.293],[15.085,65.33,15.205,65.321,15.117,65.341,15.085,65.33],[15.138,65.091,15.161,65.081,15.144,65.054,15.205,65.046,15.174,65.091,15.138,65.091],[14.801,65.054,14.742,65.054,14.897,65.045,14.897,65.057,14.854,65.063,14.801,65.054],[14.985,65.06,15.048,65.035,15.062,65.054,15.029,65.067,14.985,65.06],[13.799,65.054,13.755,65.028,13.684,65.017,13.684,64.998,13.819,64.998,13.799,65.054],[12.604,65.367,12.662,65.312,12.679,65.339,12.604,65.367],[13.279,65.201,13.271,65.146,13.228,65.146,13.271,65.142,13.315,65.158,13.359,65.135,13.361,65.174,13.34,65.165,13.341,65.183,13.279,65.201],[13.164,65.072,13.184,65.05,13.247,65.054,13.184,65.06,13.211,65.072,13.184,65.082,13.164,65.072],[13.215,65.128,13.228,65.101,13.271,65.101,13.244,65.128,13.215,65.128],[12.99,65.183,13.008,65.128,13.025,65.183,12.99,65.183],[15.293,64.995,15.293,64.979,15.337,64.969,15.443,64.961,15.425,64.986,15.293,64.995],[15.073,65.049,15.073,65.035,15.183,65.026,15.189,64.998,15.249,64.998,15.265,64.979,15.293,65.005,15.205,65.035,15.073,65.049],[15.962,64.849,15.983,64.812,16.172,64.799,16.172,64.812,16.04,64.818,15.996,64.849,15.962,64.849],[15.952,64.904,15.952,64.886,15.864,64.886,15.93,64.877,15.914,64.854,15.996,64.86,15.956,64.868,15.952,64.904],[16.174,64.774,16.158,64.755,16.237,64.737,16.314,64.643,16.37,64.652,16.35,64.63,16.392,64.63,16.419,64.643,16.392,64.662,16.304,64.68,16.348,64.689,16.337,64.718,16.26,64.737,16.26,64.761,16.174,64.774],[15.249,64.737,15.161,64.746,15.205,64.724,15.249,64.726,15.249,64.737],[14.478,64.924,14.59,64.905,14.502,64.936,14.478,64.924],[14.282,64.968,14.282,64.95,14.363,64.942,14.342,64.961,14.282,64.968],[14.15,64.83,14.106,64.842,14.076,64.83,14.063,64.788,14.238,64.78,14.238,64.801,14.194,64.817,14.106,64.81,14.15,64.83],[14.439,64.83,14.537,64.812,14.48,64.841,14.439,64.83],[14.203,64.868,14.184,64.849,14.238,64.836,14.268,64.849,14.238,64.883,14.203,64.868],[14.854,64.878,14.854,64.858,14.941,64.858,14.964,64.83,15.029,64.841,14.854,64.878],[14.326,64.657,14.37,64.635,14.446,64.627,14.427,64.643,14.326,64.657],[14.106,64.68,14.043,64.699,14.019,64.727,13.932,64.708,14.019,64.68,14.106,64.68],[14.178,64.755,14.167,64.727,14.194,64.709,14.194,64.742,14.238,64.764,14.178,64.755],[12.129,64.905,12.129,64.883,12.041,64.868,12.041,64.853,12.145,64.868,12.129,64.905],[13.447,64.934,13.447,64.92,13.517,64.905,13.491,64.94,13.491,64.924,13.447,64.934],[13.516,64.998,13.531,64.961,13.556,64.961,13.547,64.979,13.667,65.006,13.516,64.998],[13.384,64.793,13.359,64.737,13.41,64.737,13.403,64.724,13.359,64.715,13.315,64.755,13.315,64.737,13.228,64.729,13.228,64.689,13.293,64.683,13.376,64.699,13.607,64.68,13.654,64.699,13.535,64.712,13.384,64.793],[12.331,64.755,12.305,64.737,12.349,64.689,12.349,64.764,12.331,64.755],[13.481,64.868,13.403,64.852,13.399,64.868,13.397,64.849,13.447,64.849,13.579,64.748,13.755,64.691,13.755,64.707,13.711,64.707,13.732,64.737,13.711,64.755,13.667,64.75,13.667,64.765,13.711,64.774,13.654,64.774,13.623,64.799,13.579,64.803,13.535,64.879,13.481,64.868],[12.129,64.83,12.101,64.812,12.041,64.815,11.997,64.795,12.129,64.804,12.159,64.83,12.129,64.83],[11.974,64.849,11.969,64.832,12.085,64.847,11.997,64.858,11.974,64.849],[12.099,64.643,12.129,64.605,12.085,64.596,12.138,64.605,12.148,64.643,12.099,64.643],[13.302,64.624,13.359,64.618,13.359,64.605,13.458,64.605,13.359,64.631,13.302,64.624],[13.377,64.662,13.469,64.652,13.498,64.662,13.425,64.675,13.377,64.662],[20.148,64.492,20.14,64.473,20.195,64.473,20.171,64.501,20.148,64.492],[20.638,64.53,20.681,64.511,20.665,64.492,20.751,64.511,20.698,64.534,20.638,64.53],[20.942,64.548,20.918,64.536,20.991,64.53,20.982,64.548,20.942,64.548],[21.129,64.397,21.138,64.374,21.182,64.411,21.138,64.41,21.129,64.397],[21.342,64.397,21.357,64.359,21.387,64.397,21.342,64.397],[20.501,64.435,20.522,64.423,20.541,64.435,20.536,64.473,20.479,64.485,20.501,64.435,20.435,64.464,20.391,64.459,20.43,64.425,20.391,64.403,20.455,64.397,20.421,64.378,20.457,64.364,20.533,64.378,20.479,64.38,20.501,64.435],[21.385,64.435,21.358,64.402,21.401,64.401,21.401,64.429,21.454,64.435,21.385,64.435],[20.965,64.506,21.012,64.454,21.018,64.492,20.965,64.506],[19.612,64.567,19.609,64.548,19.666,64.564,19.726,64.549,19.688,64.572,19.612,64.567],[19.947,64.548,19.921,64.53,19.951,64.516,19.983,64.53,19.947,64.548],[19.38,64.598,19.432,64.548,19.424,64.593,19.38,64.598],[19.995,64.406,19.995,64.392,20.039,64.397,20.039,64.386,20.071,64.397,20.039,64.411,19.995,64.406],[19.897,64.435,19.951,64.425,19.924,64.416,19.951,64.404,19.978,64.416,19.951,64.444,19.897,64.435],[18.956,64.567,18.955,64.548,19.075,64.567,19.028,64.578,18.984,64.567,18.984,64.579,18.956,64.567],[19.688,64.378,19.676,64.321,19.74,64.302,19.755,64.321,19.731,64.34,19.719,64.321,19.695,64.359,19.7,64.378,19.731,64.378,19.731,64.364,19.752,64.378,19.688,64.378],[20.017,64.359,20.054,64.359,20.083,64.333,20.103,64.34,20.083,64.366,20.017,64.359],[20.369,63.957,20.347,63.941,20.413,63.939,20.404,63.957,20.369,63.957],[20.127,63.995,20.098,63.995,20.061,64.03,20.015,64.014,20.066,64.014,20.05,63.978,20.127,63.995],[19.056,64.149,19.055,64.13,19.11,64.13,19.116,64.088,19.124,64.13,19.09,64.149,19.112,64.164,19.056,64.149],[18.369,64.143,18.413,64.111,18.453,64.111,18.413,64.14,18.369,64.143],[18.918,64.173,18.962,64.12,19.006,64.117,18.918,64.173],[18.644,63.993,18.677,63.937,18.685,63.976,18.644,63.993],[18.274,64.101,18.27,64.072,18.413,64.009,18.347,64.043,18.369,64.053,18.325,64.087,18.274,64.101],[17.179,64.283,17.168,64.264,17.095,64.264,17.165,64.245,17.183,64.219,17.216,64.254,17.179,64.283],[17.595,64.149,17.638,64.13,17.638,64.149,17.666,64.15,17.622,64.161,17.595,64.149],[17.276,64.014,17.249,64.008,17.249,63.962,17.271,63.962,17.276,64.014],[17.139,64.063,17.139,63.997,17.106,63.979,17.183,63.988,17.154,63.995,17.139,64.063],[18.853,63.699,18.961,63.666,18.94,63.692,18.853,63.699],[18.974,63.372,18.945,63.338,18.984,63.341,18.984,63.38,18.974,63.372],[18.747,63.782,18.809,63.744,18.837,63.763,18.809,63.763,18.809,63.797,18.747,63.782],[17.139,63.86,17.121,63.821,17.169,63.805,17.139,63.86],[17.079,63.957,17.183,63.943,17.146,63.937,17.206,63.918,17.195,63.889,17.245,63.879,17.227,63.93,17.249,63.937,17.202,63.937,17.202,63.957,17.079,63.957],[17.13,63.568,17.095,63.521,17.134,63.513,17.114,63.529,17.139,63.541,17.227,63.543,17.25,63.529,17.227,63.562,17.227,63.549,17.171,63.549,17.13,63.568],[17.847,63.564,17.886,63.529,17.913,63.529,17.886,63.56,17.847,63.564],[17.578,63.578,17.546,63.568,17.578,63.544,17.578,63.562,17.622,63.556,17.647,63.568,17.578,63.578],[17.886,63.326,17.886,63.313,17.974,63.303,17.974,63.32,17.886,63.326],[17.576,63.352,17.666,63.315,17.622,63.357,17.576,63.352],[16.655,64.604,16.655,64.567,16.733,64.548,16.655,64.604],[16.605,64.643,16.524,64.624,16.587,64.624,16.587,64.605,16.562,64.605,16.611,64.591,16.611,64.574,16.64,64.614,16.605,64.643],[15.952,64.435,15.952,64.416,16.055,64.359,16.047,64.342,16.128,64.348,16.151,64.359,15.952,64.435],[16.886,64.378,16.903,64.35,17.117,64.317,16.886,64.378,16.853,64.4,16.789,64.397,16.886,64.378],[16.243,64.206,16.26,64.18,16.304,64.178,16.276,64.206,16.243,64.206],[16.86,64.206,16.875,64.193,16.815,64.187,16.831,64.175,16.858,64.187,16.918,64.187,16.86,64.206],[16.109,64.302,16.109,64.264,16.15,64.245,16.146,64.302,16.109,64.302],[15.058,64.34,15.036,64.303,15.161,64.314,15.249,64.305,15.205,64.324,15.073,64.321,15.058,64.34],[15.553,64.416,15.601,64.406,15.601,64.39,15.622,64.397,15.601,64.425,15.557,64.427,15.553,64.416],[15.82,64.243,15.82,64.225,15.902,64.187,15.955,64.187,15.908,64.225,15.82,64.243],[15.601,64.206,15.659,64.187,15.659,64.168,15.688,64.168,15.677,64.22,15.645,64.214,15.601,64.232,15.513,64.237,15.513,64.225,15.601,64.22,15.601,64.206],[15.751,64.283,15.776,64.225,15.801,64.225,15.776,64.283,15.751,64.283],[14.921,64.605,14.904,64.596,14.985,64.573,15.029,64.54,15.1,64.534,15.029,64.597,15.029,64.578,14.921,64.605],[14.463,64.397,14.502,64.375,14.656,64.368,14.686,64.378,14.681,64.397,14.678,64.378,14.572,64.378,14.463,64.397],[14.247,64.435,14.326,64.378,14.37,64.374,14.391,64.397,14.37,64.384,14.326,64.424,14.247,64.435],[14.546,64.418,14.546,64.406,14.613,64.397,14.606,64.416,14.546,64.418],[14.701,64.435,14.7,64.425,14.651,64.429,14.722,64.409,14.746,64.425,14.722,64.441,14.701,64.435],[14.15,64.443,14.238,64.422,14.238,64.442,14.15,64.443],[14.259,64.454,14.356,64.435,14.304,64.466,14.259,64.454],[14.962,64.245,15.054,64.225,15.029,64.25,14.962,64.245],[14.897,64.341,14.859,64.34,14.978,64.321,14.941,64.343,14.897,64.341],[14.951,64.318,14.959,64.302,15.002,64.302,15.009,64.283,15.073,64.277,15.081,64.264,15.1,64.283,14.951,64.318],[14.722,64.394,14.722,64.378,14.791,64.378,14.791,64.359,14.826,64.359,14.81,64.386,14.722,64.394],[16.26,63.961,16.25,63.918,16.304,63.914,16.304,63.956,16.299,63.918,16.26,63.961],[16.644,64.13,16.655,64.1,16.699,64.14,16.644,64.13],[16.719,63.782,16.72,63.763,16.774,63.763,16.743,63.793,16.719,63.782],[15.756,64.187,15.732,64.174,15.716,64.187,15.664,64.149,15.802,64.13,15.838,64.091,15.814,64.072,15.848,64.053,15.784,64.034,15.825,64.034,15.806,64.014,15.864,63.964,15.896,64.043,15.864,64.098,15.908,64.098,15.889,64.13,15.916,64.13,15.82,64.158,15.776,64.197,15.756,64.187],[15.663,63.821,15.71,63.812,15.689,63.788,15.759,63.802,15.688,63.833,15.663,63.821],[16.025,63.879,16.019,63.86,16.066,63.841,16.058,63.879,16.04,63.889,16.025,63.879],[15.738,63.853,15.796,63.802,15.785,63.841,15.738,63.853],[15.337,64.014,15.439,63.976,15.439,63.957,15.406,63.957,15.414,63.899,15.381,63.899,15.369,63.918,15.364,63.899,15.425,63.878,15.425,63.86,15.469,63.879,15.425,63.904,15.484,63.899,15.513,63.872,15.557,63.872,15.49,63.918,15.479,63.976,15.425,64.009,15.404,63.995,15.381,64.014,15.337,64.014],[14.15,64.045,14.129,64.005,14.15,63.988,14.169,64.034,14.194,64.034,14.194,64.045,14.15,64.045],[15.245,64.225,15.249,64.187,15.172,64.187,15.363,64.091,15.381,64.065,15.314,64.034,15.381,64.021,15.358,64.034,15.427,64.091,15.337,64.111,15.381,64.13,15.293,64.14,15.245,64.225],[14.106,64.061,14.106,64.034,14.134,64.034,14.15,64.061,14.106,64.061],[14.086,64.13,14.106,64.103,14.15,64.103,14.106,64.137,14.086,64.13],[14.381,63.918,14.393,63.879,14.475,63.86,14.475,63.879,14.43,63.879,14.414,63.913,14.381,63.918],[14.477,63.937,14.521,63.918,14.546,63.947,14.477,63.937],[14.238,63.995,14.21,63.976,14.15,63.972,14.238,63.942,14.238,63.957,14.326,63.942,14.326,63.96,14.282,63.962,14.25,63.976,14.267,63.995,14.238,63.995],[14.205,63.931,14.232,63.899,14.37,63.872,14.37,63.887,14.326,63.887,14.205,63.931],[14.354,63.976,14.37,63.91,14.393,63.957,14.354,63.976],[14.51,63.802,14.678,63.792,14.708,63.802,14.634,63.816,14.596,63.802,14.546,63.815,14.51,63.802],[14.298,63.821,14.326,63.797,14.392,63.802,14.34,63.802,14.326,63.834,14.298,63.821],[16.863,63.802,16.875,63.758,16.843,63.744,16.743,63.757,16.743,63.744,16.803,63.744,16.866,63.705,16.875,63.724,16.89,63.705,16.944,63.705,16.897,63.734,16.894,63.782,16.863,63.802],[16.242,63.627,16.224,63.614,16.329,63.607,16.33,63.627,16.242,63.627],[16.282,63.549,16.292,63.509,16.348,63.503,16.348,63.516,16.304,63.516,16.322,63.549,16.304,63.559,16.282,63.549],[16.26,63.607,16.26,63.588,16.182,63.605,16.216,63.583,16.339,63.588,16.269,63.588,16.26,63.607],[16.072,63.666,16.084,63.627,16.115,63.627,16.097,63.666,16.072,63.666],[15.732,63.737,15.776,63.708,15.776,63.724,15.807,63.724,15.807,63.705,15.892,63.69,15.82,63.728,15.732,63.737],[15.555,63.86,15.52,63.831,15.521,63.763,15.557,63.753,15.501,63.744,15.557,63.744,15.568,63.724,15.571,63.782,15.62,63.802,15.593,63.821,15.624,63.821,15.555,63.86],[15.746,63.763,15.753,63.744,15.807,63.744,15.776,63.777,15.746,63.763],[16.216,63.549,16.172,63.561,16.142,63.529,16.216,63.549],[15.796,63.588,15.814,63.549,15.882,63.529,15.882,63.549,15.82,63.549,15.82,63.588,15.796,63.588],[15.748,63.607,15.776,63.571,15.808,63.607,15.748,63.607],[15.983,63.627,16.036,63.627,15.966,63.607,16.019,63.607,16.019,63.588,16.128,63.588,16.128,63.598,16.084,63.598,16.084,63.614,16.04,63.599,16.04,63.639,15.983,63.627],[14.966,63.705,15.039,63.685,15.038,63.666,15.117,63.676,15.029,63.717,14.966,63.705],[14.678,63.769,14.678,63.745,14.634,63.744,14.675,63.744,14.722,63.713,14.737,63.744,14.703,63.744,14.678,63.769],[14.066,63.763,14.083,63.724,14.15,63.713,14.15,63.724,14.112,63.724,14.106,63.763,14.066,63.763],[15.381,63.527,15.381,63.509,15.423,63.509,15.425,63.474,15.449,63.49,15.425,63.509,15.469,63.515,15.381,63.527],[15.381,63.61,15.381,63.568,15.425,63.541,15.459,63.558,15.381,63.61],[14.722,63.646,14.695,63.607,14.766,63.599,14.781,63.607,14.722,63.646],[14.106,63.35,14.106,63.332,14.15,63.322,14.21,63.332,14.106,63.35],[14.15,63.405,14.15,63.392,14.238,63.379,14.282,63.348,14.326,63.352,14.326,63.37,14.282,63.37,14.282,63.38,14.344,63.372,14.344,63.352,14.381,63.352,14.381,63.372,14.326,63.397,14.15,63.405],[13.659,64.454,13.64,64.435,13.667,64.424,13.822,64.435,13.799,64.444,13.741,64.435,13.659,64.454],[13.755,64.513,13.711,64.507,13.931,64.479,13.86,64.511,13.755,64.513],[13.42,64.454,13.469,64.438,13.623,64.446,13.579,64.467,13.458,64.454,13.447,64.465,13.42,64.454],[14.019,64.671,14.106,64.624,14.095,64.567,14.134,64.567,14.123,64.662,14.084,64.675,14.019,64.671],[13.749,64.643,13.7,64.643,13.843,64.616,13.846,64.591,13.887,64.591,13.931,64.56,13.975,64.555,13.987,64.531,14.019,64.539,14.15,64.505,14.155,64.53,14.106,64.557,14.106,64.537,14.019,64.558,13.852,64.643,13.749,64.643],[13.718,64.225,13.779,64.225,13.799,64.2,13.843,64.2,13.799,64.233,13.718,64.225],[13.652,64.283,13.659,64.245,13.706,64.245,13.667,64.292,13.652,64.283],[13.406,64.397,13.51,64.378,13.51,64.397,13.406,64.397],[13.931,64.118,13.931,64.091,14.079,64.053,14.046,64.091,13.931,64.118],[12.208,64.586,12.173,64.579,12.233,64.567,12.248,64.586,12.217,64.599,12.208,64.586],[12.876,64.13,12.901,64.13,12.901,64.111,12.947,64.111,12.92,64.142,12.876,64.142,12.876,64.13],[12.173,64.187,12.145,64.187,12.195,64.216,12.261,64.213,12.261,64.233,12.386,64.264,12.305,64.272,12.305,64.261,12.158,64.245,12.158,64.225,12.129,64.225,12.129,64.239,12.085,64.211,12.076,64.225,12.07,64.206,12.041,64.217,11.931,64.178,11.865,64.179,11.689,64.121,11.909,64.137,11.953,64.163,12.173,64.187],[11.953,64.302,11.919,64.283,11.875,64.283,11.953,64.258,11.953,64.244,11.953,64.302],[12.022,64.321,11.953,64.313,12.009,64.302,12.085,64.335,12.022,64.321],[13.263,64.014,13.315,64.001,13.315,63.977,13.367,63.995,13.336,64.014,13.351,64.028,13.263,64.014],[13.052,64.111,13.052,64.091,12.992,64.072,13.052,64.048,13.111,64.053,13.052,64.111],[12.86,64.072,12.876,64.021,12.92,64.021,12.892,64.072,12.86,64.072],[10.919,64.473,10.983,64.438,10.953,64.463,10.986,64.488,10.919,64.473],[10.963,64.187,10.917,64.187,10.942,64.164,10.963,64.187,11.051,64.187,10.948,64.203,10.963,64.187],[11.503,64.206,11.639,64.191,11.602,64.211,11.503,64.206],[10.9,64.072,10.869,64.072,10.986,64.053,11.019,64.063,10.964,64.087,10.9,64.072],[11.634,64.13,11.646,64.121,11.577,64.111,11.646,64.079,11.646,64.107,11.681,64.12,11.634,64.13],[13.315,63.948,13.304,63.918,13.359,63.905,13.315,63.948],[13.651,63.995,13.623,63.963,13.667,63.963,13.667,63.949,13.689,63.966,13.755,63.963,13.711,63.988,13.667,63.976,13.667,64.002,13.651,63.995],[13.975,63.957,14.056,63.937,14.021,63.966,14.03,63.995,13.975,63.957],[13.008,63.833,13.034,63.821,13.004,63.802,13.08,63.767,13.107,63.821,13.008,63.833],[12.788,63.995,12.758,63.976,12.744,63.988,12.744,63.971,12.891,63.937,12.983,63.821,13.046,63.87,12.964,63.918,12.984,63.937,12.876,63.985,12.832,63.97,12.788,63.995],[13.491,63.904,13.476,63.879,13.535,63.841,13.535,63.867,13.594,63.879,13.516,63.879,13.491,63.904],[12.964,63.744,12.946,63.705,13.228,63.713,13.293,63.692,13.321,63.705,13.315,63.72,13.315,63.705,13.271,63.709,13.228,63.742,13.228,63.724,13.184,63.736,13.145,63.724,13.096,63.734,13.035,63.724,13.008,63.736,12.989,63.724,12.964,63.744],[12.903,63.763,12.927,63.724,12.954,63.779,12.903,63.763],[13.491,63.797,13.491,63.776,13.535,63.776,13.535,63.751,13.569,63.744,13.557,63.773,13.592,63.782,13.491,63.797],[10.666,63.899,10.65,63.879,10.679,63.867,10.731,63.879,10.679,63.884,10.666,63.899],[12.332,64.014,12.349,63.991,12.299,63.976,12.327,63.962,12.372,63.986,12.358,64.014,12.332,64.014],[12.329,63.802,12.349,63.754,12.393,63.802,12.329,63.802],[10.767,63.802,10.679,63.768,10.826,63.782,10.785,63.782,10.767,63.802],[11.558,63.916,11.602,63.85,11.558,63.814,11.602,63.811,11.635,63.85,11.614,63.899,11.558,63.916],[12.612,63.705,12.641,63.685,12.81,63.685,12.656,63.692,12.656,63.709,12.612,63.714,12.612,63.705,12.568,63.715,12.568,63.734,12.461,63.724,12.612,63.689,12.612,63.705],[12.159,63.666,12.261,63.649,12.217,63.674,12.159,63.666],[10.259,63.879,10.257,63.862,10.34,63.879,10.283,63.879,10.283,63.89,10.259,63.879],[9.976,63.824,9.976,63.802,9.952,63.802,9.976,63.776,9.999,63.792,9.981,63.821,10.035,63.821,9.976,63.824],[14.019,63.602,14.019,63.582,14.259,63.549,14.259,63.568,14.15,63.578,14.135,63.603,14.084,63.592,14.019,63.602],[13.931,63.643,13.931,63.616,13.998,63.588,13.984,63.627,13.931,63.643],[13.228,63.633,13.228,63.607,13.262,63.607,13.282,63.588,13.291,63.607,13.228,63.633],[13.673,63.568,13.642,63.549,13.76,63.558,13.711,63.579,13.673,63.568],[13.887,63.627,13.887,63.607,13.843,63.604,13.899,63.607,13.887,63.627,13.921,63.627,13.931,63.652,13.843,63.657,13.843,63.64,13.887,63.64,13.887,63.627],[13.201,63.47,13.202,63.451,13.297,63.451,13.297,63.431,13.359,63.421,13.385,63.431,13.359,63.453,13.228,63.47,13.228,63.482,13.201,63.47],[13.887,63.471,13.973,63.455,13.931,63.483,13.887,63.471],[12.907,63.685,12.899,63.666,12.871,63.685,12.871,63.666,12.935,63.607,12.916,63.588,12.955,63.549,13.096,63.507,13.096,63.522,13.14,63.529,13.071,63.529,13.024,63.549,13.008,63.6,13.026,63.57,13.089,63.607,13.221,63.607,13.069,63.646,13.04,63.684,12.986,63.676,13.004,63.702,12.907,63.685],[13.884,63.372,13.994,63.372,14.019,63.35,14.05,63.362,13.997,63.383,13.909,63.387,13.884,63.372],[13.109,63.392,13.14,63.364,13.184,63.359,13.14,63.392,13.109,63.392],[12.7,63.529,12.721,63.529,12.7,63.538,12.7,63.529,12.656,63.549,12.629,63.529,12.7,63.509,12.7,63.529],[12.349,63.571,12.349,63.519,12.349,63.534,12.393,63.534,12.362,63.568,12.405,63.568,12.349,63.571],[12.736,63.568,12.744,63.541,12.832,63.542,12.832,63.553,12.736,63.568],[11.731,63.588,11.828,63.568,11.795,63.549,11.821,63.543,11.953,63.546,11.953,63.56,11.909,63.557,11.821,63.592,11.731,63.588],[12.2,63.588,12.192,63.549,12.271,63.549,12.217,63.561,12.242,63.588,12.217,63.598,12.2,63.588],[12.568,63.676,12.48,63.653,12.504,63.627,12.471,63.627,12.568,63.599,12.656,63.596,12.656,63.607,12.692,63.607,12.632,63.627,12.65,63.666,12.59,63.656,12.568,63.676],[11.953,63.47,11.875,63.451,11.878,63.431,11.953,63.445,11.993,63.47,11.953,63.47],[12.578,63.464,12.612,63.442,12.672,63.451,12.578,63.464],[12.788,63.474,12.76,63.451,12.7,63.462,12.7,63.448,12.788,63.442,12.788,63.474],[12.033,63.47,11.997,63.47,11.997,63.452,12.071,63.452,12.062,63.47,12.033,63.47],[12.645,63.392,12.582,63.392,12.654,63.363,12.634,63.357,12.7,63.364,12.645,63.392],[11.39,63.388,11.412,63.372,11.514,63.359,11.514,63.379,11.448,63.373,11.39,63.388],[12.282,63.352,12.305,63.313,12.331,63.332,12.305,63.369,12.282,63.352],[12.217,63.406,12.217,63.392,12.295,63.372,12.281,63.392,12.217,63.406],[10.959,63.624,10.986,63.602,11.03,63.607,11.03,63.619,10.959,63.624],[10.208,63.646,10.18,63.627,10.195,63.573,10.204,63.607,10.257,63.627,10.212,63.627,10.264,63.646,10.239,63.66,10.208,63.646],[11.162,63.666,11.136,63.607,11.178,63.607,11.162,63.666],[9.601,63.47,9.712,63.457,9.712,63.476,9.601,63.47],[10.532,63.372,10.567,63.372,10.591,63.335,10.607,63.352,10.663,63.335,10.613,63.362,10.627,63.383,10.532,63.372]],[[12.085,65.081,12.085,65.109,12.07,65.092,12.055,65.108,12.086,65.134,12.101,65.113,12.169,65.121,12.115,65.123,12.111,65.184,12.232,65.212,12.303,65.161,12.23,65.11,12.304,65.118,12.34,65.112,12.331,65.098,12.179,65.054,12.127,65.052,12.085,65.081]],[[6.552,58.242,6.568,58.219,6.544,58.211,6.521,58.244,6.552,58.242]],[[6.573,58.219,6.562,58.241,6.612,58.238,6.63,58.197,6.573,58.219]],[[8.332,58.205,8.359,58.227,8.392,58.218,8.371,58.196,8.332,58.205]],[[11.01,58.875,10.999,58.883,11.008,58.892,11.043,58.898,11.061,58.868,11.045,58.861,11.01,58.875]],[[11.194,58.846,11.207,58.832,11.156,58.838,11.145,58.826,11.143,58.85,11.2,58.853,11.196,58.862,11.22,58.839,11.194,58.846]],[[11.24,58.407,11.219,58.41,11.232,58.441,11.259,58.446,11.266,58.414,11.244,58.396,11.24,58.407]],[[11.648,58.247,11.68,58.237,11.687,58.3,11.751,58.3,11.761,58.26,11.784,58.267,11.842,58.233,11.827,58.122,11.777,58.132,11.711,58.087,11.703,58.114,11.673,58.106,11.674,58.12,11.635,58.098,11.636,58.116,11.66,58.119,11.622,58.135,11.582,58.121,11.558,58.086,11.47,58.126,11.499,58.102,11.475,58.07,11.458,58.087,11.491,58.096,11.447,58.129,11.426,58.121,11.409,58.134,11.434,58.166,11.412,58.156,11.409,58.172,11.437,58.18,11.434,58.168,11.457,58.169,11.498,58.206,11.533,58.198,11.618,58.249,11.648,58.247]],[[11.704,58.073,11.666,58.06,11.642,58.067,11.651,58.082,11.683,58.081,11.667,58.094,11.701,58.094,11.704,58.073]],[[11.535,58.01,11.509,58.054,11.556,58.065,11.566,58.049,11.627,58.051,11.626,58.063,11.668,58.056,11.758,58.073,11.757,58.006,11.718,57.992,11.709,58.022,11.702,58.003,11.678,58.006,11.699,57.991,11.672,57.977,11.685,57.969,11.631,57.963,11.593,57.932,11.554,57.948,11.58,57.961,11.541,57.958,11.55,57.974,11.528,57.972,11.542,58.006,11.585,58,11.579,58.014,11.551,58.012,11.591,58.022,11.535,58.01]],[[5.328,59.972,5.455,59.937,5.525,59.884,5.542,59.788,5.507,59.787,5.489,59.751,5.483,59.762,5.459,59.747,5.403,59.751,5.421,59.762,5.382,59.767,5.389,59.779,5.337,59.785,5.341,59.808,5.363,59.792,5.358,59.832,5.348,59.844,5.34,59.81,5.285,59.872,5.304,59.888,5.359,59.872,5.289,59.908,5.288,59.882,5.274,59.888,5.281,59.919,5.315,59.918,5.309,59.932,5.33,59.931,5.327,59.955,5.287,59.962,5.318,59.982,5.328,59.972]],[[5.243,59.733,5.245,59.693,5.198,59.647,5.242,59.666,5.226,59.646,5.248,59.628,5.229,59.619,5.229,59.633,5.209,59.602,5.249,59.614,5.249,59.602,5.183,59.574,5.197,59.596,5.164,59.616,5.186,59.629,5.168,59.626,5.151,59.654,5.183,59.702,5.165,59.714,5.201,59.742,5.23,59.727,5.241,59.744,5.243,59.733]],[[5.65,59.817,5.656,59.799,5.683,59.805,5.697,59.79,5.7,59.813,5.72,59.817,5.742,59.792,5.802,59.79,5.843,59.756,5.79,59.762,5.778,59.728,5.744,59.722,5.732,59.763,5.754,59.781,5.731,59.776,5.715,59.795,5.697,59.782,5.665,59.783,5.63,59.809,5.65,59.817]],[[5.372,59.328,5.364,59.29,5.377,59.298,5.383,59.284,5.354,59.268,5.334,59.317,5.372,59.328]],[[5.469,59.195,5.44,59.159,5.435,59.175,5.374,59.199,5.388,59.247,5.457,59.225,5.469,59.195]],[[5.846,59.194,5.88,59.166,5.842,59.14,5.798,59.138,5.771,59.173,5.809,59.166,5.815,59.197,5.846,59.194]],[[5.895,59.114,5.875,59.125,5.903,59.128,5.903,59.153,5.928,59.159,5.953,59.139,5.895,59.114]],[[5.749,59.036,5.705,59.032,5.682,59.045,5.777,59.048,5.749,59.036]],[[6.043,59.238,5.931,59.227,5.925,59.275,6.057,59.297,6.105,59.261,6.043,59.238]],[[6.058,59.223,6.101,59.23,6.043,59.184,6.008,59.183,5.999,59.217,6.058,59.223]],[[10.382,59.163,10.36,59.187,10.386,59.232,10.39,59.268,10.432,59.252,10.429,59.237,10.458,59.222,10.452,59.199,10.468,59.191,10.438,59.164,10.392,59.178,10.382,59.163]],[[10.403,59.168,10.446,59.153,10.415,59.144,10.414,59.127,10.437,59.129,10.406,59.053,10.375,59.153,10.403,59.168]],[[4.893,61.783,4.846,61.747,4.854,61.769,4.79,61.791,4.847,61.811,4.893,61.783]],[[5.027,61.325,4.952,61.312,4.933,61.333,4.885,61.339,4.907,61.38,4.966,61.368,5.007,61.38,5.027,61.325]],[[4.688,61.302,4.723,61.32,4.78,61.289,4.707,61.285,4.688,61.302]],[[4.7,61.083,4.703,61.097,4.715,61.034,4.742,61.032,4.71,60.986,4.714,61.037,4.681,61.037,4.709,61.016,4.688,60.992,4.643,61.034,4.668,61.035,4.647,61.061,4.7,61.083]],[[5.142,62.001,5.155,61.988,5.093,61.98,5.144,61.972,5.118,61.927,5.034,61.932,5.011,61.951,5.036,61.966,5.052,61.949,5.068,61.97,4.991,61.99,4.985,62.035,5.08,62.002,5.125,62.035,5.142,62.001]],[[5.058,61.916,5.125,61.9,5.043,61.897,5.009,61.924,5.058,61.916]],[[5.232,61.867,5.26,61.86,5.251,61.834,5.125,61.825,5.164,61.847,5.141,61.866,5.15,61.842,5.097,61.814,4.961,61.775,4.942,61.798,4.952,61.777,4.928,61.769,4.905,61.817,4.958,61.809,4.947,61.825,5.026,61.856,5.01,61.863,4.942,61.834,4.818,61.855,4.863,61.877,4.926,61.882,4.9,61.895,4.951,61.91,5.084,61.878,5.232,61.867]],[[5.265,62.02,5.311,62.022,5.305,61.998,5.265,61.998,5.265,62.02]],[[6.15,62.637,6.214,62.623,6.219,62.595,6.145,62.615,6.127,62.633,6.15,62.637]],[[6.799,62.818,6.819,62.827,6.781,62.844,6.813,62.852,6.865,62.834,6.922,62.857,6.969,62.85,6.959,62.824,6.887,62.813,6.92,62.811,6.916,62.774,6.765,62.807,6.799,62.818]],[[6.722,62.711,6.769,62.734,6.917,62.75,6.939,62.732,6.925,62.704,6.676,62.661,6.658,62.687,6.703,62.7,6.67,62.719,6.718,62.741,6.742,62.735,6.722,62.711]],[[6.532,62.65,6.573,62.653,6.598,62.687,6.642,62.7,6.665,62.662,6.52,62.639,6.532,62.65]],[[7.9,63.156,7.876,63.161,7.915,63.168,7.943,63.157,7.908,63.174,8.125,63.237,8.191,63.159,8.033,63.141,7.9,63.156]],[[8.467,63.324,8.447,63.304,8.358,63.308,8.417,63.332,8.467,63.324]],[[8.15,63.237,8.191,63.249,8.217,63.233,8.176,63.225,8.15,63.237]],[[9.4,63.791,9.389,63.812,9.424,63.829,9.444,63.811,9.4,63.791]],[[9.845,64.033,9.921,64.049,9.909,64.036,9.955,64.013,9.886,63.997,9.894,64.019,9.848,64.021,9.845,64.033]],[[10.913,64.968,10.805,64.947,10.804,64.98,10.834,64.991,10.914,65.002,10.889,64.983,10.971,64.99,10.936,64.979,10.96,64.97,10.913,64.968]],[[10.881,64.871,10.923,64.897,11.08,64.932,11.124,64.963,11.162,64.965,11.162,64.944,11.235,64.937,11.128,64.917,11.229,64.931,11.253,64.901,11.309,64.909,11.265,64.871,11.143,64.825,11.145,64.835,11.116,64.833,11.136,64.844,11.086,64.826,11.104,64.857,11.059,64.855,11.141,64.895,11.092,64.892,11.123,64.915,10.845,64.838,10.829,64.849,10.881,64.871]],[[9.979,64.04,9.927,64.05,9.984,64.083,10.052,64.051,9.979,64.04]],[[11.135,65.017,11.15,64.999,11.089,64.999,11.102,65.021,11.135,65.017]],[[11.059,64.943,10.951,64.907,10.955,64.923,10.829,64.857,10.736,64.851,10.769,64.867,10.713,64.857,10.748,64.879,10.657,64.859,10.719,64.899,10.683,64.894,10.727,64.901,10.739,64.888,10.775,64.896,10.788,64.904,10.753,64.907,10.806,64.928,10.863,64.939,10.848,64.929,10.876,64.929,10.964,64.959,10.989,64.95,11.076,64.988,11.114,64.986,11.083,64.978,11.121,64.981,11.103,64.974,11.167,64.979,11.058,64.961,11.059,64.943]],[[11.403,64.939,11.402,64.954,11.457,64.962,11.45,64.944,11.403,64.939]],[[11.311,64.912,11.289,64.929,11.368,64.948,11.311,64.912]],[[11.162,64.658,11.222,64.682,11.33,64.69,11.298,64.68,11.356,64.68,11.361,64.662,11.324,64.598,11.26,64.639,11.172,64.636,11.161,64.647,11.2,64.656,11.162,64.658]],[[11.363,64.634,11.499,64.562,11.467,64.547,11.421,64.552,11.439,64.54,11.343,64.562,11.355,64.586,11.383,64.586,11.363,64.634]],[[11.1,64.653,11.157,64.617,11.243,64.609,11.279,64.589,11.271,64.541,11.37,64.551,11.446,64.53,11.414,64.473,11.391,64.488,11.31,64.481,11.296,64.513,11.179,64.511,11.133,64.565,11.164,64.579,11.172,64.571,11.191,64.588,11.221,64.567,11.225,64.588,11.107,64.585,11.033,64.599,11.041,64.637,11.074,64.635,11.073,64.651,11.1,64.653]],[[11.571,64.888,11.537,64.875,11.279,64.858,11.305,64.882,11.463,64.938,11.54,64.887,11.571,64.888]],[[11.2,64.455,11.213,64.488,11.268,64.489,11.285,64.473,11.2,64.455]],[[12,65.708,12.04,65.701,12.017,65.699,12.035,65.676,11.975,65.676,12.037,65.667,11.914,65.591,11.888,65.588,11.907,65.609,11.864,65.593,11.884,65.611,11.837,65.601,11.825,65.614,11.742,65.611,11.844,65.703,11.916,65.715,11.928,65.705,11.938,65.716,11.991,65.708,11.938,65.706,12,65.708]],[[12.036,65.219,12.016,65.203,11.964,65.213,12.003,65.24,12.036,65.219]],[[11.736,65.087,11.601,65.041,11.514,65.045,11.544,65.063,11.529,65.085,11.579,65.11,11.672,65.122,11.729,65.104,11.787,65.125,11.736,65.087]],[[11.893,65.057,11.746,65.014,11.746,65.043,11.858,65.115,12.011,65.167,12.035,65.152,12.006,65.115,11.908,65.094,11.99,65.112,12.01,65.101,11.893,65.057]],[[11.998,54.943,11.993,54.957,12.009,54.934,12.066,54.94,12.088,54.926,12.075,54.91,12.099,54.906,12.006,54.92,11.998,54.943]],[[12.126,54.902,12.099,54.906,12.147,54.943,12.12,54.957,12.182,54.968,12.168,54.987,12.207,54.967,12.277,54.984,12.274,54.961,12.354,54.986,12.279,54.985,12.286,55.02,12.232,55.042,12.26,55.061,12.311,55.028,12.51,55.011,12.547,54.98,12.531,54.944,12.385,54.965,12.324,54.956,12.204,54.881,12.143,54.881,12.125,54.899,12.148,54.9,12.126,54.902]],[[14.702,55.117,14.706,55.212,14.773,55.299,14.825,55.252,14.939,55.21,14.969,55.215,15.021,55.177,15.146,55.141,15.157,55.083,15.11,55.039,15.12,55.014,15.072,54.987,14.745,55.063,14.681,55.093,14.702,55.117]],[[12.719,55.893,12.698,55.891,12.667,55.92,12.726,55.91,12.719,55.893]],[[12.743,55.663,12.777,55.667,12.78,55.606,12.739,55.622,12.734,55.643,12.761,55.653,12.743,55.663]],[[12.417,56.096,12.518,56.086,12.624,56.039,12.554,55.985,12.515,55.925,12.596,55.788,12.578,55.725,12.59,55.71,12.612,55.722,12.612,55.71,12.568,55.702,12.599,55.697,12.596,55.68,12.559,55.678,12.58,55.672,12.531,55.632,12.531,55.642,12.502,55.64,12.491,55.601,12.396,55.614,12.362,55.593,12.349,55.609,12.349,55.59,12.217,55.529,12.195,55.489,12.196,55.479,12.217,55.51,12.208,55.466,12.186,55.452,12.227,55.423,12.364,55.397,12.416,55.369,12.455,55.33,12.455,55.289,12.354,55.236,12.26,55.241,12.16,55.214,12.11,55.179,12.098,55.135,12.078,55.138,12.094,55.176,12.022,55.161,12.011,55.146,12.035,55.141,12.035,55.123,12.13,55.132,12.184,55.111,12.153,55.076,12.099,55.09,12.169,54.993,12.121,54.995,12.077,54.969,12.025,54.963,11.952,54.998,11.909,55.005,11.919,54.995,11.899,54.994,11.809,55.038,11.617,55.081,11.832,55.045,11.808,55.073,11.775,55.087,11.761,55.077,11.763,55.094,11.72,55.113,11.724,55.129,11.759,55.119,11.818,55.135,11.795,55.154,11.717,55.156,11.746,55.197,11.714,55.209,11.641,55.176,11.492,55.197,11.433,55.219,11.417,55.203,11.465,55.189,11.384,55.189,11.422,55.19,11.397,55.209,11.369,55.198,11.352,55.21,11.288,55.204,11.377,55.187,11.258,55.198,11.234,55.244,11.279,55.235,11.292,55.254,11.267,55.239,11.24,55.247,11.234,55.287,11.127,55.329,11.184,55.325,11.207,55.343,11.166,55.355,11.141,55.331,11.093,55.347,11.114,55.37,11.15,55.367,11.215,55.396,11.172,55.499,11.123,55.533,11.113,55.512,11.08,55.515,11.089,55.534,11.15,55.544,11.149,55.589,11.09,55.631,10.932,55.669,11.087,55.661,11.102,55.676,11.072,55.681,11.077,55.67,10.986,55.729,10.918,55.727,10.868,55.743,10.955,55.75,11.045,55.732,11.146,55.753,11.142,55.727,11.206,55.696,11.217,55.746,11.266,55.73,11.286,55.755,11.304,55.743,11.38,55.777,11.358,55.844,11.394,55.831,11.5,55.851,11.531,55.886,11.519,55.931,11.298,55.972,11.277,56.011,11.382,55.967,11.521,55.951,11.592,55.962,11.634,55.939,11.778,55.977,11.792,55.949,11.755,55.941,11.751,55.905,11.711,55.904,11.689,55.926,11.689,55.912,11.669,55.913,11.669,55.881,11.738,55.824,11.715,55.806,11.663,55.818,11.609,55.782,11.655,55.773,11.732,55.796,11.77,55.745,11.661,55.734,11.652,55.721,11.769,55.721,11.768,55.733,11.812,55.686,11.77,55.659,11.805,55.661,11.831,55.693,11.836,55.683,11.876,55.737,11.846,55.756,11.864,55.796,11.878,55.814,11.943,55.823,11.959,55.846,11.901,55.921,11.905,55.938,11.949,55.932,12.032,55.902,11.998,55.863,12.039,55.843,12.065,55.734,12.014,55.719,11.989,55.741,11.928,55.652,11.952,55.676,12.002,55.678,11.991,55.707,12.053,55.681,11.999,55.69,12.02,55.671,11.997,55.647,12.023,55.67,12.059,55.674,12.056,55.657,12.085,55.651,12.091,55.67,12.069,55.678,12.12,55.729,12.041,55.844,12.067,55.877,12.016,55.962,11.976,55.967,11.866,55.942,11.843,55.967,12.196,56.113,12.309,56.129,12.417,56.096],[11.25,55.58,11.272,55.578,11.272,55.553,11.299,55.553,11.326,55.578,11.294,55.596,11.25,55.58],[12.437,55.789,12.465,55.826,12.437,55.831,12.393,55.785,12.437,55.789,12.48,55.765,12.49,55.777,12.437,55.789],[12.129,55.998,12.085,55.995,12.085,55.968,12.055,55.949,12.085,55.934,12.194,55.974,12.155,55.974,12.155,55.998,12.129,55.998],[12.04,55.998,12.032,55.974,12.069,55.974,12.071,55.998,12.041,56.014,12.04,55.998],[12.363,56.023,12.349,55.981,12.393,55.981,12.422,56.023,12.393,56.04,12.363,56.023]],[[15.449,56.148,15.424,56.141,15.413,56.16,15.459,56.165,15.458,56.128,15.449,56.148]],[[15.563,56.111,15.54,56.099,15.514,56.114,15.53,56.13,15.562,56.126,15.563,56.111]],[[15.699,56.092,15.692,56.072,15.635,56.097,15.655,56.125,15.727,56.114,15.712,56.1,15.691,56.106,15.699,56.092]],[[16.452,56.628,16.513,56.744,16.619,56.865,16.655,56.887,16.721,56.884,16.733,56.932,16.825,57.018,16.917,57.153,16.901,57.196,16.96,57.23,16.96,57.292,17.066,57.366,17.092,57.368,17.075,57.358,17.101,57.334,17.118,57.362,17.151,57.309,17.093,57.303,17.058,57.278,17.082,57.243,17.073,57.176,17.032,57.162,17.048,57.146,16.976,57.088,16.977,57.055,16.957,57.061,16.954,57.037,16.908,57.041,16.911,57.017,16.942,57.005,16.877,56.973,16.904,56.943,16.858,56.887,16.87,56.846,16.845,56.817,16.811,56.817,16.774,56.787,16.7,56.591,16.638,56.548,16.566,56.365,16.477,56.235,16.4,56.195,16.407,56.411,16.377,56.425,16.369,56.523,16.414,56.591,16.395,56.604,16.428,56.603,16.452,56.628]],[[16.761,57.821,16.789,57.802,16.695,57.84,16.708,57.855,16.766,57.837,16.761,57.821]],[[8.687,54.509,8.623,54.49,8.588,54.53,8.707,54.555,8.685,54.521,8.701,54.502,8.687,54.509]],[[19.181,58.387,19.178,58.398,19.245,58.393,19.325,58.365,19.292,58.34,19.226,58.336,19.181,58.387]],[[19.2,57.933,19.138,57.916,19.17,57.887,19.122,57.841,19.079,57.868,19.077,57.892,19.035,57.907,19.048,57.926,19.089,57.934,19.082,57.966,19.189,58,19.182,57.98,19.239,58,19.22,57.988,19.245,57.974,19.338,57.981,19.345,57.956,19.294,57.943,19.245,57.951,19.2,57.933]],[[19.035,57.764,19.012,57.74,18.992,57.783,19.023,57.787,19.035,57.764]],[[22.613,63.8,22.59,63.799,22.601,63.819,22.647,63.808,22.656,63.777,22.684,63.779,22.666,63.763,22.633,63.804,22.613,63.8]],[[21.701,63.431,21.731,63.439,21.712,63.451,21.752,63.456,21.757,63.431,21.701,63.431]],[[21.262,63.363,21.27,63.351,21.334,63.373,21.423,63.367,21.4,63.317,21.354,63.29,21.328,63.292,21.349,63.32,21.288,63.308,21.281,63.332,21.23,63.33,21.262,63.363]],[[21.177,63.001,21.211,62.99,21.207,62.942,21.199,62.956,21.164,62.942,21.135,62.957,21.162,62.976,21.12,63.001,21.146,63.014,21.177,63.001]],[[21.191,63.323,21.16,63.291,21.132,63.299,21.11,63.294,21.129,63.324,21.171,63.321,21.173,63.352,21.22,63.357,21.238,63.349,21.191,63.323]],[[22.004,63.345,22.017,63.365,22.036,63.348,22.031,63.36,22.052,63.358,22.024,63.377,22.004,63.348,21.941,63.335,22.006,63.396,22.03,63.383,22.045,63.394,22.078,63.381,22.095,63.39,22.096,63.366,22.035,63.338,22.011,63.35,22,63.332,22.028,63.336,22.077,63.284,22.062,63.331,22.072,63.322,22.13,63.336,22.159,63.311,22.167,63.326,22.195,63.311,22.232,63.351,22.223,63.28,22.124,63.289,22.178,63.274,22.148,63.253,22.057,63.267,22.086,63.274,22.053,63.288,21.974,63.28,21.989,63.323,22.031,63.314,21.995,63.328,22.004,63.345]],[[21.637,63.276,21.617,63.304,21.651,63.306,21.625,63.308,21.669,63.317,21.661,63.327,21.692,63.321,21.695,63.338,21.706,63.315,21.772,63.317,21.769,63.272,21.693,63.316,21.715,63.283,21.676,63.295,21.673,63.252,21.636,63.26,21.637,63.276]],[[21.097,63.306,21.146,63.279,21.161,63.288,21.199,63.28,21.226,63.289,21.186,63.286,21.183,63.313,21.25,63.321,21.236,63.296,21.258,63.317,21.278,63.296,21.202,63.246,21.258,63.235,21.273,63.253,21.325,63.238,21.277,63.266,21.323,63.253,21.39,63.283,21.452,63.255,21.463,63.207,21.412,63.205,21.413,63.185,21.4,63.197,21.373,63.185,21.362,63.213,21.302,63.156,21.256,63.162,21.286,63.17,21.23,63.169,21.208,63.2,21.208,63.185,21.166,63.185,21.147,63.231,21.104,63.254,21.13,63.265,21.08,63.272,21.116,63.272,21.086,63.282,21.097,63.306]],[[21.417,63.086,21.454,63.069,21.455,63.043,21.425,63.031,21.452,63.032,21.427,63.015,21.456,63.007,21.433,62.995,21.441,63.01,21.329,63.038,21.402,63.041,21.396,63.058,21.425,63.064,21.409,63.069,21.42,63.079,21.398,63.087,21.417,63.086]],[[21.442,62.986,21.342,62.995,21.321,63.012,21.377,63,21.363,63.012,21.388,63.017,21.442,62.986]],[[21.22,63.011,21.241,63.012,21.228,62.999,21.194,62.996,21.189,63.029,21.22,63.011]],[[8.474,55.34,8.422,55.356,8.327,55.45,8.35,55.467,8.351,55.454,8.374,55.469,8.408,55.464,8.421,55.425,8.454,55.432,8.474,55.34]],[[28.482,60.408,28.437,60.464,28.498,60.432,28.53,60.349,28.482,60.408]],[[28.494,60.315,28.419,60.367,28.479,60.368,28.514,60.348,28.517,60.301,28.494,60.315]],[[28.542,60.351,28.552,60.341,28.581,60.348,28.583,60.332,28.593,60.344,28.619,60.335,28.671,60.297,28.708,60.297,28.699,60.262,28.625,60.267,28.552,60.294,28.542,60.351]],[[20.896,63.689,20.873,63.68,20.885,63.698,20.85,63.678,20.88,63.748,20.941,63.763,20.915,63.763,20.936,63.78,20.93,63.767,20.955,63.764,20.927,63.749,20.942,63.723,20.918,63.696,20.901,63.685,20.907,63.7,20.896,63.689]],[[20.304,63.684,20.294,63.652,20.266,63.672,20.243,63.662,20.27,63.685,20.244,63.698,20.312,63.755,20.327,63.697,20.304,63.684]],[[18.507,63.018,18.498,63.055,18.531,63.068,18.539,63.055,18.566,63.063,18.507,63.018]],[[18.691,63.076,18.708,63.062,18.628,63.009,18.636,63.059,18.691,63.076]],[[21.494,65.019,21.471,65.018,21.479,65.042,21.545,65.029,21.494,65.019]],[[23.202,65.759,23.229,65.761,23.252,65.752,23.227,65.748,23.268,65.747,23.317,65.718,23.254,65.744,23.257,65.707,23.204,65.741,23.241,65.727,23.223,65.748,23.188,65.744,23.202,65.759]],[[22.733,65.72,22.742,65.774,22.798,65.75,22.823,65.703,22.733,65.72]],[[23.753,65.742,23.781,65.755,23.788,65.74,23.791,65.753,23.81,65.747,23.742,65.696,23.688,65.708,23.672,65.746,23.691,65.754,23.715,65.736,23.718,65.757,23.753,65.742]],[[22.992,65.694,22.964,65.702,22.976,65.666,22.946,65.669,22.874,65.704,22.868,65.743,22.957,65.74,22.97,65.726,22.933,65.726,22.992,65.694]],[[22.557,65.611,22.587,65.621,22.618,65.597,22.568,65.594,22.557,65.611]],[[22.54,65.565,22.523,65.58,22.575,65.577,22.641,65.598,22.657,65.585,22.612,65.577,22.599,65.552,22.54,65.565]],[[23.751,65.603,23.761,65.559,23.716,65.572,23.751,65.603]],[[22.612,65.51,22.559,65.517,22.543,65.543,22.617,65.523,22.612,65.51]],[[22.293,65.512,22.263,65.51,22.301,65.479,22.278,65.474,22.178,65.538,22.216,65.55,22.373,65.5,22.34,65.49,22.293,65.512]],[[22.536,65.513,22.571,65.474,22.521,65.476,22.48,65.509,22.536,65.513]],[[22.391,65.435,22.296,65.431,22.289,65.42,22.287,65.46,22.334,65.438,22.37,65.465,22.425,65.454,22.391,65.435]],[[22.229,65.425,22.143,65.435,22.16,65.48,22.224,65.462,22.199,65.455,22.229,65.425]],[[22.439,65.348,22.459,65.363,22.412,65.36,22.372,65.397,22.487,65.364,22.439,65.348]],[[21.754,65.269,21.751,65.292,21.869,65.247,21.788,65.252,21.754,65.269]],[[21.853,65.198,21.76,65.237,21.826,65.229,21.853,65.198]],[[17.961,62.776,17.943,62.791,18.004,62.787,18.031,62.766,17.989,62.755,17.961,62.776]],[[18.034,62.752,18.073,62.759,18.103,62.741,18.152,62.751,18.162,62.736,18.129,62.709,18.147,62.705,18.111,62.71,18.128,62.687,18.033,62.672,17.996,62.691,18.034,62.752]],[[18.037,62.652,18.003,62.658,18.013,62.668,18.078,62.672,18.062,62.663,18.105,62.659,18.092,62.641,18.037,62.652]],[[18,62.576,17.929,62.554,17.953,62.568,17.93,62.615,17.953,62.644,18.062,62.616,18,62.576]],[[17.695,62.404,17.635,62.436,17.718,62.426,17.74,62.388,17.695,62.404]],[[17.695,62.185,17.679,62.212,17.708,62.23,17.744,62.216,17.695,62.185]],[[17.462,61.548,17.462,61.537,17.396,61.535,17.39,61.553,17.372,61.536,17.362,61.558,17.462,61.548]],[[18.522,60.345,18.547,60.371,18.56,60.343,18.58,60.344,18.552,60.327,18.595,60.301,18.528,60.309,18.47,60.342,18.504,60.337,18.401,60.369,18.377,60.415,18.4,60.458,18.367,60.504,18.412,60.506,18.45,60.483,18.446,60.457,18.487,60.425,18.424,60.439,18.481,60.418,18.448,60.414,18.488,60.397,18.468,60.393,18.495,60.381,18.478,60.362,18.51,60.378,18.522,60.345]],[[18.785,60.149,18.716,60.16,18.717,60.195,18.746,60.203,18.709,60.208,18.725,60.223,18.79,60.19,18.775,60.175,18.81,60.176,18.815,60.159,18.779,60.165,18.785,60.149]],[[18.887,59.78,18.873,59.788,18.943,59.84,18.951,59.86,18.957,59.854,18.963,59.86,18.997,59.826,18.973,59.799,19.001,59.805,19.004,59.792,18.887,59.78]],[[7.373,58.004,7.387,57.992,7.332,57.995,7.337,58.021,7.373,58.004]],[[5.72,58.992,5.714,59.006,5.754,59.012,5.754,58.991,5.731,58.982,5.72,58.992]],[[23.169,70.146,23.286,70.14,23.196,70.129,23.169,70.146]],[[23.758,70.518,23.681,70.56,23.671,70.601,23.649,70.611,23.628,70.597,23.594,70.602,23.675,70.636,23.669,70.646,23.619,70.64,23.696,70.668,23.654,70.667,23.623,70.698,23.678,70.749,23.798,70.747,23.804,70.719,23.849,70.728,23.789,70.706,23.805,70.693,23.855,70.715,23.991,70.702,24.085,70.66,24.048,70.646,24.105,70.648,24.131,70.609,23.973,70.518,23.891,70.505,23.758,70.518]],[[24.998,70.999,24.954,71,24.994,71.009,24.925,71.026,24.974,71.051,24.995,71.033,25.056,71.038,24.998,70.999]],[[24.776,71.043,24.77,71.029,24.721,71.031,24.602,71.065,24.664,71.093,24.733,71.069,24.72,71.116,24.787,71.094,24.852,71.104,24.8,71.085,24.84,71.077,24.766,71.067,24.776,71.043]],[[19.095,70.117,18.979,70.156,19.045,70.173,19.106,70.15,19.09,70.19,19.169,70.2,19.1,70.205,19.12,70.22,19.083,70.239,19.153,70.238,19.2,70.263,19.26,70.184,19.23,70.133,19.188,70.115,19.113,70.107,19.095,70.117]],[[19.5,70.094,19.33,70.127,19.399,70.167,19.577,70.117,19.569,70.099,19.5,70.094]],[[19.74,70.227,19.71,70.248,19.76,70.263,19.779,70.243,19.74,70.227]],[[20.024,70.149,19.941,70.165,19.987,70.183,20.062,70.16,20.024,70.149]],[[21.211,70.031,21.193,70.044,21.27,70.052,21.279,70.037,21.211,70.031]],[[21.35,70.095,21.298,70.102,21.299,70.119,21.361,70.111,21.35,70.095]],[[21.56,70.026,21.627,70.045,21.733,70.01,21.685,69.991,21.549,70.017,21.56,70.026]],[[21.449,70.332,21.406,70.325,21.425,70.344,21.383,70.355,21.436,70.39,21.449,70.332]],[[21.689,70.274,21.702,70.394,21.812,70.343,21.759,70.278,21.698,70.259,21.689,70.274]],[[22.973,70.243,22.561,70.263,22.398,70.296,22.345,70.343,22.415,70.358,22.487,70.322,22.457,70.367,22.506,70.375,22.53,70.355,22.571,70.385,22.588,70.35,22.596,70.384,22.629,70.387,22.655,70.356,22.653,70.391,22.686,70.393,22.709,70.324,22.727,70.383,22.778,70.391,22.809,70.324,22.833,70.342,22.894,70.329,22.869,70.312,22.957,70.33,22.91,70.292,22.951,70.303,22.978,70.292,23.009,70.249,22.973,70.243]],[[24.038,70.914,23.922,70.933,23.972,70.945,23.888,70.953,23.936,70.979,24.022,70.989,23.879,70.983,23.839,70.998,23.95,71,23.883,71.001,23.958,71.011,23.883,71.019,23.986,71.037,23.997,71.024,24.021,71.037,24.069,71.026,24.054,71.004,24.215,70.997,24.06,70.99,24.057,70.96,24.145,70.973,24.228,70.96,24.181,70.952,24.214,70.945,24.135,70.94,24.14,70.928,24.094,70.936,24.038,70.914]],[[23.958,71.056,23.964,71.073,24.016,71.052,24.011,71.063,24.059,71.059,24.01,71.084,24.148,71.084,24.075,71.06,24.11,71.05,24.057,71.042,23.963,71.044,23.958,71.056]],[[25.807,70.664,25.777,70.691,25.867,70.712,25.881,70.688,25.807,70.664]],[[21.669,69.922,21.623,69.928,21.718,69.944,21.733,69.915,21.669,69.922]],[[20.577,69.906,20.734,69.912,20.687,69.859,20.735,69.832,20.567,69.787,20.515,69.837,20.577,69.906]],[[29.795,69.757,29.698,69.755,29.74,69.802,29.795,69.812,29.798,69.905,29.839,69.912,29.989,69.882,29.961,69.87,29.994,69.875,30.02,69.845,29.958,69.823,30.018,69.816,30.076,69.837,30.096,69.82,29.877,69.767,29.816,69.797,29.854,69.759,29.795,69.757]],[[13.157,54.511,13.144,54.547,13.245,54.555,13.286,54.543,13.305,54.514,13.297,54.552,13.371,54.577,13.336,54.549,13.361,54.545,13.348,54.519,13.387,54.531,13.388,54.54,13.353,54.549,13.376,54.56,13.415,54.519,13.412,54.494,13.451,54.472,13.49,54.481,13.452,54.447,13.491,54.455,13.519,54.444,13.447,54.419,13.545,54.419,13.543,54.457,13.572,54.487,13.505,54.482,13.502,54.549,13.447,54.551,13.396,54.573,13.369,54.615,13.333,54.582,13.245,54.558,13.282,54.647,13.226,54.624,13.228,54.587,13.161,54.559,13.219,54.599,13.22,54.641,13.251,54.66,13.429,54.685,13.429,54.661,13.377,54.635,13.422,54.578,13.462,54.57,13.635,54.585,13.68,54.562,13.668,54.521,13.609,54.499,13.57,54.461,13.612,54.404,13.673,54.401,13.766,54.342,13.719,54.312,13.724,54.274,13.688,54.28,13.709,54.28,13.7,54.296,13.647,54.297,13.704,54.326,13.611,54.316,13.681,54.341,13.651,54.356,13.618,54.331,13.578,54.353,13.551,54.34,13.454,54.336,13.461,54.317,13.42,54.303,13.392,54.27,13.387,54.28,13.351,54.27,13.358,54.247,13.365,54.264,13.417,54.255,13.424,54.238,13.394,54.221,13.291,54.251,13.321,54.245,13.337,54.279,13.309,54.266,13.321,54.258,13.27,54.254,13.217,54.279,13.2,54.27,13.192,54.297,13.141,54.281,13.154,54.305,13.185,54.3,13.115,54.332,13.127,54.371,13.235,54.369,13.262,54.384,13.238,54.387,13.211,54.43,13.15,54.429,13.17,54.453,13.199,54.447,13.27,54.48,13.229,54.485,13.232,54.511,13.157,54.511]],[[18.918,59.653,18.947,59.664,18.827,59.583,18.744,59.569,18.918,59.653]],[[21.218,60.627,21.231,60.65,21.289,60.662,21.259,60.671,21.315,60.668,21.3,60.646,21.328,60.63,21.306,60.63,21.347,60.634,21.355,60.624,21.323,60.621,21.353,60.618,21.372,60.587,21.309,60.621,21.301,60.609,21.336,60.601,21.31,60.576,21.277,60.597,21.297,60.599,21.289,60.626,21.285,60.603,21.264,60.622,21.27,60.598,21.218,60.627]],[[21.314,60.547,21.312,60.518,21.355,60.495,21.309,60.485,21.313,60.498,21.281,60.491,21.289,60.502,21.265,60.504,21.284,60.522,21.238,60.511,21.248,60.537,21.276,60.526,21.271,60.548,21.297,60.548,21.271,60.553,21.249,60.544,21.26,60.564,21.23,60.582,21.26,60.583,21.314,60.547]],[[16.551,68.985,16.449,68.986,16.474,69.016,16.545,69.02,16.531,69.001,16.582,68.992,16.551,68.985]],[[16.673,68.93,16.649,68.959,16.722,68.972,16.763,68.958,16.673,68.93]],[[18.38,59.074,18.36,59.076,18.482,59.121,18.47,59.101,18.493,59.091,18.449,59.048,18.427,59.062,18.442,59.047,18.413,59.041,18.408,59.008,18.381,59.017,18.388,59.005,18.338,59.027,18.349,59.04,18.375,59.034,18.341,59.05,18.38,59.074]],[[16.467,68.442,16.398,68.42,16.265,68.423,16.153,68.387,16.074,68.411,16.141,68.445,16.251,68.449,16.119,68.446,16.129,68.473,16.164,68.476,16.146,68.495,16.233,68.545,16.337,68.557,16.388,68.554,16.461,68.526,16.434,68.509,16.516,68.47,16.428,68.464,16.467,68.442]],[[18.245,69.742,18.247,69.726,18.213,69.724,18.159,69.748,18.222,69.763,18.245,69.742]],[[21.012,69.983,20.937,69.971,20.965,69.96,20.938,69.943,20.831,69.922,20.75,69.959,20.715,70.017,20.787,70.039,20.847,70.033,20.939,69.979,20.984,70.002,21.068,70.001,21.012,69.983]],[[20.629,69.979,20.636,69.992,20.684,69.964,20.659,69.938,20.609,69.954,20.629,69.979]],[[20.495,70.06,20.498,70.048,20.449,70.046,20.373,70.072,20.409,70.177,20.514,70.193,20.548,70.226,20.755,70.232,20.81,70.2,20.747,70.097,20.798,70.053,20.677,70.044,20.639,70.061,20.614,70.037,20.536,70.033,20.572,70.074,20.54,70.113,20.545,70.074,20.495,70.06]],[[20.838,70.065,20.768,70.112,20.841,70.156,20.929,70.099,20.838,70.065]],[[21.001,70.038,20.966,70.029,21.007,70.029,20.986,70.015,20.923,70.006,20.98,70.062,21.001,70.038]],[[18.177,59.382,18.256,59.372,18.157,59.369,18.231,59.361,18.205,59.339,18.143,59.346,18.094,59.382,18.118,59.392,18.177,59.382]],[[16.061,68.777,16.075,68.791,16.197,68.74,16.061,68.777]],[[16.309,68.832,16.342,68.836,16.308,68.876,16.249,68.89,16.268,68.921,16.303,68.891,16.416,68.856,16.491,68.854,16.489,68.822,16.52,68.815,16.595,68.837,16.541,68.785,16.604,68.797,16.559,68.769,16.592,68.737,16.539,68.717,16.604,68.734,16.599,68.713,16.538,68.684,16.634,68.671,16.593,68.669,16.557,68.622,16.496,68.608,16.513,68.565,16.243,68.565,16.157,68.53,16.09,68.558,16.136,68.512,16.107,68.514,16.074,68.47,16.01,68.448,15.998,68.408,15.872,68.381,15.88,68.441,15.911,68.448,15.871,68.51,15.885,68.464,15.839,68.407,15.781,68.409,15.77,68.435,15.735,68.404,15.756,68.381,15.659,68.377,15.724,68.369,15.718,68.349,15.643,68.333,15.667,68.314,15.632,68.306,15.582,68.309,15.583,68.321,15.556,68.313,15.6,68.327,15.514,68.334,15.508,68.362,15.471,68.341,15.443,68.358,15.438,68.344,15.408,68.358,15.363,68.343,15.327,68.359,15.357,68.366,15.357,68.355,15.373,68.385,15.562,68.479,15.613,68.487,15.537,68.519,15.575,68.502,15.423,68.422,15.396,68.416,15.37,68.43,15.364,68.407,15.257,68.368,15.18,68.37,15.256,68.359,15.177,68.313,15.155,68.327,15.111,68.3,15.062,68.311,15.036,68.298,14.99,68.304,15.208,68.464,15.403,68.468,15.309,68.469,15.227,68.494,15.259,68.522,15.287,68.498,15.366,68.501,15.287,68.505,15.259,68.53,15.18,68.533,15.207,68.575,15.338,68.567,15.309,68.591,15.383,68.598,15.419,68.621,15.475,68.605,15.428,68.624,15.461,68.632,15.564,68.635,15.58,68.612,15.632,68.617,15.464,68.664,15.451,68.729,15.516,68.722,15.626,68.736,15.716,68.693,15.66,68.743,15.522,68.728,15.461,68.755,15.472,68.819,15.536,68.802,15.56,68.827,15.682,68.817,15.55,68.863,15.577,68.89,15.636,68.886,15.602,68.896,15.622,68.954,15.722,68.972,15.758,68.955,15.9,68.967,15.957,68.896,15.884,68.788,15.769,68.736,15.927,68.774,15.957,68.798,16.01,68.78,15.97,68.698,15.895,68.653,15.775,68.628,15.803,68.566,15.749,68.561,15.73,68.531,15.828,68.566,15.808,68.619,15.906,68.635,15.887,68.641,16,68.675,16.056,68.671,16.049,68.637,16.084,68.639,16.082,68.668,16.023,68.687,16.065,68.745,16.182,68.734,16.273,68.741,16.119,68.787,16.087,68.822,16.122,68.844,16.193,68.866,16.248,68.864,16.309,68.832],[16.392,68.657,16.392,68.62,16.436,68.633,16.392,68.657]],[[26.508,60.37,26.541,60.344,26.43,60.373,26.396,60.357,26.385,60.388,26.425,60.375,26.425,60.408,26.469,60.374,26.508,60.37]],[[14.255,68.247,14.285,68.276,14.355,68.277,14.307,68.293,14.332,68.342,14.389,68.334,14.425,68.3,14.406,68.322,14.451,68.323,14.449,68.349,14.47,68.317,14.499,68.319,14.479,68.361,14.483,68.348,14.428,68.352,14.417,68.394,14.519,68.406,14.565,68.374,14.587,68.394,14.532,68.417,14.659,68.438,14.713,68.387,14.704,68.432,14.756,68.441,14.839,68.432,14.848,68.416,14.777,68.369,14.861,68.397,14.895,68.39,14.882,68.458,14.992,68.436,14.994,68.453,15.04,68.447,15.053,68.463,15.195,68.475,15.052,68.373,14.995,68.385,14.993,68.366,14.928,68.364,14.991,68.363,14.967,68.341,14.722,68.257,14.739,68.313,14.8,68.33,14.759,68.328,14.711,68.358,14.713,68.33,14.649,68.325,14.722,68.322,14.694,68.285,14.621,68.278,14.686,68.272,14.673,68.251,14.654,68.269,14.627,68.256,14.672,68.247,14.662,68.236,14.575,68.242,14.556,68.223,14.562,68.249,14.486,68.205,14.437,68.202,14.443,68.217,14.419,68.202,14.402,68.215,14.405,68.194,14.368,68.188,14.346,68.204,14.356,68.187,14.322,68.188,14.348,68.183,14.229,68.168,14.218,68.234,14.3,68.246,14.282,68.233,14.388,68.263,14.255,68.247]],[[15.268,68.931,15.222,68.951,15.298,68.964,15.268,68.931]],[[15.002,68.892,14.962,68.874,14.837,68.881,14.863,68.933,14.968,68.93,15.002,68.892]],[[14.793,68.826,14.848,68.835,14.851,68.806,14.814,68.802,14.793,68.826]],[[14.705,68.687,14.687,68.713,14.675,68.659,14.609,68.657,14.621,68.671,14.58,68.657,14.649,68.645,14.611,68.617,14.558,68.621,14.526,68.6,14.483,68.598,14.481,68.614,14.43,68.605,14.424,68.656,14.529,68.684,14.457,68.673,14.462,68.687,14.411,68.663,14.389,68.674,14.421,68.678,14.37,68.685,14.409,68.7,14.468,68.696,14.424,68.712,14.482,68.734,14.544,68.723,14.583,68.735,14.431,68.758,14.453,68.781,14.539,68.8,14.545,68.822,14.589,68.8,14.605,68.725,14.646,68.743,14.601,68.753,14.62,68.781,14.659,68.781,14.623,68.8,14.652,68.835,14.707,68.836,14.684,68.766,14.722,68.739,14.767,68.781,14.857,68.793,14.897,68.785,14.857,68.763,14.885,68.771,14.898,68.739,14.929,68.783,14.991,68.775,14.922,68.798,14.979,68.816,14.901,68.844,14.966,68.866,15.025,68.838,15.02,68.8,15.044,68.796,15.049,68.858,15.121,68.842,15.157,68.813,15.144,68.851,15.062,68.87,15.089,68.898,15.033,68.889,15.037,68.908,15.09,68.908,15.004,68.946,15.017,69.001,15.156,69.024,15.194,68.981,15.091,68.953,15.198,68.965,15.173,68.953,15.224,68.935,15.175,68.93,15.274,68.907,15.266,68.923,15.32,68.918,15.277,68.908,15.296,68.859,15.244,68.824,15.323,68.867,15.392,68.842,15.369,68.8,15.27,68.798,15.314,68.779,15.253,68.756,15.384,68.742,15.42,68.69,15.373,68.664,14.999,68.577,14.848,68.589,14.852,68.607,14.884,68.606,14.787,68.641,14.945,68.67,14.975,68.657,14.971,68.67,15.041,68.67,15.1,68.713,15.173,68.695,15.126,68.734,15.134,68.753,15.196,68.74,15.181,68.752,15.004,68.766,15.079,68.732,15.049,68.735,15.012,68.702,14.958,68.712,14.951,68.7,14.941,68.713,14.981,68.717,14.974,68.731,14.951,68.737,14.971,68.729,14.965,68.718,14.922,68.706,14.937,68.692,14.874,68.679,14.859,68.7,14.813,68.664,14.816,68.719,14.768,68.657,14.714,68.662,14.707,68.678,14.739,68.673,14.705,68.687]],[[22.855,60.2,22.869,60.187,22.828,60.175,22.88,60.135,22.838,60.094,22.754,60.064,22.78,60.053,22.755,60.043,22.792,60.031,22.766,60.011,22.765,60.034,22.747,60.031,22.756,60.005,22.72,60.021,22.695,60.007,22.669,60.049,22.647,60.026,22.655,60.019,22.624,60.015,22.604,60.03,22.576,60.02,22.609,60.061,22.555,60.026,22.47,60.01,22.463,60.024,22.452,59.998,22.439,60.031,22.408,60.009,22.394,60.033,22.391,60,22.366,60.09,22.405,60.101,22.411,60.087,22.422,60.111,22.46,60.099,22.466,60.074,22.489,60.085,22.465,60.107,22.493,60.108,22.429,60.124,22.433,60.135,22.509,60.151,22.619,60.151,22.455,60.167,22.415,60.16,22.466,60.237,22.507,60.23,22.489,60.205,22.569,60.21,22.618,60.23,22.845,60.238,22.905,60.302,22.956,60.314,22.984,60.3,22.901,60.251,22.896,60.223,22.836,60.214,22.861,60.213,22.855,60.2]],[[5.679,59.076,5.621,59.074,5.608,59.098,5.676,59.086,5.696,59.058,5.666,59.064,5.679,59.076]],[[16.043,68.33,16.097,68.358,16.18,68.35,16.168,68.338,16.043,68.33]],[[25.421,65.005,25.4,65.003,25.409,65.043,25.444,65.03,25.421,65.005]],[[16.234,68.053,16.176,68.067,16.277,68.095,16.33,68.078,16.317,68.046,16.234,68.053]],[[25.87,60.228,25.893,60.225,25.856,60.21,25.865,60.205,25.801,60.197,25.824,60.23,25.87,60.228]],[[26.167,60.349,26.25,60.32,26.197,60.317,26.167,60.349]],[[21.224,62.391,21.254,62.383,21.256,62.348,21.236,62.339,21.235,62.354,21.214,62.343,21.224,62.391]],[[7.753,63.126,7.725,63.107,7.689,63.115,7.698,63.13,7.753,63.126]],[[20.223,60.083,20.206,60.027,20.235,60.009,20.18,59.969,20.177,60.015,20.146,59.994,20.119,59.997,20.13,60.01,20.087,60.05,20.048,60.038,20.017,60.07,19.974,60.074,20.019,60.097,20.068,60.068,20.059,60.096,20.076,60.089,20.088,60.111,20.134,60.09,20.223,60.083]],[[20.414,60.019,20.376,60.027,20.448,60.07,20.472,60.069,20.442,60.022,20.414,60.019]],[[12.884,66.54,12.813,66.516,12.794,66.543,12.833,66.547,12.805,66.554,12.854,66.554,12.863,66.568,12.852,66.548,12.884,66.54]],[[13.112,66.58,13.09,66.612,13.127,66.635,13.112,66.58]],[[13.063,66.692,13.106,66.701,13.076,66.654,13.033,66.672,13.063,66.692]],[[12.906,66.408,12.903,66.434,12.949,66.447,12.914,66.456,12.976,66.467,12.945,66.395,12.903,66.397,12.906,66.408]],[[12.834,66.368,12.799,66.387,12.863,66.404,12.886,66.377,12.834,66.368]],[[12.595,66.371,12.617,66.365,12.589,66.35,12.511,66.337,12.595,66.371]],[[12.893,66.411,12.886,66.39,12.831,66.445,12.907,66.458,12.893,66.411]],[[13.052,66.561,12.995,66.557,13.047,66.59,13.052,66.561]],[[13.003,66.628,13.06,66.643,13.037,66.6,12.988,66.61,13.022,66.62,12.991,66.618,13.003,66.628]],[[12.632,66.571,12.606,66.587,12.653,66.609,12.672,66.599,12.645,66.592,12.686,66.591,12.672,66.554,12.608,66.553,12.632,66.571]],[[13.114,66.398,13.001,66.383,13.059,66.437,13.108,66.426,13.114,66.398]],[[12.355,66.37,12.381,66.368,12.357,66.353,12.305,66.355,12.316,66.371,12.355,66.37]],[[12.705,66.142,12.674,66.184,12.759,66.186,12.728,66.177,12.725,66.157,12.732,66.176,12.804,66.164,12.806,66.15,12.705,66.142]],[[12.891,66.249,12.812,66.209,12.848,66.236,12.777,66.214,12.743,66.228,12.755,66.246,12.699,66.247,12.824,66.304,12.891,66.283,12.891,66.249]],[[13.042,66.243,12.919,66.229,12.988,66.275,13.183,66.285,13.042,66.243]],[[12.963,66.202,12.963,66.177,12.848,66.165,12.908,66.208,12.963,66.214,12.963,66.202]],[[12.433,65.857,12.535,65.897,12.44,65.896,12.39,65.88,12.405,65.902,12.382,65.893,12.382,65.903,12.412,65.925,12.465,65.928,12.46,65.958,12.543,66,12.722,66.035,12.611,65.98,12.734,66.014,12.924,66.041,12.89,66.02,12.928,66.023,12.929,66.004,12.716,65.969,12.485,65.861,12.433,65.857]],[[12.428,65.721,12.453,65.726,12.356,65.654,12.309,65.652,12.33,65.68,12.428,65.721]],[[12.386,65.752,12.413,65.781,12.495,65.807,12.462,65.764,12.384,65.739,12.386,65.752]],[[12.145,65.599,12.125,65.595,12.126,65.618,12.168,65.648,12.145,65.599]],[[12.09,65.667,12.035,65.675,12.126,65.695,12.132,65.677,12.09,65.667]],[[12.52,65.791,12.577,65.84,12.58,65.819,12.526,65.781,12.52,65.791]],[[12.047,65.4,12.037,65.42,12.109,65.447,12.101,65.428,12.149,65.468,12.102,65.447,12.128,65.47,12.205,65.478,12.156,65.452,12.172,65.472,12.133,65.438,12.116,65.44,12.108,65.416,12.154,65.434,12.12,65.406,12.101,65.414,12.104,65.393,12.064,65.382,12.092,65.391,12.087,65.423,12.047,65.4]],[[15.254,67.93,15.296,67.947,15.322,67.939,15.243,67.915,14.963,67.914,14.949,67.949,14.989,67.954,14.952,67.967,15.051,67.967,15.114,68.002,15.124,67.957,15.237,67.952,15.219,67.932,15.261,67.949,15.254,67.93]],[[15.296,67.98,15.289,67.967,15.177,67.971,15.159,68,15.224,68.045,15.296,67.98]],[[15.648,67.988,15.524,67.989,15.462,68.011,15.503,68.004,15.523,68.02,15.68,68.037,15.763,68.025,15.875,68.027,15.939,67.995,15.849,67.979,15.723,68.019,15.684,68.006,15.726,67.999,15.648,67.988]],[[15.119,67.66,15.01,67.638,15.033,67.658,15.119,67.66]],[[15.827,68.16,15.828,68.124,15.747,68.138,15.827,68.16]],[[20.966,59.965,21.006,59.952,20.999,59.942,20.956,59.948,20.987,59.941,20.991,59.917,20.911,59.949,20.966,59.965]],[[23.871,59.986,23.894,59.989,23.821,59.949,23.852,59.993,23.871,59.986]],[[20.226,60.083,20.201,60.095,20.209,60.142,20.239,60.134,20.237,60.169,20.254,60.119,20.264,60.166,20.297,60.148,20.302,60.113,20.273,60.106,20.277,60.07,20.242,60.067,20.253,60.079,20.226,60.083]],[[20.792,60.291,20.838,60.262,20.841,60.245,20.794,60.237,20.808,60.225,20.732,60.258,20.747,60.272,20.755,60.26,20.767,60.293,20.792,60.291]],[[20.712,60.21,20.705,60.191,20.663,60.199,20.678,60.237,20.712,60.21]],[[20.674,60.147,20.684,60.11,20.635,60.135,20.647,60.153,20.674,60.147]],[[20.796,60.352,20.784,60.329,20.735,60.314,20.756,60.371,20.796,60.352]],[[20.261,60.176,20.25,60.186,20.317,60.228,20.315,60.201,20.285,60.201,20.261,60.176]],[[26.903,60.452,26.929,60.431,26.913,60.417,26.875,60.436,26.842,60.434,26.878,60.469,26.903,60.452]],[[21.56,60.218,21.602,60.275,21.618,60.261,21.586,60.253,21.639,60.256,21.632,60.239,21.56,60.218]],[[18.198,58.939,18.216,58.938,18.139,58.901,18.184,58.95,18.198,58.939]],[[18.935,59.365,18.904,59.408,18.928,59.409,18.955,59.379,18.935,59.365]],[[16.834,58.326,16.78,58.383,16.853,58.406,16.871,58.398,16.854,58.38,16.821,58.382,16.861,58.371,16.829,58.375,16.821,58.36,16.884,58.327,16.903,58.344,16.928,58.336,16.88,58.315,16.834,58.326]],[[21.238,62.865,21.17,62.91,21.185,62.935,21.238,62.865]],[[21.152,62.83,21.089,62.836,21.109,62.852,21.119,62.842,21.111,62.856,21.138,62.853,21.13,62.864,21.189,62.871,21.235,62.861,21.219,62.838,21.152,62.83]],[[21.39,62.954,21.419,62.932,21.393,62.934,21.392,62.91,21.386,62.93,21.349,62.939,21.395,62.971,21.39,62.954]],[[25.641,60.238,25.598,60.241,25.57,60.264,25.573,60.302,25.602,60.317,25.611,60.283,25.672,60.26,25.68,60.241,25.637,60.228,25.623,60.202,25.591,60.226,25.641,60.238]],[[21.803,60.416,21.828,60.416,21.836,60.429,21.875,60.415,21.833,60.444,21.822,60.42,21.78,60.429,21.813,60.433,21.784,60.445,21.815,60.443,21.809,60.459,21.83,60.459,21.818,60.485,21.857,60.49,21.924,60.465,21.975,60.415,21.958,60.405,21.978,60.408,21.967,60.401,21.914,60.403,21.907,60.412,21.899,60.402,21.913,60.394,21.915,60.403,21.99,60.402,21.998,60.39,21.961,60.387,21.974,60.398,21.946,60.378,22.018,60.381,22.05,60.353,21.984,60.341,21.831,60.357,21.823,60.367,21.93,60.36,21.806,60.386,21.792,60.402,21.824,60.41,21.803,60.416]],[[21.57,60.519,21.549,60.485,21.515,60.495,21.522,60.517,21.558,60.501,21.548,60.526,21.57,60.519]],[[21.609,60.406,21.603,60.434,21.633,60.46,21.644,60.426,21.622,60.431,21.609,60.406]],[[22.236,60.37,22.236,60.36,22.257,60.37,22.236,60.37,22.294,60.377,22.307,60.36,22.192,60.356,22.233,60.349,22.179,60.341,22.171,60.355,22.144,60.354,22.236,60.37]],[[22.454,60.352,22.432,60.358,22.462,60.365,22.45,60.372,22.534,60.38,22.5,60.355,22.454,60.352]],[[22.358,60.364,22.425,60.375,22.417,60.35,22.523,60.344,22.449,60.306,22.353,60.295,22.393,60.329,22.374,60.319,22.305,60.329,22.358,60.364]],[[22.292,60.273,22.327,60.236,22.275,60.199,22.214,60.188,22.19,60.209,22.215,60.216,22.237,60.252,22.186,60.255,22.206,60.283,22.232,60.283,22.192,60.298,22.172,60.283,22.196,60.283,22.192,60.27,22.16,60.265,22.121,60.283,22.109,60.274,22.088,60.286,22.1,60.325,22.251,60.333,22.301,60.313,22.323,60.325,22.365,60.316,22.348,60.296,22.357,60.288,22.326,60.283,22.335,60.294,22.304,60.298,22.268,60.268,22.226,60.267,22.237,60.252,22.292,60.273]],[[22.435,60.303,22.466,60.309,22.47,60.298,22.417,60.271,22.422,60.25,22.329,60.238,22.313,60.267,22.351,60.277,22.351,60.265,22.366,60.294,22.435,60.303]],[[22.305,60.162,22.339,60.165,22.338,60.148,22.284,60.148,22.306,60.154,22.296,60.183,22.392,60.209,22.365,60.17,22.305,60.162]],[[22,60.151,21.998,60.165,21.979,60.166,21.982,60.147,21.939,60.166,21.955,60.193,22.098,60.223,22.084,60.207,22.102,60.215,22.105,60.198,22.039,60.189,22.069,60.165,22,60.151]],[[21.927,60.122,21.973,60.141,21.971,60.13,22.02,60.12,21.974,60.11,21.927,60.122]],[[21.982,60.308,21.956,60.276,21.897,60.281,21.869,60.308,21.982,60.308]],[[21.996,60.31,21.919,60.322,22.01,60.337,22.04,60.318,21.996,60.31]],[[21.515,60.138,21.589,60.139,21.506,60.144,21.578,60.186,21.692,60.178,21.69,60.156,21.644,60.147,21.67,60.12,21.646,60.112,21.52,60.111,21.519,60.126,21.499,60.121,21.515,60.138]],[[21.41,60.223,21.432,60.243,21.421,60.231,21.474,60.239,21.462,60.213,21.396,60.209,21.41,60.223]],[[21.396,60.239,21.3,60.242,21.333,60.254,21.399,60.243,21.414,60.253,21.384,60.247,21.35,60.261,21.422,60.266,21.427,60.247,21.396,60.239]],[[21.415,60.27,21.381,60.268,21.38,60.282,21.446,60.291,21.447,60.27,21.415,60.27]],[[21.431,60.207,21.47,60.21,21.44,60.187,21.367,60.176,21.363,60.187,21.311,60.192,21.346,60.208,21.28,60.209,21.319,60.233,21.382,60.234,21.336,60.224,21.399,60.225,21.356,60.21,21.431,60.207]],[[21.319,60.361,21.289,60.375,21.313,60.394,21.366,60.355,21.335,60.352,21.324,60.372,21.319,60.361]],[[27.014,60.415,26.99,60.433,27.028,60.464,27.036,60.411,27.014,60.415]],[[27.021,60.393,27.018,60.409,27.063,60.404,27.065,60.374,27.021,60.393]],[[24.586,71.02,24.712,70.999,24.614,70.995,24.54,71.01,24.586,71.02]],[[21.048,60.388,21.032,60.417,21.053,60.43,21.072,60.413,21.048,60.388]],[[21.093,60.485,21.088,60.447,21.049,60.457,21.077,60.482,21.035,60.503,21.093,60.485]],[[20.475,60.031,20.462,60.032,20.471,60.04,20.458,60.047,20.467,60.061,20.544,60.063,20.459,60.013,20.475,60.031]],[[20.61,60.044,20.592,60.016,20.496,60.008,20.538,60.058,20.589,60.062,20.584,60.043,20.61,60.044]],[[20.394,60.207,20.369,60.197,20.373,60.238,20.325,60.233,20.348,60.27,20.325,60.293,20.43,60.252,20.394,60.207]],[[19.773,60.428,19.769,60.402,19.806,60.421,19.779,60.382,19.751,60.415,19.773,60.428]],[[19.581,60.339,19.558,60.349,19.624,60.371,19.597,60.321,19.581,60.339]],[[19.537,60.241,19.514,60.238,19.518,60.253,19.497,60.232,19.488,60.251,19.477,60.235,19.48,60.27,19.484,60.251,19.536,60.265,19.517,60.255,19.536,60.247,19.609,60.313,19.6,60.283,19.628,60.275,19.592,60.262,19.641,60.27,19.679,60.197,19.667,60.171,19.647,60.167,19.653,60.186,19.637,60.168,19.583,60.223,19.612,60.152,19.57,60.142,19.514,60.176,19.537,60.241]],[[22.506,59.857,22.467,59.863,22.412,59.848,22.41,59.86,22.515,59.878,22.506,59.857]],[[22.448,59.987,22.469,59.963,22.434,59.959,22.409,59.92,22.393,59.948,22.427,59.982,22.434,59.96,22.448,59.987]],[[22.631,59.962,22.615,59.954,22.656,59.953,22.625,59.949,22.653,59.938,22.587,59.958,22.613,59.964,22.612,59.991,22.64,59.977,22.631,59.962]],[[22.905,60.038,22.882,60.032,22.887,60.008,22.859,60.005,22.851,60.042,22.884,60.035,22.89,60.047,22.847,60.055,22.911,60.072,22.935,60.066,22.909,60.063,22.905,60.038]],[[22.867,60.1,22.93,60.125,22.964,60.12,22.973,60.099,22.954,60.083,22.928,60.085,22.943,60.095,22.901,60.078,22.838,60.079,22.869,60.085,22.867,60.1]],[[23.394,59.865,23.357,59.867,23.386,59.877,23.356,59.869,23.357,59.882,23.441,59.882,23.407,59.867,23.434,59.866,23.394,59.865]],[[23.464,59.917,23.499,59.913,23.524,59.929,23.531,59.906,23.477,59.898,23.491,59.889,23.401,59.904,23.464,59.917]],[[23.858,59.948,23.883,59.981,23.934,59.973,23.914,59.968,23.929,59.95,23.899,59.961,23.902,59.949,23.858,59.948]],[[21.213,62.386,21.21,62.362,21.197,62.375,21.184,62.36,21.196,62.385,21.165,62.369,21.2,62.428,21.213,62.386]],[[19.978,70.007,19.922,69.994,19.852,70.018,19.978,70.007]],[[20.854,59.928,20.892,59.946,20.915,59.922,20.917,59.934,20.97,59.925,20.915,59.922,20.91,59.902,20.854,59.928]],[[25.34,70.267,25.229,70.243,25.311,70.299,25.34,70.267]],[[26.015,60.277,26,60.287,25.939,60.269,25.932,60.303,25.963,60.3,25.935,60.357,26,60.337,26.011,60.308,25.988,60.292,26.039,60.287,26.015,60.277]],[[17.599,58.85,17.707,58.798,17.649,58.808,17.599,58.85]],[[28.573,60.637,28.599,60.611,28.627,60.613,28.6,60.594,28.643,60.56,28.608,60.576,28.606,60.557,28.563,60.576,28.546,60.599,28.551,60.61,28.573,60.599,28.573,60.637]],[[18.804,70.115,18.793,70.134,18.849,70.131,18.82,70.079,18.804,70.115]],[[18.791,70.146,18.779,70.166,18.831,70.192,18.899,70.194,18.886,70.142,18.791,70.146]],[[18.562,70.033,18.519,70.026,18.525,70.052,18.57,70.05,18.562,70.033]],[[18.7,69.99,18.659,70.008,18.717,70.03,18.65,70.038,18.673,70.071,18.715,70.076,18.699,70.114,18.782,70.109,18.807,70.054,18.909,70.115,18.911,70.091,18.975,70.089,18.984,70.075,18.916,70.045,18.765,70.027,18.7,69.99]],[[18.992,70.093,18.993,70.083,18.954,70.13,18.998,70.128,19.042,70.101,18.992,70.093]],[[10.298,55.768,10.312,55.794,10.329,55.766,10.312,55.742,10.235,55.753,10.298,55.768]],[[20.931,63.777,20.915,63.763,20.89,63.765,20.871,63.742,20.858,63.766,20.827,63.762,20.838,63.793,20.894,63.817,20.927,63.789,20.933,63.803,20.947,63.794,20.931,63.777]],[[24.167,65.788,24.156,65.836,24.238,65.818,24.204,65.782,24.237,65.773,24.207,65.769,24.184,65.794,24.18,65.746,24.141,65.771,24.167,65.788]],[[18.617,62.98,18.623,63.006,18.663,63.021,18.655,62.985,18.617,62.98]],[[12.845,55.443,12.844,55.423,12.864,55.439,12.881,55.414,12.934,55.411,12.944,55.396,12.921,55.386,12.884,55.397,12.814,55.377,12.817,55.388,12.808,55.374,12.814,55.357,12.808,55.377,12.824,55.4,12.84,55.404,12.827,55.416,12.845,55.443]],[[23.261,57.812,23.272,57.78,23.215,57.787,23.223,57.823,23.261,57.812]],[[23.15,58.559,23.164,58.571,23.084,58.587,23.066,58.619,23.144,58.626,23.154,58.681,23.195,58.684,23.353,58.646,23.345,58.611,23.406,58.551,23.366,58.526,23.387,58.509,23.352,58.509,23.363,58.532,23.323,58.554,23.306,58.531,23.299,58.547,23.294,58.535,23.255,58.548,23.259,58.519,23.252,58.538,23.219,58.526,23.167,58.569,23.127,58.538,23.156,58.509,23.185,58.514,23.29,58.487,23.329,58.453,23.31,58.426,23.297,58.454,23.238,58.459,23.221,58.451,23.26,58.434,23.216,58.431,23.17,58.461,23.214,58.471,23.158,58.478,23.159,58.442,23.134,58.44,23.129,58.419,23.058,58.425,23.089,58.378,23.053,58.378,23.073,58.389,23.046,58.392,23.04,58.358,23.007,58.359,22.954,58.384,22.971,58.35,22.946,58.347,22.924,58.31,22.884,58.309,22.891,58.297,22.857,58.317,22.823,58.258,22.806,58.271,22.704,58.275,22.749,58.222,22.723,58.211,22.657,58.236,22.644,58.216,22.654,58.247,22.621,58.255,22.593,58.222,22.587,58.235,22.547,58.22,22.537,58.253,22.508,58.213,22.475,58.248,22.429,58.216,22.392,58.223,22.301,58.204,22.256,58.173,22.252,58.09,22.185,58.011,22.201,57.982,22.054,57.907,22.017,57.916,21.978,57.977,22.019,57.982,22.104,58.088,22.168,58.066,22.168,58.095,22.225,58.139,22.209,58.159,22.156,58.154,22.145,58.172,22.077,58.186,22.065,58.177,22.074,58.194,22.053,58.191,22.002,58.249,21.972,58.236,21.87,58.257,21.831,58.28,21.835,58.31,21.896,58.296,21.909,58.307,21.861,58.353,21.946,58.307,21.953,58.333,21.974,58.333,21.942,58.336,21.937,58.356,21.987,58.337,22.004,58.353,21.98,58.368,22.023,58.366,21.952,58.405,21.903,58.469,21.866,58.466,21.841,58.481,21.91,58.482,21.917,58.517,22,58.508,22.077,58.419,22.107,58.417,22.118,58.482,22.199,58.513,22.203,58.546,22.239,58.536,22.242,58.491,22.293,58.487,22.316,58.519,22.302,58.54,22.282,58.53,22.287,58.57,22.474,58.581,22.539,58.642,22.571,58.637,22.638,58.579,22.672,58.58,22.692,58.601,22.75,58.574,22.789,58.623,22.845,58.615,22.875,58.627,22.957,58.614,23.075,58.561,23.15,58.559],[22.35,58.263,22.368,58.234,22.44,58.24,22.412,58.27,22.412,58.249,22.368,58.249,22.368,58.272,22.35,58.263]],[[22.503,58.178,22.538,58.15,22.503,58.121,22.477,58.139,22.503,58.178]],[[21.892,58.389,21.907,58.395,21.917,58.382,21.831,58.367,21.808,58.386,21.892,58.389]],[[24.016,58.147,24.012,58.116,23.972,58.095,23.963,58.15,24.016,58.147]],[[22.751,59.009,22.864,58.998,22.887,58.977,22.906,58.984,22.896,58.973,22.942,58.982,22.941,58.942,23.006,58.913,23.069,58.837,23.025,58.824,23.02,58.846,22.999,58.837,22.961,58.849,22.958,58.826,22.919,58.844,22.909,58.82,22.862,58.835,22.83,58.822,22.884,58.827,22.866,58.81,22.883,58.79,22.832,58.784,22.788,58.755,22.814,58.777,22.787,58.772,22.756,58.802,22.787,58.79,22.827,58.822,22.769,58.819,22.749,58.805,22.758,58.8,22.731,58.806,22.709,58.775,22.728,58.772,22.666,58.698,22.521,58.691,22.466,58.716,22.503,58.733,22.462,58.751,22.48,58.773,22.444,58.787,22.457,58.806,22.434,58.807,22.459,58.811,22.455,58.841,22.394,58.891,22.173,58.882,22.136,58.907,22.039,58.927,22.069,58.947,22.206,58.934,22.31,58.949,22.395,58.936,22.413,58.969,22.471,58.962,22.436,58.994,22.5,58.982,22.474,59.031,22.532,59.019,22.576,59.034,22.583,59.093,22.696,59.073,22.693,59.019,22.751,59.009]],[[23.369,59.005,23.374,58.974,23.329,58.985,23.325,58.971,23.286,58.973,23.31,58.954,23.22,58.984,23.221,58.963,23.188,58.972,23.169,58.958,23.117,59.028,23.164,59.05,23.194,59.042,23.188,59.055,23.268,59.019,23.328,59.036,23.369,59.005]],[[24.552,59.558,24.564,59.541,24.542,59.536,24.487,59.556,24.475,59.571,24.509,59.607,24.552,59.558]],[[25.007,59.639,25.032,59.608,24.981,59.612,25,59.63,24.968,59.646,25.007,59.639]],[[23.931,59.33,23.937,59.301,23.861,59.349,23.907,59.351,23.947,59.34,23.94,59.331,23.912,59.341,23.931,59.33]],[[23.956,59.363,23.998,59.349,24.008,59.314,23.971,59.316,23.965,59.333,23.931,59.346,23.956,59.363]],[[8.7,63.784,8.753,63.808,8.729,63.787,8.749,63.777,8.773,63.804,8.789,63.784,8.823,63.803,8.81,63.763,8.843,63.715,8.815,63.693,8.674,63.681,8.691,63.693,8.655,63.677,8.506,63.663,8.465,63.669,8.569,63.692,8.48,63.673,8.436,63.671,8.488,63.691,8.396,63.679,8.359,63.664,8.291,63.671,8.331,63.682,8.285,63.673,8.338,63.689,8.35,63.679,8.37,63.687,8.348,63.693,8.394,63.695,8.394,63.682,8.395,63.695,8.461,63.702,8.44,63.707,8.484,63.707,8.464,63.692,8.557,63.712,8.589,63.694,8.569,63.707,8.6,63.721,8.561,63.715,8.701,63.739,8.626,63.737,8.791,63.777,8.714,63.767,8.729,63.78,8.671,63.761,8.7,63.784]],[[11.242,54.412,11.191,54.422,11.166,54.413,11.178,54.402,11.121,54.402,11.095,54.41,11.094,54.446,11.008,54.445,11.008,54.47,11.032,54.47,11.009,54.475,11.017,54.494,11.065,54.535,11.233,54.501,11.313,54.402,11.242,54.412]],[[22.232,60.248,22.208,60.217,22.173,60.22,22.184,60.25,22.192,60.239,22.193,60.25,22.232,60.248]],[[22.116,60.259,22.118,60.268,22.191,60.263,22.163,60.249,22.108,60.249,22.116,60.259]],[[27.188,59.864,27.229,59.849,27.196,59.834,27.174,59.847,27.188,59.864]],[[24.51,65.671,24.573,65.682,24.604,65.709,24.587,65.658,24.542,65.654,24.51,65.671]],[[17.831,58.853,17.871,58.84,17.856,58.792,17.789,58.8,17.815,58.809,17.817,58.879,17.85,58.903,17.866,58.893,17.834,58.881,17.831,58.853]],[[11.482,54.001,11.387,54,11.443,54.02,11.493,54.022,11.482,54.001]],[[11.502,54.986,11.544,54.99,11.567,54.974,11.538,54.947,11.502,54.986]],[[11.415,58.216,11.438,58.248,11.48,58.24,11.465,58.256,11.502,58.261,11.47,58.206,11.405,58.197,11.43,58.21,11.415,58.216]],[[11.513,56.714,11.664,56.737,11.575,56.69,11.538,56.69,11.513,56.714]],[[21.458,61.236,21.42,61.244,21.492,61.249,21.527,61.235,21.512,61.228,21.524,61.22,21.5,61.218,21.505,61.227,21.458,61.236]],[[22.711,70.611,22.7,70.634,22.746,70.654,22.836,70.653,22.741,70.686,22.783,70.704,22.729,70.702,22.747,70.73,22.718,70.72,22.687,70.729,22.704,70.755,22.798,70.77,22.796,70.736,22.824,70.751,22.87,70.739,22.838,70.719,22.939,70.727,22.883,70.688,22.93,70.691,22.943,70.668,23,70.668,23.014,70.655,22.983,70.688,23.053,70.691,23.024,70.698,23.044,70.726,23.137,70.71,23.093,70.725,23.113,70.742,23.181,70.736,23.107,70.753,23.128,70.766,23.02,70.786,23.054,70.805,23.105,70.793,23.059,70.818,23.193,70.784,23.182,70.829,23.298,70.769,23.282,70.79,23.331,70.793,23.291,70.83,23.316,70.872,23.377,70.83,23.446,70.833,23.428,70.822,23.468,70.812,23.426,70.812,23.501,70.799,23.503,70.782,23.411,70.795,23.378,70.784,23.456,70.764,23.397,70.766,23.361,70.727,23.319,70.752,23.298,70.746,23.335,70.713,23.31,70.706,23.287,70.717,23.277,70.7,23.239,70.701,23.266,70.68,23.208,70.676,23.158,70.701,23.137,70.683,23.169,70.673,23.128,70.66,23.192,70.66,23.149,70.629,23.048,70.628,23.12,70.621,23.067,70.571,23.028,70.595,22.972,70.598,23.012,70.59,23.009,70.56,22.887,70.576,22.937,70.534,22.859,70.521,22.851,70.534,22.822,70.515,22.838,70.542,22.742,70.509,22.767,70.545,22.729,70.554,22.691,70.504,22.717,70.558,22.671,70.547,22.636,70.555,22.635,70.543,22.554,70.565,22.61,70.546,22.621,70.515,22.606,70.507,22.581,70.524,22.559,70.494,22.524,70.511,22.511,70.497,22.471,70.531,22.455,70.489,22.393,70.489,22.412,70.523,22.318,70.484,22.286,70.496,22.298,70.54,22.242,70.515,22.24,70.481,22.086,70.476,22.141,70.491,22.135,70.526,22.261,70.556,22.212,70.577,22.309,70.605,22.172,70.612,22.095,70.58,22.055,70.597,22.013,70.582,21.984,70.607,22.061,70.63,21.98,70.626,21.928,70.643,21.981,70.672,21.996,70.651,22.12,70.65,22.15,70.632,22.179,70.643,22.227,70.638,22.207,70.679,22.39,70.626,22.385,70.667,22.339,70.683,22.391,70.712,22.37,70.721,22.4,70.719,22.407,70.691,22.444,70.69,22.477,70.669,22.514,70.679,22.465,70.699,22.517,70.706,22.517,70.721,22.659,70.684,22.553,70.657,22.566,70.633,22.634,70.647,22.587,70.652,22.68,70.658,22.711,70.611]],[[29.699,59.992,29.683,60.019,29.636,60.033,29.726,60.019,29.751,60.029,29.751,60.018,29.778,60.021,29.749,60.01,29.805,59.983,29.784,59.97,29.778,59.988,29.753,59.984,29.717,60.005,29.699,59.992]],[[20.512,60.111,20.569,60.109,20.564,60.094,20.478,60.107,20.512,60.111]],[[12.592,55.676,12.608,55.677,12.608,55.695,12.63,55.697,12.614,55.689,12.636,55.688,12.62,55.68,12.631,55.671,12.636,55.685,12.648,55.676,12.642,55.667,12.626,55.67,12.654,55.635,12.681,55.63,12.682,55.592,12.592,55.555,12.563,55.561,12.564,55.576,12.54,55.573,12.509,55.608,12.592,55.676]],[[5.91,58.456,5.908,58.43,5.876,58.425,5.89,58.455,5.96,58.468,5.988,58.435,5.975,58.408,5.937,58.455,5.91,58.456]],[[27.867,60.006,27.885,60.015,27.9,60.004,27.891,59.981,27.877,60.003,27.829,59.981,27.843,59.999,27.805,59.987,27.815,60.036,27.867,60.006]],[[13.146,54.449,13.121,54.444,13.162,54.49,13.225,54.487,13.222,54.464,13.146,54.449]],[[11.723,55.186,11.719,55.172,11.687,55.174,11.702,55.202,11.733,55.196,11.723,55.186]],[[23.549,59.923,23.527,59.928,23.62,59.938,23.662,59.929,23.591,59.92,23.593,59.908,23.549,59.923]],[[28.638,60.491,28.696,60.464,28.586,60.491,28.568,60.53,28.638,60.491]],[[27.845,60.486,27.81,60.47,27.776,60.505,27.845,60.486]],[[20.246,70.236,20.218,70.215,20.177,70.311,20.294,70.264,20.246,70.236]],[[8.484,54.68,8.397,54.704,8.412,54.737,8.522,54.755,8.583,54.745,8.597,54.719,8.567,54.68,8.484,54.68]],[[18.177,59.005,18.16,58.993,18.141,59.015,18.154,58.972,18.126,58.963,18.104,58.983,18.048,58.963,18.099,59.025,18.232,59.026,18.165,59.01,18.204,59.016,18.193,58.991,18.177,59.005]],[[15.64,68.967,15.628,68.995,15.539,69.004,15.603,68.979,15.571,68.923,15.482,68.871,15.417,68.898,15.424,68.975,15.457,69.018,15.509,69.028,15.567,69.106,15.678,69.142,15.788,69.154,15.82,69.143,15.843,69.163,15.797,69.19,15.859,69.204,15.849,69.255,15.912,69.266,15.959,69.241,15.922,69.27,15.99,69.298,16.084,69.312,16.084,69.301,16.137,69.328,16.176,69.261,16.119,69.244,16.087,69.153,15.901,69.073,15.855,69.036,15.875,69.027,15.65,68.985,15.64,68.967]],[[18.888,59.621,18.953,59.656,18.988,59.636,18.965,59.617,18.922,59.617,18.926,59.626,18.898,59.577,18.879,59.598,18.882,59.573,18.849,59.585,18.888,59.621]],[[21.191,63.377,21.265,63.394,21.242,63.361,21.186,63.363,21.191,63.377]],[[17.928,58.812,17.922,58.804,17.924,58.828,17.891,58.827,17.886,58.851,17.9,58.834,17.904,58.851,17.937,58.85,17.928,58.812]],[[25.84,71.074,25.899,71.057,25.878,71.037,25.907,71.051,25.967,71.029,25.89,71.024,25.895,71.01,26.014,71.022,26.053,71.011,26.101,71.043,26.223,71.063,26.219,71.032,26.121,70.993,26.032,70.978,26.029,70.99,25.99,70.971,25.957,70.977,25.972,71.005,25.913,70.966,25.776,70.973,25.739,70.99,25.675,70.961,25.737,70.945,25.614,70.951,25.618,70.939,25.559,70.932,25.39,70.995,25.558,71.021,25.545,71.033,25.469,71.039,25.305,71.014,25.249,71.031,25.302,71.046,25.242,71.051,25.256,71.063,25.345,71.077,25.269,71.085,25.27,71.101,25.366,71.093,25.362,71.106,25.444,71.083,25.451,71.118,25.485,71.104,25.55,71.116,25.557,71.093,25.609,71.102,25.732,71.071,25.58,71.133,25.607,71.137,25.528,71.154,25.673,71.185,25.681,71.15,25.739,71.169,25.812,71.17,25.753,71.115,25.79,71.108,25.875,71.13,25.827,71.109,25.884,71.114,25.84,71.101,25.884,71.1,25.9,71.127,25.939,71.112,25.975,71.141,26.031,71.128,26.046,71.111,26.016,71.117,25.985,71.083,25.84,71.074]],[[26.974,60.086,27.027,60.036,27.007,60.01,26.962,60.046,26.957,60.106,26.974,60.086]],[[21.797,60.13,21.691,60.133,21.717,60.146,21.705,60.165,21.754,60.169,21.712,60.175,21.74,60.207,21.764,60.211,21.772,60.198,21.771,60.213,21.841,60.217,21.944,60.193,21.927,60.181,21.864,60.19,21.909,60.179,21.893,60.171,21.798,60.17,21.862,60.165,21.803,60.158,21.84,60.157,21.797,60.13]],[[25.701,60.338,25.645,60.334,25.641,60.353,25.664,60.361,25.701,60.338]],[[21.864,60.157,21.919,60.15,21.884,60.148,21.907,60.144,21.887,60.134,21.834,60.134,21.864,60.157]],[[19.408,69.844,19.521,69.919,19.681,69.957,19.773,70.007,19.84,69.999,19.883,69.973,19.786,69.924,19.721,69.854,19.438,69.834,19.408,69.844]],[[18.508,69.824,18.445,69.821,18.433,69.834,18.5,69.863,18.592,69.851,18.584,69.825,18.508,69.824]],[[16.509,68.881,16.432,68.889,16.348,68.939,16.253,68.955,16.299,68.993,16.382,68.987,16.442,68.961,16.507,68.965,16.567,68.944,16.571,68.968,16.616,68.962,16.628,68.929,16.651,68.935,16.613,68.905,16.645,68.898,16.566,68.875,16.509,68.881]],[[22.19,60.382,22.229,60.38,22.099,60.35,22.125,60.379,22.19,60.382]],[[24.747,64.981,24.703,64.977,24.728,64.97,24.704,64.959,24.652,64.96,24.577,65.002,24.547,65.04,24.646,65.082,24.833,65.098,24.89,65.082,24.885,65.059,25.029,65.058,25.067,65.039,24.92,65.033,24.895,65.048,24.796,65.051,24.828,65.051,24.821,65.032,24.865,65.02,24.878,64.967,24.791,64.941,24.738,64.959,24.747,64.981]],[[18.927,59.437,18.883,59.401,18.857,59.413,18.866,59.44,18.923,59.448,18.927,59.437]],[[18.737,59.333,18.738,59.355,18.739,59.318,18.667,59.295,18.675,59.315,18.697,59.314,18.678,59.329,18.713,59.314,18.726,59.32,18.716,59.318,18.713,59.342,18.71,59.327,18.69,59.33,18.624,59.372,18.718,59.369,18.733,59.333,18.721,59.325,18.737,59.333]],[[10.94,59.042,10.915,59.055,10.961,59.086,10.966,59.038,10.945,59.03,10.94,59.042]],[[20.996,60.317,20.987,60.298,20.952,60.313,20.99,60.336,20.996,60.317]],[[16.915,58.266,16.866,58.246,16.859,58.258,16.924,58.288,16.915,58.266]],[[16.828,58.312,16.89,58.297,16.877,58.274,16.851,58.272,16.828,58.312]],[[18.52,59.25,18.52,59.244,18.501,59.25,18.501,59.233,18.52,59.242,18.548,59.221,18.517,59.212,18.424,59.246,18.397,59.277,18.358,59.272,18.329,59.285,18.475,59.29,18.514,59.271,18.606,59.25,18.535,59.233,18.532,59.248,18.508,59.26,18.52,59.25]],[[17.659,58.923,17.66,58.911,17.619,58.973,17.654,59.013,17.637,59.06,17.666,59.076,17.663,59.049,17.671,59.063,17.713,59.007,17.7,58.927,17.679,58.924,17.697,58.894,17.656,58.944,17.659,58.923]],[[12.337,65.129,12.3,65.132,12.336,65.142,12.462,65.131,12.398,65.112,12.337,65.129]],[[18.72,59.269,18.735,59.262,18.727,59.277,18.786,59.303,18.819,59.29,18.788,59.267,18.754,59.266,18.783,59.265,18.764,59.253,18.747,59.263,18.717,59.253,18.72,59.269]],[[18.685,59.18,18.655,59.173,18.694,59.211,18.71,59.201,18.751,59.208,18.685,59.18]],[[16.901,58.529,16.996,58.499,16.992,58.486,16.962,58.483,16.901,58.529]],[[11.36,58.15,11.402,58.185,11.391,58.145,11.353,58.135,11.36,58.15]],[[21.06,62.573,21.076,62.581,21.096,62.569,21.09,62.53,21.052,62.54,21.06,62.573]],[[11.04,59.093,11.038,59.068,11.083,59.072,11.07,59.085,11.09,59.072,11.037,59.045,11.061,59.046,11.057,59.028,11.017,59.017,11.015,59.031,10.988,59.03,10.986,59.081,11.04,59.093]],[[21.371,61.22,21.407,61.208,21.37,61.197,21.412,61.184,21.369,61.172,21.334,61.193,21.366,61.196,21.371,61.22]],[[18.138,69.647,18.063,69.649,18.144,69.666,18.074,69.672,18.102,69.683,18.17,69.669,18.138,69.647]],[[18.708,69.934,18.737,69.962,18.847,69.938,18.834,69.952,18.85,69.943,18.909,69.964,18.808,69.984,18.85,70.029,18.933,70.03,18.944,70.017,18.996,70.041,19.068,70.006,19.087,70.032,19.024,70.067,19.048,70.079,19.059,70.058,19.096,70.08,19.146,70.075,19.182,70.091,19.225,70.081,19.204,70.062,19.304,70.084,19.245,70.036,19.363,69.989,19.406,69.989,19.376,70.009,19.408,70.043,19.488,70.054,19.538,70.043,19.533,69.983,19.593,70.025,19.676,69.996,19.674,69.975,19.62,69.96,19.47,69.949,19.485,69.909,19.355,69.827,19.249,69.8,19.248,69.814,19.204,69.812,19.248,69.8,19.126,69.787,19.067,69.791,18.931,69.867,18.729,69.911,18.708,69.934],[19.092,69.975,19.142,69.93,19.204,69.913,19.176,69.96,19.092,69.975]],[[10.914,59.124,10.916,59.096,10.879,59.068,10.883,59.083,10.855,59.07,10.833,59.105,10.874,59.121,10.858,59.09,10.914,59.124]],[[18.035,69.604,18.062,69.604,18.05,69.622,18.096,69.614,18.172,69.633,18.265,69.618,18.281,69.583,18.4,69.633,18.299,69.619,18.267,69.627,18.188,69.71,18.343,69.687,18.412,69.701,18.609,69.69,18.616,69.699,18.32,69.715,18.302,69.775,18.368,69.793,18.401,69.774,18.473,69.78,18.488,69.739,18.533,69.793,18.64,69.805,18.649,69.764,18.613,69.758,18.648,69.688,18.749,69.687,18.679,69.702,18.723,69.774,18.766,69.779,18.73,69.786,18.776,69.786,18.778,69.8,18.725,69.801,18.659,69.83,18.69,69.834,18.643,69.863,18.686,69.883,18.739,69.859,18.735,69.878,18.789,69.882,18.83,69.856,18.799,69.841,18.838,69.85,18.918,69.823,18.963,69.832,19.055,69.773,19.024,69.746,18.947,69.73,18.954,69.714,18.882,69.691,18.746,69.675,18.727,69.631,18.805,69.635,18.838,69.603,18.765,69.565,18.683,69.559,18.629,69.575,18.567,69.55,18.211,69.519,18.101,69.558,18.019,69.559,18.035,69.604]],[[18.962,69.65,18.914,69.627,18.894,69.679,19.013,69.715,18.962,69.65]],[[18.752,59.538,18.663,59.522,18.629,59.485,18.599,59.498,18.606,59.486,18.582,59.491,18.612,59.461,18.583,59.45,18.57,59.475,18.584,59.43,18.564,59.438,18.554,59.422,18.508,59.487,18.553,59.497,18.552,59.481,18.572,59.48,18.552,59.491,18.585,59.498,18.537,59.5,18.587,59.541,18.638,59.553,18.688,59.542,18.672,59.531,18.752,59.538]],[[12.308,65.916,12.316,65.932,12.376,65.934,12.234,65.837,12.25,65.876,12.334,65.922,12.308,65.916]],[[13.456,66.76,13.256,66.75,13.369,66.789,13.379,66.777,13.474,66.778,13.456,66.76]],[[8.496,54.447,8.527,54.436,8.499,54.419,8.457,54.435,8.457,54.472,8.478,54.476,8.496,54.447]],[[13.611,66.847,13.688,66.867,13.661,66.836,13.615,66.836,13.611,66.847]],[[21.509,61.641,21.531,61.633,21.516,61.611,21.445,61.624,21.478,61.626,21.471,61.644,21.509,61.641]],[[13.475,66.826,13.332,66.817,13.42,66.846,13.576,66.839,13.475,66.826]],[[5.601,59.122,5.565,59.123,5.6,59.124,5.601,59.142,5.699,59.115,5.717,59.127,5.763,59.122,5.781,59.076,5.739,59.071,5.701,59.099,5.601,59.122]],[[18.361,58.967,18.286,58.948,18.323,58.925,18.232,58.917,18.234,58.935,18.218,58.939,18.256,58.961,18.295,58.957,18.363,58.983,18.361,58.967]],[[10.639,55.816,10.621,55.765,10.537,55.778,10.53,55.852,10.583,55.869,10.601,55.904,10.583,55.928,10.527,55.948,10.522,55.979,10.562,56.002,10.582,55.946,10.652,55.917,10.61,55.908,10.633,55.878,10.662,55.879,10.688,55.894,10.675,55.925,10.689,55.904,10.68,55.871,10.645,55.844,10.639,55.816]],[[4.863,60.801,4.929,60.78,4.914,60.818,4.991,60.732,4.897,60.756,4.913,60.768,4.871,60.772,4.863,60.801]],[[4.71,60.787,4.744,60.775,4.728,60.75,4.693,60.772,4.727,60.775,4.692,60.776,4.71,60.787]],[[4.816,60.627,4.794,60.626,4.805,60.639,4.79,60.63,4.805,60.661,4.838,60.637,4.816,60.627]],[[4.827,60.592,4.794,60.588,4.791,60.622,4.836,60.629,4.846,60.619,4.841,60.636,4.861,60.611,4.816,60.609,4.85,60.599,4.839,60.581,4.827,60.592]],[[4.839,60.574,4.868,60.582,4.873,60.565,4.833,60.543,4.839,60.574]],[[4.886,60.555,4.917,60.524,4.893,60.517,4.877,60.535,4.857,60.515,4.852,60.546,4.881,60.564,4.886,60.555]],[[16.711,57.592,16.697,57.574,16.669,57.593,16.651,57.574,16.654,57.598,16.702,57.598,16.71,57.624,16.732,57.62,16.711,57.592]],[[22.19,60.441,22.186,60.427,22.135,60.425,22.114,60.407,22.109,60.426,22.092,60.417,22.088,60.427,22.19,60.441]],[[13.838,67.083,13.863,67.06,13.75,67.044,13.767,67.08,13.838,67.083]],[[5.004,60.417,5.05,60.399,5.028,60.373,5.052,60.394,5.134,60.333,5.132,60.273,5.103,60.274,5.092,60.293,5.09,60.28,5.069,60.285,5.101,60.258,5.098,60.271,5.12,60.265,5.171,60.202,5.145,60.215,5.159,60.19,5.13,60.178,5.109,60.186,5.099,60.173,5.069,60.242,5.01,60.24,5.01,60.25,5.01,60.236,5.055,60.228,5.039,60.203,5.023,60.223,4.98,60.23,4.995,60.268,4.968,60.251,4.948,60.275,4.968,60.293,4.948,60.303,4.973,60.302,4.993,60.284,5.051,60.291,5.01,60.244,5.071,60.262,5.054,60.269,5.068,60.318,5.047,60.294,5.016,60.302,4.964,60.384,4.99,60.388,4.956,60.419,4.975,60.451,5,60.424,4.986,60.459,5.018,60.435,5.004,60.417]],[[13.916,67.113,13.936,67.108,13.896,67.099,13.851,67.114,13.83,67.106,13.849,67.125,13.916,67.113]],[[5.108,60.379,5.107,60.399,5.154,60.389,5.16,60.36,5.142,60.378,5.128,60.37,5.163,60.349,5.147,60.333,5.119,60.373,5.078,60.379,5.108,60.379]],[[5.578,59.876,5.621,59.855,5.586,59.815,5.553,59.856,5.578,59.876]],[[11.544,58.238,11.519,58.226,11.539,58.215,11.478,58.211,11.487,58.231,11.544,58.238]],[[5.363,59.707,5.397,59.712,5.35,59.681,5.299,59.674,5.347,59.699,5.319,59.746,5.316,59.725,5.277,59.727,5.267,59.749,5.225,59.738,5.247,59.758,5.199,59.749,5.201,59.771,5.176,59.749,5.167,59.791,5.143,59.754,5.119,59.758,5.107,59.776,5.132,59.787,5.108,59.784,5.127,59.807,5.155,59.807,5.149,59.83,5.175,59.807,5.162,59.837,5.205,59.814,5.154,59.877,5.18,59.878,5.24,59.824,5.276,59.818,5.261,59.808,5.244,59.821,5.245,59.801,5.273,59.793,5.287,59.812,5.304,59.802,5.363,59.707]],[[5.118,59.867,5.16,59.844,5.127,59.826,5.135,59.837,5.101,59.829,5.077,59.861,5.118,59.867]],[[5.091,60.129,5.041,60.116,5.043,60.137,5.09,60.143,5.091,60.129]],[[5.095,59.995,5.091,59.982,5.051,59.988,5.081,60.01,5.03,60.018,5.1,60.009,5.095,59.995]],[[5.173,60.1,5.14,60.092,5.141,60.12,5.112,60.134,5.148,60.152,5.167,60.14,5.142,60.136,5.164,60.119,5.146,60.111,5.173,60.116,5.173,60.1]],[[5.187,60.069,5.175,60.055,5.191,60.078,5.201,60.07,5.199,60.08,5.222,60.064,5.221,60.041,5.253,60.044,5.211,60.126,5.258,60.097,5.247,60.067,5.269,60.064,5.263,60.088,5.273,60.062,5.277,60.084,5.301,60.067,5.304,60.032,5.256,59.991,5.265,60.008,5.202,60.016,5.183,60.051,5.204,60.049,5.211,60.062,5.184,60.054,5.187,60.069]],[[5.205,60.011,5.223,59.988,5.196,59.975,5.131,59.968,5.099,59.988,5.133,60.009,5.205,60.011]],[[11.22,63.812,11.202,63.794,11.152,63.802,11.037,63.744,11.002,63.744,11.053,63.8,11.22,63.812]],[[5.352,60.039,5.359,60.084,5.416,60.078,5.438,60.013,5.373,60.015,5.366,59.991,5.352,60.039]],[[5.677,59.983,5.621,59.939,5.666,59.928,5.671,59.905,5.641,59.899,5.655,59.916,5.624,59.909,5.6,59.925,5.631,59.9,5.615,59.873,5.578,59.889,5.596,59.915,5.56,59.888,5.536,59.894,5.503,59.978,5.477,59.941,5.374,59.987,5.397,59.985,5.402,60.003,5.411,59.99,5.434,60,5.436,59.983,5.461,59.999,5.482,59.987,5.501,59.999,5.463,60.023,5.479,60.05,5.565,60.045,5.535,60.056,5.603,60.07,5.628,60.051,5.672,60.081,5.698,60.074,5.711,60.03,5.677,59.983]],[[5.961,59.976,5.951,59.962,5.856,59.955,5.945,59.986,5.961,59.976]],[[5.702,59.71,5.649,59.717,5.655,59.745,5.709,59.732,5.727,59.705,5.702,59.71]],[[5.975,60.086,5.932,60.141,6.016,60.166,6.061,60.149,6.061,60.128,5.975,60.068,5.975,60.086]],[[22.958,60.024,22.929,60.003,22.907,60.009,22.954,60.052,22.976,60.04,22.958,60.024]],[[16.712,57.806,16.708,57.779,16.653,57.803,16.672,57.814,16.712,57.806]],[[8.301,63.45,8.333,63.454,8.313,63.454,8.327,63.484,8.309,63.48,8.349,63.496,8.35,63.482,8.351,63.497,8.434,63.531,8.386,63.526,8.385,63.513,8.296,63.479,8.3,63.492,8.363,63.509,8.407,63.545,8.506,63.561,8.553,63.547,8.655,63.571,8.777,63.562,8.544,63.594,8.647,63.62,8.657,63.598,8.661,63.623,8.86,63.644,8.864,63.623,8.833,63.619,8.88,63.588,8.865,63.609,8.925,63.623,8.876,63.629,8.88,63.644,8.994,63.654,8.998,63.637,8.936,63.623,8.991,63.615,8.968,63.581,9,63.58,9.019,63.599,9.092,63.602,9.15,63.581,9.128,63.547,9.169,63.571,9.201,63.565,9.079,63.515,8.839,63.475,8.811,63.484,8.701,63.477,8.528,63.427,8.386,63.427,8.355,63.442,8.38,63.447,8.35,63.448,8.375,63.455,8.334,63.454,8.329,63.432,8.301,63.45]],[[8.6,63.563,8.498,63.566,8.534,63.588,8.627,63.577,8.6,63.563]],[[8.715,63.637,8.685,63.628,8.664,63.64,8.864,63.66,8.83,63.643,8.715,63.637]],[[9.033,63.633,9.065,63.637,9.035,63.641,9.048,63.662,9.179,63.649,9.08,63.611,9.015,63.617,9.033,63.633]],[[5.359,60.157,5.35,60.142,5.325,60.153,5.35,60.181,5.374,60.17,5.359,60.157]],[[12.248,65.983,12.283,65.995,12.288,65.967,12.232,65.956,12.248,65.983]],[[12.27,66.003,12.304,66.005,12.305,65.992,12.389,66.016,12.31,65.97,12.297,65.999,12.275,65.996,12.296,66.004,12.27,66.003]],[[12.217,66,12.208,66.014,12.263,65.996,12.203,65.978,12.217,66]],[[21.965,60.442,21.923,60.485,22.028,60.459,22.027,60.442,22.074,60.441,22.034,60.421,21.991,60.423,21.965,60.442]],[[14.083,68.344,14.153,68.346,14.244,68.321,14.272,68.286,14.239,68.261,14.158,68.268,14.131,68.292,14.157,68.308,14.07,68.301,14.055,68.325,14.107,68.323,14.083,68.344]],[[14.8,68.213,14.778,68.192,14.712,68.197,14.741,68.221,14.833,68.212,14.81,68.203,14.8,68.213]],[[15.079,68.287,15.014,68.265,14.98,68.274,15.024,68.299,15.092,68.297,15.079,68.287]],[[14.797,68.254,14.873,68.301,14.936,68.309,14.962,68.286,14.882,68.278,14.937,68.274,14.868,68.224,14.847,68.236,14.817,68.226,14.797,68.254]],[[14.047,67.123,14.077,67.164,14.167,67.125,14.23,67.186,14.288,67.196,14.292,67.153,14.207,67.101,14.213,67.065,14.243,67.058,14.189,67.004,14.125,67.072,14.008,67.092,14.047,67.123]],[[5.203,61.883,5.335,61.891,5.296,61.869,5.203,61.883]],[[4.97,61.501,4.916,61.519,4.923,61.541,4.973,61.514,4.991,61.52,4.97,61.501]],[[4.824,61.586,4.786,61.587,4.825,61.592,4.827,61.606,4.855,61.601,4.845,61.614,4.881,61.611,4.891,61.592,4.824,61.586]],[[4.9,61.664,4.878,61.669,4.865,61.655,4.826,61.683,4.874,61.718,4.9,61.664]],[[5.1,61.556,5.056,61.57,5.102,61.575,5.174,61.546,5.1,61.556]],[[5.102,61.478,5.054,61.475,5.051,61.5,5.169,61.489,5.102,61.478]],[[21.495,60.506,21.508,60.497,21.479,60.479,21.434,60.484,21.433,60.502,21.333,60.544,21.349,60.55,21.328,60.565,21.354,60.569,21.353,60.58,21.375,60.573,21.37,60.597,21.446,60.573,21.435,60.565,21.417,60.579,21.429,60.555,21.518,60.546,21.531,60.522,21.477,60.536,21.483,60.511,21.483,60.529,21.508,60.525,21.495,60.506]],[[25.309,65.098,25.351,65.101,25.345,65.071,25.293,65.084,25.309,65.098]],[[10.634,59.421,10.592,59.417,10.588,59.436,10.634,59.466,10.648,59.511,10.675,59.487,10.634,59.421]],[[12.112,67.526,12.144,67.527,12.114,67.509,12.064,67.511,12.091,67.532,12.112,67.526]],[[12.632,67.66,12.573,67.632,12.567,67.654,12.727,67.694,12.699,67.639,12.679,67.668,12.654,67.65,12.632,67.66]],[[17.438,68.851,17.218,68.796,17.099,68.906,17.114,68.926,17.184,68.915,17.215,68.879,17.305,68.857,17.189,68.914,17.245,68.931,17.37,68.923,17.487,68.877,17.438,68.851]],[[17.181,68.772,17.117,68.749,16.824,68.728,17.032,68.868,17.181,68.772]],[[13.68,68.31,13.718,68.299,13.714,68.275,13.78,68.257,13.82,68.259,13.781,68.241,13.848,68.243,13.853,68.252,13.82,68.253,13.831,68.257,13.777,68.282,13.737,68.276,13.748,68.29,13.786,68.293,13.803,68.279,13.891,68.329,13.864,68.337,13.89,68.344,13.909,68.323,13.901,68.344,13.984,68.347,14.032,68.28,13.939,68.272,13.92,68.295,13.89,68.294,13.931,68.316,13.87,68.302,13.941,68.256,13.973,68.27,14.037,68.259,14.091,68.289,14.169,68.257,14.112,68.211,14.085,68.229,14.017,68.188,13.979,68.201,13.965,68.187,13.954,68.197,13.894,68.182,13.888,68.206,13.877,68.192,13.824,68.194,13.874,68.183,13.783,68.156,13.863,68.157,13.831,68.139,13.862,68.124,13.784,68.115,13.755,68.161,13.711,68.079,13.695,68.091,13.633,68.082,13.648,68.132,13.604,68.123,13.647,68.144,13.6,68.133,13.579,68.146,13.547,68.121,13.582,68.118,13.55,68.106,13.585,68.105,13.584,68.088,13.493,68.058,13.46,68.085,13.48,68.124,13.542,68.141,13.549,68.161,13.579,68.155,13.62,68.17,13.593,68.184,13.484,68.146,13.552,68.174,13.465,68.176,13.538,68.19,13.478,68.205,13.56,68.23,13.666,68.238,13.604,68.241,13.649,68.253,13.509,68.248,13.58,68.268,13.571,68.287,13.68,68.31]],[[13.092,68.111,13.139,68.114,13.137,68.098,13.184,68.102,13.191,68.091,13.121,68.059,13.162,68.068,13.169,68.059,13.113,68.041,13.082,68.057,13.093,68.034,13.049,68.032,13.082,68.016,13.163,68.045,13.187,67.976,13.134,67.944,13.102,67.97,13.07,67.951,13.015,67.994,13.027,67.959,12.985,67.971,13.005,67.917,12.964,67.896,13.024,67.909,13,67.949,13.084,67.929,13.103,67.937,13.082,67.915,13.042,67.92,13.077,67.913,13.028,67.9,13.032,67.882,13.023,67.892,12.979,67.876,12.964,67.885,12.93,67.863,12.876,67.859,12.906,67.855,12.873,67.828,12.809,67.825,12.798,67.841,12.847,67.847,12.828,67.859,12.862,67.871,12.842,67.891,12.888,67.892,12.844,67.901,12.9,67.921,12.905,67.967,12.97,67.981,12.958,68.03,12.991,68.02,13.047,68.075,13.098,68.078,13.092,68.111]],[[13.318,68.105,13.294,68.08,13.341,68.072,13.343,68.115,13.296,68.131,13.321,68.17,13.453,68.148,13.418,68.131,13.443,68.123,13.392,68.032,13.365,68.029,13.354,68.05,13.358,68.027,13.261,67.999,13.238,68.061,13.209,67.998,13.166,68.044,13.195,68.078,13.239,68.074,13.237,68.106,13.318,68.105]],[[7.782,63.022,7.699,63.035,7.702,63.064,7.727,63.053,7.708,63.078,7.874,63.107,7.9,63.099,7.893,63.066,7.814,63.023,7.765,63.027,7.782,63.022]],[[7.824,63.106,7.744,63.111,7.814,63.135,7.835,63.126,7.841,63.138,7.872,63.113,7.824,63.106]],[[7.9,62.99,7.885,63.024,7.912,63.04,7.962,63.041,7.948,63.02,7.981,63.028,7.991,63.017,7.9,62.99]],[[13.114,54.585,13.117,54.538,13.084,54.519,13.065,54.458,13.098,54.59,13.147,54.603,13.158,54.573,13.14,54.598,13.114,54.585]],[[8.203,63.225,8.231,63.23,8.322,63.164,8.188,63.163,8.191,63.206,8.159,63.213,8.203,63.225]],[[8.401,63.256,8.394,63.273,8.465,63.278,8.485,63.239,8.578,63.199,8.572,63.178,8.476,63.157,8.438,63.169,8.421,63.159,8.345,63.164,8.262,63.216,8.256,63.234,8.289,63.245,8.241,63.265,8.29,63.272,8.319,63.254,8.35,63.261,8.306,63.248,8.35,63.251,8.376,63.271,8.409,63.205,8.401,63.256]],[[8.55,63.344,8.516,63.339,8.539,63.321,8.445,63.339,8.523,63.346,8.494,63.373,8.585,63.392,8.648,63.383,8.708,63.339,8.563,63.315,8.55,63.344]],[[25.203,65.093,25.203,65.11,25.252,65.105,25.254,65.081,25.203,65.093]],[[9.456,58.853,9.484,58.84,9.436,58.86,9.512,58.872,9.537,58.861,9.511,58.844,9.514,58.858,9.456,58.853]],[[5.057,60.207,5.086,60.175,5.07,60.162,5.039,60.182,5.057,60.207]],[[7.304,62.675,7.388,62.661,7.274,62.648,7.221,62.664,7.263,62.68,7.304,62.675]],[[7.843,62.994,7.867,62.974,7.785,62.973,7.843,62.994]],[[5.24,60.413,5.168,60.391,5.14,60.425,5.17,60.426,5.173,60.44,5.11,60.452,5.11,60.44,5.079,60.456,5.125,60.47,5.073,60.464,5.084,60.507,5.054,60.492,5.029,60.501,4.962,60.562,5.025,60.537,5.048,60.507,5.04,60.531,5.078,60.509,5.094,60.525,5.137,60.511,5.142,60.466,5.153,60.505,5.22,60.489,5.24,60.413]],[[7.471,63.055,7.513,63.06,7.514,63.047,7.472,63.044,7.542,63.045,7.583,63.013,7.565,63.049,7.644,63.073,7.602,63.074,7.634,63.087,7.597,63.108,7.667,63.115,7.676,63.066,7.636,63.052,7.674,63.057,7.672,63.027,7.728,63.007,7.49,62.936,7.479,62.959,7.352,62.981,7.467,63.023,7.407,63.024,7.45,63.034,7.425,63.042,7.469,63.044,7.427,63.052,7.471,63.055]],[[17.567,69.087,17.519,69.04,17.473,69.035,17.413,68.994,17.355,68.99,17.351,69.03,17.406,69.077,17.583,69.095,17.567,69.087]],[[5.094,60.6,5.15,60.592,5.219,60.557,5.25,60.529,5.241,60.507,5.049,60.541,5.026,60.552,5.056,60.566,5.026,60.57,5.019,60.556,4.993,60.568,5.022,60.568,5.015,60.579,4.946,60.616,4.998,60.6,5.046,60.614,5.095,60.591,5.094,60.6]],[[11.593,57.856,11.566,57.872,11.591,57.881,11.63,57.873,11.593,57.856]],[[5.328,59.274,5.296,59.142,5.276,59.153,5.276,59.143,5.243,59.14,5.228,59.153,5.2,59.143,5.167,59.205,5.188,59.284,5.215,59.303,5.255,59.281,5.275,59.287,5.229,59.299,5.187,59.34,5.188,59.355,5.226,59.345,5.212,59.363,5.257,59.366,5.216,59.387,5.238,59.413,5.294,59.376,5.279,59.337,5.325,59.311,5.289,59.308,5.315,59.292,5.284,59.283,5.328,59.274]],[[30.037,69.858,30.018,69.885,30.079,69.885,30.065,69.864,30.095,69.859,30.037,69.858]],[[17.25,69.413,17.396,69.362,17.411,69.386,17.298,69.402,17.348,69.402,17.294,69.423,17.34,69.414,17.498,69.425,17.451,69.442,17.382,69.434,17.275,69.447,17.223,69.466,17.219,69.505,17.334,69.455,17.333,69.49,17.402,69.483,17.311,69.541,17.479,69.517,17.487,69.486,17.522,69.5,17.585,69.461,17.682,69.468,17.498,69.541,17.481,69.6,17.585,69.566,17.679,69.482,17.657,69.516,17.714,69.514,17.651,69.548,17.624,69.599,17.688,69.598,17.782,69.532,17.817,69.573,17.859,69.564,17.842,69.58,17.872,69.582,17.92,69.519,17.819,69.455,17.879,69.447,17.885,69.484,17.963,69.522,18.068,69.489,18.008,69.475,17.946,69.42,17.999,69.404,18.019,69.442,18.064,69.439,18.067,69.396,18.037,69.397,18.057,69.365,18.094,69.362,17.932,69.34,17.92,69.315,17.875,69.318,17.923,69.291,17.891,69.272,17.939,69.275,17.965,69.252,17.932,69.234,17.872,69.24,17.847,69.228,17.924,69.216,17.934,69.194,18.009,69.191,17.836,69.159,17.73,69.169,17.618,69.147,17.601,69.162,17.484,69.147,17.534,69.173,17.491,69.18,17.544,69.193,17.494,69.208,17.325,69.125,17.177,69.085,17.207,69.076,17.173,69.047,17.193,69.039,17.218,69.053,17.225,69.023,17.051,69.006,17.032,69.039,17.113,69.045,17.038,69.051,17.166,69.084,17.021,69.068,16.985,69.078,16.92,69.058,16.812,69.052,16.781,69.058,16.817,69.067,16.786,69.069,16.783,69.096,16.821,69.124,16.915,69.106,16.901,69.132,16.976,69.137,16.992,69.151,17.033,69.137,17.085,69.142,17.062,69.17,17.211,69.196,17.077,69.181,16.895,69.198,16.943,69.211,16.879,69.225,17.005,69.245,17.129,69.229,17.153,69.25,17.113,69.243,17.103,69.261,17.192,69.287,17.052,69.261,17.012,69.274,17.071,69.28,16.954,69.278,17.017,69.307,16.929,69.297,16.898,69.314,17.038,69.332,17.136,69.306,17.097,69.322,17.156,69.34,17.067,69.338,17.026,69.361,17.187,69.352,17.036,69.372,16.887,69.364,16.866,69.377,16.921,69.376,16.937,69.405,16.989,69.394,17.061,69.403,17.098,69.383,17.142,69.414,17.25,69.413],[17.601,69.442,17.622,69.396,17.649,69.427,17.622,69.452,17.601,69.442],[17.827,69.037,17.886,69.013,17.93,69.021,17.93,69.032,17.827,69.037]],[[6.399,62.502,6.165,62.492,6.245,62.513,6.351,62.506,6.458,62.517,6.399,62.502]],[[6.154,62.476,6.35,62.473,6.523,62.509,6.549,62.496,6.594,62.503,6.603,62.494,6.624,62.502,6.658,62.481,6.723,62.49,6.536,62.435,6.394,62.418,6.396,62.431,6.342,62.433,6.355,62.459,6.25,62.455,6.222,62.471,6.154,62.476],[6.41,62.472,6.37,62.472,6.456,62.461,6.455,62.489,6.416,62.486,6.41,62.472]],[[6.321,62.421,6.313,62.406,6.284,62.405,6.284,62.419,6.28,62.405,6.167,62.395,6.078,62.414,6.056,62.437,6.181,62.439,6.22,62.452,6.24,62.428,6.262,62.444,6.293,62.438,6.275,62.422,6.356,62.432,6.367,62.422,6.321,62.421]],[[8.4,54.628,8.367,54.61,8.297,54.664,8.354,54.712,8.338,54.685,8.4,54.628]],[[6.348,62.661,6.339,62.651,6.3,62.655,6.228,62.693,6.33,62.679,6.348,62.661]],[[6.421,62.691,6.316,62.706,6.425,62.713,6.421,62.691]],[[5.501,60.52,5.44,60.567,5.459,60.587,5.477,60.574,5.485,60.601,5.524,60.59,5.505,60.612,5.537,60.604,5.55,60.616,5.551,60.603,5.591,60.621,5.642,60.686,5.613,60.682,5.62,60.697,5.652,60.709,5.673,60.682,5.707,60.698,5.735,60.673,5.696,60.534,5.709,60.471,5.665,60.478,5.61,60.439,5.533,60.428,5.427,60.489,5.429,60.505,5.34,60.542,5.428,60.563,5.501,60.52]],[[8.774,58.423,8.752,58.428,8.744,58.416,8.715,58.437,8.771,58.455,8.774,58.423]],[[8.92,58.493,8.866,58.468,8.896,58.466,8.874,58.448,8.826,58.432,8.845,58.448,8.817,58.453,8.81,58.436,8.787,58.437,8.78,58.46,8.83,58.464,8.949,58.512,8.92,58.493]],[[8.637,56.651,8.639,56.621,8.587,56.653,8.641,56.662,8.637,56.651]],[[6.134,62.513,6.129,62.495,6.081,62.506,6.115,62.531,6.134,62.513]],[[5.95,62.479,5.969,62.492,6.048,62.486,6.031,62.463,5.94,62.464,5.95,62.479]],[[6.133,62.531,6.085,62.555,6.074,62.543,6.014,62.536,6.041,62.542,6.007,62.552,6.035,62.564,6.102,62.57,6.077,62.588,6.131,62.583,6.133,62.531]],[[5.807,62.302,5.772,62.296,5.797,62.317,5.765,62.324,5.832,62.334,5.845,62.31,5.807,62.302]],[[5.826,62.346,5.843,62.403,5.949,62.425,6.002,62.422,6.031,62.37,6.086,62.354,6.065,62.346,6.114,62.352,5.969,62.295,5.916,62.253,5.807,62.25,5.871,62.274,5.854,62.29,5.831,62.283,5.865,62.323,5.843,62.344,5.809,62.34,5.826,62.346]],[[9.394,63.659,9.394,63.648,9.355,63.653,9.418,63.691,9.457,63.642,9.394,63.659]],[[18.538,59.281,18.633,59.282,18.702,59.3,18.678,59.275,18.711,59.279,18.634,59.26,18.633,59.275,18.594,59.255,18.551,59.267,18.583,59.264,18.606,59.282,18.57,59.267,18.538,59.281]],[[19.837,60.415,19.916,60.423,19.938,60.384,19.963,60.413,19.932,60.353,19.975,60.375,19.962,60.386,20.022,60.35,20.013,60.377,20.047,60.376,20.047,60.365,20.069,60.372,20.063,60.357,20.078,60.382,20.131,60.364,20.097,60.347,20.141,60.354,20.128,60.342,20.168,60.319,20.144,60.353,20.193,60.345,20.188,60.327,20.208,60.333,20.181,60.284,20.206,60.311,20.275,60.286,20.24,60.235,20.211,60.247,20.24,60.208,20.192,60.202,20.168,60.175,20.121,60.198,20.08,60.185,20.082,60.235,20.058,60.198,20.032,60.213,20.046,60.227,20.014,60.244,20.048,60.274,20.048,60.315,20.015,60.254,19.977,60.27,19.976,60.299,19.974,60.268,20.021,60.233,20.009,60.191,20.045,60.189,20.022,60.125,20.055,60.115,20.03,60.098,19.988,60.11,19.988,60.091,19.972,60.114,19.945,60.112,19.956,60.06,19.923,60.118,19.91,60.079,19.88,60.112,19.868,60.09,19.817,60.089,19.82,60.113,19.802,60.097,19.791,60.108,19.783,60.093,19.751,60.094,19.691,60.228,19.659,60.247,19.662,60.288,19.638,60.277,19.628,60.288,19.657,60.305,19.676,60.279,19.695,60.293,19.675,60.26,19.7,60.262,19.716,60.298,19.746,60.281,19.753,60.303,19.781,60.305,19.747,60.304,19.738,60.334,19.804,60.323,19.766,60.264,19.82,60.201,19.837,60.232,19.802,60.232,19.828,60.271,19.806,60.309,19.849,60.312,19.823,60.253,19.857,60.238,19.897,60.291,19.896,60.303,19.87,60.288,19.849,60.32,19.88,60.325,19.884,60.303,19.907,60.322,19.907,60.294,19.951,60.294,19.893,60.334,19.904,60.363,19.846,60.32,19.812,60.367,19.8,60.349,19.828,60.335,19.782,60.338,19.777,60.366,19.813,60.377,19.797,60.399,19.827,60.404,19.815,60.42,19.832,60.402,19.837,60.415]],[[4.814,61.066,4.81,61.045,4.799,61.075,4.775,61.058,4.78,61.022,4.752,61.1,4.79,61.107,4.798,61.082,4.813,61.101,4.814,61.066]],[[5.096,61.127,5.089,61.115,5.031,61.121,5.023,61.172,5.096,61.127]],[[4.896,61.174,4.898,61.214,4.938,61.198,4.956,61.125,4.945,61.191,4.974,61.173,4.987,61.183,4.95,61.202,4.999,61.2,5.023,61.11,4.954,61.091,4.922,61.053,4.9,61.11,4.845,61.044,4.82,61.061,4.828,61.083,4.849,61.08,4.834,61.147,4.828,61.138,4.805,61.155,4.844,61.165,4.861,61.146,4.87,61.176,4.914,61.11,4.907,61.139,4.943,61.143,4.898,61.148,4.896,61.174]],[[23.15,70.544,23.216,70.543,23.252,70.507,23.232,70.474,23.251,70.468,23.218,70.466,23.208,70.456,23.271,70.474,23.277,70.508,23.322,70.525,23.272,70.519,23.243,70.548,23.401,70.529,23.364,70.553,23.438,70.563,23.508,70.531,23.526,70.54,23.455,70.565,23.494,70.577,23.427,70.581,23.459,70.611,23.39,70.604,23.358,70.621,23.483,70.628,23.508,70.613,23.564,70.624,23.549,70.596,23.587,70.582,23.53,70.522,23.643,70.489,23.638,70.438,23.501,70.388,23.422,70.395,23.473,70.378,23.419,70.35,23.278,70.346,23.354,70.314,23.146,70.272,23.056,70.294,23.039,70.328,23.096,70.356,23.121,70.409,23.002,70.335,22.973,70.36,22.946,70.344,22.89,70.364,22.891,70.389,22.816,70.411,22.955,70.397,22.884,70.417,22.867,70.446,22.94,70.456,22.945,70.473,22.994,70.474,22.984,70.49,23.071,70.513,23.114,70.513,23.151,70.491,23.124,70.482,23.154,70.482,23.165,70.514,23.226,70.516,23.148,70.525,23.118,70.543,23.15,70.544]],[[5.213,60.569,5.146,60.611,5.097,60.608,5.054,60.638,5.005,60.637,5.009,60.651,4.898,60.699,4.931,60.691,4.875,60.74,4.937,60.719,4.889,60.747,4.992,60.707,4.944,60.734,5.04,60.711,5.051,60.688,5.119,60.636,5.073,60.68,5.183,60.619,5.213,60.569]],[[10.808,64.514,10.78,64.519,10.79,64.544,10.849,64.515,10.808,64.514]],[[7.804,63.413,7.873,63.437,7.909,63.426,7.907,63.442,7.948,63.428,7.943,63.445,7.977,63.457,7.998,63.444,7.982,63.457,8.012,63.467,8.073,63.457,8.1,63.469,8.21,63.373,8.188,63.353,8.142,63.352,8.17,63.342,8.057,63.338,8.128,63.329,7.999,63.323,7.934,63.349,8.045,63.339,7.862,63.357,7.938,63.378,7.864,63.362,7.847,63.369,7.842,63.357,7.822,63.379,7.812,63.362,7.782,63.365,7.793,63.385,7.841,63.39,7.798,63.388,7.841,63.403,7.792,63.405,7.804,63.413]],[[8.2,63.303,8.103,63.277,8.115,63.296,8.19,63.303,8.208,63.325,8.225,63.313,8.2,63.303]],[[6.429,62.745,6.447,62.758,6.41,62.763,6.471,62.788,6.488,62.752,6.46,62.725,6.429,62.745]],[[5.65,62.405,5.628,62.381,5.581,62.413,5.65,62.405]],[[5.728,62.332,5.72,62.321,5.658,62.324,5.693,62.343,5.67,62.364,5.743,62.366,5.728,62.332]],[[5.566,62.335,5.527,62.33,5.497,62.365,5.559,62.374,5.555,62.361,5.592,62.361,5.611,62.342,5.566,62.335]],[[5.421,62.2,5.345,62.209,5.346,62.221,5.39,62.223,5.421,62.2]],[[5.467,62.253,5.45,62.258,5.494,62.241,5.458,62.239,5.474,62.233,5.39,62.257,5.452,62.268,5.493,62.251,5.467,62.253]],[[5.59,62.192,5.528,62.23,5.649,62.222,5.533,62.247,5.529,62.259,5.582,62.258,5.547,62.273,5.56,62.293,5.651,62.303,5.713,62.294,5.741,62.307,5.732,62.282,5.83,62.287,5.785,62.25,5.811,62.241,5.792,62.214,5.59,62.192]],[[5.013,60.999,4.982,60.992,5.022,60.99,5.036,60.973,4.929,60.975,4.93,61.011,4.96,61.014,4.972,60.989,4.966,61.01,4.993,61.015,5.013,60.999]],[[4.9,60.925,4.924,60.938,4.958,60.91,4.933,60.896,4.961,60.887,4.939,60.887,4.9,60.925]],[[4.85,60.917,4.834,60.912,4.874,60.903,4.876,60.917,4.894,60.913,4.93,60.87,4.901,60.867,4.93,60.869,4.933,60.854,4.877,60.864,4.872,60.899,4.862,60.885,4.831,60.894,4.83,60.918,4.85,60.917]],[[4.982,60.936,4.992,60.949,5.023,60.911,5.029,60.846,4.978,60.848,4.966,60.864,4.953,60.943,4.982,60.936]],[[12.429,65.822,12.388,65.821,12.401,65.856,12.428,65.857,12.407,65.832,12.509,65.86,12.483,65.832,12.429,65.822]],[[19.638,70.182,19.517,70.215,19.513,70.246,19.487,70.244,19.52,70.255,19.549,70.246,19.586,70.285,19.647,70.282,19.674,70.223,19.686,70.236,19.732,70.229,19.763,70.159,19.803,70.16,19.838,70.211,19.913,70.192,19.887,70.165,19.955,70.133,19.995,70.15,20.009,70.131,19.961,70.127,20.127,70.099,19.995,70.086,19.965,70.052,19.743,70.057,19.638,70.182]],[[17.373,62.48,17.503,62.45,17.473,62.436,17.518,62.414,17.527,62.359,17.455,62.366,17.435,62.353,17.41,62.363,17.413,62.412,17.373,62.48]],[[11.52,58.094,11.548,58.082,11.514,58.059,11.496,58.083,11.506,58.1,11.52,58.094]],[[14.971,68.557,14.996,68.534,14.904,68.5,14.748,68.503,14.722,68.492,14.733,68.509,14.611,68.565,14.698,68.589,14.971,68.557]],[[13.971,67.134,13.93,67.125,13.964,67.155,14.001,67.145,13.971,67.134]],[[23.668,64.186,23.683,64.174,23.655,64.19,23.608,64.181,23.591,64.19,23.64,64.199,23.643,64.219,23.668,64.186]],[[6.276,62.635,6.255,62.629,6.17,62.655,6.17,62.684,6.241,62.664,6.276,62.635]],[[14.374,67.184,14.361,67.212,14.502,67.239,14.482,67.231,14.601,67.237,14.615,67.225,14.432,67.201,14.374,67.184]],[[14.4,67.43,14.387,67.42,14.426,67.424,14.386,67.393,14.214,67.374,14.344,67.436,14.386,67.445,14.4,67.43]],[[14.658,67.237,14.724,67.237,14.704,67.225,14.627,67.227,14.613,67.243,14.658,67.237]],[[12.366,66.053,12.514,66.096,12.335,66.071,12.347,66.092,12.485,66.108,12.507,66.139,12.596,66.161,12.546,66.161,12.589,66.171,12.525,66.168,12.527,66.182,12.424,66.154,12.505,66.193,12.453,66.191,12.553,66.202,12.585,66.219,12.548,66.218,12.588,66.228,12.629,66.156,12.551,66.13,12.584,66.123,12.622,66.148,12.65,66.136,12.593,66.113,12.653,66.123,12.667,66.103,12.586,66.086,12.552,66.059,12.308,66.014,12.309,66.038,12.366,66.053]],[[18.776,57.7,18.807,57.679,18.764,57.616,18.808,57.603,18.815,57.561,18.75,57.51,18.785,57.489,18.761,57.469,18.802,57.47,18.786,57.45,18.812,57.439,18.893,57.444,18.931,57.422,18.918,57.403,18.885,57.382,18.867,57.399,18.755,57.363,18.716,57.322,18.675,57.313,18.667,57.283,18.718,57.266,18.712,57.245,18.667,57.243,18.706,57.234,18.697,57.223,18.679,57.217,18.669,57.232,18.643,57.218,18.574,57.219,18.546,57.207,18.58,57.204,18.567,57.195,18.401,57.14,18.392,57.122,18.455,57.118,18.378,57.099,18.34,57.072,18.341,57.016,18.398,56.994,18.356,56.995,18.367,56.985,18.32,56.964,18.311,56.939,18.193,56.906,18.128,56.908,18.201,56.983,18.19,57.009,18.219,57.031,18.276,57.037,18.301,57.095,18.232,57.062,18.174,57.07,18.218,57.099,18.219,57.141,18.166,57.145,18.149,57.238,18.091,57.262,18.102,57.29,18.169,57.32,18.17,57.37,18.197,57.39,18.146,57.406,18.142,57.438,18.118,57.441,18.106,57.535,18.33,57.669,18.461,57.82,18.607,57.844,18.626,57.887,18.698,57.922,18.755,57.921,18.793,57.828,18.814,57.867,18.846,57.88,18.851,57.923,18.926,57.927,18.909,57.903,18.94,57.883,18.94,57.918,19.011,57.921,19.028,57.87,19.06,57.866,19.098,57.817,19.037,57.836,18.987,57.799,18.981,57.768,18.948,57.787,18.959,57.728,18.92,57.731,18.9,57.714,18.877,57.736,18.853,57.716,18.816,57.748,18.81,57.701,18.776,57.7]],[[20.414,60.016,20.456,60.005,20.448,59.987,20.411,59.997,20.412,59.982,20.364,59.98,20.36,60.001,20.299,59.98,20.346,60.009,20.332,60.018,20.414,60.016]],[[22.258,60.404,22.279,60.391,22.246,60.398,22.172,60.385,22.156,60.397,22.185,60.414,22.146,60.406,22.219,60.432,22.258,60.404]],[[30.828,61.627,30.85,61.627,30.85,61.606,30.806,61.593,30.828,61.627]],[[27.466,58.39,27.531,58.379,27.515,58.356,27.487,58.356,27.466,58.39]],[[16.611,59.521,16.677,59.523,16.691,59.512,16.655,59.495,16.611,59.502,16.611,59.486,16.593,59.512,16.611,59.521]],[[15.688,59.213,15.753,59.198,15.688,59.187,15.688,59.213]],[[14.37,58.068,14.331,58.008,14.282,57.993,14.317,58.055,14.354,58.078,14.388,58.078,14.37,58.068]],[[13.755,57.055,13.799,57.055,13.799,57.041,13.755,57.024,13.755,57.055]],[[13.689,56.897,13.667,56.885,13.667,56.907,13.755,56.913,13.755,56.897,13.689,56.897]],[[14.379,56.121,14.414,56.121,14.442,56.097,14.414,56.082,14.379,56.121]],[[29.675,63.214,29.751,63.223,29.707,63.189,29.675,63.214]],[[29.411,63.273,29.399,63.283,29.443,63.293,29.412,63.293,29.376,63.332,29.443,63.338,29.531,63.32,29.531,63.265,29.531,63.293,29.487,63.263,29.485,63.273,29.411,63.273]],[[29.412,63.253,29.459,63.253,29.487,63.223,29.443,63.223,29.412,63.253]],[[30.718,62.975,30.762,63.004,30.78,62.975,30.762,62.965,30.718,62.975]],[[29.399,62.512,29.427,62.512,29.443,62.472,29.419,62.451,29.399,62.512]],[[29.443,62.431,29.465,62.431,29.457,62.411,29.355,62.398,29.355,62.411,29.396,62.411,29.365,62.431,29.399,62.447,29.443,62.446,29.443,62.431,29.399,62.431,29.399,62.42,29.443,62.42,29.443,62.431]],[[29.399,62.114,29.443,62.104,29.443,62.083,29.399,62.096,29.399,62.114]],[[30.951,61.669,30.981,61.688,30.981,61.655,31.025,61.658,31.047,61.627,30.981,61.635,30.951,61.669]],[[30.059,61.785,30.103,61.785,30.103,61.773,30.059,61.76,30.059,61.785]],[[29.927,61.856,29.934,61.877,29.986,61.856,29.993,61.825,29.971,61.819,29.927,61.856]],[[29.487,61.929,29.531,61.909,29.487,61.909,29.487,61.888,29.373,61.898,29.399,61.913,29.468,61.898,29.487,61.929]],[[30.938,61.364,30.894,61.343,30.87,61.376,30.894,61.403,30.905,61.376,30.981,61.411,31.025,61.408,31.039,61.397,30.981,61.385,30.995,61.334,30.966,61.334,30.938,61.364]],[[31.615,61.291,31.597,61.283,31.597,61.306,31.641,61.312,31.58,61.334,31.587,61.35,31.527,61.355,31.553,61.396,31.651,61.376,31.675,61.355,31.608,61.334,31.641,61.334,31.657,61.312,31.641,61.281,31.615,61.291]],[[30.61,60.888,30.632,60.888,30.63,60.833,30.622,60.86,30.567,60.866,30.61,60.866,30.61,60.888]],[[30.015,60.994,30.059,60.986,30.059,60.971,30.015,60.956,29.98,60.973,30.015,60.994]],[[27.056,64.321,27.114,64.316,27.026,64.297,27.026,64.309,26.938,64.328,26.982,64.328,27.026,64.39,27.07,64.397,27.07,64.385,27.114,64.397,27.114,64.416,27.152,64.416,27.127,64.387,27.175,64.359,27.056,64.321]],[[27.861,62.993,27.861,62.955,27.838,62.955,27.829,62.975,27.861,62.993]],[[28.451,62.104,28.521,62.117,28.55,62.104,28.521,62.091,28.451,62.104]],[[28.521,62.054,28.533,62.022,28.499,62.011,28.494,62.042,28.521,62.054]],[[28.74,61.782,28.828,61.783,28.807,61.752,28.74,61.752,28.74,61.764,28.784,61.764,28.74,61.782]],[[28.828,61.807,28.886,61.794,28.895,61.773,28.851,61.773,28.828,61.807]],[[28.652,61.815,28.766,61.815,28.766,61.794,28.652,61.805,28.652,61.815]],[[28.564,61.76,28.662,61.773,28.678,61.752,28.626,61.732,28.626,61.752,28.608,61.739,28.564,61.76]],[[28.883,61.752,28.872,61.717,28.872,61.739,28.828,61.757,28.916,61.764,28.951,61.752,28.883,61.752]],[[26.631,61.799,26.675,61.806,26.719,61.794,26.719,61.805,26.763,61.805,26.763,61.787,26.719,61.787,26.675,61.757,26.675,61.783,26.631,61.799]],[[28.104,61.397,28.169,61.397,28.169,61.384,28.125,61.384,28.125,61.376,28.081,61.364,28.037,61.362,27.999,61.397,28.037,61.403,27.993,61.401,27.957,61.418,27.993,61.433,28.005,61.418,28.005,61.439,28.064,61.439,28.064,61.46,28.037,61.449,28.015,61.46,28.037,61.47,28.081,61.469,28.081,61.448,28.125,61.439,28.104,61.397,28.081,61.397,28.081,61.429,28.037,61.429,28.056,61.397,28.122,61.376,28.104,61.397]],[[28.153,61.334,28.169,61.342,28.171,61.315,28.257,61.312,28.257,61.3,28.169,61.303,28.153,61.334]],[[28.213,61.243,28.184,61.228,28.202,61.207,28.169,61.207,28.137,61.228,28.169,61.228,28.169,61.239,28.125,61.239,28.125,61.264,28.155,61.249,28.229,61.249,28.213,61.243]],[[27.729,60.994,27.698,60.994,27.698,61.016,27.781,61.016,27.796,60.994,27.773,60.977,27.773,61.009,27.729,61.009,27.729,60.994]],[[26.543,61.876,26.573,61.856,26.554,61.815,26.543,61.876]],[[25.427,61.732,25.464,61.732,25.479,61.711,25.444,61.694,25.4,61.711,25.427,61.732]],[[25.471,61.523,25.51,61.537,25.544,61.523,25.507,61.523,25.507,61.502,25.471,61.523]],[[14.177,62.063,14.217,62.063,14.217,62.042,14.177,62.042,14.177,62.063]],[[14.56,60.93,14.59,60.946,14.667,60.909,14.656,60.877,14.612,60.877,14.629,60.909,14.568,60.898,14.56,60.93]],[[18.263,65.749,18.344,65.731,18.369,65.702,18.255,65.713,18.22,65.749,18.237,65.762,18.237,65.738,18.263,65.749]],[[27.974,69.053,27.949,69.044,27.949,69.06,27.993,69.06,27.973,69.084,28.01,69.084,28.013,69.053,27.974,69.053]],[[27.861,68.982,27.905,68.967,27.861,68.967,27.861,68.932,27.84,69.006,27.861,69.018,27.874,69.006,27.905,69.056,27.957,69.037,27.905,69.03,27.924,68.99,27.861,68.982]],[[28.169,68.921,28.213,68.906,28.169,68.899,28.138,68.911,28.169,68.921]],[[27.666,68.879,27.729,68.901,27.755,68.864,27.642,68.876,27.666,68.879]],[[27.398,68.927,27.554,68.937,27.642,68.905,27.554,68.902,27.479,68.927,27.398,68.927]],[[27.426,67.909,27.422,67.923,27.535,67.909,27.535,67.892,27.426,67.909]],[[30.929,66.513,30.907,66.531,30.938,66.542,31.028,66.531,30.929,66.513]],[[31.157,66.036,31.184,66.018,31.113,66.006,31.113,66.03,31.157,66.036]],[[30.918,66.196,30.981,66.206,31.041,66.178,31.025,66.153,30.955,66.161,30.918,66.196]],[[30.875,66.036,30.806,66.033,30.806,66.015,30.735,66.018,30.806,66.053,30.806,66.036,30.834,66.036,30.918,66.089,30.918,66.072,30.965,66.072,30.918,66.054,30.966,66.054,30.875,66.036]],[[31.847,65.694,31.882,65.71,31.953,65.694,31.881,65.676,31.775,65.676,31.854,65.679,31.847,65.694]],[[31.978,66.74,31.992,66.748,31.948,66.748,31.926,66.766,32,66.766,32,66.738,31.992,66.73,31.978,66.74]],[[31.113,68.573,31.157,68.554,31.095,68.544,31.079,68.56,31.113,68.573]],[[31.09,68.512,31.113,68.538,31.157,68.538,31.113,68.505,31.09,68.512]],[[28.136,57.868,28.136,57.856,28.081,57.866,28.091,57.885,28.125,57.887,28.103,57.863,28.136,57.868]]]}
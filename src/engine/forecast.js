@@ -0,0 +1,180 @@
+// ============================================================================
+// FORECAST WINDOW HELPERS
+// ============================================================================
+// Pure helpers for picking the part of a Met.no timeseries that should be
+// scored, and for averaging it into one summary per location.
+//
+// Met.no locationforecast returns hourly steps for roughly the first 60 hours
+// and 6-hourly steps (only next_6_hours, no next_1_hours) after that. Every
+// entry is therefore treated as covering a period [time, time + step), and
+// averages are weighted by how many hours of that period fall inside the
+// chosen window. A 6-hourly step then counts as much as six hourly ones.
+// ============================================================================
+
+const HOUR_MS = 60 * 60 * 1000
+
+// How far ahead Met.no locationforecast reaches (days)
+export const FORECAST_DAYS = 9
+
+// Default window. An empty date means the next 24 hours from now (the
+// original behaviour); the hours are the default range once a date is picked.
+export const DEFAULT_WINDOW = { date: '', fromHour: 10, toHour: 16 }
+
+// Format a Date as YYYY-MM-DD in local time (value for <select>/<input type="date">)
+export function toDateKey(d) {
+  const pad = n => String(n).padStart(2, '0')
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`
+}
+
+// Selectable dates for the window picker: today and the following days
+export function windowDateOptions(now = new Date()) {
+  const options = []
+  for (let i = 0; i < FORECAST_DAYS; i++) {
+    const d = new Date(now.getFullYear(), now.getMonth(), now.getDate() + i)
+    const weekday = d.toLocaleDateString('no-NO', { weekday: 'short', day: 'numeric', month: 'short' })
+    const label = i === 0 ? `I dag (${weekday})` : i === 1 ? `I morgen (${weekday})` : weekday
+    options.push({ value: toDateKey(d), label })
+  }
+  return options
+}
+
+// Convert a window description into absolute start/end timestamps (ms).
+// forecastWindow.date === '' means "the next 24 hours from now".
+export function resolveWindow(forecastWindow, now = new Date()) {
+  if (!forecastWindow || !forecastWindow.date) {
+    const start = now.getTime()
+    return { start, end: start + 24 * HOUR_MS }
+  }
+  const [y, m, d] = forecastWindow.date.split('-').map(Number)
+  const start = new Date(y, m - 1, d, forecastWindow.fromHour).getTime()
+  const end = new Date(y, m - 1, d, forecastWindow.toHour).getTime()
+  return { start, end }
+}
+
+// Human readable label for a window, used in the summary and table headings
+export function windowLabel(forecastWindow) {
+  if (!forecastWindow || !forecastWindow.date) return 'neste 24 timer'
+  const [y, m, d] = forecastWindow.date.split('-').map(Number)
+  const day = new Date(y, m - 1, d).toLocaleDateString('no-NO', { weekday: 'long', day: 'numeric', month: 'long' })
+  const pad = n => String(n).padStart(2, '0')
+  return `${day} ${pad(forecastWindow.fromHour)}:00–${pad(forecastWindow.toHour)}:00`
+}
+
+// Max number of time-slider steps per window
+export const TIMELINE_MAX_STEPS = 24
+
+// Split a window into consecutive blocks for the time slider: whole hours,
+// or 2-3 hour blocks when the window is longer than TIMELINE_MAX_STEPS
+// hours. Block edges sit on full hours; the first and last block are clipped
+// to the window.
+export function timelineBlocks({ start, end }, maxSteps = TIMELINE_MAX_STEPS) {
+  const first = Math.floor(start / HOUR_MS) * HOUR_MS
+  const blockHours = Math.max(1, Math.ceil((end - start) / HOUR_MS / maxSteps))
+  const blocks = []
+  for (let t = first; t < end; t += blockHours * HOUR_MS) {
+    blocks.push({ start: Math.max(t, start), end: Math.min(t + blockHours * HOUR_MS, end) })
+  }
+  return blocks
+}
+
+// Lengths (hours) offered for the best contiguous period within the window
+export const BEST_WINDOW_HOURS = [2, 3, 4, 6]
+export const DEFAULT_BEST_WINDOW_HOURS = 3
+export const MAX_BEST_WINDOW_HOURS = 12
+
+// Every `hours` long period within the window that starts at the window
+// start or on a full hour after it. A window shorter than `hours` gives
+// only the window itself.
+export function subWindows({ start, end }, hours) {
+  const length = hours * HOUR_MS
+  if (end - start <= length) return [{ start, end }]
+  const periods = []
+  for (let t = start; t + length <= end; t = (Math.floor(t / HOUR_MS) + 1) * HOUR_MS) {
+    periods.push({ start: t, end: t + length })
+  }
+  return periods
+}
+
+// Length of the period an entry describes, in hours
+export function entryStepHours(entry, nextEntry) {
+  if (entry.data.next_1_hours) return 1
+  if (entry.data.next_6_hours) return 6
+  if (entry.data.next_12_hours) return 12
+  if (nextEntry) return (Date.parse(nextEntry.time) - Date.parse(entry.time)) / HOUR_MS
+  return 1
+}
+
+// Next-period block (symbol, precipitation) matching the entry's step length
+export function entryPeriod(entry) {
+  return entry.data.next_1_hours || entry.data.next_6_hours || entry.data.next_12_hours || null
+}
+
+// Pick the timeseries entries whose period overlaps [start, end).
+// Each returned item carries the entry, its step length and `hours`, the
+// number of hours of the entry's period that fall inside the window.
+export function selectWindowEntries(timeseries, { start, end }) {
+  const selected = []
+  for (let i = 0; i < timeseries.length; i++) {
+    const entry = timeseries[i]
+    const t = Date.parse(entry.time)
+    if (t >= end) break
+    const step = entryStepHours(entry, timeseries[i + 1])
+    const periodEnd = t + step * HOUR_MS
+    // For "now"-based windows the first entry is usually the current hour,
+    // which starts slightly before `start` - keep it as long as it overlaps.
+    const overlap = (Math.min(periodEnd, end) - Math.max(t, start)) / HOUR_MS
+    if (overlap > 0) selected.push({ entry, step, hours: overlap })
+  }
+  return selected
+}
+
+// Weighted averages of the instant values over the selected entries.
+// Precipitation is taken from the entry's next_1_hours/next_6_hours block and
+// converted to mm per hour, so hourly and 6-hourly steps are comparable.
+// precipProbability and gust are null when the forecast lacks that data.
+// windVariability is the standard deviation of the wind speed in the window.
+// Returns null when no entry in the window has instant details.
+export function summarizeEntries(selected) {
+  let totalSol = 0, totalTemp = 0, totalWind = 0, totalWindSq = 0
+  let totalPrecip = 0, totalProb = 0, probHours = 0
+  let totalGust = 0, gustHours = 0
+  let totalHours = 0
+
+  selected.forEach(({ entry, step, hours }) => {
+    const details = entry.data.instant && entry.data.instant.details
+    if (!details) return
+    totalSol += (1 - details.cloud_area_fraction / 100) * hours
+    totalTemp += details.air_temperature * hours
+    totalWind += details.wind_speed * hours
+    totalWindSq += details.wind_speed * details.wind_speed * hours
+    totalHours += hours
+
+    if (details.wind_speed_of_gust != null) {
+      totalGust += details.wind_speed_of_gust * hours
+      gustHours += hours
+    }
+
+    const period = entryPeriod(entry)?.details || {}
+    if (period.precipitation_amount != null) {
+      totalPrecip += (period.precipitation_amount / step) * hours
+    }
+    if (period.probability_of_precipitation != null) {
+      totalProb += period.probability_of_precipitation * hours
+      probHours += hours
+    }
+  })
+
+  if (totalHours === 0) return null
+
+  const wind = totalWind / totalHours
+  return {
+    sol: totalSol / totalHours,
+    temp: totalTemp / totalHours,
+    wind,
+    windVariability: Math.sqrt(Math.max(totalWindSq / totalHours - wind * wind, 0)),
+    gust: gustHours > 0 ? totalGust / gustHours : null,
+    precip: totalPrecip / totalHours,
+    precipProbability: probHours > 0 ? totalProb / probHours : null,
+    hours: totalHours
+  }
+}
@@ -0,0 +1,129 @@
+// ============================================================================
+// SEARCH GRID GENERATION
+// ============================================================================
+// Sample point generators for the weather search:
+// - Coarse polar grid: 81 points on 5 rings (1, 8, 16, 24, 32) covering the
+//   whole search radius
+// - Refinement grid: denser local rings around the best coarse candidates,
+//   limited by a fixed request budget
+// - Lattice snapping: sample points are moved to a fixed lat/lon lattice so
+//   searches from nearby centres request (and cache) the same points
+// ============================================================================
+
+// Kilometres per degree of latitude
+export const KM_PER_DEG = 111.32
+
+// Coarse grid layout: number of points per ring, from the centre outwards
+export const POINTS_PER_RING = [1, 8, 16, 24, 32]
+
+// Refinement defaults: how many candidates to refine and how many extra
+// /api/met requests the second pass may spend in total
+export const REFINE_TOP_N = 3
+export const REFINE_BUDGET = 30
+
+// Default lattice spacing in degrees (0.01° is about 1.1 km north-south and
+// 0.55 km east-west in southern Norway). 0 turns snapping off.
+export const SNAP_DEGREES = 0.01
+
+// Round a coordinate to the lattice; toFixed drops floating point noise so
+// equal lattice points give equal numbers (and cache keys)
+export function snapCoord(value, step = SNAP_DEGREES) {
+  if (!step) return value
+  return Number((Math.round(value / step) * step).toFixed(6))
+}
+
+export function snapPoint(point, step = SNAP_DEGREES) {
+  return { lat: snapCoord(point.lat, step), lon: snapCoord(point.lon, step) }
+}
+
+// The four lattice points around a point, nearest first
+export function latticeCorners(point, step = SNAP_DEGREES) {
+  const lat0 = Math.floor(point.lat / step) * step
+  const lon0 = Math.floor(point.lon / step) * step
+  return [[0, 0], [0, 1], [1, 0], [1, 1]]
+    .map(([i, j]) => ({ lat: snapCoord(lat0 + i * step, step), lon: snapCoord(lon0 + j * step, step) }))
+    .sort((a, b) => distanceKm(point, a) - distanceKm(point, b))
+}
+
+// Move a point by dxKm east and dyKm north, accounting for the shrinking
+// longitude degrees at higher latitudes
+export function offsetPoint(center, dxKm, dyKm) {
+  const lat = center.lat + dyKm / KM_PER_DEG
+  const lon = center.lon + dxKm / (KM_PER_DEG * Math.cos(center.lat * Math.PI / 180))
+  return { lat, lon }
+}
+
+// Great-circle distance between two points in kilometres (haversine)
+export function distanceKm(a, b) {
+  const toRad = d => d * Math.PI / 180
+  const dLat = toRad(b.lat - a.lat)
+  const dLon = toRad(b.lon - a.lon)
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2
+  return 2 * 6371 * Math.asin(Math.sqrt(h))
+}
+
+// Distance between two neighbouring rings of the coarse grid
+export function ringSpacingKm(radiusKm) {
+  return radiusKm / (POINTS_PER_RING.length - 1)
+}
+
+// Generate the coarse polar grid around the search centre
+export function polarGrid(center, radiusKm) {
+  const numRings = POINTS_PER_RING.length
+  const samples = []
+
+  for (let ring = 0; ring < numRings; ring++) {
+    const ringRadius = (ring / (numRings - 1)) * radiusKm
+    const pointsInRing = POINTS_PER_RING[ring]
+
+    for (let i = 0; i < pointsInRing; i++) {
+      // Evenly distribute points within each ring
+      const angle = (i / pointsInRing) * 2 * Math.PI
+      const { lat, lon } = offsetPoint(center, ringRadius * Math.cos(angle), ringRadius * Math.sin(angle))
+      samples.push({ lat, lon, ring, index: i, pass: 'coarse' })
+    }
+  }
+
+  return samples
+}
+
+// Generate a denser local grid around the best coarse candidates.
+//
+// Each candidate gets two small rings (6 points at 1/3 and 6 points at 2/3
+// of the coarse ring spacing, the outer ring rotated by 30°), so the local
+// grid fills the gap up to the neighbouring coarse points. The budget is
+// split evenly between candidates and inner points are used first. Points
+// outside the search circle, or too close to a point that is already
+// sampled, are skipped so they do not waste requests. Every sample records
+// the index of the candidate it refines.
+export function refinementGrid(candidates, center, radiusKm, existing = [], budget = REFINE_BUDGET) {
+  if (!candidates.length || budget <= 0) return []
+
+  const spacing = ringSpacingKm(radiusKm)
+  const minGap = spacing / 6
+  const perCandidate = Math.floor(budget / candidates.length)
+  const taken = [...existing]
+  const samples = []
+
+  candidates.forEach((candidate, c) => {
+    let used = 0
+    const rings = [
+      { radius: spacing / 3, count: 6, rotation: 0 },
+      { radius: (2 * spacing) / 3, count: 6, rotation: Math.PI / 6 }
+    ]
+
+    rings.forEach((ringDef, r) => {
+      for (let i = 0; i < ringDef.count && used < perCandidate; i++) {
+        const angle = ringDef.rotation + (i / ringDef.count) * 2 * Math.PI
+        const p = offsetPoint(candidate, ringDef.radius * Math.cos(angle), ringDef.radius * Math.sin(angle))
+        if (distanceKm(center, p) > radiusKm) continue
+        if (taken.some(t => distanceKm(t, p) < minGap)) continue
+        taken.push(p)
+        samples.push({ lat: p.lat, lon: p.lon, ring: `r${c}-${r}`, index: i, pass: 'refine', candidate: c })
+        used++
+      }
+    })
+  })
+
+  return samples
+}
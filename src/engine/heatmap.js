@@ -0,0 +1,74 @@
+// ============================================================================
+// SCORE HEATMAP (INVERSE DISTANCE WEIGHTING)
+// ============================================================================
+// Spreads the scores of all sampled points over the search circle, so the
+// shape of the good-weather area becomes visible on the map:
+//
+//   value(cell) = Σ wᵢ·vᵢ / Σ wᵢ   with wᵢ = 1 / distanceᵢ^power
+//
+// The grid covers the bounding box of the circle; cells outside the circle
+// are null. Distances use a local flat projection in km, which is accurate
+// enough within a search radius.
+//
+// Layers: the total score or one of the factors (sol, temp, wind, precip),
+// all 0-1.
+// ============================================================================
+
+import { offsetPoint, KM_PER_DEG } from './grid.js'
+
+export const HEATMAP_LAYERS = ['score', 'sol', 'temp', 'wind', 'precip']
+export const HEATMAP_CELLS = 64   // cells per side
+export const IDW_POWER = 2
+
+// Value of one spot for a layer (null when the spot has no such factor)
+export function layerValue(spot, layer) {
+  const value = layer === 'score' ? spot.score : spot.factors?.[layer]
+  return Number.isFinite(value) ? value : null
+}
+
+// { bounds: { south, west, north, east }, cells, values } where values is
+// a row-major cells×cells array starting in the north-west corner, or null
+// when there are no values to interpolate
+export function idwGrid(spots, { center, radiusKm, layer = 'score', cells = HEATMAP_CELLS, power = IDW_POWER }) {
+  const kmPerDegLon = KM_PER_DEG * Math.cos(center.lat * Math.PI / 180)
+  const points = spots
+    .map(spot => ({
+      x: (spot.lon - center.lon) * kmPerDegLon,
+      y: (spot.lat - center.lat) * KM_PER_DEG,
+      value: layerValue(spot, layer)
+    }))
+    .filter(p => p.value !== null)
+  if (!points.length) return null
+
+  const cellKm = (2 * radiusKm) / cells
+  const values = new Array(cells * cells).fill(null)
+  for (let row = 0; row < cells; row++) {
+    const y = radiusKm - (row + 0.5) * cellKm
+    for (let col = 0; col < cells; col++) {
+      const x = -radiusKm + (col + 0.5) * cellKm
+      if (x * x + y * y > radiusKm * radiusKm) continue
+      let sum = 0
+      let weightSum = 0
+      let exact = null
+      for (const p of points) {
+        const d2 = (p.x - x) ** 2 + (p.y - y) ** 2
+        if (d2 < 1e-9) {
+          exact = p.value
+          break
+        }
+        const w = 1 / Math.pow(d2, power / 2)
+        sum += w * p.value
+        weightSum += w
+      }
+      values[row * cells + col] = exact !== null ? exact : sum / weightSum
+    }
+  }
+
+  const ne = offsetPoint(center, radiusKm, radiusKm)
+  const sw = offsetPoint(center, -radiusKm, -radiusKm)
+  return {
+    bounds: { south: sw.lat, west: sw.lon, north: ne.lat, east: ne.lon },
+    cells,
+    values
+  }
+}
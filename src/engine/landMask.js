@@ -0,0 +1,123 @@
+// ============================================================================
+// LAND / WATER MASK
+// ============================================================================
+// Keeps search samples out of the sea, fjords and large lakes using the
+// bundled, simplified coastline in ./data/landmask.js (works offline).
+//
+// - isOnLand(): point-in-polygon test, null outside the covered regions
+// - applyLandMask(): keeps land samples, moves water samples to the nearest
+//   land within a maximum distance, and reports the ones it had to drop
+// ============================================================================
+
+import { offsetPoint, distanceKm } from './grid.js'
+
+let maskPromise = null
+
+// Lazily load and index the mask (the data is ~0.5 MB, so it is only
+// fetched when the first search runs)
+export function loadLandMask() {
+  if (!maskPromise) {
+    maskPromise = import('./data/landmask.js').then(mod => indexMask(mod.default))
+  }
+  return maskPromise
+}
+
+// Precompute bounding boxes so most polygons are rejected cheaply
+export function indexMask(data) {
+  return {
+    regions: data.regions,
+    polygons: data.polygons.map(rings => ({ rings, bbox: ringBbox(rings[0]) }))
+  }
+}
+
+function ringBbox(flat) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity
+  for (let i = 0; i < flat.length; i += 2) {
+    if (flat[i] < minX) minX = flat[i]
+    if (flat[i] > maxX) maxX = flat[i]
+    if (flat[i + 1] < minY) minY = flat[i + 1]
+    if (flat[i + 1] > maxY) maxY = flat[i + 1]
+  }
+  return [minX, minY, maxX, maxY]
+}
+
+// Ray casting on a flattened [lon, lat, lon, lat, ...] ring
+function inRing(lon, lat, flat) {
+  let inside = false
+  for (let i = 0, j = flat.length - 2; i < flat.length; j = i, i += 2) {
+    const xi = flat[i], yi = flat[i + 1]
+    const xj = flat[j], yj = flat[j + 1]
+    if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+function covered(mask, lat, lon) {
+  return mask.regions.some(([minX, minY, maxX, maxY]) => lon >= minX && lon <= maxX && lat >= minY && lat <= maxY)
+}
+
+// true = land, false = water, null = outside the area the mask covers
+export function isOnLand(mask, lat, lon) {
+  if (!covered(mask, lat, lon)) return null
+  for (const { rings, bbox } of mask.polygons) {
+    if (lon < bbox[0] || lon > bbox[2] || lat < bbox[1] || lat > bbox[3]) continue
+    if (!inRing(lon, lat, rings[0])) continue
+    // Inside the outer ring - on land unless it falls in a lake (hole)
+    let inHole = false
+    for (let k = 1; k < rings.length; k++) {
+      if (inRing(lon, lat, rings[k])) { inHole = true; break }
+    }
+    if (!inHole) return true
+  }
+  return false
+}
+
+// Find the closest land point within maxShiftKm by testing rings of
+// candidates at increasing distance. Returns null if there is none.
+export function nearestLand(mask, point, maxShiftKm, steps = 4, directions = 16) {
+  for (let s = 1; s <= steps; s++) {
+    const r = (s / steps) * maxShiftKm
+    for (let i = 0; i < directions; i++) {
+      const angle = (i / directions) * 2 * Math.PI
+      const p = offsetPoint(point, r * Math.cos(angle), r * Math.sin(angle))
+      if (isOnLand(mask, p.lat, p.lon) !== false) return p
+    }
+  }
+  return null
+}
+
+// Split samples into the ones to fetch and the ones skipped because they are
+// on water. Moved samples keep their original position in `movedFrom`.
+// A moved sample that ends up within minGapKm of another kept sample is
+// skipped as well, so several sea points do not pile up on the same beach.
+export function applyLandMask(mask, samples, { maxShiftKm, minGapKm = 0, existing = [] }) {
+  const kept = []
+  const skipped = []
+  const taken = [...existing]
+
+  samples.forEach(sample => {
+    const onLand = isOnLand(mask, sample.lat, sample.lon)
+    if (onLand !== false) {
+      kept.push(sample)
+      taken.push(sample)
+      return
+    }
+
+    const moved = nearestLand(mask, sample, maxShiftKm)
+    if (!moved) {
+      skipped.push({ ...sample, reason: 'water' })
+      return
+    }
+    if (minGapKm > 0 && taken.some(t => distanceKm(t, moved) < minGapKm)) {
+      skipped.push({ ...sample, reason: 'duplicate' })
+      return
+    }
+    const movedSample = { ...sample, lat: moved.lat, lon: moved.lon, movedFrom: { lat: sample.lat, lon: sample.lon } }
+    kept.push(movedSample)
+    taken.push(movedSample)
+  })
+
+  return { kept, skipped }
+}
@@ -0,0 +1,84 @@
+// ============================================================================
+// MULTI-DAY PLANNER
+// ============================================================================
+// Best spot for each of several time windows (typically the daytime hours of
+// the coming days) from ONE set of forecasts: the coarse grid of the search
+// is fetched once, and every window is scored from the same Met.no
+// responses. Upstream access is injected like for runSearch:
+//
+//   runPlan({ center, radiusKm, windows: [{ start, end }], weights, ... }, {
+//     fetchForecast, reverseGeocode, landMask, concurrency, signal
+//   })
+//
+// There is no refinement pass (that would be different points per day), so
+// a day's best spot is the best coarse point. Opening the day as a normal
+// search refines it, mostly from the forecast cache.
+//
+// Result: { days: [{ window, points, best }], skipped, snapDeg, stats } where
+// best is a scored spot with a name, or null when no point has data for the
+// window (beyond the forecast range).
+// ============================================================================
+
+import { normalizeWeights, sanitizeTargets } from './scoring.js'
+import { polarGrid, SNAP_DEGREES } from './grid.js'
+import { mapWithConcurrency, scoreForecast, createSampler, DEFAULT_CONCURRENCY } from './search.js'
+
+export async function runPlan(options, deps) {
+  const {
+    center,
+    radiusKm,
+    windows,
+    stormMode = false,
+    profile = null,
+    snapDeg = SNAP_DEGREES
+  } = options
+  const { fetchForecast, reverseGeocode, landMask = null, concurrency = DEFAULT_CONCURRENCY, signal = null } = deps
+
+  const weights = normalizeWeights(options.weights)
+  if (!weights) throw new Error('All weights are 0')
+  const targets = sanitizeTargets(options.targets)
+
+  const startedAt = Date.now()
+  const sampler = createSampler({ radiusKm, landMask, snapDeg })
+  const samples = sampler.snap(sampler.mask(polarGrid(center, radiusKm), sampler.spacingKm / 2))
+
+  const results = await mapWithConcurrency(samples, concurrency, async (sample) => {
+    signal?.throwIfAborted()
+    return { sample: { ...sample, pass: 1 }, data: await fetchForecast(sample.lat, sample.lon) }
+  })
+  signal?.throwIfAborted()
+  const forecasts = results.filter(r => r.status === 'fulfilled').map(r => r.value)
+  const failed = results.length - forecasts.length
+
+  const days = windows.map(window => {
+    const spots = forecasts
+      .map(({ sample, data }) => scoreForecast(data, sample, { window, weights, targets, stormMode, profile }))
+      .filter(Boolean)
+    const best = spots.reduce((a, b) => (!a || b.score > a.score ? b : a), null)
+    return { window, points: spots.length, best }
+  })
+
+  // The same point often wins several days, so each point is named once
+  const names = new Map()
+  days.forEach(({ best }) => {
+    const key = best && `${best.lat},${best.lon}`
+    if (key && !names.has(key)) names.set(key, reverseGeocode(best.lat, best.lon).catch(() => null))
+  })
+  const named = await Promise.all(days.map(async day => {
+    if (!day.best) return day
+    const name = await names.get(`${day.best.lat},${day.best.lon}`)
+    return { ...day, best: { ...day.best, name: name || `${day.best.lat.toFixed(5)},${day.best.lon.toFixed(5)}` } }
+  }))
+
+  return {
+    days: named,
+    skipped: sampler.skipped,
+    snapDeg,
+    stats: {
+      requested: samples.length,
+      failed,
+      merged: sampler.merged(),
+      durationMs: Date.now() - startedAt
+    }
+  }
+}
@@ -0,0 +1,150 @@
+// ============================================================================
+// ACTIVITY PROFILES
+// ============================================================================
+// A profile bundles everything that decides what "good weather" means for a
+// trip: triangle weights (sol/temp/wind), the precipitation weight, comfort
+// targets, the wind style and an optional scoring function that adjusts the
+// factor scores (e.g. kiting penalises gusty wind).
+//
+// Built-in profiles live here. Custom profiles are plain data (no scoring
+// function) saved by the user; they are scored with the generic factors.
+// ============================================================================
+
+import { DEFAULT_TARGETS, sanitizeTargets } from './scoring.js'
+
+// Penalty for gusty wind: 1 when gusts are within `allowed` m/s of the mean
+// wind, 0 when they are `allowed + range` m/s above it. Without gust data
+// there is no penalty.
+function gustFactor(summary, allowed, range) {
+  if (summary.gust == null) return 1
+  const spread = Math.max(summary.gust - summary.wind - allowed, 0)
+  return 1 - Math.min(spread / range, 1)
+}
+
+// Penalty for wind that changes a lot within the window (standard deviation)
+function steadinessFactor(summary, allowed, range) {
+  const over = Math.max((summary.windVariability || 0) - allowed, 0)
+  return 1 - Math.min(over / range, 1)
+}
+
+export const BUILTIN_PROFILES = [
+  {
+    id: 'standard',
+    name: 'Standard',
+    icon: '⚖️',
+    description: 'Lik vekt på sol, temperatur og vind',
+    weights: { sol: 1 / 3, temp: 1 / 3, wind: 1 / 3, precip: 0.25 },
+    targets: { ...DEFAULT_TARGETS },
+    windStyle: null
+  },
+  {
+    id: 'beach',
+    name: 'Strand',
+    icon: '🏖️',
+    description: 'Varme og sol, lite vind',
+    weights: { sol: 0.45, temp: 0.4, wind: 0.15, precip: 0.25 },
+    targets: { ...DEFAULT_TARGETS, idealTemp: 27, tempTolerance: 12, windMin: 2, windMax: 10 },
+    windStyle: 'calm',
+    // A beach day below 16 °C is not a beach day, however sunny it is
+    adjustFactors: (factors, summary) => ({
+      ...factors,
+      sol: summary.temp < 16 ? factors.sol * 0.5 : factors.sol
+    })
+  },
+  {
+    id: 'hiking',
+    name: 'Fottur',
+    icon: '🥾',
+    description: 'Tørt, lite vind og behagelig temperatur',
+    weights: { sol: 0.25, temp: 0.25, wind: 0.5, precip: 0.45 },
+    targets: { ...DEFAULT_TARGETS, idealTemp: 15, tempTolerance: 15, windMin: 3, windMax: 14 },
+    windStyle: 'calm',
+    // Strong gusts on ridges matter more than the mean wind
+    adjustFactors: (factors, summary) => ({
+      ...factors,
+      wind: factors.wind * gustFactor(summary, 6, 10)
+    })
+  },
+  {
+    id: 'sailing',
+    name: 'Seiling',
+    icon: '⛵',
+    description: 'Jevn, moderat vind (4–9 m/s)',
+    weights: { sol: 0.2, temp: 0.1, wind: 0.7, precip: 0.15 },
+    targets: { ...DEFAULT_TARGETS, idealTemp: 20, tempTolerance: 15, windMin: 4, windMax: 9 },
+    windStyle: 'band',
+    adjustFactors: (factors, summary) => ({
+      ...factors,
+      wind: factors.wind * gustFactor(summary, 5, 8)
+    })
+  },
+  {
+    id: 'kiting',
+    name: 'Kiting',
+    icon: '🪁',
+    description: 'Stødig 8–12 m/s med lite kast',
+    weights: { sol: 0.05, temp: 0.1, wind: 0.85, precip: 0.1 },
+    targets: { ...DEFAULT_TARGETS, idealTemp: 18, tempTolerance: 18, windMin: 8, windMax: 12 },
+    windStyle: 'band',
+    // Kiting needs steady wind: penalise both gusts and changing wind
+    adjustFactors: (factors, summary) => ({
+      ...factors,
+      wind: factors.wind * gustFactor(summary, 3, 6) * steadinessFactor(summary, 1.5, 3)
+    })
+  },
+  {
+    id: 'skitouring',
+    name: 'Topptur på ski',
+    icon: '🎿',
+    description: 'Kaldt, sol og lite vind',
+    weights: { sol: 0.45, temp: 0.2, wind: 0.35, precip: 0.2 },
+    targets: { ...DEFAULT_TARGETS, idealTemp: -5, tempTolerance: 12, windMin: 2, windMax: 12 },
+    windStyle: 'calm',
+    // Mild weather means wet, heavy snow - cut the temperature score above 2 °C
+    adjustFactors: (factors, summary) => ({
+      ...factors,
+      temp: summary.temp > 2 ? factors.temp * 0.5 : factors.temp,
+      wind: factors.wind * gustFactor(summary, 6, 10)
+    })
+  },
+  {
+    id: 'cycling',
+    name: 'Sykling',
+    icon: '🚴',
+    description: 'Tørre veier og lite motvind',
+    weights: { sol: 0.2, temp: 0.3, wind: 0.5, precip: 0.5 },
+    targets: { ...DEFAULT_TARGETS, idealTemp: 18, tempTolerance: 14, windMin: 2, windMax: 10 },
+    windStyle: 'calm',
+    // Wet roads: even a small chance of rain matters
+    adjustFactors: (factors, summary) => ({
+      ...factors,
+      precip: summary.precipProbability != null && summary.precipProbability > 30
+        ? factors.precip * 0.7
+        : factors.precip,
+      wind: factors.wind * gustFactor(summary, 5, 8)
+    })
+  }
+]
+
+export const DEFAULT_PROFILE_ID = 'standard'
+
+// Build a custom profile from the current settings
+export function createCustomProfile(name, { weights, targets, windStyle = null }) {
+  return {
+    id: `custom-${Date.now()}`,
+    name: name.trim(),
+    icon: '⭐',
+    description: 'Egen profil',
+    custom: true,
+    weights: { ...weights },
+    targets: sanitizeTargets(targets),
+    windStyle
+  }
+}
+
+// Look up a profile among built-in and custom ones
+export function findProfile(id, customProfiles = []) {
+  return BUILTIN_PROFILES.find(p => p.id === id) ||
+    customProfiles.find(p => p.id === id) ||
+    null
+}
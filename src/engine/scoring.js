@@ -0,0 +1,131 @@
+// ============================================================================
+// WEATHER SCORING
+// ============================================================================
+// Turns a forecast summary (window averages from forecast.js) into factor
+// scores between 0 and 1 and combines them with the user's weights:
+//
+//   score = wSol * sol + wTemp * tempScore + wWind * windScore + wPrecip * precipScore
+//
+// The temperature and wind scores use the user's comfort targets (ideal
+// temperature, tolerance and acceptable wind range).
+// ============================================================================
+
+// Precipitation rate (mm/h) at which the amount part of the score reaches 0
+export const PRECIP_MAX_MM = 2
+
+// How far outside a wanted wind band (m/s) the 'band' wind score reaches 0
+export const WIND_BAND_FALLOFF = 4
+
+// Default comfort targets. The wind range means different things per style:
+// 'calm' (Solsøker) gives full score below windMin and 0 above windMax,
+// 'storm' (Stormsøker) is best in the middle of stormWindMin–stormWindMax and
+// 0 at the edges, and 'band' (used by activity profiles such as kiting) gives
+// full score anywhere inside windMin–windMax.
+export const DEFAULT_TARGETS = {
+  idealTemp: 25,       // °C with full temperature score
+  tempTolerance: 20,   // degrees away from idealTemp where the score reaches 0
+  windMin: 0,          // Solsøker: m/s with full wind score
+  windMax: 15,         // Solsøker: m/s where the wind score reaches 0
+  stormWindMin: 0,     // Stormsøker: lower edge of the wanted range
+  stormWindMax: 34     // Stormsøker: upper edge (best at 17 m/s by default)
+}
+
+// Fill in missing fields and repair invalid values (e.g. from old saved
+// settings), so the scoring never divides by zero
+export function sanitizeTargets(targets) {
+  const t = { ...DEFAULT_TARGETS, ...targets }
+  Object.keys(DEFAULT_TARGETS).forEach(key => {
+    if (typeof t[key] !== 'number' || Number.isNaN(t[key])) t[key] = DEFAULT_TARGETS[key]
+  })
+  if (t.tempTolerance <= 0) t.tempTolerance = DEFAULT_TARGETS.tempTolerance
+  if (t.windMin < 0) t.windMin = 0
+  if (t.windMax <= t.windMin) t.windMax = t.windMin + 1
+  if (t.stormWindMin < 0) t.stormWindMin = 0
+  if (t.stormWindMax <= t.stormWindMin) t.stormWindMax = t.stormWindMin + 1
+  return t
+}
+
+// Wind speed with the best Stormsøker score
+export function stormWindIdeal(targets) {
+  return (targets.stormWindMin + targets.stormWindMax) / 2
+}
+
+// Normalise the weights from the triangle (sol/temp/wind) and the separate
+// precipitation weight so all four sum to 1. The precipitation weight is its
+// share of the total; the triangle splits the rest. Returns null if every
+// weight is 0.
+export function normalizeWeights({ sol, temp, wind, precip = 0 }) {
+  const triTotal = sol + temp + wind
+  if (triTotal === 0 && precip === 0) return null
+  const rest = triTotal === 0 ? 0 : (1 - precip) / triTotal
+  const wPrecip = triTotal === 0 ? 1 : precip
+  return { sol: sol * rest, temp: temp * rest, wind: wind * rest, precip: wPrecip }
+}
+
+// Temperature: 1 at the ideal temperature, falling linearly to 0 at
+// `tempTolerance` degrees away
+export function tempScore(temp, targets = DEFAULT_TARGETS) {
+  return 1 - Math.min(Math.abs(temp - targets.idealTemp) / targets.tempTolerance, 1)
+}
+
+// 1 inside [min, max], falling linearly to 0 at `falloff` outside
+export function bandScore(value, min, max, falloff) {
+  const outside = value < min ? min - value : value > max ? value - max : 0
+  return 1 - Math.min(outside / falloff, 1)
+}
+
+// Which wind style applies: an explicit style (from an activity profile)
+// wins, otherwise the Solsøker/Stormsøker mode decides
+export function resolveWindStyle(windStyle, stormMode) {
+  return windStyle || (stormMode ? 'storm' : 'calm')
+}
+
+// Wind: Solsøker wants as little wind as possible inside its range,
+// Stormsøker wants the middle of its range, 'band' wants anything in range
+export function windScore(wind, style, targets = DEFAULT_TARGETS) {
+  if (style === 'band') {
+    return bandScore(wind, targets.windMin, targets.windMax, WIND_BAND_FALLOFF)
+  }
+  if (style === 'storm') {
+    const halfRange = (targets.stormWindMax - targets.stormWindMin) / 2
+    return 1 - Math.min(Math.abs(wind - stormWindIdeal(targets)) / halfRange, 1)
+  }
+  const over = Math.max(wind - targets.windMin, 0)
+  return 1 - Math.min(over / (targets.windMax - targets.windMin), 1)
+}
+
+// Precipitation: the mean of an amount score (1 when dry, 0 at PRECIP_MAX_MM
+// per hour) and the chance of staying dry. Without probability data only the
+// amount counts.
+export function precipScore(precip, probability) {
+  const amount = 1 - Math.min(precip / PRECIP_MAX_MM, 1)
+  if (probability == null) return amount
+  return (amount + (1 - probability / 100)) / 2
+}
+
+// Factor scores (0-1) for one forecast summary
+export function factorScores(summary, { stormMode = false, windStyle = null, targets = DEFAULT_TARGETS } = {}) {
+  return {
+    sol: summary.sol,
+    temp: tempScore(summary.temp, targets),
+    wind: windScore(summary.wind, resolveWindStyle(windStyle, stormMode), targets),
+    precip: precipScore(summary.precip, summary.precipProbability)
+  }
+}
+
+// Weighted total score; `weights` must already be normalised
+export function combineScore(factors, weights) {
+  return weights.sol * factors.sol +
+    weights.temp * factors.temp +
+    weights.wind * factors.wind +
+    weights.precip * factors.precip
+}
+
+// Score one forecast summary: factor scores, optionally adjusted by an
+// activity profile's own scoring function, combined with the weights.
+// Returns both so the UI can show the individual factors.
+export function scoreSummary(summary, { weights, targets = DEFAULT_TARGETS, stormMode = false, profile = null }) {
+  let factors = factorScores(summary, { stormMode, targets, windStyle: profile?.windStyle })
+  if (profile?.adjustFactors) factors = profile.adjustFactors(factors, summary, targets)
+  return { factors, score: combineScore(factors, weights) }
+}
@@ -0,0 +1,285 @@
+// ============================================================================
+// WEATHER SEARCH ENGINE
+// ============================================================================
+// Runs the complete two-stage grid search independent of where it runs.
+// Upstream access is injected, so the same code serves the Express server and
+// the Vercel function:
+//
+//   runSearch(options, {
+//     fetchForecast: (lat, lon) => Met.no locationforecast JSON,
+//     reverseGeocode: (lat, lon) => place name or null,
+//     landMask,        // optional, from landMask.js
+//     concurrency,     // max parallel fetchForecast calls
+//     onProgress,      // optional, receives progress events (below)
+//     signal           // optional AbortSignal, stops the search early
+//   })
+//
+// An aborted search rejects with the signal's reason (an AbortError).
+//
+// Steps:
+// 1. Coarse polar grid (81 points), moved off water by the land mask and
+//    snapped to the lattice (options.snapDeg, default SNAP_DEGREES)
+// 2. Fetch and score every point over the chosen time window
+// 3. Refine around the top candidates within a fixed request budget
+// 4. Name the top 3 and the best point, return the best point's forecast
+//
+// Every spot also carries `timeline`: its score and factors for each block
+// of timelineBlocks(window) (null where the forecast has no data), so the
+// client can replay the window hour by hour without new requests. The
+// blocks themselves are returned as `timeline` on the result.
+//
+// The top spots and the best point also get `bestWindow`: the contiguous
+// period of options.bestWindowHours (default DEFAULT_BEST_WINDOW_HOURS)
+// with the highest score, { start, end, hours, clipped, score } in epoch ms
+// (hours as requested, clipped when the window itself is shorter).
+//
+// Progress events, in order of occurrence:
+//   { type: 'samples', pass: 1 | 2, points: [{ lat, lon }] }  before each pass
+//   { type: 'spot', spot }           a sample was scored (same shape as spots)
+//   { type: 'failed', lat, lon }     a sample could not be scored
+//   { type: 'naming' }               both passes done, naming the top spots
+// ============================================================================
+
+import { selectWindowEntries, summarizeEntries, entryPeriod, timelineBlocks, subWindows, DEFAULT_BEST_WINDOW_HOURS } from './forecast.js'
+import { normalizeWeights, scoreSummary, sanitizeTargets } from './scoring.js'
+import { polarGrid, refinementGrid, ringSpacingKm, latticeCorners, REFINE_TOP_N, SNAP_DEGREES } from './grid.js'
+import { applyLandMask, isOnLand } from './landMask.js'
+
+export const DEFAULT_CONCURRENCY = 10
+
+// Run `fn` over `items` with at most `limit` calls in flight.
+// Results keep the input order and use the Promise.allSettled shape.
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length)
+  let next = 0
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++
+      try {
+        results[i] = { status: 'fulfilled', value: await fn(items[i], i) }
+      } catch (reason) {
+        results[i] = { status: 'rejected', reason }
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker))
+  return results
+}
+
+// Score one Met.no response over the window. Returns null when the window
+// has no usable data for this point.
+export function scoreForecast(data, sample, { window, weights, targets, stormMode, profile }) {
+  const windowEntries = selectWindowEntries(data.properties.timeseries, window)
+  const summary = summarizeEntries(windowEntries)
+  if (!summary) return null
+
+  const { factors, score } = scoreSummary(summary, { weights, targets, stormMode, profile })
+  return {
+    lat: sample.lat,
+    lon: sample.lon,
+    pass: sample.pass,
+    candidate: sample.candidate,
+    movedFrom: sample.movedFrom,
+    temp: summary.temp,
+    cloud: (1 - summary.sol) * 100,
+    wind: summary.wind,
+    gust: summary.gust,
+    precip: summary.precip,
+    precipProbability: summary.precipProbability,
+    symbolCode: entryPeriod(windowEntries[0].entry)?.summary?.symbol_code || '',
+    factors,
+    score
+  }
+}
+
+// Score and factors per time block, rounded to keep the response small
+export function scoreTimeline(data, blocks, { weights, targets, stormMode, profile }) {
+  const round = value => Math.round(value * 1000) / 1000
+  return blocks.map(block => {
+    const summary = summarizeEntries(selectWindowEntries(data.properties.timeseries, block))
+    if (!summary) return null
+    const { factors, score } = scoreSummary(summary, { weights, targets, stormMode, profile })
+    return {
+      score: round(score),
+      factors: Object.fromEntries(Object.entries(factors).map(([key, value]) => [key, round(value)]))
+    }
+  })
+}
+
+// Best contiguous period of `hours` within the window, scored like the
+// window itself. Every period is `hours` long, except when the window is
+// shorter: then it is the whole window and `clipped` is true. Null when no
+// period has data.
+export function findBestWindow(data, window, hours, { weights, targets, stormMode, profile }) {
+  let best = null
+  subWindows(window, hours).forEach(period => {
+    const summary = summarizeEntries(selectWindowEntries(data.properties.timeseries, period))
+    if (!summary) return
+    const { score } = scoreSummary(summary, { weights, targets, stormMode, profile })
+    if (!best || score > best.score) {
+      best = { ...period, hours, clipped: period.end - period.start < hours * 3600000, score }
+    }
+  })
+  return best
+}
+
+// Sample preparation shared by the search and the planner: moves samples
+// off water with the land mask and snaps them to the lattice point nearest
+// that is not on water (the nearest one if all four are). Samples whose
+// lattice point is already used are dropped and counted as merged.
+export function createSampler({ radiusKm, landMask = null, snapDeg = SNAP_DEGREES }) {
+  const spacingKm = ringSpacingKm(radiusKm)
+  const skipped = []
+  const sampledKeys = new Set()
+  let merged = 0
+
+  const mask = (samples, maxShiftKm, existing = []) => {
+    if (!landMask) return samples
+    const result = applyLandMask(landMask, samples, { maxShiftKm, minGapKm: spacingKm / 6, existing })
+    skipped.push(...result.skipped)
+    return result.kept
+  }
+
+  const snap = (samples) => {
+    if (!snapDeg) return samples
+    const kept = []
+    samples.forEach(sample => {
+      const corners = latticeCorners(sample, snapDeg)
+      const corner = (landMask && corners.find(c => isOnLand(landMask, c.lat, c.lon) !== false)) || corners[0]
+      const key = `${corner.lat},${corner.lon}`
+      if (sampledKeys.has(key)) {
+        merged++
+        return
+      }
+      sampledKeys.add(key)
+      kept.push({ ...sample, lat: corner.lat, lon: corner.lon })
+    })
+    return kept
+  }
+
+  return { spacingKm, skipped, mask, snap, merged: () => merged }
+}
+
+export async function runSearch(options, deps) {
+  const {
+    center,
+    radiusKm,
+    window,
+    stormMode = false,
+    profile = null,
+    snapDeg = SNAP_DEGREES,
+    bestWindowHours = DEFAULT_BEST_WINDOW_HOURS
+  } = options
+  const { fetchForecast, reverseGeocode, landMask = null, concurrency = DEFAULT_CONCURRENCY, onProgress = () => {}, signal = null } = deps
+  const checkAborted = () => signal?.throwIfAborted()
+
+  const weights = normalizeWeights(options.weights)
+  if (!weights) throw new Error('All weights are 0')
+  const targets = sanitizeTargets(options.targets)
+  const scoring = { window, weights, targets, stormMode, profile }
+  const blocks = timelineBlocks(window)
+
+  const startedAt = Date.now()
+  const spots = []
+  const forecasts = new Map()   // spot -> raw Met.no data, so the best point is not fetched twice
+  let failed = 0
+
+  const sampler = createSampler({ radiusKm, landMask, snapDeg })
+  const { spacingKm, skipped } = sampler
+
+  const evaluateSamples = async (samples, pass) => {
+    onProgress({ type: 'samples', pass, points: samples.map(({ lat, lon }) => ({ lat, lon })) })
+    const results = await mapWithConcurrency(samples, concurrency, async (sample) => {
+      checkAborted()
+      try {
+        const data = await fetchForecast(sample.lat, sample.lon)
+        const spot = scoreForecast(data, sample, scoring)
+        if (!spot) throw new Error('No valid forecast data')
+        spot.timeline = scoreTimeline(data, blocks, scoring)
+        forecasts.set(spot, data)
+        onProgress({ type: 'spot', spot })
+        return spot
+      } catch (err) {
+        if (!signal?.aborted) onProgress({ type: 'failed', lat: sample.lat, lon: sample.lon })
+        throw err
+      }
+    })
+    checkAborted()
+    results.forEach(result => {
+      if (result.status === 'fulfilled') {
+        spots.push(result.value)
+      } else {
+        failed++
+        console.warn('Weather fetch failed for point:', result.reason?.message || result.reason)
+      }
+    })
+  }
+
+  const bestOf = list => list.reduce((a, b) => (!a || b.score > a.score ? b : a), null)
+  const bestWindowOf = spot => findBestWindow(forecasts.get(spot), window, bestWindowHours, scoring)
+
+  // Pass 1: coarse grid
+  const coarseSamples = sampler.snap(sampler.mask(polarGrid(center, radiusKm), spacingKm / 2))
+  await evaluateSamples(coarseSamples, 1)
+  const coarseBest = bestOf(spots)
+  if (!coarseBest) {
+    return { spots: [], top: [], best: null, refinement: null, timeline: blocks, skipped, snapDeg, stats: { requested: coarseSamples.length, failed, merged: sampler.merged(), durationMs: Date.now() - startedAt } }
+  }
+
+  // Pass 2: refinement around the best candidates
+  const candidates = [...spots].sort((a, b) => b.score - a.score).slice(0, REFINE_TOP_N)
+  const refineSamples = sampler.snap(sampler.mask(
+    refinementGrid(candidates, center, radiusKm, coarseSamples),
+    spacingKm / 6,
+    coarseSamples
+  ))
+  await evaluateSamples(refineSamples, 2)
+  const bestPoint = bestOf(spots)
+  const refinement = {
+    points: refineSamples.length,
+    coarseScore: coarseBest.score,
+    refinedScore: bestPoint.score,
+    improvement: bestPoint.score - coarseBest.score,
+    improved: bestPoint !== coarseBest
+  }
+
+  onProgress({ type: 'naming' })
+
+  // Top 3: the best point in each refined neighbourhood, so the three
+  // results stay separate areas instead of clustering around #1
+  const topSpots = candidates
+    .map((candidate, c) => bestOf(spots.filter(spot => spot === candidate || spot.candidate === c)))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 3)
+
+  // Names for the top spots and the best point (the best point is always
+  // one of the top spots, so it reuses that name). Rate limiting is up to
+  // the injected reverseGeocode.
+  const top = await Promise.all(topSpots.map(async (spot, index) => {
+    const name = await reverseGeocode(spot.lat, spot.lon).catch(() => null)
+    return { ...spot, name: name || `Spot ${index + 1}`, rank: index + 1, bestWindow: bestWindowOf(spot) }
+  }))
+  const bestTop = top.find(spot => spot.lat === bestPoint.lat && spot.lon === bestPoint.lon)
+  const bestName = bestTop?.name ||
+    await reverseGeocode(bestPoint.lat, bestPoint.lon).catch(() => null) ||
+    `${bestPoint.lat.toFixed(5)},${bestPoint.lon.toFixed(5)}`
+
+  // Only the window's entries of the best point's forecast are returned
+  const forecast = selectWindowEntries(forecasts.get(bestPoint).properties.timeseries, window)
+
+  return {
+    spots: [...spots].sort((a, b) => b.score - a.score),
+    top,
+    best: { ...bestPoint, name: bestName, forecast, bestWindow: bestTop?.bestWindow || bestWindowOf(bestPoint) },
+    refinement,
+    timeline: blocks,
+    skipped,
+    snapDeg,
+    stats: {
+      requested: coarseSamples.length + refineSamples.length,
+      failed,
+      merged: sampler.merged(),
+      durationMs: Date.now() - startedAt
+    }
+  }
+}
@@ -7,3 +7,11 @@ ReactDOM.createRoot(document.getElementById('root')).render(
     <App />
   </React.StrictMode>
 )
+
+// Offline support (app shell, map tiles, last forecasts); see src/serviceWorker.js.
+// Only in production builds, the dev server has no sw.js.
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(err => console.warn('Service worker registration failed:', err))
+  })
+}
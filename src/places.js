@@ -0,0 +1,49 @@
+// ============================================================================
+// PLACE SEARCH HELPERS
+// ============================================================================
+// Country filters for the place search and display names for geocode results
+// (Nominatim or the server's gazetteer, same JSON shape).
+//
+// Address levels differ per country: Norway and Sweden use municipality +
+// county, Denmark, Finland, Switzerland and Austria mostly municipality +
+// state (region, canton, Bundesland). Places outside Norway also get the
+// country name.
+// ============================================================================
+
+// Country filters for /api/geocode (countries = ISO codes or 'all')
+export const COUNTRY_FILTERS = [
+  { id: 'no', label: 'Norge', countries: 'no', placeholder: 'F.eks: Oslo, Bergen, Trondheim...' },
+  { id: 'se', label: 'Sverige', countries: 'se', placeholder: 'F.eks: Göteborg, Åre, Kiruna...' },
+  { id: 'dk', label: 'Danmark', countries: 'dk', placeholder: 'F.eks: København, Aarhus, Skagen...' },
+  { id: 'fi', label: 'Finland', countries: 'fi', placeholder: 'F.eks: Helsinki, Turku, Rovaniemi...' },
+  { id: 'nordic', label: 'Norden', countries: 'no,se,dk,fi,is', placeholder: 'F.eks: Tromsø, Åre, Skagen...' },
+  { id: 'alps', label: 'Alpene', countries: 'ch,at,de,fr,it,li,si', placeholder: 'F.eks: Zermatt, Innsbruck, Chamonix...' },
+  { id: 'all', label: 'Alle land', countries: 'all', placeholder: 'F.eks: Oslo, Zermatt, Madeira...' }
+]
+
+export const DEFAULT_COUNTRY_FILTER = 'no'
+
+export function findCountryFilter(id) {
+  return COUNTRY_FILTERS.find(f => f.id === id) || COUNTRY_FILTERS[0]
+}
+
+// { primary, secondary } for a geocode result, e.g.
+// { primary: 'Sand', secondary: 'Suldal, Rogaland' } or
+// { primary: 'Zermatt', secondary: 'Visp, Wallis/Valais, Sveits' }
+export function formatPlace(s) {
+  const addr = s.address || {}
+  const primary = addr.city || addr.town || addr.village || addr.hamlet || addr.neighbourhood || addr.suburb || s.name ||
+    String(s.display_name || '').split(',')[0]
+  const levels = [addr.municipality, addr.county, addr.state || addr.state_district]
+  if (addr.country_code && addr.country_code !== 'no') levels.push(addr.country)
+  const parts = levels.filter((part, i) => part && part !== primary && levels.indexOf(part) === i)
+  return { primary, secondary: parts.join(', ') }
+}
+
+// The result for a typed place name (Enter without picking a suggestion):
+// the first one named exactly like the text before any comma, else the first.
+// The list may start with near matches from the gazetteer ("Våler" for "Hvaler").
+export function pickTypedPlace(results, text) {
+  const typed = String(text).split(',')[0].trim().toLowerCase()
+  return results.find(s => formatPlace(s).primary.toLowerCase() === typed) || results[0]
+}
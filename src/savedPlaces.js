@@ -0,0 +1,67 @@
+// ============================================================================
+// FAVOURITES AND SEARCH HISTORY
+// ============================================================================
+// Saved places and recent searches, kept on the device (see storage.js).
+// Both show up in the place search above the geocoder's results.
+//
+//   Favourite: { id, name, lat, lon, radiusKm, weights, profileId, targets,
+//                savedAt }
+//   History:   { id, name, lat, lon, radiusKm, weights, profileId, targets,
+//                stormMode, windowLabel, searchedAt,
+//                top: [{ name, lat, lon, score }] }
+//
+// A place is identified by its coordinates rounded to about 100 m, so saving
+// or searching the same place again replaces the older entry.
+// ============================================================================
+
+export const MAX_HISTORY = 20
+export const MAX_SAVED_MATCHES = 3   // per list in the suggestion dropdown
+
+export function placeKey({ lat, lon }) {
+  return `${lat.toFixed(3)},${lon.toFixed(3)}`
+}
+
+export function isSavedPlace(list, place) {
+  const key = placeKey(place)
+  return list.some(item => placeKey(item) === key)
+}
+
+// Newest first, one entry per place
+function prepend(list, entry) {
+  const key = placeKey(entry)
+  return [entry, ...list.filter(item => placeKey(item) !== key)]
+}
+
+export function addFavourite(favourites, favourite) {
+  return prepend(favourites, favourite)
+}
+
+export function removeSavedPlace(list, place) {
+  const key = placeKey(place)
+  return list.filter(item => placeKey(item) !== key)
+}
+
+export function addHistory(history, entry) {
+  return prepend(history, entry).slice(0, MAX_HISTORY)
+}
+
+// Entries whose name contains the typed text (case-insensitive)
+export function matchSaved(list, text, limit = MAX_SAVED_MATCHES) {
+  const query = text.trim().toLowerCase()
+  if (!query) return []
+  return list.filter(item => item.name.toLowerCase().includes(query)).slice(0, limit)
+}
+
+// "for 5 min siden", "i dag 14:32", "i går 14:32" or "12. okt. 14:32"
+export function timeAgoLabel(ms, now = Date.now()) {
+  const minutes = Math.round((now - ms) / 60000)
+  if (minutes < 1) return 'nå nettopp'
+  if (minutes < 60) return `for ${minutes} min siden`
+  const date = new Date(ms)
+  const time = date.toLocaleTimeString('no-NO', { hour: '2-digit', minute: '2-digit' })
+  const today = new Date(now)
+  const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1)
+  if (date.toDateString() === today.toDateString()) return `i dag ${time}`
+  if (date.toDateString() === yesterday.toDateString()) return `i går ${time}`
+  return `${date.toLocaleDateString('no-NO', { day: 'numeric', month: 'short' })} ${time}`
+}
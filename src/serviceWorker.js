@@ -0,0 +1,122 @@
+// ============================================================================
+// SERVICE WORKER
+// ============================================================================
+// Built into dist/sw.js by scripts/vite-plugin-sw.js, which fills in the
+// precache list and the cache version (not bundled with the app).
+//
+// - App shell (index.html, JS, CSS, symbol icons, manifest): precached on
+//   install and served from the cache. Page loads try the network first and
+//   fall back to the cached index.html, so the app opens offline. Pages are
+//   stored under /index.html only, not once per query string (share links).
+// - Leaflet and fonts from their CDNs: stale-while-revalidate
+// - Map tiles and /api/met: network first, the cached copy when offline
+//   (capped at MAX_TILES tiles and MAX_FORECASTS forecasts, newest kept)
+// - Other /api calls (search, plan, geocode) always go to the network; the
+//   app stores the last search result itself
+// ============================================================================
+
+const PRECACHE = self.__PRECACHE__
+const VERSION = self.__CACHE_VERSION__
+
+const SHELL_CACHE = `solsoker-shell-${VERSION}`
+const RUNTIME_CACHE = 'solsoker-runtime'
+const TILE_CACHE = 'solsoker-tiles'
+const FORECAST_CACHE = 'solsoker-forecasts'
+const MAX_TILES = 400
+const MAX_FORECASTS = 30   // full met.no responses are large
+
+const CDN_HOSTS = ['unpkg.com', 'fonts.googleapis.com', 'fonts.gstatic.com']
+const isTileHost = host => host.endsWith('tile.openstreetmap.org') || host === 'wms.geonorge.no'
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(PRECACHE))
+      .then(() => self.skipWaiting())
+  )
+})
+
+// Drop the shells of older builds
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('solsoker-shell-') && key !== SHELL_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  )
+})
+
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName)
+  try {
+    const response = await fetch(request)
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone())
+    return response
+  } catch (err) {
+    const cached = await cache.match(request)
+    if (cached) return cached
+    throw err
+  }
+}
+
+// Every page is the app shell, so one cached copy serves all of them
+async function navigate(request) {
+  const cache = await caches.open(SHELL_CACHE)
+  try {
+    const response = await fetch(request)
+    if (response.ok && (response.headers.get('content-type') || '').includes('text/html')) {
+      cache.put('/index.html', response.clone())
+    }
+    return response
+  } catch (err) {
+    const cached = await cache.match('/index.html')
+    if (cached) return cached
+    throw err
+  }
+}
+
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(RUNTIME_CACHE)
+  const cached = await cache.match(request)
+  const network = fetch(request)
+    .then(response => {
+      if (response.ok || response.type === 'opaque') cache.put(request, response.clone())
+      return response
+    })
+    .catch(() => cached)
+  return cached || network
+}
+
+// Keep the newest maxEntries responses (cache keys are in insertion order)
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName)
+  const keys = await cache.keys()
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)))
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event
+  if (request.method !== 'GET') return
+  const url = new URL(request.url)
+
+  if (request.mode === 'navigate') {
+    event.respondWith(navigate(request))
+    return
+  }
+
+  if (url.origin === self.location.origin) {
+    if (url.pathname === '/api/met') {
+      event.respondWith(networkFirst(request, FORECAST_CACHE).finally(() => trimCache(FORECAST_CACHE, MAX_FORECASTS)))
+    } else if (!url.pathname.startsWith('/api/')) {
+      event.respondWith(caches.match(request).then(cached => cached || fetch(request)))
+    }
+    return
+  }
+
+  if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request))
+  } else if (isTileHost(url.hostname)) {
+    event.respondWith(networkFirst(request, TILE_CACHE).finally(() => trimCache(TILE_CACHE, MAX_TILES)))
+  }
+})
@@ -0,0 +1,79 @@
+// ============================================================================
+// SHAREABLE SEARCH LINKS
+// ============================================================================
+// The search settings as URL query parameters, so a search can be sent to
+// someone else and restored when the link is opened:
+//
+//   ?lat=59.91&lon=10.75&name=Oslo&r=10&sol=0.5&temp=0.3&wind=0.2&precip=0.1
+//    &mode=storm&profile=beach&date=2026-10-20&from=10&to=16&run=1
+//
+// run=1 starts the search right away (added by the app when copying a link).
+// Everything is validated on the way in; missing or invalid values are left
+// out, so the app falls back to its own defaults (or the saved settings) for
+// them. The triangle weights (sol, temp, wind) are only used together.
+// ============================================================================
+
+export const MAX_LINK_RADIUS_KM = 100
+
+const round = (value, digits) => String(Number(value.toFixed(digits)))
+
+// URLSearchParams for the current settings
+export function buildShareParams({ center, name, radiusKm, weights, stormMode, profileId, forecastWindow }) {
+  const params = new URLSearchParams({
+    lat: round(center.lat, 5),
+    lon: round(center.lon, 5)
+  })
+  if (name) params.set('name', name)
+  params.set('r', String(radiusKm))
+  Object.entries(weights).forEach(([key, value]) => params.set(key, round(value, 3)))
+  if (stormMode) params.set('mode', 'storm')
+  if (profileId) params.set('profile', profileId)
+  if (forecastWindow?.date) {
+    params.set('date', forecastWindow.date)
+    params.set('from', String(forecastWindow.fromHour))
+    params.set('to', String(forecastWindow.toHour))
+  }
+  return params
+}
+
+// Settings from a query string (location.search). Only valid values are
+// returned; center is null when the link has no usable location.
+export function parseShareParams(search) {
+  const params = new URLSearchParams(search)
+  const number = key => (params.has(key) && params.get(key) !== '' ? Number(params.get(key)) : NaN)
+
+  const lat = number('lat')
+  const lon = number('lon')
+  const center = lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180 ? { lat, lon } : null
+
+  const radius = number('r')
+  const weights = {}
+  // All three triangle weights or none, scaled to sum to 1 (a point inside
+  // the triangle); precipitation is a share of its own
+  const triangle = ['sol', 'temp', 'wind'].map(number)
+  const triangleSum = triangle.reduce((sum, value) => sum + value, 0)
+  if (triangle.every(value => value >= 0 && value <= 1) && triangleSum > 0) {
+    ;['sol', 'temp', 'wind'].forEach((key, i) => { weights[key] = triangle[i] / triangleSum })
+  }
+  const precip = number('precip')
+  if (precip >= 0 && precip <= 1) weights.precip = precip
+
+  const fromHour = number('from')
+  const toHour = number('to')
+  const date = params.get('date') || ''
+  const forecastWindow = /^\d{4}-\d{2}-\d{2}$/.test(date) &&
+    Number.isInteger(fromHour) && Number.isInteger(toHour) && fromHour >= 0 && fromHour < toHour && toHour <= 24
+    ? { date, fromHour, toHour }
+    : null
+
+  return {
+    center,
+    name: params.get('name') || null,
+    radiusKm: radius > 0 && radius <= MAX_LINK_RADIUS_KM ? radius : null,
+    weights,
+    stormMode: params.has('mode') ? params.get('mode') === 'storm' : null,
+    profileId: params.get('profile') || null,
+    forecastWindow,
+    run: params.get('run') === '1' && center !== null
+  }
+}
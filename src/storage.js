@@ -0,0 +1,27 @@
+// ============================================================================
+// LOCAL STORAGE HELPERS
+// ============================================================================
+// Small wrappers around localStorage for settings that should survive a
+// reload. All keys are prefixed with "solsoker." and values are JSON.
+// Failures (private mode, full storage, corrupt data) fall back silently.
+// ============================================================================
+
+const PREFIX = 'solsoker.'
+
+export function loadJson(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(PREFIX + key)
+    return raw == null ? fallback : JSON.parse(raw)
+  } catch (err) {
+    console.warn(`Could not read ${key} from localStorage:`, err)
+    return fallback
+  }
+}
+
+export function saveJson(key, value) {
+  try {
+    window.localStorage.setItem(PREFIX + key, JSON.stringify(value))
+  } catch (err) {
+    console.warn(`Could not save ${key} to localStorage:`, err)
+  }
+}